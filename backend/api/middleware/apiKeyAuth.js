@@ -0,0 +1,92 @@
+/**
+ * API Key Authentication Middleware
+ * Accepts `Authorization: ApiKey <key>` and enforces per-key permission scopes
+ * @author Sowad Al-Mughni
+ */
+
+const { getPrisma } = require('../../prisma/client');
+const apiKeyService = require('../../services/ApiKeyService');
+
+const { API_KEY_SCOPES } = apiKeyService;
+
+function isApiKeyRequest(req) {
+  return req.headers.authorization?.startsWith('ApiKey ') || false;
+}
+
+async function loadOrganizer(organizerId) {
+  const prisma = getPrisma();
+  if (prisma) {
+    return prisma.organizer.findUnique({ where: { id: organizerId } });
+  }
+
+  // In-memory fallback: organizers are identified by wallet address
+  return { id: organizerId, walletAddress: organizerId };
+}
+
+/**
+ * Require an API key holding every listed scope
+ * Sets `req.apiKey` and `req.organizer` (the key's owner).
+ * @param {...string} scopes - Required scopes from API_KEY_SCOPES
+ */
+function requireApiKey(...scopes) {
+  return async (req, res, next) => {
+    if (!isApiKeyRequest(req)) {
+      return res.status(401).json({ error: 'API key required' });
+    }
+
+    try {
+      const apiKey = await apiKeyService.authenticateApiKey(req.headers.authorization.slice('ApiKey '.length).trim());
+      if (!apiKey) {
+        return res.status(401).json({ error: 'Invalid, expired or revoked API key' });
+      }
+
+      // Every key can read; anything else must be granted explicitly
+      const missing = scopes.filter(scope =>
+        scope !== API_KEY_SCOPES.READ && !apiKey.permissions.includes(scope)
+      );
+      if (missing.length > 0) {
+        return res.status(403).json({ error: `API key lacks permission: ${missing.join(', ')}` });
+      }
+
+      const organizer = await loadOrganizer(apiKey.organizerId);
+      if (!organizer) {
+        return res.status(401).json({ error: 'API key owner no longer exists' });
+      }
+
+      req.apiKey = apiKey;
+      req.organizer = organizer;
+      next();
+    } catch (error) {
+      console.error('API key auth error:', error);
+      res.status(500).json({ error: 'Failed to verify API key' });
+    }
+  };
+}
+
+/**
+ * Accept an API key with the given scope, or fall back to the route's usual auth chain
+ * @param {string} scope - Scope an API key must hold
+ * @param {...Function} fallback - Middleware to run for non-API-key requests (e.g. JWT + organizer)
+ */
+function apiKeyOr(scope, ...fallback) {
+  const apiKeyAuth = requireApiKey(scope);
+
+  return (req, res, next) => {
+    if (isApiKeyRequest(req)) {
+      return apiKeyAuth(req, res, next);
+    }
+
+    // Async fallbacks (verifyToken, organizer loaders) must hand a rejection to Express instead of hanging
+    const run = (index) => (err) => {
+      if (err || index === fallback.length) return next(err);
+      Promise.resolve(fallback[index](req, res, run(index + 1))).catch(next);
+    };
+    run(0)();
+  };
+}
+
+module.exports = {
+  requireApiKey,
+  apiKeyOr,
+  isApiKeyRequest,
+};
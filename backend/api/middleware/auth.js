@@ -0,0 +1,36 @@
+/**
+ * JWT Authentication Middleware
+ * One access-token check and secret for every router; sets `req.user` from a live session's token
+ * @author Sowad Al-Mughni
+ */
+
+const { verifyAccessToken } = require('../../services/SessionService');
+
+// Security: Require JWT_SECRET in production
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('JWT_SECRET environment variable is required in production');
+}
+const JWT_SECRET = process.env.JWT_SECRET || 'nfticket-dev-secret-DO-NOT-USE-IN-PRODUCTION';
+
+/**
+ * Require a valid `Authorization: Bearer <jwt>` whose session has not been revoked
+ */
+async function verifyToken(req, res, next) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader?.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Authorization required' });
+  }
+
+  try {
+    const token = authHeader.split(' ')[1];
+    req.user = await verifyAccessToken(token, JWT_SECRET);
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+  next();
+}
+
+module.exports = {
+  JWT_SECRET,
+  verifyToken,
+};
@@ -0,0 +1,105 @@
+/**
+ * Role Authorization Middleware
+ * Shared checks for platform admin and organizer-scoped roles
+ * Runs after a route's JWT middleware (expects `req.user.address`)
+ * @author Sowad Al-Mughni
+ */
+
+const roleService = require('../../services/RoleService');
+
+const { ROLES } = roleService;
+
+/**
+ * Resolve the organizer a request acts on
+ * Uses an explicit `organizerId` (params, query or body), otherwise the organizer the caller owns,
+ * otherwise the caller's only membership.
+ */
+async function loadRequestedOrganizer(req) {
+  const organizerId = req.params?.organizerId || req.query?.organizerId || req.body?.organizerId;
+  if (organizerId) {
+    return roleService.findOrganizer({ id: organizerId });
+  }
+
+  const owned = await roleService.findOrganizer({ walletAddress: req.user.address });
+  if (owned) return owned;
+
+  const memberships = await roleService.listMemberships(req.user.address);
+  if (memberships.length === 1) {
+    return roleService.findOrganizer({ id: memberships[0].organizerId });
+  }
+  return null;
+}
+
+/**
+ * Error for an organizer loader whose target (event, rule, ...) does not exist
+ * requireOrganizerRole answers it with 404 and the message, before any role check.
+ */
+function notFound(message) {
+  return Object.assign(new Error(message), { status: 404 });
+}
+
+/**
+ * Require the caller to be a platform admin
+ */
+function requirePlatformAdmin(req, res, next) {
+  if (!req.user?.address) {
+    return res.status(401).json({ error: 'Authorization required' });
+  }
+
+  if (!roleService.isPlatformAdmin(req.user.address)) {
+    return res.status(403).json({ error: 'Platform admin access required' });
+  }
+
+  req.role = ROLES.PLATFORM_ADMIN;
+  next();
+}
+
+/**
+ * Require one of the given roles on the organizer the request acts on
+ * Platform admins always pass. Sets `req.organizer` (may be null for platform admins) and `req.role`.
+ * @param {string[]} roles - Accepted roles from ROLES
+ * @param {Function} [loadOrganizer] - async (req) => organizer the request targets; throws notFound() if the
+ *   target itself does not exist
+ */
+function requireOrganizerRole(roles, loadOrganizer = loadRequestedOrganizer) {
+  return async (req, res, next) => {
+    if (!req.user?.address) {
+      return res.status(401).json({ error: 'Authorization required' });
+    }
+
+    try {
+      const organizer = await loadOrganizer(req);
+
+      let role;
+      if (roleService.isPlatformAdmin(req.user.address)) {
+        role = ROLES.PLATFORM_ADMIN;
+      } else {
+        role = await roleService.getOrganizerRole(organizer, req.user.address);
+        if (!role) {
+          return res.status(403).json({ error: 'Organizer access required' });
+        }
+        if (!roles.includes(role)) {
+          return res.status(403).json({ error: `Requires role: ${roles.join(', ')}` });
+        }
+      }
+
+      req.organizer = organizer;
+      req.role = role;
+      next();
+    } catch (error) {
+      if (error.status === 404) {
+        return res.status(404).json({ error: error.message });
+      }
+      console.error('Role check error:', error);
+      res.status(500).json({ error: 'Failed to verify role' });
+    }
+  };
+}
+
+module.exports = {
+  ROLES,
+  requirePlatformAdmin,
+  requireOrganizerRole,
+  loadRequestedOrganizer,
+  notFound,
+};
@@ -0,0 +1,100 @@
+/**
+ * API Key Routes
+ * Organizers create, list and revoke API keys for server-to-server access
+ * @author Sowad Al-Mughni
+ */
+
+const express = require('express');
+const router = express.Router();
+const apiKeyService = require('../../services/ApiKeyService');
+const { verifyToken } = require('../middleware/auth');
+const { ROLES, requireOrganizerRole } = require('../middleware/roles');
+
+const { API_KEY_SCOPES } = apiKeyService;
+
+const MAX_KEYS_PER_ORGANIZER = 20;
+
+// Keys act for the organizer, so only its owner manages them
+router.use(verifyToken, requireOrganizerRole([ROLES.ORGANIZER]), (req, res, next) => {
+  if (!req.organizer) {
+    return res.status(400).json({ error: 'organizerId is required' });
+  }
+  next();
+});
+
+/**
+ * GET /api-keys
+ * List the organizer's API keys (secrets are never returned)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const keys = await apiKeyService.listApiKeys(req.organizer.id);
+    res.json({ count: keys.length, keys, scopes: Object.values(API_KEY_SCOPES) });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+/**
+ * POST /api-keys
+ * Create an API key; the secret is in the response and cannot be retrieved again
+ */
+router.post('/', async (req, res) => {
+  const { name, permissions = [API_KEY_SCOPES.READ], expiresAt } = req.body;
+
+  if (!name || typeof name !== 'string' || name.length > 100) {
+    return res.status(400).json({ error: 'name is required (max 100 characters)' });
+  }
+
+  const validScopes = Object.values(API_KEY_SCOPES);
+  if (!Array.isArray(permissions) || permissions.length === 0
+    || !permissions.every(scope => validScopes.includes(scope))) {
+    return res.status(400).json({ error: `permissions must be a non-empty list of: ${validScopes.join(', ')}` });
+  }
+
+  let expiry = null;
+  if (expiresAt) {
+    expiry = new Date(expiresAt);
+    if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+      return res.status(400).json({ error: 'expiresAt must be a future date' });
+    }
+  }
+
+  try {
+    const existing = await apiKeyService.listApiKeys(req.organizer.id);
+    if (existing.filter(k => !k.revokedAt).length >= MAX_KEYS_PER_ORGANIZER) {
+      return res.status(409).json({ error: `Limit of ${MAX_KEYS_PER_ORGANIZER} active API keys reached` });
+    }
+
+    const { apiKey, key } = await apiKeyService.createApiKey(req.organizer.id, {
+      name,
+      permissions: [...new Set(permissions)],
+      expiresAt: expiry,
+    });
+
+    res.status(201).json({ apiKey, key });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+/**
+ * DELETE /api-keys/:keyId
+ * Revoke an API key; it stops working immediately
+ */
+router.delete('/:keyId', async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.revokeApiKey(req.organizer.id, req.params.keyId);
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    res.json({ apiKey });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,272 @@
+/**
+ * Auth Routes
+ * Sign-In with Ethereum (EIP-4361) using single-use, server-issued nonces,
+ * short-lived access tokens and rotating refresh tokens
+ * @author Sowad Al-Mughni
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const router = express.Router();
+const signerService = require('../../services/SignerService');
+const nonceStorage = require('../../services/NonceStorage');
+const sessionService = require('../../services/SessionService');
+const { parseSiweMessage, formatSiweMessage, validateSiweMessage } = require('../../services/SiweMessage');
+const { JWT_SECRET, verifyToken } = require('../middleware/auth');
+
+const SIWE_STATEMENT = 'Sign in to NFTicket Protocol.';
+const DEFAULT_CHAIN_ID = parseInt(process.env.CHAIN_ID || '11155111');
+
+// Access + refresh token response shared by login and refresh
+function tokenResponse(session, refreshToken) {
+  return {
+    success: true,
+    token: sessionService.signAccessToken(session, JWT_SECRET),
+    expiresIn: sessionService.ACCESS_TOKEN_TTL_SECONDS,
+    refreshToken,
+    refreshExpiresAt: session.expiresAt,
+    sessionId: session.id,
+    address: session.walletAddress,
+    chainId: session.chainId,
+  };
+}
+
+// Origins a SIWE message may be issued for: SIWE_DOMAINS (host[:port] or origin), else the app URLs.
+// Only configuration counts - never the request's Host header - and nothing configured means no logins.
+function allowedOrigins() {
+  const configured = process.env.SIWE_DOMAINS
+    ? process.env.SIWE_DOMAINS.split(',')
+    : [
+      process.env.FRONTEND_URL,
+      process.env.DASHBOARD_URL,
+      process.env.MARKETPLACE_URL,
+      process.env.CONSUMER_APP_URL,
+    ];
+
+  return configured
+    .map(entry => entry?.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      try {
+        return new URL(entry.includes('://') ? entry : `https://${entry}`);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+function allowedDomains() {
+  return allowedOrigins().map(origin => origin.host.toLowerCase());
+}
+
+/**
+ * GET /auth/nonce
+ * Issue a single-use nonce for a SIWE message
+ * Pass `?address=` (and optionally `chainId` and `domain`) to get a ready-to-sign message for an app domain;
+ * the domain defaults to the first configured one (SIWE_DOMAINS, else FRONTEND_URL)
+ */
+router.get('/nonce', async (req, res) => {
+  const { address } = req.query;
+  const chainId = parseInt(req.query.chainId) || DEFAULT_CHAIN_ID;
+
+  if (address && !ethers.isAddress(address)) {
+    return res.status(400).json({ error: 'Invalid address' });
+  }
+
+  let origin = null;
+  if (address) {
+    const origins = allowedOrigins();
+    const domain = String(req.query.domain || '').toLowerCase();
+    origin = domain ? origins.find(o => o.host.toLowerCase() === domain) : origins[0];
+    if (!origin) {
+      return domain
+        ? res.status(400).json({ error: `Domain not allowed: ${domain}` })
+        : res.status(503).json({ error: 'Sign-in domains are not configured' });
+    }
+  }
+
+  try {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const expiresAt = await nonceStorage.issueAuthNonce(nonce);
+    const issuedAt = new Date().toISOString();
+
+    const response = {
+      nonce,
+      issuedAt,
+      expiresAt: new Date(expiresAt * 1000).toISOString(),
+      statement: SIWE_STATEMENT,
+    };
+
+    if (origin) {
+      response.message = formatSiweMessage({
+        domain: origin.host,
+        address,
+        statement: SIWE_STATEMENT,
+        uri: origin.origin,
+        chainId,
+        nonce,
+        issuedAt,
+      });
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Issue nonce error:', error);
+    res.status(500).json({ error: 'Failed to issue nonce' });
+  }
+});
+
+/**
+ * POST /auth/login
+ * Verify a signed SIWE message and start a session (access token + refresh token)
+ * Body: { message, signature } - `address` is optional and must match the message if sent
+ */
+router.post('/login', async (req, res) => {
+  const { message, signature, address } = req.body;
+
+  if (!message || !signature) {
+    return res.status(400).json({ error: 'Missing message or signature' });
+  }
+
+  let fields;
+  try {
+    fields = parseSiweMessage(message);
+  } catch (error) {
+    return res.status(400).json({ error: `Invalid SIWE message: ${error.message}` });
+  }
+
+  if (address && address.toLowerCase() !== fields.address.toLowerCase()) {
+    return res.status(401).json({ error: 'Address does not match signed message' });
+  }
+
+  const domains = allowedDomains();
+  if (domains.length === 0) {
+    console.error('Login rejected: set SIWE_DOMAINS or FRONTEND_URL');
+    return res.status(503).json({ error: 'Sign-in domains are not configured' });
+  }
+
+  const check = validateSiweMessage(fields, {
+    domains,
+    chainIds: signerService.getSupportedChains(),
+    maxAgeSeconds: nonceStorage.AUTH_NONCE_TTL_SECONDS,
+  });
+  if (!check.valid) {
+    return res.status(401).json({ error: check.reason });
+  }
+
+  try {
+    const isValid = await signerService.verifyWalletSignature(fields.address, message, signature, fields.chainId);
+    if (!isValid) {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    // Consume last so a bad signature cannot burn someone else's nonce
+    const consumed = await nonceStorage.consumeAuthNonce(fields.nonce);
+    if (!consumed) {
+      return res.status(401).json({ error: 'Invalid, expired or already used nonce' });
+    }
+
+    const { session, refreshToken } = await sessionService.createSession({
+      walletAddress: fields.address,
+      chainId: fields.chainId,
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip,
+    });
+
+    res.json(tokenResponse(session, refreshToken));
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+});
+
+/**
+ * POST /auth/refresh
+ * Exchange a refresh token for a new access token and refresh token
+ * Each refresh token works once; replaying an old one revokes the session
+ */
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return res.status(400).json({ error: 'refreshToken is required' });
+  }
+
+  try {
+    const result = await sessionService.rotateRefreshToken(refreshToken);
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    res.json(tokenResponse(result.session, result.refreshToken));
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+/**
+ * POST /auth/logout
+ * End the current session, or every session of the wallet with `{ all: true }`
+ */
+router.post('/logout', verifyToken, async (req, res) => {
+  try {
+    if (req.body?.all) {
+      const revoked = await sessionService.revokeAllSessions(req.user.address);
+      return res.json({ success: true, revoked });
+    }
+
+    if (!req.user.sid) {
+      return res.status(400).json({ error: 'Token is not bound to a session' });
+    }
+
+    await sessionService.revokeSession(req.user.sid, {
+      walletAddress: req.user.address,
+      reason: sessionService.REVOKE_REASONS.LOGOUT,
+    });
+    res.json({ success: true, revoked: 1 });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+/**
+ * GET /auth/sessions
+ * List the wallet's active sessions (devices)
+ */
+router.get('/sessions', verifyToken, async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.address);
+    res.json({
+      count: sessions.length,
+      sessions: sessions.map(session => ({ ...session, current: session.id === req.user.sid })),
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+/**
+ * DELETE /auth/sessions/:sessionId
+ * Revoke one of the wallet's sessions (e.g. a lost phone)
+ */
+router.delete('/sessions/:sessionId', verifyToken, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeSession(req.params.sessionId, {
+      walletAddress: req.user.address,
+    });
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ success: true, revoked: req.params.sessionId });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+module.exports = router;
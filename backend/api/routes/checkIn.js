@@ -0,0 +1,327 @@
+/**
+ * Check-In Routes
+ * Gate scanners admit tickets to a session (day); each entry a ticket allows is admitted once across every gate and device
+ * Scanners can download a signed snapshot to verify tickets offline, then sync the scans they queued
+ * @author Sowad Al-Mughni
+ */
+
+const express = require('express');
+const router = express.Router();
+const signerService = require('../../services/SignerService');
+const eventCatalog = require('../../services/EventCatalog');
+const roleService = require('../../services/RoleService');
+const checkInService = require('../../services/CheckInService');
+const scannerSnapshot = require('../../services/ScannerSnapshot');
+const { verifyToken } = require('../middleware/auth');
+const { ROLES, requireOrganizerRole } = require('../middleware/roles');
+
+const MAX_SYNC_SCANS = 500;
+const CLOCK_SKEW_SECONDS = 60;
+
+// Organizer of the catalog event behind the scanned proof's contract (sets req.ticketEvent)
+async function loadProofOrganizer(req) {
+  const { chainId, contractAddress } = signerService.getProofTarget(req.body?.data);
+  req.ticketEvent = contractAddress ? await eventCatalog.findEventByContract(chainId, contractAddress) : null;
+  return req.ticketEvent ? roleService.findOrganizer({ id: req.ticketEvent.organizerId }) : null;
+}
+
+// Organizer of the event in the URL (sets req.event)
+async function loadEventOrganizer(req) {
+  req.event = await eventCatalog.getEvent(req.params.eventId);
+  return req.event ? roleService.findOrganizer({ id: req.event.organizerId }) : null;
+}
+
+// Time an offline scan happened, as unix seconds (null if missing, invalid or in the future)
+function offlineScanTime(value) {
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time) || time / 1000 > Date.now() / 1000 + CLOCK_SKEW_SECONDS) return null;
+  return Math.floor(time / 1000);
+}
+
+// Session (day) a scan is for: 0 when not given, null if not a valid session index
+function sessionNumber(value) {
+  if (value === undefined || value === null || value === '') return 0;
+  const session = Number(value);
+  return Number.isInteger(session) && session >= 0 && session <= 255 ? session : null;
+}
+
+// Free-text gate/device labels from scanner apps
+function label(value) {
+  return typeof value === 'string' && value.trim() ? value.trim().slice(0, 100) : null;
+}
+
+router.use(verifyToken);
+
+/**
+ * POST /check-in
+ * Scan a ticket QR at the gate (organizer, staff or scanner of the ticket's event)
+ * Body: { data, signature, session?, gate?, deviceId? } - data/signature as shown in the holder's QR code,
+ * session is the day being entered (default 0)
+ * 200 admitted, 409 no entry left for the session (any gate), 403 ticket not valid for the session,
+ * 401 invalid/expired/replayed proof
+ */
+router.post('/', requireOrganizerRole([ROLES.ORGANIZER, ROLES.STAFF, ROLES.SCANNER], loadProofOrganizer), async (req, res) => {
+  const { data, signature } = req.body;
+
+  if (!data || !signature) {
+    return res.status(400).json({ error: 'Missing data or signature' });
+  }
+
+  if (!req.ticketEvent) {
+    return res.status(404).json({ error: 'No event is linked to this ticket contract' });
+  }
+
+  const session = sessionNumber(req.body.session);
+  if (session === null) {
+    return res.status(400).json({ error: 'session must be an integer from 0 to 255' });
+  }
+
+  const scan = {
+    eventId: req.ticketEvent.id,
+    session,
+    gate: label(req.body.gate),
+    deviceId: label(req.body.deviceId),
+    scannedBy: req.user.address,
+  };
+
+  try {
+    const result = await signerService.verifyTicketProof(data, signature);
+
+    if (!result.valid) {
+      const { chainId, contractAddress } = signerService.getProofTarget(data);
+      const checkIn = await checkInService.recordRejection({
+        ...scan,
+        chainId,
+        contractAddress,
+        tokenId: data.tokenId,
+        holderAddress: data.owner,
+        reason: result.reason,
+      });
+      return res.status(401).json({ success: false, result: checkIn.result, message: result.reason, checkIn });
+    }
+
+    const ticket = {
+      ...scan,
+      chainId: result.chainId,
+      contractAddress: result.contractAddress,
+      tokenId: String(result.tokenId),
+      holderAddress: result.owner,
+    };
+
+    const pass = await signerService.getTicketPass(result.chainId, result.contractAddress, result.tokenId);
+    if (!pass.sessions.includes(session)) {
+      const reason = `Ticket is not valid for session ${session}`;
+      const checkIn = await checkInService.recordRejection({ ...ticket, reason });
+      return res.status(403).json({ success: false, result: checkIn.result, message: reason, checkIn });
+    }
+
+    const outcome = await checkInService.admitTicket({ ...ticket, entriesPerSession: pass.entriesPerSession });
+
+    if (!outcome.admitted) {
+      return res.status(409).json({
+        success: false,
+        result: outcome.checkIn.result,
+        message: outcome.checkIn.reason,
+        checkIn: outcome.checkIn,
+        firstCheckIn: outcome.firstCheckIn,
+      });
+    }
+
+    res.json({
+      success: true,
+      result: outcome.checkIn.result,
+      message: 'Ticket Valid',
+      tokenId: Number(result.tokenId),
+      owner: result.owner,
+      chainId: result.chainId,
+      event: {
+        id: req.ticketEvent.id,
+        name: req.ticketEvent.name,
+        venue: req.ticketEvent.venue,
+        date: req.ticketEvent.date,
+      },
+      checkIn: outcome.checkIn,
+    });
+  } catch (error) {
+    console.error('Check-in error:', error);
+    res.status(500).json({ error: 'Failed to check in ticket' });
+  }
+});
+
+/**
+ * GET /check-in/events/:eventId
+ * Scan log and entry counts for an event (organizer or staff)
+ * Query: result (admitted, duplicate, rejected), gate, limit
+ */
+router.get('/events/:eventId', requireOrganizerRole([ROLES.ORGANIZER, ROLES.STAFF], loadEventOrganizer), async (req, res) => {
+  if (!req.event) {
+    return res.status(404).json({ error: 'Event not found' });
+  }
+
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const [stats, checkIns] = await Promise.all([
+      checkInService.getStats(req.event.id),
+      checkInService.listCheckIns({
+        eventId: req.event.id,
+        result: req.query.result,
+        gate: req.query.gate,
+        limit,
+      }),
+    ]);
+    res.json({ eventId: req.event.id, stats, count: checkIns.length, checkIns });
+  } catch (error) {
+    console.error('List check-ins error:', error);
+    res.status(500).json({ error: 'Failed to fetch check-ins' });
+  }
+});
+
+/**
+ * GET /check-in/events/:eventId/snapshot
+ * Signed attendee snapshot of a session for offline scanning (organizer, staff or scanner)
+ * Query: session (default 0)
+ * Verify `signature` over `digest` (keccak256 of the snapshot JSON) against `snapshot.proof.signer`,
+ * which must match the signer from GET /proof/config
+ */
+router.get('/events/:eventId/snapshot', requireOrganizerRole([ROLES.ORGANIZER, ROLES.STAFF, ROLES.SCANNER], loadEventOrganizer), async (req, res) => {
+  if (!req.event) {
+    return res.status(404).json({ error: 'Event not found' });
+  }
+
+  const session = sessionNumber(req.query.session);
+  if (session === null) {
+    return res.status(400).json({ error: 'session must be an integer from 0 to 255' });
+  }
+
+  try {
+    const result = await scannerSnapshot.buildSnapshot(req.event, session);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Build snapshot error:', error);
+    res.status(502).json({ error: 'Failed to read tickets from chain' });
+  }
+});
+
+/**
+ * POST /check-in/events/:eventId/sync
+ * Upload scans a scanner admitted while offline and reconcile them (organizer, staff or scanner)
+ * Body: { deviceId, session?, scans: [{ clientScanId, data, signature, scannedAt, session?, gate? }] }
+ * A scan's session defaults to the body's session, then 0. Scans are applied oldest first. A scan past the ticket's
+ * entries for its session (used up at another gate during the outage, or online) comes back as `duplicate`
+ * with the `firstCheckIn`. Re-sending a scan returns its recorded result.
+ */
+router.post('/events/:eventId/sync', requireOrganizerRole([ROLES.ORGANIZER, ROLES.STAFF, ROLES.SCANNER], loadEventOrganizer), async (req, res) => {
+  const { scans } = req.body;
+
+  if (!req.event) {
+    return res.status(404).json({ error: 'Event not found' });
+  }
+
+  if (!Array.isArray(scans) || scans.length === 0) {
+    return res.status(400).json({ error: 'scans must be a non-empty array' });
+  }
+
+  if (scans.length > MAX_SYNC_SCANS) {
+    return res.status(400).json({ error: `At most ${MAX_SYNC_SCANS} scans per sync` });
+  }
+
+  const deviceId = label(req.body.deviceId);
+  const ordered = [...scans].sort((a, b) => new Date(a?.scannedAt) - new Date(b?.scannedAt));
+  const results = [];
+
+  for (const item of ordered) {
+    const clientScanId = label(item?.clientScanId);
+    if (!clientScanId || !item.data || !item.signature) {
+      results.push({ clientScanId, result: checkInService.CHECK_IN_RESULT.REJECTED, reason: 'clientScanId, data and signature are required' });
+      continue;
+    }
+
+    try {
+      const existing = await checkInService.findByClientScanId(clientScanId);
+      if (existing) {
+        results.push({ clientScanId, result: existing.result, reason: existing.reason, checkIn: existing });
+        continue;
+      }
+
+      const { chainId, contractAddress } = signerService.getProofTarget(item.data);
+      const session = sessionNumber(item.session ?? req.body.session);
+      const scan = {
+        eventId: req.event.id,
+        session: session ?? 0,
+        chainId,
+        contractAddress: contractAddress || req.event.contractAddress,
+        gate: label(item.gate),
+        deviceId,
+        scannedBy: req.user.address,
+        offline: true,
+        clientScanId,
+      };
+
+      const scannedAt = offlineScanTime(item.scannedAt);
+      let reason = null;
+      let verified = null;
+      if (scannedAt === null) {
+        reason = 'Invalid scan time';
+      } else if (session === null) {
+        reason = 'Invalid session';
+      } else if (chainId !== req.event.chainId || contractAddress?.toLowerCase() !== req.event.contractAddress?.toLowerCase()) {
+        reason = 'Ticket is not for this event';
+      } else {
+        // No nonce check: each entry is only admitted once, and the same QR may have been shown at several offline gates
+        verified = await signerService.verifyTicketProof(item.data, item.signature, { scannedAt, consumeNonce: false });
+        if (!verified.valid) reason = verified.reason;
+      }
+
+      let pass = null;
+      if (!reason) {
+        pass = await signerService.getTicketPass(chainId, contractAddress, verified.tokenId);
+        if (!pass.sessions.includes(session)) reason = `Ticket is not valid for session ${session}`;
+      }
+
+      if (reason) {
+        const checkIn = await checkInService.recordRejection({
+          ...scan,
+          tokenId: item.data.tokenId,
+          holderAddress: item.data.owner,
+          reason,
+          ...(scannedAt !== null && { scannedAt: new Date(scannedAt * 1000) }),
+        });
+        results.push({ clientScanId, result: checkIn.result, reason, checkIn });
+        continue;
+      }
+
+      const outcome = await checkInService.admitTicket({
+        ...scan,
+        entriesPerSession: pass.entriesPerSession,
+        tokenId: String(verified.tokenId),
+        holderAddress: verified.owner,
+        scannedAt: new Date(scannedAt * 1000),
+      });
+      results.push({
+        clientScanId,
+        result: outcome.checkIn.result,
+        reason: outcome.checkIn.reason,
+        checkIn: outcome.checkIn,
+        ...(outcome.firstCheckIn !== undefined && { firstCheckIn: outcome.firstCheckIn }),
+      });
+    } catch (error) {
+      console.error(`Sync scan ${clientScanId} error:`, error);
+      results.push({ clientScanId, result: 'error', reason: 'Failed to sync scan, retry later' });
+    }
+  }
+
+  const count = (result) => results.filter(r => r.result === result).length;
+  res.json({
+    eventId: req.event.id,
+    synced: results.filter(r => r.result !== 'error').length,
+    admitted: count(checkInService.CHECK_IN_RESULT.ADMITTED),
+    duplicates: count(checkInService.CHECK_IN_RESULT.DUPLICATE),
+    rejected: count(checkInService.CHECK_IN_RESULT.REJECTED),
+    results,
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,795 @@
+/**
+ * Event Routes
+ * Organizer-scoped event catalog and ticket tier management
+ * @author Sowad Al-Mughni
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { ethers } = require('ethers');
+const router = express.Router();
+const eventCatalog = require('../../services/EventCatalog');
+const roleService = require('../../services/RoleService');
+const mintQueue = require('../../services/MintQueue');
+const signerService = require('../../services/SignerService');
+const { API_KEY_SCOPES } = require('../../services/ApiKeyService');
+const { verifyToken } = require('../middleware/auth');
+const { apiKeyOr } = require('../middleware/apiKeyAuth');
+const { ROLES, requireOrganizerRole, loadRequestedOrganizer, notFound } = require('../middleware/roles');
+
+const { EVENT_STATUS } = eventCatalog;
+
+const TICKET_METADATA_BASE_URL = process.env.TICKET_METADATA_BASE_URL || 'https://api.nfticket.example.com/tickets/';
+
+const MAX_AIRDROP_RECIPIENTS = 100;
+// Idempotency-Key values accepted by the airdrop route
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const MAX_ALLOWLIST_SIZE = 5000;
+
+// Statuses visible in the public catalog
+const PUBLIC_STATUSES = [EVENT_STATUS.PUBLISHED, EVENT_STATUS.SOLD_OUT, EVENT_STATUS.COMPLETED];
+
+// Statuses in which an event (and its tiers) can no longer be edited
+const LOCKED_STATUSES = [EVENT_STATUS.CANCELLED, EVENT_STATUS.COMPLETED];
+
+// Organizer the request acts on: the owner of the event in the URL, otherwise the requested organizer
+// Events stay hidden (404) from wallets with no role on their organizer
+async function loadTargetOrganizer(req) {
+  if (!req.params.eventId) return loadRequestedOrganizer(req);
+
+  const event = await eventCatalog.getEvent(req.params.eventId);
+  const organizer = event ? await roleService.findOrganizer({ id: event.organizerId }) : null;
+  if (!organizer || (!roleService.isPlatformAdmin(req.user.address)
+    && !(await roleService.getOrganizerRole(organizer, req.user.address)))) {
+    throw notFound('Event not found');
+  }
+
+  req.event = event;
+  return organizer;
+}
+
+// Organizer auth: a JWT session of the organizer or its staff, or an organizer API key holding the given scope
+function organizerAuth(scope) {
+  return apiKeyOr(scope, verifyToken, requireOrganizerRole([ROLES.ORGANIZER, ROLES.STAFF], loadTargetOrganizer));
+}
+
+const canRead = organizerAuth(API_KEY_SCOPES.READ);
+const canWrite = organizerAuth(API_KEY_SCOPES.EVENTS_WRITE);
+const canMint = organizerAuth(API_KEY_SCOPES.TICKETS_MINT);
+
+// Load the event named in the URL and check it belongs to the organizer the caller acts for
+async function loadOwnedEvent(req, res, next) {
+  try {
+    const event = req.event || await eventCatalog.getEvent(req.params.eventId);
+
+    if (!event || event.organizerId !== req.organizer?.id) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    req.event = event;
+    next();
+  } catch (error) {
+    console.error('Load event error:', error);
+    res.status(500).json({ error: 'Failed to load event' });
+  }
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function parseDate(value) {
+  const date = new Date(typeof value === 'number' ? value * 1000 : value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function toUnixSeconds(date) {
+  return date ? Math.floor(new Date(date).getTime() / 1000) : 0;
+}
+
+/**
+ * Validate event fields from a request body
+ * @param {Object} body - Request body
+ * @param {boolean} partial - True for updates (no required fields)
+ * @returns {{ data?: Object, error?: string }}
+ */
+function parseEventInput(body, partial) {
+  const data = {};
+
+  for (const field of ['name', 'venue']) {
+    if (body[field] !== undefined) {
+      if (!isNonEmptyString(body[field])) return { error: `${field} must be a non-empty string` };
+      data[field] = body[field].trim();
+    } else if (!partial) {
+      return { error: 'name, venue and date are required' };
+    }
+  }
+
+  if (body.date !== undefined) {
+    data.date = parseDate(body.date);
+    if (!data.date) return { error: 'Invalid date' };
+  } else if (!partial) {
+    return { error: 'name, venue and date are required' };
+  }
+
+  if (body.endDate !== undefined) {
+    data.endDate = body.endDate === null ? null : parseDate(body.endDate);
+    if (body.endDate !== null && !data.endDate) return { error: 'Invalid endDate' };
+    if (data.endDate && data.date && data.endDate < data.date) {
+      return { error: 'endDate must be after date' };
+    }
+  }
+
+  if (body.description !== undefined) data.description = body.description || null;
+  if (body.timezone !== undefined) {
+    if (!isNonEmptyString(body.timezone)) return { error: 'Invalid timezone' };
+    data.timezone = body.timezone;
+  }
+  if (body.venueConfig !== undefined) data.venueConfig = body.venueConfig;
+
+  if (body.royaltyCap !== undefined) {
+    const royaltyCap = Number(body.royaltyCap);
+    if (!Number.isInteger(royaltyCap) || royaltyCap < 0 || royaltyCap > 2500) {
+      return { error: 'royaltyCap must be basis points between 0 and 2500' };
+    }
+    data.royaltyCap = royaltyCap;
+  }
+
+  if (body.maxPrice !== undefined) {
+    if (!/^\d+$/.test(String(body.maxPrice))) {
+      return { error: 'maxPrice must be an integer amount in the smallest payment token unit' };
+    }
+    data.maxPrice = String(body.maxPrice);
+  }
+
+  // ERC-20 settlement token (null switches back to the native coin)
+  if (body.paymentToken !== undefined) {
+    if (body.paymentToken === null) {
+      data.paymentToken = null;
+      data.paymentTokenSymbol = null;
+      data.paymentTokenDecimals = null;
+    } else {
+      if (!ethers.isAddress(body.paymentToken)) return { error: 'paymentToken must be a valid address' };
+      if (!isNonEmptyString(body.paymentTokenSymbol) || body.paymentTokenSymbol.length > 11) {
+        return { error: 'paymentTokenSymbol required (at most 11 characters)' };
+      }
+      const decimals = Number(body.paymentTokenDecimals);
+      if (!Number.isInteger(decimals) || decimals < 0 || decimals > 36) {
+        return { error: 'paymentTokenDecimals must be an integer between 0 and 36' };
+      }
+      data.paymentToken = ethers.getAddress(body.paymentToken);
+      data.paymentTokenSymbol = body.paymentTokenSymbol.trim();
+      data.paymentTokenDecimals = decimals;
+    }
+  }
+
+  return { data };
+}
+
+/**
+ * Validate a contract link (address + chain, optionally the TicketSale module)
+ * @returns {{ data?: Object, error?: string }}
+ */
+function parseContractInput(body) {
+  const { contractAddress, chainId, saleContract } = body;
+
+  if (!contractAddress || !ethers.isAddress(contractAddress)) {
+    return { error: 'Valid contractAddress required' };
+  }
+
+  const chain = parseInt(chainId, 10);
+  if (!Number.isInteger(chain) || chain <= 0) {
+    return { error: 'Valid chainId required' };
+  }
+
+  const data = { contractAddress: ethers.getAddress(contractAddress), chainId: chain };
+
+  if (saleContract !== undefined) {
+    if (saleContract !== null && !ethers.isAddress(saleContract)) {
+      return { error: 'saleContract must be a valid address' };
+    }
+    data.saleContract = saleContract && ethers.getAddress(saleContract);
+  }
+
+  return { data };
+}
+
+/**
+ * Check a contract link before saving it. Proofs, gas sponsorship and check-in trust the link,
+ * so the contract must back no other event and the organizer's wallet must run it on-chain
+ * @param {Object} organizer - Organizer the event belongs to
+ * @param {Object} data - parseContractInput() data
+ * @param {string} [eventId] - Event being relinked
+ * @returns {Promise<{ status?: number, error?: string }>}
+ */
+async function checkContractLink(organizer, data, eventId = null) {
+  const linked = await eventCatalog.findEventByContract(data.chainId, data.contractAddress);
+  if (linked && linked.id !== eventId) {
+    return { status: 409, error: 'Contract is already linked to another event' };
+  }
+
+  try {
+    if (!(await signerService.isContractOrganizer(data.chainId, data.contractAddress, organizer.walletAddress))) {
+      return { status: 403, error: 'Organizer wallet is neither the event organizer nor an admin of this contract' };
+    }
+  } catch (error) {
+    console.error('Contract link check error:', error.message);
+    return { status: 502, error: 'Failed to verify the contract on chain' };
+  }
+  return {};
+}
+
+/**
+ * Validate ticket tier fields from a request body
+ * @param {Object} body - Request body
+ * @param {boolean} partial - True for updates (no required fields)
+ * @returns {{ data?: Object, error?: string }}
+ */
+function parseTierInput(body, partial) {
+  const data = {};
+
+  if (body.name !== undefined) {
+    if (!isNonEmptyString(body.name)) return { error: 'name must be a non-empty string' };
+    data.name = body.name.trim();
+  } else if (!partial) {
+    return { error: 'name, price and supply are required' };
+  }
+
+  if (body.price !== undefined) {
+    if (!/^\d+(\.\d{1,2})?$/.test(String(body.price))) {
+      return { error: 'price must be a non-negative amount with at most 2 decimals' };
+    }
+    data.price = String(body.price);
+  } else if (!partial) {
+    return { error: 'name, price and supply are required' };
+  }
+
+  if (body.supply !== undefined) {
+    const supply = Number(body.supply);
+    if (!Number.isInteger(supply) || supply < 0) return { error: 'supply must be a non-negative integer' };
+    data.supply = supply;
+  } else if (!partial) {
+    return { error: 'name, price and supply are required' };
+  }
+
+  if (body.currency !== undefined) {
+    if (!/^[A-Za-z]{3}$/.test(String(body.currency))) return { error: 'currency must be a 3-letter code' };
+    data.currency = body.currency.toUpperCase();
+  }
+
+  for (const field of ['description', 'sectionId', 'category']) {
+    if (body[field] !== undefined) data[field] = body[field] || null;
+  }
+
+  // On-chain sale rules (published to the event's TicketSale module)
+  if (body.onChainSupply !== undefined) {
+    const onChainSupply = Number(body.onChainSupply);
+    if (!Number.isInteger(onChainSupply) || onChainSupply < 0) {
+      return { error: 'onChainSupply must be a non-negative integer' };
+    }
+    data.onChainSupply = onChainSupply;
+  }
+  if (data.supply !== undefined && data.onChainSupply > data.supply) {
+    return { error: 'onChainSupply cannot exceed supply' };
+  }
+
+  if (body.onChainPrice !== undefined) {
+    if (body.onChainPrice !== null && !/^\d+$/.test(String(body.onChainPrice))) {
+      return { error: 'onChainPrice must be an integer amount in the smallest payment token unit' };
+    }
+    data.onChainPrice = body.onChainPrice === null ? null : String(body.onChainPrice);
+  }
+
+  if (body.maxPerWallet !== undefined) {
+    const maxPerWallet = body.maxPerWallet === null ? null : Number(body.maxPerWallet);
+    if (maxPerWallet !== null && (!Number.isInteger(maxPerWallet) || maxPerWallet < 0)) {
+      return { error: 'maxPerWallet must be a non-negative integer' };
+    }
+    data.maxPerWallet = maxPerWallet;
+  }
+
+  for (const field of ['presaleStart', 'saleStart', 'saleEnd']) {
+    if (body[field] !== undefined) {
+      data[field] = body[field] === null ? null : parseDate(body[field]);
+      if (body[field] !== null && !data[field]) return { error: `Invalid ${field}` };
+    }
+  }
+  if (data.saleStart && data.saleEnd && data.saleEnd <= data.saleStart) {
+    return { error: 'saleEnd must be after saleStart' };
+  }
+
+  if (body.allowlist !== undefined) {
+    if (!Array.isArray(body.allowlist) || body.allowlist.length > MAX_ALLOWLIST_SIZE) {
+      return { error: `allowlist must be an array of at most ${MAX_ALLOWLIST_SIZE} addresses` };
+    }
+    const invalid = body.allowlist.find(address => !ethers.isAddress(address));
+    if (invalid !== undefined) return { error: `Invalid allowlist address: ${invalid}` };
+    data.allowlist = [...new Set(body.allowlist.map(address => ethers.getAddress(address)))];
+  }
+
+  return { data };
+}
+
+// ============ Public Routes ============
+
+/**
+ * GET /events
+ * List published events (public catalog)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const events = await eventCatalog.listEvents({ statuses: PUBLIC_STATUSES });
+    res.json({ count: events.length, events });
+  } catch (error) {
+    console.error('List events error:', error);
+    res.status(500).json({ error: 'Failed to fetch events' });
+  }
+});
+
+// ============ Organizer Routes ============
+
+/**
+ * GET /events/mine
+ * List all of the current organizer's events, including drafts
+ */
+router.get('/mine', canRead, async (req, res) => {
+  if (!req.organizer) {
+    return res.status(400).json({ error: 'organizerId is required' });
+  }
+
+  try {
+    const events = await eventCatalog.listEvents({ organizerId: req.organizer.id });
+    res.json({ count: events.length, events });
+  } catch (error) {
+    console.error('List my events error:', error);
+    res.status(500).json({ error: 'Failed to fetch events' });
+  }
+});
+
+/**
+ * POST /events
+ * Create a draft event (optionally already linked to a deployed contract)
+ */
+router.post('/', canWrite, async (req, res) => {
+  if (!req.organizer) {
+    return res.status(400).json({ error: 'organizerId is required' });
+  }
+
+  const { data, error } = parseEventInput(req.body, false);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (req.body.contractAddress !== undefined) {
+    const contract = parseContractInput(req.body);
+    if (contract.error) {
+      return res.status(400).json({ error: contract.error });
+    }
+    Object.assign(data, contract.data);
+  }
+
+  try {
+    if (data.contractAddress) {
+      const link = await checkContractLink(req.organizer, data);
+      if (link.error) {
+        return res.status(link.status).json({ error: link.error });
+      }
+    }
+
+    const event = await eventCatalog.createEvent(req.organizer.id, data);
+    res.status(201).json({ event });
+  } catch (err) {
+    if (err.code === 'P2002') {
+      return res.status(409).json({ error: 'Contract is already linked to another event' });
+    }
+    console.error('Create event error:', err);
+    res.status(500).json({ error: 'Failed to create event' });
+  }
+});
+
+/**
+ * GET /events/:eventId
+ * Get a published event with its tiers (public)
+ */
+router.get('/:eventId', async (req, res) => {
+  try {
+    const event = await eventCatalog.getEvent(req.params.eventId);
+
+    if (!event || !PUBLIC_STATUSES.includes(event.status)) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    res.json({ event });
+  } catch (error) {
+    console.error('Fetch event error:', error);
+    res.status(500).json({ error: 'Failed to fetch event' });
+  }
+});
+
+/**
+ * PUT /events/:eventId
+ * Update event details
+ */
+router.put('/:eventId', canWrite, loadOwnedEvent, async (req, res) => {
+  if (LOCKED_STATUSES.includes(req.event.status)) {
+    return res.status(409).json({ error: `Cannot edit a ${req.event.status.toLowerCase()} event` });
+  }
+
+  const { data, error } = parseEventInput(req.body, true);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const endDate = data.endDate !== undefined ? data.endDate : req.event.endDate;
+  const date = data.date || req.event.date;
+  if (endDate && new Date(endDate) < new Date(date)) {
+    return res.status(400).json({ error: 'endDate must be after date' });
+  }
+
+  try {
+    const event = await eventCatalog.updateEvent(req.event.id, data);
+    res.json({ event });
+  } catch (err) {
+    console.error('Update event error:', err);
+    res.status(500).json({ error: 'Failed to update event' });
+  }
+});
+
+/**
+ * PUT /events/:eventId/contract
+ * Link the NFTicket contract deployed for this event (drafts only; the link is fixed once published)
+ */
+router.put('/:eventId/contract', canWrite, loadOwnedEvent, async (req, res) => {
+  if (LOCKED_STATUSES.includes(req.event.status)) {
+    return res.status(409).json({ error: `Cannot edit a ${req.event.status.toLowerCase()} event` });
+  }
+  if (req.event.status !== EVENT_STATUS.DRAFT) {
+    return res.status(409).json({ error: 'Cannot change the contract of a published event' });
+  }
+
+  const { data, error } = parseContractInput(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const link = await checkContractLink(req.organizer, data, req.event.id);
+    if (link.error) {
+      return res.status(link.status).json({ error: link.error });
+    }
+
+    const event = await eventCatalog.updateEvent(req.event.id, data);
+    res.json({ event });
+  } catch (err) {
+    if (err.code === 'P2002') {
+      return res.status(409).json({ error: 'Contract is already linked to another event' });
+    }
+    console.error('Link contract error:', err);
+    res.status(500).json({ error: 'Failed to link contract' });
+  }
+});
+
+/**
+ * POST /events/:eventId/publish
+ * Publish a draft event to the public catalog
+ */
+router.post('/:eventId/publish', canWrite, loadOwnedEvent, async (req, res) => {
+  if (req.event.status !== EVENT_STATUS.DRAFT) {
+    return res.status(409).json({ error: 'Only draft events can be published' });
+  }
+
+  if (!req.event.contractAddress) {
+    return res.status(409).json({ error: 'Link a deployed contract before publishing' });
+  }
+
+  try {
+    const event = await eventCatalog.updateEvent(req.event.id, {
+      status: EVENT_STATUS.PUBLISHED,
+      publishedAt: new Date(),
+    });
+    res.json({ event });
+  } catch (error) {
+    console.error('Publish event error:', error);
+    res.status(500).json({ error: 'Failed to publish event' });
+  }
+});
+
+/**
+ * POST /events/:eventId/cancel
+ * Cancel an event
+ */
+router.post('/:eventId/cancel', canWrite, loadOwnedEvent, async (req, res) => {
+  if (LOCKED_STATUSES.includes(req.event.status)) {
+    return res.status(409).json({ error: `Event is already ${req.event.status.toLowerCase()}` });
+  }
+
+  try {
+    const event = await eventCatalog.updateEvent(req.event.id, { status: EVENT_STATUS.CANCELLED });
+    res.json({ event });
+  } catch (error) {
+    console.error('Cancel event error:', error);
+    res.status(500).json({ error: 'Failed to cancel event' });
+  }
+});
+
+// ============ Ticket Tier Routes ============
+
+/**
+ * GET /events/:eventId/tiers
+ * List an event's ticket tiers (organizer view, includes drafts)
+ */
+router.get('/:eventId/tiers', canRead, loadOwnedEvent, (req, res) => {
+  res.json({ count: req.event.tiers.length, tiers: req.event.tiers });
+});
+
+/**
+ * POST /events/:eventId/tiers
+ * Add a ticket tier to an event
+ */
+router.post('/:eventId/tiers', canWrite, loadOwnedEvent, async (req, res) => {
+  if (LOCKED_STATUSES.includes(req.event.status)) {
+    return res.status(409).json({ error: `Cannot edit a ${req.event.status.toLowerCase()} event` });
+  }
+
+  const { data, error } = parseTierInput(req.body, false);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const tier = await eventCatalog.createTier(req.event.id, data);
+    res.status(201).json({ tier });
+  } catch (err) {
+    console.error('Create tier error:', err);
+    res.status(500).json({ error: 'Failed to create tier' });
+  }
+});
+
+/**
+ * PUT /events/:eventId/tiers/:tierId
+ * Update a ticket tier (tickets sold must still fit in supply minus the on-chain allocation)
+ */
+router.put('/:eventId/tiers/:tierId', canWrite, loadOwnedEvent, async (req, res) => {
+  if (LOCKED_STATUSES.includes(req.event.status)) {
+    return res.status(409).json({ error: `Cannot edit a ${req.event.status.toLowerCase()} event` });
+  }
+
+  const existing = req.event.tiers.find(t => t.id === req.params.tierId);
+  if (!existing) {
+    return res.status(404).json({ error: 'Tier not found' });
+  }
+
+  const { data, error } = parseTierInput(req.body, true);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  // TicketSale may already have sold into the allocation, so it can only grow once published
+  if (existing.onChainTierId !== null && data.onChainSupply < existing.onChainSupply) {
+    return res.status(409).json({ error: 'onChainSupply cannot be lowered after the tier is published on-chain' });
+  }
+
+  try {
+    const tier = await eventCatalog.updateTier(existing.id, data);
+    if (!tier) {
+      return res.status(409).json({ error: 'Tickets already sold must fit in supply minus onChainSupply' });
+    }
+    res.json({ tier });
+  } catch (err) {
+    console.error('Update tier error:', err);
+    res.status(500).json({ error: 'Failed to update tier' });
+  }
+});
+
+/**
+ * DELETE /events/:eventId/tiers/:tierId
+ * Delete a ticket tier that has no sales
+ */
+router.delete('/:eventId/tiers/:tierId', canWrite, loadOwnedEvent, async (req, res) => {
+  if (LOCKED_STATUSES.includes(req.event.status)) {
+    return res.status(409).json({ error: `Cannot edit a ${req.event.status.toLowerCase()} event` });
+  }
+
+  const existing = req.event.tiers.find(t => t.id === req.params.tierId);
+  if (!existing) {
+    return res.status(404).json({ error: 'Tier not found' });
+  }
+
+  try {
+    const deleted = await eventCatalog.deleteTier(existing.id);
+    if (!deleted) {
+      return res.status(409).json({ error: 'Cannot delete a tier with tickets sold' });
+    }
+    res.json({ success: true, deleted: existing.id });
+  } catch (error) {
+    console.error('Delete tier error:', error);
+    res.status(500).json({ error: 'Failed to delete tier' });
+  }
+});
+
+/**
+ * GET /events/:eventId/tiers/:tierId/onchain
+ * TicketSale.createTier / updateTier arguments for a tier, built from its sale rules
+ */
+router.get('/:eventId/tiers/:tierId/onchain', canRead, loadOwnedEvent, async (req, res) => {
+  const tier = req.event.tiers.find(t => t.id === req.params.tierId);
+  if (!tier) {
+    return res.status(404).json({ error: 'Tier not found' });
+  }
+
+  if (!tier.onChainSupply || !tier.onChainPrice || !tier.saleStart || !tier.saleEnd) {
+    return res.status(409).json({
+      error: 'Set onChainSupply, onChainPrice, saleStart and saleEnd before publishing on-chain',
+    });
+  }
+
+  try {
+    const allowlist = await eventCatalog.getTierAllowlist(tier.id);
+    const saleStart = toUnixSeconds(tier.saleStart);
+    const presaleStart = allowlist.size > 0 ? toUnixSeconds(tier.presaleStart) : 0;
+
+    if (presaleStart > saleStart) {
+      return res.status(409).json({ error: 'presaleStart must not be after saleStart' });
+    }
+
+    res.json({
+      saleContract: req.event.saleContract,
+      chainId: req.event.chainId,
+      tierId: tier.onChainTierId,
+      config: {
+        name: tier.name,
+        uri: `${TICKET_METADATA_BASE_URL}${req.event.id}/tiers/${tier.id}`,
+        price: tier.onChainPrice,
+        // Only the allocation is for sale on-chain; Stripe and airdrops sell the rest of the supply
+        supply: tier.onChainSupply,
+        maxPerWallet: tier.maxPerWallet || 0,
+        presaleStart,
+        saleStart,
+        saleEnd: toUnixSeconds(tier.saleEnd),
+        merkleRoot: allowlist.root,
+      },
+    });
+  } catch (error) {
+    console.error('Build on-chain tier error:', error);
+    res.status(500).json({ error: 'Failed to build on-chain tier' });
+  }
+});
+
+/**
+ * PUT /events/:eventId/tiers/:tierId/onchain
+ * Record the TicketSale tierId after the tier is published on-chain
+ */
+router.put('/:eventId/tiers/:tierId/onchain', canWrite, loadOwnedEvent, async (req, res) => {
+  const existing = req.event.tiers.find(t => t.id === req.params.tierId);
+  if (!existing) {
+    return res.status(404).json({ error: 'Tier not found' });
+  }
+
+  const onChainTierId = Number(req.body.onChainTierId);
+  if (!Number.isInteger(onChainTierId) || onChainTierId < 0) {
+    return res.status(400).json({ error: 'onChainTierId must be a non-negative integer' });
+  }
+
+  try {
+    const tier = await eventCatalog.updateTier(existing.id, { onChainTierId });
+    res.json({ tier });
+  } catch (error) {
+    console.error('Record on-chain tier error:', error);
+    res.status(500).json({ error: 'Failed to record on-chain tier' });
+  }
+});
+
+/**
+ * GET /events/:eventId/tiers/:tierId/allowlist/:address
+ * Presale allowlist proof for a wallet (public)
+ */
+router.get('/:eventId/tiers/:tierId/allowlist/:address', async (req, res) => {
+  if (!ethers.isAddress(req.params.address)) {
+    return res.status(400).json({ error: 'Invalid address' });
+  }
+
+  try {
+    const event = await eventCatalog.getEvent(req.params.eventId);
+    const tier = event && PUBLIC_STATUSES.includes(event.status)
+      ? event.tiers.find(t => t.id === req.params.tierId)
+      : null;
+    if (!tier) {
+      return res.status(404).json({ error: 'Tier not found' });
+    }
+
+    const allowlist = await eventCatalog.getTierAllowlist(tier.id);
+    const proof = allowlist.getProof(req.params.address);
+    res.json({ allowlisted: proof !== null, proof: proof || [] });
+  } catch (error) {
+    console.error('Allowlist proof error:', error);
+    res.status(500).json({ error: 'Failed to fetch allowlist proof' });
+  }
+});
+
+// ============ Ticket Minting Routes ============
+
+/**
+ * POST /events/:eventId/airdrop
+ * Mint complimentary tickets from a tier to a list of wallets
+ * The recipients are minted together in batch transactions.
+ * Send an `Idempotency-Key` header (up to 64 letters, digits, dashes or underscores) to make retries safe.
+ */
+router.post('/:eventId/airdrop', canMint, loadOwnedEvent, async (req, res) => {
+  if (LOCKED_STATUSES.includes(req.event.status)) {
+    return res.status(409).json({ error: `Cannot mint for a ${req.event.status.toLowerCase()} event` });
+  }
+  if (!req.event.contractAddress) {
+    return res.status(409).json({ error: 'Link a deployed contract before minting' });
+  }
+
+  const { tierId, recipients } = req.body;
+  const tier = req.event.tiers.find(t => t.id === tierId);
+  if (!tier) {
+    return res.status(404).json({ error: 'Tier not found' });
+  }
+
+  if (!Array.isArray(recipients) || recipients.length === 0 || recipients.length > MAX_AIRDROP_RECIPIENTS) {
+    return res.status(400).json({ error: `recipients must be an array of 1-${MAX_AIRDROP_RECIPIENTS} wallet addresses` });
+  }
+  if (!recipients.every(address => ethers.isAddress(address))) {
+    return res.status(400).json({ error: 'Invalid wallet address in recipients' });
+  }
+
+  const idempotencyKey = req.headers['idempotency-key'];
+  if (idempotencyKey !== undefined && !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+    return res.status(400).json({ error: 'Idempotency-Key must be 1-64 letters, digits, dashes or underscores' });
+  }
+  const sessionId = `${mintQueue.AIRDROP_SESSION_PREFIX}${req.event.id}:${idempotencyKey || crypto.randomUUID()}`;
+  // Token URIs are public, so they name the batch by a digest rather than the organizer's key
+  const batchId = crypto.createHash('sha256').update(sessionId).digest('hex').slice(0, 32);
+
+  try {
+    if (idempotencyKey) {
+      const existing = await mintQueue.listJobs({ sessionId, limit: MAX_AIRDROP_RECIPIENTS });
+      if (existing.length > 0) {
+        return res.status(202).json({ sessionId, jobs: existing });
+      }
+    }
+
+    const reserved = await eventCatalog.adjustTierSold(tier.id, recipients.length);
+    if (!reserved) {
+      return res.status(409).json({ error: 'Not enough tickets left in this tier' });
+    }
+
+    let queued;
+    try {
+      queued = await mintQueue.enqueueMints(recipients.map((address, i) => ({
+        sessionId,
+        lineItem: i + 1,
+        eventId: req.event.id,
+        tierId: tier.id,
+        walletAddress: address.toLowerCase(),
+        chainId: req.event.chainId,
+        contractAddress: req.event.contractAddress,
+        tokenUri: `${TICKET_METADATA_BASE_URL}${req.event.id}/airdrop/${batchId}/${i + 1}`,
+        originalPrice: '0',
+        ticketType: tier.name,
+        amountPaid: '0.00',
+        currency: tier.currency,
+      })));
+    } catch (error) {
+      await eventCatalog.adjustTierSold(tier.id, -recipients.length);
+      throw error;
+    }
+
+    // A concurrent retry with the same key may have queued some of these already
+    const duplicates = recipients.length - queued.created;
+    if (duplicates > 0) {
+      await eventCatalog.adjustTierSold(tier.id, -duplicates);
+    }
+
+    mintQueue.processDueJobs().catch(err => console.error('Mint worker error:', err));
+    res.status(202).json({ sessionId, jobs: queued.jobs });
+  } catch (error) {
+    console.error('Airdrop error:', error);
+    res.status(500).json({ error: 'Failed to queue airdrop' });
+  }
+});
+
+module.exports = router;
@@ -12,6 +12,8 @@ const {
   RULE_TYPES 
 } = require('../middleware/tokenGating');
 const { getPrisma } = require('../../prisma/client');
+const { findOrganizer, isPlatformAdmin } = require('../../services/RoleService');
+const { ROLES, requireOrganizerRole, loadRequestedOrganizer, notFound } = require('../middleware/roles');
 
 // In-memory gating rules storage (move to database in production)
 let gatingRules = [
@@ -92,6 +94,7 @@ async function loadGatingRules() {
 
   return rules.map(rule => ({
     id: rule.id,
+    organizerId: rule.organizerId || null,
     name: rule.name,
     description: rule.description || '',
     requirements: rule.requirements.map(r => ({
@@ -291,22 +294,46 @@ router.get('/content/:contentId', (req, res) => {
 });
 
 // ==========================================
-// ADMIN ROUTES (require admin auth in production)
+// ADMIN ROUTES (organizer owner/staff, or platform admin)
 // ==========================================
 
+// Rules belong to the organizer that created them; platform admins create platform-wide rules
+// unless they pass an organizerId
+async function loadNewRuleOrganizer(req) {
+  if (!req.body?.organizerId && isPlatformAdmin(req.user.address)) return null;
+  return loadRequestedOrganizer(req);
+}
+
+// Platform-wide rules (no organizer) can only be changed by platform admins
+async function loadRuleOrganizer(req) {
+  const prisma = getPrisma();
+  const rule = prisma
+    ? await prisma.gatingRule.findUnique({ where: { id: req.params.ruleId } })
+    : gatingRules.find(r => r.id === req.params.ruleId);
+
+  if (!rule) throw notFound('Rule not found');
+  if (!rule.organizerId) return null;
+  return findOrganizer({ id: rule.organizerId });
+}
+
+const canCreateRules = requireOrganizerRole([ROLES.ORGANIZER, ROLES.STAFF], loadNewRuleOrganizer);
+const canManageRule = requireOrganizerRole([ROLES.ORGANIZER, ROLES.STAFF], loadRuleOrganizer);
+
 /**
  * POST /gated/admin/rules
  * Create a new gating rule
  */
-router.post('/admin/rules', (req, res) => {
+router.post('/admin/rules', canCreateRules, (req, res) => {
   const { id, name, description, requirements, requireAll, reward } = req.body;
 
   if (!id || !name || !requirements || !reward) {
     return res.status(400).json({ error: 'Missing required fields' });
   }
 
+  const organizerId = req.organizer?.id || null;
   const newRule = {
     id,
+    organizerId,
     name,
     description: description || '',
     requirements: requirements.map(r => ({
@@ -333,6 +360,7 @@ router.post('/admin/rules', (req, res) => {
       return prisma.gatingRule.create({
         data: {
           id,
+          organizerId,
           name,
           description: description || '',
           requireAll: requireAll !== false,
@@ -374,7 +402,7 @@ router.post('/admin/rules', (req, res) => {
  * PUT /gated/admin/rules/:ruleId
  * Update a gating rule
  */
-router.put('/admin/rules/:ruleId', (req, res) => {
+router.put('/admin/rules/:ruleId', canManageRule, (req, res) => {
   const { name, description, requirements, requireAll, reward, active } = req.body;
 
   const prisma = getPrisma();
@@ -447,7 +475,7 @@ router.put('/admin/rules/:ruleId', (req, res) => {
  * DELETE /gated/admin/rules/:ruleId
  * Delete a gating rule
  */
-router.delete('/admin/rules/:ruleId', (req, res) => {
+router.delete('/admin/rules/:ruleId', canManageRule, (req, res) => {
   const prisma = getPrisma();
   if (prisma) {
     prisma.gatingRule.delete({ where: { id: req.params.ruleId } }).then(() => {
@@ -6,11 +6,12 @@
 
 const express = require('express');
 const { ethers } = require('ethers');
-const jwt = require('jsonwebtoken');
 const router = express.Router();
 const { getPrisma } = require('../../prisma/client');
-
-const JWT_SECRET = process.env.JWT_SECRET || 'nfticket-secret-key';
+const { API_KEY_SCOPES } = require('../../services/ApiKeyService');
+const { verifyToken } = require('../middleware/auth');
+const { apiKeyOr } = require('../middleware/apiKeyAuth');
+const { requirePlatformAdmin } = require('../middleware/roles');
 
 // Multi-chain RPC configuration
 const RPC_ENDPOINTS = {
@@ -65,23 +66,6 @@ function getLoyaltyContract(chainId) {
   return new ethers.Contract(address, LOYALTY_ABI, provider);
 }
 
-// JWT verification middleware
-function verifyToken(req, res, next) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader?.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Authorization required' });
-  }
-
-  try {
-    const token = authHeader.split(' ')[1];
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (error) {
-    res.status(401).json({ error: 'Invalid token' });
-  }
-}
-
 // In-memory points tracking (for development/demo)
 // In production, use PostgreSQL or query on-chain
 const offChainPoints = new Map();
@@ -432,17 +416,11 @@ router.post('/redeem', verifyToken, async (req, res) => {
 
 /**
  * POST /loyalty/award
- * Award points to a user (internal use)
+ * Award points to a user (organizer API key with `loyalty:award`, or a platform admin JWT)
  */
-router.post('/award', async (req, res) => {
+router.post('/award', apiKeyOr(API_KEY_SCOPES.LOYALTY_AWARD, verifyToken, requirePlatformAdmin), async (req, res) => {
   try {
-    const { address, amount, reason, apiKey } = req.body;
-
-    // Simple API key auth for internal services
-    const internalKey = process.env.INTERNAL_API_KEY || 'internal-key';
-    if (apiKey !== internalKey) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
+    const { address, amount, reason } = req.body;
 
     if (!address || !ethers.isAddress(address)) {
       return res.status(400).json({ error: 'Invalid address' });
@@ -0,0 +1,85 @@
+/**
+ * Mint Job Admin Routes for NFTicket
+ * Inspect the paid-order mint queue and replay dead-lettered jobs
+ * @author NFTicket Protocol
+ */
+
+const express = require('express');
+const router = express.Router();
+const mintQueue = require('../../services/MintQueue');
+
+/**
+ * Simple API key auth for internal services
+ */
+function requireInternalKey(req, res, next) {
+  const internalKey = process.env.INTERNAL_API_KEY || 'internal-key';
+  if (req.headers['x-api-key'] !== internalKey) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+router.use(requireInternalKey);
+
+/**
+ * GET /admin/mint-jobs
+ * List mint jobs, optionally filtered by ?status= and ?sessionId=
+ */
+router.get('/', async (req, res) => {
+  const { status, sessionId } = req.query;
+
+  if (status && !Object.values(mintQueue.JOB_STATUS).includes(status)) {
+    return res.status(400).json({ error: 'Invalid status' });
+  }
+
+  try {
+    const jobs = await mintQueue.listJobs({ status, sessionId });
+    res.json({ jobs, count: jobs.length });
+  } catch (error) {
+    console.error('List mint jobs error:', error);
+    res.status(500).json({ error: 'Failed to list mint jobs' });
+  }
+});
+
+/**
+ * GET /admin/mint-jobs/:jobId
+ * Get a single mint job, including its last error
+ */
+router.get('/:jobId', async (req, res) => {
+  try {
+    const job = await mintQueue.getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Mint job not found' });
+    }
+    res.json({ job });
+  } catch (error) {
+    console.error('Get mint job error:', error);
+    res.status(500).json({ error: 'Failed to get mint job' });
+  }
+});
+
+/**
+ * POST /admin/mint-jobs/:jobId/replay
+ * Requeue a dead-lettered job with a fresh retry budget
+ */
+router.post('/:jobId/replay', async (req, res) => {
+  try {
+    const existing = await mintQueue.getJob(req.params.jobId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Mint job not found' });
+    }
+
+    const job = await mintQueue.replayJob(existing.id);
+    if (!job) {
+      return res.status(409).json({ error: `Only dead jobs can be replayed (job is ${existing.status})` });
+    }
+
+    mintQueue.processDueJobs().catch(err => console.error('Mint worker error:', err));
+    res.json({ job });
+  } catch (error) {
+    console.error('Replay mint job error:', error);
+    res.status(500).json({ error: 'Failed to replay mint job' });
+  }
+});
+
+module.exports = router;
@@ -8,21 +8,12 @@ const express = require('express');
 const router = express.Router();
 const { ethers } = require('ethers');
 const { getPrisma } = require('../../prisma/client');
-
-const nfticketArtifact = require('../../artifacts/contracts/NFTicket.sol/NFTicket.json');
+const eventCatalog = require('../../services/EventCatalog');
+const ticketInventory = require('../../services/TicketInventory');
+const mintQueue = require('../../services/MintQueue');
 
 const PAYMENTS_CHAIN_ID = parseInt(process.env.PAYMENTS_CHAIN_ID || process.env.CHAIN_ID || '137');
 
-const RPC_URLS = {
-  1: process.env.RPC_URL_MAINNET,
-  137: process.env.RPC_URL_POLYGON,
-  8453: process.env.RPC_URL_BASE,
-  42161: process.env.RPC_URL_ARBITRUM,
-  11155111: process.env.RPC_URL_SEPOLIA,
-  80002: process.env.RPC_URL_POLYGON_AMOY,
-  31337: process.env.RPC_URL,
-};
-
 const TICKET_METADATA_BASE_URL = process.env.TICKET_METADATA_BASE_URL || 'https://api.nfticket.example.com/tickets/';
 
 // Validate Stripe configuration
@@ -36,60 +27,213 @@ const stripe = process.env.STRIPE_SECRET_KEY
 
 const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || '';
 
-// Ticket price in cents (for Stripe)
-const DEFAULT_TICKET_PRICE_CENTS = 5000; // $50.00
+// How long a Stripe checkout stays open: Stripe rejects expiries under 30 minutes after it receives the
+// request, so keep a minute of margin for latency and clock skew
+const CHECKOUT_SESSION_MINUTES = 31;
+// Unpaid checkouts hold tier inventory and seats a little longer than the session can still be paid
+const CHECKOUT_HOLD_MINUTES = CHECKOUT_SESSION_MINUTES + 2;
+const MAX_TICKETS_PER_CHECKOUT = 10;
+
+// Stripe's zero- and three-decimal currencies; every other currency has two decimals
+// https://docs.stripe.com/currencies#special-cases
+const ZERO_DECIMAL_CURRENCIES = new Set([
+  'BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF',
+]);
+const THREE_DECIMAL_CURRENCIES = new Set(['BHD', 'JOD', 'KWD', 'OMR', 'TND']);
+
+function currencyExponent(currency) {
+  const code = String(currency || '').toUpperCase();
+  if (ZERO_DECIMAL_CURRENCIES.has(code)) return 0;
+  if (THREE_DECIMAL_CURRENCIES.has(code)) return 3;
+  return 2;
+}
+
+/**
+ * Convert a decimal price string (e.g. "49.99") to the smallest unit of its currency
+ * without going through floating point
+ * @returns {number|null} Null when the price has more decimals than the currency
+ */
+function toMinorUnits(price, currency) {
+  const exponent = currencyExponent(currency);
+  const [whole, fraction = ''] = String(price).split('.');
+  if (/[1-9]/.test(fraction.slice(exponent))) return null;
+
+  const minor = fraction.padEnd(exponent, '0').slice(0, exponent);
+  return parseInt(whole, 10) * 10 ** exponent + (minor ? parseInt(minor, 10) : 0);
+}
+
+/**
+ * Format an amount in the smallest currency unit as a decimal string (e.g. 4999 USD -> "49.99")
+ */
+function fromMinorUnits(amount, currency) {
+  const exponent = currencyExponent(currency);
+  return (amount / 10 ** exponent).toFixed(exponent);
+}
+
+/**
+ * Resolve requested seats against the event's venue layout
+ * @returns {{seats?: Array, error?: string}}
+ */
+function resolveSeats(event, tier, requestedSeats) {
+  const sections = event.venueConfig?.sections || [];
+  const seats = [];
+  const seen = new Set();
+
+  for (const requested of requestedSeats) {
+    const section = sections.find(s => s.id === requested?.section);
+    if (!section) {
+      return { error: `Unknown section: ${requested?.section}` };
+    }
+    if (tier.sectionId && section.id !== tier.sectionId) {
+      return { error: `Section ${section.id} is not part of the ${tier.name} tier` };
+    }
+
+    const row = parseInt(requested.row, 10);
+    const seatNumber = parseInt(requested.seatNumber, 10);
+    if (!Number.isInteger(row) || row < 1 || row > section.rows
+      || !Number.isInteger(seatNumber) || seatNumber < 1 || seatNumber > section.seatsPerRow) {
+      return { error: `Seat ${section.id}-${requested.row}-${requested.seatNumber} does not exist` };
+    }
+
+    const id = `${section.id}-${row}-${seatNumber}`;
+    if (seen.has(id)) {
+      return { error: `Seat ${id} was selected more than once` };
+    }
+    seen.add(id);
+
+    seats.push({
+      section: section.id,
+      row: String(row),
+      seatNumber: String(seatNumber),
+      category: tier.category || section.category || 'General',
+    });
+  }
+
+  return { seats };
+}
 
 /**
  * POST /payments/create-checkout-session
  * Create a Stripe checkout session for ticket purchase
+ * Price, currency and seats are resolved from the event catalog; client-supplied
+ * pricing, metadata and token URIs are ignored.
  */
 router.post('/create-checkout-session', async (req, res) => {
   if (!stripe) {
     return res.status(503).json({ error: 'Payment system not configured' });
   }
 
-  const { eventId, ticketType, quantity, walletAddress, metadata } = req.body;
+  const { eventId, tierId, quantity, walletAddress, seats: requestedSeats } = req.body;
 
   if (!eventId || !walletAddress) {
     return res.status(400).json({ error: 'eventId and walletAddress required' });
   }
+  if (!tierId) {
+    return res.status(400).json({ error: 'tierId required' });
+  }
+  if (!ethers.isAddress(walletAddress)) {
+    return res.status(400).json({ error: 'Invalid walletAddress' });
+  }
+  if (requestedSeats !== undefined && (!Array.isArray(requestedSeats) || requestedSeats.length === 0)) {
+    return res.status(400).json({ error: 'seats must be a non-empty array' });
+  }
+
+  let reservation = null;
 
   try {
+    const event = await eventCatalog.getEvent(eventId);
+    if (!event || event.status !== eventCatalog.EVENT_STATUS.PUBLISHED) {
+      return res.status(404).json({ error: 'Event not found or not on sale' });
+    }
+
+    const tier = event.tiers.find(t => t.id === tierId);
+    if (!tier) {
+      return res.status(404).json({ error: 'Ticket tier not found' });
+    }
+
+    let seats = [];
+    if (requestedSeats) {
+      const resolved = resolveSeats(event, tier, requestedSeats);
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+      }
+      seats = resolved.seats;
+    }
+
+    const qty = seats.length || parseInt(quantity || 1, 10);
+    if (!Number.isInteger(qty) || qty < 1 || qty > MAX_TICKETS_PER_CHECKOUT) {
+      return res.status(400).json({ error: `quantity must be between 1 and ${MAX_TICKETS_PER_CHECKOUT}` });
+    }
+
+    const unitAmount = toMinorUnits(tier.price, tier.currency);
+    if (unitAmount === null) {
+      return res.status(400).json({ error: `Tier price ${tier.price} has more decimals than ${tier.currency} allows` });
+    }
+    const expiresAt = new Date(Date.now() + CHECKOUT_HOLD_MINUTES * 60 * 1000);
+
+    const held = await ticketInventory.reserveTickets({
+      eventId,
+      tierId,
+      walletAddress: walletAddress.toLowerCase(),
+      quantity: qty,
+      unitAmount,
+      currency: tier.currency,
+      seats,
+      expiresAt,
+    });
+    if (!held.reservation) {
+      return res.status(409).json({ error: held.reason });
+    }
+    reservation = held.reservation;
+
     // Create checkout session
     const session = await stripe.checkout.sessions.create({
       payment_method_types: ['card'],
       line_items: [
         {
           price_data: {
-            currency: 'usd',
+            currency: tier.currency.toLowerCase(),
             product_data: {
-              name: `NFTicket - ${ticketType || 'General Admission'}`,
-              description: `Event ID: ${eventId}`,
+              name: `NFTicket - ${event.name} (${tier.name})`,
+              description: seats.length
+                ? `Seats: ${seats.map(s => `${s.section}-${s.row}-${s.seatNumber}`).join(', ')}`
+                : `Event ID: ${eventId}`,
               images: ['https://nfticket.io/ticket-preview.png'], // Update with actual image
             },
-            unit_amount: metadata?.priceInCents || DEFAULT_TICKET_PRICE_CENTS,
+            unit_amount: unitAmount,
           },
-          quantity: quantity || 1,
+          quantity: qty,
         },
       ],
       mode: 'payment',
+      // Measured from now rather than from when the hold started, so the reservation writes cannot eat the margin
+      expires_at: Math.floor(Date.now() / 1000) + CHECKOUT_SESSION_MINUTES * 60,
+      client_reference_id: reservation.id,
       success_url: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/events/${eventId}`,
       metadata: {
         eventId,
-        ticketType: ticketType || 'general',
+        tierId,
+        reservationId: reservation.id,
+        ticketType: tier.name,
         walletAddress: walletAddress.toLowerCase(),
-        quantity: String(quantity || 1),
-        ...metadata,
+        quantity: String(qty),
       },
     });
 
+    await ticketInventory.attachSession(reservation.id, session.id);
+
     res.json({ 
       sessionId: session.id, 
-      url: session.url 
+      url: session.url,
+      reservationId: reservation.id,
+      expiresAt,
     });
   } catch (error) {
     console.error('Stripe session creation error:', error);
+    if (reservation) {
+      await ticketInventory.releaseReservation(reservation.id).catch(() => {});
+    }
     res.status(500).json({ error: 'Failed to create checkout session' });
   }
 });
@@ -127,6 +271,31 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
       await handleSuccessfulPayment(session);
       break;
 
+    case 'checkout.session.expired':
+      const expiredSession = event.data.object;
+      if (expiredSession.metadata?.reservationId) {
+        await ticketInventory.releaseReservation(expiredSession.metadata.reservationId);
+      }
+      break;
+
+    case 'charge.refunded':
+      const charge = event.data.object;
+      if (charge.refunded) {
+        await handlePaymentReversal(charge.payment_intent, 'refund');
+      } else {
+        // Partial refunds keep the tickets valid
+        const refundedSession = await findCheckoutSession(charge.payment_intent);
+        if (refundedSession) {
+          await setPaymentSessionStatus(refundedSession.id, 'partially_refunded');
+        }
+      }
+      break;
+
+    case 'charge.dispute.created':
+      const dispute = event.data.object;
+      await handlePaymentReversal(dispute.payment_intent, 'dispute');
+      break;
+
     case 'payment_intent.succeeded':
       const paymentIntent = event.data.object;
       console.log('PaymentIntent succeeded:', paymentIntent.id);
@@ -145,138 +314,194 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
 });
 
 /**
- * Handle successful payment - mint NFT ticket
+ * Handle successful payment - queue NFT ticket mints
+ * Quantity and seats come from the server-side reservation, never from session metadata.
+ * Each ticket becomes a mint job keyed by session and line item, so a redelivered
+ * webhook finds its jobs already queued and mints nothing twice. The worker sends
+ * the order's jobs as a single batch mint transaction.
+ * A payment that completes after its hold was released takes the tickets again if they
+ * are still free; otherwise it is refunded in full.
  */
 async function handleSuccessfulPayment(session) {
   const metadata = session.metadata || {};
-  const { eventId, walletAddress, ticketType, quantity } = metadata;
+  const { reservationId } = metadata;
 
-  if (!eventId || !walletAddress) {
-    console.error('Minting failed: Missing eventId or walletAddress in Stripe metadata');
+  if (!reservationId) {
+    console.error('Minting failed: Missing reservationId in Stripe metadata');
     return;
   }
 
+  const reservation = await ticketInventory.getReservation(reservationId);
+  if (!reservation) {
+    console.error(`Minting failed: Reservation ${reservationId} not found`);
+    return;
+  }
+
+  if (!(await ticketInventory.confirmReservation(reservationId))) {
+    const { status } = await ticketInventory.getReservation(reservationId);
+    if (status === ticketInventory.RESERVATION_STATUS.REFUNDED) {
+      console.warn(`Minting skipped: Reservation ${reservationId} was refunded`);
+      return;
+    }
+    if (status === ticketInventory.RESERVATION_STATUS.RELEASED
+      && !(await ticketInventory.reclaimReservation(reservationId))) {
+      await refundUnfulfilledPayment(session, reservation);
+      return;
+    }
+  }
+
+  const { eventId, tierId, walletAddress, quantity: qty, seats } = reservation;
+  const ticketType = metadata.ticketType;
+
   console.log('Processing successful payment:', {
     sessionId: session.id,
+    reservationId,
     eventId,
     walletAddress,
     ticketType,
-    quantity,
+    quantity: qty,
     amountTotal: session.amount_total,
   });
 
-  const minterKey = process.env.MINTER_PRIVATE_KEY || process.env.DEPLOYER_PRIVATE_KEY || process.env.SIGNER_PRIVATE_KEY;
-  if (!minterKey) {
-    console.error('Minting failed: MINTER_PRIVATE_KEY or DEPLOYER_PRIVATE_KEY is not set');
-    return;
-  }
-
-  const rpcUrl = RPC_URLS[PAYMENTS_CHAIN_ID];
-  if (!rpcUrl) {
-    console.error(`Minting failed: No RPC URL configured for chain ${PAYMENTS_CHAIN_ID}`);
-    return;
-  }
-
-  const contractAddress = resolveContractAddress(PAYMENTS_CHAIN_ID);
+  const event = await eventCatalog.getEvent(eventId);
+  const chainId = event?.contractAddress ? event.chainId : PAYMENTS_CHAIN_ID;
+  const contractAddress = event?.contractAddress || resolveContractAddress(chainId);
   if (!contractAddress) {
-    console.error(`Minting failed: No contract address configured for chain ${PAYMENTS_CHAIN_ID}`);
+    console.error(`Minting failed: No contract address configured for chain ${chainId}`);
     return;
   }
 
-  const provider = new ethers.JsonRpcProvider(rpcUrl);
-  const signer = new ethers.Wallet(minterKey, provider);
-  const contract = new ethers.Contract(contractAddress, nfticketArtifact.abi, signer);
+  const currency = session.currency ? session.currency.toUpperCase() : reservation.currency;
 
-  const qty = Math.max(parseInt(quantity || '1', 10), 1);
-  const priceInWei = metadata?.priceInWei ? BigInt(metadata.priceInWei) : 0n;
-  if (priceInWei === 0n) {
-    console.warn('Minting warning: priceInWei missing; using 0 for originalPrice');
+  await recordPaymentSession(session, reservation, session.payment_status || 'completed');
+
+  const items = [];
+  for (let i = 0; i < qty; i += 1) {
+    const seat = seats[i];
+    items.push({
+      sessionId: session.id,
+      lineItem: i + 1,
+      reservationId,
+      eventId,
+      tierId,
+      walletAddress: walletAddress.toLowerCase(),
+      chainId,
+      contractAddress,
+      tokenUri: `${TICKET_METADATA_BASE_URL}${eventId}/${session.id}/${i + 1}`,
+      // Fiat purchases have no on-chain price; originalPrice stays 0
+      originalPrice: '0',
+      ...(seat && {
+        section: seat.section,
+        row: seat.row,
+        seatNumber: seat.seatNumber,
+        category: seat.category,
+      }),
+      ticketType: ticketType || 'general',
+      amountPaid: fromMinorUnits(reservation.unitAmount, currency),
+      currency,
+    });
   }
 
-  const seatInfo = {
-    section: metadata?.section,
-    row: metadata?.row,
-    seatNumber: metadata?.seatNumber,
-    category: metadata?.category || 'General'
-  };
+  const { created } = await mintQueue.enqueueMints(items);
+  console.log(`Queued ${created} mint job(s) for session ${session.id}`);
 
-  const minted = [];
+  // Start minting now rather than waiting for the next worker tick
+  mintQueue.processDueJobs().catch(err => console.error('Mint worker error:', err));
 
-  for (let i = 0; i < qty; i += 1) {
-    const tokenURI = metadata?.tokenURI || `${TICKET_METADATA_BASE_URL}${eventId}/${session.id}/${i + 1}`;
-
-    let tx;
-    if (seatInfo.section && seatInfo.row && seatInfo.seatNumber) {
-      tx = await contract.mintTicketWithSeat(
-        walletAddress,
-        tokenURI,
-        priceInWei,
-        seatInfo.section,
-        seatInfo.row,
-        seatInfo.seatNumber,
-        seatInfo.category
-      );
-    } else {
-      tx = await contract.mintTicket(walletAddress, tokenURI, priceInWei);
+  // TODO: Send confirmation email/notification
+}
+
+/**
+ * Record a completed checkout with the status its payment ended up in
+ */
+async function recordPaymentSession(session, reservation, status) {
+  const prisma = getPrisma();
+  if (!prisma) return;
+
+  const currency = session.currency ? session.currency.toUpperCase() : reservation.currency;
+  const amountTotal = session.amount_total != null
+    ? fromMinorUnits(session.amount_total, currency)
+    : null;
+
+  await prisma.paymentSession.upsert({
+    where: { sessionId: session.id },
+    create: {
+      sessionId: session.id,
+      eventId: reservation.eventId,
+      tierId: reservation.tierId,
+      walletAddress: reservation.walletAddress.toLowerCase(),
+      ticketType: session.metadata?.ticketType || 'general',
+      quantity: reservation.quantity,
+      amountTotal: amountTotal ? amountTotal : undefined,
+      currency,
+      status,
+    },
+    update: {
+      status,
+      amountTotal: amountTotal ? amountTotal : undefined,
     }
+  });
+}
 
-    const receipt = await tx.wait();
-    const tokenId = extractTokenIdFromReceipt(receipt, contract.interface);
+/**
+ * Refund a payment whose tickets were resold after its hold lapsed
+ * The idempotency key keeps a redelivered webhook from refunding twice; a failed refund
+ * throws so Stripe retries the webhook.
+ */
+async function refundUnfulfilledPayment(session, reservation) {
+  console.error(`Reservation ${reservation.id} was released and resold before payment completed - refunding`);
+
+  await stripe.refunds.create(
+    { payment_intent: session.payment_intent, metadata: { reservationId: reservation.id } },
+    { idempotencyKey: `unfulfilled-${session.id}` }
+  );
+  await ticketInventory.refundReservation(reservation.id);
+  await recordPaymentSession(session, reservation, 'refunded');
+}
 
-    minted.push({
-      tokenId: tokenId?.toString() || null,
-      txHash: receipt.hash,
-      tokenURI
-    });
-  }
+/**
+ * Find the checkout session that a charge or dispute belongs to
+ */
+async function findCheckoutSession(paymentIntentId) {
+  if (!paymentIntentId) return null;
 
-  console.log('Minted tickets:', minted);
+  const sessions = await stripe.checkout.sessions.list({ payment_intent: paymentIntentId, limit: 1 });
+  return sessions.data[0] || null;
+}
 
+async function setPaymentSessionStatus(sessionId, status) {
   const prisma = getPrisma();
-  if (prisma) {
-    const amountTotal = session.amount_total != null
-      ? (session.amount_total / 100).toFixed(2)
-      : null;
-
-    await prisma.paymentSession.upsert({
-      where: { sessionId: session.id },
-      create: {
-        sessionId: session.id,
-        eventId,
-        walletAddress: walletAddress.toLowerCase(),
-        ticketType: ticketType || 'general',
-        quantity: qty,
-        amountTotal: amountTotal ? amountTotal : undefined,
-        currency: session.currency ? session.currency.toUpperCase() : 'USD',
-        status: session.payment_status || 'completed',
-      },
-      update: {
-        status: session.payment_status || 'completed',
-        amountTotal: amountTotal ? amountTotal : undefined,
-      }
-    });
+  if (!prisma) return;
 
-    for (const mintedTicket of minted) {
-      await prisma.ticket.create({
-        data: {
-          tokenId: mintedTicket.tokenId,
-          tokenUri: mintedTicket.tokenURI,
-          walletAddress: walletAddress.toLowerCase(),
-          eventId,
-          ticketType: ticketType || 'general',
-          txHash: mintedTicket.txHash,
-          chainId: PAYMENTS_CHAIN_ID,
-          paidWithFiat: true,
-          amountPaid: amountTotal ? amountTotal : undefined,
-          currency: session.currency ? session.currency.toUpperCase() : 'USD',
-          stripeSessionId: session.id,
-          status: 'minted',
-        }
-      });
-    }
+  await prisma.paymentSession.updateMany({
+    where: { sessionId },
+    data: { status },
+  });
+}
+
+/**
+ * Handle a full refund or a dispute - void the order's tickets
+ * Inventory and seat holds go back on sale right away; the on-chain voids (which also
+ * free the contract's seats) are queued behind any mints still in flight.
+ */
+async function handlePaymentReversal(paymentIntentId, reason) {
+  const session = await findCheckoutSession(paymentIntentId);
+  if (!session) {
+    console.error(`Void failed: No checkout session found for payment intent ${paymentIntentId}`);
+    return;
   }
 
-  // TODO: Send confirmation email/notification
+  const reservationId = session.metadata?.reservationId;
+  if (reservationId) {
+    await ticketInventory.refundReservation(reservationId);
+  }
+
+  await setPaymentSessionStatus(session.id, reason === 'dispute' ? 'disputed' : 'refunded');
+
+  const { created } = await mintQueue.enqueueVoids(session.id, reason);
+  console.log(`Queued ${created} void job(s) for session ${session.id} (${reason})`);
+
+  mintQueue.processDueJobs().catch(err => console.error('Mint worker error:', err));
 }
 
 function resolveContractAddress(chainId) {
@@ -295,24 +520,6 @@ function resolveContractAddress(chainId) {
   return addressByChain[chainId];
 }
 
-function extractTokenIdFromReceipt(receipt, iface) {
-  try {
-    for (const log of receipt.logs || []) {
-      try {
-        const parsed = iface.parseLog(log);
-        if (parsed?.name === 'TicketMinted') {
-          return parsed.args?.tokenId;
-        }
-      } catch (error) {
-        // Ignore non-matching logs
-      }
-    }
-  } catch (error) {
-    console.warn('Failed to parse tokenId from receipt:', error.message);
-  }
-  return null;
-}
-
 /**
  * GET /payments/session/:sessionId
  * Get payment session status
@@ -0,0 +1,78 @@
+/**
+ * Relay Routes
+ * Gasless ticket operations: holders sign an EIP-712 forward request and the relayer submits it, paying the gas
+ * No session is needed; the signature identifies the holder and budgets cap what each wallet and event can spend
+ * @author Sowad Al-Mughni
+ */
+
+const express = require('express');
+const { ethers } = require('ethers');
+const router = express.Router();
+const relayerService = require('../../services/RelayerService');
+
+const { RELAY_REJECTION } = relayerService;
+
+const REJECTION_STATUS = {
+  [RELAY_REJECTION.INVALID_REQUEST]: 400,
+  [RELAY_REJECTION.INVALID_SIGNATURE]: 401,
+  [RELAY_REJECTION.NOT_SPONSORED]: 403,
+  [RELAY_REJECTION.CALL_REVERTED]: 422,
+  [RELAY_REJECTION.BUDGET_EXCEEDED]: 429,
+  [RELAY_REJECTION.UNAVAILABLE]: 503,
+};
+
+/**
+ * GET /relay/params?chainId=&wallet=
+ * EIP-712 domain, types and the wallet's forwarder nonce for signing its next request
+ */
+router.get('/params', async (req, res) => {
+  const chainId = parseInt(req.query.chainId, 10);
+  const { wallet } = req.query;
+
+  if (!Number.isInteger(chainId) || !ethers.isAddress(wallet)) {
+    return res.status(400).json({ error: 'chainId and a valid wallet are required' });
+  }
+
+  try {
+    const params = await relayerService.getRequestParams(chainId, wallet);
+    if (!params) {
+      return res.status(503).json({ error: `Gas sponsorship is not available on chain ${chainId}` });
+    }
+    res.json(params);
+  } catch (error) {
+    console.error('Relay params error:', error);
+    res.status(500).json({ error: 'Failed to load forward request parameters' });
+  }
+});
+
+/**
+ * POST /relay
+ * Submit a signed forward request
+ * Body: { chainId, request: { from, to, value, gas, nonce, deadline, data }, signature }
+ * 202 submitted (with the transaction hash and remaining budgets), 4xx/503 rejected with { error, code }
+ */
+router.post('/', async (req, res) => {
+  const { request, signature } = req.body || {};
+  const chainId = parseInt(req.body?.chainId, 10);
+
+  if (!Number.isInteger(chainId) || !request || !signature) {
+    return res.status(400).json({ error: 'Missing chainId, request or signature' });
+  }
+
+  try {
+    const result = await relayerService.relay({ chainId, request, signature });
+    if (result.rejected) {
+      return res.status(REJECTION_STATUS[result.rejected]).json({
+        error: result.reason,
+        code: result.rejected,
+        budgets: result.budgets,
+      });
+    }
+    res.status(202).json(result);
+  } catch (error) {
+    console.error('Relay error:', error);
+    res.status(500).json({ error: 'Failed to relay transaction' });
+  }
+});
+
+module.exports = router;
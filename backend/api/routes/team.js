@@ -0,0 +1,109 @@
+/**
+ * Team Routes
+ * Organizers grant staff and scanner roles to other wallets
+ * @author Sowad Al-Mughni
+ */
+
+const express = require('express');
+const { ethers } = require('ethers');
+const router = express.Router();
+const roleService = require('../../services/RoleService');
+const { verifyToken } = require('../middleware/auth');
+const { ROLES, requireOrganizerRole } = require('../middleware/roles');
+
+router.use(verifyToken);
+
+/**
+ * GET /team/memberships
+ * List the organizers the caller belongs to and their role on each
+ */
+router.get('/memberships', async (req, res) => {
+  try {
+    const memberships = await roleService.listMemberships(req.user.address);
+    res.json({
+      platformAdmin: roleService.isPlatformAdmin(req.user.address),
+      memberships,
+    });
+  } catch (error) {
+    console.error('List memberships error:', error);
+    res.status(500).json({ error: 'Failed to fetch memberships' });
+  }
+});
+
+/**
+ * GET /team
+ * List an organizer's members (owner and staff)
+ */
+router.get('/', requireOrganizerRole([ROLES.ORGANIZER, ROLES.STAFF]), async (req, res) => {
+  if (!req.organizer) {
+    return res.status(400).json({ error: 'organizerId is required' });
+  }
+
+  try {
+    const members = await roleService.listMembers(req.organizer);
+    res.json({
+      organizerId: req.organizer.id,
+      owner: req.organizer.walletAddress,
+      count: members.length,
+      members,
+    });
+  } catch (error) {
+    console.error('List members error:', error);
+    res.status(500).json({ error: 'Failed to fetch members' });
+  }
+});
+
+/**
+ * POST /team
+ * Grant a wallet the staff or scanner role (owner only)
+ */
+router.post('/', requireOrganizerRole([ROLES.ORGANIZER]), async (req, res) => {
+  const { walletAddress, role } = req.body;
+
+  if (!req.organizer) {
+    return res.status(400).json({ error: 'organizerId is required' });
+  }
+
+  if (!walletAddress || !ethers.isAddress(walletAddress)) {
+    return res.status(400).json({ error: 'Valid walletAddress is required' });
+  }
+
+  if (!roleService.MEMBER_ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${roleService.MEMBER_ROLES.join(', ')}` });
+  }
+
+  if (walletAddress.toLowerCase() === req.organizer.walletAddress.toLowerCase()) {
+    return res.status(400).json({ error: 'The organizer owner cannot be given another role' });
+  }
+
+  try {
+    const member = await roleService.addMember(req.organizer, walletAddress, role, req.user.address);
+    res.status(201).json({ member });
+  } catch (error) {
+    console.error('Add member error:', error);
+    res.status(500).json({ error: 'Failed to add member' });
+  }
+});
+
+/**
+ * DELETE /team/:walletAddress
+ * Remove a member's role (owner only)
+ */
+router.delete('/:walletAddress', requireOrganizerRole([ROLES.ORGANIZER]), async (req, res) => {
+  if (!req.organizer) {
+    return res.status(400).json({ error: 'organizerId is required' });
+  }
+
+  try {
+    const removed = await roleService.removeMember(req.organizer, req.params.walletAddress);
+    if (!removed) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    res.json({ success: true, removed: req.params.walletAddress.toLowerCase() });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+module.exports = router;
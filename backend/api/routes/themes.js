@@ -8,8 +8,9 @@ const express = require('express');
 const jwt = require('jsonwebtoken');
 const router = express.Router();
 const { getPrisma } = require('../../prisma/client');
-
-const JWT_SECRET = process.env.JWT_SECRET || 'nfticket-secret-key';
+const { listMemberships } = require('../../services/RoleService');
+const { JWT_SECRET, verifyToken } = require('../middleware/auth');
+const { ROLES, requireOrganizerRole, loadRequestedOrganizer } = require('../middleware/roles');
 
 // In-memory theme storage (use Prisma in production)
 // This serves as a fallback and development mode
@@ -38,111 +39,35 @@ const DEFAULT_THEME = {
   customDomain: null,
 };
 
-// JWT verification middleware
-function verifyToken(req, res, next) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader?.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Authorization required' });
-  }
+// In-memory organizers are keyed by owner wallet; members may refer to them by id or wallet
+function findInMemoryOrganizer(idOrWallet) {
+  return organizers.get(idOrWallet)
+    || Array.from(organizers.values()).find(org => org.id === idOrWallet)
+    || null;
+}
 
-  try {
-    const token = authHeader.split(' ')[1];
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (error) {
-    res.status(401).json({ error: 'Invalid token' });
+// Organizer whose theme is managed: `?organizerId=` (for staff), else the caller's own
+async function loadThemeOrganizer(req) {
+  if (getPrisma()) {
+    return loadRequestedOrganizer(req);
   }
-}
 
-// Check if user is organizer
-async function requireOrganizer(req, res, next) {
   const address = req.user.address.toLowerCase();
-  const prisma = getPrisma();
-
-  if (prisma) {
-    const organizer = await prisma.organizer.findUnique({
-      where: { walletAddress: address }
-    });
-
-    if (!organizer) {
-      return res.status(403).json({ error: 'Organizer access required' });
-    }
-
-    req.organizer = organizer;
-    return next();
+  if (req.query.organizerId) {
+    return findInMemoryOrganizer(req.query.organizerId);
   }
-
-  // In-memory fallback
-  if (!organizers.has(address)) {
-    return res.status(403).json({ error: 'Organizer access required' });
+  if (organizers.has(address)) {
+    return organizers.get(address);
   }
 
-  req.organizer = organizers.get(address);
-  next();
+  const memberships = (await listMemberships(address)).filter(m => m.role !== ROLES.ORGANIZER);
+  return memberships.length === 1 ? findInMemoryOrganizer(memberships[0].organizerId) : null;
 }
 
-// ============ Public Routes ============
-
-/**
- * GET /themes/:slug
- * Get theme by organizer slug (public)
- */
-router.get('/:slug', async (req, res) => {
-  try {
-    const { slug } = req.params;
-
-    const prisma = getPrisma();
-    if (prisma) {
-      const organizer = await prisma.organizer.findUnique({
-        where: { slug: slug.toLowerCase() },
-        include: { theme: true }
-      });
-
-      if (!organizer) {
-        return res.json({
-          theme: DEFAULT_THEME,
-          organizer: null,
-        });
-      }
-
-      const theme = organizer.theme || DEFAULT_THEME;
-      return res.json({
-        theme: { ...DEFAULT_THEME, ...theme },
-        organizer: {
-          name: organizer.name,
-          slug: organizer.slug,
-        },
-      });
-    }
-
-    // In-memory fallback
-    let organizer = null;
-    for (const [, org] of organizers) {
-      if (org.slug === slug.toLowerCase()) {
-        organizer = org;
-        break;
-      }
-    }
-
-    if (!organizer) {
-      return res.json({
-        theme: DEFAULT_THEME,
-        organizer: null,
-      });
-    }
-
-    const theme = themes.get(organizer.id) || DEFAULT_THEME;
+// Owner and staff can manage branding
+const canManageTheme = requireOrganizerRole([ROLES.ORGANIZER, ROLES.STAFF], loadThemeOrganizer);
 
-    res.json({
-      theme: { ...DEFAULT_THEME, ...theme },
-      organizer: { name: organizer.name, slug: organizer.slug },
-    });
-  } catch (error) {
-    console.error('Fetch theme error:', error);
-    res.status(500).json({ error: 'Failed to fetch theme' });
-  }
-});
+// ============ Public Routes ============
 
 /**
  * GET /themes/by-domain/:domain
@@ -293,36 +218,19 @@ router.post('/register', verifyToken, async (req, res) => {
 
 /**
  * GET /themes/my-theme
- * Get current organizer's theme
+ * Get the organizer's theme (owner or staff; staff pass ?organizerId=)
  */
-router.get('/my-theme', verifyToken, async (req, res) => {
+router.get('/my-theme', verifyToken, canManageTheme, async (req, res) => {
   try {
-    const address = req.user.address.toLowerCase();
-    const prisma = getPrisma();
-    if (prisma) {
-      const organizer = await prisma.organizer.findUnique({
-        where: { walletAddress: address },
-        include: { theme: true }
-      });
-
-      if (!organizer) {
-        return res.status(404).json({ error: 'Not registered as organizer' });
-      }
-
-      return res.json({
-        organizer: { id: organizer.id, name: organizer.name, slug: organizer.slug },
-        theme: { ...DEFAULT_THEME, ...organizer.theme },
-      });
-    }
-
-    // In-memory fallback
-    const organizer = organizers.get(address);
-
+    const { organizer } = req;
     if (!organizer) {
       return res.status(404).json({ error: 'Not registered as organizer' });
     }
 
-    const theme = themes.get(organizer.id) || DEFAULT_THEME;
+    const prisma = getPrisma();
+    const theme = prisma
+      ? await prisma.theme.findUnique({ where: { organizerId: organizer.id } })
+      : themes.get(organizer.id);
 
     res.json({
       organizer: { id: organizer.id, name: organizer.name, slug: organizer.slug },
@@ -336,12 +244,16 @@ router.get('/my-theme', verifyToken, async (req, res) => {
 
 /**
  * PUT /themes/my-theme
- * Update current organizer's theme
+ * Update the organizer's theme (owner or staff; staff pass ?organizerId=)
  */
-router.put('/my-theme', verifyToken, async (req, res) => {
+router.put('/my-theme', verifyToken, canManageTheme, async (req, res) => {
   try {
-    const address = req.user.address.toLowerCase();
-    const updates = req.body;
+    const { organizerId, ...updates } = req.body;
+    const { organizer } = req;
+
+    if (!organizer) {
+      return res.status(404).json({ error: 'Not registered as organizer' });
+    }
 
     // Validate color values
     const colorFields = [
@@ -358,15 +270,6 @@ router.put('/my-theme', verifyToken, async (req, res) => {
 
     const prisma = getPrisma();
     if (prisma) {
-      const organizer = await prisma.organizer.findUnique({
-        where: { walletAddress: address },
-        include: { theme: true }
-      });
-
-      if (!organizer) {
-        return res.status(403).json({ error: 'Organizer access required' });
-      }
-
       const updatedTheme = await prisma.theme.upsert({
         where: { organizerId: organizer.id },
         create: { organizerId: organizer.id, ...DEFAULT_THEME, ...updates },
@@ -379,11 +282,6 @@ router.put('/my-theme', verifyToken, async (req, res) => {
     }
 
     // In-memory fallback
-    const organizer = organizers.get(address);
-    if (!organizer) {
-      return res.status(403).json({ error: 'Organizer access required' });
-    }
-
     const currentTheme = themes.get(organizer.id) || {};
     const updatedTheme = {
       ...currentTheme,
@@ -479,4 +377,67 @@ ${theme.customCss || ''}
   }
 });
 
+// ============ Slug Lookup ============
+
+/**
+ * GET /themes/:slug
+ * Get theme by organizer slug (public)
+ * Registered last so the slug param doesn't shadow /my-theme
+ */
+router.get('/:slug', async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    const prisma = getPrisma();
+    if (prisma) {
+      const organizer = await prisma.organizer.findUnique({
+        where: { slug: slug.toLowerCase() },
+        include: { theme: true }
+      });
+
+      if (!organizer) {
+        return res.json({
+          theme: DEFAULT_THEME,
+          organizer: null,
+        });
+      }
+
+      const theme = organizer.theme || DEFAULT_THEME;
+      return res.json({
+        theme: { ...DEFAULT_THEME, ...theme },
+        organizer: {
+          name: organizer.name,
+          slug: organizer.slug,
+        },
+      });
+    }
+
+    // In-memory fallback
+    let organizer = null;
+    for (const [, org] of organizers) {
+      if (org.slug === slug.toLowerCase()) {
+        organizer = org;
+        break;
+      }
+    }
+
+    if (!organizer) {
+      return res.json({
+        theme: DEFAULT_THEME,
+        organizer: null,
+      });
+    }
+
+    const theme = themes.get(organizer.id) || DEFAULT_THEME;
+
+    res.json({
+      theme: { ...DEFAULT_THEME, ...theme },
+      organizer: { name: organizer.name, slug: organizer.slug },
+    });
+  } catch (error) {
+    console.error('Fetch theme error:', error);
+    res.status(500).json({ error: 'Failed to fetch theme' });
+  }
+});
+
 module.exports = router;
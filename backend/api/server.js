@@ -1,13 +1,23 @@
 const express = require('express');
 const cors = require('cors');
-const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
 const signerService = require('../services/SignerService');
 const { getPrisma } = require('../prisma/client');
+const { verifyAccessToken } = require('../services/SessionService');
+const authRoutes = require('./routes/auth');
 const gatedRoutes = require('./routes/gated');
 const loyaltyRoutes = require('./routes/loyalty');
 const themesRoutes = require('./routes/themes');
 const paymentsRoutes = require('./routes/payments');
+const eventsRoutes = require('./routes/events');
+const mintJobsRoutes = require('./routes/mintJobs');
+const apiKeysRoutes = require('./routes/apiKeys');
+const teamRoutes = require('./routes/team');
+const checkInRoutes = require('./routes/checkIn');
+const relayRoutes = require('./routes/relay');
+const mintQueue = require('../services/MintQueue');
+const checkInService = require('../services/CheckInService');
+const { requirePlatformAdmin } = require('./middleware/roles');
 
 const app = express();
 app.use(express.json());
@@ -33,11 +43,8 @@ app.use(cors({
 
 const PORT = process.env.PORT || 3001;
 
-// Security: Require JWT_SECRET in production
-if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
-  throw new Error('JWT_SECRET environment variable is required in production');
-}
-const JWT_SECRET = process.env.JWT_SECRET || 'nfticket-dev-secret-DO-NOT-USE-IN-PRODUCTION';
+// Shared with every router; required in production
+const { JWT_SECRET } = require('./middleware/auth');
 
 // Firebase Cloud Messaging - required for push notifications
 if (!process.env.FCM_SERVER_KEY && process.env.NODE_ENV === 'production') {
@@ -55,6 +62,19 @@ const NOTIFICATION_TYPES = {
   TICKET_USED: 'ticket_used',
   POAP_CLAIMED: 'poap_claimed',
   EVENT_REMINDER: 'event_reminder',
+  TICKET_VOIDED: 'ticket_voided',
+};
+
+// Display info for supported chains
+const CHAIN_INFO = {
+  1: { name: 'Ethereum Mainnet', explorer: 'https://etherscan.io' },
+  137: { name: 'Polygon', explorer: 'https://polygonscan.com' },
+  8453: { name: 'Base', explorer: 'https://basescan.org' },
+  42161: { name: 'Arbitrum One', explorer: 'https://arbiscan.io' },
+  11155111: { name: 'Sepolia Testnet', explorer: 'https://sepolia.etherscan.io' },
+  84532: { name: 'Base Sepolia', explorer: 'https://sepolia.basescan.org' },
+  421614: { name: 'Arbitrum Sepolia', explorer: 'https://sepolia.arbiscan.io' },
+  31337: { name: 'Local Hardhat', explorer: null },
 };
 
 // Rate limiting
@@ -74,6 +94,24 @@ const authLimiter = rateLimit({
   message: 'Too many authentication attempts. Please try again later.'
 });
 
+// Gates scan continuously, often many devices behind one venue IP
+const checkInLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 600,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: 'Too many scans from this IP. Please try again later.'
+});
+
+// Gas is sponsored per wallet and event, so this only caps signature checks and RPC reads
+const relayLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 60,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: 'Too many relay requests. Please try again later.'
+});
+
 const paymentsLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 30,
@@ -82,8 +120,8 @@ const paymentsLimiter = rateLimit({
   message: 'Too many payment requests. Please try again later.'
 });
 
-// Middleware: Verify JWT token
-const authenticateToken = (req, res, next) => {
+// Middleware: Verify JWT token (and that its session has not been revoked)
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -91,60 +129,22 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
-    }
-    req.user = user;
-    next();
-  });
-};
-
-// POST /auth/login - Authenticate wallet signature and issue JWT
-app.use('/auth', authLimiter);
-app.post('/auth/login', async (req, res) => {
-  const { address, signature, message } = req.body;
-
-  if (!address || !signature || !message) {
-    return res.status(400).json({ error: 'Missing address, signature, or message' });
-  }
-
   try {
-    // Verify the signature matches the address
-    const isValid = await signerService.verifyWalletSignature(address, message, signature);
-    
-    if (!isValid) {
-      return res.status(401).json({ error: 'Invalid signature' });
-    }
-
-    // Issue JWT token (valid for 24 hours)
-    const token = jwt.sign(
-      { address: address.toLowerCase(), iat: Math.floor(Date.now() / 1000) },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
-
-    res.json({ 
-      success: true, 
-      token,
-      expiresIn: 86400 // 24 hours in seconds
-    });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Authentication failed' });
+    req.user = await verifyAccessToken(token, JWT_SECRET);
+  } catch (err) {
+    return res.status(403).json({ error: 'Invalid or expired token' });
   }
-});
+  next();
+};
 
-// POST /auth/nonce - Get a nonce message for wallet signing
-app.get('/auth/nonce', (req, res) => {
-  const nonce = Math.floor(Math.random() * 1000000);
-  const timestamp = Math.floor(Date.now() / 1000);
-  const message = `Sign this message to authenticate with NFTicket Protocol.\n\nNonce: ${nonce}\nTimestamp: ${timestamp}`;
-  
-  res.json({ message, nonce, timestamp });
-});
+// Wallet login (Sign-In with Ethereum) - /auth/*
+app.use('/auth', authLimiter);
+app.use('/auth', authRoutes);
 
 // Endpoint for the mobile scanner to verify a QR code (public endpoint)
+// The proof's chainId and contractAddress select the EIP-712 domain; the response names the chain and event
+// Verifying does not admit the ticket - gates use POST /check-in; `checkedIn` reports an earlier admission
+// to the body's `session` (default 0)
 app.use('/verify', apiLimiter);
 app.post('/verify', async (req, res) => {
   const { data, signature } = req.body;
@@ -157,9 +157,23 @@ app.post('/verify', async (req, res) => {
     const result = await signerService.verifyTicketProof(data, signature);
     
     if (result.valid) {
-      res.json({ success: true, message: "Ticket Valid", signer: result.signer });
+      const event = await signerService.getTicketEvent(result.chainId, result.contractAddress);
+      const session = Number.isInteger(req.body.session) ? req.body.session : 0;
+      const admission = await checkInService.findAdmission(result.chainId, result.contractAddress, result.tokenId, session);
+      res.json({
+        success: true,
+        message: "Ticket Valid",
+        signer: result.signer,
+        tokenId: Number(result.tokenId),
+        owner: result.owner,
+        chainId: result.chainId,
+        chainName: CHAIN_INFO[result.chainId]?.name || null,
+        contractAddress: result.contractAddress,
+        event,
+        checkedIn: admission ? { gate: admission.gate, scannedAt: admission.scannedAt } : null,
+      });
     } else {
-      res.status(401).json({ success: false, message: result.reason });
+      res.status(401).json({ success: false, message: result.reason, chainId: result.chainId });
     }
   } catch (error) {
     console.error(error);
@@ -171,7 +185,7 @@ app.post('/verify', async (req, res) => {
 // Supports multi-chain via chainId parameter
 app.use('/generate-proof', apiLimiter);
 app.post('/generate-proof', authenticateToken, async (req, res) => {
-  const { tokenId, chainId } = req.body;
+  const { tokenId, chainId, contractAddress } = req.body;
   const owner = req.user.address; // Get owner from authenticated JWT
   const chain = chainId || 31337; // Default to local chain
 
@@ -180,8 +194,13 @@ app.post('/generate-proof', authenticateToken, async (req, res) => {
   }
 
   try {
+    // Only sign proofs for our own event contracts (configured, catalog or EventFactory events)
+    if (contractAddress !== undefined && !(await signerService.isTicketContract(chain, contractAddress))) {
+      return res.status(400).json({ error: 'Unknown ticket contract', chainId: chain });
+    }
+
     // Verify on-chain ownership before generating proof
-    const ownershipResult = await signerService.verifyOnChainOwnership(tokenId, owner, chain);
+    const ownershipResult = await signerService.verifyOnChainOwnership(tokenId, owner, chain, contractAddress);
     
     if (!ownershipResult.valid) {
       return res.status(403).json({ 
@@ -191,8 +210,8 @@ app.post('/generate-proof', authenticateToken, async (req, res) => {
       });
     }
 
-    // Generate the proof with chain-specific domain
-    const proof = await signerService.generateTicketProof(tokenId, owner, chain);
+    // Generate the proof with a domain for the ticket's chain and contract
+    const proof = await signerService.generateTicketProof(tokenId, owner, chain, contractAddress);
     res.json(proof);
   } catch (error) {
     console.error('Generate proof error:', error);
@@ -204,7 +223,7 @@ app.post('/generate-proof', authenticateToken, async (req, res) => {
 // This endpoint skips on-chain verification if recent proof was valid
 // Supports multi-chain via chainId parameter
 app.post('/generate-proof/refresh', authenticateToken, async (req, res) => {
-  const { tokenId, lastProofTimestamp, chainId } = req.body;
+  const { tokenId, lastProofTimestamp, chainId, contractAddress } = req.body;
   const owner = req.user.address;
   const chain = chainId || 31337;
 
@@ -213,13 +232,17 @@ app.post('/generate-proof/refresh', authenticateToken, async (req, res) => {
   }
 
   try {
+    if (contractAddress !== undefined && !(await signerService.isTicketContract(chain, contractAddress))) {
+      return res.status(400).json({ error: 'Unknown ticket contract', chainId: chain });
+    }
+
     // If last proof was generated less than 60 seconds ago, skip on-chain check
     const now = Math.floor(Date.now() / 1000);
     const skipOnChain = lastProofTimestamp && (now - lastProofTimestamp) < 60;
 
     if (!skipOnChain) {
       // Full on-chain verification
-      const ownershipResult = await signerService.verifyOnChainOwnership(tokenId, owner, chain);
+      const ownershipResult = await signerService.verifyOnChainOwnership(tokenId, owner, chain, contractAddress);
       if (!ownershipResult.valid) {
         return res.status(403).json({ 
           error: 'Ownership verification failed',
@@ -229,8 +252,8 @@ app.post('/generate-proof/refresh', authenticateToken, async (req, res) => {
       }
     }
 
-    // Generate fresh proof with new nonce (chain-specific)
-    const proof = await signerService.generateTicketProof(tokenId, owner, chain);
+    // Generate fresh proof with new nonce (chain- and contract-specific)
+    const proof = await signerService.generateTicketProof(tokenId, owner, chain, contractAddress);
     res.json(proof);
   } catch (error) {
     console.error('Refresh proof error:', error);
@@ -244,27 +267,18 @@ app.get('/proof/config', (req, res) => {
     expirationSeconds: signerService.getProofExpiration(),
     refreshRecommended: signerService.getProofExpiration() - 3,
     rotatingEnabled: true,
-    supportedChains: signerService.getSupportedChains()
+    supportedChains: signerService.getSupportedChains(),
+    signerAddress: signerService.getSignerAddress() // Scanners pin this to check offline snapshots
   });
 });
 
 // GET /chains - Get supported chains and their configuration
 app.get('/chains', (req, res) => {
   const chains = signerService.getSupportedChains();
-  const chainInfo = {
-    1: { name: 'Ethereum Mainnet', explorer: 'https://etherscan.io' },
-    137: { name: 'Polygon', explorer: 'https://polygonscan.com' },
-    8453: { name: 'Base', explorer: 'https://basescan.org' },
-    42161: { name: 'Arbitrum One', explorer: 'https://arbiscan.io' },
-    11155111: { name: 'Sepolia Testnet', explorer: 'https://sepolia.etherscan.io' },
-    84532: { name: 'Base Sepolia', explorer: 'https://sepolia.basescan.org' },
-    421614: { name: 'Arbitrum Sepolia', explorer: 'https://sepolia.arbiscan.io' },
-    31337: { name: 'Local Hardhat', explorer: null },
-  };
   
   res.json({
     supported: chains,
-    info: chainInfo,
+    info: CHAIN_INFO,
     recommended: 8453 // Base for lowest gas
   });
 });
@@ -366,8 +380,8 @@ app.delete('/notifications/unregister', authenticateToken, (req, res) => {
   });
 });
 
-// POST /notifications/send - Send notification to a wallet (internal/admin use)
-app.post('/notifications/send', authenticateToken, async (req, res) => {
+// POST /notifications/send - Send notification to a wallet (platform admin only)
+app.post('/notifications/send', authenticateToken, requirePlatformAdmin, async (req, res) => {
   const { targetAddress, type, title, body, data } = req.body;
 
   if (!targetAddress || !type || !title) {
@@ -410,8 +424,8 @@ app.post('/notifications/send', authenticateToken, async (req, res) => {
   }
 });
 
-// POST /notifications/broadcast - Send to multiple wallets
-app.post('/notifications/broadcast', authenticateToken, async (req, res) => {
+// POST /notifications/broadcast - Send to multiple wallets (platform admin only)
+app.post('/notifications/broadcast', authenticateToken, requirePlatformAdmin, async (req, res) => {
   const { addresses, type, title, body, data } = req.body;
 
   if (!addresses || !Array.isArray(addresses) || !type || !title) {
@@ -569,6 +583,10 @@ async function notifyTicketEvent(walletAddress, eventType, ticketData) {
     [NOTIFICATION_TYPES.EVENT_REMINDER]: {
       title: '⏰ Event Reminder',
       body: `${ticketData.eventName} starts in ${ticketData.timeUntil || '1 hour'}`
+    },
+    [NOTIFICATION_TYPES.TICKET_VOIDED]: {
+      title: '🚫 Ticket Voided',
+      body: `Ticket #${ticketData.tokenId} was voided ${ticketData.reason === 'dispute' ? 'after a payment dispute' : 'after a refund'}`
     }
   };
 
@@ -604,6 +622,19 @@ async function notifyTicketEvent(walletAddress, eventType, ticketData) {
   }
 }
 
+// Tell holders when a refunded or disputed ticket is voided on-chain
+mintQueue.events.on('ticketVoided', ({ walletAddress, tokenId, eventId, reason }) => {
+  notifyTicketEvent(walletAddress, NOTIFICATION_TYPES.TICKET_VOIDED, { tokenId, eventId, reason })
+    .catch(err => console.error('Void notification error:', err));
+});
+
+// Tell holders when their ticket is admitted at the gate
+checkInService.events.on('ticketUsed', ({ walletAddress, tokenId, eventId, gate }) => {
+  if (!walletAddress) return;
+  notifyTicketEvent(walletAddress, NOTIFICATION_TYPES.TICKET_USED, { tokenId, eventId, gate })
+    .catch(err => console.error('Check-in notification error:', err));
+});
+
 // Export for use in other modules
 module.exports.notifyTicketEvent = notifyTicketEvent;
 module.exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
@@ -613,17 +644,17 @@ module.exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
 // ==========================================
 
 // Mount gated routes with optional JWT auth (some routes are public)
-app.use('/gated', (req, res, next) => {
+app.use('/gated', async (req, res, next) => {
   // Try to authenticate but don't require it for all routes
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
   if (token) {
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-      if (!err) {
-        req.user = user;
-      }
-    });
+    try {
+      req.user = await verifyAccessToken(token, JWT_SECRET);
+    } catch (err) {
+      // Invalid or revoked token - continue unauthenticated
+    }
   }
   next();
 }, gatedRoutes);
@@ -634,10 +665,34 @@ app.use('/loyalty', loyaltyRoutes);
 // Theme routes - /themes/*
 app.use('/themes', themesRoutes);
 
+// Event catalog routes - /events/*
+app.use('/events', apiLimiter);
+app.use('/events', eventsRoutes);
+
+// Organizer API key management - /api-keys/*
+app.use('/api-keys', apiLimiter);
+app.use('/api-keys', apiKeysRoutes);
+
+// Organizer team roles (staff, scanners) - /team/*
+app.use('/team', apiLimiter);
+app.use('/team', teamRoutes);
+
+// Gate check-in (organizer, staff and scanners) - /check-in/*
+app.use('/check-in', checkInLimiter);
+app.use('/check-in', checkInRoutes);
+
+// Gasless ticket operations (ERC-2771 meta-transactions) - /relay/*
+app.use('/relay', relayLimiter);
+app.use('/relay', relayRoutes);
+
 // Payment routes - /payments/* (Stripe integration)
 app.use('/payments', paymentsLimiter);
 app.use('/payments', paymentsRoutes);
 
+// Mint queue admin routes - /admin/mint-jobs/*
+app.use('/admin/mint-jobs', apiLimiter);
+app.use('/admin/mint-jobs', mintJobsRoutes);
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
@@ -648,5 +703,14 @@ app.listen(PORT, () => {
   console.log(`QR Proof expiration: ${signerService.getProofExpiration()} seconds (rotating)`);
   console.log(`Token-gated content: /gated/*`);
   console.log(`Loyalty points: /loyalty/*`);
+  console.log(`Event catalog: /events/*`);
+  console.log(`Organizer API keys: /api-keys/*`);
+  console.log(`Organizer team roles: /team/*`);
+  console.log(`Gate check-in: /check-in/*`);
+  console.log(`Gasless relay: /relay/*`);
   console.log(`Stripe payments: /payments/*`);
+  console.log(`Mint queue admin: /admin/mint-jobs/*`);
+
+  mintQueue.startWorker().catch(err => console.error('Failed to start mint worker:', err));
+  checkInService.startWorker().catch(err => console.error('Failed to start check-in worker:', err));
 });
@@ -0,0 +1,95 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "./NFTicket.sol";
+
+/**
+ * @title EventFactory
+ * @dev Creates NFTicket events as EIP-1167 minimal proxies of one implementation and keeps an
+ * on-chain registry of each organizer's events. A clone costs a fraction of a full NFTicket deployment
+ * and behaves identically; the organizer who creates it holds its admin and minter roles.
+ * @author Sowad Al-Mughni
+ */
+contract EventFactory {
+    struct EventParams {
+        string name;
+        string description;
+        uint256 date;
+        string venue;
+        uint256 royaltyCap; // Basis points
+        uint256 maxPrice; // Maximum resale price in paymentToken units
+        address royaltyRecipient;
+    }
+
+    // NFTicket deployment whose code every event clone delegates to
+    address public immutable implementation;
+
+    address[] private _events;
+    mapping(address => address[]) private _organizerEvents;
+    // Event contract => organizer that created it (zero if it did not come from this factory)
+    mapping(address => address) public organizerOf;
+
+    event EventCreated(
+        address indexed nfticket,
+        address indexed organizer,
+        string name,
+        string venue,
+        uint256 eventDate
+    );
+
+    constructor(address _implementation) {
+        require(_implementation != address(0), "EventFactory: implementation cannot be zero address");
+        implementation = _implementation;
+    }
+
+    /**
+     * @dev Create an event owned by the caller
+     * @param params Event details and anti-scalping settings, as taken by the NFTicket constructor
+     * @return nfticket Address of the new event contract
+     */
+    function createEvent(EventParams calldata params) external returns (address nfticket) {
+        require(bytes(params.name).length > 0, "EventFactory: name cannot be empty");
+        require(params.royaltyRecipient != address(0), "EventFactory: royalty recipient cannot be zero address");
+
+        nfticket = Clones.clone(implementation);
+        NFTicket(nfticket).initialize(
+            msg.sender,
+            params.name,
+            params.description,
+            params.date,
+            params.venue,
+            params.royaltyCap,
+            params.maxPrice,
+            params.royaltyRecipient
+        );
+
+        _events.push(nfticket);
+        _organizerEvents[msg.sender].push(nfticket);
+        organizerOf[nfticket] = msg.sender;
+
+        emit EventCreated(nfticket, msg.sender, params.name, params.venue, params.date);
+    }
+
+    /**
+     * @dev Number of events created by this factory
+     */
+    function eventCount() external view returns (uint256) {
+        return _events.length;
+    }
+
+    /**
+     * @dev Event contract at a registry index, in creation order
+     */
+    function eventAt(uint256 index) external view returns (address) {
+        require(index < _events.length, "EventFactory: index out of bounds");
+        return _events[index];
+    }
+
+    /**
+     * @dev All event contracts created by an organizer, in creation order
+     */
+    function getOrganizerEvents(address organizer) external view returns (address[] memory) {
+        return _organizerEvents[organizer];
+    }
+}
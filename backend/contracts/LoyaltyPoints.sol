@@ -2,6 +2,7 @@
 pragma solidity ^0.8.24;
 
 import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 
 /**
@@ -9,9 +10,10 @@ import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
  * @dev Non-tradeable (soulbound) loyalty points for NFTicket Protocol
  * Users earn points through ticket purchases, attendance, and POAP collection
  * Points can be redeemed for discounts, exclusive access, and perks
+ * Accepts ERC-2771 meta-transactions from a trusted forwarder, so holders without gas can redeem
  * @author Sowad Al-Mughni
  */
-contract LoyaltyPoints is AccessControl, ReentrancyGuard {
+contract LoyaltyPoints is AccessControl, ERC2771Context, ReentrancyGuard {
     bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
     bytes32 public constant BURNER_ROLE = keccak256("BURNER_ROLE");
 
@@ -66,7 +68,7 @@ contract LoyaltyPoints is AccessControl, ReentrancyGuard {
         uint256 referral
     );
 
-    constructor(address admin) {
+    constructor(address admin, address trustedForwarder) ERC2771Context(trustedForwarder) {
         _grantRole(DEFAULT_ADMIN_ROLE, admin);
         _grantRole(MINTER_ROLE, admin);
         _grantRole(BURNER_ROLE, admin);
@@ -275,19 +277,20 @@ contract LoyaltyPoints is AccessControl, ReentrancyGuard {
         uint256 amount,
         string memory reward
     ) external nonReentrant {
-        require(_balances[msg.sender] >= amount, "Insufficient points");
+        address user = _msgSender();
+        require(_balances[user] >= amount, "Insufficient points");
         require(amount > 0, "Amount must be positive");
 
-        _balances[msg.sender] -= amount;
+        _balances[user] -= amount;
         _totalSupply -= amount;
 
-        _redemptionHistory[msg.sender].push(RedemptionRecord({
+        _redemptionHistory[user].push(RedemptionRecord({
             amount: amount,
             reward: reward,
             timestamp: block.timestamp
         }));
 
-        emit PointsRedeemed(msg.sender, amount, reward);
+        emit PointsRedeemed(user, amount, reward);
     }
 
     /**
@@ -379,4 +382,17 @@ contract LoyaltyPoints is AccessControl, ReentrancyGuard {
     function allowance(address, address) external pure returns (uint256) {
         return 0;
     }
+
+    // ERC-2771: calls relayed by the trusted forwarder act for the signer appended to the calldata
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
+    }
 }
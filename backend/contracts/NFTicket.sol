@@ -4,34 +4,80 @@ pragma solidity ^0.8.24;
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/interfaces/IERC2981.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/Strings.sol";
 
+/**
+ * @dev ERC721URIStorage with a fixed collection name and symbol. Clones never run the ERC721
+ * constructor, so these cannot be read from storage
+ */
+abstract contract NFTicketCollection is ERC721URIStorage {
+    function name() public pure override returns (string memory) {
+        return "NFTicket";
+    }
+
+    function symbol() public pure override returns (string memory) {
+        return "NFTIX";
+    }
+}
+
 /**
  * @title NFTicket
  * @dev ERC-721 NFT contract for event tickets with anti-scalping mechanisms
+ * Deployed directly through the constructor, or as an EIP-1167 clone set up with initialize() (see EventFactory)
+ * Accepts ERC-2771 meta-transactions from a trusted forwarder, so fans without gas can use and transfer tickets
+ * through the backend relayer. The forwarder is set in the constructor, so clones use their implementation's
  * @author Sowad Al-Mughni
  */
-contract NFTicket is ERC721, ERC721URIStorage, AccessControl, ReentrancyGuard {
+contract NFTicket is NFTicketCollection, AccessControl, ERC2771Context, ReentrancyGuard, Initializable, IERC2981 {
+    using SafeERC20 for IERC20;
+
     bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
     bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant SCANNER_ROLE = keccak256("SCANNER_ROLE");
 
     uint256 private _tokenIdCounter;
 
     // Anti-scalping parameters
     uint256 public royaltyCap; // Percentage in basis points (e.g., 500 = 5%)
-    uint256 public maxPrice; // Maximum resale price in wei
+    uint256 public maxPrice; // Maximum resale price in paymentToken units
     address public royaltyRecipient; // Address to receive royalties
 
-    // Event information
-    string public eventName;
-    string public eventDescription;
+    // Settlement currency: address(0) for the native coin, or an ERC-20 such as USDC.
+    // maxPrice, categoryMaxPrice, originalPrice and sale prices are all in its smallest unit
+    address public paymentToken;
+
+    // Resale ceiling policy: one absolute maxPrice, a markup on each ticket's originalPrice,
+    // or a cap per seat category (categories without a cap fall back to maxPrice)
+    enum PricePolicy { Absolute, Markup, Category }
+    PricePolicy public pricePolicy;
+    uint256 public markupBps; // Ceiling as basis points of originalPrice (e.g., 12000 = 120%)
+    mapping(string => uint256) public categoryMaxPrice; // Category => maximum resale price in paymentToken units
+
+    // Per-token royalty overrides (ERC-2981); tokens without one use royaltyRecipient/royaltyCap
+    struct RoyaltyOverride {
+        address recipient;
+        uint96 royaltyBps;
+    }
+    mapping(uint256 => RoyaltyOverride) private _tokenRoyalties;
+    uint256 public constant MAX_ROYALTY_BPS = 2500;
+
+    // Event information (read through getEventInfo; eventDate is public for TicketMarketplace)
+    string private eventName;
+    string private eventDescription;
     uint256 public eventDate;
-    string public eventVenue;
+    string private eventVenue;
 
     // Ticket tracking
     // Ticket tracking
-    mapping(uint256 => bool) public ticketUsed; // Track if ticket has been used for entry
+    mapping(uint256 => bool) public ticketUsed; // Track if ticket has been used for entry (every session of a pass)
     mapping(uint256 => uint256) public originalPrice; // Track original sale price
 
     // Seat mapping
@@ -41,23 +87,99 @@ contract NFTicket is ERC721, ERC721URIStorage, AccessControl, ReentrancyGuard {
         string seatNumber;
         string category; // VIP, General, etc.
     }
-    mapping(uint256 => SeatInfo) public ticketSeats;
+    mapping(uint256 => SeatInfo) private _ticketSeats;
     mapping(bytes32 => bool) public seatTaken; // Track which seats are reserved
 
+    // Multi-session passes (festival days, re-entry tickets). A plain ticket is a pass for session 0 with one entry
+    struct Pass {
+        uint256 sessions; // Bitmap of sessions the pass admits to (bit i = session i)
+        uint256 used; // Sessions entered at least once
+        uint256 exhausted; // Sessions with no entries left
+        uint256 entriesPerSession;
+    }
+    mapping(uint256 => Pass) private _passes;
+    mapping(uint256 => mapping(uint256 => uint256)) private _sessionEntries; // tokenId => session => entries made
+
     mapping(address => bool) public approvedMarketplaces;
     bool private _isInternalTransfer;
 
+    // Resale proceeds, royalties and refunds owed to each address, paid out by withdraw()
+    mapping(address => uint256) public pendingWithdrawals;
+
     // Events
     event TicketMinted(uint256 indexed tokenId, address indexed to, string uri);
     event TicketMintedWithSeat(uint256 indexed tokenId, address indexed to, string section, string row, string seatNumber);
+    event TicketsBatchMinted(uint256 indexed firstTokenId, uint256 count);
     event TicketTransferred(uint256 indexed tokenId, address indexed from, address indexed to, uint256 price, uint256 royaltyAmount);
     event TicketUsed(uint256 indexed tokenId, address indexed owner);
+    event PassMinted(uint256 indexed tokenId, uint256 sessions, uint256 entriesPerSession);
+    event TicketSessionUsed(uint256 indexed tokenId, address indexed owner, uint256 indexed session, uint256 entry);
+    event TicketVoided(uint256 indexed tokenId, address indexed holder, string reason);
+    event TicketReissued(uint256 indexed tokenId, address indexed from, address indexed to, string reason);
+    event SeatChanged(uint256 indexed tokenId, string section, string row, string seatNumber, string category, string reason);
     event RoyaltyCapUpdated(uint256 newRoyaltyCap);
     event MaxPriceUpdated(uint256 newMaxPrice);
+    event PricePolicyUpdated(PricePolicy newPolicy);
+    event MarkupBpsUpdated(uint256 newMarkupBps);
+    event CategoryMaxPriceUpdated(string category, uint256 newMaxPrice);
     event RoyaltyRecipientUpdated(address newRecipient);
     event MarketplaceApprovalUpdated(address indexed marketplace, bool approved);
+    event TokenRoyaltySet(uint256 indexed tokenId, address indexed recipient, uint96 royaltyBps);
+    event TokenRoyaltyReset(uint256 indexed tokenId);
+    event PaymentCredited(address indexed payee, uint256 amount);
+    event PaymentWithdrawn(address indexed payee, uint256 amount);
+    event PaymentTokenUpdated(address indexed token);
 
     constructor(
+        string memory _eventName,
+        string memory _eventDescription,
+        uint256 _eventDate,
+        string memory _eventVenue,
+        uint256 _royaltyCap,
+        uint256 _maxPrice,
+        address _royaltyRecipient,
+        address _trustedForwarder
+    ) ERC721("NFTicket", "NFTIX") ERC2771Context(_trustedForwarder) initializer {
+        _initializeEvent(
+            msg.sender,
+            _eventName,
+            _eventDescription,
+            _eventDate,
+            _eventVenue,
+            _royaltyCap,
+            _maxPrice,
+            _royaltyRecipient
+        );
+    }
+
+    /**
+     * @dev Set up a clone of this contract; callable once, and never on a constructor deployment
+     * @param admin Organizer granted the admin, minter and default admin roles
+     */
+    function initialize(
+        address admin,
+        string memory _eventName,
+        string memory _eventDescription,
+        uint256 _eventDate,
+        string memory _eventVenue,
+        uint256 _royaltyCap,
+        uint256 _maxPrice,
+        address _royaltyRecipient
+    ) external initializer {
+        _initializeEvent(
+            admin,
+            _eventName,
+            _eventDescription,
+            _eventDate,
+            _eventVenue,
+            _royaltyCap,
+            _maxPrice,
+            _royaltyRecipient
+        );
+    }
+
+    function _initializeEvent(
+        address admin,
         string memory _eventName,
         string memory _eventDescription,
         uint256 _eventDate,
@@ -65,10 +187,10 @@ contract NFTicket is ERC721, ERC721URIStorage, AccessControl, ReentrancyGuard {
         uint256 _royaltyCap,
         uint256 _maxPrice,
         address _royaltyRecipient
-    ) ERC721("NFTicket", "NFTIX") {
-        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
-        _grantRole(ADMIN_ROLE, msg.sender);
-        _grantRole(MINTER_ROLE, msg.sender);
+    ) private {
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(ADMIN_ROLE, admin);
+        _grantRole(MINTER_ROLE, admin);
 
         eventName = _eventName;
         eventDescription = _eventDescription;
@@ -123,30 +245,141 @@ contract NFTicket is ERC721, ERC721URIStorage, AccessControl, ReentrancyGuard {
         onlyRole(MINTER_ROLE) 
         returns (uint256) 
     {
-        // Create seat hash to check uniqueness
-        bytes32 seatHash = keccak256(abi.encodePacked(section, row, seatNumber));
-        require(!seatTaken[seatHash], "NFTicket: seat already taken");
-        
         uint256 tokenId = _tokenIdCounter++;
         
         _safeMint(to, tokenId);
         _setTokenURI(tokenId, uri);
         originalPrice[tokenId] = price;
-        
-        // Store seat information
-        ticketSeats[tokenId] = SeatInfo({
-            section: section,
-            row: row,
-            seatNumber: seatNumber,
-            category: category
-        });
-        seatTaken[seatHash] = true;
+        _assignSeat(tokenId, SeatInfo(section, row, seatNumber, category));
         
         emit TicketMinted(tokenId, to, uri);
         emit TicketMintedWithSeat(tokenId, to, section, row, seatNumber);
         return tokenId;
     }
 
+    /**
+     * @dev Mint a batch of tickets in one transaction, e.g. every ticket of an order or an airdrop
+     * Emits a single TicketsBatchMinted instead of a TicketMinted per ticket
+     * @param to Recipient of each ticket
+     * @param uris Metadata URI of each ticket
+     * @param price Original sale price of every ticket in the batch
+     * @return firstTokenId ID of the first ticket; the others follow in order
+     */
+    function mintBatch(address[] calldata to, string[] calldata uris, uint256 price)
+        public
+        onlyRole(MINTER_ROLE)
+        returns (uint256 firstTokenId)
+    {
+        firstTokenId = _mintBatch(to, uris, price);
+        emit TicketsBatchMinted(firstTokenId, to.length);
+    }
+
+    /**
+     * @dev Mint a batch of seated tickets in one transaction, e.g. comping or pre-minting a section
+     * Each seat is packed into one word as "section\0row\0seatNumber\0category" (UTF-8, 32 bytes at most)
+     * @param to Recipient of each ticket
+     * @param uris Metadata URI of each ticket
+     * @param price Original sale price of every ticket in the batch
+     * @param seats Packed seat of each ticket
+     * @return firstTokenId ID of the first ticket; the others follow in order
+     */
+    function mintBatchWithSeats(
+        address[] calldata to,
+        string[] calldata uris,
+        uint256 price,
+        bytes32[] calldata seats
+    )
+        public
+        onlyRole(MINTER_ROLE)
+        returns (uint256 firstTokenId)
+    {
+        require(seats.length == to.length, "NFTicket: array length mismatch");
+
+        firstTokenId = _mintBatch(to, uris, price);
+        for (uint256 i = 0; i < seats.length; i++) {
+            _assignSeat(firstTokenId + i, _unpackSeat(seats[i]));
+        }
+        emit TicketsBatchMinted(firstTokenId, to.length);
+    }
+
+    function _mintBatch(address[] calldata to, string[] calldata uris, uint256 price)
+        private
+        returns (uint256 firstTokenId)
+    {
+        require(to.length > 0, "NFTicket: batch cannot be empty");
+        require(uris.length == to.length, "NFTicket: array length mismatch");
+
+        firstTokenId = _tokenIdCounter;
+        _tokenIdCounter += to.length;
+
+        for (uint256 i = 0; i < to.length; i++) {
+            _safeMint(to[i], firstTokenId + i);
+            _setTokenURI(firstTokenId + i, uris[i]);
+            if (price > 0) {
+                originalPrice[firstTokenId + i] = price;
+            }
+        }
+    }
+
+    /**
+     * @dev Reserve a seat for a ticket
+     */
+    function _assignSeat(uint256 tokenId, SeatInfo memory seat) private {
+        // Create seat hash to check uniqueness
+        bytes32 seatHash = keccak256(abi.encodePacked(seat.section, seat.row, seat.seatNumber));
+        require(!seatTaken[seatHash], "NFTicket: seat already taken");
+
+        _ticketSeats[tokenId] = seat;
+        seatTaken[seatHash] = true;
+    }
+
+    /**
+     * @dev Split a packed "section\0row\0seatNumber\0category" word into its fields
+     */
+    function _unpackSeat(bytes32 packed) private pure returns (SeatInfo memory seat) {
+        string[4] memory fields;
+        uint256 field;
+        uint256 start;
+
+        for (uint256 i = 0; i <= 32 && field < 4; i++) {
+            if (i == 32 || packed[i] == 0) {
+                bytes memory value = new bytes(i - start);
+                for (uint256 j = 0; j < value.length; j++) {
+                    value[j] = packed[start + j];
+                }
+                fields[field++] = string(value);
+                start = i + 1;
+            }
+        }
+
+        require(bytes(fields[0]).length > 0, "NFTicket: seat section cannot be empty");
+        return SeatInfo(fields[0], fields[1], fields[2], fields[3]);
+    }
+
+    /**
+     * @dev Mint a multi-session pass, e.g. a 3-day festival pass or a ticket allowing re-entry
+     * @param to Address to mint the pass to
+     * @param uri Metadata URI for the pass
+     * @param price Original sale price of the pass
+     * @param sessions Bitmap of sessions the pass admits to (bit i = session/day i)
+     * @param entriesPerSession Entries allowed per session (1 for no re-entry)
+     */
+    function mintPass(address to, string memory uri, uint256 price, uint256 sessions, uint256 entriesPerSession)
+        public
+        onlyRole(MINTER_ROLE)
+        returns (uint256)
+    {
+        require(sessions != 0, "NFTicket: pass must include a session");
+        require(entriesPerSession > 0, "NFTicket: entries per session must be greater than zero");
+
+        uint256 tokenId = mintTicket(to, uri, price);
+        _passes[tokenId].sessions = sessions;
+        _passes[tokenId].entriesPerSession = entriesPerSession;
+
+        emit PassMinted(tokenId, sessions, entriesPerSession);
+        return tokenId;
+    }
+
     /**
      * @dev Get seat information for a ticket
      * @param tokenId Token ID to query
@@ -166,7 +399,7 @@ contract NFTicket is ERC721, ERC721URIStorage, AccessControl, ReentrancyGuard {
         ) 
     {
         require(ownerOf(tokenId) != address(0), "NFTicket: ticket does not exist");
-        SeatInfo memory seat = ticketSeats[tokenId];
+        SeatInfo memory seat = _ticketSeats[tokenId];
         return (seat.section, seat.row, seat.seatNumber, seat.category);
     }
 
@@ -188,6 +421,7 @@ contract NFTicket is ERC721, ERC721URIStorage, AccessControl, ReentrancyGuard {
 
     /**
      * @dev Transfer ticket with anti-scalping enforcement
+     * With an ERC-20 paymentToken the caller must have approved this contract for salePrice
      * @param from Current owner
      * @param to New owner
      * @param tokenId Token ID to transfer
@@ -198,35 +432,68 @@ contract NFTicket is ERC721, ERC721URIStorage, AccessControl, ReentrancyGuard {
         payable 
         nonReentrant 
     {
+        _transferWithPrice(from, to, tokenId, salePrice);
+    }
+
+    /**
+     * @dev Resell a ticket for paymentToken, approving the payment with an EIP-2612 permit
+     * @param from Current owner
+     * @param to New owner
+     * @param tokenId Token ID to transfer
+     * @param salePrice Price of the sale in paymentToken units
+     * @param deadline Permit deadline
+     */
+    function transferWithPermit(
+        address from,
+        address to,
+        uint256 tokenId,
+        uint256 salePrice,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) public nonReentrant {
+        require(paymentToken != address(0), "NFTicket: no payment token configured");
+
+        // A front-run permit still leaves the allowance in place, so only the transfer itself must succeed
+        try IERC20Permit(paymentToken).permit(_msgSender(), address(this), salePrice, deadline, v, r, s) {} catch {}
+        _transferWithPrice(from, to, tokenId, salePrice);
+    }
+
+    function _transferWithPrice(address from, address to, uint256 tokenId, uint256 salePrice) private {
+        address caller = _msgSender();
         require(
-            msg.sender == ownerOf(tokenId) || 
-            getApproved(tokenId) == msg.sender || 
-            isApprovedForAll(ownerOf(tokenId), msg.sender), 
+            caller == ownerOf(tokenId) || 
+            getApproved(tokenId) == caller || 
+            isApprovedForAll(ownerOf(tokenId), caller), 
             "NFTicket: transfer caller is not owner nor approved"
         );
         require(ownerOf(tokenId) == from, "NFTicket: transfer from incorrect owner");
         require(!ticketUsed[tokenId], "NFTicket: ticket has already been used");
+        require(paymentToken == address(0) || msg.value == 0, "NFTicket: native payment not accepted");
 
         // Enforce max price if this is a resale (salePrice > 0)
         if (salePrice > 0) {
-            require(salePrice <= maxPrice, "NFTicket: sale price exceeds maximum allowed price");
-            require(msg.value >= salePrice, "NFTicket: insufficient payment");
-
-            // Calculate and transfer royalty
-            uint256 royaltyAmount = (salePrice * royaltyCap) / 10000;
-            uint256 sellerAmount = salePrice - royaltyAmount;
-
-            if (royaltyAmount > 0) {
-                payable(royaltyRecipient).transfer(royaltyAmount);
-            }
-            
-            if (sellerAmount > 0) {
-                payable(from).transfer(sellerAmount);
-            }
-
-            // Refund excess payment
-            if (msg.value > salePrice) {
-                payable(msg.sender).transfer(msg.value - salePrice);
+            require(salePrice <= maxResalePrice(tokenId), "NFTicket: sale price exceeds maximum allowed price");
+
+            // Same royalty terms marketplaces read from royaltyInfo
+            (address recipient, uint256 royaltyAmount) = royaltyInfo(tokenId, salePrice);
+
+            if (paymentToken == address(0)) {
+                require(msg.value >= salePrice, "NFTicket: insufficient payment");
+
+                // Credit royalty, seller and any excess payment
+                // Pull payments keep contract wallets with a costly receive() from blocking the resale
+                _creditPayment(recipient, royaltyAmount);
+                _creditPayment(from, salePrice - royaltyAmount);
+                _creditPayment(caller, msg.value - salePrice);
+            } else {
+                // ERC-20 transfers run no code at the payee, so they are paid straight from the caller
+                IERC20 token = IERC20(paymentToken);
+                if (royaltyAmount > 0) {
+                    token.safeTransferFrom(caller, recipient, royaltyAmount);
+                }
+                token.safeTransferFrom(caller, from, salePrice - royaltyAmount);
             }
 
             emit TicketTransferred(tokenId, from, to, salePrice, royaltyAmount);
@@ -238,16 +505,247 @@ contract NFTicket is ERC721, ERC721URIStorage, AccessControl, ReentrancyGuard {
     }
 
     /**
-     * @dev Mark a ticket as used for event entry
+     * @dev Withdraw resale proceeds, royalties and refunds credited to the caller
+     */
+    function withdraw() public nonReentrant {
+        address payee = _msgSender();
+        uint256 amount = pendingWithdrawals[payee];
+        require(amount > 0, "NFTicket: no funds to withdraw");
+
+        pendingWithdrawals[payee] = 0;
+        (bool success, ) = payable(payee).call{value: amount}("");
+        require(success, "NFTicket: withdrawal failed");
+
+        emit PaymentWithdrawn(payee, amount);
+    }
+
+    /**
+     * @dev Add to a payee's withdrawable balance
+     */
+    function _creditPayment(address payee, uint256 amount) private {
+        if (amount == 0) return;
+        pendingWithdrawals[payee] += amount;
+        emit PaymentCredited(payee, amount);
+    }
+
+    /**
+     * @dev Mark a ticket as used for event entry (owner or gate scanner)
+     * For a pass this is an entry to session 0
      * @param tokenId Token ID to mark as used
      */
     function useTicket(uint256 tokenId) public {
-        require(ownerOf(tokenId) != address(0), "NFTicket: ticket does not exist");
-        require(ownerOf(tokenId) == msg.sender, "NFTicket: caller is not the owner");
+        useSession(tokenId, 0);
+    }
+
+    /**
+     * @dev Record one entry to a session of a ticket (owner or gate scanner)
+     * TicketSessionUsed is emitted for every entry; TicketUsed once the last entry of the last session is made,
+     * after which the ticket can no longer be transferred
+     * @param tokenId Token ID to admit
+     * @param session Session (day) being entered
+     */
+    function useSession(uint256 tokenId, uint8 session) public {
+        address owner = ownerOf(tokenId);
+        require(owner == _msgSender() || hasRole(SCANNER_ROLE, _msgSender()), "NFTicket: caller is not the owner");
         require(!ticketUsed[tokenId], "NFTicket: ticket has already been used");
+        require(_hasEntryLeft(tokenId, session), "NFTicket: no entry left for session");
+
+        _admit(tokenId, owner, session);
+    }
+
+    /**
+     * @dev Mark a batch of checked-in tickets as used (scanner only)
+     * Tickets that are already used or no longer exist are skipped, so a batch can be safely resent
+     * @param tokenIds Token IDs admitted at the gate
+     * @return used Number of tickets newly marked as used
+     */
+    function useTickets(uint256[] calldata tokenIds) external returns (uint256 used) {
+        return useSessionTickets(tokenIds, 0);
+    }
+
+    /**
+     * @dev Record one entry to a session for a batch of checked-in tickets (scanner only)
+     * Tickets that no longer exist, are used up or have no entry left for the session are skipped
+     * @param tokenIds Token IDs admitted at the gate
+     * @param session Session (day) being entered
+     * @return used Number of entries recorded
+     */
+    function useSessionTickets(uint256[] calldata tokenIds, uint8 session)
+        public
+        onlyRole(SCANNER_ROLE)
+        returns (uint256 used)
+    {
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            uint256 tokenId = tokenIds[i];
+            address owner = _ownerOf(tokenId);
+            if (owner == address(0) || ticketUsed[tokenId] || !_hasEntryLeft(tokenId, session)) continue;
+
+            _admit(tokenId, owner, session);
+            used++;
+        }
+    }
+
+    /**
+     * @dev Whether a ticket that is not fully used can still enter a session
+     */
+    function _hasEntryLeft(uint256 tokenId, uint8 session) private view returns (bool) {
+        Pass storage pass = _passes[tokenId];
+        if (pass.sessions == 0) {
+            return session == 0;
+        }
+        return pass.sessions & (uint256(1) << session) != 0 &&
+            _sessionEntries[tokenId][session] < pass.entriesPerSession;
+    }
+
+    /**
+     * @dev Record an entry; plain tickets skip the pass bookkeeping and are used up by their only entry
+     */
+    function _admit(uint256 tokenId, address owner, uint8 session) private {
+        Pass storage pass = _passes[tokenId];
+        uint256 entry = 1;
+        bool usedUp = pass.sessions == 0;
+
+        if (!usedUp) {
+            uint256 bit = uint256(1) << session;
+            entry = ++_sessionEntries[tokenId][session];
+            pass.used |= bit;
+            if (entry == pass.entriesPerSession) {
+                pass.exhausted |= bit;
+                usedUp = pass.exhausted == pass.sessions;
+            }
+        }
+
+        emit TicketSessionUsed(tokenId, owner, session, entry);
+        if (usedUp) {
+            ticketUsed[tokenId] = true;
+            emit TicketUsed(tokenId, owner);
+        }
+    }
+
+    /**
+     * @dev Get a ticket's sessions and usage; a plain ticket reports session 0 with a single entry
+     * @param tokenId Token ID to query
+     * @return sessions Bitmap of sessions the ticket admits to
+     * @return sessionsUsed Bitmap of sessions entered at least once
+     * @return entriesPerSession Entries allowed per session
+     */
+    function getPassInfo(uint256 tokenId) public view returns (
+        uint256 sessions,
+        uint256 sessionsUsed,
+        uint256 entriesPerSession
+    ) {
+        Pass storage pass = _passes[tokenId];
+        if (pass.sessions == 0) {
+            return (1, ticketUsed[tokenId] ? 1 : 0, 1);
+        }
+        return (pass.sessions, pass.used, pass.entriesPerSession);
+    }
+
+    /**
+     * @dev Number of entries a ticket has made to a session
+     */
+    function sessionEntries(uint256 tokenId, uint8 session) public view returns (uint256) {
+        if (_passes[tokenId].sessions == 0) {
+            return session == 0 && ticketUsed[tokenId] ? 1 : 0;
+        }
+        return _sessionEntries[tokenId][session];
+    }
 
-        ticketUsed[tokenId] = true;
-        emit TicketUsed(tokenId, msg.sender);
+    /**
+     * @dev Void a ticket (admin only), e.g. after a refund or chargeback
+     * Burns the token and frees its seat so it can be sold again; a listed ticket must be delisted first
+     * @param tokenId Token ID to void
+     * @param reason Why the ticket was voided (e.g. "refund", "dispute")
+     */
+    function voidTicket(uint256 tokenId, string memory reason) public onlyRole(ADMIN_ROLE) {
+        address holder = _holderOf(tokenId);
+
+        _releaseSeat(tokenId);
+        delete originalPrice[tokenId];
+        delete ticketUsed[tokenId];
+        delete _passes[tokenId];
+        delete _tokenRoyalties[tokenId];
+
+        _burn(tokenId);
+        emit TicketVoided(tokenId, holder, reason);
+    }
+
+    /**
+     * @dev Move a ticket to a new wallet (admin only), e.g. when a customer loses access to theirs
+     * The token keeps its ID, seat, original price and entry state; a listed ticket must be delisted first
+     * @param tokenId Token ID to reissue
+     * @param to Wallet that receives the ticket
+     * @param reason Why the ticket was reissued (e.g. "lost wallet")
+     */
+    function reissueTicket(uint256 tokenId, address to, string memory reason) public onlyRole(ADMIN_ROLE) {
+        address holder = _holderOf(tokenId);
+        require(to != address(0), "NFTicket: cannot reissue to zero address");
+
+        _isInternalTransfer = true;
+        _transfer(holder, to, tokenId);
+        _isInternalTransfer = false;
+
+        emit TicketReissued(tokenId, holder, to, reason);
+    }
+
+    /**
+     * @dev Owner of an existing ticket that is not held in escrow by an approved marketplace
+     */
+    function _holderOf(uint256 tokenId) private view returns (address holder) {
+        holder = _ownerOf(tokenId);
+        require(holder != address(0), "NFTicket: ticket does not exist");
+        require(!approvedMarketplaces[holder], "NFTicket: ticket is listed on a marketplace");
+    }
+
+    /**
+     * @dev Move a ticket to another free seat (admin only), e.g. an upgrade or a relocation
+     * The old seat is freed and the new one taken in the same transaction
+     * @param tokenId Token ID to move
+     * @param seat New seat, packed as in mintBatchWithSeats (its category replaces the ticket's)
+     * @param reason Why the seat changed (e.g. "upgrade")
+     */
+    function changeSeat(uint256 tokenId, bytes32 seat, string memory reason) public onlyRole(ADMIN_ROLE) {
+        require(_ownerOf(tokenId) != address(0), "NFTicket: ticket does not exist");
+
+        _releaseSeat(tokenId);
+        _assignSeat(tokenId, _unpackSeat(seat));
+        _emitSeatChanged(tokenId, reason);
+    }
+
+    /**
+     * @dev Exchange the seats of two seated tickets (admin only)
+     * @param tokenIdA First ticket
+     * @param tokenIdB Second ticket
+     * @param reason Why the seats were swapped
+     */
+    function swapSeats(uint256 tokenIdA, uint256 tokenIdB, string memory reason) public onlyRole(ADMIN_ROLE) {
+        SeatInfo memory seatA = _ticketSeats[tokenIdA];
+        SeatInfo memory seatB = _ticketSeats[tokenIdB];
+        require(
+            bytes(seatA.section).length > 0 && bytes(seatB.section).length > 0,
+            "NFTicket: ticket has no seat"
+        );
+
+        _ticketSeats[tokenIdA] = seatB;
+        _ticketSeats[tokenIdB] = seatA;
+        _emitSeatChanged(tokenIdA, reason);
+        _emitSeatChanged(tokenIdB, reason);
+    }
+
+    /**
+     * @dev Free a ticket's seat, if it has one
+     */
+    function _releaseSeat(uint256 tokenId) private {
+        SeatInfo storage seat = _ticketSeats[tokenId];
+        if (bytes(seat.section).length > 0) {
+            seatTaken[keccak256(abi.encodePacked(seat.section, seat.row, seat.seatNumber))] = false;
+            delete _ticketSeats[tokenId];
+        }
+    }
+
+    function _emitSeatChanged(uint256 tokenId, string memory reason) private {
+        SeatInfo storage seat = _ticketSeats[tokenId];
+        emit SeatChanged(tokenId, seat.section, seat.row, seat.seatNumber, seat.category, reason);
     }
 
     /**
@@ -255,20 +753,88 @@ contract NFTicket is ERC721, ERC721URIStorage, AccessControl, ReentrancyGuard {
      * @param _royaltyCap New royalty cap in basis points
      */
     function setRoyaltyCap(uint256 _royaltyCap) public onlyRole(ADMIN_ROLE) {
-        require(_royaltyCap <= 2500, "NFTicket: royalty cap cannot exceed 25%");
+        require(_royaltyCap <= MAX_ROYALTY_BPS, "NFTicket: royalty cap cannot exceed 25%");
         royaltyCap = _royaltyCap;
         emit RoyaltyCapUpdated(_royaltyCap);
     }
 
+    /**
+     * @dev Set the settlement currency (admin only). Prices are denominated in it, so it can only
+     * change before the first ticket is minted, and maxPrice is set again in its units
+     * @param token ERC-20 token address, or address(0) for the native coin
+     * @param _maxPrice Maximum resale price in the new currency's units
+     */
+    function setPaymentToken(address token, uint256 _maxPrice) public onlyRole(ADMIN_ROLE) {
+        require(_tokenIdCounter == 0, "NFTicket: payment token cannot change after minting");
+        paymentToken = token;
+        maxPrice = _maxPrice;
+        emit PaymentTokenUpdated(token);
+        emit MaxPriceUpdated(_maxPrice);
+    }
+
+    /**
+     * @dev Decimals of the settlement currency, for formatting prices
+     */
+    function paymentDecimals() public view returns (uint8) {
+        return paymentToken == address(0) ? 18 : IERC20Metadata(paymentToken).decimals();
+    }
+
     /**
      * @dev Update maximum resale price (admin only)
-     * @param _maxPrice New maximum price in wei
+     * @param _maxPrice New maximum price in paymentToken units
      */
     function setMaxPrice(uint256 _maxPrice) public onlyRole(ADMIN_ROLE) {
         maxPrice = _maxPrice;
         emit MaxPriceUpdated(_maxPrice);
     }
 
+    /**
+     * @dev Update resale price policy (admin only)
+     * @param policy Absolute (maxPrice), Markup (originalPrice * markupBps) or Category (categoryMaxPrice)
+     */
+    function setPricePolicy(PricePolicy policy) public onlyRole(ADMIN_ROLE) {
+        pricePolicy = policy;
+        emit PricePolicyUpdated(policy);
+    }
+
+    /**
+     * @dev Update markup ceiling for the Markup policy (admin only)
+     * @param _markupBps Maximum resale price in basis points of the original price (min 10000 = face value)
+     */
+    function setMarkupBps(uint256 _markupBps) public onlyRole(ADMIN_ROLE) {
+        require(_markupBps >= 10000, "NFTicket: markup cannot be below original price");
+        markupBps = _markupBps;
+        emit MarkupBpsUpdated(_markupBps);
+    }
+
+    /**
+     * @dev Update maximum resale price for a seat category under the Category policy (admin only)
+     * @param category Category as stored in SeatInfo (e.g., "VIP", "General")
+     * @param _maxPrice New maximum price in paymentToken units (0 falls back to maxPrice)
+     */
+    function setCategoryMaxPrice(string memory category, uint256 _maxPrice) public onlyRole(ADMIN_ROLE) {
+        categoryMaxPrice[category] = _maxPrice;
+        emit CategoryMaxPriceUpdated(category, _maxPrice);
+    }
+
+    /**
+     * @dev Get the resale ceiling that applies to a ticket under the current price policy
+     * @param tokenId Token ID to query
+     * @return Maximum resale price in paymentToken units
+     */
+    function maxResalePrice(uint256 tokenId) public view returns (uint256) {
+        if (pricePolicy == PricePolicy.Markup) {
+            return (originalPrice[tokenId] * markupBps) / 10000;
+        }
+        if (pricePolicy == PricePolicy.Category) {
+            uint256 categoryCap = categoryMaxPrice[_ticketSeats[tokenId].category];
+            if (categoryCap > 0) {
+                return categoryCap;
+            }
+        }
+        return maxPrice;
+    }
+
     /**
      * @dev Update royalty recipient (admin only)
      * @param _royaltyRecipient New royalty recipient address
@@ -279,6 +845,49 @@ contract NFTicket is ERC721, ERC721URIStorage, AccessControl, ReentrancyGuard {
         emit RoyaltyRecipientUpdated(_royaltyRecipient);
     }
 
+    /**
+     * @dev Override the royalty for a single ticket (admin only), e.g. a VIP tier with a different split
+     * @param tokenId Token ID to override
+     * @param recipient Address to receive this ticket's royalties
+     * @param royaltyBps Royalty in basis points (max 25%)
+     */
+    function setTokenRoyalty(uint256 tokenId, address recipient, uint96 royaltyBps) public onlyRole(ADMIN_ROLE) {
+        require(_ownerOf(tokenId) != address(0), "NFTicket: ticket does not exist");
+        require(recipient != address(0), "NFTicket: royalty recipient cannot be zero address");
+        require(royaltyBps <= MAX_ROYALTY_BPS, "NFTicket: royalty cap cannot exceed 25%");
+        _tokenRoyalties[tokenId] = RoyaltyOverride(recipient, royaltyBps);
+        emit TokenRoyaltySet(tokenId, recipient, royaltyBps);
+    }
+
+    /**
+     * @dev Remove a ticket's royalty override so it uses the contract defaults again (admin only)
+     * @param tokenId Token ID to reset
+     */
+    function resetTokenRoyalty(uint256 tokenId) public onlyRole(ADMIN_ROLE) {
+        delete _tokenRoyalties[tokenId];
+        emit TokenRoyaltyReset(tokenId);
+    }
+
+    /**
+     * @dev ERC-2981 royalty for a sale: the ticket's override if set, else royaltyRecipient at royaltyCap
+     * @param tokenId Token ID being sold
+     * @param salePrice Sale price in any unit of exchange
+     * @return receiver Address to pay the royalty to
+     * @return royaltyAmount Royalty owed, in the same unit as salePrice
+     */
+    function royaltyInfo(uint256 tokenId, uint256 salePrice)
+        public
+        view
+        override
+        returns (address receiver, uint256 royaltyAmount)
+    {
+        RoyaltyOverride memory tokenRoyalty = _tokenRoyalties[tokenId];
+        if (tokenRoyalty.recipient != address(0)) {
+            return (tokenRoyalty.recipient, (salePrice * tokenRoyalty.royaltyBps) / 10000);
+        }
+        return (royaltyRecipient, (salePrice * royaltyCap) / 10000);
+    }
+
     /**
      * @dev Set approved marketplace status (admin only)
      * @param marketplace Address of the marketplace
@@ -291,20 +900,26 @@ contract NFTicket is ERC721, ERC721URIStorage, AccessControl, ReentrancyGuard {
 
     /**
      * @dev Get ticket information
+     * used is only true once every session is used up; sessions and sessionsUsed show partial usage
      * @param tokenId Token ID to query
      */
     function getTicketInfo(uint256 tokenId) public view returns (
         address owner,
         string memory uri,
         bool used,
-        uint256 origPrice
+        uint256 origPrice,
+        uint256 sessions,
+        uint256 sessionsUsed
     ) {
         require(ownerOf(tokenId) != address(0), "NFTicket: ticket does not exist");
+        (sessions, sessionsUsed, ) = getPassInfo(tokenId);
         return (
             ownerOf(tokenId),
             tokenURI(tokenId),
             ticketUsed[tokenId],
-            originalPrice[tokenId]
+            originalPrice[tokenId],
+            sessions,
+            sessionsUsed
         );
     }
 
@@ -322,22 +937,26 @@ contract NFTicket is ERC721, ERC721URIStorage, AccessControl, ReentrancyGuard {
 
     // The following functions are overrides required by Solidity. 
     // We need to explicitly mark them as `virtual` here and `override` in the child contracts.
-    function tokenURI(uint256 tokenId)
-        public
-        view
-        override(ERC721, ERC721URIStorage)
-        returns (string memory)
-    {
-        return super.tokenURI(tokenId);
-    }
-
     function supportsInterface(bytes4 interfaceId)
         public
         view
-        override(ERC721, ERC721URIStorage, AccessControl)
+        override(ERC721URIStorage, AccessControl, IERC165)
         returns (bool)
     {
-        return super.supportsInterface(interfaceId);
+        return interfaceId == type(IERC2981).interfaceId || super.supportsInterface(interfaceId);
+    }
+
+    // ERC-2771: calls relayed by the trusted forwarder act for the signer appended to the calldata
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
     }
 
     // Internal function to prevent transfers unless authorized or strictly internal
@@ -354,7 +973,7 @@ contract NFTicket is ERC721, ERC721URIStorage, AccessControl, ReentrancyGuard {
         address from = _ownerOf(tokenId);
         if (from != address(0) && to != address(0)) {
             require(
-                _isInternalTransfer || approvedMarketplaces[msg.sender],
+                _isInternalTransfer || approvedMarketplaces[_msgSender()],
                 "NFTicket: transfers restricted to approved marketplaces"
             );
         }
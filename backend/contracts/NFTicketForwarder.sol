@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/**
+ * @title NFTicketForwarder
+ * @dev ERC-2771 trusted forwarder for NFTicket, POAPDistributor and LoyaltyPoints
+ * Verifies a holder's EIP-712 signed ForwardRequest and calls the target with the holder appended as the sender,
+ * so the backend relayer can pay the gas. EIP-712 domain: name "NFTicketForwarder", version "1"
+ * @author Sowad Al-Mughni
+ */
+contract NFTicketForwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("NFTicketForwarder") {}
+}
@@ -4,15 +4,17 @@ pragma solidity ^0.8.24;
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
 
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 
 /**
  * @title POAPDistributor
  * @dev ERC-721 contract for distributing Proof of Attendance Protocol (POAP) NFTs
+ * Accepts ERC-2771 meta-transactions from a trusted forwarder (address(0) for none)
  * @author Sowad Al-Mughni
  */
-contract POAPDistributor is ERC721, ERC721URIStorage, AccessControl, ReentrancyGuard {
+contract POAPDistributor is ERC721, ERC721URIStorage, AccessControl, ERC2771Context, ReentrancyGuard {
     
 
     bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
@@ -49,8 +51,9 @@ contract POAPDistributor is ERC721, ERC721URIStorage, AccessControl, ReentrancyG
         uint256 _eventDate,
         string memory _eventLocation,
         string memory _baseTokenURI,
-        uint256 _maxSupply
-    ) ERC721("EventPOAP", "POAP") {
+        uint256 _maxSupply,
+        address _trustedForwarder
+    ) ERC721("EventPOAP", "POAP") ERC2771Context(_trustedForwarder) {
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _grantRole(ADMIN_ROLE, msg.sender);
         _grantRole(MINTER_ROLE, msg.sender);
@@ -257,6 +260,18 @@ contract POAPDistributor is ERC721, ERC721URIStorage, AccessControl, ReentrancyG
         return super._update(to, tokenId, auth);
     }
 
+    // ERC-2771: calls relayed by the trusted forwarder act for the signer appended to the calldata
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
+    }
 }
 
 
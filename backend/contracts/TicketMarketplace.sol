@@ -0,0 +1,380 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./NFTicket.sol";
+import "./EventFactory.sol";
+
+/**
+ * @title TicketMarketplace
+ * @dev Escrow resale marketplace for NFTicket contracts
+ * Listed tickets are held by the marketplace until they sell or the listing is cancelled.
+ * Every sale enforces the ticket's maxResalePrice and pays its ERC-2981 royalty. Listings and offers
+ * expire at the event date. Payments are credited to pendingWithdrawals and paid out by withdraw(),
+ * so a contract wallet on either side cannot block a sale. Events with an ERC-20 paymentToken settle in
+ * that token instead, paid directly to the seller and royalty recipient. An event must approve the
+ * marketplace via setApprovedMarketplace before its tickets can be listed, and only events created through
+ * the EventFactory are accepted. Each listing and offer records the event's currency when it is created,
+ * and is always settled or refunded in that currency.
+ * @author Sowad Al-Mughni
+ */
+contract TicketMarketplace is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    struct Listing {
+        address nfticket;
+        uint256 tokenId;
+        address seller;
+        uint256 price;
+        address paymentToken; // Settlement currency when listed (zero for the native coin)
+        uint256 expiresAt;
+        bool active;
+    }
+
+    struct Offer {
+        address nfticket;
+        uint256 tokenId;
+        address buyer;
+        uint256 amount;
+        address paymentToken; // Currency escrowed (zero for the native coin)
+        uint256 expiresAt;
+        bool active;
+    }
+
+    // Registry of the events the marketplace accepts
+    EventFactory public immutable eventFactory;
+
+    uint256 public nextListingId = 1;
+    uint256 public nextOfferId = 1;
+
+    mapping(uint256 => Listing) public listings;
+    mapping(uint256 => Offer) public offers;
+    // nfticket => tokenId => active listing ID (0 when not listed)
+    mapping(address => mapping(uint256 => uint256)) public activeListingOf;
+    // Native-coin sale proceeds, royalties and refunds owed to each address
+    mapping(address => uint256) public pendingWithdrawals;
+
+    event ListingCreated(
+        uint256 indexed listingId,
+        address indexed nfticket,
+        uint256 indexed tokenId,
+        address seller,
+        uint256 price,
+        uint256 expiresAt
+    );
+    event ListingCancelled(uint256 indexed listingId);
+    event OfferCreated(
+        uint256 indexed offerId,
+        address indexed nfticket,
+        uint256 indexed tokenId,
+        address buyer,
+        uint256 amount,
+        uint256 expiresAt
+    );
+    event OfferCancelled(uint256 indexed offerId);
+    event PaymentCredited(address indexed payee, uint256 amount);
+    event PaymentWithdrawn(address indexed payee, uint256 amount);
+    event TicketSold(
+        address indexed nfticket,
+        uint256 indexed tokenId,
+        uint256 indexed listingId,
+        uint256 offerId,
+        address seller,
+        address buyer,
+        uint256 price,
+        uint256 royaltyAmount
+    );
+
+    constructor(address _eventFactory) {
+        require(_eventFactory != address(0), "TicketMarketplace: event factory cannot be zero address");
+        eventFactory = EventFactory(_eventFactory);
+    }
+
+    /**
+     * @dev List a ticket for sale. The ticket moves into escrow, so the seller must approve the marketplace first
+     * @param nfticket NFTicket contract address
+     * @param tokenId Token ID to list
+     * @param price Asking price in the event's paymentToken units (at most the ticket's maxResalePrice)
+     * @return listingId ID of the new listing
+     */
+    function createListing(address nfticket, uint256 tokenId, uint256 price)
+        external
+        nonReentrant
+        returns (uint256 listingId)
+    {
+        NFTicket ticket = _trustedEvent(nfticket);
+        require(ticket.ownerOf(tokenId) == msg.sender, "TicketMarketplace: caller is not the ticket owner");
+        require(!ticket.ticketUsed(tokenId), "TicketMarketplace: ticket has already been used");
+        require(price > 0, "TicketMarketplace: price must be greater than zero");
+        require(price <= ticket.maxResalePrice(tokenId), "TicketMarketplace: price exceeds maximum allowed price");
+
+        uint256 expiresAt = ticket.eventDate();
+        require(block.timestamp < expiresAt, "TicketMarketplace: event has already started");
+
+        listingId = nextListingId++;
+        listings[listingId] = Listing(nfticket, tokenId, msg.sender, price, ticket.paymentToken(), expiresAt, true);
+        activeListingOf[nfticket][tokenId] = listingId;
+
+        ticket.transferFrom(msg.sender, address(this), tokenId);
+        emit ListingCreated(listingId, nfticket, tokenId, msg.sender, price, expiresAt);
+    }
+
+    /**
+     * @dev Cancel a listing and return the ticket to the seller
+     * The seller can cancel at any time; once the listing has expired anyone can
+     * @param listingId Listing to cancel
+     */
+    function cancelListing(uint256 listingId) external nonReentrant {
+        Listing storage listing = listings[listingId];
+        require(listing.active, "TicketMarketplace: listing is not active");
+        require(
+            msg.sender == listing.seller || block.timestamp >= listing.expiresAt,
+            "TicketMarketplace: caller is not the seller"
+        );
+
+        _closeListing(listing);
+        NFTicket(listing.nfticket).transferFrom(address(this), listing.seller, listing.tokenId);
+        emit ListingCancelled(listingId);
+    }
+
+    /**
+     * @dev Buy a listed ticket. Any payment above the asking price is credited back to the buyer
+     * For ERC-20 events msg.value must be 0 and the marketplace must be approved for the price
+     * @param listingId Listing to buy
+     */
+    function buy(uint256 listingId) external payable nonReentrant {
+        _buy(listingId);
+    }
+
+    /**
+     * @dev Buy a listed ticket from an ERC-20 event, approving the payment with an EIP-2612 permit
+     * @param listingId Listing to buy
+     * @param deadline Permit deadline
+     */
+    function buyWithPermit(uint256 listingId, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external nonReentrant {
+        address token = listings[listingId].paymentToken;
+        require(token != address(0), "TicketMarketplace: event does not settle in an ERC-20");
+
+        try IERC20Permit(token).permit(msg.sender, address(this), listings[listingId].price, deadline, v, r, s) {} catch {}
+        _buy(listingId);
+    }
+
+    /**
+     * @dev Offer to buy a native-coin ticket, escrowing msg.value until the offer is accepted or cancelled
+     * @param nfticket NFTicket contract address
+     * @param tokenId Token ID to make an offer on
+     * @return offerId ID of the new offer
+     */
+    function makeOffer(address nfticket, uint256 tokenId) external payable nonReentrant returns (uint256 offerId) {
+        offerId = _createOffer(nfticket, tokenId, msg.value);
+        require(offers[offerId].paymentToken == address(0), "TicketMarketplace: event settles in an ERC-20");
+    }
+
+    /**
+     * @dev Offer to buy a ticket from an ERC-20 event, escrowing amount of its paymentToken
+     * @param nfticket NFTicket contract address
+     * @param tokenId Token ID to make an offer on
+     * @param amount Offer in paymentToken units (the marketplace must be approved for it)
+     * @return offerId ID of the new offer
+     */
+    function makeTokenOffer(address nfticket, uint256 tokenId, uint256 amount)
+        external
+        nonReentrant
+        returns (uint256 offerId)
+    {
+        offerId = _createOffer(nfticket, tokenId, amount);
+        address token = offers[offerId].paymentToken;
+        require(token != address(0), "TicketMarketplace: event does not settle in an ERC-20");
+
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+    }
+
+    /**
+     * @dev Cancel an offer and return the amount to the buyer
+     * Native offers are credited to pendingWithdrawals; ERC-20 offers are transferred back
+     * The buyer can cancel at any time; once the offer has expired anyone can
+     * @param offerId Offer to cancel
+     */
+    function cancelOffer(uint256 offerId) external nonReentrant {
+        Offer storage offer = offers[offerId];
+        require(offer.active, "TicketMarketplace: offer is not active");
+        require(
+            msg.sender == offer.buyer || block.timestamp >= offer.expiresAt,
+            "TicketMarketplace: caller is not the buyer"
+        );
+
+        offer.active = false;
+        _pay(offer.paymentToken, address(this), offer.buyer, offer.amount);
+        emit OfferCancelled(offerId);
+    }
+
+    /**
+     * @dev Accept an offer as the ticket's owner, or as the seller of its active listing
+     * Unlisted tickets are transferred straight from the owner, so the marketplace must be approved for them
+     * @param offerId Offer to accept
+     */
+    function acceptOffer(uint256 offerId) external nonReentrant {
+        Offer storage offer = offers[offerId];
+        require(offer.active, "TicketMarketplace: offer is not active");
+        require(block.timestamp < offer.expiresAt, "TicketMarketplace: offer has expired");
+
+        offer.active = false;
+
+        uint256 listingId = activeListingOf[offer.nfticket][offer.tokenId];
+        address holder;
+        if (listingId != 0) {
+            Listing storage listing = listings[listingId];
+            require(listing.seller == msg.sender, "TicketMarketplace: caller is not the ticket owner");
+            _closeListing(listing);
+            holder = address(this);
+        } else {
+            require(
+                NFTicket(offer.nfticket).ownerOf(offer.tokenId) == msg.sender,
+                "TicketMarketplace: caller is not the ticket owner"
+            );
+            holder = msg.sender;
+        }
+
+        _settle(
+            offer.nfticket,
+            offer.tokenId,
+            holder,
+            msg.sender,
+            offer.buyer,
+            offer.amount,
+            offer.paymentToken,
+            listingId,
+            offerId
+        );
+    }
+
+    /**
+     * @dev Withdraw native-coin sale proceeds, royalties and refunds credited to the caller
+     */
+    function withdraw() external nonReentrant {
+        uint256 amount = pendingWithdrawals[msg.sender];
+        require(amount > 0, "TicketMarketplace: no funds to withdraw");
+
+        pendingWithdrawals[msg.sender] = 0;
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "TicketMarketplace: withdrawal failed");
+
+        emit PaymentWithdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @dev Add to a payee's withdrawable balance
+     */
+    function _creditPayment(address payee, uint256 amount) private {
+        if (amount == 0) return;
+        pendingWithdrawals[payee] += amount;
+        emit PaymentCredited(payee, amount);
+    }
+
+    function _buy(uint256 listingId) private {
+        Listing storage listing = listings[listingId];
+        require(listing.active, "TicketMarketplace: listing is not active");
+        require(block.timestamp < listing.expiresAt, "TicketMarketplace: listing has expired");
+
+        if (listing.paymentToken == address(0)) {
+            require(msg.value >= listing.price, "TicketMarketplace: insufficient payment");
+            _creditPayment(msg.sender, msg.value - listing.price);
+        } else {
+            require(msg.value == 0, "TicketMarketplace: native payment not accepted");
+        }
+
+        _closeListing(listing);
+        _settle(
+            listing.nfticket,
+            listing.tokenId,
+            address(this),
+            listing.seller,
+            msg.sender,
+            listing.price,
+            listing.paymentToken,
+            listingId,
+            0
+        );
+    }
+
+    function _createOffer(address nfticket, uint256 tokenId, uint256 amount) private returns (uint256 offerId) {
+        NFTicket ticket = _trustedEvent(nfticket);
+        require(ticket.ownerOf(tokenId) != msg.sender, "TicketMarketplace: cannot make an offer on your own ticket");
+        require(!ticket.ticketUsed(tokenId), "TicketMarketplace: ticket has already been used");
+        require(amount > 0, "TicketMarketplace: offer must be greater than zero");
+        require(amount <= ticket.maxResalePrice(tokenId), "TicketMarketplace: offer exceeds maximum allowed price");
+
+        uint256 expiresAt = ticket.eventDate();
+        require(block.timestamp < expiresAt, "TicketMarketplace: event has already started");
+
+        offerId = nextOfferId++;
+        offers[offerId] = Offer(nfticket, tokenId, msg.sender, amount, ticket.paymentToken(), expiresAt, true);
+        emit OfferCreated(offerId, nfticket, tokenId, msg.sender, amount, expiresAt);
+    }
+
+    /**
+     * @dev An event the marketplace accepts: created through the EventFactory and approving this marketplace
+     */
+    function _trustedEvent(address nfticket) private view returns (NFTicket ticket) {
+        require(eventFactory.organizerOf(nfticket) != address(0), "TicketMarketplace: event not created by the factory");
+        ticket = NFTicket(nfticket);
+        require(ticket.approvedMarketplaces(address(this)), "TicketMarketplace: marketplace not approved by event");
+    }
+
+    /**
+     * @dev Pay out in the listing's or offer's currency: native amounts are credited for withdrawal, ERC-20 amounts
+     * are transferred from the payer (the marketplace itself for escrowed offers)
+     */
+    function _pay(address token, address payer, address payee, uint256 amount) private {
+        if (token == address(0)) {
+            _creditPayment(payee, amount);
+        } else if (amount > 0) {
+            if (payer == address(this)) {
+                IERC20(token).safeTransfer(payee, amount);
+            } else {
+                IERC20(token).safeTransferFrom(payer, payee, amount);
+            }
+        }
+    }
+
+    /**
+     * @dev Close a listing without moving the ticket
+     */
+    function _closeListing(Listing storage listing) private {
+        listing.active = false;
+        delete activeListingOf[listing.nfticket][listing.tokenId];
+    }
+
+    /**
+     * @dev Deliver the ticket to the buyer and pay the royalty and seller
+     * Offers are paid from escrow; direct purchases of ERC-20 listings are pulled from the buyer
+     * The resale ceiling is checked again here because the organizer may have lowered it since listing
+     */
+    function _settle(
+        address nfticket,
+        uint256 tokenId,
+        address holder,
+        address seller,
+        address buyer,
+        uint256 price,
+        address token,
+        uint256 listingId,
+        uint256 offerId
+    ) private {
+        NFTicket ticket = NFTicket(nfticket);
+        require(price <= ticket.maxResalePrice(tokenId), "TicketMarketplace: price exceeds maximum allowed price");
+
+        (address royaltyRecipient, uint256 royaltyAmount) = ticket.royaltyInfo(tokenId, price);
+
+        ticket.transferFrom(holder, buyer, tokenId);
+
+        address payer = offerId == 0 ? buyer : address(this);
+        _pay(token, payer, royaltyRecipient, royaltyAmount);
+        _pay(token, payer, seller, price - royaltyAmount);
+
+        emit TicketSold(nfticket, tokenId, listingId, offerId, seller, buyer, price, royaltyAmount);
+    }
+}
@@ -0,0 +1,223 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./NFTicket.sol";
+
+/**
+ * @title TicketSale
+ * @dev Public primary sale module attached to one NFTicket contract
+ * Each tier sells a backend TicketTier's on-chain allocation (onChainSupply), which the backend keeps out of
+ * the supply it sells through Stripe and airdrops, and adds its on-chain sale rules:
+ * a per-wallet cap, a sale window and an optional Merkle-root presale allowlist. The module needs
+ * MINTER_ROLE on the event and is managed by the event's ADMIN_ROLE holders. Proceeds go to the event's
+ * royaltyRecipient: native-coin sales are credited to pendingWithdrawals, ERC-20 sales are transferred directly.
+ * @author Sowad Al-Mughni
+ */
+contract TicketSale is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    struct TierConfig {
+        string name;
+        string uri; // Token URI for every ticket minted from the tier
+        uint256 price; // Per ticket, in the event's paymentToken units
+        uint256 supply;
+        uint256 maxPerWallet; // 0 for no cap
+        uint64 presaleStart; // Allowlisted wallets can buy from here until saleEnd
+        uint64 saleStart;
+        uint64 saleEnd;
+        bytes32 merkleRoot; // Presale allowlist (zero disables the presale)
+    }
+
+    struct Tier {
+        TierConfig config;
+        uint256 sold;
+    }
+
+    NFTicket public immutable nfticket;
+
+    Tier[] private _tiers;
+    // tierId => wallet => tickets bought
+    mapping(uint256 => mapping(address => uint256)) public purchased;
+    // Native-coin sale proceeds and refunds owed to each address
+    mapping(address => uint256) public pendingWithdrawals;
+
+    event TierCreated(uint256 indexed tierId, string name, uint256 price, uint256 supply);
+    event TierUpdated(uint256 indexed tierId, string name, uint256 price, uint256 supply);
+    event TicketsPurchased(
+        uint256 indexed tierId,
+        address indexed buyer,
+        uint256 quantity,
+        uint256 totalPrice,
+        uint256 firstTokenId
+    );
+    event PaymentCredited(address indexed payee, uint256 amount);
+    event PaymentWithdrawn(address indexed payee, uint256 amount);
+
+    modifier onlyEventAdmin() {
+        require(nfticket.hasRole(nfticket.ADMIN_ROLE(), msg.sender), "TicketSale: caller is not an event admin");
+        _;
+    }
+
+    constructor(address _nfticket) {
+        require(_nfticket != address(0), "TicketSale: nfticket cannot be zero address");
+        nfticket = NFTicket(_nfticket);
+    }
+
+    /**
+     * @dev Publish a tier (event admin only)
+     * @param config Tier name, metadata URI, price, supply and sale rules
+     * @return tierId ID of the new tier
+     */
+    function createTier(TierConfig calldata config) external onlyEventAdmin returns (uint256 tierId) {
+        _validateConfig(config);
+
+        tierId = _tiers.length;
+        _tiers.push();
+        _tiers[tierId].config = config;
+
+        emit TierCreated(tierId, config.name, config.price, config.supply);
+    }
+
+    /**
+     * @dev Update a tier's price, supply and sale rules (event admin only)
+     * Supply can never drop below tickets already sold
+     * @param tierId Tier to update
+     * @param config New tier configuration
+     */
+    function updateTier(uint256 tierId, TierConfig calldata config) external onlyEventAdmin {
+        require(tierId < _tiers.length, "TicketSale: tier does not exist");
+        _validateConfig(config);
+        require(config.supply >= _tiers[tierId].sold, "TicketSale: supply below tickets sold");
+
+        _tiers[tierId].config = config;
+        emit TierUpdated(tierId, config.name, config.price, config.supply);
+    }
+
+    /**
+     * @dev Buy tickets from a tier
+     * Before saleStart only wallets on the tier's allowlist can buy, from presaleStart onwards
+     * @param tierId Tier to buy from
+     * @param quantity Number of tickets
+     * @param proof Merkle proof of the caller's allowlist entry (empty during the public sale)
+     */
+    function purchase(uint256 tierId, uint256 quantity, bytes32[] calldata proof) external payable nonReentrant {
+        require(tierId < _tiers.length, "TicketSale: tier does not exist");
+        require(quantity > 0, "TicketSale: quantity must be greater than zero");
+
+        Tier storage tier = _tiers[tierId];
+        TierConfig storage config = tier.config;
+
+        require(block.timestamp < config.saleEnd, "TicketSale: sale has ended");
+        if (block.timestamp < config.saleStart) {
+            require(
+                config.merkleRoot != bytes32(0) && block.timestamp >= config.presaleStart,
+                "TicketSale: sale has not started"
+            );
+            require(isAllowlisted(tierId, msg.sender, proof), "TicketSale: wallet not on presale allowlist");
+        }
+
+        require(tier.sold + quantity <= config.supply, "TicketSale: not enough tickets left");
+        require(
+            config.maxPerWallet == 0 || purchased[tierId][msg.sender] + quantity <= config.maxPerWallet,
+            "TicketSale: wallet purchase cap exceeded"
+        );
+
+        tier.sold += quantity;
+        purchased[tierId][msg.sender] += quantity;
+
+        uint256 totalPrice = config.price * quantity;
+        _collectPayment(totalPrice);
+
+        address[] memory buyers = new address[](quantity);
+        string[] memory uris = new string[](quantity);
+        for (uint256 i = 0; i < quantity; i++) {
+            buyers[i] = msg.sender;
+            uris[i] = config.uri;
+        }
+        uint256 firstTokenId = nfticket.mintBatch(buyers, uris, config.price);
+
+        emit TicketsPurchased(tierId, msg.sender, quantity, totalPrice, firstTokenId);
+    }
+
+    /**
+     * @dev Withdraw native-coin proceeds and refunds credited to the caller
+     */
+    function withdraw() external nonReentrant {
+        uint256 amount = pendingWithdrawals[msg.sender];
+        require(amount > 0, "TicketSale: no funds to withdraw");
+
+        pendingWithdrawals[msg.sender] = 0;
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "TicketSale: withdrawal failed");
+
+        emit PaymentWithdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @dev Get a tier's configuration and tickets sold
+     */
+    function getTier(uint256 tierId) external view returns (TierConfig memory config, uint256 sold) {
+        require(tierId < _tiers.length, "TicketSale: tier does not exist");
+        return (_tiers[tierId].config, _tiers[tierId].sold);
+    }
+
+    /**
+     * @dev Number of tiers published
+     */
+    function tierCount() external view returns (uint256) {
+        return _tiers.length;
+    }
+
+    /**
+     * @dev Check a wallet against a tier's presale allowlist
+     * Leaves are keccak256(keccak256(abi.encode(wallet))), as built by OpenZeppelin's StandardMerkleTree
+     */
+    function isAllowlisted(uint256 tierId, address wallet, bytes32[] calldata proof) public view returns (bool) {
+        bytes32 root = _tiers[tierId].config.merkleRoot;
+        if (root == bytes32(0)) return false;
+
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(wallet))));
+        return MerkleProof.verifyCalldata(proof, root, leaf);
+    }
+
+    function _validateConfig(TierConfig calldata config) private pure {
+        require(bytes(config.name).length > 0, "TicketSale: name cannot be empty");
+        require(config.saleStart < config.saleEnd, "TicketSale: sale must end after it starts");
+        require(
+            config.merkleRoot == bytes32(0) || config.presaleStart <= config.saleStart,
+            "TicketSale: presale must start before the public sale"
+        );
+    }
+
+    /**
+     * @dev Take payment in the event's currency and pay it to the royaltyRecipient
+     */
+    function _collectPayment(uint256 totalPrice) private {
+        address payee = nfticket.royaltyRecipient();
+        address token = nfticket.paymentToken();
+
+        if (token == address(0)) {
+            require(msg.value >= totalPrice, "TicketSale: insufficient payment");
+            _creditPayment(payee, totalPrice);
+            _creditPayment(msg.sender, msg.value - totalPrice);
+        } else {
+            require(msg.value == 0, "TicketSale: native payment not accepted");
+            if (totalPrice > 0) {
+                IERC20(token).safeTransferFrom(msg.sender, payee, totalPrice);
+            }
+        }
+    }
+
+    /**
+     * @dev Add to a payee's withdrawable balance
+     */
+    function _creditPayment(address payee, uint256 amount) private {
+        if (amount == 0) return;
+        pendingWithdrawals[payee] += amount;
+        emit PaymentCredited(payee, amount);
+    }
+}
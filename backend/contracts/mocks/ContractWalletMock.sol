@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
+
+/**
+ * @title ContractWalletMock
+ * @dev Minimal smart-contract wallet for tests. Its receive() writes storage, so it needs more than
+ * the 2300 gas stipend forwarded by transfer()
+ */
+contract ContractWalletMock is IERC721Receiver {
+    address public immutable owner;
+    uint256 public totalReceived;
+
+    event Received(address indexed from, uint256 amount);
+
+    constructor(address _owner) {
+        owner = _owner;
+    }
+
+    receive() external payable {
+        totalReceived += msg.value;
+        emit Received(msg.sender, msg.value);
+    }
+
+    function onERC721Received(address, address, uint256, bytes calldata) external pure override returns (bytes4) {
+        return IERC721Receiver.onERC721Received.selector;
+    }
+
+    function execute(address target, uint256 value, bytes calldata data) external returns (bytes memory) {
+        require(msg.sender == owner, "ContractWalletMock: caller is not the owner");
+        (bool success, bytes memory result) = target.call{value: value}(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+}
@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title MaliciousNFTicketMock
+ * @dev Fake event contract for tests: it approves every marketplace, never moves tickets and lets anyone
+ * switch the currency it reports, as an attacker would to drain another currency's escrow
+ */
+contract MaliciousNFTicketMock {
+    address public paymentToken;
+    uint256 public eventDate;
+
+    constructor(uint256 _eventDate) {
+        eventDate = _eventDate;
+    }
+
+    function setPaymentToken(address token) external {
+        paymentToken = token;
+    }
+
+    function approvedMarketplaces(address) external pure returns (bool) {
+        return true;
+    }
+
+    function ownerOf(uint256) external pure returns (address) {
+        return address(1);
+    }
+
+    function ticketUsed(uint256) external pure returns (bool) {
+        return false;
+    }
+
+    function maxResalePrice(uint256) external pure returns (uint256) {
+        return type(uint256).max;
+    }
+
+    function royaltyInfo(uint256, uint256) external pure returns (address, uint256) {
+        return (address(0), 0);
+    }
+
+    function transferFrom(address, address, uint256) external {}
+}
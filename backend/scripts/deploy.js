@@ -1,6 +1,7 @@
 /**
  * NFTicket Protocol Deployment Script
- * Deploys NFTicket and POAPDistributor contracts
+ * Deploys the NFTicketForwarder, the NFTicket implementation and EventFactory, creates an event through the factory,
+ * then deploys TicketMarketplace, TicketSale and POAPDistributor
  * @author Sowad Al-Mughni
  */
 
@@ -34,23 +35,80 @@ async function main() {
   console.log("   Royalty Recipient:", royaltyRecipient);
   console.log();
 
-  // Deploy NFTicket contract
-  console.log("📦 Deploying NFTicket contract...");
+  // Deploy the ERC-2771 forwarder the gasless relayer submits meta-transactions through
+  console.log("📦 Deploying NFTicketForwarder contract...");
+  const NFTicketForwarder = await ethers.getContractFactory("NFTicketForwarder");
+  const forwarder = await NFTicketForwarder.deploy();
+  await forwarder.waitForDeployment();
+  const forwarderAddress = await forwarder.getAddress();
+  console.log("✅ NFTicketForwarder deployed to:", forwarderAddress);
+  console.log("🔗 Transaction hash:", forwarder.deploymentTransaction().hash);
+  console.log();
+
+  // Deploy the NFTicket implementation that every event clones. Clones only share its code,
+  // so its own event fields are placeholders (the trusted forwarder, being immutable, applies to every clone)
+  console.log("📦 Deploying NFTicket implementation...");
   const NFTicket = await ethers.getContractFactory("NFTicket");
-  const nfticket = await NFTicket.deploy(
-    eventName,
-    eventDescription,
-    eventDate,
+  const implementation = await NFTicket.deploy("NFTicket Implementation", "", 0, "", 0, 0, deployer.address, forwarderAddress);
+  await implementation.waitForDeployment();
+  const implementationAddress = await implementation.getAddress();
+  console.log("✅ NFTicket implementation deployed to:", implementationAddress);
+  console.log("🔗 Transaction hash:", implementation.deploymentTransaction().hash);
+
+  console.log("📦 Deploying EventFactory contract...");
+  const EventFactory = await ethers.getContractFactory("EventFactory");
+  const eventFactory = await EventFactory.deploy(implementationAddress);
+  await eventFactory.waitForDeployment();
+  const eventFactoryAddress = await eventFactory.getAddress();
+  console.log("✅ EventFactory deployed to:", eventFactoryAddress);
+  console.log("🔗 Transaction hash:", eventFactory.deploymentTransaction().hash);
+  console.log();
+
+  // Create the event through the factory
+  console.log("📦 Creating NFTicket event...");
+  const createTx = await eventFactory.createEvent({
+    name: eventName,
+    description: eventDescription,
+    date: eventDate,
     venue,
     royaltyCap,
     maxPrice,
     royaltyRecipient
-  );
+  });
+  const createReceipt = await createTx.wait();
+  const eventCreated = createReceipt.logs
+    .map((log) => eventFactory.interface.parseLog(log))
+    .find((parsed) => parsed && parsed.name === "EventCreated");
+  const nfticketAddress = eventCreated.args.nfticket;
+  const nfticket = NFTicket.attach(nfticketAddress);
+  console.log("✅ NFTicket event created at:", nfticketAddress);
+  console.log("🔗 Transaction hash:", createTx.hash);
+  console.log();
+
+  // Deploy the resale marketplace (it only accepts the factory's events) and register it with the event
+  console.log("📦 Deploying TicketMarketplace contract...");
+  const TicketMarketplace = await ethers.getContractFactory("TicketMarketplace");
+  const marketplace = await TicketMarketplace.deploy(eventFactoryAddress);
+  await marketplace.waitForDeployment();
+  const marketplaceAddress = await marketplace.getAddress();
+  console.log("✅ TicketMarketplace deployed to:", marketplaceAddress);
+  console.log("🔗 Transaction hash:", marketplace.deploymentTransaction().hash);
+
+  await (await nfticket.setApprovedMarketplace(marketplaceAddress, true)).wait();
+  console.log("✅ TicketMarketplace approved for NFTicket resales");
+  console.log();
+
+  // Deploy the primary sale module and let it mint tickets
+  console.log("📦 Deploying TicketSale contract...");
+  const TicketSale = await ethers.getContractFactory("TicketSale");
+  const ticketSale = await TicketSale.deploy(nfticketAddress);
+  await ticketSale.waitForDeployment();
+  const ticketSaleAddress = await ticketSale.getAddress();
+  console.log("✅ TicketSale deployed to:", ticketSaleAddress);
+  console.log("🔗 Transaction hash:", ticketSale.deploymentTransaction().hash);
 
-  await nfticket.waitForDeployment();
-  const nfticketAddress = await nfticket.getAddress();
-  console.log("✅ NFTicket deployed to:", nfticketAddress);
-  console.log("🔗 Transaction hash:", nfticket.deploymentTransaction().hash);
+  await (await nfticket.grantRole(await nfticket.MINTER_ROLE(), ticketSaleAddress)).wait();
+  console.log("✅ TicketSale granted MINTER_ROLE on NFTicket");
   console.log();
 
   // POAP contract parameters
@@ -77,7 +135,8 @@ async function main() {
     eventDate,
     poapLocation,
     baseTokenURI,
-    maxSupply
+    maxSupply,
+    forwarderAddress
   );
 
   await poapDistributor.waitForDeployment();
@@ -108,7 +167,12 @@ async function main() {
   console.log("🎉 Deployment completed successfully!");
   console.log();
   console.log("📋 Contract Addresses:");
+  console.log("   NFTicketForwarder:", forwarderAddress);
   console.log("   NFTicket:", nfticketAddress);
+  console.log("   NFTicket implementation:", implementationAddress);
+  console.log("   EventFactory:", eventFactoryAddress);
+  console.log("   TicketMarketplace:", marketplaceAddress);
+  console.log("   TicketSale:", ticketSaleAddress);
   console.log("   POAPDistributor:", poapDistributorAddress);
   console.log();
   
@@ -120,18 +184,27 @@ async function main() {
   console.log("─".repeat(50));
   const chainPrefix = getChainPrefix(Number(network.chainId));
   console.log(`VITE_CONTRACT_${chainPrefix}_NFTICKET=${nfticketAddress}`);
+  console.log(`VITE_CONTRACT_${chainPrefix}_EVENT_FACTORY=${eventFactoryAddress}`);
+  console.log(`VITE_CONTRACT_${chainPrefix}_MARKETPLACE=${marketplaceAddress}`);
+  console.log(`VITE_CONTRACT_${chainPrefix}_TICKET_SALE=${ticketSaleAddress}`);
   console.log(`VITE_CONTRACT_${chainPrefix}_POAP=${poapDistributorAddress}`);
+  console.log(`VITE_CONTRACT_${chainPrefix}_FORWARDER=${forwarderAddress}`);
   console.log(`CONTRACT_${chainPrefix}=${nfticketAddress}`);
+  console.log(`FORWARDER_${chainPrefix}=${forwarderAddress}`);
   console.log("─".repeat(50));
   console.log();
   
   console.log("🔧 Next Steps:");
   console.log("1. Verify contracts on block explorer:");
-  console.log(`   npx hardhat verify --network ${networkName} ${nfticketAddress} "${eventName}" "${eventDescription}" ${eventDate} "${venue}" ${royaltyCap} ${maxPrice} ${royaltyRecipient}`);
-  console.log(`   npx hardhat verify --network ${networkName} ${poapDistributorAddress} "${poapEventName}" "${poapEventDescription}" ${eventDate} "${poapLocation}" "${baseTokenURI}" ${maxSupply}`);
+  console.log(`   npx hardhat verify --network ${networkName} ${forwarderAddress}`);
+  console.log(`   npx hardhat verify --network ${networkName} ${implementationAddress} "NFTicket Implementation" "" 0 "" 0 0 ${deployer.address} ${forwarderAddress}`);
+  console.log(`   npx hardhat verify --network ${networkName} ${eventFactoryAddress} ${implementationAddress}`);
+  console.log(`   npx hardhat verify --network ${networkName} ${marketplaceAddress} ${eventFactoryAddress}`);
+  console.log(`   npx hardhat verify --network ${networkName} ${ticketSaleAddress} ${nfticketAddress}`);
+  console.log(`   npx hardhat verify --network ${networkName} ${poapDistributorAddress} "${poapEventName}" "${poapEventDescription}" ${eventDate} "${poapLocation}" "${baseTokenURI}" ${maxSupply} ${forwarderAddress}`);
   console.log();
   console.log("2. Update .env files with contract addresses above");
-  console.log("3. Update subgraph/subgraph.yaml with NFTicket address");
+  console.log("3. Update subgraph/subgraph.yaml with NFTicket, EventFactory and TicketMarketplace addresses");
   console.log("4. Deploy subgraph: cd subgraph && graph deploy");
   console.log();
 
@@ -142,9 +215,27 @@ async function main() {
     deployer: deployer.address,
     timestamp: new Date().toISOString(),
     contracts: {
+      NFTicketForwarder: {
+        address: forwarderAddress,
+        transactionHash: forwarder.deploymentTransaction().hash
+      },
+      NFTicketImplementation: {
+        address: implementationAddress,
+        transactionHash: implementation.deploymentTransaction().hash,
+        parameters: {
+          trustedForwarder: forwarderAddress
+        }
+      },
+      EventFactory: {
+        address: eventFactoryAddress,
+        transactionHash: eventFactory.deploymentTransaction().hash,
+        parameters: {
+          implementation: implementationAddress
+        }
+      },
       NFTicket: {
         address: nfticketAddress,
-        transactionHash: nfticket.deploymentTransaction().hash,
+        transactionHash: createTx.hash,
         parameters: {
           eventName,
           eventDescription,
@@ -155,6 +246,20 @@ async function main() {
           royaltyRecipient
         }
       },
+      TicketMarketplace: {
+        address: marketplaceAddress,
+        transactionHash: marketplace.deploymentTransaction().hash,
+        parameters: {
+          eventFactory: eventFactoryAddress
+        }
+      },
+      TicketSale: {
+        address: ticketSaleAddress,
+        transactionHash: ticketSale.deploymentTransaction().hash,
+        parameters: {
+          nfticket: nfticketAddress
+        }
+      },
       POAPDistributor: {
         address: poapDistributorAddress,
         transactionHash: poapDistributor.deploymentTransaction().hash,
@@ -164,14 +269,20 @@ async function main() {
           eventDate,
           location: poapLocation,
           maxSupply,
-          baseTokenURI
+          baseTokenURI,
+          trustedForwarder: forwarderAddress
         }
       }
     },
     envVariables: {
       [`VITE_CONTRACT_${chainPrefix}_NFTICKET`]: nfticketAddress,
+      [`VITE_CONTRACT_${chainPrefix}_EVENT_FACTORY`]: eventFactoryAddress,
+      [`VITE_CONTRACT_${chainPrefix}_MARKETPLACE`]: marketplaceAddress,
+      [`VITE_CONTRACT_${chainPrefix}_TICKET_SALE`]: ticketSaleAddress,
       [`VITE_CONTRACT_${chainPrefix}_POAP`]: poapDistributorAddress,
+      [`VITE_CONTRACT_${chainPrefix}_FORWARDER`]: forwarderAddress,
       [`CONTRACT_${chainPrefix}`]: nfticketAddress,
+      [`FORWARDER_${chainPrefix}`]: forwarderAddress,
     }
   };
 
@@ -0,0 +1,164 @@
+/**
+ * API Key Service
+ * Issues, lists, revokes and authenticates organizer API keys
+ * Keys are shown once at creation; only a SHA-256 hash is stored
+ */
+
+const crypto = require('crypto');
+const { getPrisma } = require('../prisma/client');
+
+const KEY_PREFIX = 'nftk_';
+
+// Permission scopes a key can be granted
+const API_KEY_SCOPES = {
+  READ: 'read',
+  EVENTS_WRITE: 'events:write',
+  LOYALTY_AWARD: 'loyalty:award',
+  TICKETS_MINT: 'tickets:mint',
+};
+
+// In-memory fallback for development
+const inMemoryKeys = new Map(); // Map<keyId, apiKey>
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function serializeApiKey(apiKey) {
+  return {
+    id: apiKey.id,
+    organizerId: apiKey.organizerId,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    permissions: apiKey.permissions,
+    expiresAt: apiKey.expiresAt || null,
+    lastUsedAt: apiKey.lastUsedAt || null,
+    revokedAt: apiKey.revokedAt || null,
+    createdAt: apiKey.createdAt,
+  };
+}
+
+/**
+ * Create an API key for an organizer
+ * @param {string} organizerId - Owning organizer
+ * @param {Object} data
+ * @param {string} data.name - Label shown in the dashboard
+ * @param {string[]} data.permissions - Scopes from API_KEY_SCOPES
+ * @param {Date} [data.expiresAt] - Optional expiry
+ * @returns {Promise<{apiKey: Object, key: string}>} The stored key and its secret (only returned here)
+ */
+async function createApiKey(organizerId, { name, permissions, expiresAt }) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const key = `${KEY_PREFIX}${secret}`;
+  const record = {
+    organizerId,
+    name,
+    keyHash: hashKey(key),
+    prefix: secret.slice(0, 8),
+    permissions,
+    expiresAt: expiresAt || null,
+  };
+
+  const prisma = getPrisma();
+  if (prisma) {
+    const apiKey = await prisma.apiKey.create({ data: record });
+    return { apiKey: serializeApiKey(apiKey), key };
+  }
+
+  const now = new Date();
+  const apiKey = {
+    id: crypto.randomUUID(),
+    ...record,
+    lastUsedAt: null,
+    revokedAt: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  inMemoryKeys.set(apiKey.id, apiKey);
+  return { apiKey: serializeApiKey(apiKey), key };
+}
+
+/**
+ * List an organizer's API keys, newest first (secrets are never returned)
+ */
+async function listApiKeys(organizerId) {
+  const prisma = getPrisma();
+  if (prisma) {
+    const keys = await prisma.apiKey.findMany({
+      where: { organizerId },
+      orderBy: { createdAt: 'desc' },
+    });
+    return keys.map(serializeApiKey);
+  }
+
+  return Array.from(inMemoryKeys.values())
+    .filter(k => k.organizerId === organizerId)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(serializeApiKey);
+}
+
+/**
+ * Revoke one of an organizer's API keys
+ * @returns {Promise<Object|null>} The revoked key, or null if the organizer has no such active key
+ */
+async function revokeApiKey(organizerId, keyId) {
+  const revokedAt = new Date();
+
+  const prisma = getPrisma();
+  if (prisma) {
+    const result = await prisma.apiKey.updateMany({
+      where: { id: keyId, organizerId, revokedAt: null },
+      data: { revokedAt },
+    });
+    if (result.count === 0) return null;
+
+    const apiKey = await prisma.apiKey.findUnique({ where: { id: keyId } });
+    return serializeApiKey(apiKey);
+  }
+
+  const apiKey = inMemoryKeys.get(keyId);
+  if (!apiKey || apiKey.organizerId !== organizerId || apiKey.revokedAt) return null;
+
+  apiKey.revokedAt = revokedAt;
+  apiKey.updatedAt = revokedAt;
+  return serializeApiKey(apiKey);
+}
+
+/**
+ * Resolve a presented API key and record its use
+ * @param {string} key - Full key as sent by the client
+ * @returns {Promise<Object|null>} The key, or null if unknown, revoked or expired
+ */
+async function authenticateApiKey(key) {
+  if (!key?.startsWith(KEY_PREFIX)) return null;
+
+  const keyHash = hashKey(key);
+  const now = new Date();
+
+  const prisma = getPrisma();
+  let apiKey;
+  if (prisma) {
+    apiKey = await prisma.apiKey.findUnique({ where: { keyHash } });
+  } else {
+    apiKey = Array.from(inMemoryKeys.values()).find(k => k.keyHash === keyHash);
+  }
+
+  if (!apiKey || apiKey.revokedAt) return null;
+  if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= now) return null;
+
+  if (prisma) {
+    await prisma.apiKey.update({ where: { id: apiKey.id }, data: { lastUsedAt: now } });
+  } else {
+    apiKey.lastUsedAt = now;
+  }
+
+  return serializeApiKey({ ...apiKey, lastUsedAt: now });
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateApiKey,
+};
@@ -0,0 +1,547 @@
+/**
+ * Check-In Service
+ * Records every gate scan and admits each ticket at most once per allowed entry of a session, across all scanners
+ * - Admitted scans hold a unique admission key per ticket, session and entry, so a scan past the ticket's
+ *   entries for that session (anywhere) is a duplicate; a plain ticket has one entry to session 0
+ * - Admitted tickets are marked used on-chain in batches (`useSessionTickets`) by a background worker
+ * - Scans made offline are synced later with their original scan time; their client ids make sync retries idempotent
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const { getPrisma } = require('../prisma/client');
+
+const nfticketArtifact = require('../artifacts/contracts/NFTicket.sol/NFTicket.json');
+
+const CHECK_IN_RESULT = {
+  ADMITTED: 'admitted',
+  DUPLICATE: 'duplicate',
+  REJECTED: 'rejected',
+};
+
+const USE_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+};
+
+const RPC_URLS = {
+  1: process.env.RPC_URL_MAINNET,
+  137: process.env.RPC_URL_POLYGON,
+  8453: process.env.RPC_URL_BASE,
+  42161: process.env.RPC_URL_ARBITRUM,
+  11155111: process.env.RPC_URL_SEPOLIA,
+  80002: process.env.RPC_URL_POLYGON_AMOY,
+  31337: process.env.RPC_URL,
+};
+
+const MAX_ATTEMPTS = parseInt(process.env.CHECKIN_MAX_ATTEMPTS || '5', 10);
+const RETRY_BASE_MS = parseInt(process.env.CHECKIN_RETRY_BASE_MS || '30000', 10);
+const RETRY_MAX_MS = 15 * 60 * 1000; // 15 minutes
+const FLUSH_INTERVAL_MS = parseInt(process.env.CHECKIN_FLUSH_INTERVAL_MS || '30000', 10);
+const BATCH_SIZE = parseInt(process.env.CHECKIN_BATCH_SIZE || '100', 10);
+
+// In-memory fallback for development
+const inMemoryCheckIns = new Map(); // Map<checkInId, checkIn>
+const inMemoryAdmissions = new Map(); // Map<admissionKey, checkInId>
+
+const scannerWallets = new Map(); // Map<chainId, ethers.Wallet>
+let signerFactory = defaultSignerFactory;
+
+let workerTimer = null;
+let activeFlush = null;
+
+// Emits 'ticketUsed' ({ walletAddress, tokenId, eventId, gate, session, entry }) when a ticket is admitted
+const checkInEvents = new EventEmitter();
+
+function defaultSignerFactory(chainId) {
+  if (scannerWallets.has(chainId)) return scannerWallets.get(chainId);
+
+  if (!process.env.SCANNER_PRIVATE_KEY) {
+    throw new Error('SCANNER_PRIVATE_KEY is not set');
+  }
+
+  const rpcUrl = RPC_URLS[chainId];
+  if (!rpcUrl) {
+    throw new Error(`No RPC URL configured for chain ${chainId}`);
+  }
+
+  const wallet = new ethers.Wallet(process.env.SCANNER_PRIVATE_KEY, new ethers.JsonRpcProvider(rpcUrl));
+  scannerWallets.set(chainId, wallet);
+  return wallet;
+}
+
+/**
+ * Override how the scanner signer (holder of SCANNER_ROLE) is obtained for a chain
+ * @param {Function} factory - (chainId) => ethers.Signer (may be async)
+ */
+function setSignerFactory(factory) {
+  signerFactory = factory || defaultSignerFactory;
+}
+
+function admissionKey(chainId, contractAddress, tokenId, session, entry) {
+  return `${chainId}:${contractAddress.toLowerCase()}:${tokenId}:${session}:${entry}`;
+}
+
+function backoffMs(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+function serializeCheckIn(checkIn) {
+  return {
+    id: checkIn.id,
+    eventId: checkIn.eventId,
+    chainId: checkIn.chainId,
+    contractAddress: checkIn.contractAddress,
+    tokenId: checkIn.tokenId,
+    session: checkIn.session ?? 0,
+    entry: checkIn.entry ?? null,
+    holderAddress: checkIn.holderAddress || null,
+    gate: checkIn.gate || null,
+    deviceId: checkIn.deviceId || null,
+    scannedBy: checkIn.scannedBy,
+    result: checkIn.result,
+    reason: checkIn.reason || null,
+    useStatus: checkIn.useStatus || null,
+    useTxHash: checkIn.useTxHash || null,
+    offline: Boolean(checkIn.offline),
+    clientScanId: checkIn.clientScanId || null,
+    scannedAt: checkIn.scannedAt,
+  };
+}
+
+function insertInMemoryCheckIn(data) {
+  const now = new Date();
+  const checkIn = {
+    id: crypto.randomUUID(),
+    session: 0,
+    entry: null,
+    admissionKey: null,
+    useStatus: null,
+    useAttempts: 0,
+    nextUseAttemptAt: null,
+    useTxHash: null,
+    useError: null,
+    offline: false,
+    clientScanId: null,
+    ...data,
+    scannedAt: data.scannedAt || now,
+    updatedAt: now,
+  };
+  inMemoryCheckIns.set(checkIn.id, checkIn);
+  return checkIn;
+}
+
+async function insertCheckIn(data) {
+  const prisma = getPrisma();
+  if (prisma) {
+    return prisma.checkIn.create({ data });
+  }
+  return insertInMemoryCheckIn(data);
+}
+
+async function findAdmissionByKey(key) {
+  const prisma = getPrisma();
+  if (prisma) {
+    return prisma.checkIn.findUnique({ where: { admissionKey: key } });
+  }
+
+  const checkInId = inMemoryAdmissions.get(key);
+  return checkInId ? inMemoryCheckIns.get(checkInId) : null;
+}
+
+/**
+ * Find the scan that first admitted a ticket to a session
+ * @returns {Promise<Object|null>} The admitting check-in, or null if the ticket has not entered the session
+ */
+async function findAdmission(chainId, contractAddress, tokenId, session = 0) {
+  const checkIn = await findAdmissionByKey(admissionKey(chainId, contractAddress, String(tokenId), session, 1));
+  return checkIn ? serializeCheckIn(checkIn) : null;
+}
+
+/**
+ * Find a synced offline scan by the id the scanner gave it
+ * @returns {Promise<Object|null>} The recorded check-in, or null if it has not been synced yet
+ */
+async function findByClientScanId(clientScanId) {
+  const prisma = getPrisma();
+  if (prisma) {
+    const checkIn = await prisma.checkIn.findUnique({ where: { clientScanId } });
+    return checkIn ? serializeCheckIn(checkIn) : null;
+  }
+
+  const checkIn = Array.from(inMemoryCheckIns.values()).find(c => c.clientScanId === clientScanId);
+  return checkIn ? serializeCheckIn(checkIn) : null;
+}
+
+/**
+ * Admit a ticket whose proof was verified to a session
+ * Each of the ticket's entries to the session is claimed by one scan (on any gate or device);
+ * scans after the last entry is claimed are recorded as duplicates.
+ * @param {Object} scan
+ * @param {string} scan.eventId - Catalog event the ticket belongs to
+ * @param {number} scan.chainId
+ * @param {string} scan.contractAddress - NFTicket contract
+ * @param {string} scan.tokenId
+ * @param {number} [scan.session] - Session (day) being entered, 0 for a plain ticket
+ * @param {number} [scan.entriesPerSession] - Entries the ticket allows per session (from its pass, 1 without re-entry)
+ * @param {string} [scan.holderAddress] - Ticket owner from the proof
+ * @param {string} [scan.gate] - Gate or entrance name
+ * @param {string} [scan.deviceId] - Scanning device
+ * @param {string} scan.scannedBy - Scanner wallet
+ * @param {Date} [scan.scannedAt] - When an offline scan happened (defaults to now)
+ * @param {boolean} [scan.offline] - Scanned offline and synced later
+ * @param {string} [scan.clientScanId] - Scanner-generated id of an offline scan
+ * @returns {Promise<{admitted: boolean, checkIn: Object, firstCheckIn?: Object}>}
+ */
+async function admitTicket(scan) {
+  const { entriesPerSession = 1, ...fields } = scan;
+  const session = scan.session ?? 0;
+  const data = {
+    ...fields,
+    session,
+    contractAddress: scan.contractAddress.toLowerCase(),
+    holderAddress: scan.holderAddress?.toLowerCase() || null,
+    scannedBy: scan.scannedBy.toLowerCase(),
+  };
+  const keyFor = entry => admissionKey(scan.chainId, scan.contractAddress, scan.tokenId, session, entry);
+
+  let admitted = null;
+  const prisma = getPrisma();
+  for (let entry = 1; entry <= entriesPerSession && !admitted; entry++) {
+    const admission = {
+      ...data,
+      entry,
+      result: CHECK_IN_RESULT.ADMITTED,
+      admissionKey: keyFor(entry),
+      useStatus: USE_STATUS.PENDING,
+      nextUseAttemptAt: new Date(),
+    };
+
+    if (prisma) {
+      try {
+        admitted = await prisma.checkIn.create({ data: admission });
+      } catch (error) {
+        // Unique admissionKey: another scan already claimed this entry
+        if (error.code !== 'P2002') throw error;
+      }
+    } else if (!inMemoryAdmissions.has(admission.admissionKey)) {
+      // Check and claim without awaiting in between, so concurrent scans cannot both win
+      admitted = insertInMemoryCheckIn(admission);
+      inMemoryAdmissions.set(admission.admissionKey, admitted.id);
+    }
+  }
+
+  if (admitted) {
+    checkInEvents.emit('ticketUsed', {
+      walletAddress: admitted.holderAddress,
+      tokenId: admitted.tokenId,
+      eventId: admitted.eventId,
+      gate: admitted.gate || null,
+      session,
+      entry: admitted.entry,
+    });
+    return { admitted: true, checkIn: serializeCheckIn(admitted) };
+  }
+
+  const first = await findAdmissionByKey(keyFor(1));
+  const duplicate = await insertCheckIn({
+    ...data,
+    result: CHECK_IN_RESULT.DUPLICATE,
+    reason: session === 0 && entriesPerSession === 1 ? 'Ticket already checked in' : `No entry left for session ${session}`,
+  });
+  return {
+    admitted: false,
+    checkIn: serializeCheckIn(duplicate),
+    firstCheckIn: first ? serializeCheckIn(first) : null,
+  };
+}
+
+/**
+ * Record a scan whose proof failed verification (expired, forged, replayed)
+ * @param {Object} scan - Same fields as admitTicket, plus `reason`
+ * @returns {Promise<Object>} The recorded check-in
+ */
+async function recordRejection(scan) {
+  const checkIn = await insertCheckIn({
+    ...scan,
+    contractAddress: scan.contractAddress.toLowerCase(),
+    tokenId: String(scan.tokenId),
+    holderAddress: typeof scan.holderAddress === 'string' ? scan.holderAddress.toLowerCase() : null,
+    scannedBy: scan.scannedBy.toLowerCase(),
+    result: CHECK_IN_RESULT.REJECTED,
+  });
+  return serializeCheckIn(checkIn);
+}
+
+/**
+ * Entries admitted to a session of an event that are not confirmed on-chain yet, per ticket
+ * Confirmed entries show up in the contract's TicketSessionUsed logs instead.
+ * @returns {Promise<Map<string, number>>} Token id => unconfirmed entries
+ */
+async function countUnconfirmedEntries(eventId, session = 0) {
+  let checkIns;
+  const prisma = getPrisma();
+  if (prisma) {
+    checkIns = await prisma.checkIn.findMany({
+      where: { eventId, session, result: CHECK_IN_RESULT.ADMITTED, useStatus: { not: USE_STATUS.CONFIRMED } },
+      select: { tokenId: true },
+    });
+  } else {
+    checkIns = Array.from(inMemoryCheckIns.values())
+      .filter(c => c.eventId === eventId && c.session === session && c.result === CHECK_IN_RESULT.ADMITTED)
+      .filter(c => c.useStatus !== USE_STATUS.CONFIRMED);
+  }
+
+  const entries = new Map();
+  for (const { tokenId } of checkIns) {
+    entries.set(tokenId, (entries.get(tokenId) || 0) + 1);
+  }
+  return entries;
+}
+
+/**
+ * List an event's scans, newest first
+ * @param {Object} filter
+ * @param {string} filter.eventId
+ * @param {string} [filter.result] - Only scans with this result
+ * @param {string} [filter.gate] - Only scans at this gate
+ */
+async function listCheckIns({ eventId, result, gate, limit = 100 }) {
+  const prisma = getPrisma();
+  if (prisma) {
+    const checkIns = await prisma.checkIn.findMany({
+      where: {
+        eventId,
+        ...(result && { result }),
+        ...(gate && { gate }),
+      },
+      orderBy: { scannedAt: 'desc' },
+      take: limit,
+    });
+    return checkIns.map(serializeCheckIn);
+  }
+
+  return Array.from(inMemoryCheckIns.values())
+    .filter(c => c.eventId === eventId)
+    .filter(c => !result || c.result === result)
+    .filter(c => !gate || c.gate === gate)
+    .sort((a, b) => b.scannedAt - a.scannedAt)
+    .slice(0, limit)
+    .map(serializeCheckIn);
+}
+
+/**
+ * Count an event's scans by result and gate, and admissions still waiting to be marked used on-chain
+ */
+async function getStats(eventId) {
+  let checkIns;
+  const prisma = getPrisma();
+  if (prisma) {
+    checkIns = await prisma.checkIn.findMany({
+      where: { eventId },
+      select: { result: true, gate: true, useStatus: true },
+    });
+  } else {
+    checkIns = Array.from(inMemoryCheckIns.values()).filter(c => c.eventId === eventId);
+  }
+
+  const stats = {
+    admitted: 0,
+    duplicate: 0,
+    rejected: 0,
+    pendingOnChain: 0,
+    failedOnChain: 0,
+    byGate: {},
+  };
+  for (const checkIn of checkIns) {
+    stats[checkIn.result] += 1;
+    if (checkIn.result === CHECK_IN_RESULT.ADMITTED) {
+      const gate = checkIn.gate || 'unassigned';
+      stats.byGate[gate] = (stats.byGate[gate] || 0) + 1;
+    }
+    if (checkIn.useStatus === USE_STATUS.PENDING || checkIn.useStatus === USE_STATUS.PROCESSING) stats.pendingOnChain += 1;
+    if (checkIn.useStatus === USE_STATUS.FAILED) stats.failedOnChain += 1;
+  }
+  return stats;
+}
+
+async function findDueUses(now, limit) {
+  const prisma = getPrisma();
+  if (prisma) {
+    return prisma.checkIn.findMany({
+      where: { useStatus: USE_STATUS.PENDING, nextUseAttemptAt: { lte: now } },
+      orderBy: { scannedAt: 'asc' },
+      take: limit,
+    });
+  }
+
+  return Array.from(inMemoryCheckIns.values())
+    .filter(c => c.useStatus === USE_STATUS.PENDING && c.nextUseAttemptAt <= now)
+    .sort((a, b) => a.scannedAt - b.scannedAt)
+    .slice(0, limit);
+}
+
+/**
+ * Claim a due admission for this flush
+ * @returns {Promise<Object|null>} The claimed check-in, or null if another flush got it first
+ */
+async function claimUse(checkInId, now) {
+  const prisma = getPrisma();
+  if (prisma) {
+    const result = await prisma.checkIn.updateMany({
+      where: { id: checkInId, useStatus: USE_STATUS.PENDING, nextUseAttemptAt: { lte: now } },
+      data: { useStatus: USE_STATUS.PROCESSING, useAttempts: { increment: 1 } },
+    });
+    if (result.count === 0) return null;
+    return prisma.checkIn.findUnique({ where: { id: checkInId } });
+  }
+
+  const checkIn = inMemoryCheckIns.get(checkInId);
+  if (!checkIn || checkIn.useStatus !== USE_STATUS.PENDING || checkIn.nextUseAttemptAt > now) {
+    return null;
+  }
+  checkIn.useStatus = USE_STATUS.PROCESSING;
+  checkIn.useAttempts += 1;
+  checkIn.updatedAt = new Date();
+  return checkIn;
+}
+
+async function updateUses(checkIns, data) {
+  const prisma = getPrisma();
+  if (prisma) {
+    await prisma.checkIn.updateMany({ where: { id: { in: checkIns.map(c => c.id) } }, data });
+    return;
+  }
+
+  for (const checkIn of checkIns) {
+    Object.assign(inMemoryCheckIns.get(checkIn.id), data, { updatedAt: new Date() });
+  }
+}
+
+/**
+ * Send one `useSessionTickets` transaction for admissions to the same session of a contract
+ * Every admission records one entry; the contract skips tickets with no entry left, so a resent batch cannot fail on them.
+ * @returns {Promise<{confirmed: number, retrying: number, failed: number}>}
+ */
+async function sendBatch(checkIns) {
+  const { chainId, contractAddress, session } = checkIns[0];
+
+  try {
+    const signer = await signerFactory(chainId);
+    const contract = new ethers.Contract(contractAddress, nfticketArtifact.abi, signer);
+
+    const tx = await contract.useSessionTickets(checkIns.map(c => BigInt(c.tokenId)), session ?? 0);
+    await updateUses(checkIns, { useTxHash: tx.hash });
+
+    const receipt = await tx.wait();
+    await updateUses(checkIns, { useStatus: USE_STATUS.CONFIRMED, useTxHash: receipt.hash, useError: null });
+    return { confirmed: checkIns.length, retrying: 0, failed: 0 };
+  } catch (error) {
+    const message = error.shortMessage || error.message || String(error);
+    console.error(`Check-in useSessionTickets batch on ${chainId}:${contractAddress} (session ${session ?? 0}) failed:`, message);
+
+    const failed = checkIns.filter(c => c.useAttempts >= MAX_ATTEMPTS);
+    const retrying = checkIns.filter(c => c.useAttempts < MAX_ATTEMPTS);
+    if (failed.length) {
+      await updateUses(failed, { useStatus: USE_STATUS.FAILED, useError: message });
+    }
+    if (retrying.length) {
+      await updateUses(retrying, {
+        useStatus: USE_STATUS.PENDING,
+        useError: message,
+        nextUseAttemptAt: new Date(Date.now() + backoffMs(retrying[0].useAttempts)),
+      });
+    }
+    return { confirmed: 0, retrying: retrying.length, failed: failed.length };
+  }
+}
+
+/**
+ * Mark every due admission as used on-chain, one transaction per contract and session
+ * Concurrent callers share the flush already in progress.
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Treat admissions due at or before this time as due
+ * @returns {Promise<{confirmed: number, retrying: number, failed: number}>}
+ */
+function flushPendingUses({ now = new Date() } = {}) {
+  if (activeFlush) return activeFlush;
+
+  activeFlush = (async () => {
+    const summary = { confirmed: 0, retrying: 0, failed: 0 };
+    const due = await findDueUses(now, BATCH_SIZE);
+
+    const batches = new Map(); // Map<`${chainId}:${contractAddress}:${session}`, checkIn[]>
+    for (const candidate of due) {
+      const checkIn = await claimUse(candidate.id, now);
+      if (!checkIn) continue;
+
+      const key = `${checkIn.chainId}:${checkIn.contractAddress}:${checkIn.session ?? 0}`;
+      if (!batches.has(key)) batches.set(key, []);
+      batches.get(key).push(checkIn);
+    }
+
+    // Sequential on purpose: batches on one chain share the scanner wallet's nonce
+    for (const checkIns of batches.values()) {
+      const result = await sendBatch(checkIns);
+      summary.confirmed += result.confirmed;
+      summary.retrying += result.retrying;
+      summary.failed += result.failed;
+    }
+    return summary;
+  })().finally(() => {
+    activeFlush = null;
+  });
+
+  return activeFlush;
+}
+
+/**
+ * Start flushing admissions to the chain on an interval
+ * Admissions left `processing` by a previous process are put back on the queue first.
+ */
+async function startWorker({ intervalMs = FLUSH_INTERVAL_MS } = {}) {
+  if (workerTimer) return;
+
+  if (signerFactory === defaultSignerFactory && !process.env.SCANNER_PRIVATE_KEY) {
+    console.warn('[CheckIn] SCANNER_PRIVATE_KEY not set - admitted tickets will not be marked used on-chain');
+    return;
+  }
+
+  const prisma = getPrisma();
+  if (prisma) {
+    await prisma.checkIn.updateMany({
+      where: { useStatus: USE_STATUS.PROCESSING },
+      data: { useStatus: USE_STATUS.PENDING },
+    });
+  }
+
+  workerTimer = setInterval(() => {
+    flushPendingUses().catch(err => console.error('Check-in worker error:', err));
+  }, intervalMs);
+  workerTimer.unref();
+}
+
+function stopWorker() {
+  if (workerTimer) clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+module.exports = {
+  CHECK_IN_RESULT,
+  USE_STATUS,
+  events: checkInEvents,
+  admitTicket,
+  recordRejection,
+  findAdmission,
+  findByClientScanId,
+  countUnconfirmedEntries,
+  listCheckIns,
+  getStats,
+  flushPendingUses,
+  startWorker,
+  stopWorker,
+  setSignerFactory,
+};
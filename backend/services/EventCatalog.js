@@ -0,0 +1,389 @@
+/**
+ * Event Catalog Service
+ * Authoritative storage for organizer events and their ticket tiers
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { getPrisma } = require('../prisma/client');
+const { buildAllowlist } = require('./MerkleAllowlist');
+
+const EVENT_STATUS = {
+  DRAFT: 'DRAFT',
+  PUBLISHED: 'PUBLISHED',
+  SOLD_OUT: 'SOLD_OUT',
+  CANCELLED: 'CANCELLED',
+  COMPLETED: 'COMPLETED',
+};
+
+// Native coin per chain, used when an event has no ERC-20 payment token
+const NATIVE_SYMBOLS = {
+  137: 'POL',
+  80002: 'POL',
+};
+
+// In-memory fallback for development
+const inMemoryEvents = new Map(); // Map<eventId, event>
+const inMemoryTiers = new Map(); // Map<tierId, tier>
+
+function serializeTier(tier) {
+  return {
+    id: tier.id,
+    eventId: tier.eventId,
+    name: tier.name,
+    description: tier.description || null,
+    price: tier.price != null ? tier.price.toString() : '0',
+    currency: tier.currency,
+    supply: tier.supply,
+    sold: tier.sold,
+    onChainSupply: tier.onChainSupply || 0,
+    available: Math.max(tier.supply - (tier.onChainSupply || 0) - tier.sold, 0),
+    sectionId: tier.sectionId || null,
+    category: tier.category || null,
+    onChainTierId: tier.onChainTierId ?? null,
+    onChainPrice: tier.onChainPrice || null,
+    maxPerWallet: tier.maxPerWallet ?? null,
+    presaleStart: tier.presaleStart || null,
+    saleStart: tier.saleStart || null,
+    saleEnd: tier.saleEnd || null,
+    // The wallets themselves stay private; buyers fetch their own proof
+    allowlistSize: tier.allowlist ? tier.allowlist.length : 0,
+    createdAt: tier.createdAt,
+    updatedAt: tier.updatedAt,
+  };
+}
+
+/**
+ * Currency that an event's on-chain prices (maxPrice, resale prices) are denominated in
+ */
+function paymentCurrency(event) {
+  if (event.paymentToken) {
+    return {
+      token: event.paymentToken,
+      symbol: event.paymentTokenSymbol,
+      decimals: event.paymentTokenDecimals,
+    };
+  }
+  return { token: null, symbol: NATIVE_SYMBOLS[event.chainId] || 'ETH', decimals: 18 };
+}
+
+function serializeEvent(event, tiers = []) {
+  const currency = paymentCurrency(event);
+  return {
+    id: event.id,
+    organizerId: event.organizerId,
+    name: event.name,
+    description: event.description || null,
+    venue: event.venue,
+    date: event.date,
+    endDate: event.endDate || null,
+    timezone: event.timezone,
+    contractAddress: event.contractAddress || null,
+    chainId: event.chainId,
+    royaltyCap: event.royaltyCap ?? null,
+    maxPrice: event.maxPrice || null,
+    saleContract: event.saleContract || null,
+    maxPriceFormatted: event.maxPrice ? ethers.formatUnits(event.maxPrice, currency.decimals) : null,
+    paymentCurrency: currency,
+    venueConfig: event.venueConfig || null,
+    status: event.status,
+    publishedAt: event.publishedAt || null,
+    createdAt: event.createdAt,
+    updatedAt: event.updatedAt,
+    tiers: tiers.map(serializeTier),
+  };
+}
+
+function inMemoryTiersFor(eventId) {
+  return Array.from(inMemoryTiers.values())
+    .filter(t => t.eventId === eventId)
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * List events, newest first
+ * @param {Object} filter
+ * @param {string} [filter.organizerId] - Only events owned by this organizer
+ * @param {string[]} [filter.statuses] - Only events in one of these statuses
+ */
+async function listEvents({ organizerId, statuses } = {}) {
+  const prisma = getPrisma();
+  if (prisma) {
+    const events = await prisma.event.findMany({
+      where: {
+        ...(organizerId && { organizerId }),
+        ...(statuses && { status: { in: statuses } }),
+      },
+      include: { tiers: { orderBy: { createdAt: 'asc' } } },
+      orderBy: { date: 'desc' },
+    });
+    return events.map(e => serializeEvent(e, e.tiers));
+  }
+
+  return Array.from(inMemoryEvents.values())
+    .filter(e => !organizerId || e.organizerId === organizerId)
+    .filter(e => !statuses || statuses.includes(e.status))
+    .sort((a, b) => b.date - a.date)
+    .map(e => serializeEvent(e, inMemoryTiersFor(e.id)));
+}
+
+/**
+ * Get a single event with its tiers
+ * @returns {Promise<Object|null>} The event, or null if it does not exist
+ */
+async function getEvent(eventId) {
+  const prisma = getPrisma();
+  if (prisma) {
+    const event = await prisma.event.findUnique({
+      where: { id: eventId },
+      include: { tiers: { orderBy: { createdAt: 'asc' } } },
+    });
+    return event ? serializeEvent(event, event.tiers) : null;
+  }
+
+  const event = inMemoryEvents.get(eventId);
+  return event ? serializeEvent(event, inMemoryTiersFor(eventId)) : null;
+}
+
+/**
+ * Find the event deployed at a ticket contract
+ * @param {number} chainId - Chain the contract lives on
+ * @param {string} contractAddress - NFTicket contract address
+ * @returns {Promise<Object|null>} The event (without tiers), or null if none is linked
+ */
+async function findEventByContract(chainId, contractAddress) {
+  if (!contractAddress) return null;
+
+  const prisma = getPrisma();
+  if (prisma) {
+    const event = await prisma.event.findFirst({
+      where: { chainId, contractAddress: { equals: contractAddress, mode: 'insensitive' } },
+    });
+    return event ? serializeEvent(event) : null;
+  }
+
+  const address = contractAddress.toLowerCase();
+  const event = Array.from(inMemoryEvents.values()).find(e =>
+    e.chainId === chainId && e.contractAddress?.toLowerCase() === address
+  );
+  return event ? serializeEvent(event) : null;
+}
+
+/**
+ * Create a draft event for an organizer
+ */
+async function createEvent(organizerId, data) {
+  const prisma = getPrisma();
+  if (prisma) {
+    const event = await prisma.event.create({
+      data: { organizerId, ...data, status: EVENT_STATUS.DRAFT },
+      include: { tiers: true },
+    });
+    return serializeEvent(event, event.tiers);
+  }
+
+  const now = new Date();
+  const event = {
+    id: crypto.randomUUID(),
+    organizerId,
+    timezone: 'UTC',
+    chainId: 8453,
+    ...data,
+    status: EVENT_STATUS.DRAFT,
+    publishedAt: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  inMemoryEvents.set(event.id, event);
+  return serializeEvent(event);
+}
+
+/**
+ * Update event fields (including status transitions)
+ */
+async function updateEvent(eventId, data) {
+  const prisma = getPrisma();
+  if (prisma) {
+    const event = await prisma.event.update({
+      where: { id: eventId },
+      data,
+      include: { tiers: { orderBy: { createdAt: 'asc' } } },
+    });
+    return serializeEvent(event, event.tiers);
+  }
+
+  const event = inMemoryEvents.get(eventId);
+  if (!event) return null;
+
+  Object.assign(event, data, { updatedAt: new Date() });
+  return serializeEvent(event, inMemoryTiersFor(eventId));
+}
+
+/**
+ * Get a single ticket tier
+ * @returns {Promise<Object|null>} The tier, or null if it does not exist
+ */
+async function getTier(tierId) {
+  const prisma = getPrisma();
+  if (prisma) {
+    const tier = await prisma.ticketTier.findUnique({ where: { id: tierId } });
+    return tier ? serializeTier(tier) : null;
+  }
+
+  const tier = inMemoryTiers.get(tierId);
+  return tier ? serializeTier(tier) : null;
+}
+
+/**
+ * Build the presale allowlist tree for a tier
+ * @returns {Promise<Object|null>} buildAllowlist() result, or null if the tier does not exist
+ */
+async function getTierAllowlist(tierId) {
+  const prisma = getPrisma();
+  if (prisma) {
+    const tier = await prisma.ticketTier.findUnique({ where: { id: tierId }, select: { allowlist: true } });
+    return tier ? buildAllowlist(tier.allowlist) : null;
+  }
+
+  const tier = inMemoryTiers.get(tierId);
+  return tier ? buildAllowlist(tier.allowlist || []) : null;
+}
+
+/**
+ * Add a ticket tier to an event
+ */
+async function createTier(eventId, data) {
+  const prisma = getPrisma();
+  if (prisma) {
+    const tier = await prisma.ticketTier.create({
+      data: { eventId, ...data, sold: 0 },
+    });
+    return serializeTier(tier);
+  }
+
+  const now = new Date();
+  const tier = {
+    id: crypto.randomUUID(),
+    eventId,
+    currency: 'USD',
+    onChainSupply: 0,
+    allowlist: [],
+    ...data,
+    sold: 0,
+    createdAt: now,
+    updatedAt: now,
+  };
+  inMemoryTiers.set(tier.id, tier);
+  return serializeTier(tier);
+}
+
+/**
+ * Update a ticket tier
+ * A supply or on-chain allocation change is applied only if the tickets already sold still fit
+ * in the off-chain share (supply - onChainSupply), checked in the same write so a concurrent sale
+ * cannot slip underneath it.
+ * @returns {Promise<Object|null>} The updated tier, or null if `sold` would exceed the off-chain share
+ */
+async function updateTier(tierId, data) {
+  const prisma = getPrisma();
+  if (prisma) {
+    const { supply, onChainSupply, ...rest } = data;
+    if (supply !== undefined || onChainSupply !== undefined) {
+      const count = await prisma.$executeRaw`
+        UPDATE "TicketTier"
+        SET "supply" = COALESCE(${supply ?? null}::int, "supply"),
+            "onChainSupply" = COALESCE(${onChainSupply ?? null}::int, "onChainSupply"),
+            "updatedAt" = NOW()
+        WHERE "id" = ${tierId}
+          AND "sold" + COALESCE(${onChainSupply ?? null}::int, "onChainSupply") <= COALESCE(${supply ?? null}::int, "supply")
+      `;
+      if (count === 0) return null;
+    }
+
+    if (Object.keys(rest).length > 0) {
+      const result = await prisma.ticketTier.updateMany({ where: { id: tierId }, data: rest });
+      if (result.count === 0) return null;
+    }
+
+    const tier = await prisma.ticketTier.findUnique({ where: { id: tierId } });
+    return tier ? serializeTier(tier) : null;
+  }
+
+  const tier = inMemoryTiers.get(tierId);
+  if (!tier) return null;
+  const supply = data.supply ?? tier.supply;
+  const onChainSupply = data.onChainSupply ?? (tier.onChainSupply || 0);
+  if (tier.sold + onChainSupply > supply) return null;
+
+  Object.assign(tier, data, { updatedAt: new Date() });
+  return serializeTier(tier);
+}
+
+/**
+ * Atomically move a tier's `sold` counter, keeping it within 0..(supply - onChainSupply)
+ * Positive deltas reserve inventory, negative deltas return it. The on-chain allocation is
+ * sold by TicketSale and never counted here.
+ * @param {string} tierId - Tier to adjust
+ * @param {number} delta - Number of tickets to add to (or remove from) `sold`
+ * @returns {Promise<Object|null>} The updated tier, or null if the change would oversell or go negative
+ */
+async function adjustTierSold(tierId, delta) {
+  const prisma = getPrisma();
+  if (prisma) {
+    // Single conditional UPDATE so concurrent checkouts cannot oversell
+    const count = await prisma.$executeRaw`
+      UPDATE "TicketTier"
+      SET "sold" = "sold" + ${delta}, "updatedAt" = NOW()
+      WHERE "id" = ${tierId} AND "sold" + ${delta} BETWEEN 0 AND "supply" - "onChainSupply"
+    `;
+    if (count === 0) return null;
+
+    const tier = await prisma.ticketTier.findUnique({ where: { id: tierId } });
+    return serializeTier(tier);
+  }
+
+  const tier = inMemoryTiers.get(tierId);
+  if (!tier) return null;
+
+  const sold = tier.sold + delta;
+  if (sold < 0 || sold > tier.supply - (tier.onChainSupply || 0)) return null;
+
+  tier.sold = sold;
+  tier.updatedAt = new Date();
+  return serializeTier(tier);
+}
+
+/**
+ * Delete a ticket tier that has no sales
+ * @returns {Promise<boolean>} True if deleted, false if the tier has sold tickets
+ */
+async function deleteTier(tierId) {
+  const prisma = getPrisma();
+  if (prisma) {
+    const result = await prisma.ticketTier.deleteMany({
+      where: { id: tierId, sold: 0 },
+    });
+    return result.count > 0;
+  }
+
+  const tier = inMemoryTiers.get(tierId);
+  if (!tier || tier.sold > 0) return false;
+
+  inMemoryTiers.delete(tierId);
+  return true;
+}
+
+module.exports = {
+  EVENT_STATUS,
+  listEvents,
+  getEvent,
+  findEventByContract,
+  createEvent,
+  updateEvent,
+  getTier,
+  getTierAllowlist,
+  createTier,
+  updateTier,
+  adjustTierSold,
+  deleteTier,
+};
@@ -0,0 +1,61 @@
+/**
+ * Event Factory Registry
+ * Tells genuine NFTicket events apart from arbitrary contracts through the EventFactory's on-chain registry
+ * Every event the factory creates is a clone of the NFTicket implementation, recorded in organizerOf
+ */
+
+const { ethers } = require('ethers');
+
+// EventFactory deployment per chain (printed by scripts/deploy.js)
+const EVENT_FACTORY_ADDRESSES = {
+  1: process.env.EVENT_FACTORY_MAINNET,
+  137: process.env.EVENT_FACTORY_POLYGON,
+  8453: process.env.EVENT_FACTORY_BASE,
+  42161: process.env.EVENT_FACTORY_ARBITRUM,
+  11155111: process.env.EVENT_FACTORY_SEPOLIA,
+  80002: process.env.EVENT_FACTORY_AMOY,
+  31337: process.env.EVENT_FACTORY_LOCAL,
+};
+
+const EVENT_FACTORY_ABI = [
+  'function organizerOf(address nfticket) view returns (address)',
+];
+
+/**
+ * EventFactory address for a chain
+ * @returns {string|null} Null when no factory is configured
+ */
+function getEventFactoryAddress(chainId) {
+  const address = EVENT_FACTORY_ADDRESSES[chainId];
+  return address && ethers.isAddress(address) ? ethers.getAddress(address) : null;
+}
+
+/**
+ * Organizer wallet the chain's EventFactory recorded for an event
+ * @param {number} chainId
+ * @param {string} contractAddress
+ * @param {ethers.ContractRunner} runner - Provider or signer connected to the chain
+ * @returns {Promise<string|null>} Null when the chain has no factory or the factory does not know the contract
+ */
+async function getFactoryOrganizer(chainId, contractAddress, runner) {
+  const factoryAddress = getEventFactoryAddress(chainId);
+  if (!factoryAddress || !ethers.isAddress(contractAddress)) return null;
+
+  const factory = new ethers.Contract(factoryAddress, EVENT_FACTORY_ABI, runner);
+  const organizer = await factory.organizerOf(contractAddress);
+  return organizer === ethers.ZeroAddress ? null : organizer;
+}
+
+/**
+ * Check whether a contract is an event created by the chain's EventFactory
+ * @returns {Promise<boolean>} False when the chain has no factory or the factory does not know the contract
+ */
+async function isFactoryEvent(chainId, contractAddress, runner) {
+  return (await getFactoryOrganizer(chainId, contractAddress, runner)) !== null;
+}
+
+module.exports = {
+  getEventFactoryAddress,
+  getFactoryOrganizer,
+  isFactoryEvent,
+};
@@ -0,0 +1,73 @@
+/**
+ * Merkle allowlists for TicketSale presales
+ * Builds the root published on-chain for a tier and the proof each wallet submits with purchase().
+ * Leaves use the same encoding as OpenZeppelin's StandardMerkleTree for an ['address'] tree,
+ * and pairs are hashed in sorted order as MerkleProof.verify expects.
+ */
+
+const { ethers } = require('ethers');
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * Hash an allowlisted wallet into a tree leaf
+ * @param {string} address - Wallet address
+ * @returns {string} keccak256(keccak256(abi.encode(address)))
+ */
+function hashLeaf(address) {
+  return ethers.keccak256(ethers.keccak256(abiCoder.encode(['address'], [address])));
+}
+
+function hashPair(a, b) {
+  return a.toLowerCase() < b.toLowerCase()
+    ? ethers.keccak256(ethers.concat([a, b]))
+    : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * Build an allowlist tree
+ * @param {string[]} addresses - Allowlisted wallets (duplicates and casing are ignored)
+ * @returns {{ root: string, size: number, getProof: (address: string) => string[]|null }}
+ *   root is ZeroHash for an empty list, which disables the presale on-chain
+ */
+function buildAllowlist(addresses) {
+  const wallets = [...new Set(addresses.map(address => ethers.getAddress(address)))];
+  const leaves = wallets.map(hashLeaf).sort();
+
+  // layers[0] holds the leaves, the last layer holds the root; an odd node is carried up unchanged
+  const layers = [leaves];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+
+  function getProof(address) {
+    if (!ethers.isAddress(address)) return null;
+
+    let index = leaves.indexOf(hashLeaf(ethers.getAddress(address)));
+    if (index === -1) return null;
+
+    const proof = [];
+    for (const layer of layers.slice(0, -1)) {
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+      if (sibling < layer.length) proof.push(layer[sibling]);
+      index = Math.floor(index / 2);
+    }
+    return proof;
+  }
+
+  return {
+    root: leaves.length > 0 ? layers[layers.length - 1][0] : ethers.ZeroHash,
+    size: wallets.length,
+    getProof,
+  };
+}
+
+module.exports = {
+  hashLeaf,
+  buildAllowlist,
+};
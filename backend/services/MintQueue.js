@@ -0,0 +1,827 @@
+/**
+ * Mint Queue Service
+ * Durable pipeline that mints one ticket per paid line item, and voids it again after a refund
+ * - Jobs are keyed by `${sessionId}:${lineItem}` so webhook retries never mint (or void) twice
+ * - The due mint jobs of an order go out together as one mintBatch / mintBatchWithSeats transaction
+ * - Failed jobs retry with exponential backoff, then move to a dead-letter state
+ * - Each job pins the minter nonce it was sent with, so a resend replaces rather than duplicates;
+ *   a pinned nonce is only given up after a revert, or once the chain shows nothing of the job landed under it
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const { getPrisma } = require('../prisma/client');
+const { packSeat } = require('./SeatPacking');
+
+const nfticketArtifact = require('../artifacts/contracts/NFTicket.sol/NFTicket.json');
+
+const JOB_ACTION = {
+  MINT: 'mint',
+  VOID: 'void',
+};
+
+const JOB_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  SUBMITTED: 'submitted',
+  MINTED: 'minted',
+  VOIDED: 'voided',
+  CANCELLED: 'cancelled',
+  DEAD: 'dead',
+};
+
+const RPC_URLS = {
+  1: process.env.RPC_URL_MAINNET,
+  137: process.env.RPC_URL_POLYGON,
+  8453: process.env.RPC_URL_BASE,
+  42161: process.env.RPC_URL_ARBITRUM,
+  11155111: process.env.RPC_URL_SEPOLIA,
+  80002: process.env.RPC_URL_POLYGON_AMOY,
+  31337: process.env.RPC_URL,
+};
+
+// Session ids for organizer airdrops (no Stripe session behind them)
+const AIRDROP_SESSION_PREFIX = 'airdrop:';
+
+const MAX_ATTEMPTS = parseInt(process.env.MINT_MAX_ATTEMPTS || '5', 10);
+const RETRY_BASE_MS = parseInt(process.env.MINT_RETRY_BASE_MS || '15000', 10);
+const RETRY_MAX_MS = 15 * 60 * 1000; // 15 minutes
+const WORKER_INTERVAL_MS = parseInt(process.env.MINT_WORKER_INTERVAL_MS || '5000', 10);
+const BATCH_SIZE = 10; // Transactions per worker run
+const MAX_BATCH_TICKETS = parseInt(process.env.MINT_BATCH_MAX_TICKETS || '50', 10); // Tickets per transaction
+
+// In-memory fallback for development
+const inMemoryJobs = new Map(); // Map<jobId, job>
+const inMemoryKeys = new Map(); // Map<idempotencyKey, jobId>
+
+// Next nonce per minter wallet, seeded from the chain's pending count
+const nonceCache = new Map(); // Map<`${chainId}:${address}`, number>
+
+const minterWallets = new Map(); // Map<chainId, ethers.Wallet>
+let signerFactory = defaultSignerFactory;
+
+let workerTimer = null;
+let activeRun = null;
+
+// Emits 'ticketVoided' ({ walletAddress, tokenId, eventId, reason }) once a void confirms
+const queueEvents = new EventEmitter();
+
+function defaultSignerFactory(chainId) {
+  if (minterWallets.has(chainId)) return minterWallets.get(chainId);
+
+  const minterKey = process.env.MINTER_PRIVATE_KEY || process.env.DEPLOYER_PRIVATE_KEY || process.env.SIGNER_PRIVATE_KEY;
+  if (!minterKey) {
+    throw new Error('MINTER_PRIVATE_KEY or DEPLOYER_PRIVATE_KEY is not set');
+  }
+
+  const rpcUrl = RPC_URLS[chainId];
+  if (!rpcUrl) {
+    throw new Error(`No RPC URL configured for chain ${chainId}`);
+  }
+
+  const wallet = new ethers.Wallet(minterKey, new ethers.JsonRpcProvider(rpcUrl));
+  minterWallets.set(chainId, wallet);
+  return wallet;
+}
+
+/**
+ * Override how the minter signer is obtained for a chain
+ * @param {Function} factory - (chainId) => ethers.Signer (may be async)
+ */
+function setSignerFactory(factory) {
+  signerFactory = factory || defaultSignerFactory;
+  nonceCache.clear();
+}
+
+async function reserveNonce(chainId, signer) {
+  const key = `${chainId}:${(await signer.getAddress()).toLowerCase()}`;
+  if (!nonceCache.has(key)) {
+    nonceCache.set(key, await signer.getNonce('pending'));
+  }
+  const nonce = nonceCache.get(key);
+  nonceCache.set(key, nonce + 1);
+  return nonce;
+}
+
+async function resetNonce(chainId, signer) {
+  const key = `${chainId}:${(await signer.getAddress()).toLowerCase()}`;
+  nonceCache.delete(key);
+}
+
+function backoffMs(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+function jobKey({ sessionId, lineItem, action }) {
+  return action === JOB_ACTION.VOID ? `${sessionId}:${lineItem}:void` : `${sessionId}:${lineItem}`;
+}
+
+/**
+ * Token IDs minted by a receipt, in mint order
+ * A batch emits one TicketsBatchMinted for consecutive IDs; single mints emit TicketMinted.
+ */
+function extractTokenIdsFromReceipt(receipt, iface) {
+  const tokenIds = [];
+  try {
+    for (const log of receipt.logs || []) {
+      try {
+        const parsed = iface.parseLog(log);
+        if (parsed?.name === 'TicketMinted') {
+          tokenIds.push(parsed.args.tokenId);
+        } else if (parsed?.name === 'TicketsBatchMinted') {
+          for (let i = 0n; i < parsed.args.count; i++) {
+            tokenIds.push(parsed.args.firstTokenId + i);
+          }
+        }
+      } catch (error) {
+        // Ignore non-matching logs
+      }
+    }
+  } catch (error) {
+    console.warn('Failed to parse tokenIds from receipt:', error.message);
+  }
+  return tokenIds;
+}
+
+function serializeJob(job) {
+  return {
+    id: job.id,
+    idempotencyKey: job.idempotencyKey,
+    action: job.action,
+    reason: job.reason || null,
+    sessionId: job.sessionId,
+    lineItem: job.lineItem,
+    reservationId: job.reservationId || null,
+    eventId: job.eventId,
+    tierId: job.tierId || null,
+    walletAddress: job.walletAddress,
+    chainId: job.chainId,
+    contractAddress: job.contractAddress,
+    tokenUri: job.tokenUri,
+    originalPrice: job.originalPrice,
+    seat: job.section
+      ? { section: job.section, row: job.row, seatNumber: job.seatNumber, category: job.category }
+      : null,
+    ticketType: job.ticketType || null,
+    amountPaid: job.amountPaid != null ? job.amountPaid.toString() : null,
+    currency: job.currency,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    nextAttemptAt: job.nextAttemptAt,
+    lastError: job.lastError || null,
+    nonce: job.nonce ?? null,
+    txHash: job.txHash || null,
+    tokenId: job.tokenId || null,
+    mintedAt: job.mintedAt || null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+  };
+}
+
+/**
+ * Enqueue mint jobs for a paid order
+ * Line items that already have a job are skipped, so this is safe to call on every webhook delivery.
+ * @param {Array<Object>} items - Job data; each needs `sessionId` and `lineItem`
+ * @returns {Promise<{created: number, jobs: Object[]}>} How many jobs were new, and all jobs for the session(s)
+ */
+async function enqueueMints(items) {
+  return insertJobs(items.map(item => ({ ...item, action: JOB_ACTION.MINT })));
+}
+
+/**
+ * Enqueue void jobs for every ticket of a refunded or disputed order
+ * Tickets that were never minted are cancelled instead when the void job runs.
+ * @param {string} sessionId - Checkout session that was reversed
+ * @param {string} reason - Recorded on-chain with the void (e.g. "refund", "dispute")
+ * @returns {Promise<{created: number, jobs: Object[]}>}
+ */
+async function enqueueVoids(sessionId, reason) {
+  const mints = (await listJobs({ sessionId, limit: 1000 }))
+    .filter(j => j.action === JOB_ACTION.MINT);
+
+  if (mints.length === 0) return { created: 0, jobs: [] };
+
+  return insertJobs(mints.map(mint => ({
+    action: JOB_ACTION.VOID,
+    reason,
+    sessionId,
+    lineItem: mint.lineItem,
+    reservationId: mint.reservationId,
+    eventId: mint.eventId,
+    tierId: mint.tierId,
+    walletAddress: mint.walletAddress,
+    chainId: mint.chainId,
+    contractAddress: mint.contractAddress,
+    tokenUri: mint.tokenUri,
+    tokenId: mint.tokenId,
+  })));
+}
+
+async function insertJobs(items) {
+  const data = items.map(item => ({
+    ...item,
+    idempotencyKey: jobKey(item),
+    originalPrice: (item.originalPrice ?? 0).toString(),
+    maxAttempts: item.maxAttempts || MAX_ATTEMPTS,
+  }));
+  const sessionIds = [...new Set(data.map(d => d.sessionId))];
+
+  const prisma = getPrisma();
+  if (prisma) {
+    const result = await prisma.mintJob.createMany({ data, skipDuplicates: true });
+    const jobs = await prisma.mintJob.findMany({
+      where: { sessionId: { in: sessionIds }, action: data[0].action },
+      orderBy: [{ sessionId: 'asc' }, { lineItem: 'asc' }],
+    });
+    return { created: result.count, jobs: jobs.map(serializeJob) };
+  }
+
+  let created = 0;
+  for (const item of data) {
+    if (inMemoryKeys.has(item.idempotencyKey)) continue;
+
+    const now = new Date();
+    const job = {
+      id: crypto.randomUUID(),
+      currency: 'USD',
+      reason: null,
+      tokenId: null,
+      ...item,
+      status: JOB_STATUS.PENDING,
+      attempts: 0,
+      nextAttemptAt: now,
+      lastError: null,
+      nonce: null,
+      sentBlock: null,
+      txHash: null,
+      mintedAt: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    inMemoryJobs.set(job.id, job);
+    inMemoryKeys.set(job.idempotencyKey, job.id);
+    created += 1;
+  }
+
+  const jobs = Array.from(inMemoryJobs.values())
+    .filter(j => sessionIds.includes(j.sessionId) && j.action === data[0].action)
+    .sort((a, b) => a.sessionId.localeCompare(b.sessionId) || a.lineItem - b.lineItem);
+  return { created, jobs: jobs.map(serializeJob) };
+}
+
+async function findJobByKey(idempotencyKey) {
+  const prisma = getPrisma();
+  if (prisma) {
+    return prisma.mintJob.findUnique({ where: { idempotencyKey } });
+  }
+
+  const jobId = inMemoryKeys.get(idempotencyKey);
+  return jobId ? inMemoryJobs.get(jobId) : null;
+}
+
+/**
+ * Cancel a job that is waiting to be retried or dead-lettered
+ * @returns {Promise<boolean>} True if cancelled, false if it is in flight or finished
+ */
+async function cancelJob(jobId) {
+  const cancellable = [JOB_STATUS.PENDING, JOB_STATUS.DEAD];
+
+  const prisma = getPrisma();
+  if (prisma) {
+    const result = await prisma.mintJob.updateMany({
+      where: { id: jobId, status: { in: cancellable } },
+      data: { status: JOB_STATUS.CANCELLED },
+    });
+    return result.count > 0;
+  }
+
+  const job = inMemoryJobs.get(jobId);
+  if (!job || !cancellable.includes(job.status)) return false;
+
+  job.status = JOB_STATUS.CANCELLED;
+  job.updatedAt = new Date();
+  return true;
+}
+
+async function updateJob(jobId, data) {
+  const prisma = getPrisma();
+  if (prisma) {
+    return prisma.mintJob.update({ where: { id: jobId }, data });
+  }
+
+  const job = inMemoryJobs.get(jobId);
+  Object.assign(job, data, { updatedAt: new Date() });
+  return job;
+}
+
+/**
+ * Claim a due job for this worker
+ * @returns {Promise<Object|null>} The claimed job, or null if another run got it first
+ */
+async function claimJob(jobId, now) {
+  const prisma = getPrisma();
+  if (prisma) {
+    const result = await prisma.mintJob.updateMany({
+      where: {
+        id: jobId,
+        status: { in: [JOB_STATUS.PENDING, JOB_STATUS.SUBMITTED] },
+        nextAttemptAt: { lte: now },
+      },
+      data: { status: JOB_STATUS.PROCESSING, attempts: { increment: 1 } },
+    });
+    if (result.count === 0) return null;
+    return prisma.mintJob.findUnique({ where: { id: jobId } });
+  }
+
+  const job = inMemoryJobs.get(jobId);
+  if (!job || ![JOB_STATUS.PENDING, JOB_STATUS.SUBMITTED].includes(job.status) || job.nextAttemptAt > now) {
+    return null;
+  }
+  job.status = JOB_STATUS.PROCESSING;
+  job.attempts += 1;
+  job.updatedAt = new Date();
+  return job;
+}
+
+async function findDueJobs(now, limit) {
+  const prisma = getPrisma();
+  if (prisma) {
+    return prisma.mintJob.findMany({
+      where: {
+        status: { in: [JOB_STATUS.PENDING, JOB_STATUS.SUBMITTED] },
+        nextAttemptAt: { lte: now },
+      },
+      orderBy: { createdAt: 'asc' },
+      take: limit,
+    });
+  }
+
+  return Array.from(inMemoryJobs.values())
+    .filter(j => [JOB_STATUS.PENDING, JOB_STATUS.SUBMITTED].includes(j.status) && j.nextAttemptAt <= now)
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .slice(0, limit);
+}
+
+async function recordTicket(job, tokenId, txHash) {
+  const prisma = getPrisma();
+  if (!prisma) return;
+
+  const airdrop = job.sessionId.startsWith(AIRDROP_SESSION_PREFIX);
+
+  const data = {
+    tokenId,
+    tokenUri: job.tokenUri,
+    walletAddress: job.walletAddress,
+    eventId: job.eventId,
+    tierId: job.tierId,
+    ticketType: job.ticketType || 'general',
+    txHash,
+    chainId: job.chainId,
+    paidWithFiat: !airdrop,
+    amountPaid: job.amountPaid ?? undefined,
+    currency: job.currency,
+    stripeSessionId: airdrop ? null : job.sessionId,
+    status: 'minted',
+  };
+
+  await prisma.ticket.upsert({
+    where: { mintJobId: job.id },
+    create: { ...data, mintJobId: job.id },
+    update: data,
+  });
+}
+
+/**
+ * Every job sent in a transaction, in the order it was minted
+ * Looked up by hash rather than taken from the run, so a batch is settled whole even if
+ * only part of it was due when its receipt was checked.
+ */
+async function findJobsByTxHash(txHash) {
+  const prisma = getPrisma();
+  if (prisma) {
+    return prisma.mintJob.findMany({ where: { txHash }, orderBy: { lineItem: 'asc' } });
+  }
+
+  return Array.from(inMemoryJobs.values())
+    .filter(j => j.txHash === txHash)
+    .sort((a, b) => a.lineItem - b.lineItem);
+}
+
+async function completeMints(jobs, receipt, iface) {
+  const tokenIds = extractTokenIdsFromReceipt(receipt, iface);
+  const sent = await findJobsByTxHash(receipt.hash);
+
+  const completed = [];
+  for (const [i, job] of sent.entries()) {
+    const tokenId = tokenIds[i]?.toString() || null;
+    await recordTicket(job, tokenId, receipt.hash);
+    completed.push(await updateJob(job.id, {
+      status: JOB_STATUS.MINTED,
+      tokenId,
+      lastError: null,
+      mintedAt: new Date(),
+    }));
+  }
+  return completed.filter(job => jobs.some(j => j.id === job.id));
+}
+
+async function completeVoid([job], receipt, iface) {
+  let holder = job.walletAddress;
+  for (const log of receipt.logs || []) {
+    try {
+      const parsed = iface.parseLog(log);
+      if (parsed?.name === 'TicketVoided') holder = parsed.args.holder.toLowerCase();
+    } catch (error) {
+      // Ignore non-matching logs
+    }
+  }
+
+  const prisma = getPrisma();
+  if (prisma) {
+    await prisma.ticket.updateMany({
+      where: { stripeSessionId: job.sessionId, tokenId: job.tokenId },
+      data: { status: 'voided' },
+    });
+  }
+
+  const updated = await updateJob(job.id, {
+    status: JOB_STATUS.VOIDED,
+    txHash: receipt.hash,
+    lastError: null,
+  });
+
+  queueEvents.emit('ticketVoided', {
+    walletAddress: holder,
+    tokenId: job.tokenId,
+    eventId: job.eventId,
+    reason: job.reason,
+  });
+  return [updated];
+}
+
+/**
+ * Settle which token a void job targets
+ * A mint that has not gone out yet is cancelled, leaving nothing to void.
+ * @returns {Promise<Object>} The void job (status `voided` if there was nothing to void)
+ */
+async function resolveVoidTarget(job) {
+  if (job.tokenId != null) return job;
+
+  const mint = await findJobByKey(jobKey({ ...job, action: JOB_ACTION.MINT }));
+  if (!mint || mint.status === JOB_STATUS.CANCELLED || await cancelJob(mint.id)) {
+    return updateJob(job.id, { status: JOB_STATUS.VOIDED, lastError: null });
+  }
+  if (mint.status !== JOB_STATUS.MINTED) {
+    throw new Error(`Ticket mint is still ${mint.status}`);
+  }
+  return updateJob(job.id, { tokenId: mint.tokenId });
+}
+
+function sendJobTransaction(contract, jobs, nonce) {
+  const [job] = jobs;
+  if (job.action === JOB_ACTION.VOID) {
+    return contract.voidTicket(BigInt(job.tokenId), job.reason || '', { nonce });
+  }
+
+  const originalPrice = BigInt(job.originalPrice || '0');
+  if (jobs.length > 1) {
+    const recipients = jobs.map(j => j.walletAddress);
+    const uris = jobs.map(j => j.tokenUri);
+    if (job.section) {
+      return contract.mintBatchWithSeats(recipients, uris, originalPrice, jobs.map(packJobSeat), { nonce });
+    }
+    return contract.mintBatch(recipients, uris, originalPrice, { nonce });
+  }
+
+  if (job.section) {
+    return contract.mintTicketWithSeat(
+      job.walletAddress,
+      job.tokenUri,
+      originalPrice,
+      job.section,
+      job.row,
+      job.seatNumber,
+      job.category || 'General',
+      { nonce }
+    );
+  }
+  return contract.mintTicket(job.walletAddress, job.tokenUri, originalPrice, { nonce });
+}
+
+function packJobSeat(job) {
+  return packSeat({ section: job.section, row: job.row, seatNumber: job.seatNumber, category: job.category || 'General' });
+}
+
+/**
+ * Split due jobs into the transactions they go out in
+ * Mint jobs of one order share a transaction when they have the same price and are all seated
+ * (with seats that pack into a word) or all unseated. Voids, and jobs already sent, keep
+ * their own transaction.
+ */
+function groupJobs(jobs) {
+  const groups = new Map();
+
+  for (const job of jobs) {
+    let key;
+    if (job.action === JOB_ACTION.VOID) {
+      key = job.id;
+    } else if (job.txHash) {
+      key = `tx:${job.txHash}`;
+    } else if (job.section && !packJobSeat(job)) {
+      key = job.id;
+    } else {
+      key = [job.sessionId, job.chainId, job.contractAddress.toLowerCase(), job.originalPrice, Boolean(job.section)].join('|');
+    }
+
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(job);
+  }
+
+  const batches = [];
+  for (const [key, group] of groups) {
+    group.sort((a, b) => a.lineItem - b.lineItem);
+    const size = key.startsWith('tx:') ? group.length : MAX_BATCH_TICKETS;
+    for (let i = 0; i < group.length; i += size) {
+      batches.push(group.slice(i, i + size));
+    }
+  }
+  return batches;
+}
+
+async function updateJobs(jobs, data) {
+  const updated = [];
+  for (const job of jobs) {
+    updated.push(await updateJob(job.id, data));
+  }
+  return updated;
+}
+
+async function failJob(job, error, { releaseNonce }) {
+  const message = error.shortMessage || error.message || String(error);
+  const dead = job.attempts >= job.maxAttempts;
+
+  console.error(`Mint queue ${job.action} job ${job.id} attempt ${job.attempts}/${job.maxAttempts} failed:`, message);
+
+  return updateJob(job.id, {
+    status: dead ? JOB_STATUS.DEAD : (job.txHash && !releaseNonce ? JOB_STATUS.SUBMITTED : JOB_STATUS.PENDING),
+    lastError: message,
+    nextAttemptAt: new Date(Date.now() + backoffMs(job.attempts)),
+    ...(releaseNonce && { nonce: null, txHash: null }),
+  });
+}
+
+/**
+ * The transaction a batch landed in, found from its on-chain effect rather than a recorded hash
+ * Mints are matched by the job's token URI among mints to its wallet; voids by TicketVoided for its token.
+ * @returns {Promise<Object|null>} The receipt, or null if nothing of the batch is on-chain
+ */
+async function findLandedReceipt(contract, job) {
+  const fromBlock = job.sentBlock ?? 0;
+  const { provider } = contract.runner;
+
+  if (job.action === JOB_ACTION.VOID) {
+    const [log] = await contract.queryFilter(contract.filters.TicketVoided(BigInt(job.tokenId)), fromBlock);
+    return log ? provider.getTransactionReceipt(log.transactionHash) : null;
+  }
+
+  const mints = await contract.queryFilter(contract.filters.Transfer(ethers.ZeroAddress, job.walletAddress), fromBlock);
+  for (const log of mints) {
+    const uri = await contract.tokenURI(log.args.tokenId).catch(() => null);
+    if (uri === job.tokenUri) return provider.getTransactionReceipt(log.transactionHash);
+  }
+  return null;
+}
+
+/**
+ * Find out what became of a batch's pinned nonce before anything is sent under it again
+ * A transaction may have gone out without its hash being recorded (a crash right after sending, a timeout,
+ * or a resend rejected as "nonce too low"), so once the nonce is used up the chain is searched for the batch.
+ * @returns {Promise<{receipt: Object|null, nonceSpent: boolean}>} The batch's successful receipt if it landed,
+ * and whether the nonce can no longer be used
+ */
+async function reconcileNonce(contract, signer, job) {
+  const { provider } = signer;
+
+  if (job.txHash) {
+    const receipt = await provider.getTransactionReceipt(job.txHash);
+    if (receipt) return { receipt: receipt.status === 1 ? receipt : null, nonceSpent: true };
+  }
+
+  const minedCount = await provider.getTransactionCount(await signer.getAddress(), 'latest');
+  if (job.nonce >= minedCount) return { receipt: null, nonceSpent: false };
+
+  return { receipt: await findLandedReceipt(contract, job), nonceSpent: true };
+}
+
+/**
+ * Run a batch of claimed jobs as one transaction
+ * A batch with a pinned nonce is checked on-chain first; the resend (if any) reuses the nonce
+ * so at most one of its transactions can ever land.
+ * @returns {Promise<Object[]>} The jobs after the run
+ */
+async function runBatch(jobs) {
+  let [job] = jobs;
+  let signer;
+
+  try {
+    if (job.action === JOB_ACTION.VOID) {
+      job = await resolveVoidTarget(job);
+      if (job.status === JOB_STATUS.VOIDED) return [job];
+      jobs = [job];
+    }
+
+    signer = await signerFactory(job.chainId);
+    const contract = new ethers.Contract(job.contractAddress, nfticketArtifact.abi, signer);
+    const completeJobs = job.action === JOB_ACTION.VOID ? completeVoid : completeMints;
+
+    let nonce = job.nonce;
+    if (nonce != null) {
+      const { receipt, nonceSpent } = await reconcileNonce(contract, signer, job);
+      if (receipt) {
+        jobs = await updateJobs(jobs, { txHash: receipt.hash });
+        return completeJobs(jobs, receipt, contract.interface);
+      }
+      if (nonceSpent) {
+        // Reverted, or used by another transaction: nothing of this batch can land under it any more
+        nonce = null;
+      }
+    }
+
+    if (nonce == null) {
+      nonce = await reserveNonce(job.chainId, signer);
+      const sentBlock = await signer.provider.getBlockNumber();
+      jobs = await updateJobs(jobs, { nonce, sentBlock, txHash: null });
+    }
+
+    const tx = await sendJobTransaction(contract, jobs, nonce);
+
+    jobs = await updateJobs(jobs, { status: JOB_STATUS.SUBMITTED, txHash: tx.hash });
+
+    const receipt = await tx.wait();
+    return completeJobs(jobs, receipt, contract.interface);
+  } catch (error) {
+    // Only a mined revert frees the nonce. Any other failure (a timeout, "nonce too low", "already known")
+    // may hide a transaction that went out, so the nonce stays pinned and the next run checks the chain first
+    const releaseNonce = error.code === 'CALL_EXCEPTION' && error.receipt != null;
+    if (signer) {
+      await resetNonce(job.chainId, signer).catch(() => {});
+    }
+
+    const failed = [];
+    for (const claimed of jobs) {
+      failed.push(await failJob(claimed, error, { releaseNonce }));
+    }
+    return failed;
+  }
+}
+
+/**
+ * Process every job that is due
+ * Concurrent callers share the run already in progress.
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Treat jobs due at or before this time as due
+ * @returns {Promise<{completed: number, retrying: number, dead: number}>}
+ */
+function processDueJobs({ now = new Date() } = {}) {
+  if (activeRun) return activeRun;
+
+  activeRun = (async () => {
+    const summary = { completed: 0, retrying: 0, dead: 0 };
+    const due = await findDueJobs(now, BATCH_SIZE * MAX_BATCH_TICKETS);
+
+    // Sequential on purpose: nonces for one minter wallet must be sent in order
+    for (const candidates of groupJobs(due).slice(0, BATCH_SIZE)) {
+      const batch = [];
+      for (const candidate of candidates) {
+        const job = await claimJob(candidate.id, now);
+        if (job) batch.push(job);
+      }
+      if (batch.length === 0) continue;
+
+      for (const result of await runBatch(batch)) {
+        if (result.status === JOB_STATUS.MINTED || result.status === JOB_STATUS.VOIDED) summary.completed += 1;
+        else if (result.status === JOB_STATUS.DEAD) summary.dead += 1;
+        else summary.retrying += 1;
+      }
+    }
+    return summary;
+  })().finally(() => {
+    activeRun = null;
+  });
+
+  return activeRun;
+}
+
+/**
+ * List jobs, newest first
+ * @param {Object} filter
+ * @param {string} [filter.status] - Only jobs in this status
+ * @param {string} [filter.sessionId] - Only jobs for this checkout session
+ */
+async function listJobs({ status, sessionId, limit = 50 } = {}) {
+  const prisma = getPrisma();
+  if (prisma) {
+    const jobs = await prisma.mintJob.findMany({
+      where: {
+        ...(status && { status }),
+        ...(sessionId && { sessionId }),
+      },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+    });
+    return jobs.map(serializeJob);
+  }
+
+  return Array.from(inMemoryJobs.values())
+    .filter(j => !status || j.status === status)
+    .filter(j => !sessionId || j.sessionId === sessionId)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, limit)
+    .map(serializeJob);
+}
+
+/**
+ * Get a single job
+ * @returns {Promise<Object|null>} The job, or null if it does not exist
+ */
+async function getJob(jobId) {
+  const prisma = getPrisma();
+  if (prisma) {
+    const job = await prisma.mintJob.findUnique({ where: { id: jobId } });
+    return job ? serializeJob(job) : null;
+  }
+
+  const job = inMemoryJobs.get(jobId);
+  return job ? serializeJob(job) : null;
+}
+
+/**
+ * Move a dead-lettered job back onto the queue with a fresh retry budget
+ * @returns {Promise<Object|null>} The requeued job, or null if it is not dead
+ */
+async function replayJob(jobId) {
+  const data = {
+    status: JOB_STATUS.PENDING,
+    attempts: 0,
+    nextAttemptAt: new Date(),
+  };
+
+  const prisma = getPrisma();
+  if (prisma) {
+    const result = await prisma.mintJob.updateMany({
+      where: { id: jobId, status: JOB_STATUS.DEAD },
+      data,
+    });
+    return result.count > 0 ? getJob(jobId) : null;
+  }
+
+  const job = inMemoryJobs.get(jobId);
+  if (!job || job.status !== JOB_STATUS.DEAD) return null;
+
+  Object.assign(job, data, { updatedAt: new Date() });
+  return serializeJob(job);
+}
+
+/**
+ * Start polling for due jobs
+ * Jobs left `processing` by a previous process are put back on the queue first.
+ */
+async function startWorker({ intervalMs = WORKER_INTERVAL_MS } = {}) {
+  if (workerTimer) return;
+
+  const prisma = getPrisma();
+  if (prisma) {
+    await prisma.mintJob.updateMany({
+      where: { status: JOB_STATUS.PROCESSING },
+      data: { status: JOB_STATUS.PENDING },
+    });
+  }
+
+  workerTimer = setInterval(() => {
+    processDueJobs().catch(err => console.error('Mint worker error:', err));
+  }, intervalMs);
+  workerTimer.unref();
+}
+
+function stopWorker() {
+  if (workerTimer) clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+module.exports = {
+  AIRDROP_SESSION_PREFIX,
+  JOB_ACTION,
+  JOB_STATUS,
+  events: queueEvents,
+  enqueueMints,
+  enqueueVoids,
+  processDueJobs,
+  listJobs,
+  getJob,
+  replayJob,
+  startWorker,
+  stopWorker,
+  setSignerFactory,
+};
@@ -1,18 +1,21 @@
 /**
  * Redis-based Nonce Storage Service
- * Persistent storage for rotating QR code nonces
+ * Persistent storage for rotating QR code nonces and single-use login (SIWE) nonces
  * Replaces in-memory Map with Redis for production use
  */
 
 const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
 const NONCE_PREFIX = 'nfticket:nonce:';
 const NONCE_TTL_SECONDS = 300; // 5 minutes - longer than proof expiration for safety
+const AUTH_NONCE_PREFIX = 'nfticket:siwe:';
+const AUTH_NONCE_TTL_SECONDS = parseInt(process.env.SIWE_NONCE_TTL || '300'); // Time to sign in after requesting a nonce
 
 let redisClient = null;
 let useRedis = false;
 
 // In-memory fallback for development
 const inMemoryNonces = new Map();
+const inMemoryAuthNonces = new Map(); // Map<nonce, expiresAt> - issued, not yet consumed
 
 /**
  * Initialize Redis connection
@@ -110,6 +113,79 @@ async function isNonceUsed(nonce) {
   return inMemoryNonces.has(nonce);
 }
 
+/**
+ * Atomically check and consume a nonce
+ * Exactly one of any number of concurrent callers for the same nonce gets `true`.
+ * Redis uses SET NX EX; the in-memory path checks and sets without yielding to the event loop.
+ * @param {string} nonce - The nonce to consume
+ * @param {number} expiresAt - Unix timestamp when the nonce record may be forgotten
+ * @returns {Promise<boolean>} True if this call consumed the nonce, false if it was already used
+ */
+async function consumeNonce(nonce, expiresAt) {
+  if (useRedis && redisClient) {
+    try {
+      const ttl = Math.max(expiresAt - Math.floor(Date.now() / 1000), 1);
+      const result = await redisClient.set(`${NONCE_PREFIX}${nonce}`, String(expiresAt), { NX: true, EX: ttl });
+      return result === 'OK';
+    } catch (error) {
+      console.error('[NonceStorage] Redis set NX error:', error.message);
+      // Fall back to in-memory
+    }
+  }
+
+  if (inMemoryNonces.has(nonce)) {
+    return false;
+  }
+  inMemoryNonces.set(nonce, expiresAt);
+  return true;
+}
+
+/**
+ * Store a freshly issued login nonce until it is consumed or expires
+ * @param {string} nonce - Nonce handed to the client for its SIWE message
+ * @param {number} [ttlSeconds] - How long the nonce stays valid
+ * @returns {Promise<number>} Unix timestamp when the nonce expires
+ */
+async function issueAuthNonce(nonce, ttlSeconds = AUTH_NONCE_TTL_SECONDS) {
+  const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+
+  if (useRedis && redisClient) {
+    try {
+      await redisClient.setEx(`${AUTH_NONCE_PREFIX}${nonce}`, ttlSeconds, String(expiresAt));
+      return expiresAt;
+    } catch (error) {
+      console.error('[NonceStorage] Redis setEx error:', error.message);
+      // Fall back to in-memory
+    }
+  }
+
+  inMemoryAuthNonces.set(nonce, expiresAt);
+  return expiresAt;
+}
+
+/**
+ * Consume a login nonce; succeeds at most once per issued nonce
+ * @param {string} nonce - Nonce from the signed SIWE message
+ * @returns {Promise<boolean>} True if the nonce was issued, unexpired and not used before
+ */
+async function consumeAuthNonce(nonce) {
+  if (useRedis && redisClient) {
+    try {
+      // GETDEL is atomic, so two concurrent logins cannot both consume the nonce
+      const result = await redisClient.getDel(`${AUTH_NONCE_PREFIX}${nonce}`);
+      if (result !== null) return true;
+    } catch (error) {
+      console.error('[NonceStorage] Redis getDel error:', error.message);
+    }
+  }
+
+  const expiresAt = inMemoryAuthNonces.get(nonce);
+  if (expiresAt === undefined) return false;
+
+  inMemoryAuthNonces.delete(nonce);
+  return expiresAt >= Math.floor(Date.now() / 1000);
+}
+
 /**
  * Cleanup expired nonces (for in-memory fallback only)
  * Redis handles TTL automatically
@@ -127,6 +203,13 @@ function cleanupExpiredNonces() {
     }
   }
   
+  for (const [nonce, expiresAt] of inMemoryAuthNonces.entries()) {
+    if (expiresAt < now) {
+      inMemoryAuthNonces.delete(nonce);
+      cleaned++;
+    }
+  }
+  
   if (cleaned > 0) {
     console.log(`[NonceStorage] Cleaned ${cleaned} expired nonces. Active: ${inMemoryNonces.size}`);
   }
@@ -182,6 +265,10 @@ module.exports = {
   initRedis,
   markNonceUsed,
   isNonceUsed,
+  consumeNonce,
+  issueAuthNonce,
+  consumeAuthNonce,
+  AUTH_NONCE_TTL_SECONDS,
   cleanupExpiredNonces,
   getStats,
   shutdown,
@@ -0,0 +1,371 @@
+/**
+ * Relayer Service
+ * Pays gas for ticket holders who have none (e.g. card buyers with a fresh wallet) through ERC-2771 meta-transactions
+ * - The holder signs an EIP-712 ForwardRequest for the NFTicketForwarder; the relayer submits it and pays the gas
+ * - Only ticket and points calls are sponsored (useTicket, useSession, transferWithPrice, redeemPoints), never with value
+ * - Only known targets are sponsored: ticket calls must go to the contract of a catalog event (registered with the
+ *   chain's EventFactory when one is configured), points redemptions to the chain's LoyaltyPoints contract
+ * - Each request is charged its gas limit against a per-wallet budget and the budget of what it is sponsored for
+ *   (the catalog event, or the loyalty program) over a rolling window
+ * - Submissions are serialized per chain, so budget checks and relayer nonces never race
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { getPrisma } = require('../prisma/client');
+const eventCatalog = require('./EventCatalog');
+const { getEventFactoryAddress, isFactoryEvent } = require('./EventFactoryRegistry');
+
+const forwarderArtifact = require('../artifacts/contracts/NFTicketForwarder.sol/NFTicketForwarder.json');
+
+const RELAY_REJECTION = {
+  INVALID_REQUEST: 'invalid_request',
+  INVALID_SIGNATURE: 'invalid_signature',
+  NOT_SPONSORED: 'not_sponsored',
+  BUDGET_EXCEEDED: 'budget_exceeded',
+  CALL_REVERTED: 'call_reverted',
+  UNAVAILABLE: 'unavailable',
+};
+
+const RPC_URLS = {
+  1: process.env.RPC_URL_MAINNET,
+  137: process.env.RPC_URL_POLYGON,
+  8453: process.env.RPC_URL_BASE,
+  42161: process.env.RPC_URL_ARBITRUM,
+  11155111: process.env.RPC_URL_SEPOLIA,
+  80002: process.env.RPC_URL_POLYGON_AMOY,
+  31337: process.env.RPC_URL,
+};
+
+// NFTicketForwarder deployment per chain (printed by scripts/deploy.js)
+const FORWARDER_ADDRESSES = {
+  1: process.env.FORWARDER_MAINNET,
+  137: process.env.FORWARDER_POLYGON,
+  8453: process.env.FORWARDER_BASE,
+  42161: process.env.FORWARDER_ARBITRUM,
+  11155111: process.env.FORWARDER_SEPOLIA,
+  80002: process.env.FORWARDER_AMOY,
+  31337: process.env.FORWARDER_LOCAL,
+};
+
+// LoyaltyPoints contract per chain (as in the loyalty routes)
+const LOYALTY_CONTRACTS = {
+  31337: process.env.LOYALTY_CONTRACT_LOCAL,
+  11155111: process.env.LOYALTY_CONTRACT_SEPOLIA,
+  137: process.env.LOYALTY_CONTRACT_POLYGON,
+  8453: process.env.LOYALTY_CONTRACT_BASE,
+};
+
+const LOYALTY_SPONSOR = 'loyalty';
+
+const WALLET_GAS_BUDGET = BigInt(process.env.RELAYER_WALLET_GAS_BUDGET || '1000000');
+const EVENT_GAS_BUDGET = BigInt(process.env.RELAYER_EVENT_GAS_BUDGET || '50000000');
+const BUDGET_WINDOW_MS = parseInt(process.env.RELAYER_BUDGET_WINDOW_HOURS || '24', 10) * 60 * 60 * 1000;
+const MAX_REQUEST_GAS = BigInt(process.env.RELAYER_MAX_REQUEST_GAS || '300000');
+
+// EIP-712 types signed by the holder (ERC2771Forwarder's ForwardRequest)
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint48' },
+    { name: 'data', type: 'bytes' },
+  ],
+};
+
+// Calls the relayer pays for
+const SPONSORED_CALLS = new ethers.Interface([
+  'function useTicket(uint256 tokenId)',
+  'function useSession(uint256 tokenId, uint8 session)',
+  'function transferWithPrice(address from, address to, uint256 tokenId, uint256 salePrice)',
+  // ERC-20 events: the permit approves the payment, so a wallet without gas never sends approve() itself
+  'function transferWithPermit(address from, address to, uint256 tokenId, uint256 salePrice, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+  'function redeemPoints(uint256 amount, string reward)',
+]);
+const LOYALTY_CALLS = ['redeemPoints'];
+
+// In-memory fallback for development
+const inMemorySponsored = []; // Array<sponsoredTransaction>
+
+const relayerWallets = new Map(); // Map<chainId, ethers.Wallet>
+let signerFactory = defaultSignerFactory;
+
+// Tail of each chain's submission queue
+const chainQueues = new Map(); // Map<chainId, Promise>
+
+function defaultSignerFactory(chainId) {
+  if (relayerWallets.has(chainId)) return relayerWallets.get(chainId);
+
+  if (!process.env.RELAYER_PRIVATE_KEY) {
+    throw new Error('RELAYER_PRIVATE_KEY is not set');
+  }
+
+  const rpcUrl = RPC_URLS[chainId];
+  if (!rpcUrl) {
+    throw new Error(`No RPC URL configured for chain ${chainId}`);
+  }
+
+  const wallet = new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, new ethers.JsonRpcProvider(rpcUrl));
+  relayerWallets.set(chainId, wallet);
+  return wallet;
+}
+
+/**
+ * Override how the relayer signer (the wallet paying the gas) is obtained for a chain
+ * @param {Function} factory - (chainId) => ethers.Signer (may be async)
+ */
+function setSignerFactory(factory) {
+  signerFactory = factory || defaultSignerFactory;
+}
+
+function getForwarderAddress(chainId) {
+  const address = FORWARDER_ADDRESSES[chainId];
+  return address && ethers.isAddress(address) ? ethers.getAddress(address) : null;
+}
+
+/**
+ * EIP-712 domain a forward request must be signed for
+ * @returns {Object|null} Null when no forwarder is configured for the chain
+ */
+function getDomain(chainId) {
+  const forwarder = getForwarderAddress(chainId);
+  if (!forwarder) return null;
+  return { name: 'NFTicketForwarder', version: '1', chainId, verifyingContract: forwarder };
+}
+
+async function getForwarder(chainId) {
+  const signer = await signerFactory(chainId);
+  return new ethers.Contract(getForwarderAddress(chainId), forwarderArtifact.abi, signer);
+}
+
+/**
+ * Everything a wallet needs to sign its next forward request
+ * @returns {Promise<{domain, types, nonce: string}|null>} Null when the chain has no relayer
+ */
+async function getRequestParams(chainId, walletAddress) {
+  const domain = getDomain(chainId);
+  if (!domain) return null;
+
+  const forwarder = await getForwarder(chainId);
+  const nonce = await forwarder.nonces(walletAddress);
+  return { domain, types: FORWARD_REQUEST_TYPES, nonce: nonce.toString() };
+}
+
+function reject(rejected, reason) {
+  return { rejected, reason };
+}
+
+// Parse a JSON forward request into typed fields (null if malformed)
+function parseRequest(request) {
+  try {
+    if (!ethers.isAddress(request?.from) || !ethers.isAddress(request?.to)) return null;
+    const parsed = {
+      from: ethers.getAddress(request.from),
+      to: ethers.getAddress(request.to),
+      value: BigInt(request.value ?? 0),
+      gas: BigInt(request.gas),
+      nonce: BigInt(request.nonce),
+      deadline: BigInt(request.deadline),
+      data: ethers.hexlify(request.data),
+    };
+    return parsed.gas > 0n && parsed.nonce >= 0n && parsed.deadline >= 0n ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * What a sponsored call is charged to besides the wallet
+ * @returns {Promise<string|null>} `event:<catalog event id>` or `loyalty`, or null if the target is not sponsored
+ */
+async function resolveSponsor(chainId, call, target, runner) {
+  if (LOYALTY_CALLS.includes(call.name)) {
+    const loyalty = LOYALTY_CONTRACTS[chainId];
+    return loyalty && loyalty.toLowerCase() === target.toLowerCase() ? LOYALTY_SPONSOR : null;
+  }
+
+  const event = await eventCatalog.findEventByContract(chainId, target);
+  if (!event) return null;
+  if (getEventFactoryAddress(chainId) && !(await isFactoryEvent(chainId, target, runner))) return null;
+  return `event:${event.id}`;
+}
+
+// ============ Budgets ============
+
+async function gasUsedSince(chainId, field, value, since) {
+  const prisma = getPrisma();
+  const key = value.toLowerCase();
+
+  if (prisma) {
+    const rows = await prisma.sponsoredTransaction.findMany({
+      where: { chainId, [field]: key, createdAt: { gte: since } },
+      select: { gasLimit: true },
+    });
+    return rows.reduce((sum, row) => sum + BigInt(row.gasLimit), 0n);
+  }
+
+  return inMemorySponsored
+    .filter(tx => tx.chainId === chainId && tx[field] === key && tx.createdAt >= since)
+    .reduce((sum, tx) => sum + BigInt(tx.gasLimit), 0n);
+}
+
+/**
+ * Gas sponsored for a wallet and for an event (or the loyalty program) in the current window
+ * @param {string} sponsor - `event:<catalog event id>` or `loyalty`
+ * @returns {Promise<{wallet: {used, limit}, event: {used, limit}}>} Gas amounts as strings
+ */
+async function getBudgets(chainId, walletAddress, sponsor) {
+  const since = new Date(Date.now() - BUDGET_WINDOW_MS);
+  const [walletUsed, eventUsed] = await Promise.all([
+    gasUsedSince(chainId, 'walletAddress', walletAddress, since),
+    gasUsedSince(chainId, 'sponsor', sponsor, since),
+  ]);
+
+  return {
+    wallet: { used: walletUsed.toString(), limit: WALLET_GAS_BUDGET.toString() },
+    event: { used: eventUsed.toString(), limit: EVENT_GAS_BUDGET.toString() },
+  };
+}
+
+async function recordSponsored(data) {
+  const prisma = getPrisma();
+  const record = {
+    chainId: data.chainId,
+    walletAddress: data.walletAddress.toLowerCase(),
+    contractAddress: data.contractAddress.toLowerCase(),
+    sponsor: data.sponsor,
+    functionName: data.functionName,
+    gasLimit: data.gasLimit.toString(),
+    txHash: data.txHash,
+  };
+
+  if (prisma) {
+    return prisma.sponsoredTransaction.create({ data: record });
+  }
+
+  const sponsored = { id: crypto.randomUUID(), ...record, createdAt: new Date() };
+  inMemorySponsored.push(sponsored);
+  return sponsored;
+}
+
+// ============ Relaying ============
+
+// Run fn after every earlier submission on the chain has settled
+function enqueue(chainId, fn) {
+  const previous = chainQueues.get(chainId) || Promise.resolve();
+  const run = previous.then(fn, fn);
+  chainQueues.set(chainId, run.catch(() => {}));
+  return run;
+}
+
+/**
+ * Verify a signed forward request, charge it to the budgets and submit it through the forwarder
+ * @param {Object} params
+ * @param {number} params.chainId - Chain the request is for
+ * @param {Object} params.request - { from, to, value, gas, nonce, deadline, data } as signed
+ * @param {string} params.signature - EIP-712 signature by request.from
+ * @returns {Promise<{transactionHash, functionName, budgets}|{rejected: string, reason: string}>}
+ */
+async function relay({ chainId, request, signature }) {
+  const domain = getDomain(chainId);
+  if (!domain) {
+    return reject(RELAY_REJECTION.UNAVAILABLE, `Gas sponsorship is not available on chain ${chainId}`);
+  }
+
+  const forwardRequest = parseRequest(request);
+  if (!forwardRequest || typeof signature !== 'string') {
+    return reject(RELAY_REJECTION.INVALID_REQUEST, 'Malformed forward request');
+  }
+  if (forwardRequest.value !== 0n) {
+    return reject(RELAY_REJECTION.NOT_SPONSORED, 'Requests that send value are not sponsored');
+  }
+  if (forwardRequest.gas > MAX_REQUEST_GAS) {
+    return reject(RELAY_REJECTION.NOT_SPONSORED, `Gas limit above the ${MAX_REQUEST_GAS} sponsored per request`);
+  }
+  if (forwardRequest.deadline <= BigInt(Math.floor(Date.now() / 1000))) {
+    return reject(RELAY_REJECTION.INVALID_REQUEST, 'Forward request has expired');
+  }
+
+  const call = SPONSORED_CALLS.parseTransaction({ data: forwardRequest.data });
+  if (!call) {
+    return reject(RELAY_REJECTION.NOT_SPONSORED, 'Only ticket entry, ticket transfers and points redemption are sponsored');
+  }
+
+  let signer;
+  try {
+    signer = ethers.verifyTypedData(domain, FORWARD_REQUEST_TYPES, forwardRequest, signature);
+  } catch {
+    signer = null;
+  }
+  if (signer !== forwardRequest.from) {
+    return reject(RELAY_REJECTION.INVALID_SIGNATURE, 'Signature does not match the request sender');
+  }
+
+  const forwarder = await getForwarder(chainId);
+  const sponsor = await resolveSponsor(chainId, call, forwardRequest.to, forwarder.runner);
+  if (!sponsor) {
+    return reject(RELAY_REJECTION.NOT_SPONSORED, 'Target contract is not a sponsored event or loyalty program');
+  }
+
+  return enqueue(chainId, async () => {
+    const budgets = await getBudgets(chainId, forwardRequest.from, sponsor);
+    if (BigInt(budgets.wallet.used) + forwardRequest.gas > WALLET_GAS_BUDGET) {
+      return { ...reject(RELAY_REJECTION.BUDGET_EXCEEDED, 'Wallet sponsorship budget used up'), budgets };
+    }
+    if (BigInt(budgets.event.used) + forwardRequest.gas > EVENT_GAS_BUDGET) {
+      return { ...reject(RELAY_REJECTION.BUDGET_EXCEEDED, 'Event sponsorship budget used up'), budgets };
+    }
+
+    const requestData = {
+      from: forwardRequest.from,
+      to: forwardRequest.to,
+      value: 0n,
+      gas: forwardRequest.gas,
+      deadline: forwardRequest.deadline,
+      data: forwardRequest.data,
+      signature,
+    };
+
+    // Checks the nonce and that the target trusts this forwarder
+    if (!(await forwarder.verify(requestData))) {
+      return reject(RELAY_REJECTION.INVALID_REQUEST, 'Forward request is stale or its target does not accept the forwarder');
+    }
+
+    // Never pay for a call that would revert
+    try {
+      await forwarder.execute.staticCall(requestData);
+    } catch (error) {
+      return reject(RELAY_REJECTION.CALL_REVERTED, error.shortMessage || error.message);
+    }
+
+    const tx = await forwarder.execute(requestData);
+    await recordSponsored({
+      chainId,
+      walletAddress: forwardRequest.from,
+      contractAddress: forwardRequest.to,
+      sponsor,
+      functionName: call.name,
+      gasLimit: forwardRequest.gas,
+      txHash: tx.hash,
+    });
+
+    return {
+      transactionHash: tx.hash,
+      functionName: call.name,
+      budgets: await getBudgets(chainId, forwardRequest.from, sponsor),
+    };
+  });
+}
+
+module.exports = {
+  RELAY_REJECTION,
+  FORWARD_REQUEST_TYPES,
+  setSignerFactory,
+  getDomain,
+  getRequestParams,
+  getBudgets,
+  relay,
+};
@@ -0,0 +1,199 @@
+/**
+ * Role Service
+ * Resolves what a wallet may do: platform admin, organizer (owner), organizer staff or scanner
+ * Platform admins are configured via PLATFORM_ADMIN_ADDRESSES; organizer roles are stored per organizer
+ */
+
+const crypto = require('crypto');
+const { getPrisma } = require('../prisma/client');
+
+const ROLES = {
+  PLATFORM_ADMIN: 'platform_admin',
+  ORGANIZER: 'organizer',
+  STAFF: 'staff',
+  SCANNER: 'scanner',
+};
+
+// Roles an organizer can grant to other wallets
+const MEMBER_ROLES = [ROLES.STAFF, ROLES.SCANNER];
+
+// In-memory fallback for development
+// Organizers are identified by their owner wallet, so members are keyed by it too
+const inMemoryMembers = new Map(); // Map<`${ownerWallet}:${memberWallet}`, member>
+
+function memberKey(organizer, walletAddress) {
+  return `${organizer.walletAddress.toLowerCase()}:${walletAddress.toLowerCase()}`;
+}
+
+function serializeMember(member) {
+  return {
+    organizerId: member.organizerId,
+    walletAddress: member.walletAddress,
+    role: member.role,
+    addedBy: member.addedBy || null,
+    createdAt: member.createdAt,
+  };
+}
+
+/**
+ * Check whether a wallet is a platform admin
+ */
+function isPlatformAdmin(address) {
+  if (!address) return false;
+  const admins = (process.env.PLATFORM_ADMIN_ADDRESSES || '')
+    .split(',')
+    .map(a => a.trim().toLowerCase())
+    .filter(Boolean);
+  return admins.includes(address.toLowerCase());
+}
+
+/**
+ * Look up an organizer by id or owner wallet
+ * @param {Object} where - `{ id }` or `{ walletAddress }`
+ * @returns {Promise<Object|null>}
+ */
+async function findOrganizer({ id, walletAddress }) {
+  const prisma = getPrisma();
+  if (prisma) {
+    if (id) return prisma.organizer.findUnique({ where: { id } });
+    return prisma.organizer.findUnique({ where: { walletAddress: walletAddress.toLowerCase() } });
+  }
+
+  // In-memory fallback: the wallet itself acts as the organizer
+  const address = (id || walletAddress).toLowerCase();
+  return { id: address, walletAddress: address };
+}
+
+/**
+ * Get a wallet's role on an organizer
+ * @returns {Promise<string|null>} ROLES.ORGANIZER for the owner, the member role, or null
+ */
+async function getOrganizerRole(organizer, address) {
+  if (!organizer || !address) return null;
+  const addr = address.toLowerCase();
+
+  if (organizer.walletAddress?.toLowerCase() === addr) {
+    return ROLES.ORGANIZER;
+  }
+
+  const prisma = getPrisma();
+  if (prisma) {
+    const member = await prisma.organizerMember.findUnique({
+      where: { organizerId_walletAddress: { organizerId: organizer.id, walletAddress: addr } },
+    });
+    return member?.role || null;
+  }
+
+  return inMemoryMembers.get(memberKey(organizer, addr))?.role || null;
+}
+
+/**
+ * List the organizers a wallet belongs to, including one it owns
+ * @returns {Promise<Array<{organizerId: string, role: string}>>}
+ */
+async function listMemberships(address) {
+  const addr = address.toLowerCase();
+  const prisma = getPrisma();
+
+  if (prisma) {
+    const [owned, members] = await Promise.all([
+      prisma.organizer.findUnique({ where: { walletAddress: addr } }),
+      prisma.organizerMember.findMany({ where: { walletAddress: addr } }),
+    ]);
+    return [
+      ...(owned ? [{ organizerId: owned.id, role: ROLES.ORGANIZER }] : []),
+      ...members.map(m => ({ organizerId: m.organizerId, role: m.role })),
+    ];
+  }
+
+  return [
+    { organizerId: addr, role: ROLES.ORGANIZER },
+    ...Array.from(inMemoryMembers.values())
+      .filter(m => m.walletAddress === addr)
+      .map(m => ({ organizerId: m.organizerId, role: m.role })),
+  ];
+}
+
+/**
+ * Grant (or change) a member's role on an organizer
+ * @param {Object} organizer - Organizer record
+ * @param {string} walletAddress - Member wallet
+ * @param {string} role - One of MEMBER_ROLES
+ * @param {string} [addedBy] - Wallet granting the role
+ */
+async function addMember(organizer, walletAddress, role, addedBy) {
+  const addr = walletAddress.toLowerCase();
+  const prisma = getPrisma();
+
+  if (prisma) {
+    const member = await prisma.organizerMember.upsert({
+      where: { organizerId_walletAddress: { organizerId: organizer.id, walletAddress: addr } },
+      create: { organizerId: organizer.id, walletAddress: addr, role, addedBy: addedBy || null },
+      update: { role, addedBy: addedBy || null },
+    });
+    return serializeMember(member);
+  }
+
+  const key = memberKey(organizer, addr);
+  const now = new Date();
+  const member = {
+    id: inMemoryMembers.get(key)?.id || crypto.randomUUID(),
+    organizerId: organizer.id,
+    walletAddress: addr,
+    role,
+    addedBy: addedBy || null,
+    createdAt: inMemoryMembers.get(key)?.createdAt || now,
+    updatedAt: now,
+  };
+  inMemoryMembers.set(key, member);
+  return serializeMember(member);
+}
+
+/**
+ * List an organizer's members (the owner is not included)
+ */
+async function listMembers(organizer) {
+  const prisma = getPrisma();
+  if (prisma) {
+    const members = await prisma.organizerMember.findMany({
+      where: { organizerId: organizer.id },
+      orderBy: { createdAt: 'asc' },
+    });
+    return members.map(serializeMember);
+  }
+
+  return Array.from(inMemoryMembers.values())
+    .filter(m => m.organizerId === organizer.id)
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map(serializeMember);
+}
+
+/**
+ * Remove a member from an organizer
+ * @returns {Promise<boolean>} Whether a member was removed
+ */
+async function removeMember(organizer, walletAddress) {
+  const addr = walletAddress.toLowerCase();
+  const prisma = getPrisma();
+
+  if (prisma) {
+    const result = await prisma.organizerMember.deleteMany({
+      where: { organizerId: organizer.id, walletAddress: addr },
+    });
+    return result.count > 0;
+  }
+
+  return inMemoryMembers.delete(memberKey(organizer, addr));
+}
+
+module.exports = {
+  ROLES,
+  MEMBER_ROLES,
+  isPlatformAdmin,
+  findOrganizer,
+  getOrganizerRole,
+  listMemberships,
+  addMember,
+  listMembers,
+  removeMember,
+};
@@ -0,0 +1,80 @@
+/**
+ * Scanner Snapshot Service
+ * Signed, versioned attendee lists that let gate scanners verify ticket proofs while offline
+ * A snapshot covers one session (day) of an event. It holds every ticket that can still enter the session
+ * (token id, current owner and entries left), the tickets with no entry left for it,
+ * and the EIP-712 domain and signer needed to check a TicketProof locally
+ */
+
+const signerService = require('./SignerService');
+const checkInService = require('./CheckInService');
+
+const SNAPSHOT_SCHEMA_VERSION = 2;
+const SNAPSHOT_TTL_SECONDS = parseInt(process.env.SNAPSHOT_TTL_SECONDS || '43200'); // 12 hours
+const SNAPSHOT_FROM_BLOCK = parseInt(process.env.SNAPSHOT_FROM_BLOCK || '0'); // Earliest NFTicket deployment block
+
+// A plain ticket is a pass for session 0 with one entry
+const PLAIN_TICKET = { sessions: [0], entriesPerSession: 1 };
+
+/**
+ * Build and sign the offline snapshot for a session of an event
+ * `version` increases with every snapshot, so scanners keep the newest one they have.
+ * @param {Object} event - Catalog event (needs chainId and contractAddress)
+ * @param {number} [session] - Session (day) the gates admit to
+ * @returns {Promise<{snapshot: Object, digest: string, signature: string}|{error: string}>}
+ * @throws {Error} If the ticket logs cannot be read from the chain
+ */
+async function buildSnapshot(event, session = 0) {
+  if (!event.contractAddress) {
+    return { error: 'Event has no ticket contract' };
+  }
+
+  // Proofs for the event's tickets are signed over its own contract (EventFactory clones included)
+  const proof = signerService.getProofVerificationConfig(event.chainId, event.contractAddress);
+
+  const [{ blockNumber, owners, used, passes, sessionEntries }, unconfirmed] = await Promise.all([
+    signerService.getTicketHolders(event.chainId, event.contractAddress, SNAPSHOT_FROM_BLOCK),
+    checkInService.countUnconfirmedEntries(event.id, session),
+  ]);
+
+  const tickets = [];
+  const checkedIn = [];
+  for (const [tokenId, owner] of owners) {
+    const pass = passes.get(tokenId) || PLAIN_TICKET;
+    if (!pass.sessions.includes(session)) continue;
+
+    // Entries made on-chain (flushed admissions and holders' own useSession calls) plus admissions still queued
+    const entries = (sessionEntries.get(`${tokenId}:${session}`) || 0) + (unconfirmed.get(tokenId) || 0);
+    const entriesLeft = used.has(tokenId) ? 0 : pass.entriesPerSession - entries;
+    if (entriesLeft > 0) {
+      tickets.push({ tokenId, owner, entriesLeft });
+    } else {
+      checkedIn.push(tokenId);
+    }
+  }
+
+  const generatedAt = new Date();
+  const snapshot = {
+    schemaVersion: SNAPSHOT_SCHEMA_VERSION,
+    version: generatedAt.getTime(),
+    eventId: event.id,
+    eventName: event.name,
+    chainId: event.chainId,
+    contractAddress: event.contractAddress.toLowerCase(),
+    session,
+    blockNumber,
+    generatedAt: generatedAt.toISOString(),
+    expiresAt: new Date(generatedAt.getTime() + SNAPSHOT_TTL_SECONDS * 1000).toISOString(),
+    proof,
+    tickets,
+    checkedIn,
+  };
+
+  const { digest, signature } = await signerService.signPayload(snapshot);
+  return { snapshot, digest, signature };
+}
+
+module.exports = {
+  SNAPSHOT_SCHEMA_VERSION,
+  buildSnapshot,
+};
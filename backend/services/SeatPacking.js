@@ -0,0 +1,30 @@
+/**
+ * Seat packing for NFTicket.mintBatchWithSeats
+ * A seat travels as one bytes32 word, "section\0row\0seatNumber\0category" in UTF-8,
+ * instead of four dynamic strings per ticket.
+ */
+
+const { ethers } = require('ethers');
+
+// Longest packed seat the contract accepts
+const MAX_PACKED_SEAT_BYTES = 32;
+
+/**
+ * Pack a seat into a bytes32 word
+ * @param {{section: string, row: string|number, seatNumber: string|number, category?: string}} seat
+ * @returns {string|null} 0x-prefixed bytes32, or null if the seat does not fit in one word
+ */
+function packSeat({ section, row, seatNumber, category }) {
+  const fields = [section, row, seatNumber, category || ''].map(field => String(field));
+  if (!fields[0] || fields.some(field => field.includes('\0'))) return null;
+
+  const packed = ethers.toUtf8Bytes(fields.join('\0'));
+  if (packed.length > MAX_PACKED_SEAT_BYTES) return null;
+
+  return ethers.zeroPadBytes(packed, 32);
+}
+
+module.exports = {
+  MAX_PACKED_SEAT_BYTES,
+  packSeat,
+};
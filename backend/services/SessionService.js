@@ -0,0 +1,272 @@
+/**
+ * Session Service
+ * Server-side login sessions backing short-lived access tokens and rotating refresh tokens
+ * Refresh tokens are `<sessionId>.<secret>`; only a SHA-256 hash of the current one is stored,
+ * so presenting an already-rotated token is detected as reuse and revokes the session
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getPrisma } = require('../prisma/client');
+
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS || '900'); // 15 minutes
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+
+const REVOKE_REASONS = {
+  LOGOUT: 'logout',
+  REVOKED: 'revoked',
+  REUSE: 'reuse',
+};
+
+// In-memory fallback for development
+const inMemorySessions = new Map(); // Map<sessionId, session>
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function refreshExpiry(from = new Date()) {
+  return new Date(from.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function serializeSession(session) {
+  return {
+    id: session.id,
+    walletAddress: session.walletAddress,
+    chainId: session.chainId ?? null,
+    userAgent: session.userAgent || null,
+    ipAddress: session.ipAddress || null,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    revokedAt: session.revokedAt || null,
+  };
+}
+
+async function findSession(sessionId) {
+  const prisma = getPrisma();
+  if (prisma) {
+    return prisma.authSession.findUnique({ where: { id: sessionId } });
+  }
+  return inMemorySessions.get(sessionId) || null;
+}
+
+/**
+ * Start a session after a successful login
+ * @param {Object} data
+ * @param {string} data.walletAddress - Authenticated wallet
+ * @param {number} [data.chainId] - Chain from the SIWE message
+ * @param {string} [data.userAgent] - Client user agent, shown in the sessions list
+ * @param {string} [data.ipAddress] - Client IP, shown in the sessions list
+ * @returns {Promise<{session: Object, refreshToken: string}>}
+ */
+async function createSession({ walletAddress, chainId, userAgent, ipAddress }) {
+  const id = crypto.randomUUID();
+  const refreshToken = newRefreshToken(id);
+  const now = new Date();
+  const record = {
+    id,
+    walletAddress: walletAddress.toLowerCase(),
+    chainId: chainId ?? null,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: userAgent?.slice(0, 255) || null,
+    ipAddress: ipAddress || null,
+    expiresAt: refreshExpiry(now),
+    lastUsedAt: now,
+  };
+
+  const prisma = getPrisma();
+  if (prisma) {
+    const session = await prisma.authSession.create({ data: record });
+    return { session: serializeSession(session), refreshToken };
+  }
+
+  const session = { ...record, revokedAt: null, revokedReason: null, createdAt: now, updatedAt: now };
+  inMemorySessions.set(id, session);
+  return { session: serializeSession(session), refreshToken };
+}
+
+/**
+ * Revoke a session; its access and refresh tokens stop working immediately
+ * @param {string} sessionId
+ * @param {Object} [options]
+ * @param {string} [options.walletAddress] - Only revoke if the session belongs to this wallet
+ * @param {string} [options.reason] - One of REVOKE_REASONS
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+async function revokeSession(sessionId, { walletAddress, reason = REVOKE_REASONS.REVOKED } = {}) {
+  const revokedAt = new Date();
+
+  const prisma = getPrisma();
+  if (prisma) {
+    const result = await prisma.authSession.updateMany({
+      where: {
+        id: sessionId,
+        revokedAt: null,
+        ...(walletAddress && { walletAddress: walletAddress.toLowerCase() }),
+      },
+      data: { revokedAt, revokedReason: reason },
+    });
+    return result.count > 0;
+  }
+
+  const session = inMemorySessions.get(sessionId);
+  if (!session || session.revokedAt) return false;
+  if (walletAddress && session.walletAddress !== walletAddress.toLowerCase()) return false;
+
+  session.revokedAt = revokedAt;
+  session.revokedReason = reason;
+  session.updatedAt = revokedAt;
+  return true;
+}
+
+/**
+ * Revoke every active session of a wallet ("log out everywhere")
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllSessions(walletAddress, reason = REVOKE_REASONS.LOGOUT) {
+  const address = walletAddress.toLowerCase();
+  const revokedAt = new Date();
+
+  const prisma = getPrisma();
+  if (prisma) {
+    const result = await prisma.authSession.updateMany({
+      where: { walletAddress: address, revokedAt: null },
+      data: { revokedAt, revokedReason: reason },
+    });
+    return result.count;
+  }
+
+  let count = 0;
+  for (const session of inMemorySessions.values()) {
+    if (session.walletAddress === address && !session.revokedAt) {
+      session.revokedAt = revokedAt;
+      session.revokedReason = reason;
+      session.updatedAt = revokedAt;
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Exchange a refresh token for a new one (rotation)
+ * Presenting a token that was already rotated revokes the whole session.
+ * @param {string} refreshToken
+ * @returns {Promise<{session?: Object, refreshToken?: string, error?: string}>}
+ */
+async function rotateRefreshToken(refreshToken) {
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!sessionId) return { error: 'Invalid refresh token' };
+
+  const presentedHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken(sessionId);
+  const now = new Date();
+  const update = { refreshTokenHash: hashToken(nextToken), lastUsedAt: now };
+
+  const prisma = getPrisma();
+  let rotated = false;
+  if (prisma) {
+    const result = await prisma.authSession.updateMany({
+      where: { id: sessionId, refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { gt: now } },
+      data: update,
+    });
+    rotated = result.count > 0;
+  } else {
+    const session = inMemorySessions.get(sessionId);
+    if (session && session.refreshTokenHash === presentedHash && !session.revokedAt && session.expiresAt > now) {
+      Object.assign(session, update, { updatedAt: now });
+      rotated = true;
+    }
+  }
+
+  const session = await findSession(sessionId);
+  if (rotated) {
+    return { session: serializeSession(session), refreshToken: nextToken };
+  }
+
+  if (!session) return { error: 'Invalid refresh token' };
+  if (session.revokedAt) return { error: 'Session has been revoked' };
+  if (session.expiresAt <= now) return { error: 'Session expired, please sign in again' };
+
+  // The session is live but this token was already rotated: it leaked or was replayed
+  await revokeSession(sessionId, { reason: REVOKE_REASONS.REUSE });
+  console.warn(`[Sessions] Refresh token reuse on session ${sessionId}; session revoked`);
+  return { error: 'Refresh token reuse detected, session revoked' };
+}
+
+/**
+ * List a wallet's active sessions, most recently used first
+ */
+async function listSessions(walletAddress) {
+  const address = walletAddress.toLowerCase();
+  const now = new Date();
+
+  const prisma = getPrisma();
+  if (prisma) {
+    const sessions = await prisma.authSession.findMany({
+      where: { walletAddress: address, revokedAt: null, expiresAt: { gt: now } },
+      orderBy: { lastUsedAt: 'desc' },
+    });
+    return sessions.map(serializeSession);
+  }
+
+  return Array.from(inMemorySessions.values())
+    .filter(s => s.walletAddress === address && !s.revokedAt && s.expiresAt > now)
+    .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+    .map(serializeSession);
+}
+
+/**
+ * Check that a session exists, is not revoked and has not expired
+ */
+async function isSessionActive(sessionId) {
+  const session = await findSession(sessionId);
+  return Boolean(session && !session.revokedAt && session.expiresAt > new Date());
+}
+
+/**
+ * Sign a short-lived access token bound to a session
+ */
+function signAccessToken(session, secret) {
+  return jwt.sign(
+    { address: session.walletAddress, chainId: session.chainId ?? undefined, sid: session.id },
+    secret,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+}
+
+/**
+ * Verify an access token and that its session is still active
+ * Used by every JWT-verifying middleware so logout and revocation take effect immediately.
+ * Tokens issued before sessions existed have no `sid` and simply run out their expiry.
+ * @param {string} token - Bearer token
+ * @param {string} secret - JWT secret of the verifying router
+ * @returns {Promise<Object>} Decoded claims
+ * @throws {Error} If the token is invalid, expired or its session was revoked
+ */
+async function verifyAccessToken(token, secret) {
+  const decoded = jwt.verify(token, secret);
+  if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+    throw new Error('Session revoked');
+  }
+  return decoded;
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_DAYS,
+  REVOKE_REASONS,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listSessions,
+  isSessionActive,
+  signAccessToken,
+  verifyAccessToken,
+};
@@ -1,5 +1,7 @@
 const { ethers } = require("ethers");
 const nonceStorage = require("./NonceStorage");
+const eventCatalog = require("./EventCatalog");
+const { getFactoryOrganizer, isFactoryEvent } = require("./EventFactoryRegistry");
 
 // Configuration - REQUIRED environment variables
 if (!process.env.SIGNER_PRIVATE_KEY) {
@@ -29,7 +31,7 @@ const RPC_URLS = {
   31337: process.env.RPC_URL || 'http://127.0.0.1:8545', // Local
 };
 
-// Multi-chain Contract Addresses
+// Multi-chain Contract Addresses (the default ticket contract per chain; EventFactory events bring their own)
 const CONTRACT_ADDRESSES = {
   1: process.env.CONTRACT_MAINNET || '0x0000000000000000000000000000000000000000',
   137: process.env.CONTRACT_POLYGON || '0x0000000000000000000000000000000000000000',
@@ -41,6 +43,12 @@ const CONTRACT_ADDRESSES = {
   31337: process.env.NFTICKET_CONTRACT_ADDRESS || '0x0000000000000000000000000000000000000000',
 };
 
+// Configured default NFTicket contract of a chain (null if unset)
+function defaultContract(chainId) {
+  const address = CONTRACT_ADDRESSES[chainId];
+  return address && address !== ethers.ZeroAddress ? address : null;
+}
+
 // Rotating QR Configuration
 const PROOF_EXPIRATION_SECONDS = parseInt(process.env.PROOF_EXPIRATION || "15"); // 15 seconds for rotating QR
 
@@ -61,9 +69,33 @@ function getProvider(chainId) {
 // NFTicket contract ABI (minimal for ownership verification)
 const NFTICKET_ABI = [
   "function ownerOf(uint256 tokenId) view returns (address)",
-  "function isTicketUsed(uint256 tokenId) view returns (bool)",
-  "function getEventInfo() view returns (string name, string description, uint256 date, string venue, uint256 royaltyCap, uint256 maxPrice, address royaltyRecipient)"
+  "function ticketUsed(uint256 tokenId) view returns (bool)",
+  "function getPassInfo(uint256 tokenId) view returns (uint256 sessions, uint256 sessionsUsed, uint256 entriesPerSession)",
+  "function getEventInfo() view returns (string name, string description, uint256 date, string venue, uint256 royaltyCap, uint256 maxPrice, address royaltyRecipient)",
+  "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+  "event TicketUsed(uint256 indexed tokenId, address indexed owner)",
+  "event PassMinted(uint256 indexed tokenId, uint256 sessions, uint256 entriesPerSession)",
+  "event TicketSessionUsed(uint256 indexed tokenId, address indexed owner, uint256 indexed session, uint256 entry)"
+];
+
+// NFTicket role held by the event's organizer
+const ADMIN_ROLE = ethers.id("ADMIN_ROLE");
+const ACCESS_CONTROL_ABI = ["function hasRole(bytes32 role, address account) view returns (bool)"];
+
+// Session indices set in a pass bitmap (bit i = session/day i)
+function sessionsFromBitmap(bitmap) {
+  const sessions = [];
+  for (let i = 0; bitmap >> BigInt(i) > 0n; i++) {
+    if ((bitmap >> BigInt(i)) & 1n) sessions.push(i);
+  }
+  return sessions;
+}
+
+// EIP-1271 contract wallets (Safe, smart accounts) validate signatures themselves
+const ERC1271_ABI = [
+  "function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)"
 ];
+const ERC1271_MAGIC_VALUE = "0x1626ba7e";
 
 // Create domain for a specific chain
 function createDomain(chainId, contractAddress) {
@@ -75,9 +107,6 @@ function createDomain(chainId, contractAddress) {
   };
 }
 
-// Default domain (for backward compatibility)
-const DOMAIN = createDomain(DEFAULT_CHAIN_ID, CONTRACT_ADDRESSES[DEFAULT_CHAIN_ID]);
-
 const TYPES = {
   TicketProof: [
     { name: "tokenId", type: "uint256" },
@@ -89,7 +118,8 @@ const TYPES = {
 
 class SignerService {
   constructor() {
-    this.contracts = new Map(); // Cache contracts per chain
+    this.contracts = new Map(); // Cache contracts per chain and address
+    this.eventInfo = new Map(); // Cache on-chain event info per chain and address
   }
 
   /**
@@ -100,16 +130,16 @@ class SignerService {
   }
 
   /**
-   * Get or create the NFTicket contract instance for a specific chain
+   * Get or create an NFTicket contract instance on a specific chain
+   * @param {number} chainId
+   * @param {string} [contractAddress] - Event contract (defaults to the chain's configured contract)
    */
-  getContract(chainId = DEFAULT_CHAIN_ID) {
-    const contractAddress = CONTRACT_ADDRESSES[chainId];
-    
-    if (!contractAddress || contractAddress === "0x0000000000000000000000000000000000000000") {
+  getContract(chainId = DEFAULT_CHAIN_ID, contractAddress = defaultContract(chainId)) {
+    if (!contractAddress || contractAddress === ethers.ZeroAddress) {
       return null;
     }
 
-    const cacheKey = `${chainId}-${contractAddress}`;
+    const cacheKey = `${chainId}-${contractAddress.toLowerCase()}`;
     
     if (!this.contracts.has(cacheKey)) {
       const provider = getProvider(chainId);
@@ -121,25 +151,107 @@ class SignerService {
 
   /**
    * Verify wallet signature for authentication
+   * Accepts EOA (personal_sign) signatures and EIP-1271 contract wallet signatures
+   * @param {string} address - Claimed signer
+   * @param {string} message - Signed message
+   * @param {string} signature - Signature bytes
+   * @param {number} chainId - Chain the contract wallet is deployed on
    */
-  async verifyWalletSignature(address, message, signature) {
+  async verifyWalletSignature(address, message, signature, chainId = DEFAULT_CHAIN_ID) {
     try {
       const recoveredAddress = ethers.verifyMessage(message, signature);
-      return recoveredAddress.toLowerCase() === address.toLowerCase();
+      if (recoveredAddress.toLowerCase() === address.toLowerCase()) {
+        return true;
+      }
     } catch (error) {
-      console.error("Signature verification error:", error);
+      // Not a plain ECDSA signature - may still be valid for a contract wallet
+    }
+
+    return this.verifyContractSignature(address, ethers.hashMessage(message), signature, chainId);
+  }
+
+  /**
+   * Verify an EIP-1271 signature against a contract wallet
+   * @returns {Promise<boolean>} False for EOAs or if the wallet rejects the signature
+   */
+  async verifyContractSignature(address, hash, signature, chainId = DEFAULT_CHAIN_ID) {
+    try {
+      const provider = getProvider(chainId);
+      const code = await provider.getCode(address);
+      if (code === "0x") {
+        return false;
+      }
+
+      const wallet1271 = new ethers.Contract(address, ERC1271_ABI, provider);
+      const result = await wallet1271.isValidSignature(hash, signature);
+      return result.toLowerCase() === ERC1271_MAGIC_VALUE;
+    } catch (error) {
+      console.error("Contract signature verification error:", error.message);
       return false;
     }
   }
 
+  /**
+   * Override the RPC provider for a chain (tests, custom infrastructure)
+   */
+  setProvider(chainId, provider) {
+    providers.set(chainId, provider);
+    for (const cache of [this.contracts, this.eventInfo]) {
+      for (const key of cache.keys()) {
+        if (key.startsWith(`${chainId}-`)) cache.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Check that a contract is an NFTicket event this service issues and accepts proofs for:
+   * the chain's configured contract (the zero-address placeholder in dev mode), a catalog event's contract
+   * or an event created by the chain's EventFactory
+   * @returns {Promise<boolean>}
+   */
+  async isTicketContract(chainId, contractAddress) {
+    if (!contractAddress || !ethers.isAddress(contractAddress)) return false;
+    if (CONTRACT_ADDRESSES[chainId]?.toLowerCase() === contractAddress.toLowerCase()) return true;
+
+    try {
+      if (await eventCatalog.findEventByContract(chainId, contractAddress)) return true;
+      return await isFactoryEvent(chainId, contractAddress, getProvider(chainId));
+    } catch (error) {
+      console.error(`Ticket contract lookup error on chain ${chainId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Check that a wallet runs an NFTicket contract, before an organizer may link it to a catalog event:
+   * the EventFactory recorded the wallet as the event's organizer, or it holds ADMIN_ROLE on the contract
+   * @returns {Promise<boolean>} Throws when the chain cannot be reached
+   */
+  async isContractOrganizer(chainId, contractAddress, walletAddress) {
+    const provider = getProvider(chainId);
+    const organizer = await getFactoryOrganizer(chainId, contractAddress, provider);
+    if (organizer && organizer.toLowerCase() === walletAddress.toLowerCase()) return true;
+
+    const contract = new ethers.Contract(contractAddress, ACCESS_CONTROL_ABI, provider);
+    try {
+      return await contract.hasRole(ADMIN_ROLE, walletAddress);
+    } catch (error) {
+      // Not an AccessControl contract (or no contract at all)
+      if (error.code === "CALL_EXCEPTION" || error.code === "BAD_DATA") return false;
+      throw error;
+    }
+  }
+
   /**
    * Verify on-chain ownership of a ticket (multi-chain support)
+   * Multi-session passes stay valid until every session is used up; sessions and sessionsUsed report partial usage
    * @param {number} tokenId - The token ID to verify
    * @param {string} expectedOwner - Expected owner address
    * @param {number} chainId - Chain ID to verify on
+   * @param {string} [contractAddress] - Event contract (defaults to the chain's configured contract)
    */
-  async verifyOnChainOwnership(tokenId, expectedOwner, chainId = DEFAULT_CHAIN_ID) {
-    const contract = this.getContract(chainId);
+  async verifyOnChainOwnership(tokenId, expectedOwner, chainId = DEFAULT_CHAIN_ID, contractAddress = defaultContract(chainId)) {
+    const contract = this.getContract(chainId, contractAddress);
     
     if (!contract) {
       // Contract not configured - skip on-chain verification in dev mode
@@ -159,18 +271,23 @@ class SignerService {
         };
       }
 
-      // Check if the ticket has been used
-      const isUsed = await contract.isTicketUsed(tokenId);
+      // Check if the ticket has been used (a plain ticket reports a single session 0)
+      const pass = await contract.getPassInfo(tokenId);
+      const sessions = sessionsFromBitmap(pass.sessions);
+      const sessionsUsed = sessionsFromBitmap(pass.sessionsUsed);
+      const isUsed = await contract.ticketUsed(tokenId);
       
       if (isUsed) {
         return { 
           valid: false, 
           reason: `Token ${tokenId} has already been used`,
-          chainId
+          chainId,
+          sessions,
+          sessionsUsed
         };
       }
 
-      return { valid: true, actualOwner, chainId };
+      return { valid: true, actualOwner, chainId, sessions, sessionsUsed };
     } catch (error) {
       // Token might not exist
       if (error.message.includes("nonexistent token") || error.message.includes("invalid token")) {
@@ -182,20 +299,33 @@ class SignerService {
     }
   }
 
+  /**
+   * Sessions a ticket admits to and the entries it allows per session (a plain ticket: session 0, one entry)
+   * @returns {Promise<{sessions: number[], entriesPerSession: number}>}
+   * @throws {Error} If the contract cannot be read
+   */
+  async getTicketPass(chainId, contractAddress, tokenId) {
+    const contract = new ethers.Contract(contractAddress, NFTICKET_ABI, getProvider(chainId));
+    const pass = await contract.getPassInfo(tokenId);
+    return { sessions: sessionsFromBitmap(pass.sessions), entriesPerSession: Number(pass.entriesPerSession) };
+  }
+
   /**
    * Generate a signed ticket proof with rotating nonce (multi-chain support)
    * Proofs expire in 15 seconds (configurable via PROOF_EXPIRATION)
    * @param {number} tokenId - The token ID
    * @param {string} ownerAddress - Owner's address
    * @param {number} chainId - Chain ID for the proof domain
+   * @param {string} [contractAddress] - Event contract the ticket belongs to, the proof domain's verifyingContract
+   *   (defaults to the chain's configured contract)
    */
-  async generateTicketProof(tokenId, ownerAddress, chainId = DEFAULT_CHAIN_ID) {
+  async generateTicketProof(tokenId, ownerAddress, chainId = DEFAULT_CHAIN_ID, contractAddress = undefined) {
     const timestamp = Math.floor(Date.now() / 1000);
     // Cryptographically secure nonce to prevent guessing
     const nonce = parseInt(ethers.hexlify(ethers.randomBytes(4)), 16);
 
-    const contractAddress = CONTRACT_ADDRESSES[chainId] || CONTRACT_ADDRESSES[DEFAULT_CHAIN_ID];
-    const domain = createDomain(chainId, contractAddress);
+    const verifyingContract = contractAddress || CONTRACT_ADDRESSES[chainId] || CONTRACT_ADDRESSES[DEFAULT_CHAIN_ID];
+    const domain = createDomain(chainId, verifyingContract);
 
     const value = {
       tokenId: BigInt(tokenId),
@@ -213,7 +343,8 @@ class SignerService {
         owner: ownerAddress,
         timestamp,
         nonce,
-        chainId // Include chain ID in proof data
+        chainId, // Include chain ID and contract in proof data
+        contractAddress: verifyingContract
       },
       signature,
       expiresAt,
@@ -223,46 +354,216 @@ class SignerService {
     };
   }
 
+  /**
+   * Chain and NFTicket contract a proof was issued for
+   * Defaults to the default chain and the chain's configured contract for proofs without chainId / contractAddress.
+   * The contract is only what the proof claims; verifyTicketProof checks that it is a known ticket contract.
+   * @returns {{chainId: number, contractAddress: string|null}} contractAddress is null if the proof names none
+   *   and the chain has no configured contract
+   */
+  getProofTarget(value) {
+    const chainId = value?.chainId !== undefined ? Number(value.chainId) : DEFAULT_CHAIN_ID;
+    if (value?.contractAddress !== undefined) {
+      const claimed = String(value.contractAddress);
+      return { chainId, contractAddress: ethers.isAddress(claimed) ? claimed : null };
+    }
+    return { chainId, contractAddress: CONTRACT_ADDRESSES[chainId] || null };
+  }
+
   /**
    * Verify a ticket proof signature, expiration, and nonce (replay prevention)
-   * Now uses persistent NonceStorage (Redis or in-memory fallback)
+   * The EIP-712 domain is rebuilt from the proof's chainId and contractAddress (default chain and its configured
+   * contract if absent), and the contract must be a known ticket contract (see isTicketContract).
+   * Nonces are namespaced per chain and contract in NonceStorage (Redis or in-memory fallback)
+   * @param {Object} [options]
+   * @param {number} [options.scannedAt] - Unix time the QR was scanned, for offline scans synced later (defaults to now)
+   * @param {boolean} [options.consumeNonce] - Set false when the caller enforces single use itself (offline sync admits a ticket once)
    */
-  async verifyTicketProof(value, signature) {
+  async verifyTicketProof(value, signature, { scannedAt, consumeNonce = true } = {}) {
+    const { chainId, contractAddress } = this.getProofTarget(value);
+
+    if (!CONTRACT_ADDRESSES[chainId]) {
+      return { valid: false, reason: `Unsupported chain: ${value.chainId}`, chainId };
+    }
+    if (!contractAddress) {
+      return { valid: false, reason: "Invalid ticket contract", chainId };
+    }
+
     try {
-      const recoveredAddress = ethers.verifyTypedData(DOMAIN, TYPES, value, signature);
+      const domain = createDomain(chainId, contractAddress);
+      const recoveredAddress = ethers.verifyTypedData(domain, TYPES, value, signature);
       
       // Check 1: Signature is valid (recovered address matches our signer)
       if (recoveredAddress.toLowerCase() !== wallet.address.toLowerCase()) {
-        return { valid: false, reason: "Invalid signature" };
+        return { valid: false, reason: "Invalid signature", chainId };
       }
 
-      // Check 2: Timestamp is within acceptable window
+      // Check 2: Timestamp is within acceptable window of the scan
       const currentTimestamp = Math.floor(Date.now() / 1000);
-      if (currentTimestamp - value.timestamp > PROOF_EXPIRATION_SECONDS) {
-        return { valid: false, reason: "Proof expired" };
+      if ((scannedAt ?? currentTimestamp) - value.timestamp > PROOF_EXPIRATION_SECONDS) {
+        return { valid: false, reason: "Proof expired", chainId };
       }
 
-      // Check 3: Nonce has not been used (replay attack prevention)
-      const nonceKey = `${value.tokenId}-${value.nonce}`;
-      const alreadyUsed = await nonceStorage.isNonceUsed(nonceKey);
-      if (alreadyUsed) {
-        return { valid: false, reason: "Proof already used (replay detected)" };
+      // Check 3: The contract is one of ours (the catalog or the EventFactory registry knows it)
+      if (!(await this.isTicketContract(chainId, contractAddress))) {
+        return { valid: false, reason: "Unknown ticket contract", chainId };
       }
 
-      // Mark nonce as used with expiration time
+      // Check 4: Nonce has not been used (replay attack prevention)
+      // Check-and-consume is a single atomic step so concurrent scans of one QR cannot both pass
+      const nonceKey = `${chainId}:${contractAddress.toLowerCase()}:${value.tokenId}-${value.nonce}`;
       const expiresAt = currentTimestamp + PROOF_EXPIRATION_SECONDS + 60; // Keep for 60s after expiry
-      await nonceStorage.markNonceUsed(nonceKey, expiresAt);
+      const consumed = !consumeNonce || await nonceStorage.consumeNonce(nonceKey, expiresAt);
+      if (!consumed) {
+        return { valid: false, reason: "Proof already used (replay detected)", chainId };
+      }
 
       return { 
         valid: true, 
         signer: recoveredAddress,
         tokenId: value.tokenId,
-        owner: value.owner
+        owner: value.owner,
+        chainId,
+        contractAddress
       };
     } catch (error) {
       console.error("Proof verification error:", error);
-      return { valid: false, reason: "Invalid proof format" };
+      return { valid: false, reason: "Invalid proof format", chainId };
+    }
+  }
+
+  /**
+   * Describe the event a verified ticket belongs to
+   * Prefers the catalog event linked to the contract, falls back to the contract's own event info
+   * @returns {Promise<Object|null>} { id, name, venue, date } (id is null for on-chain only events)
+   */
+  async getTicketEvent(chainId, contractAddress) {
+    try {
+      const event = await eventCatalog.findEventByContract(chainId, contractAddress);
+      if (event) {
+        return { id: event.id, name: event.name, venue: event.venue, date: event.date };
+      }
+    } catch (error) {
+      console.error("Event catalog lookup error:", error.message);
+    }
+
+    const info = await this.getEventInfo(chainId, contractAddress);
+    return info ? { id: null, name: info.name, venue: info.venue, date: info.date } : null;
+  }
+
+  /**
+   * Read event details from an NFTicket contract (cached)
+   * @param {number} chainId
+   * @param {string} [contractAddress] - Event contract (defaults to the chain's configured contract)
+   * @returns {Promise<Object|null>} { name, description, date, venue } or null if unavailable
+   */
+  async getEventInfo(chainId = DEFAULT_CHAIN_ID, contractAddress = defaultContract(chainId)) {
+    const contract = this.getContract(chainId, contractAddress);
+    if (!contract) return null;
+
+    const cacheKey = `${chainId}-${contractAddress.toLowerCase()}`;
+    if (this.eventInfo.has(cacheKey)) {
+      return this.eventInfo.get(cacheKey);
+    }
+
+    try {
+      const info = await contract.getEventInfo();
+      const event = {
+        name: info.name,
+        description: info.description,
+        date: new Date(Number(info.date) * 1000).toISOString(),
+        venue: info.venue,
+      };
+      this.eventInfo.set(cacheKey, event);
+      return event;
+    } catch (error) {
+      console.error(`Event info lookup error on chain ${chainId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Everything a scanner needs to verify an event contract's ticket proofs without calling the API
+   * @param {number} chainId
+   * @param {string} [contractAddress] - Event contract (defaults to the chain's configured contract)
+   * @returns {Object|null} EIP-712 domain and types, the proof signer and the proof lifetime, or null without a contract
+   */
+  getProofVerificationConfig(chainId = DEFAULT_CHAIN_ID, contractAddress = CONTRACT_ADDRESSES[chainId]) {
+    if (!contractAddress) return null;
+
+    return {
+      domain: createDomain(chainId, ethers.getAddress(contractAddress)),
+      types: TYPES,
+      signer: wallet.address,
+      signerPublicKey: wallet.signingKey.publicKey,
+      expirationSeconds: PROOF_EXPIRATION_SECONDS,
+    };
+  }
+
+  /**
+   * Sign a JSON payload (e.g. a scanner snapshot) with the proof signer key
+   * Verify with `verifyMessage(getBytes(digest), signature)`, where digest is keccak256 of the payload's JSON
+   * @returns {Promise<{digest: string, signature: string}>}
+   */
+  async signPayload(payload) {
+    const digest = ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(payload)));
+    const signature = await wallet.signMessage(ethers.getBytes(digest));
+    return { digest, signature };
+  }
+
+  /**
+   * Read every live ticket of an NFTicket contract from its Transfer, TicketUsed, PassMinted and
+   * TicketSessionUsed logs
+   * @param {number} chainId
+   * @param {string} contractAddress - Event contract
+   * @param {number} [fromBlock] - First block to scan (the contract's deployment block)
+   * @returns {Promise<{blockNumber: number, owners: Map<string, string>, used: Set<string>,
+   *   passes: Map<string, {sessions: number[], entriesPerSession: number}>, sessionEntries: Map<string, number>}>}
+   *   Current owner per token id (burned tickets removed), the token ids used up on-chain, the sessions of
+   *   multi-session passes, and the entries made per `${tokenId}:${session}`
+   * @throws {Error} If no contract is given or the logs cannot be read
+   */
+  async getTicketHolders(chainId, contractAddress, fromBlock = 0) {
+    const contract = this.getContract(chainId, contractAddress);
+    if (!contract) {
+      throw new Error(`No NFTicket contract given for chain ${chainId}`);
+    }
+
+    const blockNumber = await contract.runner.getBlockNumber();
+    const [transfers, uses, passMints, sessionUses] = await Promise.all([
+      contract.queryFilter("Transfer", fromBlock, blockNumber),
+      contract.queryFilter("TicketUsed", fromBlock, blockNumber),
+      contract.queryFilter("PassMinted", fromBlock, blockNumber),
+      contract.queryFilter("TicketSessionUsed", fromBlock, blockNumber),
+    ]);
+
+    const owners = new Map();
+    for (const log of transfers) {
+      const tokenId = log.args.tokenId.toString();
+      if (log.args.to === ethers.ZeroAddress) {
+        owners.delete(tokenId);
+      } else {
+        owners.set(tokenId, log.args.to.toLowerCase());
+      }
+    }
+
+    // Voiding burns a ticket and clears its used flag, so only uses of live tickets count
+    const used = new Set(uses.map(log => log.args.tokenId.toString()).filter(tokenId => owners.has(tokenId)));
+
+    const passes = new Map();
+    for (const log of passMints) {
+      passes.set(log.args.tokenId.toString(), {
+        sessions: sessionsFromBitmap(log.args.sessions),
+        entriesPerSession: Number(log.args.entriesPerSession),
+      });
+    }
+
+    const sessionEntries = new Map();
+    for (const log of sessionUses) {
+      const key = `${log.args.tokenId}:${log.args.session}`;
+      sessionEntries.set(key, Math.max(sessionEntries.get(key) || 0, Number(log.args.entry)));
     }
+    return { blockNumber, owners, used, passes, sessionEntries };
   }
 
   /**
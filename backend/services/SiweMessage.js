@@ -0,0 +1,221 @@
+/**
+ * Sign-In with Ethereum (EIP-4361) messages
+ * Parses, formats and validates SIWE messages for wallet login
+ * @see https://eips.ethereum.org/EIPS/eip-4361
+ */
+
+const { ethers } = require('ethers');
+
+const SIWE_VERSION = '1';
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+// Allowed clock drift between client and server when checking timestamps
+const CLOCK_SKEW_SECONDS = 60;
+
+// Optional fields, in the order the spec lists them
+const OPTIONAL_FIELDS = {
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId',
+};
+
+/**
+ * Parse a SIWE message
+ * @param {string} message - Message as signed by the wallet
+ * @returns {Object} Fields: domain, scheme, address, statement, uri, version, chainId, nonce, issuedAt, ...
+ * @throws {Error} If the message is not a well-formed SIWE message
+ */
+function parseSiweMessage(message) {
+  if (typeof message !== 'string') {
+    throw new Error('Message must be a string');
+  }
+
+  const lines = message.split('\n');
+  const header = lines[0] || '';
+  if (!header.endsWith(HEADER_SUFFIX)) {
+    throw new Error('Missing SIWE header');
+  }
+
+  const fields = {};
+  let origin = header.slice(0, -HEADER_SUFFIX.length);
+  const schemeMatch = origin.match(/^([a-zA-Z][a-zA-Z0-9+\-.]*):\/\//);
+  if (schemeMatch) {
+    fields.scheme = schemeMatch[1];
+    origin = origin.slice(schemeMatch[0].length);
+  }
+  if (!origin || /\s/.test(origin)) {
+    throw new Error('Invalid domain');
+  }
+  fields.domain = origin;
+
+  const address = lines[1] || '';
+  if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+    throw new Error('Invalid address');
+  }
+  try {
+    fields.address = ethers.getAddress(address);
+  } catch (error) {
+    throw new Error('Invalid address checksum');
+  }
+
+  if (lines[2] !== '') {
+    throw new Error('Expected blank line after address');
+  }
+
+  // Optional statement sits between two blank lines
+  let index = 3;
+  if (lines[index] === '') {
+    index += 1;
+  } else if (lines[index] !== undefined && !lines[index].startsWith('URI: ')) {
+    fields.statement = lines[index];
+    if (lines[index + 1] !== '') {
+      throw new Error('Expected blank line after statement');
+    }
+    index += 2;
+  }
+
+  const expectTag = (tag) => {
+    const line = lines[index] || '';
+    if (!line.startsWith(`${tag}: `)) {
+      throw new Error(`Missing ${tag}`);
+    }
+    index += 1;
+    return line.slice(tag.length + 2);
+  };
+
+  fields.uri = expectTag('URI');
+  fields.version = expectTag('Version');
+  fields.chainId = Number(expectTag('Chain ID'));
+  fields.nonce = expectTag('Nonce');
+  fields.issuedAt = expectTag('Issued At');
+
+  for (const [tag, key] of Object.entries(OPTIONAL_FIELDS)) {
+    if (lines[index]?.startsWith(`${tag}: `)) {
+      fields[key] = expectTag(tag);
+    }
+  }
+
+  if (lines[index] === 'Resources:') {
+    index += 1;
+    fields.resources = [];
+    while (lines[index]?.startsWith('- ')) {
+      fields.resources.push(lines[index].slice(2));
+      index += 1;
+    }
+  }
+
+  if (index < lines.length) {
+    throw new Error(`Unexpected content: ${lines[index]}`);
+  }
+
+  if (!Number.isInteger(fields.chainId) || fields.chainId <= 0) {
+    throw new Error('Invalid Chain ID');
+  }
+  if (!/^[a-zA-Z0-9]{8,}$/.test(fields.nonce)) {
+    throw new Error('Nonce must be at least 8 alphanumeric characters');
+  }
+  for (const key of ['issuedAt', 'expirationTime', 'notBefore']) {
+    if (fields[key] !== undefined && Number.isNaN(Date.parse(fields[key]))) {
+      throw new Error(`Invalid ${key}`);
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Build the SIWE message a wallet should sign
+ * @param {Object} fields - Same shape as parseSiweMessage returns
+ * @returns {string}
+ */
+function formatSiweMessage(fields) {
+  const origin = fields.scheme ? `${fields.scheme}://${fields.domain}` : fields.domain;
+  const lines = [`${origin}${HEADER_SUFFIX}`, ethers.getAddress(fields.address), ''];
+
+  if (fields.statement) {
+    lines.push(fields.statement, '');
+  } else {
+    lines.push('');
+  }
+
+  lines.push(
+    `URI: ${fields.uri}`,
+    `Version: ${fields.version || SIWE_VERSION}`,
+    `Chain ID: ${fields.chainId}`,
+    `Nonce: ${fields.nonce}`,
+    `Issued At: ${fields.issuedAt}`
+  );
+
+  for (const [tag, key] of Object.entries(OPTIONAL_FIELDS)) {
+    if (fields[key]) lines.push(`${tag}: ${fields[key]}`);
+  }
+
+  if (fields.resources?.length) {
+    lines.push('Resources:', ...fields.resources.map(r => `- ${r}`));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Validate parsed SIWE fields against what this server accepts
+ * The signature and nonce are checked separately.
+ * @param {Object} fields - Parsed message
+ * @param {Object} options
+ * @param {string[]} options.domains - Accepted domains (host[:port])
+ * @param {number[]} options.chainIds - Accepted chain IDs
+ * @param {number} options.maxAgeSeconds - Oldest accepted Issued At
+ * @param {Date} [options.now]
+ * @returns {{valid: boolean, reason?: string}}
+ */
+function validateSiweMessage(fields, { domains, chainIds, maxAgeSeconds, now = new Date() }) {
+  const nowMs = now.getTime();
+  const skewMs = CLOCK_SKEW_SECONDS * 1000;
+
+  if (fields.version !== SIWE_VERSION) {
+    return { valid: false, reason: `Unsupported SIWE version: ${fields.version}` };
+  }
+
+  if (!domains.includes(fields.domain.toLowerCase())) {
+    return { valid: false, reason: `Domain not allowed: ${fields.domain}` };
+  }
+
+  let uri;
+  try {
+    uri = new URL(fields.uri);
+  } catch (error) {
+    return { valid: false, reason: 'Invalid URI' };
+  }
+  if (uri.host.toLowerCase() !== fields.domain.toLowerCase()) {
+    return { valid: false, reason: 'URI does not match domain' };
+  }
+
+  if (!chainIds.includes(fields.chainId)) {
+    return { valid: false, reason: `Unsupported chain: ${fields.chainId}` };
+  }
+
+  const issuedAt = Date.parse(fields.issuedAt);
+  if (issuedAt > nowMs + skewMs) {
+    return { valid: false, reason: 'Message issued in the future' };
+  }
+  if (nowMs - issuedAt > maxAgeSeconds * 1000) {
+    return { valid: false, reason: 'Message is too old' };
+  }
+
+  if (fields.expirationTime && Date.parse(fields.expirationTime) <= nowMs) {
+    return { valid: false, reason: 'Message expired' };
+  }
+
+  if (fields.notBefore && Date.parse(fields.notBefore) > nowMs + skewMs) {
+    return { valid: false, reason: 'Message not yet valid' };
+  }
+
+  return { valid: true };
+}
+
+module.exports = {
+  SIWE_VERSION,
+  parseSiweMessage,
+  formatSiweMessage,
+  validateSiweMessage,
+};
@@ -0,0 +1,316 @@
+/**
+ * Ticket Inventory Service
+ * Holds tier inventory and seats for a checkout until it is paid or expires
+ */
+
+const crypto = require('crypto');
+const { getPrisma } = require('../prisma/client');
+const eventCatalog = require('./EventCatalog');
+
+const RESERVATION_STATUS = {
+  HELD: 'held',
+  CONFIRMED: 'confirmed',
+  RELEASED: 'released',
+  REFUNDED: 'refunded',
+};
+
+// In-memory fallback for development
+const inMemoryReservations = new Map(); // Map<reservationId, reservation>
+const inMemorySeatHolds = new Map(); // Map<seatKey, reservationId>
+
+function seatKey(eventId, seat) {
+  return `${eventId}:${seat.section}:${seat.row}:${seat.seatNumber}`;
+}
+
+function serializeReservation(reservation, seats = []) {
+  return {
+    id: reservation.id,
+    eventId: reservation.eventId,
+    tierId: reservation.tierId,
+    walletAddress: reservation.walletAddress,
+    quantity: reservation.quantity,
+    unitAmount: reservation.unitAmount,
+    currency: reservation.currency,
+    status: reservation.status,
+    sessionId: reservation.sessionId || null,
+    expiresAt: reservation.expiresAt,
+    seats: seats.map(s => ({
+      section: s.section,
+      row: s.row,
+      seatNumber: s.seatNumber,
+      category: s.category || null,
+    })),
+    createdAt: reservation.createdAt,
+  };
+}
+
+/**
+ * Reserve tickets from a tier, optionally holding specific seats
+ * The tier's `sold` counter is incremented first so inventory can never be oversold;
+ * it is handed back if any of the requested seats turn out to be taken.
+ * @param {Object} params
+ * @param {string} params.eventId - Catalog event
+ * @param {string} params.tierId - Tier to draw inventory from
+ * @param {string} params.walletAddress - Buyer wallet (lowercased)
+ * @param {number} params.quantity - Number of tickets
+ * @param {number} params.unitAmount - Price per ticket in the smallest currency unit
+ * @param {string} params.currency - ISO currency code
+ * @param {Array<{section, row, seatNumber, category}>} [params.seats] - Seats to hold
+ * @param {Date} params.expiresAt - When an unpaid hold lapses
+ * @returns {Promise<{reservation?: Object, reason?: string}>}
+ */
+async function reserveTickets({ eventId, tierId, walletAddress, quantity, unitAmount, currency, seats = [], expiresAt }) {
+  const tier = await eventCatalog.adjustTierSold(tierId, quantity);
+  if (!tier) {
+    return { reason: 'Not enough tickets left in this tier' };
+  }
+
+  const prisma = getPrisma();
+  if (prisma) {
+    try {
+      const reservation = await prisma.ticketReservation.create({
+        data: {
+          eventId,
+          tierId,
+          walletAddress,
+          quantity,
+          unitAmount,
+          currency,
+          status: RESERVATION_STATUS.HELD,
+          expiresAt,
+          seats: {
+            create: seats.map(s => ({ eventId, ...s })),
+          },
+        },
+        include: { seats: true },
+      });
+      return { reservation: serializeReservation(reservation, reservation.seats) };
+    } catch (error) {
+      await eventCatalog.adjustTierSold(tierId, -quantity);
+      if (error.code === 'P2002') {
+        return { reason: 'One or more selected seats are no longer available' };
+      }
+      throw error;
+    }
+  }
+
+  if (seats.some(s => inMemorySeatHolds.has(seatKey(eventId, s)))) {
+    await eventCatalog.adjustTierSold(tierId, -quantity);
+    return { reason: 'One or more selected seats are no longer available' };
+  }
+
+  const reservation = {
+    id: crypto.randomUUID(),
+    eventId,
+    tierId,
+    walletAddress,
+    quantity,
+    unitAmount,
+    currency,
+    status: RESERVATION_STATUS.HELD,
+    sessionId: null,
+    expiresAt,
+    seats,
+    createdAt: new Date(),
+  };
+  inMemoryReservations.set(reservation.id, reservation);
+  for (const seat of seats) {
+    inMemorySeatHolds.set(seatKey(eventId, seat), reservation.id);
+  }
+
+  return { reservation: serializeReservation(reservation, seats) };
+}
+
+/**
+ * Get a reservation with its seats
+ * @returns {Promise<Object|null>} The reservation, or null if it does not exist
+ */
+async function getReservation(reservationId) {
+  const prisma = getPrisma();
+  if (prisma) {
+    const reservation = await prisma.ticketReservation.findUnique({
+      where: { id: reservationId },
+      include: { seats: true },
+    });
+    return reservation ? serializeReservation(reservation, reservation.seats) : null;
+  }
+
+  const reservation = inMemoryReservations.get(reservationId);
+  return reservation ? serializeReservation(reservation, reservation.seats) : null;
+}
+
+/**
+ * Attach the Stripe checkout session that will pay for a held reservation
+ */
+async function attachSession(reservationId, sessionId) {
+  const prisma = getPrisma();
+  if (prisma) {
+    await prisma.ticketReservation.update({
+      where: { id: reservationId },
+      data: { sessionId },
+    });
+    return;
+  }
+
+  const reservation = inMemoryReservations.get(reservationId);
+  if (reservation) reservation.sessionId = sessionId;
+}
+
+/**
+ * Mark a held reservation as paid
+ * @returns {Promise<boolean>} True if this call confirmed it, false if it was not held
+ */
+async function confirmReservation(reservationId) {
+  const prisma = getPrisma();
+  if (prisma) {
+    const result = await prisma.ticketReservation.updateMany({
+      where: { id: reservationId, status: RESERVATION_STATUS.HELD },
+      data: { status: RESERVATION_STATUS.CONFIRMED },
+    });
+    return result.count > 0;
+  }
+
+  const reservation = inMemoryReservations.get(reservationId);
+  if (!reservation || reservation.status !== RESERVATION_STATUS.HELD) return false;
+
+  reservation.status = RESERVATION_STATUS.CONFIRMED;
+  return true;
+}
+
+/**
+ * Release a held reservation, returning its inventory and seats
+ * Confirmed (paid) reservations are left untouched.
+ * @returns {Promise<boolean>} True if released, false if it was not held
+ */
+async function releaseReservation(reservationId) {
+  const prisma = getPrisma();
+  if (prisma) {
+    const result = await prisma.ticketReservation.updateMany({
+      where: { id: reservationId, status: RESERVATION_STATUS.HELD },
+      data: { status: RESERVATION_STATUS.RELEASED },
+    });
+    if (result.count === 0) return false;
+
+    const reservation = await prisma.ticketReservation.findUnique({ where: { id: reservationId } });
+    await prisma.seatHold.deleteMany({ where: { reservationId } });
+    await eventCatalog.adjustTierSold(reservation.tierId, -reservation.quantity);
+    return true;
+  }
+
+  const reservation = inMemoryReservations.get(reservationId);
+  if (!reservation || reservation.status !== RESERVATION_STATUS.HELD) return false;
+
+  reservation.status = RESERVATION_STATUS.RELEASED;
+  for (const seat of reservation.seats) {
+    inMemorySeatHolds.delete(seatKey(reservation.eventId, seat));
+  }
+  await eventCatalog.adjustTierSold(reservation.tierId, -reservation.quantity);
+  return true;
+}
+
+/**
+ * Take a released reservation's inventory and seats again for a payment that completed after its hold lapsed
+ * @returns {Promise<boolean>} True if it is confirmed again, false if it was not released or its tickets are gone
+ */
+async function reclaimReservation(reservationId) {
+  const reservation = await getReservation(reservationId);
+  if (!reservation || reservation.status !== RESERVATION_STATUS.RELEASED) return false;
+
+  const tier = await eventCatalog.adjustTierSold(reservation.tierId, reservation.quantity);
+  if (!tier) return false;
+
+  const prisma = getPrisma();
+  if (prisma) {
+    try {
+      const reclaimed = await prisma.$transaction(async (tx) => {
+        const result = await tx.ticketReservation.updateMany({
+          where: { id: reservationId, status: RESERVATION_STATUS.RELEASED },
+          data: { status: RESERVATION_STATUS.CONFIRMED },
+        });
+        if (result.count === 0) return false;
+
+        await tx.seatHold.createMany({
+          data: reservation.seats.map(s => ({ eventId: reservation.eventId, reservationId, ...s })),
+        });
+        return true;
+      });
+      if (!reclaimed) {
+        await eventCatalog.adjustTierSold(reservation.tierId, -reservation.quantity);
+      }
+      return reclaimed;
+    } catch (error) {
+      await eventCatalog.adjustTierSold(reservation.tierId, -reservation.quantity);
+      if (error.code === 'P2002') return false;
+      throw error;
+    }
+  }
+
+  const held = inMemoryReservations.get(reservationId);
+  if (held.status !== RESERVATION_STATUS.RELEASED
+    || held.seats.some(s => inMemorySeatHolds.has(seatKey(held.eventId, s)))) {
+    await eventCatalog.adjustTierSold(reservation.tierId, -reservation.quantity);
+    return false;
+  }
+
+  held.status = RESERVATION_STATUS.CONFIRMED;
+  for (const seat of held.seats) {
+    inMemorySeatHolds.set(seatKey(held.eventId, seat), reservationId);
+  }
+  return true;
+}
+
+/**
+ * Return a paid reservation's inventory and seats after a refund or dispute
+ * Stripe may deliver the reversal before checkout.session.completed, so held reservations are refunded
+ * too and a late completion mints nothing. A released reservation is only marked refunded; its hold
+ * already gave the tickets back
+ * @returns {Promise<boolean>} True if refunded, false if it already was
+ */
+async function refundReservation(reservationId) {
+  const prisma = getPrisma();
+  if (prisma) {
+    const result = await prisma.ticketReservation.updateMany({
+      where: { id: reservationId, status: { in: [RESERVATION_STATUS.HELD, RESERVATION_STATUS.CONFIRMED] } },
+      data: { status: RESERVATION_STATUS.REFUNDED },
+    });
+    if (result.count === 0) {
+      const released = await prisma.ticketReservation.updateMany({
+        where: { id: reservationId, status: RESERVATION_STATUS.RELEASED },
+        data: { status: RESERVATION_STATUS.REFUNDED },
+      });
+      return released.count > 0;
+    }
+
+    const reservation = await prisma.ticketReservation.findUnique({ where: { id: reservationId } });
+    await prisma.seatHold.deleteMany({ where: { reservationId } });
+    await eventCatalog.adjustTierSold(reservation.tierId, -reservation.quantity);
+    return true;
+  }
+
+  const reservation = inMemoryReservations.get(reservationId);
+  if (reservation?.status === RESERVATION_STATUS.RELEASED) {
+    reservation.status = RESERVATION_STATUS.REFUNDED;
+    return true;
+  }
+  if (!reservation || ![RESERVATION_STATUS.HELD, RESERVATION_STATUS.CONFIRMED].includes(reservation.status)) {
+    return false;
+  }
+
+  reservation.status = RESERVATION_STATUS.REFUNDED;
+  for (const seat of reservation.seats) {
+    inMemorySeatHolds.delete(seatKey(reservation.eventId, seat));
+  }
+  await eventCatalog.adjustTierSold(reservation.tierId, -reservation.quantity);
+  return true;
+}
+
+module.exports = {
+  RESERVATION_STATUS,
+  reserveTickets,
+  getReservation,
+  attachSession,
+  confirmReservation,
+  releaseReservation,
+  reclaimReservation,
+  refundReservation,
+};
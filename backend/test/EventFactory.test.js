@@ -0,0 +1,134 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("EventFactory", function () {
+  let implementation;
+  let factory;
+  let owner;
+  let organizer;
+  let otherOrganizer;
+  let buyer;
+  let eventDate;
+
+  function eventParams(overrides = {}) {
+    return {
+      name: "Factory Concert",
+      description: "An event created through the factory",
+      date: eventDate,
+      venue: "Factory Hall",
+      royaltyCap: 500,
+      maxPrice: ethers.parseEther("1.0"),
+      royaltyRecipient: organizer.address,
+      ...overrides
+    };
+  }
+
+  async function createEvent(signer, overrides = {}) {
+    const tx = await factory.connect(signer).createEvent(eventParams(overrides));
+    const receipt = await tx.wait();
+    const log = receipt.logs
+      .map(l => { try { return factory.interface.parseLog(l); } catch { return null; } })
+      .find(parsed => parsed && parsed.name === "EventCreated");
+    return { nfticket: await ethers.getContractAt("NFTicket", log.args.nfticket), receipt };
+  }
+
+  beforeEach(async function () {
+    [owner, organizer, otherOrganizer, buyer] = await ethers.getSigners();
+    eventDate = Math.floor(Date.now() / 1000) + 86400 * 30;
+
+    const NFTicket = await ethers.getContractFactory("NFTicket");
+    implementation = await NFTicket.deploy("NFTicket Implementation", "", 0, "", 0, 0, owner.address, ethers.ZeroAddress);
+
+    const EventFactory = await ethers.getContractFactory("EventFactory");
+    factory = await EventFactory.deploy(await implementation.getAddress());
+  });
+
+  describe("Creating Events", function () {
+    it("Should clone an initialized NFTicket owned by the organizer", async function () {
+      const { nfticket } = await createEvent(organizer);
+
+      const eventInfo = await nfticket.getEventInfo();
+      expect(eventInfo.name).to.equal("Factory Concert");
+      expect(eventInfo.venue).to.equal("Factory Hall");
+      expect(await nfticket.name()).to.equal("NFTicket");
+      expect(await nfticket.symbol()).to.equal("NFTIX");
+      expect(await nfticket.royaltyCap()).to.equal(500);
+      expect(await nfticket.royaltyRecipient()).to.equal(organizer.address);
+
+      expect(await nfticket.hasRole(await nfticket.ADMIN_ROLE(), organizer.address)).to.be.true;
+      expect(await nfticket.hasRole(await nfticket.MINTER_ROLE(), organizer.address)).to.be.true;
+      expect(await nfticket.hasRole(await nfticket.ADMIN_ROLE(), await factory.getAddress())).to.be.false;
+    });
+
+    it("Should emit EventCreated", async function () {
+      await expect(factory.connect(organizer).createEvent(eventParams()))
+        .to.emit(factory, "EventCreated")
+        .withArgs(ethers.isAddress, organizer.address, "Factory Concert", "Factory Hall", eventDate);
+    });
+
+    it("Should keep each clone's state separate", async function () {
+      const { nfticket: first } = await createEvent(organizer);
+      const { nfticket: second } = await createEvent(otherOrganizer, {
+        name: "Second Event",
+        royaltyRecipient: otherOrganizer.address
+      });
+
+      await first.connect(organizer).mintTicket(buyer.address, "ipfs://first", ethers.parseEther("0.1"));
+      expect(await first.balanceOf(buyer.address)).to.equal(1);
+      expect(await second.balanceOf(buyer.address)).to.equal(0);
+      expect((await second.getEventInfo()).name).to.equal("Second Event");
+
+      await expect(second.connect(organizer).mintTicket(buyer.address, "ipfs://second", 0))
+        .to.be.reverted;
+    });
+
+    it("Should validate event params", async function () {
+      await expect(factory.connect(organizer).createEvent(eventParams({ name: "" })))
+        .to.be.revertedWith("EventFactory: name cannot be empty");
+      await expect(factory.connect(organizer).createEvent(eventParams({ royaltyRecipient: ethers.ZeroAddress })))
+        .to.be.revertedWith("EventFactory: royalty recipient cannot be zero address");
+    });
+
+    it("Should cost far less gas than a full deployment", async function () {
+      const { receipt } = await createEvent(organizer);
+      const deployReceipt = await implementation.deploymentTransaction().wait();
+
+      expect(receipt.gasUsed * 3n).to.be.lessThan(deployReceipt.gasUsed);
+    });
+  });
+
+  describe("Initialization", function () {
+    it("Should not let a clone be initialized twice", async function () {
+      const { nfticket } = await createEvent(organizer);
+
+      await expect(nfticket.connect(buyer).initialize(
+        buyer.address, "Hijacked", "", 0, "", 0, 0, buyer.address
+      )).to.be.revertedWithCustomError(nfticket, "InvalidInitialization");
+    });
+
+    it("Should not let a constructor deployment be initialized", async function () {
+      await expect(implementation.connect(buyer).initialize(
+        buyer.address, "Hijacked", "", 0, "", 0, 0, buyer.address
+      )).to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+    });
+  });
+
+  describe("Registry", function () {
+    it("Should register events per organizer", async function () {
+      const { nfticket: first } = await createEvent(organizer);
+      const { nfticket: second } = await createEvent(otherOrganizer, { royaltyRecipient: otherOrganizer.address });
+      const { nfticket: third } = await createEvent(organizer, { name: "Encore" });
+
+      const firstAddress = await first.getAddress();
+      const thirdAddress = await third.getAddress();
+
+      expect(await factory.eventCount()).to.equal(3);
+      expect(await factory.eventAt(1)).to.equal(await second.getAddress());
+      expect(await factory.getOrganizerEvents(organizer.address)).to.deep.equal([firstAddress, thirdAddress]);
+      expect(await factory.organizerOf(thirdAddress)).to.equal(organizer.address);
+      expect(await factory.organizerOf(await implementation.getAddress())).to.equal(ethers.ZeroAddress);
+
+      await expect(factory.eventAt(3)).to.be.revertedWith("EventFactory: index out of bounds");
+    });
+  });
+});
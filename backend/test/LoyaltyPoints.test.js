@@ -9,7 +9,7 @@ describe("LoyaltyPoints", function () {
     [owner, minter, user1, user2] = await ethers.getSigners();
 
     const LoyaltyPoints = await ethers.getContractFactory("LoyaltyPoints");
-    loyaltyPoints = await LoyaltyPoints.deploy(owner.address);
+    loyaltyPoints = await LoyaltyPoints.deploy(owner.address, ethers.ZeroAddress);
     await loyaltyPoints.waitForDeployment();
 
     // Grant minter role
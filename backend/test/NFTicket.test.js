@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { packSeat } = require("../services/SeatPacking");
 
 describe("NFTicket", function () {
   let NFTicket;
@@ -30,7 +31,8 @@ describe("NFTicket", function () {
       eventVenue,
       royaltyCap,
       maxPrice,
-      royaltyRecipient.address
+      royaltyRecipient.address,
+      ethers.ZeroAddress
     );
 
     // Grant minter role
@@ -92,6 +94,73 @@ describe("NFTicket", function () {
     });
   });
 
+  describe("Batch Minting", function () {
+    const uris = ["https://example.com/token/1", "https://example.com/token/2", "https://example.com/token/3"];
+
+    it("Should mint a batch with one aggregate event", async function () {
+      await nfticket.connect(minter).mintTicket(buyer.address, "https://example.com/token/0", originalPrice);
+
+      const tx = nfticket.connect(minter).mintBatch([buyer.address, reseller.address, buyer.address], uris, originalPrice);
+      await expect(tx).to.emit(nfticket, "TicketsBatchMinted").withArgs(1, 3);
+      await expect(tx).to.not.emit(nfticket, "TicketMinted");
+
+      expect(await nfticket.ownerOf(2)).to.equal(reseller.address);
+      expect(await nfticket.balanceOf(buyer.address)).to.equal(3);
+      expect(await nfticket.tokenURI(3)).to.equal(uris[2]);
+      expect(await nfticket.originalPrice(3)).to.equal(originalPrice);
+    });
+
+    it("Should unpack seats and reserve them", async function () {
+      const seats = [
+        packSeat({ section: "Orchestra", row: "AA", seatNumber: "101", category: "Premium" }),
+        packSeat({ section: "B", row: 2, seatNumber: 7 })
+      ];
+      await nfticket.connect(minter).mintBatchWithSeats([buyer.address, buyer.address], uris.slice(0, 2), 0, seats);
+
+      const seat = await nfticket.getSeatInfo(0);
+      expect([seat.section, seat.row, seat.seatNumber, seat.category]).to.deep.equal(["Orchestra", "AA", "101", "Premium"]);
+      expect((await nfticket.getSeatInfo(1)).category).to.equal("");
+      expect(await nfticket.isSeatAvailable("B", "2", "7")).to.be.false;
+
+      await expect(
+        nfticket.connect(minter).mintTicketWithSeat(buyer.address, uris[2], 0, "B", "2", "7", "General")
+      ).to.be.revertedWith("NFTicket: seat already taken");
+    });
+
+    it("Should revert the whole batch if any seat is taken", async function () {
+      const seat = packSeat({ section: "A", row: "1", seatNumber: "1", category: "VIP" });
+
+      await expect(
+        nfticket.connect(minter).mintBatchWithSeats([buyer.address, buyer.address], uris.slice(0, 2), 0, [seat, seat])
+      ).to.be.revertedWith("NFTicket: seat already taken");
+      expect(await nfticket.balanceOf(buyer.address)).to.equal(0);
+    });
+
+    it("Should validate batch inputs", async function () {
+      await expect(nfticket.connect(minter).mintBatch([], [], 0))
+        .to.be.revertedWith("NFTicket: batch cannot be empty");
+      await expect(nfticket.connect(minter).mintBatch([buyer.address], uris, 0))
+        .to.be.revertedWith("NFTicket: array length mismatch");
+      await expect(nfticket.connect(minter).mintBatchWithSeats([buyer.address], uris.slice(0, 1), 0, [ethers.ZeroHash]))
+        .to.be.revertedWith("NFTicket: seat section cannot be empty");
+      await expect(nfticket.connect(buyer).mintBatch([buyer.address], uris.slice(0, 1), 0))
+        .to.be.reverted;
+    });
+
+    it("Should cost less gas per ticket than minting one at a time", async function () {
+      const recipients = Array(10).fill(buyer.address);
+      const batchUris = recipients.map((_, i) => `https://example.com/token/${i}`);
+
+      const batch = await (await nfticket.connect(minter).mintBatch(recipients, batchUris, 0)).wait();
+      let single = 0n;
+      for (const uri of batchUris) {
+        single += (await (await nfticket.connect(minter).mintTicket(buyer.address, uri, 0)).wait()).gasUsed;
+      }
+
+      expect(batch.gasUsed).to.be.lessThan(single);
+    });
+  });
+
   describe("Transfer with Price", function () {
     beforeEach(async function () {
       const tokenURI = "https://example.com/token/1";
@@ -105,24 +174,25 @@ describe("NFTicket", function () {
       const expectedRoyalty = (salePrice * royaltyCapBigInt) / 10000n;
       const expectedSellerAmount = salePrice - expectedRoyalty;
 
-      const initialRoyaltyBalance = await ethers.provider.getBalance(royaltyRecipient.address);
-      const initialBuyerBalance = await ethers.provider.getBalance(buyer.address);
-
       await expect(
         nfticket.connect(reseller).transferWithPrice(buyer.address, reseller.address, 0, salePrice, {
           value: salePrice
         })
       )
         .to.emit(nfticket, "TicketTransferred")
-        .withArgs(0, buyer.address, reseller.address, salePrice, expectedRoyalty);
+        .withArgs(0, buyer.address, reseller.address, salePrice, expectedRoyalty)
+        .and.to.emit(nfticket, "PaymentCredited")
+        .withArgs(royaltyRecipient.address, expectedRoyalty);
 
       expect(await nfticket.ownerOf(0)).to.equal(reseller.address);
 
-      const finalRoyaltyBalance = await ethers.provider.getBalance(royaltyRecipient.address);
-      const finalBuyerBalance = await ethers.provider.getBalance(buyer.address);
+      // Proceeds are credited for withdrawal rather than pushed
+      expect(await nfticket.pendingWithdrawals(royaltyRecipient.address)).to.equal(expectedRoyalty);
+      expect(await nfticket.pendingWithdrawals(buyer.address)).to.equal(expectedSellerAmount);
 
-      expect(finalRoyaltyBalance - initialRoyaltyBalance).to.equal(expectedRoyalty);
-      expect(finalBuyerBalance - initialBuyerBalance).to.equal(expectedSellerAmount);
+      await expect(nfticket.connect(buyer).withdraw()).to.changeEtherBalance(buyer, expectedSellerAmount);
+      await expect(nfticket.connect(royaltyRecipient).withdraw()).to.changeEtherBalance(royaltyRecipient, expectedRoyalty);
+      expect(await ethers.provider.getBalance(await nfticket.getAddress())).to.equal(0);
     });
 
     it("Should fail if sale price exceeds max price", async function () {
@@ -149,21 +219,21 @@ describe("NFTicket", function () {
     it("Should refund excess payment", async function () {
       const salePrice = ethers.parseEther("0.5");
       const excessPayment = ethers.parseEther("0.7");
-      
-      // Calculate expected spent amount
-      const initialResellerBalance = await ethers.provider.getBalance(reseller.address);
 
-      const tx = await nfticket.connect(reseller).transferWithPrice(buyer.address, reseller.address, 0, salePrice, {
+      await nfticket.connect(reseller).transferWithPrice(buyer.address, reseller.address, 0, salePrice, {
         value: excessPayment
       });
+
+      // The excess is credited back to the payer
+      expect(await nfticket.pendingWithdrawals(reseller.address)).to.equal(excessPayment - salePrice);
+
+      const initialResellerBalance = await ethers.provider.getBalance(reseller.address);
+      const tx = await nfticket.connect(reseller).withdraw();
       const receipt = await tx.wait();
       const gasUsed = receipt.gasUsed * receipt.gasPrice;
 
       const finalResellerBalance = await ethers.provider.getBalance(reseller.address);
-      const actualSpent = initialResellerBalance - finalResellerBalance;
-
-      // Should have spent only salePrice + gas, not the excess
-      expect(actualSpent).to.equal(salePrice + gasUsed);
+      expect(finalResellerBalance - initialResellerBalance).to.equal(excessPayment - salePrice - gasUsed);
     });
 
     it("Should allow free transfers (gifts)", async function () {
@@ -175,6 +245,189 @@ describe("NFTicket", function () {
     });
   });
 
+  describe("Pull Payments", function () {
+    const salePrice = ethers.parseEther("0.5");
+    let wallet;
+    let walletAddress;
+
+    beforeEach(async function () {
+      const ContractWalletMock = await ethers.getContractFactory("ContractWalletMock");
+      wallet = await ContractWalletMock.deploy(buyer.address);
+      walletAddress = await wallet.getAddress();
+    });
+
+    it("Should settle resales from a contract-wallet seller", async function () {
+      await nfticket.connect(minter).mintTicket(walletAddress, "https://example.com/token/1", originalPrice);
+      await wallet.connect(buyer).execute(
+        await nfticket.getAddress(),
+        0,
+        nfticket.interface.encodeFunctionData("approve", [reseller.address, 0])
+      );
+
+      await nfticket.connect(reseller).transferWithPrice(walletAddress, reseller.address, 0, salePrice, {
+        value: salePrice
+      });
+      expect(await nfticket.ownerOf(0)).to.equal(reseller.address);
+
+      const expectedRoyalty = (salePrice * BigInt(royaltyCap)) / 10000n;
+      const withdrawData = nfticket.interface.encodeFunctionData("withdraw");
+      await expect(wallet.connect(buyer).execute(await nfticket.getAddress(), 0, withdrawData))
+        .to.emit(nfticket, "PaymentWithdrawn")
+        .withArgs(walletAddress, salePrice - expectedRoyalty);
+      expect(await wallet.totalReceived()).to.equal(salePrice - expectedRoyalty);
+    });
+
+    it("Should settle resales to a contract-wallet royalty recipient", async function () {
+      await nfticket.setRoyaltyRecipient(walletAddress);
+      await nfticket.connect(minter).mintTicket(buyer.address, "https://example.com/token/1", originalPrice);
+
+      await nfticket.connect(buyer).transferWithPrice(buyer.address, reseller.address, 0, salePrice, {
+        value: salePrice
+      });
+
+      const expectedRoyalty = (salePrice * BigInt(royaltyCap)) / 10000n;
+      expect(await nfticket.pendingWithdrawals(walletAddress)).to.equal(expectedRoyalty);
+
+      const withdrawData = nfticket.interface.encodeFunctionData("withdraw");
+      await wallet.connect(buyer).execute(await nfticket.getAddress(), 0, withdrawData);
+      expect(await wallet.totalReceived()).to.equal(expectedRoyalty);
+      expect(await nfticket.pendingWithdrawals(walletAddress)).to.equal(0);
+    });
+
+    it("Should accumulate credits across resales", async function () {
+      await nfticket.connect(minter).mintTicket(buyer.address, "https://example.com/token/1", originalPrice);
+      await nfticket.connect(minter).mintTicket(buyer.address, "https://example.com/token/2", originalPrice);
+
+      await nfticket.connect(buyer).transferWithPrice(buyer.address, reseller.address, 0, salePrice, { value: salePrice });
+      await nfticket.connect(buyer).transferWithPrice(buyer.address, reseller.address, 1, salePrice, { value: salePrice });
+
+      const expectedRoyalty = (salePrice * BigInt(royaltyCap)) / 10000n;
+      expect(await nfticket.pendingWithdrawals(royaltyRecipient.address)).to.equal(expectedRoyalty * 2n);
+    });
+
+    it("Should reject withdrawals with nothing owed", async function () {
+      await expect(nfticket.connect(buyer).withdraw())
+        .to.be.revertedWith("NFTicket: no funds to withdraw");
+    });
+  });
+
+  describe("ERC-20 Payment Token", function () {
+    const usdc = (amount) => ethers.parseUnits(amount, 6);
+    let token;
+    let tokenAddress;
+
+    async function signPermit(signer, spender, value, deadline) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const signature = await signer.signTypedData(
+        { name: "USD Coin", version: "1", chainId, verifyingContract: tokenAddress },
+        {
+          Permit: [
+            { name: "owner", type: "address" },
+            { name: "spender", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+          ]
+        },
+        { owner: signer.address, spender, value, nonce: await token.nonces(signer.address), deadline }
+      );
+      return ethers.Signature.from(signature);
+    }
+
+    beforeEach(async function () {
+      const ERC20PermitMock = await ethers.getContractFactory("ERC20PermitMock");
+      token = await ERC20PermitMock.deploy("USD Coin", "USDC", 6);
+      tokenAddress = await token.getAddress();
+
+      await expect(nfticket.setPaymentToken(tokenAddress, usdc("100")))
+        .to.emit(nfticket, "PaymentTokenUpdated")
+        .withArgs(tokenAddress)
+        .and.to.emit(nfticket, "MaxPriceUpdated")
+        .withArgs(usdc("100"));
+      await nfticket.connect(minter).mintTicket(buyer.address, "https://example.com/token/1", usdc("50"));
+      await token.mint(reseller.address, usdc("1000"));
+    });
+
+    it("Should report the payment token's decimals", async function () {
+      expect(await nfticket.paymentToken()).to.equal(tokenAddress);
+      expect(await nfticket.paymentDecimals()).to.equal(6);
+    });
+
+    it("Should cap resales in the payment token's units", async function () {
+      expect(await nfticket.maxPrice()).to.equal(usdc("100"));
+      await nfticket.connect(buyer).approve(reseller.address, 0);
+      await token.connect(reseller).approve(await nfticket.getAddress(), usdc("101"));
+
+      await expect(nfticket.connect(reseller).transferWithPrice(buyer.address, reseller.address, 0, usdc("101")))
+        .to.be.revertedWith("NFTicket: sale price exceeds maximum allowed price");
+    });
+
+    it("Should only allow changing the payment token before minting", async function () {
+      await expect(nfticket.setPaymentToken(ethers.ZeroAddress, maxPrice))
+        .to.be.revertedWith("NFTicket: payment token cannot change after minting");
+
+      const fresh = await NFTicket.deploy(eventName, eventDescription, eventDate, eventVenue, royaltyCap, maxPrice, royaltyRecipient.address, ethers.ZeroAddress);
+      expect(await fresh.paymentDecimals()).to.equal(18);
+      await expect(fresh.connect(buyer).setPaymentToken(tokenAddress, usdc("100"))).to.be.reverted;
+    });
+
+    it("Should settle resales in the payment token", async function () {
+      const salePrice = usdc("80");
+      const expectedRoyalty = (salePrice * BigInt(royaltyCap)) / 10000n;
+      await nfticket.connect(buyer).approve(reseller.address, 0);
+      await token.connect(reseller).approve(await nfticket.getAddress(), salePrice);
+
+      await expect(nfticket.connect(reseller).transferWithPrice(buyer.address, reseller.address, 0, salePrice))
+        .to.emit(nfticket, "TicketTransferred")
+        .withArgs(0, buyer.address, reseller.address, salePrice, expectedRoyalty);
+
+      expect(await nfticket.ownerOf(0)).to.equal(reseller.address);
+      expect(await token.balanceOf(buyer.address)).to.equal(salePrice - expectedRoyalty);
+      expect(await token.balanceOf(royaltyRecipient.address)).to.equal(expectedRoyalty);
+      expect(await token.balanceOf(reseller.address)).to.equal(usdc("1000") - salePrice);
+    });
+
+    it("Should apply price caps in token units", async function () {
+      await nfticket.connect(buyer).approve(reseller.address, 0);
+      await token.connect(reseller).approve(await nfticket.getAddress(), usdc("1000"));
+
+      await expect(
+        nfticket.connect(reseller).transferWithPrice(buyer.address, reseller.address, 0, usdc("101"))
+      ).to.be.revertedWith("NFTicket: sale price exceeds maximum allowed price");
+
+      // 120% of the 50 USDC original price
+      await nfticket.setMarkupBps(12000);
+      await nfticket.setPricePolicy(1);
+      expect(await nfticket.maxResalePrice(0)).to.equal(usdc("60"));
+      await expect(
+        nfticket.connect(reseller).transferWithPrice(buyer.address, reseller.address, 0, usdc("61"))
+      ).to.be.revertedWith("NFTicket: sale price exceeds maximum allowed price");
+    });
+
+    it("Should reject native payment and missing allowance", async function () {
+      await nfticket.connect(buyer).approve(reseller.address, 0);
+
+      await expect(
+        nfticket.connect(reseller).transferWithPrice(buyer.address, reseller.address, 0, usdc("80"), { value: 1n })
+      ).to.be.revertedWith("NFTicket: native payment not accepted");
+      await expect(
+        nfticket.connect(reseller).transferWithPrice(buyer.address, reseller.address, 0, usdc("80"))
+      ).to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+    });
+
+    it("Should accept an EIP-2612 permit for the payment", async function () {
+      const salePrice = usdc("80");
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const { v, r, s } = await signPermit(reseller, await nfticket.getAddress(), salePrice, deadline);
+      await nfticket.connect(buyer).approve(reseller.address, 0);
+
+      await nfticket.connect(reseller).transferWithPermit(buyer.address, reseller.address, 0, salePrice, deadline, v, r, s);
+
+      expect(await nfticket.ownerOf(0)).to.equal(reseller.address);
+      expect(await token.balanceOf(reseller.address)).to.equal(usdc("1000") - salePrice);
+    });
+  });
+
   describe("Ticket Usage", function () {
     beforeEach(async function () {
       const tokenURI = "https://example.com/token/1";
@@ -201,6 +454,32 @@ describe("NFTicket", function () {
         .to.be.revertedWith("NFTicket: ticket has already been used");
     });
 
+    it("Should let a scanner mark a ticket as used", async function () {
+      await nfticket.grantRole(await nfticket.SCANNER_ROLE(), reseller.address);
+
+      await expect(nfticket.connect(reseller).useTicket(0))
+        .to.emit(nfticket, "TicketUsed")
+        .withArgs(0, buyer.address);
+      expect(await nfticket.ticketUsed(0)).to.be.true;
+    });
+
+    it("Should batch-use tickets and skip used or missing ones", async function () {
+      await nfticket.connect(minter).mintTicket(buyer.address, "https://example.com/token/2", originalPrice);
+      await nfticket.grantRole(await nfticket.SCANNER_ROLE(), reseller.address);
+      await nfticket.connect(buyer).useTicket(0);
+
+      const tx = nfticket.connect(reseller).useTickets([0, 1, 99]);
+      await expect(tx).to.emit(nfticket, "TicketUsed").withArgs(1, buyer.address);
+      expect(await nfticket.ticketUsed(1)).to.be.true;
+
+      // Resending the same batch is a no-op
+      await expect(nfticket.connect(reseller).useTickets([0, 1])).to.not.emit(nfticket, "TicketUsed");
+    });
+
+    it("Should restrict batch use to scanners", async function () {
+      await expect(nfticket.connect(buyer).useTickets([0])).to.be.reverted;
+    });
+
     it("Should prevent transfer of used tickets", async function () {
       await nfticket.connect(buyer).useTicket(0);
       await nfticket.connect(buyer).approve(reseller.address, 0);
@@ -211,6 +490,354 @@ describe("NFTicket", function () {
     });
   });
 
+  describe("Multi-Session Passes", function () {
+    // Three-day festival pass (sessions 0, 1 and 2) allowing one re-entry per day
+    const DAYS = 0b111;
+
+    beforeEach(async function () {
+      await nfticket.grantRole(await nfticket.SCANNER_ROLE(), reseller.address);
+      await expect(nfticket.connect(minter).mintPass(buyer.address, "https://example.com/token/pass", originalPrice, DAYS, 2))
+        .to.emit(nfticket, "PassMinted")
+        .withArgs(0, DAYS, 2);
+    });
+
+    it("Should record entries per session and report partial usage", async function () {
+      await expect(nfticket.connect(reseller).useSession(0, 1))
+        .to.emit(nfticket, "TicketSessionUsed")
+        .withArgs(0, buyer.address, 1, 1);
+      await expect(nfticket.connect(reseller).useSession(0, 1))
+        .to.emit(nfticket, "TicketSessionUsed")
+        .withArgs(0, buyer.address, 1, 2);
+
+      await expect(nfticket.connect(reseller).useSession(0, 1))
+        .to.be.revertedWith("NFTicket: no entry left for session");
+      await expect(nfticket.connect(reseller).useSession(0, 3))
+        .to.be.revertedWith("NFTicket: no entry left for session");
+
+      const info = await nfticket.getTicketInfo(0);
+      expect(info.used).to.be.false;
+      expect(info.sessions).to.equal(DAYS);
+      expect(info.sessionsUsed).to.equal(0b010);
+      expect(await nfticket.sessionEntries(0, 1)).to.equal(2);
+    });
+
+    it("Should stay transferable until every session is used up", async function () {
+      await nfticket.connect(buyer).useTicket(0);
+      await nfticket.connect(buyer).transferWithPrice(buyer.address, reseller.address, 0, 0);
+      expect(await nfticket.ownerOf(0)).to.equal(reseller.address);
+
+      for (const day of [0, 1, 1, 2]) {
+        await nfticket.connect(reseller).useSession(0, day);
+      }
+      await expect(nfticket.connect(reseller).useSession(0, 2))
+        .to.emit(nfticket, "TicketUsed")
+        .withArgs(0, reseller.address);
+
+      expect(await nfticket.ticketUsed(0)).to.be.true;
+      expect((await nfticket.getPassInfo(0)).sessionsUsed).to.equal(DAYS);
+      await expect(
+        nfticket.connect(reseller).transferWithPrice(reseller.address, buyer.address, 0, 0)
+      ).to.be.revertedWith("NFTicket: ticket has already been used");
+    });
+
+    it("Should batch-use a session and skip tickets without an entry left", async function () {
+      await nfticket.connect(minter).mintTicket(buyer.address, "https://example.com/token/2", originalPrice);
+
+      const tx = nfticket.connect(reseller).useSessionTickets([0, 1, 99], 2);
+      await expect(tx).to.emit(nfticket, "TicketSessionUsed").withArgs(0, buyer.address, 2, 1);
+      expect(await nfticket.sessionEntries(0, 2)).to.equal(1);
+      // A plain ticket only admits to session 0
+      expect(await nfticket.ticketUsed(1)).to.be.false;
+
+      await nfticket.connect(reseller).useSessionTickets([0], 2);
+      await expect(nfticket.connect(reseller).useSessionTickets([0], 2)).to.not.emit(nfticket, "TicketSessionUsed");
+    });
+
+    it("Should report a plain ticket as a single-entry pass", async function () {
+      await nfticket.connect(minter).mintTicket(buyer.address, "https://example.com/token/2", originalPrice);
+      await nfticket.connect(buyer).useTicket(1);
+
+      const pass = await nfticket.getPassInfo(1);
+      expect(pass.sessions).to.equal(1);
+      expect(pass.sessionsUsed).to.equal(1);
+      expect(pass.entriesPerSession).to.equal(1);
+      expect(await nfticket.sessionEntries(1, 0)).to.equal(1);
+    });
+
+    it("Should validate pass sessions", async function () {
+      await expect(nfticket.connect(minter).mintPass(buyer.address, "https://example.com/token/pass", originalPrice, 0, 1))
+        .to.be.revertedWith("NFTicket: pass must include a session");
+      await expect(nfticket.connect(minter).mintPass(buyer.address, "https://example.com/token/pass", originalPrice, DAYS, 0))
+        .to.be.revertedWith("NFTicket: entries per session must be greater than zero");
+      await expect(nfticket.connect(buyer).mintPass(buyer.address, "https://example.com/token/pass", originalPrice, DAYS, 1))
+        .to.be.reverted;
+    });
+  });
+
+  describe("Voiding", function () {
+    beforeEach(async function () {
+      await nfticket.connect(minter).mintTicketWithSeat(
+        buyer.address, "https://example.com/token/seat", originalPrice, "A", "1", "5", "VIP"
+      );
+    });
+
+    it("Should burn the ticket and free its seat", async function () {
+      await expect(nfticket.voidTicket(0, "refund"))
+        .to.emit(nfticket, "TicketVoided")
+        .withArgs(0, buyer.address, "refund");
+
+      await expect(nfticket.ownerOf(0)).to.be.reverted;
+      expect(await nfticket.isSeatAvailable("A", "1", "5")).to.be.true;
+      expect(await nfticket.originalPrice(0)).to.equal(0);
+
+      await expect(
+        nfticket.connect(minter).mintTicketWithSeat(buyer.address, "https://example.com/token/resold", originalPrice, "A", "1", "5", "VIP")
+      ).to.not.be.reverted;
+    });
+
+    it("Should void a used ticket", async function () {
+      await nfticket.connect(buyer).useTicket(0);
+
+      await expect(nfticket.voidTicket(0, "dispute")).to.not.be.reverted;
+      expect(await nfticket.ticketUsed(0)).to.be.false;
+    });
+
+    it("Should fail if non-admin tries to void", async function () {
+      await expect(nfticket.connect(buyer).voidTicket(0, "refund")).to.be.reverted;
+      await expect(nfticket.connect(minter).voidTicket(0, "refund")).to.be.reverted;
+    });
+
+    it("Should fail for a ticket that does not exist", async function () {
+      await expect(nfticket.voidTicket(99, "refund"))
+        .to.be.revertedWith("NFTicket: ticket does not exist");
+    });
+
+    it("Should not void a ticket held in escrow by a marketplace", async function () {
+      const marketplace = addrs[0];
+      await nfticket.setApprovedMarketplace(marketplace.address, true);
+      await nfticket.connect(buyer).approve(marketplace.address, 0);
+      await nfticket.connect(marketplace).transferFrom(buyer.address, marketplace.address, 0);
+
+      await expect(nfticket.voidTicket(0, "refund"))
+        .to.be.revertedWith("NFTicket: ticket is listed on a marketplace");
+    });
+  });
+
+  describe("Reissuing and Seat Changes", function () {
+    beforeEach(async function () {
+      await nfticket.connect(minter).mintTicketWithSeat(
+        buyer.address, "https://example.com/token/seat", originalPrice, "A", "1", "5", "General"
+      );
+      await nfticket.connect(minter).mintTicketWithSeat(
+        reseller.address, "https://example.com/token/seat", originalPrice, "B", "2", "7", "VIP"
+      );
+    });
+
+    it("Should reissue a ticket to a new wallet keeping its seat and original price", async function () {
+      const newWallet = addrs[0];
+      await expect(nfticket.reissueTicket(0, newWallet.address, "lost wallet"))
+        .to.emit(nfticket, "TicketReissued")
+        .withArgs(0, buyer.address, newWallet.address, "lost wallet");
+
+      expect(await nfticket.ownerOf(0)).to.equal(newWallet.address);
+      expect(await nfticket.originalPrice(0)).to.equal(originalPrice);
+      expect((await nfticket.getSeatInfo(0)).section).to.equal("A");
+      expect(await nfticket.isSeatAvailable("A", "1", "5")).to.be.false;
+    });
+
+    it("Should not reissue a used ticket or to the zero address", async function () {
+      await expect(nfticket.reissueTicket(0, ethers.ZeroAddress, "lost wallet"))
+        .to.be.revertedWith("NFTicket: cannot reissue to zero address");
+
+      await nfticket.connect(buyer).useTicket(0);
+      await expect(nfticket.reissueTicket(0, addrs[0].address, "lost wallet"))
+        .to.be.revertedWith("NFTicket: cannot transfer used ticket");
+    });
+
+    it("Should not reissue a ticket held in escrow by a marketplace", async function () {
+      const marketplace = addrs[1];
+      await nfticket.setApprovedMarketplace(marketplace.address, true);
+      await nfticket.connect(buyer).approve(marketplace.address, 0);
+      await nfticket.connect(marketplace).transferFrom(buyer.address, marketplace.address, 0);
+
+      await expect(nfticket.reissueTicket(0, addrs[0].address, "lost wallet"))
+        .to.be.revertedWith("NFTicket: ticket is listed on a marketplace");
+    });
+
+    it("Should move a ticket to a free seat and release the old one", async function () {
+      const upgrade = packSeat({ section: "VIP", row: "1", seatNumber: "1", category: "VIP" });
+      await expect(nfticket.changeSeat(0, upgrade, "upgrade"))
+        .to.emit(nfticket, "SeatChanged")
+        .withArgs(0, "VIP", "1", "1", "VIP", "upgrade");
+
+      const seat = await nfticket.getSeatInfo(0);
+      expect(seat.section).to.equal("VIP");
+      expect(seat.category).to.equal("VIP");
+      expect(await nfticket.isSeatAvailable("A", "1", "5")).to.be.true;
+      expect(await nfticket.isSeatAvailable("VIP", "1", "1")).to.be.false;
+
+      const taken = packSeat({ section: "B", row: "2", seatNumber: "7", category: "VIP" });
+      await expect(nfticket.changeSeat(0, taken, "upgrade"))
+        .to.be.revertedWith("NFTicket: seat already taken");
+      expect((await nfticket.getSeatInfo(0)).section).to.equal("VIP");
+    });
+
+    it("Should swap the seats of two tickets", async function () {
+      await expect(nfticket.swapSeats(0, 1, "group seating"))
+        .to.emit(nfticket, "SeatChanged")
+        .withArgs(0, "B", "2", "7", "VIP", "group seating")
+        .and.to.emit(nfticket, "SeatChanged")
+        .withArgs(1, "A", "1", "5", "General", "group seating");
+
+      expect((await nfticket.getSeatInfo(0)).seatNumber).to.equal("7");
+      expect((await nfticket.getSeatInfo(1)).seatNumber).to.equal("5");
+      expect(await nfticket.isSeatAvailable("A", "1", "5")).to.be.false;
+      expect(await nfticket.isSeatAvailable("B", "2", "7")).to.be.false;
+
+      await nfticket.connect(minter).mintTicket(buyer.address, "https://example.com/token/ga", originalPrice);
+      await expect(nfticket.swapSeats(0, 2, "group seating"))
+        .to.be.revertedWith("NFTicket: ticket has no seat");
+    });
+
+    it("Should restrict reissues and seat changes to admins", async function () {
+      const seat = packSeat({ section: "C", row: "1", seatNumber: "1" });
+      await expect(nfticket.connect(minter).reissueTicket(0, minter.address, "lost wallet")).to.be.reverted;
+      await expect(nfticket.connect(buyer).changeSeat(0, seat, "upgrade")).to.be.reverted;
+      await expect(nfticket.connect(buyer).swapSeats(0, 1, "group seating")).to.be.reverted;
+    });
+  });
+
+  describe("Royalties (ERC-2981)", function () {
+    const salePrice = ethers.parseEther("0.5");
+
+    beforeEach(async function () {
+      await nfticket.connect(minter).mintTicket(buyer.address, "https://example.com/token/1", originalPrice);
+      await nfticket.connect(minter).mintTicket(buyer.address, "https://example.com/token/2", originalPrice);
+    });
+
+    it("Should advertise ERC-2981 support", async function () {
+      expect(await nfticket.supportsInterface("0x2a55205a")).to.equal(true); // IERC2981
+      expect(await nfticket.supportsInterface("0x80ac58cd")).to.equal(true); // IERC721
+    });
+
+    it("Should report the default royalty from royaltyRecipient and royaltyCap", async function () {
+      const [receiver, amount] = await nfticket.royaltyInfo(0, salePrice);
+      expect(receiver).to.equal(royaltyRecipient.address);
+      expect(amount).to.equal((salePrice * BigInt(royaltyCap)) / 10000n);
+
+      await nfticket.setRoyaltyCap(1000);
+      expect((await nfticket.royaltyInfo(0, salePrice))[1]).to.equal(salePrice / 10n);
+    });
+
+    it("Should apply and reset a per-token override", async function () {
+      await expect(nfticket.setTokenRoyalty(1, addrs[0].address, 250))
+        .to.emit(nfticket, "TokenRoyaltySet")
+        .withArgs(1, addrs[0].address, 250);
+
+      const [receiver, amount] = await nfticket.royaltyInfo(1, salePrice);
+      expect(receiver).to.equal(addrs[0].address);
+      expect(amount).to.equal((salePrice * 250n) / 10000n);
+      expect((await nfticket.royaltyInfo(0, salePrice))[0]).to.equal(royaltyRecipient.address);
+
+      await expect(nfticket.resetTokenRoyalty(1)).to.emit(nfticket, "TokenRoyaltyReset").withArgs(1);
+      expect((await nfticket.royaltyInfo(1, salePrice))[0]).to.equal(royaltyRecipient.address);
+    });
+
+    it("Should pay the override recipient in transferWithPrice", async function () {
+      await nfticket.setTokenRoyalty(1, addrs[0].address, 1000);
+      const expectedRoyalty = salePrice / 10n;
+
+      await expect(
+        nfticket.connect(buyer).transferWithPrice(buyer.address, reseller.address, 1, salePrice, { value: salePrice })
+      )
+        .to.emit(nfticket, "TicketTransferred")
+        .withArgs(1, buyer.address, reseller.address, salePrice, expectedRoyalty);
+
+      expect(await nfticket.pendingWithdrawals(addrs[0].address)).to.equal(expectedRoyalty);
+    });
+
+    it("Should validate overrides", async function () {
+      await expect(nfticket.setTokenRoyalty(1, addrs[0].address, 2501))
+        .to.be.revertedWith("NFTicket: royalty cap cannot exceed 25%");
+      await expect(nfticket.setTokenRoyalty(1, ethers.ZeroAddress, 100))
+        .to.be.revertedWith("NFTicket: royalty recipient cannot be zero address");
+      await expect(nfticket.setTokenRoyalty(99, addrs[0].address, 100))
+        .to.be.revertedWith("NFTicket: ticket does not exist");
+      await expect(nfticket.connect(buyer).setTokenRoyalty(1, buyer.address, 100))
+        .to.be.revertedWithCustomError(nfticket, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should drop the override when a ticket is voided", async function () {
+      await nfticket.setTokenRoyalty(1, addrs[0].address, 1000);
+      await nfticket.voidTicket(1, "refund");
+      expect((await nfticket.royaltyInfo(1, salePrice))[0]).to.equal(royaltyRecipient.address);
+    });
+  });
+
+  describe("Resale Price Policy", function () {
+    const ABSOLUTE = 0;
+    const MARKUP = 1;
+    const CATEGORY = 2;
+
+    beforeEach(async function () {
+      await nfticket.connect(minter).mintTicketWithSeat(buyer.address, "https://example.com/token/0", originalPrice, "A", "1", "1", "General");
+      await nfticket.connect(minter).mintTicketWithSeat(buyer.address, "https://example.com/token/1", ethers.parseEther("0.4"), "VIP", "1", "1", "VIP");
+    });
+
+    it("Should default to the absolute max price", async function () {
+      expect(await nfticket.pricePolicy()).to.equal(ABSOLUTE);
+      expect(await nfticket.maxResalePrice(0)).to.equal(maxPrice);
+      expect(await nfticket.maxResalePrice(1)).to.equal(maxPrice);
+    });
+
+    it("Should cap resales at a markup on the original price", async function () {
+      await expect(nfticket.setMarkupBps(12000))
+        .to.emit(nfticket, "MarkupBpsUpdated")
+        .withArgs(12000);
+      await expect(nfticket.setPricePolicy(MARKUP))
+        .to.emit(nfticket, "PricePolicyUpdated")
+        .withArgs(MARKUP);
+
+      expect(await nfticket.maxResalePrice(0)).to.equal(ethers.parseEther("0.12"));
+      expect(await nfticket.maxResalePrice(1)).to.equal(ethers.parseEther("0.48"));
+
+      await nfticket.connect(buyer).approve(reseller.address, 0);
+      await expect(
+        nfticket.connect(reseller).transferWithPrice(buyer.address, reseller.address, 0, ethers.parseEther("0.13"), {
+          value: ethers.parseEther("0.13")
+        })
+      ).to.be.revertedWith("NFTicket: sale price exceeds maximum allowed price");
+      await expect(
+        nfticket.connect(reseller).transferWithPrice(buyer.address, reseller.address, 0, ethers.parseEther("0.12"), {
+          value: ethers.parseEther("0.12")
+        })
+      ).to.emit(nfticket, "TicketTransferred");
+    });
+
+    it("Should fail to set a markup below the original price", async function () {
+      await expect(nfticket.setMarkupBps(9999))
+        .to.be.revertedWith("NFTicket: markup cannot be below original price");
+    });
+
+    it("Should cap resales per seat category and fall back to max price", async function () {
+      const vipCap = ethers.parseEther("3.0");
+      await expect(nfticket.setCategoryMaxPrice("VIP", vipCap))
+        .to.emit(nfticket, "CategoryMaxPriceUpdated")
+        .withArgs("VIP", vipCap);
+      await nfticket.setPricePolicy(CATEGORY);
+
+      expect(await nfticket.categoryMaxPrice("VIP")).to.equal(vipCap);
+      expect(await nfticket.maxResalePrice(1)).to.equal(vipCap);
+      expect(await nfticket.maxResalePrice(0)).to.equal(maxPrice);
+    });
+
+    it("Should fail if non-admin tries to update the policy", async function () {
+      await expect(nfticket.connect(buyer).setPricePolicy(MARKUP)).to.be.reverted;
+      await expect(nfticket.connect(buyer).setMarkupBps(12000)).to.be.reverted;
+      await expect(nfticket.connect(buyer).setCategoryMaxPrice("VIP", 1)).to.be.reverted;
+    });
+  });
+
   describe("Restricted Transfers", function () {
     let tokenId;
 
@@ -84,6 +84,71 @@ describe('NonceStorage', function () {
     });
   });
 
+  describe('Atomic check-and-consume', function () {
+    it('should let exactly one of many parallel consumers win', async function () {
+      const expiresAt = Math.floor(Date.now() / 1000) + 300;
+
+      const results = await Promise.all(
+        Array.from({ length: 25 }, () => NonceStorage.consumeNonce('parallel-nonce', expiresAt))
+      );
+
+      expect(results.filter(Boolean)).to.have.lengthOf(1);
+      expect(await NonceStorage.isNonceUsed('parallel-nonce')).to.equal(true);
+    });
+
+    it('should accept a ticket proof only once when verified in parallel', async function () {
+      const { ethers } = require('ethers');
+      process.env.SIGNER_PRIVATE_KEY = ethers.Wallet.createRandom().privateKey;
+      delete require.cache[require.resolve('../services/SignerService')];
+      const signerService = require('../services/SignerService');
+
+      const proof = await signerService.generateTicketProof(1, '0x4444444444444444444444444444444444444444', 8453);
+      const results = await Promise.all(
+        Array.from({ length: 10 }, () => signerService.verifyTicketProof(proof.data, proof.signature))
+      );
+
+      expect(results.filter(r => r.valid)).to.have.lengthOf(1);
+      expect(results.filter(r => !r.valid).every(r => r.reason.includes('replay'))).to.equal(true);
+    });
+
+    it('should use SET NX EX when Redis is available', async function () {
+      const redis = require('redis');
+      const store = new Map();
+      const fakeClient = {
+        on: () => fakeClient,
+        connect: async () => {},
+        set: sinon.spy(async (key, value, options) => {
+          // Yield like a network round-trip so calls interleave
+          await new Promise(resolve => setImmediate(resolve));
+          if (options?.NX && store.has(key)) return null;
+          store.set(key, value);
+          return 'OK';
+        }),
+      };
+      sinon.stub(redis, 'createClient').returns(fakeClient);
+
+      process.env.NODE_ENV = 'production';
+      process.env.REDIS_URL = 'redis://fake:6379';
+      try {
+        expect(await NonceStorage.initRedis()).to.equal(true);
+
+        const expiresAt = Math.floor(Date.now() / 1000) + 120;
+        const results = await Promise.all(
+          Array.from({ length: 10 }, () => NonceStorage.consumeNonce('redis-nonce', expiresAt))
+        );
+
+        expect(results.filter(Boolean)).to.have.lengthOf(1);
+        const [key, , options] = fakeClient.set.firstCall.args;
+        expect(key).to.equal('nfticket:nonce:redis-nonce');
+        expect(options.NX).to.equal(true);
+        expect(options.EX).to.be.within(119, 120);
+      } finally {
+        process.env.NODE_ENV = 'development';
+        delete process.env.REDIS_URL;
+      }
+    });
+  });
+
   describe('Expired nonce cleanup', function () {
     it('should cleanup expired nonces', async function () {
       const expiredNonce = 'expired-nonce';
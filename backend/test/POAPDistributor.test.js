@@ -31,7 +31,8 @@ describe("POAPDistributor", function () {
       "Mock Venue",
       0,
       0,
-      owner.address
+      owner.address,
+      ethers.ZeroAddress
     );
     await nfticket.waitForDeployment();
 
@@ -42,7 +43,8 @@ describe("POAPDistributor", function () {
       eventDate,
       eventLocation,
       baseTokenURI,
-      maxSupply
+      maxSupply,
+      ethers.ZeroAddress
     );
     await poapDistributor.waitForDeployment();
 
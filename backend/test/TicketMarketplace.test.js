@@ -0,0 +1,403 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("TicketMarketplace", function () {
+  let nfticket;
+  let marketplace;
+  let nfticketAddress;
+  let marketplaceAddress;
+  let factory;
+  let owner;
+  let seller;
+  let buyer;
+  let royaltyRecipient;
+  let eventDate;
+
+  const royaltyCap = 500; // 5%
+  const maxPrice = ethers.parseEther("1.0");
+  const originalPrice = ethers.parseEther("0.1");
+  const listPrice = ethers.parseEther("0.5");
+
+  // The marketplace only accepts events created through the factory
+  async function createEvent(overrides = {}) {
+    const tx = await factory.createEvent({
+      name: "Test Concert",
+      description: "A test concert event",
+      date: eventDate,
+      venue: "Test Venue",
+      royaltyCap,
+      maxPrice,
+      royaltyRecipient: royaltyRecipient.address,
+      ...overrides
+    });
+    const receipt = await tx.wait();
+    const log = receipt.logs
+      .map(l => { try { return factory.interface.parseLog(l); } catch { return null; } })
+      .find(parsed => parsed && parsed.name === "EventCreated");
+    return ethers.getContractAt("NFTicket", log.args.nfticket);
+  }
+
+  beforeEach(async function () {
+    [owner, seller, buyer, royaltyRecipient] = await ethers.getSigners();
+    eventDate = (await time.latest()) + 86400;
+
+    const NFTicket = await ethers.getContractFactory("NFTicket");
+    const implementation = await NFTicket.deploy("NFTicket Implementation", "", 0, "", 0, 0, owner.address, ethers.ZeroAddress);
+    const EventFactory = await ethers.getContractFactory("EventFactory");
+    factory = await EventFactory.deploy(await implementation.getAddress());
+
+    nfticket = await createEvent();
+    nfticketAddress = await nfticket.getAddress();
+
+    const TicketMarketplace = await ethers.getContractFactory("TicketMarketplace");
+    marketplace = await TicketMarketplace.deploy(await factory.getAddress());
+    marketplaceAddress = await marketplace.getAddress();
+
+    await nfticket.setApprovedMarketplace(marketplaceAddress, true);
+    await nfticket.mintTicket(seller.address, "https://example.com/token/0", originalPrice);
+    await nfticket.connect(seller).setApprovalForAll(marketplaceAddress, true);
+  });
+
+  describe("Listings", function () {
+    it("Should escrow a listed ticket until the event date", async function () {
+      await expect(marketplace.connect(seller).createListing(nfticketAddress, 0, listPrice))
+        .to.emit(marketplace, "ListingCreated")
+        .withArgs(1, nfticketAddress, 0, seller.address, listPrice, eventDate);
+
+      expect(await nfticket.ownerOf(0)).to.equal(marketplaceAddress);
+      expect(await marketplace.activeListingOf(nfticketAddress, 0)).to.equal(1);
+    });
+
+    it("Should reject listings above the event's max price", async function () {
+      await expect(
+        marketplace.connect(seller).createListing(nfticketAddress, 0, ethers.parseEther("1.5"))
+      ).to.be.revertedWith("TicketMarketplace: price exceeds maximum allowed price");
+    });
+
+    it("Should apply the ticket's markup cap", async function () {
+      await nfticket.setMarkupBps(15000);
+      await nfticket.setPricePolicy(1); // Markup
+
+      await expect(
+        marketplace.connect(seller).createListing(nfticketAddress, 0, ethers.parseEther("0.16"))
+      ).to.be.revertedWith("TicketMarketplace: price exceeds maximum allowed price");
+      await expect(marketplace.connect(seller).createListing(nfticketAddress, 0, ethers.parseEther("0.15")))
+        .to.emit(marketplace, "ListingCreated");
+    });
+
+    it("Should reject listings for events that have not approved the marketplace", async function () {
+      await nfticket.setApprovedMarketplace(marketplaceAddress, false);
+
+      await expect(
+        marketplace.connect(seller).createListing(nfticketAddress, 0, listPrice)
+      ).to.be.revertedWith("TicketMarketplace: marketplace not approved by event");
+    });
+
+    it("Should reject events that were not created through the factory", async function () {
+      const NFTicket = await ethers.getContractFactory("NFTicket");
+      const standalone = await NFTicket.deploy(
+        "Standalone Concert", "", eventDate, "Test Venue", royaltyCap, maxPrice, royaltyRecipient.address, ethers.ZeroAddress
+      );
+      await standalone.setApprovedMarketplace(marketplaceAddress, true);
+      await standalone.mintTicket(seller.address, "https://example.com/token/0", originalPrice);
+      await standalone.connect(seller).setApprovalForAll(marketplaceAddress, true);
+
+      await expect(
+        marketplace.connect(seller).createListing(await standalone.getAddress(), 0, listPrice)
+      ).to.be.revertedWith("TicketMarketplace: event not created by the factory");
+    });
+
+    it("Should return the ticket when the seller cancels", async function () {
+      await marketplace.connect(seller).createListing(nfticketAddress, 0, listPrice);
+
+      await expect(marketplace.connect(buyer).cancelListing(1))
+        .to.be.revertedWith("TicketMarketplace: caller is not the seller");
+      await expect(marketplace.connect(seller).cancelListing(1))
+        .to.emit(marketplace, "ListingCancelled")
+        .withArgs(1);
+
+      expect(await nfticket.ownerOf(0)).to.equal(seller.address);
+      expect(await marketplace.activeListingOf(nfticketAddress, 0)).to.equal(0);
+    });
+  });
+
+  describe("Buying", function () {
+    beforeEach(async function () {
+      await marketplace.connect(seller).createListing(nfticketAddress, 0, listPrice);
+    });
+
+    it("Should credit the seller and royalty and deliver the ticket", async function () {
+      const expectedRoyalty = (listPrice * BigInt(royaltyCap)) / 10000n;
+
+      await expect(marketplace.connect(buyer).buy(1, { value: listPrice }))
+        .to.emit(marketplace, "TicketSold")
+        .withArgs(nfticketAddress, 0, 1, 0, seller.address, buyer.address, listPrice, expectedRoyalty);
+
+      expect(await nfticket.ownerOf(0)).to.equal(buyer.address);
+      expect(await marketplace.pendingWithdrawals(seller.address)).to.equal(listPrice - expectedRoyalty);
+      expect(await marketplace.pendingWithdrawals(royaltyRecipient.address)).to.equal(expectedRoyalty);
+
+      await expect(marketplace.connect(seller).withdraw())
+        .to.emit(marketplace, "PaymentWithdrawn")
+        .withArgs(seller.address, listPrice - expectedRoyalty);
+      await expect(marketplace.connect(royaltyRecipient).withdraw())
+        .to.changeEtherBalance(royaltyRecipient, expectedRoyalty);
+      expect(await ethers.provider.getBalance(marketplaceAddress)).to.equal(0);
+    });
+
+    it("Should pay per-token royalty overrides", async function () {
+      await nfticket.setTokenRoyalty(0, owner.address, 1000);
+
+      await marketplace.connect(buyer).buy(1, { value: listPrice });
+
+      expect(await marketplace.pendingWithdrawals(owner.address)).to.equal(listPrice / 10n);
+    });
+
+    it("Should credit overpayment and reject underpayment", async function () {
+      await expect(marketplace.connect(buyer).buy(1, { value: listPrice - 1n }))
+        .to.be.revertedWith("TicketMarketplace: insufficient payment");
+
+      const overpayment = ethers.parseEther("0.2");
+      await marketplace.connect(buyer).buy(1, { value: listPrice + overpayment });
+
+      expect(await marketplace.pendingWithdrawals(buyer.address)).to.equal(overpayment);
+      await expect(marketplace.connect(buyer).withdraw()).to.changeEtherBalance(buyer, overpayment);
+    });
+
+    it("Should settle sales to a contract-wallet seller", async function () {
+      const ContractWalletMock = await ethers.getContractFactory("ContractWalletMock");
+      const wallet = await ContractWalletMock.deploy(seller.address);
+      const walletAddress = await wallet.getAddress();
+
+      await nfticket.mintTicket(walletAddress, "https://example.com/token/1", originalPrice);
+      await wallet.connect(seller).execute(
+        nfticketAddress,
+        0,
+        nfticket.interface.encodeFunctionData("setApprovalForAll", [marketplaceAddress, true])
+      );
+      await wallet.connect(seller).execute(
+        marketplaceAddress,
+        0,
+        marketplace.interface.encodeFunctionData("createListing", [nfticketAddress, 1, listPrice])
+      );
+
+      await marketplace.connect(buyer).buy(2, { value: listPrice });
+      expect(await nfticket.ownerOf(1)).to.equal(buyer.address);
+
+      const expectedRoyalty = (listPrice * BigInt(royaltyCap)) / 10000n;
+      await wallet.connect(seller).execute(marketplaceAddress, 0, marketplace.interface.encodeFunctionData("withdraw"));
+      expect(await wallet.totalReceived()).to.equal(listPrice - expectedRoyalty);
+    });
+
+    it("Should reject withdrawals with nothing owed", async function () {
+      await expect(marketplace.connect(seller).withdraw())
+        .to.be.revertedWith("TicketMarketplace: no funds to withdraw");
+    });
+
+    it("Should enforce a max price lowered after listing", async function () {
+      await nfticket.setMaxPrice(ethers.parseEther("0.2"));
+
+      await expect(marketplace.connect(buyer).buy(1, { value: listPrice }))
+        .to.be.revertedWith("TicketMarketplace: price exceeds maximum allowed price");
+    });
+
+    it("Should expire listings at the event date", async function () {
+      const snapshot = await takeSnapshot();
+      try {
+        await time.increaseTo(eventDate);
+
+        await expect(marketplace.connect(buyer).buy(1, { value: listPrice }))
+          .to.be.revertedWith("TicketMarketplace: listing has expired");
+
+        // Anyone can return an expired listing to its seller
+        await marketplace.connect(buyer).cancelListing(1);
+        expect(await nfticket.ownerOf(0)).to.equal(seller.address);
+      } finally {
+        await snapshot.restore();
+      }
+    });
+  });
+
+  describe("Offers", function () {
+    const offerAmount = ethers.parseEther("0.4");
+
+    it("Should escrow an offer and credit it back on cancel", async function () {
+      await expect(marketplace.connect(buyer).makeOffer(nfticketAddress, 0, { value: offerAmount }))
+        .to.emit(marketplace, "OfferCreated")
+        .withArgs(1, nfticketAddress, 0, buyer.address, offerAmount, eventDate);
+      expect(await ethers.provider.getBalance(marketplaceAddress)).to.equal(offerAmount);
+
+      await expect(marketplace.connect(seller).cancelOffer(1))
+        .to.be.revertedWith("TicketMarketplace: caller is not the buyer");
+      await expect(marketplace.connect(buyer).cancelOffer(1))
+        .to.emit(marketplace, "PaymentCredited")
+        .withArgs(buyer.address, offerAmount);
+      await marketplace.connect(buyer).withdraw();
+      expect(await ethers.provider.getBalance(marketplaceAddress)).to.equal(0);
+    });
+
+    it("Should reject offers above the event's max price", async function () {
+      await expect(
+        marketplace.connect(buyer).makeOffer(nfticketAddress, 0, { value: ethers.parseEther("1.5") })
+      ).to.be.revertedWith("TicketMarketplace: offer exceeds maximum allowed price");
+    });
+
+    it("Should let the owner accept an offer on an unlisted ticket", async function () {
+      const expectedRoyalty = (offerAmount * BigInt(royaltyCap)) / 10000n;
+      await marketplace.connect(buyer).makeOffer(nfticketAddress, 0, { value: offerAmount });
+
+      await expect(marketplace.connect(buyer).acceptOffer(1))
+        .to.be.revertedWith("TicketMarketplace: caller is not the ticket owner");
+      await expect(marketplace.connect(seller).acceptOffer(1))
+        .to.emit(marketplace, "TicketSold")
+        .withArgs(nfticketAddress, 0, 0, 1, seller.address, buyer.address, offerAmount, expectedRoyalty);
+
+      expect(await nfticket.ownerOf(0)).to.equal(buyer.address);
+    });
+
+    it("Should close the listing when an offer on a listed ticket is accepted", async function () {
+      await marketplace.connect(seller).createListing(nfticketAddress, 0, listPrice);
+      await marketplace.connect(buyer).makeOffer(nfticketAddress, 0, { value: offerAmount });
+
+      await marketplace.connect(seller).acceptOffer(1);
+
+      expect(await nfticket.ownerOf(0)).to.equal(buyer.address);
+      expect((await marketplace.listings(1)).active).to.be.false;
+      await expect(marketplace.connect(buyer).buy(1, { value: listPrice }))
+        .to.be.revertedWith("TicketMarketplace: listing is not active");
+    });
+  });
+
+  describe("ERC-20 Settlement", function () {
+    const usdc = (amount) => ethers.parseUnits(amount, 6);
+    let token;
+    let tokenAddress;
+    let usdcTicket;
+    let usdcTicketAddress;
+
+    beforeEach(async function () {
+      const ERC20PermitMock = await ethers.getContractFactory("ERC20PermitMock");
+      token = await ERC20PermitMock.deploy("USD Coin", "USDC", 6);
+      tokenAddress = await token.getAddress();
+      await token.mint(buyer.address, usdc("1000"));
+
+      usdcTicket = await createEvent({ name: "USDC Concert", description: "Priced in USDC", maxPrice: usdc("100") });
+      usdcTicketAddress = await usdcTicket.getAddress();
+
+      await usdcTicket.setPaymentToken(tokenAddress, usdc("100"));
+      await usdcTicket.setApprovedMarketplace(marketplaceAddress, true);
+      await usdcTicket.mintTicket(seller.address, "https://example.com/token/0", usdc("50"));
+      await usdcTicket.connect(seller).setApprovalForAll(marketplaceAddress, true);
+    });
+
+    it("Should pull the price from the buyer and pay the seller and royalty in tokens", async function () {
+      const price = usdc("80");
+      const expectedRoyalty = (price * BigInt(royaltyCap)) / 10000n;
+      await marketplace.connect(seller).createListing(usdcTicketAddress, 0, price);
+      await token.connect(buyer).approve(marketplaceAddress, price);
+
+      await expect(marketplace.connect(buyer).buy(1, { value: 1n }))
+        .to.be.revertedWith("TicketMarketplace: native payment not accepted");
+      await expect(marketplace.connect(buyer).buy(1))
+        .to.emit(marketplace, "TicketSold")
+        .withArgs(usdcTicketAddress, 0, 1, 0, seller.address, buyer.address, price, expectedRoyalty);
+
+      expect(await usdcTicket.ownerOf(0)).to.equal(buyer.address);
+      expect(await token.balanceOf(seller.address)).to.equal(price - expectedRoyalty);
+      expect(await token.balanceOf(royaltyRecipient.address)).to.equal(expectedRoyalty);
+      expect(await token.balanceOf(marketplaceAddress)).to.equal(0);
+    });
+
+    it("Should accept a permit when buying", async function () {
+      const price = usdc("80");
+      await marketplace.connect(seller).createListing(usdcTicketAddress, 0, price);
+
+      const { chainId } = await ethers.provider.getNetwork();
+      const deadline = (await time.latest()) + 3600;
+      const signature = await buyer.signTypedData(
+        { name: "USD Coin", version: "1", chainId, verifyingContract: tokenAddress },
+        {
+          Permit: [
+            { name: "owner", type: "address" },
+            { name: "spender", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+          ]
+        },
+        { owner: buyer.address, spender: marketplaceAddress, value: price, nonce: 0, deadline }
+      );
+      const { v, r, s } = ethers.Signature.from(signature);
+
+      await marketplace.connect(buyer).buyWithPermit(1, deadline, v, r, s);
+      expect(await usdcTicket.ownerOf(0)).to.equal(buyer.address);
+    });
+
+    it("Should escrow token offers and return them on cancel", async function () {
+      const amount = usdc("70");
+      await token.connect(buyer).approve(marketplaceAddress, amount * 2n);
+
+      await expect(marketplace.connect(buyer).makeOffer(usdcTicketAddress, 0, { value: amount }))
+        .to.be.revertedWith("TicketMarketplace: event settles in an ERC-20");
+      await expect(marketplace.connect(buyer).makeTokenOffer(nfticketAddress, 0, amount))
+        .to.be.revertedWith("TicketMarketplace: event does not settle in an ERC-20");
+      await expect(marketplace.connect(buyer).makeTokenOffer(usdcTicketAddress, 0, usdc("101")))
+        .to.be.revertedWith("TicketMarketplace: offer exceeds maximum allowed price");
+
+      await marketplace.connect(buyer).makeTokenOffer(usdcTicketAddress, 0, amount);
+      expect(await token.balanceOf(marketplaceAddress)).to.equal(amount);
+
+      await marketplace.connect(buyer).cancelOffer(1);
+      expect(await token.balanceOf(buyer.address)).to.equal(usdc("1000"));
+      expect(await marketplace.pendingWithdrawals(buyer.address)).to.equal(0);
+    });
+
+    it("Should record the currency of each listing and offer", async function () {
+      const amount = usdc("70");
+      await token.connect(buyer).approve(marketplaceAddress, amount);
+      await marketplace.connect(seller).createListing(usdcTicketAddress, 0, usdc("80"));
+      await marketplace.connect(buyer).makeTokenOffer(usdcTicketAddress, 0, amount);
+
+      expect((await marketplace.listings(1)).paymentToken).to.equal(tokenAddress);
+      expect((await marketplace.offers(1)).paymentToken).to.equal(tokenAddress);
+    });
+
+    it("Should not let a fake event switch currencies to drain token escrow", async function () {
+      // Another buyer's USDC offer sits in escrow
+      const escrowed = usdc("70");
+      await token.connect(buyer).approve(marketplaceAddress, escrowed);
+      await marketplace.connect(buyer).makeTokenOffer(usdcTicketAddress, 0, escrowed);
+
+      // The fake event reports the native coin for a cheap offer, then switches to USDC before cancelling
+      const MaliciousNFTicketMock = await ethers.getContractFactory("MaliciousNFTicketMock");
+      const fake = await MaliciousNFTicketMock.deploy(eventDate);
+      const attacker = owner;
+
+      await expect(
+        marketplace.connect(attacker).makeOffer(await fake.getAddress(), 0, { value: escrowed })
+      ).to.be.revertedWith("TicketMarketplace: event not created by the factory");
+      await fake.setPaymentToken(tokenAddress);
+      await expect(
+        marketplace.connect(attacker).makeTokenOffer(await fake.getAddress(), 0, escrowed)
+      ).to.be.revertedWith("TicketMarketplace: event not created by the factory");
+
+      expect(await token.balanceOf(marketplaceAddress)).to.equal(escrowed);
+      expect(await token.balanceOf(attacker.address)).to.equal(0);
+    });
+
+    it("Should pay accepted token offers from escrow", async function () {
+      const amount = usdc("70");
+      const expectedRoyalty = (amount * BigInt(royaltyCap)) / 10000n;
+      await token.connect(buyer).approve(marketplaceAddress, amount);
+      await marketplace.connect(buyer).makeTokenOffer(usdcTicketAddress, 0, amount);
+
+      await marketplace.connect(seller).acceptOffer(1);
+
+      expect(await usdcTicket.ownerOf(0)).to.equal(buyer.address);
+      expect(await token.balanceOf(seller.address)).to.equal(amount - expectedRoyalty);
+      expect(await token.balanceOf(royaltyRecipient.address)).to.equal(expectedRoyalty);
+      expect(await token.balanceOf(marketplaceAddress)).to.equal(0);
+    });
+  });
+});
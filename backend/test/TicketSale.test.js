@@ -0,0 +1,203 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { buildAllowlist } = require("../services/MerkleAllowlist");
+
+describe("TicketSale", function () {
+  let nfticket;
+  let sale;
+  let saleAddress;
+  let owner;
+  let buyer;
+  let other;
+  let royaltyRecipient;
+  let now;
+
+  const price = ethers.parseEther("0.1");
+
+  function tierConfig(overrides = {}) {
+    return {
+      name: "General Admission",
+      uri: "https://example.com/tiers/ga",
+      price,
+      supply: 5,
+      maxPerWallet: 2,
+      presaleStart: 0,
+      saleStart: now,
+      saleEnd: now + 86400,
+      merkleRoot: ethers.ZeroHash,
+      ...overrides
+    };
+  }
+
+  beforeEach(async function () {
+    [owner, buyer, other, royaltyRecipient] = await ethers.getSigners();
+    now = await time.latest();
+
+    const NFTicket = await ethers.getContractFactory("NFTicket");
+    nfticket = await NFTicket.deploy(
+      "Test Concert",
+      "A test concert event",
+      now + 7 * 86400,
+      "Test Venue",
+      500,
+      ethers.parseEther("1.0"),
+      royaltyRecipient.address,
+      ethers.ZeroAddress
+    );
+
+    const TicketSale = await ethers.getContractFactory("TicketSale");
+    sale = await TicketSale.deploy(await nfticket.getAddress());
+    saleAddress = await sale.getAddress();
+    await nfticket.grantRole(await nfticket.MINTER_ROLE(), saleAddress);
+  });
+
+  describe("Tiers", function () {
+    it("Should publish tiers mirroring the backend tier fields", async function () {
+      await expect(sale.createTier(tierConfig()))
+        .to.emit(sale, "TierCreated")
+        .withArgs(0, "General Admission", price, 5);
+
+      const [config, sold] = await sale.getTier(0);
+      expect(config.name).to.equal("General Admission");
+      expect(config.price).to.equal(price);
+      expect(config.supply).to.equal(5);
+      expect(sold).to.equal(0);
+      expect(await sale.tierCount()).to.equal(1);
+    });
+
+    it("Should restrict tier management to event admins", async function () {
+      await expect(sale.connect(buyer).createTier(tierConfig()))
+        .to.be.revertedWith("TicketSale: caller is not an event admin");
+    });
+
+    it("Should validate sale windows", async function () {
+      await expect(sale.createTier(tierConfig({ saleEnd: now })))
+        .to.be.revertedWith("TicketSale: sale must end after it starts");
+      await expect(sale.createTier(tierConfig({ merkleRoot: ethers.id("root"), presaleStart: now + 10 })))
+        .to.be.revertedWith("TicketSale: presale must start before the public sale");
+    });
+
+    it("Should not lower supply below tickets sold", async function () {
+      await sale.createTier(tierConfig());
+      await sale.connect(buyer).purchase(0, 2, [], { value: price * 2n });
+
+      await expect(sale.updateTier(0, tierConfig({ supply: 1 })))
+        .to.be.revertedWith("TicketSale: supply below tickets sold");
+      await expect(sale.updateTier(0, tierConfig({ supply: 10, price: price * 2n })))
+        .to.emit(sale, "TierUpdated")
+        .withArgs(0, "General Admission", price * 2n, 10);
+    });
+  });
+
+  describe("Purchasing", function () {
+    beforeEach(async function () {
+      await sale.createTier(tierConfig());
+    });
+
+    it("Should mint tickets and credit proceeds to the royalty recipient", async function () {
+      await expect(sale.connect(buyer).purchase(0, 2, [], { value: price * 2n }))
+        .to.emit(sale, "TicketsPurchased")
+        .withArgs(0, buyer.address, 2, price * 2n, 0);
+
+      expect(await nfticket.balanceOf(buyer.address)).to.equal(2);
+      expect(await nfticket.originalPrice(1)).to.equal(price);
+      expect(await nfticket.tokenURI(0)).to.equal("https://example.com/tiers/ga");
+      expect((await sale.getTier(0)).sold).to.equal(2);
+
+      await expect(sale.connect(royaltyRecipient).withdraw())
+        .to.changeEtherBalance(royaltyRecipient, price * 2n);
+    });
+
+    it("Should credit overpayment back and reject underpayment", async function () {
+      await expect(sale.connect(buyer).purchase(0, 1, [], { value: price - 1n }))
+        .to.be.revertedWith("TicketSale: insufficient payment");
+
+      await sale.connect(buyer).purchase(0, 1, [], { value: price + 5n });
+      expect(await sale.pendingWithdrawals(buyer.address)).to.equal(5n);
+    });
+
+    it("Should enforce the per-wallet cap and tier supply", async function () {
+      await sale.connect(buyer).purchase(0, 2, [], { value: price * 2n });
+      await expect(sale.connect(buyer).purchase(0, 1, [], { value: price }))
+        .to.be.revertedWith("TicketSale: wallet purchase cap exceeded");
+
+      await sale.connect(other).purchase(0, 2, [], { value: price * 2n });
+      await expect(sale.connect(owner).purchase(0, 2, [], { value: price * 2n }))
+        .to.be.revertedWith("TicketSale: not enough tickets left");
+    });
+
+    it("Should only sell inside the sale window", async function () {
+      await sale.createTier(tierConfig({ saleStart: now + 3600, saleEnd: now + 7200 }));
+      await expect(sale.connect(buyer).purchase(1, 1, [], { value: price }))
+        .to.be.revertedWith("TicketSale: sale has not started");
+
+      const snapshot = await takeSnapshot();
+      try {
+        await time.increaseTo(now + 7200);
+        await expect(sale.connect(buyer).purchase(1, 1, [], { value: price }))
+          .to.be.revertedWith("TicketSale: sale has ended");
+      } finally {
+        await snapshot.restore();
+      }
+    });
+  });
+
+  describe("Presale Allowlist", function () {
+    let allowlist;
+
+    beforeEach(async function () {
+      allowlist = buildAllowlist([buyer.address, owner.address, royaltyRecipient.address]);
+      await sale.createTier(tierConfig({
+        presaleStart: now,
+        saleStart: now + 3600,
+        merkleRoot: allowlist.root
+      }));
+    });
+
+    it("Should let allowlisted wallets buy during the presale", async function () {
+      const proof = allowlist.getProof(buyer.address);
+      expect(await sale.isAllowlisted(0, buyer.address, proof)).to.be.true;
+
+      await sale.connect(buyer).purchase(0, 1, proof, { value: price });
+      expect(await nfticket.balanceOf(buyer.address)).to.equal(1);
+    });
+
+    it("Should reject wallets without a valid proof until the public sale", async function () {
+      const proof = allowlist.getProof(buyer.address);
+      expect(allowlist.getProof(other.address)).to.be.null;
+
+      await expect(sale.connect(other).purchase(0, 1, proof, { value: price }))
+        .to.be.revertedWith("TicketSale: wallet not on presale allowlist");
+
+      const snapshot = await takeSnapshot();
+      try {
+        await time.increaseTo(now + 3600);
+        await sale.connect(other).purchase(0, 1, [], { value: price });
+        expect(await nfticket.balanceOf(other.address)).to.equal(1);
+      } finally {
+        await snapshot.restore();
+      }
+    });
+  });
+
+  describe("ERC-20 Sales", function () {
+    it("Should pull the price in the event's payment token", async function () {
+      const ERC20PermitMock = await ethers.getContractFactory("ERC20PermitMock");
+      const token = await ERC20PermitMock.deploy("USD Coin", "USDC", 6);
+      await nfticket.setPaymentToken(await token.getAddress(), ethers.parseUnits("100", 6));
+
+      const usdcPrice = ethers.parseUnits("25", 6);
+      await sale.createTier(tierConfig({ price: usdcPrice }));
+      await token.mint(buyer.address, usdcPrice * 2n);
+      await token.connect(buyer).approve(saleAddress, usdcPrice * 2n);
+
+      await expect(sale.connect(buyer).purchase(0, 2, [], { value: 1n }))
+        .to.be.revertedWith("TicketSale: native payment not accepted");
+      await sale.connect(buyer).purchase(0, 2, []);
+
+      expect(await nfticket.balanceOf(buyer.address)).to.equal(2);
+      expect(await token.balanceOf(royaltyRecipient.address)).to.equal(usdcPrice * 2n);
+    });
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * API Key Tests
+ * Tests for organizer API key management and scoped API key auth (in-memory mode)
+ * @author NFTicket Protocol
+ */
+
+const { expect } = require('chai');
+const express = require('express');
+const request = require('supertest');
+const { ethers } = require('ethers');
+const { tokenFor } = require('./helpers');
+
+const ORGANIZER = '0x1111111111111111111111111111111111111111';
+const OTHER_ORGANIZER = '0x2222222222222222222222222222222222222222';
+const FAN = '0x4444444444444444444444444444444444444444';
+
+describe('API Keys', function () {
+  let app;
+
+  beforeEach(function () {
+    delete process.env.DATABASE_URL;
+    delete process.env.JWT_SECRET;
+    // The events router checks contract links on-chain through the SignerService
+    process.env.SIGNER_PRIVATE_KEY ||= ethers.Wallet.createRandom().privateKey;
+    for (const mod of [
+      '../api/routes/apiKeys',
+      '../api/routes/events',
+      '../api/routes/loyalty',
+      '../api/middleware/apiKeyAuth',
+      '../services/ApiKeyService',
+      '../services/EventCatalog',
+    ]) {
+      delete require.cache[require.resolve(mod)];
+    }
+
+    app = express();
+    app.use(express.json());
+    app.use('/api-keys', require('../api/routes/apiKeys'));
+    app.use('/events', require('../api/routes/events'));
+    app.use('/loyalty', require('../api/routes/loyalty'));
+  });
+
+  async function createKey(permissions, owner = ORGANIZER) {
+    const response = await request(app)
+      .post('/api-keys')
+      .set('Authorization', tokenFor(owner))
+      .send({ name: 'Box office', permissions });
+    expect(response.status).to.equal(201);
+    return response.body;
+  }
+
+  describe('Key management', function () {
+    it('should show the secret once and only list the prefix', async function () {
+      const { apiKey, key } = await createKey(['events:write']);
+
+      expect(key).to.match(/^nftk_/);
+      expect(key).to.include(apiKey.prefix);
+
+      const list = await request(app).get('/api-keys').set('Authorization', tokenFor(ORGANIZER));
+      expect(list.body.count).to.equal(1);
+      expect(JSON.stringify(list.body)).to.not.include(key);
+      expect(list.body.keys[0]).to.not.have.property('keyHash');
+    });
+
+    it('should reject unknown scopes', async function () {
+      const response = await request(app)
+        .post('/api-keys')
+        .set('Authorization', tokenFor(ORGANIZER))
+        .send({ name: 'Bad', permissions: ['admin:everything'] });
+      expect(response.status).to.equal(400);
+    });
+
+    it('should not let API keys manage API keys', async function () {
+      const { key } = await createKey(['events:write']);
+
+      const response = await request(app).get('/api-keys').set('Authorization', `ApiKey ${key}`);
+      expect(response.status).to.equal(401);
+    });
+
+    it('should only let the owner revoke a key', async function () {
+      const { apiKey } = await createKey(['events:write']);
+
+      const other = await request(app)
+        .delete(`/api-keys/${apiKey.id}`)
+        .set('Authorization', tokenFor(OTHER_ORGANIZER));
+      expect(other.status).to.equal(404);
+
+      const revoked = await request(app)
+        .delete(`/api-keys/${apiKey.id}`)
+        .set('Authorization', tokenFor(ORGANIZER));
+      expect(revoked.status).to.equal(200);
+      expect(revoked.body.apiKey.revokedAt).to.be.a('string');
+    });
+
+    it("should not let a wallet manage another organizer's keys", async function () {
+      await createKey(['events:write']);
+
+      const response = await request(app)
+        .get('/api-keys')
+        .query({ organizerId: ORGANIZER })
+        .set('Authorization', tokenFor(OTHER_ORGANIZER));
+      expect(response.status).to.equal(403);
+    });
+  });
+
+  describe('ApiKey authentication', function () {
+    it('should accept a scoped key on organizer routes and record its use', async function () {
+      const { apiKey, key } = await createKey(['events:write']);
+
+      const created = await request(app)
+        .post('/events')
+        .set('Authorization', `ApiKey ${key}`)
+        .send({ name: 'Keyed Concert', venue: 'Test Venue', date: '2030-06-01T20:00:00Z' });
+      expect(created.status).to.equal(201);
+      expect(created.body.event.organizerId).to.equal(ORGANIZER);
+
+      const mine = await request(app).get('/events/mine').set('Authorization', `ApiKey ${key}`);
+      expect(mine.body.count).to.equal(1);
+
+      const list = await request(app).get('/api-keys').set('Authorization', tokenFor(ORGANIZER));
+      const used = list.body.keys.find(k => k.id === apiKey.id);
+      expect(used.lastUsedAt).to.be.a('string');
+    });
+
+    it('should enforce permission scopes', async function () {
+      const { key } = await createKey(['loyalty:award']);
+
+      const response = await request(app)
+        .post('/events')
+        .set('Authorization', `ApiKey ${key}`)
+        .send({ name: 'Keyed Concert', venue: 'Test Venue', date: '2030-06-01T20:00:00Z' });
+      expect(response.status).to.equal(403);
+      expect(response.body.error).to.include('events:write');
+    });
+
+    it('should reject revoked and unknown keys', async function () {
+      const { apiKey, key } = await createKey(['events:write']);
+      await request(app).delete(`/api-keys/${apiKey.id}`).set('Authorization', tokenFor(ORGANIZER));
+
+      const revoked = await request(app).get('/events/mine').set('Authorization', `ApiKey ${key}`);
+      expect(revoked.status).to.equal(401);
+
+      const unknown = await request(app).get('/events/mine').set('Authorization', 'ApiKey nftk_notarealkey');
+      expect(unknown.status).to.equal(401);
+    });
+
+    it('should gate loyalty awards on the loyalty:award scope', async function () {
+      const legacy = await request(app)
+        .post('/loyalty/award')
+        .send({ address: FAN, amount: 50, apiKey: 'internal-key' });
+      expect(legacy.status).to.equal(401);
+
+      const { key: eventsKey } = await createKey(['events:write']);
+      const forbidden = await request(app)
+        .post('/loyalty/award')
+        .set('Authorization', `ApiKey ${eventsKey}`)
+        .send({ address: FAN, amount: 50 });
+      expect(forbidden.status).to.equal(403);
+
+      const { key } = await createKey(['loyalty:award']);
+      const awarded = await request(app)
+        .post('/loyalty/award')
+        .set('Authorization', `ApiKey ${key}`)
+        .send({ address: FAN, amount: 50, reason: 'VIP bonus' });
+      expect(awarded.status).to.equal(200);
+      expect(awarded.body.awarded.amount).to.equal(50);
+    });
+
+    it('should require tickets:mint to airdrop tickets', async function () {
+      const { key } = await createKey(['events:write']);
+      const created = await request(app)
+        .post('/events')
+        .set('Authorization', `ApiKey ${key}`)
+        .send({ name: 'Keyed Concert', venue: 'Test Venue', date: '2030-06-01T20:00:00Z' });
+
+      const response = await request(app)
+        .post(`/events/${created.body.event.id}/airdrop`)
+        .set('Authorization', `ApiKey ${key}`)
+        .send({ tierId: 'any', recipients: [FAN] });
+      expect(response.status).to.equal(403);
+      expect(response.body.error).to.include('tickets:mint');
+    });
+
+    it('should pass errors from async fallbacks on to Express', async function () {
+      const { apiKeyOr } = require('../api/middleware/apiKeyAuth');
+      const failing = express();
+      failing.get('/', apiKeyOr('read', async () => {
+        throw new Error('Organizer store unavailable');
+      }), (req, res) => res.json({ reached: true }));
+      failing.use((err, req, res, next) => res.status(503).json({ error: err.message }));
+
+      const response = await request(failing).get('/').timeout(2000);
+      expect(response.status).to.equal(503);
+      expect(response.body.error).to.equal('Organizer store unavailable');
+    });
+  });
+});
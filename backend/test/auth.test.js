@@ -0,0 +1,316 @@
+/**
+ * Auth Tests
+ * Tests for Sign-In with Ethereum login, single-use nonces, EIP-1271 wallets and sessions
+ * @author NFTicket Protocol
+ */
+
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const express = require('express');
+const request = require('supertest');
+
+const DOMAIN = 'app.nfticket.test';
+const CHAIN_ID = 31337;
+
+describe('Auth (SIWE)', function () {
+  let app;
+  let signerService;
+  let siwe;
+
+  beforeEach(function () {
+    process.env.NODE_ENV = 'development';
+    process.env.SIWE_DOMAINS = DOMAIN;
+    process.env.SIGNER_PRIVATE_KEY = ethers.Wallet.createRandom().privateKey;
+    delete process.env.REDIS_URL;
+    delete process.env.JWT_SECRET;
+    for (const mod of [
+      '../api/routes/auth',
+      '../api/routes/events',
+      '../api/middleware/auth',
+      '../services/SessionService',
+      '../services/SignerService',
+      '../services/NonceStorage',
+      '../services/SiweMessage',
+    ]) {
+      delete require.cache[require.resolve(mod)];
+    }
+
+    signerService = require('../services/SignerService');
+    signerService.setProvider(CHAIN_ID, ethers.provider);
+    siwe = require('../services/SiweMessage');
+
+    app = express();
+    app.use(express.json());
+    app.use('/auth', require('../api/routes/auth'));
+    app.use('/events', require('../api/routes/events'));
+  });
+
+  after(function () {
+    delete process.env.SIWE_DOMAINS;
+  });
+
+  async function buildMessage(address, overrides = {}) {
+    const { body } = await request(app).get('/auth/nonce');
+    return siwe.formatSiweMessage({
+      domain: DOMAIN,
+      address,
+      statement: body.statement,
+      uri: `https://${DOMAIN}`,
+      chainId: CHAIN_ID,
+      nonce: body.nonce,
+      issuedAt: new Date().toISOString(),
+      ...overrides,
+    });
+  }
+
+  describe('SIWE messages', function () {
+    it('should round-trip a message through format and parse', function () {
+      const wallet = ethers.Wallet.createRandom();
+      const fields = {
+        domain: DOMAIN,
+        address: wallet.address,
+        statement: 'Sign in to NFTicket Protocol.',
+        uri: `https://${DOMAIN}/login`,
+        version: '1',
+        chainId: CHAIN_ID,
+        nonce: 'abcdef123456',
+        issuedAt: '2030-01-01T00:00:00.000Z',
+        expirationTime: '2030-01-01T00:05:00.000Z',
+        resources: ['https://nfticket.test/terms'],
+      };
+
+      expect(siwe.parseSiweMessage(siwe.formatSiweMessage(fields))).to.deep.equal(fields);
+    });
+
+    it('should reject messages that are not SIWE', function () {
+      expect(() => siwe.parseSiweMessage('Sign this message to authenticate.\n\nNonce: 42')).to.throw('Missing SIWE header');
+    });
+  });
+
+  describe('Login', function () {
+    it('should issue a JWT for a valid signed message', async function () {
+      const wallet = ethers.Wallet.createRandom();
+      const message = await buildMessage(wallet.address);
+
+      const response = await request(app)
+        .post('/auth/login')
+        .send({ message, signature: await wallet.signMessage(message) });
+
+      expect(response.status).to.equal(200);
+      expect(response.body.token).to.be.a('string');
+      expect(response.body.address).to.equal(wallet.address.toLowerCase());
+      expect(response.body.chainId).to.equal(CHAIN_ID);
+    });
+
+    it('should only accept each nonce once', async function () {
+      const wallet = ethers.Wallet.createRandom();
+      const message = await buildMessage(wallet.address);
+      const signature = await wallet.signMessage(message);
+
+      const first = await request(app).post('/auth/login').send({ message, signature });
+      expect(first.status).to.equal(200);
+
+      const replay = await request(app).post('/auth/login').send({ message, signature });
+      expect(replay.status).to.equal(401);
+      expect(replay.body.error).to.include('nonce');
+    });
+
+    it('should reject nonces the server never issued', async function () {
+      const wallet = ethers.Wallet.createRandom();
+      const message = siwe.formatSiweMessage({
+        domain: DOMAIN,
+        address: wallet.address,
+        uri: `https://${DOMAIN}`,
+        chainId: CHAIN_ID,
+        nonce: 'notissued123',
+        issuedAt: new Date().toISOString(),
+      });
+
+      const response = await request(app)
+        .post('/auth/login')
+        .send({ message, signature: await wallet.signMessage(message) });
+      expect(response.status).to.equal(401);
+    });
+
+    it('should reject foreign domains, expired messages and unsupported chains', async function () {
+      const wallet = ethers.Wallet.createRandom();
+
+      for (const overrides of [
+        { domain: 'phishing.example', uri: 'https://phishing.example' },
+        { expirationTime: new Date(Date.now() - 1000).toISOString() },
+        { chainId: 999999 },
+      ]) {
+        const message = await buildMessage(wallet.address, overrides);
+        const response = await request(app)
+          .post('/auth/login')
+          .send({ message, signature: await wallet.signMessage(message) });
+        expect(response.status).to.equal(401);
+      }
+    });
+
+    it('should build the ready-to-sign message for the app domain, not the API host', async function () {
+      const wallet = ethers.Wallet.createRandom();
+      const { body } = await request(app)
+        .get('/auth/nonce')
+        .set('Host', 'api.attacker.test')
+        .query({ address: wallet.address, chainId: CHAIN_ID });
+
+      const fields = siwe.parseSiweMessage(body.message);
+      expect(fields.domain).to.equal(DOMAIN);
+      expect(fields.uri).to.equal(`https://${DOMAIN}`);
+
+      const response = await request(app)
+        .post('/auth/login')
+        .send({ message: body.message, signature: await wallet.signMessage(body.message) });
+      expect(response.status).to.equal(200);
+    });
+
+    it('should not trust the Host header as a sign-in domain', async function () {
+      const wallet = ethers.Wallet.createRandom();
+      const message = await buildMessage(wallet.address, { domain: 'api.attacker.test', uri: 'https://api.attacker.test' });
+
+      const response = await request(app)
+        .post('/auth/login')
+        .set('Host', 'api.attacker.test')
+        .send({ message, signature: await wallet.signMessage(message) });
+      expect(response.status).to.equal(401);
+      expect(response.body.error).to.include('Domain not allowed');
+    });
+
+    it('should refuse logins when no sign-in domain is configured', async function () {
+      const appUrls = ['FRONTEND_URL', 'DASHBOARD_URL', 'MARKETPLACE_URL', 'CONSUMER_APP_URL'];
+      const saved = appUrls.map(name => process.env[name]);
+      const wallet = ethers.Wallet.createRandom();
+      const message = await buildMessage(wallet.address);
+
+      delete process.env.SIWE_DOMAINS;
+      appUrls.forEach(name => delete process.env[name]);
+      try {
+        const response = await request(app)
+          .post('/auth/login')
+          .send({ message, signature: await wallet.signMessage(message) });
+        expect(response.status).to.equal(503);
+
+        const nonce = await request(app).get('/auth/nonce').query({ address: wallet.address });
+        expect(nonce.status).to.equal(503);
+      } finally {
+        appUrls.forEach((name, i) => {
+          if (saved[i] !== undefined) process.env[name] = saved[i];
+        });
+      }
+    });
+
+    it('should reject a signature from another wallet', async function () {
+      const wallet = ethers.Wallet.createRandom();
+      const attacker = ethers.Wallet.createRandom();
+      const message = await buildMessage(wallet.address);
+
+      const response = await request(app)
+        .post('/auth/login')
+        .send({ message, signature: await attacker.signMessage(message) });
+      expect(response.status).to.equal(401);
+      expect(response.body.error).to.equal('Invalid signature');
+    });
+
+    it('should accept EIP-1271 contract wallet signatures', async function () {
+      const [owner, stranger] = await ethers.getSigners();
+      const Wallet = await ethers.getContractFactory('ERC1271WalletMock');
+      const contractWallet = await Wallet.deploy(owner.address);
+      await contractWallet.waitForDeployment();
+
+      const walletAddress = await contractWallet.getAddress();
+      const message = await buildMessage(walletAddress);
+
+      const rejected = await request(app)
+        .post('/auth/login')
+        .send({ message, signature: await stranger.signMessage(message) });
+      expect(rejected.status).to.equal(401);
+
+      const response = await request(app)
+        .post('/auth/login')
+        .send({ message, signature: await owner.signMessage(message) });
+      expect(response.status).to.equal(200);
+      expect(response.body.address).to.equal(walletAddress.toLowerCase());
+    });
+  });
+
+  describe('Sessions', function () {
+    async function login(wallet, userAgent = 'NFTicket iOS') {
+      const message = await buildMessage(wallet.address);
+      const response = await request(app)
+        .post('/auth/login')
+        .set('User-Agent', userAgent)
+        .send({ message, signature: await wallet.signMessage(message) });
+      expect(response.status).to.equal(200);
+      return response.body;
+    }
+
+    it('should issue short-lived access tokens with a refresh token', async function () {
+      const session = await login(ethers.Wallet.createRandom());
+
+      expect(session.expiresIn).to.equal(900);
+      expect(session.refreshToken).to.match(new RegExp(`^${session.sessionId}\\.`));
+    });
+
+    it('should rotate refresh tokens and revoke the session when an old one is replayed', async function () {
+      const session = await login(ethers.Wallet.createRandom());
+
+      const refreshed = await request(app).post('/auth/refresh').send({ refreshToken: session.refreshToken });
+      expect(refreshed.status).to.equal(200);
+      expect(refreshed.body.refreshToken).to.not.equal(session.refreshToken);
+      expect(refreshed.body.sessionId).to.equal(session.sessionId);
+
+      const replay = await request(app).post('/auth/refresh').send({ refreshToken: session.refreshToken });
+      expect(replay.status).to.equal(401);
+      expect(replay.body.error).to.include('reuse');
+
+      // The legitimate client's newer tokens die with the session
+      const next = await request(app).post('/auth/refresh').send({ refreshToken: refreshed.body.refreshToken });
+      expect(next.status).to.equal(401);
+      const mine = await request(app).get('/events/mine').set('Authorization', `Bearer ${refreshed.body.token}`);
+      expect(mine.status).to.equal(401);
+    });
+
+    it('should reject access tokens on every router after logout', async function () {
+      const session = await login(ethers.Wallet.createRandom());
+      const auth = `Bearer ${session.token}`;
+
+      expect((await request(app).get('/events/mine').set('Authorization', auth)).status).to.equal(200);
+
+      const logout = await request(app).post('/auth/logout').set('Authorization', auth);
+      expect(logout.status).to.equal(200);
+
+      expect((await request(app).get('/events/mine').set('Authorization', auth)).status).to.equal(401);
+      expect((await request(app).get('/auth/sessions').set('Authorization', auth)).status).to.equal(401);
+      const refresh = await request(app).post('/auth/refresh').send({ refreshToken: session.refreshToken });
+      expect(refresh.status).to.equal(401);
+    });
+
+    it('should list active sessions and revoke one device', async function () {
+      const wallet = ethers.Wallet.createRandom();
+      const phone = await login(wallet, 'NFTicket iOS');
+      const laptop = await login(wallet, 'Mozilla/5.0');
+
+      const list = await request(app).get('/auth/sessions').set('Authorization', `Bearer ${laptop.token}`);
+      expect(list.body.count).to.equal(2);
+      const current = list.body.sessions.find(s => s.current);
+      expect(current.id).to.equal(laptop.sessionId);
+      expect(current.userAgent).to.equal('Mozilla/5.0');
+
+      const other = ethers.Wallet.createRandom();
+      const stranger = await login(other);
+      const forbidden = await request(app)
+        .delete(`/auth/sessions/${phone.sessionId}`)
+        .set('Authorization', `Bearer ${stranger.token}`);
+      expect(forbidden.status).to.equal(404);
+
+      const revoked = await request(app)
+        .delete(`/auth/sessions/${phone.sessionId}`)
+        .set('Authorization', `Bearer ${laptop.token}`);
+      expect(revoked.status).to.equal(200);
+
+      expect((await request(app).get('/events/mine').set('Authorization', `Bearer ${phone.token}`)).status).to.equal(401);
+      expect((await request(app).get('/events/mine').set('Authorization', `Bearer ${laptop.token}`)).status).to.equal(200);
+    });
+  });
+});
@@ -0,0 +1,385 @@
+/**
+ * Check-In Tests
+ * Gate scans admit each ticket entry once per session across scanners, and admitted tickets are batch-used on a local NFTicket
+ * Offline scanners verify against a signed snapshot and reconcile their queued scans on sync
+ * @author NFTicket Protocol
+ */
+
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const express = require('express');
+const request = require('supertest');
+const { tokenFor } = require('./helpers');
+
+const CHAIN_ID = 31337;
+const ORGANIZER = '0x1111111111111111111111111111111111111111';
+const SCANNER = '0x5555555555555555555555555555555555555555';
+const SECOND_SCANNER = '0x6666666666666666666666666666666666666666';
+const FAN = '0x4444444444444444444444444444444444444444';
+
+describe('Check-In', function () {
+  let app;
+  let nfticket;
+  let scannerSigner;
+  let buyer;
+  let signerService;
+  let checkInService;
+  let event;
+
+  beforeEach(async function () {
+    [, scannerSigner, buyer] = await ethers.getSigners();
+
+    const NFTicket = await ethers.getContractFactory('NFTicket');
+    nfticket = await NFTicket.deploy(
+      'Test Concert',
+      'A test concert event',
+      Math.floor(Date.now() / 1000) + 86400,
+      'Test Venue',
+      500,
+      ethers.parseEther('1.0'),
+      scannerSigner.address,
+      ethers.ZeroAddress
+    );
+    await nfticket.grantRole(await nfticket.SCANNER_ROLE(), scannerSigner.address);
+    for (let i = 0; i < 3; i++) {
+      await nfticket.mintTicket(buyer.address, `https://example.com/token/${i}`, 0);
+    }
+
+    process.env.NODE_ENV = 'development';
+    process.env.SIGNER_PRIVATE_KEY = ethers.Wallet.createRandom().privateKey;
+    process.env.NFTICKET_CONTRACT_ADDRESS = await nfticket.getAddress();
+    delete process.env.DATABASE_URL;
+    delete process.env.REDIS_URL;
+    delete process.env.JWT_SECRET;
+    for (const mod of [
+      '../api/routes/checkIn',
+      '../api/middleware/roles',
+      '../services/CheckInService',
+      '../services/ScannerSnapshot',
+      '../services/SignerService',
+      '../services/NonceStorage',
+      '../services/EventCatalog',
+      '../services/RoleService',
+    ]) {
+      delete require.cache[require.resolve(mod)];
+    }
+
+    signerService = require('../services/SignerService');
+    signerService.setProvider(CHAIN_ID, ethers.provider);
+    checkInService = require('../services/CheckInService');
+    checkInService.setSignerFactory(() => scannerSigner);
+
+    const eventCatalog = require('../services/EventCatalog');
+    event = await eventCatalog.createEvent(ORGANIZER, {
+      name: 'Test Concert',
+      venue: 'Test Venue',
+      date: new Date('2030-06-01T20:00:00Z'),
+      chainId: CHAIN_ID,
+      contractAddress: await nfticket.getAddress(),
+    });
+
+    const roleService = require('../services/RoleService');
+    const organizer = await roleService.findOrganizer({ id: ORGANIZER });
+    await roleService.addMember(organizer, SCANNER, 'scanner', ORGANIZER);
+    await roleService.addMember(organizer, SECOND_SCANNER, 'scanner', ORGANIZER);
+
+    app = express();
+    app.use(express.json());
+    app.use('/check-in', require('../api/routes/checkIn'));
+  });
+
+  after(function () {
+    delete process.env.NFTICKET_CONTRACT_ADDRESS;
+  });
+
+  async function scan(tokenId, { scanner = SCANNER, gate = 'North', deviceId = 'scanner-1', session } = {}) {
+    const proof = await signerService.generateTicketProof(tokenId, buyer.address, CHAIN_ID);
+    return request(app)
+      .post('/check-in')
+      .set('Authorization', tokenFor(scanner))
+      .send({ data: proof.data, signature: proof.signature, gate, deviceId, session });
+  }
+
+  // Token 3: a pass for days 0 and 1 that allows re-entry once a day
+  async function mintFestivalPass() {
+    await nfticket.mintPass(buyer.address, 'https://example.com/token/3', 0, 0b11, 2);
+    return 3;
+  }
+
+  describe('Admission', function () {
+    it('should admit a ticket once and reject later scans at any gate', async function () {
+      const first = await scan(0);
+      expect(first.status).to.equal(200);
+      expect(first.body.result).to.equal('admitted');
+      expect(first.body.event.id).to.equal(event.id);
+      expect(first.body.checkIn.gate).to.equal('North');
+      expect(first.body.checkIn.useStatus).to.equal('pending');
+
+      // A fresh proof for the same ticket, at another gate, on another scanner
+      const second = await scan(0, { scanner: SECOND_SCANNER, gate: 'South', deviceId: 'scanner-2' });
+      expect(second.status).to.equal(409);
+      expect(second.body.result).to.equal('duplicate');
+      expect(second.body.firstCheckIn.gate).to.equal('North');
+      expect(second.body.firstCheckIn.scannedBy).to.equal(SCANNER);
+    });
+
+    it('should admit only one of two simultaneous scans on different scanners', async function () {
+      const responses = await Promise.all([
+        scan(1, { scanner: SCANNER, gate: 'North' }),
+        scan(1, { scanner: SECOND_SCANNER, gate: 'South' }),
+      ]);
+
+      expect(responses.map(r => r.status).sort()).to.deep.equal([200, 409]);
+    });
+
+    it('should record invalid proofs as rejected scans', async function () {
+      const proof = await signerService.generateTicketProof(2, buyer.address, CHAIN_ID);
+      const forged = { ...proof.data, tokenId: 1 };
+
+      const response = await request(app)
+        .post('/check-in')
+        .set('Authorization', tokenFor(SCANNER))
+        .send({ data: forged, signature: proof.signature, gate: 'North' });
+      expect(response.status).to.equal(401);
+      expect(response.body.result).to.equal('rejected');
+      expect(response.body.checkIn.reason).to.equal('Invalid signature');
+    });
+
+    it('should only let the event team scan', async function () {
+      const response = await scan(0, { scanner: FAN });
+      expect(response.status).to.equal(403);
+    });
+
+    it('should announce admissions for the holder notification', async function () {
+      const announced = [];
+      checkInService.events.on('ticketUsed', payload => announced.push(payload));
+
+      await scan(2, { gate: 'VIP' });
+      expect(announced).to.deep.equal([
+        { walletAddress: buyer.address.toLowerCase(), tokenId: '2', eventId: event.id, gate: 'VIP', session: 0, entry: 1 },
+      ]);
+    });
+
+    it('should admit a pass to each of its sessions, once per entry it allows', async function () {
+      const pass = await mintFestivalPass();
+
+      const firstDay = [await scan(pass, { session: 0 }), await scan(pass, { session: 0, gate: 'South' })];
+      expect(firstDay.map(r => r.status)).to.deep.equal([200, 200]);
+      expect(firstDay.map(r => r.body.checkIn.entry)).to.deep.equal([1, 2]);
+
+      const third = await scan(pass, { session: 0 });
+      expect(third.status).to.equal(409);
+      expect(third.body.message).to.equal('No entry left for session 0');
+      expect(third.body.firstCheckIn.gate).to.equal('North');
+
+      const secondDay = await scan(pass, { session: 1 });
+      expect(secondDay.status).to.equal(200);
+      expect(secondDay.body.checkIn).to.include({ session: 1, entry: 1 });
+
+      const notIncluded = await scan(pass, { session: 2 });
+      expect(notIncluded.status).to.equal(403);
+      expect(notIncluded.body.result).to.equal('rejected');
+
+      // A plain ticket only admits to session 0
+      expect((await scan(0, { session: 1 })).status).to.equal(403);
+    });
+  });
+
+  describe('On-chain use', function () {
+    it('should mark admitted tickets used in a single batched transaction', async function () {
+      await scan(0);
+      await scan(1);
+
+      const summary = await checkInService.flushPendingUses();
+      expect(summary).to.deep.equal({ confirmed: 2, retrying: 0, failed: 0 });
+      expect(await nfticket.ticketUsed(0)).to.equal(true);
+      expect(await nfticket.ticketUsed(1)).to.equal(true);
+      expect(await nfticket.ticketUsed(2)).to.equal(false);
+
+      const checkIns = await checkInService.listCheckIns({ eventId: event.id, result: 'admitted' });
+      expect(checkIns.every(c => c.useStatus === 'confirmed')).to.equal(true);
+      expect(new Set(checkIns.map(c => c.useTxHash)).size).to.equal(1);
+    });
+
+    it('should retry a failed batch later', async function () {
+      await scan(0);
+
+      // Holder wallet has no SCANNER_ROLE, so the batch reverts
+      checkInService.setSignerFactory(() => buyer);
+      expect(await checkInService.flushPendingUses()).to.deep.equal({ confirmed: 0, retrying: 1, failed: 0 });
+
+      checkInService.setSignerFactory(() => scannerSigner);
+      expect((await checkInService.flushPendingUses()).confirmed).to.equal(0); // Still backing off
+
+      const later = new Date(Date.now() + 60 * 60 * 1000);
+      expect(await checkInService.flushPendingUses({ now: later })).to.deep.equal({ confirmed: 1, retrying: 0, failed: 0 });
+      expect(await nfticket.ticketUsed(0)).to.equal(true);
+    });
+
+    it('should record each admitted entry in its session on-chain', async function () {
+      const pass = await mintFestivalPass();
+      await scan(pass, { session: 0 });
+      await scan(pass, { session: 0 });
+      await scan(pass, { session: 1 });
+
+      expect(await checkInService.flushPendingUses()).to.deep.equal({ confirmed: 3, retrying: 0, failed: 0 });
+      expect(await nfticket.sessionEntries(pass, 0)).to.equal(2n);
+      expect(await nfticket.sessionEntries(pass, 1)).to.equal(1n);
+      expect(await nfticket.ticketUsed(pass)).to.equal(false);
+    });
+  });
+
+  describe('Offline scanning', function () {
+    // Sign a proof as the backend would have at `timestamp` (unix seconds)
+    async function proofAt(tokenId, timestamp) {
+      const { domain, types } = signerService.getProofVerificationConfig(CHAIN_ID);
+      const data = { tokenId, owner: buyer.address, timestamp, nonce: Math.floor(Math.random() * 1e9), chainId: CHAIN_ID };
+      const wallet = new ethers.Wallet(process.env.SIGNER_PRIVATE_KEY);
+      return { data, signature: await wallet.signTypedData(domain, types, data) };
+    }
+
+    function sync(scans, { scanner = SCANNER, deviceId = 'scanner-1', session } = {}) {
+      return request(app)
+        .post(`/check-in/events/${event.id}/sync`)
+        .set('Authorization', tokenFor(scanner))
+        .send({ deviceId, session, scans });
+    }
+
+    function snapshotFor(session) {
+      return request(app)
+        .get(`/check-in/events/${event.id}/snapshot`)
+        .query(session === undefined ? {} : { session })
+        .set('Authorization', tokenFor(SCANNER));
+    }
+
+    it('should serve a signed snapshot of admissible tickets', async function () {
+      await scan(0);
+      await nfticket.connect(scannerSigner).useTickets([1]);
+
+      const response = await snapshotFor();
+      expect(response.status).to.equal(200);
+
+      const { snapshot, digest, signature } = response.body;
+      expect(digest).to.equal(ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(snapshot))));
+      expect(ethers.verifyMessage(ethers.getBytes(digest), signature)).to.equal(snapshot.proof.signer);
+      expect(snapshot.proof.signer).to.equal(signerService.getSignerAddress());
+      expect(snapshot.version).to.be.a('number');
+      expect(snapshot.session).to.equal(0);
+      expect(snapshot.tickets).to.deep.equal([{ tokenId: '2', owner: buyer.address.toLowerCase(), entriesLeft: 1 }]);
+      expect(snapshot.checkedIn).to.have.members(['0', '1']);
+
+      // A scanner can check a live QR against the snapshot alone
+      const proof = await signerService.generateTicketProof(2, buyer.address, CHAIN_ID);
+      const { domain, types, signer } = snapshot.proof;
+      expect(ethers.verifyTypedData(domain, types, proof.data, proof.signature)).to.equal(signer);
+    });
+
+    it('should list the entries each ticket has left for the snapshot session', async function () {
+      const pass = await mintFestivalPass();
+      await scan(pass, { session: 0 });
+      await nfticket.connect(scannerSigner).useSession(pass, 1);
+
+      const firstDay = (await snapshotFor(0)).body.snapshot;
+      expect(firstDay.tickets.find(t => t.tokenId === String(pass)).entriesLeft).to.equal(1);
+
+      // Only the pass admits to day 1, and one of its entries was made on-chain
+      const secondDay = (await snapshotFor(1)).body.snapshot;
+      expect(secondDay.session).to.equal(1);
+      expect(secondDay.tickets).to.deep.equal([{ tokenId: String(pass), owner: buyer.address.toLowerCase(), entriesLeft: 1 }]);
+      expect(secondDay.checkedIn).to.deep.equal([]);
+
+      await scan(pass, { session: 1 });
+      const usedUp = (await snapshotFor(1)).body.snapshot;
+      expect(usedUp.tickets).to.deep.equal([]);
+      expect(usedUp.checkedIn).to.deep.equal([String(pass)]);
+    });
+
+    it('should reconcile offline scans per session', async function () {
+      const pass = await mintFestivalPass();
+      const scannedAt = new Date(Date.now() - 10 * 60 * 1000);
+      const timestamp = Math.floor(scannedAt.getTime() / 1000) - 5;
+      const scans = [0, 1, 2].map(i => ({ clientScanId: `day-1-${i}`, scannedAt: scannedAt.toISOString() }));
+      for (const item of scans) Object.assign(item, await proofAt(pass, timestamp));
+
+      const response = await sync(scans, { session: 1 });
+      expect(response.body).to.include({ admitted: 2, duplicates: 1 });
+      expect(response.body.results.map(r => r.checkIn.session)).to.deep.equal([1, 1, 1]);
+
+      // The same pass still has both of its day 0 entries
+      const dayZero = await sync([{ clientScanId: 'day-0-0', ...(await proofAt(pass, timestamp)), scannedAt: scannedAt.toISOString() }]);
+      expect(dayZero.body.results[0].checkIn).to.include({ result: 'admitted', session: 0, entry: 1 });
+    });
+
+    it('should reconcile scans admitted at two offline gates', async function () {
+      const scannedAt = new Date(Date.now() - 10 * 60 * 1000);
+      const timestamp = Math.floor(scannedAt.getTime() / 1000) - 5;
+      const northTicket = await proofAt(0, timestamp);
+      const southTicket = await proofAt(0, timestamp + 30);
+      const other = await proofAt(1, timestamp);
+
+      const north = await sync([
+        { clientScanId: 'north-1', ...northTicket, scannedAt: scannedAt.toISOString(), gate: 'North' },
+        { clientScanId: 'north-2', ...other, scannedAt: scannedAt.toISOString(), gate: 'North' },
+      ]);
+      expect(north.status).to.equal(200);
+      expect(north.body).to.include({ admitted: 2, duplicates: 0, rejected: 0 });
+      expect(north.body.results[0].checkIn.offline).to.equal(true);
+
+      const southScannedAt = new Date(scannedAt.getTime() + 30 * 1000).toISOString();
+      const south = await sync(
+        [{ clientScanId: 'south-1', ...southTicket, scannedAt: southScannedAt, gate: 'South' }],
+        { scanner: SECOND_SCANNER, deviceId: 'scanner-2' }
+      );
+      expect(south.body).to.include({ admitted: 0, duplicates: 1 });
+      expect(south.body.results[0].firstCheckIn).to.include({ gate: 'North', clientScanId: 'north-1' });
+
+      // Retried sync returns the recorded results instead of new duplicates
+      const retry = await sync([
+        { clientScanId: 'north-1', ...northTicket, scannedAt: scannedAt.toISOString(), gate: 'North' },
+      ]);
+      expect(retry.body.results[0].result).to.equal('admitted');
+
+      const stats = await checkInService.getStats(event.id);
+      expect(stats).to.include({ admitted: 2, duplicate: 1 });
+    });
+
+    it('should check proof expiry against the offline scan time', async function () {
+      const scannedAt = new Date(Date.now() - 60 * 60 * 1000);
+      const proof = await proofAt(2, Math.floor(scannedAt.getTime() / 1000) - 5);
+
+      const late = await sync([{ clientScanId: 'late-1', ...proof, scannedAt: new Date().toISOString() }]);
+      expect(late.body.results[0]).to.include({ result: 'rejected', reason: 'Proof expired' });
+
+      const ok = await sync([{ clientScanId: 'ok-1', ...proof, scannedAt: scannedAt.toISOString() }]);
+      expect(ok.body.results[0].result).to.equal('admitted');
+
+      const future = await sync([{
+        clientScanId: 'future-1',
+        ...(await proofAt(1, Math.floor(Date.now() / 1000))),
+        scannedAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      }]);
+      expect(future.body.results[0]).to.include({ result: 'rejected', reason: 'Invalid scan time' });
+    });
+  });
+
+  describe('Scan log', function () {
+    it('should report entry counts per gate to the organizer', async function () {
+      await scan(0, { gate: 'North' });
+      await scan(1, { gate: 'South' });
+      await scan(0, { gate: 'South' });
+
+      const response = await request(app)
+        .get(`/check-in/events/${event.id}`)
+        .set('Authorization', tokenFor(ORGANIZER));
+      expect(response.status).to.equal(200);
+      expect(response.body.stats).to.include({ admitted: 2, duplicate: 1, rejected: 0, pendingOnChain: 2 });
+      expect(response.body.stats.byGate).to.deep.equal({ North: 1, South: 1 });
+      expect(response.body.count).to.equal(3);
+
+      const forbidden = await request(app)
+        .get(`/check-in/events/${event.id}`)
+        .set('Authorization', tokenFor(SCANNER));
+      expect(forbidden.status).to.equal(403);
+    });
+  });
+});
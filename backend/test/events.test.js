@@ -0,0 +1,440 @@
+/**
+ * Event Routes Tests
+ * Tests for the organizer event catalog and ticket tiers (in-memory mode)
+ * @author NFTicket Protocol
+ */
+
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const express = require('express');
+const request = require('supertest');
+const { tokenFor } = require('./helpers');
+
+const OTHER_ORGANIZER = '0x2222222222222222222222222222222222222222';
+
+describe('Event Routes', function () {
+  let app;
+  // The organizer's wallet deploys the event contract it links, so it holds the contract's ADMIN_ROLE
+  let ORGANIZER;
+  let CONTRACT;
+  let outsider;
+
+  async function deployNFTicket(signer) {
+    const NFTicket = await ethers.getContractFactory('NFTicket', signer);
+    const nfticket = await NFTicket.deploy(
+      'Test Concert', '', Math.floor(Date.now() / 1000) + 86400, 'Test Venue', 500, 0, signer.address, ethers.ZeroAddress
+    );
+    return nfticket.getAddress();
+  }
+
+  before(async function () {
+    process.env.SIGNER_PRIVATE_KEY ||= ethers.Wallet.createRandom().privateKey;
+    let organizerSigner;
+    [organizerSigner, outsider] = await ethers.getSigners();
+    ORGANIZER = organizerSigner.address.toLowerCase();
+    CONTRACT = await deployNFTicket(organizerSigner);
+
+    // Links on both chains used below are verified against the local network
+    const signerService = require('../services/SignerService');
+    for (const chainId of [31337, 137]) {
+      signerService.setProvider(chainId, ethers.provider);
+    }
+  });
+
+  beforeEach(function () {
+    delete process.env.DATABASE_URL;
+    delete process.env.JWT_SECRET;
+    delete require.cache[require.resolve('../api/routes/events')];
+    delete require.cache[require.resolve('../services/EventCatalog')];
+
+    app = express();
+    app.use(express.json());
+    app.use('/events', require('../api/routes/events'));
+  });
+
+  async function createEvent(body = {}) {
+    const response = await request(app)
+      .post('/events')
+      .set('Authorization', tokenFor(ORGANIZER))
+      .send({ name: 'Test Concert', venue: 'Test Venue', date: '2030-06-01T20:00:00Z', ...body });
+    expect(response.status).to.equal(201);
+    return response.body.event;
+  }
+
+  describe('POST /events', function () {
+    it('should require authentication', async function () {
+      const response = await request(app).post('/events').send({});
+      expect(response.status).to.equal(401);
+    });
+
+    it('should validate required fields', async function () {
+      const response = await request(app)
+        .post('/events')
+        .set('Authorization', tokenFor(ORGANIZER))
+        .send({ name: 'No venue' });
+
+      expect(response.status).to.equal(400);
+    });
+
+    it('should create a draft event linked to a deployed contract', async function () {
+      const event = await createEvent({ contractAddress: CONTRACT, chainId: 31337, royaltyCap: 500 });
+
+      expect(event.status).to.equal('DRAFT');
+      expect(event.organizerId).to.equal(ORGANIZER);
+      expect(event.contractAddress).to.equal(CONTRACT);
+      expect(event.chainId).to.equal(31337);
+      expect(event.royaltyCap).to.equal(500);
+    });
+
+    it('should format prices in the native coin by default', async function () {
+      const event = await createEvent({ contractAddress: CONTRACT, chainId: 137, maxPrice: '1500000000000000000' });
+
+      expect(event.paymentCurrency).to.deep.equal({ token: null, symbol: 'POL', decimals: 18 });
+      expect(event.maxPriceFormatted).to.equal('1.5');
+    });
+
+    it('should format prices in a configured ERC-20 payment token', async function () {
+      const usdc = '0x4444444444444444444444444444444444444444';
+      const event = await createEvent({
+        maxPrice: '150000000',
+        paymentToken: usdc,
+        paymentTokenSymbol: 'USDC',
+        paymentTokenDecimals: 6,
+      });
+
+      expect(event.paymentCurrency).to.deep.equal({ token: usdc, symbol: 'USDC', decimals: 6 });
+      expect(event.maxPriceFormatted).to.equal('150.0');
+    });
+
+    it('should validate payment token fields', async function () {
+      const response = await request(app)
+        .post('/events')
+        .set('Authorization', tokenFor(ORGANIZER))
+        .send({
+          name: 'Test Concert',
+          venue: 'Test Venue',
+          date: '2030-06-01T20:00:00Z',
+          paymentToken: '0x4444444444444444444444444444444444444444',
+          paymentTokenSymbol: 'USDC',
+        });
+
+      expect(response.status).to.equal(400);
+      expect(response.body.error).to.match(/paymentTokenDecimals/);
+    });
+  });
+
+  describe('Publishing', function () {
+    it('should keep drafts out of the public catalog', async function () {
+      const event = await createEvent();
+
+      const list = await request(app).get('/events');
+      expect(list.body.count).to.equal(0);
+
+      const detail = await request(app).get(`/events/${event.id}`);
+      expect(detail.status).to.equal(404);
+
+      const mine = await request(app).get('/events/mine').set('Authorization', tokenFor(ORGANIZER));
+      expect(mine.body.count).to.equal(1);
+    });
+
+    it('should require a linked contract before publishing', async function () {
+      const event = await createEvent();
+
+      const response = await request(app)
+        .post(`/events/${event.id}/publish`)
+        .set('Authorization', tokenFor(ORGANIZER));
+      expect(response.status).to.equal(409);
+    });
+
+    it('should publish and cancel an event', async function () {
+      const event = await createEvent();
+
+      await request(app)
+        .put(`/events/${event.id}/contract`)
+        .set('Authorization', tokenFor(ORGANIZER))
+        .send({ contractAddress: CONTRACT, chainId: 31337 })
+        .expect(200);
+
+      const published = await request(app)
+        .post(`/events/${event.id}/publish`)
+        .set('Authorization', tokenFor(ORGANIZER));
+      expect(published.status).to.equal(200);
+      expect(published.body.event.status).to.equal('PUBLISHED');
+
+      const list = await request(app).get('/events');
+      expect(list.body.count).to.equal(1);
+
+      const cancelled = await request(app)
+        .post(`/events/${event.id}/cancel`)
+        .set('Authorization', tokenFor(ORGANIZER));
+      expect(cancelled.body.event.status).to.equal('CANCELLED');
+
+      const edit = await request(app)
+        .put(`/events/${event.id}`)
+        .set('Authorization', tokenFor(ORGANIZER))
+        .send({ name: 'Renamed' });
+      expect(edit.status).to.equal(409);
+    });
+
+    it('should hide events from other organizers', async function () {
+      const event = await createEvent();
+
+      const response = await request(app)
+        .put(`/events/${event.id}`)
+        .set('Authorization', tokenFor(OTHER_ORGANIZER))
+        .send({ name: 'Hijacked' });
+      expect(response.status).to.equal(404);
+    });
+  });
+
+  describe('Contract links', function () {
+    function linkContract(event, contractAddress) {
+      return request(app)
+        .put(`/events/${event.id}/contract`)
+        .set('Authorization', tokenFor(ORGANIZER))
+        .send({ contractAddress, chainId: 31337 });
+    }
+
+    it('should not link a contract the organizer does not run', async function () {
+      const foreign = await deployNFTicket(outsider);
+
+      const created = await request(app)
+        .post('/events')
+        .set('Authorization', tokenFor(ORGANIZER))
+        .send({ name: 'Test Concert', venue: 'Test Venue', date: '2030-06-01T20:00:00Z', contractAddress: foreign, chainId: 31337 });
+      expect(created.status).to.equal(403);
+
+      const event = await createEvent();
+      const linked = await linkContract(event, foreign);
+      expect(linked.status).to.equal(403);
+      expect(linked.body.error).to.match(/organizer/);
+    });
+
+    it('should link a contract to one event only', async function () {
+      await createEvent({ contractAddress: CONTRACT, chainId: 31337 });
+      const event = await createEvent();
+
+      const response = await linkContract(event, CONTRACT);
+      expect(response.status).to.equal(409);
+      expect(response.body.error).to.match(/already linked/);
+    });
+
+    it('should not relink a published event', async function () {
+      const event = await createEvent({ contractAddress: CONTRACT, chainId: 31337 });
+      await request(app)
+        .post(`/events/${event.id}/publish`)
+        .set('Authorization', tokenFor(ORGANIZER))
+        .expect(200);
+
+      const response = await linkContract(event, await deployNFTicket((await ethers.getSigners())[0]));
+      expect(response.status).to.equal(409);
+    });
+  });
+
+  describe('Ticket tiers', function () {
+    it('should create, update and delete tiers', async function () {
+      const event = await createEvent();
+
+      const created = await request(app)
+        .post(`/events/${event.id}/tiers`)
+        .set('Authorization', tokenFor(ORGANIZER))
+        .send({ name: 'VIP', price: '150.00', supply: 100, category: 'VIP' });
+      expect(created.status).to.equal(201);
+      expect(created.body.tier.available).to.equal(100);
+
+      const updated = await request(app)
+        .put(`/events/${event.id}/tiers/${created.body.tier.id}`)
+        .set('Authorization', tokenFor(ORGANIZER))
+        .send({ supply: 50 });
+      expect(updated.body.tier.supply).to.equal(50);
+
+      const deleted = await request(app)
+        .delete(`/events/${event.id}/tiers/${created.body.tier.id}`)
+        .set('Authorization', tokenFor(ORGANIZER));
+      expect(deleted.status).to.equal(200);
+    });
+
+    it('should reject invalid tier input', async function () {
+      const event = await createEvent();
+
+      const response = await request(app)
+        .post(`/events/${event.id}/tiers`)
+        .set('Authorization', tokenFor(ORGANIZER))
+        .send({ name: 'GA', price: '-5', supply: 10 });
+      expect(response.status).to.equal(400);
+    });
+
+    it('should not let supply drop below tickets sold', async function () {
+      const eventCatalog = require('../services/EventCatalog');
+      const event = await createEvent();
+      const tier = await eventCatalog.createTier(event.id, { name: 'GA', price: '50', supply: 10 });
+
+      // Simulate sales recorded by checkout
+      await eventCatalog.adjustTierSold(tier.id, 8);
+
+      const response = await request(app)
+        .put(`/events/${event.id}/tiers/${tier.id}`)
+        .set('Authorization', tokenFor(ORGANIZER))
+        .send({ supply: 5 });
+      expect(response.status).to.equal(409);
+
+      const remove = await request(app)
+        .delete(`/events/${event.id}/tiers/${tier.id}`)
+        .set('Authorization', tokenFor(ORGANIZER));
+      expect(remove.status).to.equal(409);
+    });
+  });
+
+  describe('On-chain sale tiers', function () {
+    const BUYER = '0x4444444444444444444444444444444444444444';
+    const SALE = '0x5555555555555555555555555555555555555555';
+
+    async function createSaleTier(event, body = {}) {
+      const response = await request(app)
+        .post(`/events/${event.id}/tiers`)
+        .set('Authorization', tokenFor(ORGANIZER))
+        .send({
+          name: 'Presale GA',
+          price: '50.00',
+          supply: 100,
+          onChainSupply: 60,
+          onChainPrice: '25000000',
+          maxPerWallet: 4,
+          presaleStart: '2030-05-01T00:00:00Z',
+          saleStart: '2030-05-08T00:00:00Z',
+          saleEnd: '2030-06-01T00:00:00Z',
+          allowlist: [BUYER, BUYER.toUpperCase().replace('0X', '0x'), ORGANIZER],
+          ...body,
+        });
+      expect(response.status).to.equal(201);
+      return response.body.tier;
+    }
+
+    it('should build TicketSale tier arguments without exposing the allowlist', async function () {
+      const { buildAllowlist } = require('../services/MerkleAllowlist');
+      const event = await createEvent();
+      const tier = await createSaleTier(event);
+
+      expect(tier.allowlistSize).to.equal(2);
+      expect(tier).to.not.have.property('allowlist');
+
+      const response = await request(app)
+        .get(`/events/${event.id}/tiers/${tier.id}/onchain`)
+        .set('Authorization', tokenFor(ORGANIZER));
+      expect(response.status).to.equal(200);
+      expect(response.body.config).to.deep.include({
+        name: 'Presale GA',
+        price: '25000000',
+        supply: 60,
+        maxPerWallet: 4,
+        presaleStart: Date.parse('2030-05-01T00:00:00Z') / 1000,
+        saleStart: Date.parse('2030-05-08T00:00:00Z') / 1000,
+        saleEnd: Date.parse('2030-06-01T00:00:00Z') / 1000,
+        merkleRoot: buildAllowlist([BUYER, ORGANIZER]).root,
+      });
+    });
+
+    it('should validate sale rules', async function () {
+      const event = await createEvent();
+
+      const badWindow = await request(app)
+        .post(`/events/${event.id}/tiers`)
+        .set('Authorization', tokenFor(ORGANIZER))
+        .send({ name: 'GA', price: '10', supply: 10, saleStart: '2030-05-08', saleEnd: '2030-05-01' });
+      expect(badWindow.status).to.equal(400);
+
+      const badAddress = await request(app)
+        .post(`/events/${event.id}/tiers`)
+        .set('Authorization', tokenFor(ORGANIZER))
+        .send({ name: 'GA', price: '10', supply: 10, allowlist: ['not-an-address'] });
+      expect(badAddress.status).to.equal(400);
+
+      const plain = await request(app)
+        .post(`/events/${event.id}/tiers`)
+        .set('Authorization', tokenFor(ORGANIZER))
+        .send({ name: 'GA', price: '10', supply: 10 });
+      const unpublishable = await request(app)
+        .get(`/events/${event.id}/tiers/${plain.body.tier.id}/onchain`)
+        .set('Authorization', tokenFor(ORGANIZER));
+      expect(unpublishable.status).to.equal(409);
+    });
+
+    it('should record the on-chain tier and serve proofs for published events', async function () {
+      const event = await createEvent();
+      const tier = await createSaleTier(event);
+
+      const linked = await request(app)
+        .put(`/events/${event.id}/contract`)
+        .set('Authorization', tokenFor(ORGANIZER))
+        .send({ contractAddress: CONTRACT, chainId: 137, saleContract: SALE });
+      expect(linked.body.event.saleContract).to.equal(SALE);
+
+      const recorded = await request(app)
+        .put(`/events/${event.id}/tiers/${tier.id}/onchain`)
+        .set('Authorization', tokenFor(ORGANIZER))
+        .send({ onChainTierId: 0 });
+      expect(recorded.body.tier.onChainTierId).to.equal(0);
+
+      const draft = await request(app).get(`/events/${event.id}/tiers/${tier.id}/allowlist/${BUYER}`);
+      expect(draft.status).to.equal(404);
+
+      await request(app)
+        .post(`/events/${event.id}/publish`)
+        .set('Authorization', tokenFor(ORGANIZER));
+
+      const listed = await request(app).get(`/events/${event.id}/tiers/${tier.id}/allowlist/${BUYER}`);
+      expect(listed.body.allowlisted).to.equal(true);
+      expect(listed.body.proof).to.have.lengthOf(1);
+
+      const unlisted = await request(app).get(`/events/${event.id}/tiers/${tier.id}/allowlist/${CONTRACT}`);
+      expect(unlisted.body).to.deep.equal({ allowlisted: false, proof: [] });
+    });
+
+    it('should keep the on-chain allocation out of the supply sold off-chain', async function () {
+      const eventCatalog = require('../services/EventCatalog');
+      const event = await createEvent();
+      const tier = await createSaleTier(event);
+      expect(tier.available).to.equal(40);
+
+      // Stripe and airdrops stop at supply - onChainSupply
+      expect(await eventCatalog.adjustTierSold(tier.id, 41)).to.equal(null);
+      const sold = await eventCatalog.adjustTierSold(tier.id, 40);
+      expect(sold.available).to.equal(0);
+
+      const grown = await request(app)
+        .put(`/events/${event.id}/tiers/${tier.id}`)
+        .set('Authorization', tokenFor(ORGANIZER))
+        .send({ onChainSupply: 61 });
+      expect(grown.status).to.equal(409);
+
+      const tooLarge = await request(app)
+        .post(`/events/${event.id}/tiers`)
+        .set('Authorization', tokenFor(ORGANIZER))
+        .send({ name: 'GA', price: '10', supply: 10, onChainSupply: 11 });
+      expect(tooLarge.status).to.equal(400);
+    });
+
+    it('should not lower the allocation once the tier is on-chain', async function () {
+      const event = await createEvent();
+      const tier = await createSaleTier(event);
+
+      await request(app)
+        .put(`/events/${event.id}/tiers/${tier.id}/onchain`)
+        .set('Authorization', tokenFor(ORGANIZER))
+        .send({ onChainTierId: 0 });
+
+      const lowered = await request(app)
+        .put(`/events/${event.id}/tiers/${tier.id}`)
+        .set('Authorization', tokenFor(ORGANIZER))
+        .send({ onChainSupply: 50 });
+      expect(lowered.status).to.equal(409);
+
+      const raised = await request(app)
+        .put(`/events/${event.id}/tiers/${tier.id}`)
+        .set('Authorization', tokenFor(ORGANIZER))
+        .send({ supply: 120, onChainSupply: 80 });
+      expect(raised.status).to.equal(200);
+      expect(raised.body.tier.available).to.equal(40);
+    });
+  });
+});
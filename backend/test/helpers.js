@@ -0,0 +1,20 @@
+/**
+ * Test Helpers
+ * Shared by the API route tests
+ * @author NFTicket Protocol
+ */
+
+const jwt = require('jsonwebtoken');
+
+// Development secret of api/middleware/auth, used while JWT_SECRET is unset
+const JWT_SECRET = 'nfticket-dev-secret-DO-NOT-USE-IN-PRODUCTION';
+
+// Authorization header carrying an access token for the wallet
+function tokenFor(address) {
+  return `Bearer ${jwt.sign({ address }, JWT_SECRET)}`;
+}
+
+module.exports = {
+  JWT_SECRET,
+  tokenFor,
+};
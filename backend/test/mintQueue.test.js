@@ -0,0 +1,552 @@
+/**
+ * Mint Queue Tests
+ * Paid and refunded orders flow from a Stripe webhook stand-in through the mint queue to a local NFTicket
+ * @author NFTicket Protocol
+ */
+
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const sinon = require('sinon');
+const express = require('express');
+const request = require('supertest');
+const { tokenFor } = require('./helpers');
+
+describe('Mint Queue', function () {
+  const stripePath = require.resolve('stripe');
+  const ADMIN_KEY = 'test-internal-key';
+
+  let app;
+  let mockStripe;
+  let mintQueue;
+  let eventCatalog;
+  let nfticket;
+  let minter;
+  let buyer;
+  let event;
+  let tier;
+
+  beforeEach(async function () {
+    process.env.STRIPE_SECRET_KEY = 'sk_test_mock';
+    process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_mock';
+    process.env.INTERNAL_API_KEY = ADMIN_KEY;
+    process.env.SIGNER_PRIVATE_KEY ||= ethers.Wallet.createRandom().privateKey;
+    delete process.env.DATABASE_URL;
+
+    [, minter, buyer] = await ethers.getSigners();
+
+    const NFTicket = await ethers.getContractFactory('NFTicket');
+    nfticket = await NFTicket.deploy(
+      'Test Concert',
+      'A test concert event',
+      Math.floor(Date.now() / 1000) + 86400,
+      'Test Venue',
+      500,
+      ethers.parseEther('1.0'),
+      minter.address,
+      ethers.ZeroAddress
+    );
+    await nfticket.grantRole(await nfticket.MINTER_ROLE(), minter.address);
+    await nfticket.grantRole(await nfticket.ADMIN_ROLE(), minter.address);
+
+    mockStripe = {
+      checkout: {
+        sessions: {
+          create: sinon.stub().resolves({ id: 'cs_test_123', url: 'https://checkout.stripe.test/cs_test_123' }),
+          retrieve: sinon.stub(),
+          list: sinon.stub(),
+        },
+      },
+      refunds: {
+        create: sinon.stub().resolves({ id: 're_123', status: 'succeeded' }),
+      },
+      webhooks: {
+        constructEvent: sinon.stub(),
+      },
+    };
+
+    // Stand in for the stripe package so the router picks up the mock client
+    require.cache[stripePath] = { id: stripePath, filename: stripePath, loaded: true, exports: () => mockStripe };
+    for (const mod of [
+      '../api/routes/payments',
+      '../api/routes/mintJobs',
+      '../api/routes/events',
+      '../services/MintQueue',
+      '../services/TicketInventory',
+      '../services/EventCatalog',
+    ]) {
+      delete require.cache[require.resolve(mod)];
+    }
+
+    app = express();
+    app.use('/payments', (req, res, next) => (req.path === '/webhook' ? next() : express.json()(req, res, next)));
+    app.use('/payments', require('../api/routes/payments'));
+    app.use('/admin/mint-jobs', express.json(), require('../api/routes/mintJobs'));
+    app.use('/events', express.json(), require('../api/routes/events'));
+
+    mintQueue = require('../services/MintQueue');
+    mintQueue.setSignerFactory(() => minter);
+
+    eventCatalog = require('../services/EventCatalog');
+    const draft = await eventCatalog.createEvent(minter.address.toLowerCase(), {
+      name: 'Test Concert',
+      venue: 'Test Venue',
+      date: new Date('2030-06-01T20:00:00Z'),
+      contractAddress: await nfticket.getAddress(),
+      chainId: 31337,
+      venueConfig: {
+        sections: [{ id: 'A', name: 'Section A', category: 'VIP', rows: 5, seatsPerRow: 10 }],
+      },
+    });
+    event = await eventCatalog.updateEvent(draft.id, { status: eventCatalog.EVENT_STATUS.PUBLISHED });
+    tier = await eventCatalog.createTier(event.id, { name: 'GA', price: '25', supply: 10 });
+  });
+
+  afterEach(async function () {
+    await mintQueue.processDueJobs();
+    sinon.restore();
+    delete require.cache[stripePath];
+    delete process.env.STRIPE_SECRET_KEY;
+    delete process.env.STRIPE_WEBHOOK_SECRET;
+    delete process.env.INTERNAL_API_KEY;
+  });
+
+  async function payFor(quantity, seats) {
+    const checkout = await request(app)
+      .post('/payments/create-checkout-session')
+      .send({ eventId: event.id, tierId: tier.id, quantity, walletAddress: buyer.address, seats })
+      .expect(200);
+
+    mockStripe.checkout.sessions.list.resolves({
+      data: [{ id: 'cs_test_123', metadata: { reservationId: checkout.body.reservationId } }],
+    });
+
+    const completion = {
+      type: 'checkout.session.completed',
+      data: {
+        object: {
+          id: 'cs_test_123',
+          payment_intent: 'pi_123',
+          amount_total: quantity * 2500,
+          currency: 'usd',
+          payment_status: 'paid',
+          metadata: { reservationId: checkout.body.reservationId, ticketType: 'GA' },
+        },
+      },
+    };
+    mockStripe.webhooks.constructEvent.returns(completion);
+    return completion;
+  }
+
+  function reverse(type, object) {
+    mockStripe.webhooks.constructEvent.returns({ type, data: { object } });
+    return deliverWebhook();
+  }
+
+  function deliverWebhook() {
+    return request(app)
+      .post('/payments/webhook')
+      .set('stripe-signature', 'sig')
+      .set('content-type', 'application/json')
+      .send('{}')
+      .expect(200);
+  }
+
+  it('should mint each paid ticket exactly once across webhook retries', async function () {
+    await payFor(2);
+
+    await deliverWebhook();
+    await deliverWebhook();
+    await mintQueue.processDueJobs();
+
+    expect(await nfticket.balanceOf(buyer.address)).to.equal(2n);
+
+    const jobs = await mintQueue.listJobs({ sessionId: 'cs_test_123' });
+    expect(jobs).to.have.length(2);
+    expect(jobs.every(j => j.status === mintQueue.JOB_STATUS.MINTED)).to.equal(true);
+    expect(jobs.map(j => j.tokenId).sort()).to.deep.equal(['0', '1']);
+    // The whole order goes out as one batch transaction
+    expect(new Set(jobs.map(j => j.nonce)).size).to.equal(1);
+    expect(new Set(jobs.map(j => j.txHash)).size).to.equal(1);
+
+    // A late redelivery after minting is still a no-op
+    await deliverWebhook();
+    await mintQueue.processDueJobs();
+    expect(await nfticket.balanceOf(buyer.address)).to.equal(2n);
+  });
+
+  it('should mint a seated order in one transaction and match tokens to line items', async function () {
+    await payFor(3, [
+      { section: 'A', row: 1, seatNumber: 1 },
+      { section: 'A', row: 1, seatNumber: 2 },
+      { section: 'A', row: 1, seatNumber: 3 },
+    ]);
+    await deliverWebhook();
+    await mintQueue.processDueJobs();
+
+    const jobs = (await mintQueue.listJobs({ sessionId: 'cs_test_123' })).sort((a, b) => a.lineItem - b.lineItem);
+    expect(jobs.every(j => j.status === mintQueue.JOB_STATUS.MINTED)).to.equal(true);
+    expect(new Set(jobs.map(j => j.txHash)).size).to.equal(1);
+
+    for (const job of jobs) {
+      const seat = await nfticket.getSeatInfo(BigInt(job.tokenId));
+      expect(seat.seatNumber).to.equal(job.seat.seatNumber);
+      expect(seat.category).to.equal(job.seat.category);
+    }
+  });
+
+  it('should price zero-decimal currencies in whole units and keep checkout open past the Stripe minimum', async function () {
+    tier = await eventCatalog.createTier(event.id, { name: 'Tokyo GA', price: '1500', currency: 'JPY', supply: 10 });
+
+    const before = Math.floor(Date.now() / 1000);
+    const checkout = await request(app)
+      .post('/payments/create-checkout-session')
+      .send({ eventId: event.id, tierId: tier.id, quantity: 2, walletAddress: buyer.address })
+      .expect(200);
+
+    const params = mockStripe.checkout.sessions.create.firstCall.args[0];
+    expect(params.line_items[0].price_data.currency).to.equal('jpy');
+    expect(params.line_items[0].price_data.unit_amount).to.equal(1500);
+    expect(params.expires_at - before).to.be.greaterThan(30 * 60);
+
+    mockStripe.webhooks.constructEvent.returns({
+      type: 'checkout.session.completed',
+      data: {
+        object: {
+          id: 'cs_test_123',
+          amount_total: 3000,
+          currency: 'jpy',
+          payment_status: 'paid',
+          metadata: { reservationId: checkout.body.reservationId, ticketType: 'Tokyo GA' },
+        },
+      },
+    });
+    await deliverWebhook();
+
+    const jobs = await mintQueue.listJobs({ sessionId: 'cs_test_123' });
+    expect(jobs.map(j => j.amountPaid)).to.deep.equal(['1500', '1500']);
+  });
+
+  it('should back off, dead-letter and replay failed jobs', async function () {
+    await nfticket.revokeRole(await nfticket.MINTER_ROLE(), minter.address);
+
+    const { jobs: [queued] } = await mintQueue.enqueueMints([{
+      sessionId: 'cs_test_dead',
+      lineItem: 1,
+      eventId: event.id,
+      walletAddress: buyer.address.toLowerCase(),
+      chainId: 31337,
+      contractAddress: await nfticket.getAddress(),
+      tokenUri: 'https://api.nfticket.example.com/tickets/1',
+      maxAttempts: 2,
+    }]);
+
+    await mintQueue.processDueJobs();
+    let job = await mintQueue.getJob(queued.id);
+    expect(job.status).to.equal(mintQueue.JOB_STATUS.PENDING);
+    expect(job.attempts).to.equal(1);
+    expect(job.nextAttemptAt.getTime()).to.be.greaterThan(Date.now());
+
+    // Not due yet: backoff holds it back
+    await mintQueue.processDueJobs();
+    expect((await mintQueue.getJob(queued.id)).attempts).to.equal(1);
+
+    await mintQueue.processDueJobs({ now: new Date(Date.now() + 60 * 60 * 1000) });
+    job = await mintQueue.getJob(queued.id);
+    expect(job.status).to.equal(mintQueue.JOB_STATUS.DEAD);
+    expect(job.lastError).to.be.a('string');
+
+    const dead = await request(app)
+      .get('/admin/mint-jobs?status=dead')
+      .set('x-api-key', ADMIN_KEY);
+    expect(dead.body.count).to.equal(1);
+
+    await nfticket.grantRole(await nfticket.MINTER_ROLE(), minter.address);
+
+    const replay = await request(app)
+      .post(`/admin/mint-jobs/${queued.id}/replay`)
+      .set('x-api-key', ADMIN_KEY);
+    expect(replay.status).to.equal(200);
+    await mintQueue.processDueJobs();
+
+    job = await mintQueue.getJob(queued.id);
+    expect(job.status).to.equal(mintQueue.JOB_STATUS.MINTED);
+    expect(await nfticket.balanceOf(buyer.address)).to.equal(1n);
+  });
+
+  async function enqueueOne(sessionId) {
+    const { jobs: [queued] } = await mintQueue.enqueueMints([{
+      sessionId,
+      lineItem: 1,
+      eventId: event.id,
+      walletAddress: buyer.address.toLowerCase(),
+      chainId: 31337,
+      contractAddress: await nfticket.getAddress(),
+      tokenUri: `https://api.nfticket.example.com/tickets/${sessionId}/1`,
+    }]);
+    return queued;
+  }
+
+  // Minter whose first send fails after the given step (the transaction may or may not have gone out)
+  function flakyMinter(failure) {
+    const flaky = Object.create(minter);
+    let failed = false;
+    flaky.sendTransaction = async (tx) => {
+      if (failed) return minter.sendTransaction(tx);
+      failed = true;
+      return failure(tx);
+    };
+    return flaky;
+  }
+
+  it('should not mint twice when a send fails after its transaction was mined', async function () {
+    const flaky = flakyMinter(async (tx) => {
+      await (await minter.sendTransaction(tx)).wait();
+      throw Object.assign(new Error('nonce too low'), { code: 'NONCE_EXPIRED' });
+    });
+    mintQueue.setSignerFactory(() => flaky);
+    const queued = await enqueueOne('cs_test_mined');
+
+    await mintQueue.processDueJobs();
+    let job = await mintQueue.getJob(queued.id);
+    expect(job.status).to.equal(mintQueue.JOB_STATUS.PENDING);
+    expect(job.nonce).to.not.equal(null);
+
+    await mintQueue.processDueJobs({ now: new Date(Date.now() + 60 * 60 * 1000) });
+    job = await mintQueue.getJob(queued.id);
+    expect(job.status).to.equal(mintQueue.JOB_STATUS.MINTED);
+    expect(job.tokenId).to.equal('0');
+    expect(job.txHash).to.be.a('string');
+    expect(await nfticket.balanceOf(buyer.address)).to.equal(1n);
+  });
+
+  it('should mint with a fresh nonce once another transaction used the pinned one', async function () {
+    const flaky = flakyMinter(async () => {
+      throw new Error('request timeout');
+    });
+    mintQueue.setSignerFactory(() => flaky);
+    const queued = await enqueueOne('cs_test_lost');
+
+    await mintQueue.processDueJobs();
+    const { nonce } = await mintQueue.getJob(queued.id);
+    expect(nonce).to.equal(await minter.getNonce());
+
+    // Something else takes the nonce before the retry
+    await (await minter.sendTransaction({ to: minter.address, value: 0 })).wait();
+
+    await mintQueue.processDueJobs({ now: new Date(Date.now() + 60 * 60 * 1000) });
+    const job = await mintQueue.getJob(queued.id);
+    expect(job.status).to.equal(mintQueue.JOB_STATUS.MINTED);
+    expect(job.nonce).to.equal(nonce + 1);
+    expect(await nfticket.balanceOf(buyer.address)).to.equal(1n);
+  });
+
+  it('should only replay dead jobs and require the internal key', async function () {
+    await payFor(1);
+    await deliverWebhook();
+    await mintQueue.processDueJobs();
+
+    const [job] = await mintQueue.listJobs({ sessionId: 'cs_test_123' });
+
+    const unauthorized = await request(app).post(`/admin/mint-jobs/${job.id}/replay`);
+    expect(unauthorized.status).to.equal(401);
+
+    const replay = await request(app)
+      .post(`/admin/mint-jobs/${job.id}/replay`)
+      .set('x-api-key', ADMIN_KEY);
+    expect(replay.status).to.equal(409);
+  });
+
+  it('should void refunded tickets on-chain and free their seat and inventory', async function () {
+    const voided = sinon.spy();
+    mintQueue.events.on('ticketVoided', voided);
+
+    await payFor(1, [{ section: 'A', row: 2, seatNumber: 7 }]);
+    await deliverWebhook();
+    await mintQueue.processDueJobs();
+    expect(await nfticket.isSeatAvailable('A', '2', '7')).to.equal(false);
+    expect((await eventCatalog.getTier(tier.id)).sold).to.equal(1);
+
+    await reverse('charge.refunded', { id: 'ch_123', payment_intent: 'pi_123', refunded: true });
+    await reverse('charge.refunded', { id: 'ch_123', payment_intent: 'pi_123', refunded: true });
+    await mintQueue.processDueJobs();
+
+    expect(await nfticket.balanceOf(buyer.address)).to.equal(0n);
+    expect(await nfticket.isSeatAvailable('A', '2', '7')).to.equal(true);
+    expect((await eventCatalog.getTier(tier.id)).sold).to.equal(0);
+
+    const voids = (await mintQueue.listJobs({ sessionId: 'cs_test_123' }))
+      .filter(j => j.action === mintQueue.JOB_ACTION.VOID);
+    expect(voids).to.have.length(1);
+    expect(voids[0].status).to.equal(mintQueue.JOB_STATUS.VOIDED);
+
+    expect(voided.calledOnce).to.equal(true);
+    expect(voided.firstCall.args[0]).to.include({
+      walletAddress: buyer.address.toLowerCase(),
+      tokenId: '0',
+      reason: 'refund',
+    });
+  });
+
+  it('should cancel mints that have not gone out when a dispute opens', async function () {
+    mintQueue.setSignerFactory(() => {
+      throw new Error('RPC unavailable');
+    });
+
+    await payFor(2);
+    await deliverWebhook();
+    await mintQueue.processDueJobs();
+
+    await reverse('charge.dispute.created', { id: 'dp_123', charge: 'ch_123', payment_intent: 'pi_123' });
+    await mintQueue.processDueJobs();
+
+    const jobs = await mintQueue.listJobs({ sessionId: 'cs_test_123' });
+    const mints = jobs.filter(j => j.action === mintQueue.JOB_ACTION.MINT);
+    const voids = jobs.filter(j => j.action === mintQueue.JOB_ACTION.VOID);
+    expect(mints.every(j => j.status === mintQueue.JOB_STATUS.CANCELLED)).to.equal(true);
+    expect(voids.every(j => j.status === mintQueue.JOB_STATUS.VOIDED && j.reason === 'dispute')).to.equal(true);
+    expect((await eventCatalog.getTier(tier.id)).sold).to.equal(0);
+
+    // Nothing is left for the worker once the RPC comes back
+    mintQueue.setSignerFactory(() => minter);
+    await mintQueue.processDueJobs({ now: new Date(Date.now() + 60 * 60 * 1000) });
+    expect(await nfticket.balanceOf(buyer.address)).to.equal(0n);
+  });
+
+  it('should not mint an order whose refund arrived before its completion', async function () {
+    const completion = await payFor(1, [{ section: 'A', row: 4, seatNumber: 2 }]);
+
+    await reverse('charge.refunded', { id: 'ch_123', payment_intent: 'pi_123', refunded: true });
+    expect((await eventCatalog.getTier(tier.id)).sold).to.equal(0);
+
+    mockStripe.webhooks.constructEvent.returns(completion);
+    await deliverWebhook();
+    await mintQueue.processDueJobs();
+
+    expect(await nfticket.balanceOf(buyer.address)).to.equal(0n);
+    expect(await mintQueue.listJobs({ sessionId: 'cs_test_123' })).to.have.length(0);
+    expect((await eventCatalog.getTier(tier.id)).sold).to.equal(0);
+  });
+
+  it('should keep tickets valid after a partial refund', async function () {
+    await payFor(1);
+    await deliverWebhook();
+    await mintQueue.processDueJobs();
+
+    await reverse('charge.refunded', { id: 'ch_123', payment_intent: 'pi_123', refunded: false, amount_refunded: 500 });
+    await mintQueue.processDueJobs();
+
+    expect(await nfticket.balanceOf(buyer.address)).to.equal(1n);
+    expect((await eventCatalog.getTier(tier.id)).sold).to.equal(1);
+  });
+
+  describe('Payments completing after the hold lapsed', function () {
+    const SEAT = { section: 'A', row: 3, seatNumber: 1 };
+
+    async function payAndExpire() {
+      const completion = await payFor(1, [SEAT]);
+      const { reservationId } = completion.data.object.metadata;
+      await reverse('checkout.session.expired', { id: 'cs_test_123', metadata: { reservationId } });
+      expect((await eventCatalog.getTier(tier.id)).sold).to.equal(0);
+      return { completion, reservationId };
+    }
+
+    it('should take the tickets again while they are still free', async function () {
+      const { completion } = await payAndExpire();
+
+      mockStripe.webhooks.constructEvent.returns(completion);
+      await deliverWebhook();
+      await mintQueue.processDueJobs();
+
+      expect(await nfticket.balanceOf(buyer.address)).to.equal(1n);
+      expect((await eventCatalog.getTier(tier.id)).sold).to.equal(1);
+      expect(mockStripe.refunds.create.called).to.equal(false);
+    });
+
+    it('should refund the payment once its seat was sold again', async function () {
+      const { completion, reservationId } = await payAndExpire();
+      await request(app)
+        .post('/payments/create-checkout-session')
+        .send({ eventId: event.id, tierId: tier.id, quantity: 1, walletAddress: minter.address, seats: [SEAT] })
+        .expect(200);
+
+      mockStripe.webhooks.constructEvent.returns(completion);
+      await deliverWebhook();
+      await deliverWebhook();
+      await mintQueue.processDueJobs();
+
+      expect(await nfticket.balanceOf(buyer.address)).to.equal(0n);
+      expect(await mintQueue.listJobs({ sessionId: 'cs_test_123' })).to.have.length(0);
+      expect((await eventCatalog.getTier(tier.id)).sold).to.equal(1);
+
+      expect(mockStripe.refunds.create.calledOnce).to.equal(true);
+      const [params, options] = mockStripe.refunds.create.firstCall.args;
+      expect(params.payment_intent).to.equal('pi_123');
+      expect(options.idempotencyKey).to.equal('unfulfilled-cs_test_123');
+
+      const ticketInventory = require('../services/TicketInventory');
+      expect((await ticketInventory.getReservation(reservationId)).status).to.equal('refunded');
+    });
+  });
+
+  it('should airdrop organizer comps through the queue once per idempotency key', async function () {
+    const organizerToken = tokenFor(minter.address);
+    const [, , , friendA, friendB] = await ethers.getSigners();
+
+    const airdrop = () => request(app)
+      .post(`/events/${event.id}/airdrop`)
+      .set('Authorization', organizerToken)
+      .set('Idempotency-Key', 'comps-batch-1')
+      .send({ tierId: tier.id, recipients: [friendA.address, friendB.address] });
+
+    const first = await airdrop();
+    expect(first.status).to.equal(202);
+    const second = await airdrop();
+    expect(second.body.sessionId).to.equal(first.body.sessionId);
+    await mintQueue.processDueJobs();
+
+    expect(await nfticket.balanceOf(friendA.address)).to.equal(1n);
+    expect(await nfticket.balanceOf(friendB.address)).to.equal(1n);
+    expect((await eventCatalog.getTier(tier.id)).sold).to.equal(2);
+  });
+
+  it('should reserve an airdrop once when retries race and keep the key out of token URIs', async function () {
+    const organizerToken = tokenFor(minter.address);
+    const [, , , friendA, friendB] = await ethers.getSigners();
+
+    const airdrop = (key) => request(app)
+      .post(`/events/${event.id}/airdrop`)
+      .set('Authorization', organizerToken)
+      .set('Idempotency-Key', key)
+      .send({ tierId: tier.id, recipients: [friendA.address, friendB.address] });
+
+    await airdrop('comps batch/1').expect(400);
+    await airdrop('k'.repeat(65)).expect(400);
+
+    const [first, second] = await Promise.all([airdrop('comps-batch-2'), airdrop('comps-batch-2')]);
+    expect(first.status).to.equal(202);
+    expect(second.status).to.equal(202);
+    expect((await eventCatalog.getTier(tier.id)).sold).to.equal(2);
+
+    const jobs = await mintQueue.listJobs({ sessionId: first.body.sessionId });
+    expect(jobs).to.have.length(2);
+    expect(jobs.every(job => !job.tokenUri.includes('comps-batch-2'))).to.equal(true);
+  });
+
+  it('should return the reserved tickets when an airdrop cannot be queued', async function () {
+    const organizerToken = tokenFor(minter.address);
+    const [, , , friendA] = await ethers.getSigners();
+    const enqueue = sinon.stub(mintQueue, 'enqueueMints').rejects(new Error('database unavailable'));
+
+    try {
+      await request(app)
+        .post(`/events/${event.id}/airdrop`)
+        .set('Authorization', organizerToken)
+        .send({ tierId: tier.id, recipients: [friendA.address] })
+        .expect(500);
+    } finally {
+      enqueue.restore();
+    }
+
+    expect((await eventCatalog.getTier(tier.id)).sold).to.equal(0);
+  });
+});
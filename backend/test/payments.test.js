@@ -104,6 +104,162 @@ describe('Payment Routes', function () {
   });
 });
 
+describe('Checkout pricing and inventory', function () {
+  const WALLET = '0x1111111111111111111111111111111111111111';
+  const CONTRACT = '0x3333333333333333333333333333333333333333';
+  const stripePath = require.resolve('stripe');
+
+  let app;
+  let mockStripe;
+  let eventCatalog;
+  let event;
+  let tier;
+
+  beforeEach(async function () {
+    process.env.STRIPE_SECRET_KEY = 'sk_test_mock';
+    process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_mock';
+    delete process.env.DATABASE_URL;
+
+    mockStripe = {
+      checkout: {
+        sessions: {
+          create: sinon.stub().resolves({ id: 'cs_test_123', url: 'https://checkout.stripe.test/cs_test_123' }),
+          retrieve: sinon.stub(),
+        },
+      },
+      webhooks: {
+        constructEvent: sinon.stub(),
+      },
+    };
+
+    // Stand in for the stripe package so the router picks up the mock client
+    require.cache[stripePath] = { id: stripePath, filename: stripePath, loaded: true, exports: () => mockStripe };
+    delete require.cache[require.resolve('../api/routes/payments')];
+    delete require.cache[require.resolve('../services/TicketInventory')];
+    delete require.cache[require.resolve('../services/EventCatalog')];
+
+    eventCatalog = require('../services/EventCatalog');
+    const draft = await eventCatalog.createEvent(WALLET, {
+      name: 'Test Concert',
+      venue: 'Test Venue',
+      date: new Date('2030-06-01T20:00:00Z'),
+      contractAddress: CONTRACT,
+      venueConfig: {
+        sections: [{ id: 'floor', name: 'Floor', category: 'GA', rows: 2, seatsPerRow: 5 }],
+      },
+    });
+    event = await eventCatalog.updateEvent(draft.id, { status: eventCatalog.EVENT_STATUS.PUBLISHED });
+    tier = await eventCatalog.createTier(event.id, { name: 'Floor', price: '49.99', supply: 3, sectionId: 'floor' });
+
+    app = express();
+    app.use(express.json());
+    app.use('/payments', require('../api/routes/payments'));
+  });
+
+  afterEach(function () {
+    sinon.restore();
+    delete require.cache[stripePath];
+    delete process.env.STRIPE_SECRET_KEY;
+    delete process.env.STRIPE_WEBHOOK_SECRET;
+  });
+
+  it('should price from the tier and ignore client pricing and token URIs', async function () {
+    const response = await request(app)
+      .post('/payments/create-checkout-session')
+      .send({
+        eventId: event.id,
+        tierId: tier.id,
+        quantity: 2,
+        walletAddress: WALLET,
+        metadata: { priceInCents: 1, priceInWei: '1', tokenURI: 'ipfs://forged' },
+      });
+
+    expect(response.status).to.equal(200);
+    expect(response.body.sessionId).to.equal('cs_test_123');
+
+    const params = mockStripe.checkout.sessions.create.firstCall.args[0];
+    expect(params.line_items[0].price_data.unit_amount).to.equal(4999);
+    expect(params.line_items[0].price_data.currency).to.equal('usd');
+    expect(params.line_items[0].quantity).to.equal(2);
+    expect(params.metadata).to.not.have.any.keys('priceInCents', 'priceInWei', 'tokenURI');
+    expect(params.metadata.reservationId).to.equal(response.body.reservationId);
+
+    const updated = await eventCatalog.getTier(tier.id);
+    expect(updated.sold).to.equal(2);
+  });
+
+  it('should reject checkouts that would oversell the tier', async function () {
+    await request(app)
+      .post('/payments/create-checkout-session')
+      .send({ eventId: event.id, tierId: tier.id, quantity: 3, walletAddress: WALLET })
+      .expect(200);
+
+    const response = await request(app)
+      .post('/payments/create-checkout-session')
+      .send({ eventId: event.id, tierId: tier.id, quantity: 1, walletAddress: WALLET });
+
+    expect(response.status).to.equal(409);
+    expect(mockStripe.checkout.sessions.create.callCount).to.equal(1);
+  });
+
+  it('should validate seats against the venue and hold them', async function () {
+    const outOfRange = await request(app)
+      .post('/payments/create-checkout-session')
+      .send({ eventId: event.id, tierId: tier.id, walletAddress: WALLET, seats: [{ section: 'floor', row: 9, seatNumber: 1 }] });
+    expect(outOfRange.status).to.equal(400);
+
+    const seats = [{ section: 'floor', row: 1, seatNumber: 2 }];
+    await request(app)
+      .post('/payments/create-checkout-session')
+      .send({ eventId: event.id, tierId: tier.id, walletAddress: WALLET, seats })
+      .expect(200);
+
+    const taken = await request(app)
+      .post('/payments/create-checkout-session')
+      .send({ eventId: event.id, tierId: tier.id, walletAddress: WALLET, seats });
+    expect(taken.status).to.equal(409);
+
+    // The failed hold must hand its inventory back
+    const updated = await eventCatalog.getTier(tier.id);
+    expect(updated.sold).to.equal(1);
+  });
+
+  it('should release inventory when Stripe session creation fails', async function () {
+    mockStripe.checkout.sessions.create.rejects(new Error('Stripe unavailable'));
+
+    const response = await request(app)
+      .post('/payments/create-checkout-session')
+      .send({ eventId: event.id, tierId: tier.id, quantity: 2, walletAddress: WALLET });
+
+    expect(response.status).to.equal(500);
+    const updated = await eventCatalog.getTier(tier.id);
+    expect(updated.sold).to.equal(0);
+  });
+
+  it('should release the hold when the checkout session expires', async function () {
+    const checkout = await request(app)
+      .post('/payments/create-checkout-session')
+      .send({ eventId: event.id, tierId: tier.id, quantity: 2, walletAddress: WALLET });
+
+    mockStripe.webhooks.constructEvent.returns({
+      type: 'checkout.session.expired',
+      data: { object: { id: 'cs_test_123', metadata: { reservationId: checkout.body.reservationId } } },
+    });
+
+    const hook = express();
+    hook.use('/payments', require('../api/routes/payments'));
+    await request(hook)
+      .post('/payments/webhook')
+      .set('stripe-signature', 'sig')
+      .set('content-type', 'application/json')
+      .send('{}')
+      .expect(200);
+
+    const updated = await eventCatalog.getTier(tier.id);
+    expect(updated.sold).to.equal(0);
+  });
+});
+
 describe('Payment System Disabled', function () {
   beforeEach(function () {
     // Ensure STRIPE_SECRET_KEY is not set
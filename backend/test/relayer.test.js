@@ -0,0 +1,292 @@
+/**
+ * Relayer Tests
+ * Holders sign ERC-2771 forward requests that the relayer submits through a local NFTicketForwarder,
+ * paying the gas for known events and the loyalty program within per-wallet and per-event budgets
+ * @author NFTicket Protocol
+ */
+
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const express = require('express');
+const request = require('supertest');
+
+const CHAIN_ID = 31337;
+const REQUEST_GAS = 150000;
+
+describe('Relayer', function () {
+  let app;
+  let forwarder;
+  let factory;
+  let nfticket;
+  let loyaltyPoints;
+  let admin;
+  let relayerSigner;
+  let holder;
+  let recipient;
+
+  beforeEach(async function () {
+    [admin, relayerSigner, holder, recipient] = await ethers.getSigners();
+
+    const NFTicketForwarder = await ethers.getContractFactory('NFTicketForwarder');
+    forwarder = await NFTicketForwarder.deploy();
+    const forwarderAddress = await forwarder.getAddress();
+
+    // Events are clones of an implementation that trusts the forwarder
+    const NFTicket = await ethers.getContractFactory('NFTicket');
+    const implementation = await NFTicket.deploy('NFTicket Implementation', '', 0, '', 0, 0, admin.address, forwarderAddress);
+    const EventFactory = await ethers.getContractFactory('EventFactory');
+    factory = await EventFactory.deploy(await implementation.getAddress());
+    nfticket = await createFactoryEvent('Test Concert');
+    for (let i = 0; i < 3; i++) {
+      await nfticket.mintTicket(holder.address, `https://example.com/token/${i}`, 0);
+    }
+
+    const LoyaltyPoints = await ethers.getContractFactory('LoyaltyPoints');
+    loyaltyPoints = await LoyaltyPoints.deploy(admin.address, forwarderAddress);
+    await loyaltyPoints.awardPoints(holder.address, 100, 'Test award');
+
+    process.env.FORWARDER_LOCAL = forwarderAddress;
+    process.env.EVENT_FACTORY_LOCAL = await factory.getAddress();
+    process.env.LOYALTY_CONTRACT_LOCAL = await loyaltyPoints.getAddress();
+    // Room for two requests per wallet
+    process.env.RELAYER_WALLET_GAS_BUDGET = String(REQUEST_GAS * 2);
+    delete process.env.DATABASE_URL;
+    for (const mod of [
+      '../api/routes/relay',
+      '../services/RelayerService',
+      '../services/EventFactoryRegistry',
+      '../services/EventCatalog',
+    ]) {
+      delete require.cache[require.resolve(mod)];
+    }
+
+    await linkCatalogEvent(nfticket);
+
+    const relayerService = require('../services/RelayerService');
+    relayerService.setSignerFactory(() => relayerSigner);
+
+    app = express();
+    app.use(express.json());
+    app.use('/relay', require('../api/routes/relay'));
+  });
+
+  after(function () {
+    delete process.env.FORWARDER_LOCAL;
+    delete process.env.EVENT_FACTORY_LOCAL;
+    delete process.env.LOYALTY_CONTRACT_LOCAL;
+    delete process.env.RELAYER_WALLET_GAS_BUDGET;
+  });
+
+  async function createFactoryEvent(name) {
+    const tx = await factory.createEvent({
+      name,
+      description: 'A test concert event',
+      date: Math.floor(Date.now() / 1000) + 86400,
+      venue: 'Test Venue',
+      royaltyCap: 500,
+      maxPrice: ethers.parseEther('1.0'),
+      royaltyRecipient: admin.address,
+    });
+    const receipt = await tx.wait();
+    const log = receipt.logs
+      .map(l => { try { return factory.interface.parseLog(l); } catch { return null; } })
+      .find(parsed => parsed && parsed.name === 'EventCreated');
+    return ethers.getContractAt('NFTicket', log.args.nfticket);
+  }
+
+  async function linkCatalogEvent(contract) {
+    const eventCatalog = require('../services/EventCatalog');
+    return eventCatalog.createEvent(admin.address.toLowerCase(), {
+      name: 'Test Concert',
+      venue: 'Test Venue',
+      date: new Date('2030-06-01T20:00:00Z'),
+      chainId: CHAIN_ID,
+      contractAddress: await contract.getAddress(),
+    });
+  }
+
+  async function signedRequest(signer, target, data, { nonceOffset = 0, gas = REQUEST_GAS } = {}) {
+    const params = await request(app)
+      .get('/relay/params')
+      .query({ chainId: CHAIN_ID, wallet: signer.address });
+    expect(params.status).to.equal(200);
+
+    const forwardRequest = {
+      from: signer.address,
+      to: await target.getAddress(),
+      value: '0',
+      gas: String(gas),
+      nonce: String(BigInt(params.body.nonce) + BigInt(nonceOffset)),
+      deadline: Math.floor(Date.now() / 1000) + 3600,
+      data,
+    };
+    const signature = await signer.signTypedData(params.body.domain, params.body.types, forwardRequest);
+    return { chainId: CHAIN_ID, request: forwardRequest, signature };
+  }
+
+  function relay(body) {
+    return request(app).post('/relay').send(body);
+  }
+
+  describe('Sponsored calls', function () {
+    it('should use a ticket for the holder who signed the request', async function () {
+      const body = await signedRequest(holder, nfticket, nfticket.interface.encodeFunctionData('useTicket', [0]));
+
+      const response = await relay(body);
+      expect(response.status).to.equal(202);
+      expect(response.body.functionName).to.equal('useTicket');
+      expect(response.body.budgets.wallet.used).to.equal(String(REQUEST_GAS));
+
+      const receipt = await ethers.provider.getTransactionReceipt(response.body.transactionHash);
+      expect(receipt.from).to.equal(relayerSigner.address);
+      expect(await nfticket.ticketUsed(0)).to.be.true;
+    });
+
+    it('should transfer a ticket as the holder', async function () {
+      const data = nfticket.interface.encodeFunctionData('transferWithPrice', [holder.address, recipient.address, 1, 0]);
+
+      const response = await relay(await signedRequest(holder, nfticket, data));
+      expect(response.status).to.equal(202);
+      expect(await nfticket.ownerOf(1)).to.equal(recipient.address);
+    });
+
+    it('should resell a ticket of an ERC-20 event with a permit instead of an approve', async function () {
+      const ERC20PermitMock = await ethers.getContractFactory('ERC20PermitMock');
+      const token = await ERC20PermitMock.deploy('USD Coin', 'USDC', 6);
+      const usdcEvent = await createFactoryEvent('USDC Concert');
+      await usdcEvent.setPaymentToken(await token.getAddress(), 100_000_000);
+      await usdcEvent.mintTicket(holder.address, 'https://example.com/token/0', 50_000_000);
+      await token.mint(holder.address, 100_000_000);
+      await linkCatalogEvent(usdcEvent);
+
+      const salePrice = 40_000_000;
+      const deadline = Math.floor(Date.now() / 1000) + 3600;
+      const { v, r, s } = ethers.Signature.from(await holder.signTypedData(
+        { name: 'USD Coin', version: '1', chainId: CHAIN_ID, verifyingContract: await token.getAddress() },
+        {
+          Permit: [
+            { name: 'owner', type: 'address' },
+            { name: 'spender', type: 'address' },
+            { name: 'value', type: 'uint256' },
+            { name: 'nonce', type: 'uint256' },
+            { name: 'deadline', type: 'uint256' },
+          ],
+        },
+        { owner: holder.address, spender: await usdcEvent.getAddress(), value: salePrice, nonce: 0, deadline }
+      ));
+      const data = usdcEvent.interface.encodeFunctionData('transferWithPermit', [
+        holder.address, recipient.address, 0, salePrice, deadline, v, r, s,
+      ]);
+
+      // The permit and both token payments need the wallet's whole budget
+      const response = await relay(await signedRequest(holder, usdcEvent, data, { gas: REQUEST_GAS * 2 }));
+      expect(response.status).to.equal(202);
+      expect(response.body.functionName).to.equal('transferWithPermit');
+      expect(await usdcEvent.ownerOf(0)).to.equal(recipient.address);
+    });
+
+    it('should redeem loyalty points for the holder', async function () {
+      const data = loyaltyPoints.interface.encodeFunctionData('redeemPoints', [40, 'Free drink']);
+
+      const response = await relay(await signedRequest(holder, loyaltyPoints, data));
+      expect(response.status).to.equal(202);
+      expect(await loyaltyPoints.balanceOf(holder.address)).to.equal(60);
+    });
+  });
+
+  describe('Rejections', function () {
+    it('should reject a request signed by another wallet', async function () {
+      const body = await signedRequest(recipient, nfticket, nfticket.interface.encodeFunctionData('useTicket', [0]));
+      body.request.from = holder.address;
+
+      const response = await relay(body);
+      expect(response.status).to.equal(401);
+      expect(response.body.code).to.equal('invalid_signature');
+      expect(await nfticket.ticketUsed(0)).to.be.false;
+    });
+
+    it('should only sponsor the contracts of catalog events', async function () {
+      // A genuine factory event that no catalog event links to
+      const unlisted = await createFactoryEvent('Unlisted Concert');
+      await unlisted.mintTicket(holder.address, 'https://example.com/token/0', 0);
+
+      const response = await relay(await signedRequest(holder, unlisted, unlisted.interface.encodeFunctionData('useTicket', [0])));
+      expect(response.status).to.equal(403);
+      expect(response.body.code).to.equal('not_sponsored');
+      expect(await unlisted.ticketUsed(0)).to.be.false;
+    });
+
+    it('should not sponsor catalog contracts the event factory did not create', async function () {
+      // A contract that merely exposes useTicket(uint256) and trusts the forwarder
+      const NFTicket = await ethers.getContractFactory('NFTicket');
+      const rogue = await NFTicket.deploy(
+        'Rogue', '', Math.floor(Date.now() / 1000) + 86400, '', 0, 0, holder.address, await forwarder.getAddress()
+      );
+      await rogue.mintTicket(holder.address, 'https://example.com/token/0', 0);
+      await linkCatalogEvent(rogue);
+
+      const response = await relay(await signedRequest(holder, rogue, rogue.interface.encodeFunctionData('useTicket', [0])));
+      expect(response.status).to.equal(403);
+      expect(response.body.code).to.equal('not_sponsored');
+    });
+
+    it('should not sponsor points redemptions on other contracts', async function () {
+      const LoyaltyPoints = await ethers.getContractFactory('LoyaltyPoints');
+      const other = await LoyaltyPoints.deploy(admin.address, await forwarder.getAddress());
+      const data = other.interface.encodeFunctionData('redeemPoints', [1, 'Free drink']);
+
+      const response = await relay(await signedRequest(holder, other, data));
+      expect(response.status).to.equal(403);
+    });
+
+    it('should not sponsor calls outside the allowlist', async function () {
+      const data = nfticket.interface.encodeFunctionData('withdraw');
+
+      const response = await relay(await signedRequest(holder, nfticket, data));
+      expect(response.status).to.equal(403);
+      expect(response.body.code).to.equal('not_sponsored');
+    });
+
+    it('should not pay for a call that would revert', async function () {
+      // Someone else's ticket
+      const body = await signedRequest(recipient, nfticket, nfticket.interface.encodeFunctionData('useTicket', [0]));
+
+      const response = await relay(body);
+      expect(response.status).to.equal(422);
+      expect(response.body.code).to.equal('call_reverted');
+    });
+
+    it('should reject a request with a stale nonce', async function () {
+      const body = await signedRequest(holder, nfticket, nfticket.interface.encodeFunctionData('useTicket', [0]), {
+        nonceOffset: 1,
+      });
+
+      const response = await relay(body);
+      expect(response.status).to.equal(400);
+      expect(response.body.code).to.equal('invalid_request');
+    });
+
+    it('should stop sponsoring a wallet once its budget is used up', async function () {
+      for (const tokenId of [0, 1]) {
+        const data = nfticket.interface.encodeFunctionData('useTicket', [tokenId]);
+        expect((await relay(await signedRequest(holder, nfticket, data))).status).to.equal(202);
+      }
+
+      const data = nfticket.interface.encodeFunctionData('useTicket', [2]);
+      const response = await relay(await signedRequest(holder, nfticket, data));
+      expect(response.status).to.equal(429);
+      expect(response.body.code).to.equal('budget_exceeded');
+      expect(response.body.budgets.wallet.used).to.equal(String(REQUEST_GAS * 2));
+      expect(await nfticket.ticketUsed(2)).to.be.false;
+    });
+
+    it('should report chains without a forwarder as unavailable', async function () {
+      const params = await request(app).get('/relay/params').query({ chainId: 1, wallet: holder.address });
+      expect(params.status).to.equal(503);
+
+      const body = await signedRequest(holder, nfticket, nfticket.interface.encodeFunctionData('useTicket', [0]));
+      const response = await relay({ ...body, chainId: 1 });
+      expect(response.status).to.equal(503);
+    });
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * SignerService Tests
+ * Tests for multi-chain ticket proof verification and replay protection
+ * @author NFTicket Protocol
+ */
+
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+
+const BASE_CONTRACT = '0x00000000000000000000000000000000000000ba';
+const POLYGON_CONTRACT = '0x0000000000000000000000000000000000000137';
+const OWNER = '0x4444444444444444444444444444444444444444';
+
+const TYPES = {
+  TicketProof: [
+    { name: 'tokenId', type: 'uint256' },
+    { name: 'owner', type: 'address' },
+    { name: 'timestamp', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+};
+
+describe('SignerService', function () {
+  let signerService;
+  let eventCatalog;
+  let signer;
+
+  beforeEach(function () {
+    signer = ethers.Wallet.createRandom();
+    process.env.NODE_ENV = 'development';
+    process.env.SIGNER_PRIVATE_KEY = signer.privateKey;
+    process.env.CONTRACT_BASE = BASE_CONTRACT;
+    process.env.CONTRACT_POLYGON = POLYGON_CONTRACT;
+    process.env.CHAIN_ID = '11155111';
+    delete process.env.DATABASE_URL;
+    delete process.env.REDIS_URL;
+    for (const mod of ['../services/SignerService', '../services/NonceStorage', '../services/EventCatalog']) {
+      delete require.cache[require.resolve(mod)];
+    }
+
+    signerService = require('../services/SignerService');
+    eventCatalog = require('../services/EventCatalog');
+  });
+
+  after(function () {
+    delete process.env.CONTRACT_BASE;
+    delete process.env.CONTRACT_POLYGON;
+    delete process.env.CHAIN_ID;
+  });
+
+  describe('Multi-chain proofs', function () {
+    it('should verify proofs for chains other than the default', async function () {
+      for (const [chainId, contractAddress] of [[8453, BASE_CONTRACT], [137, POLYGON_CONTRACT]]) {
+        const proof = await signerService.generateTicketProof(7, OWNER, chainId);
+        const result = await signerService.verifyTicketProof(proof.data, proof.signature);
+
+        expect(result.valid, result.reason).to.equal(true);
+        expect(result.chainId).to.equal(chainId);
+        expect(result.contractAddress).to.equal(contractAddress);
+      }
+    });
+
+    it('should reject a proof whose chainId was changed', async function () {
+      const proof = await signerService.generateTicketProof(7, OWNER, 8453);
+
+      const result = await signerService.verifyTicketProof({ ...proof.data, chainId: 137 }, proof.signature);
+      expect(result.valid).to.equal(false);
+      expect(result.reason).to.equal('Invalid signature');
+    });
+
+    it('should reject unsupported chains', async function () {
+      const proof = await signerService.generateTicketProof(7, OWNER, 8453);
+
+      const result = await signerService.verifyTicketProof({ ...proof.data, chainId: 999 }, proof.signature);
+      expect(result.valid).to.equal(false);
+      expect(result.reason).to.include('Unsupported chain');
+    });
+
+    it('should namespace replay nonces per chain and contract', async function () {
+      const timestamp = Math.floor(Date.now() / 1000);
+      const value = { tokenId: 7n, owner: OWNER, timestamp, nonce: 12345 };
+
+      const proofFor = async (chainId, verifyingContract) => ({
+        data: { tokenId: 7, owner: OWNER, timestamp, nonce: 12345, chainId },
+        signature: await signer.signTypedData(
+          { name: 'NFTicket', version: '1', chainId, verifyingContract },
+          TYPES,
+          value
+        ),
+      });
+
+      const base = await proofFor(8453, BASE_CONTRACT);
+      const polygon = await proofFor(137, POLYGON_CONTRACT);
+
+      expect((await signerService.verifyTicketProof(base.data, base.signature)).valid).to.equal(true);
+      expect((await signerService.verifyTicketProof(polygon.data, polygon.signature)).valid).to.equal(true);
+
+      const replay = await signerService.verifyTicketProof(base.data, base.signature);
+      expect(replay.valid).to.equal(false);
+      expect(replay.reason).to.include('replay');
+    });
+  });
+
+  describe('On-chain ownership', function () {
+    const hre = require('hardhat');
+    let nfticket;
+    let holder;
+
+    beforeEach(async function () {
+      [, holder] = await hre.ethers.getSigners();
+      const NFTicket = await hre.ethers.getContractFactory('NFTicket');
+      nfticket = await NFTicket.deploy(
+        'Festival', 'Three days', Math.floor(Date.now() / 1000) + 86400, 'Park', 500, ethers.parseEther('1'), holder.address, ethers.ZeroAddress
+      );
+      // Three-day pass with one entry per day
+      await nfticket.mintPass(holder.address, 'https://example.com/pass', 0, 0b111, 1);
+
+      process.env.NFTICKET_CONTRACT_ADDRESS = await nfticket.getAddress();
+      delete require.cache[require.resolve('../services/SignerService')];
+      signerService = require('../services/SignerService');
+      signerService.setProvider(31337, hre.ethers.provider);
+    });
+
+    after(function () {
+      delete process.env.NFTICKET_CONTRACT_ADDRESS;
+    });
+
+    it('should keep a partially used pass valid and report its sessions', async function () {
+      await nfticket.connect(holder).useSession(0, 0);
+
+      const result = await signerService.verifyOnChainOwnership(0, holder.address, 31337);
+      expect(result.valid, result.reason).to.equal(true);
+      expect(result.sessions).to.deep.equal([0, 1, 2]);
+      expect(result.sessionsUsed).to.deep.equal([0]);
+    });
+
+    it('should reject a pass once every session is used', async function () {
+      for (const day of [0, 1, 2]) {
+        await nfticket.connect(holder).useSession(0, day);
+      }
+
+      const result = await signerService.verifyOnChainOwnership(0, holder.address, 31337);
+      expect(result.valid).to.equal(false);
+      expect(result.reason).to.include('already been used');
+    });
+  });
+
+  describe('EventFactory events', function () {
+    const hre = require('hardhat');
+    let clone;
+    let holder;
+
+    beforeEach(async function () {
+      let admin;
+      [admin, holder] = await hre.ethers.getSigners();
+      const NFTicket = await hre.ethers.getContractFactory('NFTicket');
+      const implementation = await NFTicket.deploy('Implementation', '', 0, '', 0, 0, admin.address, ethers.ZeroAddress);
+      const EventFactory = await hre.ethers.getContractFactory('EventFactory');
+      const factory = await EventFactory.deploy(await implementation.getAddress());
+
+      const receipt = await (await factory.createEvent({
+        name: 'Factory Fest',
+        description: 'Created through the factory',
+        date: Math.floor(Date.now() / 1000) + 86400,
+        venue: 'Factory Hall',
+        royaltyCap: 500,
+        maxPrice: ethers.parseEther('1'),
+        royaltyRecipient: admin.address,
+      })).wait();
+      const created = receipt.logs
+        .map(log => { try { return factory.interface.parseLog(log); } catch { return null; } })
+        .find(parsed => parsed && parsed.name === 'EventCreated');
+      clone = await hre.ethers.getContractAt('NFTicket', created.args.nfticket);
+      await clone.mintTicket(holder.address, 'https://example.com/token/0', 0);
+
+      process.env.EVENT_FACTORY_LOCAL = await factory.getAddress();
+      for (const mod of ['../services/SignerService', '../services/EventFactoryRegistry']) {
+        delete require.cache[require.resolve(mod)];
+      }
+      signerService = require('../services/SignerService');
+      signerService.setProvider(31337, hre.ethers.provider);
+    });
+
+    after(function () {
+      delete process.env.EVENT_FACTORY_LOCAL;
+    });
+
+    it('should sign and verify proofs over the event\'s own contract', async function () {
+      const contractAddress = await clone.getAddress();
+      const proof = await signerService.generateTicketProof(0, holder.address, 31337, contractAddress);
+      expect(proof.data.contractAddress).to.equal(contractAddress);
+
+      const result = await signerService.verifyTicketProof(proof.data, proof.signature);
+      expect(result.valid, result.reason).to.equal(true);
+      expect(result.contractAddress).to.equal(contractAddress);
+
+      const event = await signerService.getTicketEvent(31337, contractAddress);
+      expect(event).to.deep.include({ id: null, name: 'Factory Fest', venue: 'Factory Hall' });
+
+      const { owners } = await signerService.getTicketHolders(31337, contractAddress);
+      expect(owners.get('0')).to.equal(holder.address.toLowerCase());
+    });
+
+    it('should reject proofs for contracts that are not ticket contracts', async function () {
+      const unknown = '0x00000000000000000000000000000000000000aa';
+      const proof = await signerService.generateTicketProof(0, holder.address, 31337, unknown);
+
+      const result = await signerService.verifyTicketProof(proof.data, proof.signature);
+      expect(result.valid).to.equal(false);
+      expect(result.reason).to.equal('Unknown ticket contract');
+    });
+  });
+
+  describe('Ticket event lookup', function () {
+    it('should report the catalog event linked to the proof contract', async function () {
+      const event = await eventCatalog.createEvent(OWNER, {
+        name: 'Base Fest',
+        venue: 'Test Venue',
+        date: new Date('2030-06-01T20:00:00Z'),
+        chainId: 8453,
+        contractAddress: BASE_CONTRACT.toUpperCase().replace('0X', '0x'),
+      });
+
+      const found = await signerService.getTicketEvent(8453, BASE_CONTRACT);
+      expect(found.id).to.equal(event.id);
+      expect(found.name).to.equal('Base Fest');
+    });
+  });
+});
@@ -9,6 +9,7 @@ import {
   SafeAreaView,
   StatusBar,
   StyleSheet,
+  Text,
 } from 'react-native';
 import { NavigationContainer } from '@react-navigation/native';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
@@ -18,6 +19,7 @@ import { createStackNavigator } from '@react-navigation/stack';
 import { WalletProvider } from './src/services/WalletService';
 import { TicketProvider } from './src/services/TicketService';
 import { POAPProvider } from './src/services/POAPService';
+import { ScannerProvider } from './src/services/ScannerService';
 
 // Screens
 import TicketsScreen from './src/screens/TicketsScreen';
@@ -158,13 +160,15 @@ const App = () => {
     <WalletProvider>
       <TicketProvider>
         <POAPProvider>
-          <SafeAreaView style={styles.container}>
-            <StatusBar
-              barStyle="dark-content"
-              backgroundColor="#FFFFFF"
-            />
-            <AppNavigator />
-          </SafeAreaView>
+          <ScannerProvider>
+            <SafeAreaView style={styles.container}>
+              <StatusBar
+                barStyle="dark-content"
+                backgroundColor="#FFFFFF"
+              />
+              <AppNavigator />
+            </SafeAreaView>
+          </ScannerProvider>
         </POAPProvider>
       </TicketProvider>
     </WalletProvider>
@@ -0,0 +1,155 @@
+/**
+ * PinPrompt Component
+ * Modal that asks for the wallet PIN, optionally twice when a new PIN is being chosen
+ * @author Sowad Al-Mughni
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  Modal,
+  SafeAreaView,
+} from 'react-native';
+import { MIN_PIN_LENGTH, MAX_PIN_LENGTH } from '../services/WalletService';
+
+const PinPrompt = ({ visible, title, message, confirm = false, busy = false, onSubmit, onCancel }) => {
+  const [pin, setPin] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!visible) {
+      setPin('');
+      setConfirmation('');
+      setError(null);
+    }
+  }, [visible]);
+
+  const handleSubmit = async () => {
+    // Only new PINs need the current minimum; wallets secured by earlier versions keep their shorter PIN
+    if (confirm && pin.length < MIN_PIN_LENGTH) {
+      setError(`PIN must be at least ${MIN_PIN_LENGTH} characters`);
+      return;
+    }
+    if (confirm && pin !== confirmation) {
+      setError('PINs do not match');
+      return;
+    }
+
+    try {
+      setError(null);
+      await onSubmit(pin);
+    } catch (submitError) {
+      setError(submitError.message);
+    }
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" presentationStyle="pageSheet">
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onCancel}>
+            <Text style={styles.cancelButton}>Cancel</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>{title}</Text>
+          <TouchableOpacity onPress={handleSubmit} disabled={busy}>
+            <Text style={[styles.doneButton, busy && styles.disabledButton]}>
+              {busy ? 'Please wait...' : 'Continue'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+        <View style={styles.content}>
+          {message && <Text style={styles.message}>{message}</Text>}
+          <TextInput
+            style={styles.pinInput}
+            value={pin}
+            onChangeText={setPin}
+            placeholder="PIN"
+            autoCapitalize="none"
+            autoCorrect={false}
+            secureTextEntry
+            autoFocus
+            maxLength={MAX_PIN_LENGTH}
+          />
+          {confirm && (
+            <TextInput
+              style={styles.pinInput}
+              value={confirmation}
+              onChangeText={setConfirmation}
+              placeholder="Confirm PIN"
+              autoCapitalize="none"
+              autoCorrect={false}
+              secureTextEntry
+              maxLength={MAX_PIN_LENGTH}
+            />
+          )}
+          {error && <Text style={styles.error}>{error}</Text>}
+        </View>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F9FAFB',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    backgroundColor: '#FFFFFF',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#111827',
+  },
+  cancelButton: {
+    fontSize: 16,
+    color: '#6B7280',
+  },
+  doneButton: {
+    fontSize: 16,
+    color: '#3B82F6',
+    fontWeight: '600',
+  },
+  disabledButton: {
+    color: '#9CA3AF',
+  },
+  content: {
+    padding: 16,
+  },
+  message: {
+    fontSize: 14,
+    color: '#6B7280',
+    lineHeight: 20,
+    marginBottom: 16,
+  },
+  pinInput: {
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 24,
+    letterSpacing: 8,
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  error: {
+    fontSize: 14,
+    color: '#EF4444',
+    textAlign: 'center',
+  },
+});
+
+export default PinPrompt;
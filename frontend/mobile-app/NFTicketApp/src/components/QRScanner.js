@@ -0,0 +1,149 @@
+/**
+ * QRScanner Component
+ * Full-width camera view that reports decoded QR codes
+ * Handles the camera permission prompt and pauses scanning while `active` is false
+ * @author Sowad Al-Mughni
+ */
+
+import React, { useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Linking,
+} from 'react-native';
+import {
+  Camera,
+  useCameraDevice,
+  useCameraPermission,
+  useCodeScanner,
+} from 'react-native-vision-camera';
+
+// The camera decodes the same code many times per second; ignore repeats for this long
+const REPEAT_SCAN_MS = 2500;
+
+const QRScanner = ({ active = true, onScan, hint }) => {
+  const device = useCameraDevice('back');
+  const { hasPermission, requestPermission } = useCameraPermission();
+  const lastScanRef = useRef({ value: null, at: 0 });
+
+  useEffect(() => {
+    if (!hasPermission) {
+      requestPermission();
+    }
+  }, [hasPermission]);
+
+  const codeScanner = useCodeScanner({
+    codeTypes: ['qr'],
+    onCodeScanned: (codes) => {
+      const value = codes[0]?.value;
+      if (!value || !active) return;
+
+      const now = Date.now();
+      const last = lastScanRef.current;
+      if (last.value === value && now - last.at < REPEAT_SCAN_MS) return;
+      lastScanRef.current = { value, at: now };
+
+      onScan(value);
+    },
+  });
+
+  if (!hasPermission) {
+    return (
+      <View style={[styles.container, styles.placeholder]}>
+        <Text style={styles.placeholderTitle}>Camera access needed</Text>
+        <Text style={styles.placeholderText}>
+          Allow camera access to scan QR codes.
+        </Text>
+        <TouchableOpacity style={styles.settingsButton} onPress={() => Linking.openSettings()}>
+          <Text style={styles.settingsButtonText}>Open Settings</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  if (!device) {
+    return (
+      <View style={[styles.container, styles.placeholder]}>
+        <Text style={styles.placeholderTitle}>No camera available</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <Camera
+        style={StyleSheet.absoluteFill}
+        device={device}
+        isActive={active}
+        codeScanner={codeScanner}
+      />
+      <View style={styles.frame} />
+      {hint && (
+        <View style={styles.hintContainer}>
+          <Text style={styles.hintText}>{hint}</Text>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000000',
+    justifyContent: 'center',
+    alignItems: 'center',
+    overflow: 'hidden',
+  },
+  placeholder: {
+    backgroundColor: '#111827',
+    paddingHorizontal: 32,
+  },
+  placeholderTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+    marginBottom: 8,
+  },
+  placeholderText: {
+    fontSize: 14,
+    color: '#D1D5DB',
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  settingsButton: {
+    backgroundColor: '#3B82F6',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 8,
+  },
+  settingsButtonText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  frame: {
+    width: 240,
+    height: 240,
+    borderWidth: 3,
+    borderColor: '#FFFFFF',
+    borderRadius: 16,
+  },
+  hintContainer: {
+    position: 'absolute',
+    bottom: 24,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 20,
+  },
+  hintText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
+
+export default QRScanner;
@@ -24,10 +24,16 @@ const TicketCard = ({ ticket, onPress, onUse }) => {
     eventDate,
     eventVenue,
     isUsed,
+    sessions = [0],
+    sessionsUsed = [],
     qrData,
     imageUri,
   } = ticket;
 
+  // Multi-day passes stay valid until every day is used up
+  const isPass = sessions.length > 1;
+  const isPartiallyUsed = isPass && !isUsed && sessionsUsed.length > 0;
+
   const formatDate = (timestamp) => {
     return new Date(timestamp * 1000).toLocaleDateString('en-US', {
       weekday: 'long',
@@ -54,6 +60,22 @@ const TicketCard = ({ ticket, onPress, onUse }) => {
           <Text style={styles.eventVenue}>{eventVenue}</Text>
         </View>
 
+        {/* Pass Days */}
+        {isPass && (
+          <View style={styles.sessions}>
+            {sessions.map(session => {
+              const entered = sessionsUsed.includes(session);
+              return (
+                <View key={session} style={[styles.sessionChip, entered && styles.sessionChipUsed]}>
+                  <Text style={[styles.sessionText, entered && styles.sessionTextUsed]}>
+                    Day {session + 1}{entered ? ' ✓' : ''}
+                  </Text>
+                </View>
+              );
+            })}
+          </View>
+        )}
+
         {/* QR Code Section */}
         <View style={styles.qrSection}>
           <View style={styles.qrContainer}>
@@ -75,13 +97,21 @@ const TicketCard = ({ ticket, onPress, onUse }) => {
         {/* Status and Actions */}
         <View style={styles.footer}>
           <View style={styles.statusContainer}>
-            <View style={[styles.statusDot, isUsed ? styles.usedDot : styles.validDot]} />
-            <Text style={[styles.statusText, isUsed && styles.usedText]}>
-              {isUsed ? 'Used' : 'Valid'}
+            <View style={[
+              styles.statusDot,
+              isUsed ? styles.usedDot : isPartiallyUsed ? styles.partialDot : styles.validDot,
+            ]} />
+            <Text style={[styles.statusText, isUsed && styles.usedText, isPartiallyUsed && styles.partialText]}>
+              {isUsed
+                ? 'Used'
+                : isPartiallyUsed
+                  ? `${sessionsUsed.length} of ${sessions.length} days used`
+                  : 'Valid'}
             </Text>
           </View>
 
-          {!isUsed && (
+          {/* Passes are checked in per day by gate scanners */}
+          {!isUsed && !isPass && (
             <TouchableOpacity
               style={styles.useButton}
               onPress={() => onUse(tokenId)}
@@ -157,6 +187,30 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#6B7280',
   },
+  sessions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 16,
+  },
+  sessionChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: '#ECFDF5',
+    marginRight: 8,
+    marginBottom: 4,
+  },
+  sessionChipUsed: {
+    backgroundColor: '#F3F4F6',
+  },
+  sessionText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#10B981',
+  },
+  sessionTextUsed: {
+    color: '#6B7280',
+  },
   qrSection: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -204,6 +258,9 @@ const styles = StyleSheet.create({
   usedDot: {
     backgroundColor: '#EF4444',
   },
+  partialDot: {
+    backgroundColor: '#F59E0B',
+  },
   statusText: {
     fontSize: 14,
     fontWeight: '600',
@@ -212,6 +269,9 @@ const styles = StyleSheet.create({
   usedText: {
     color: '#EF4444',
   },
+  partialText: {
+    color: '#F59E0B',
+  },
   useButton: {
     backgroundColor: '#3B82F6',
     paddingHorizontal: 16,
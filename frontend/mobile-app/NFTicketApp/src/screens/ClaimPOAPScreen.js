@@ -0,0 +1,274 @@
+/**
+ * ClaimPOAPScreen Component
+ * Lists POAP drops the wallet can claim, or claims one by scanning an event's claim QR code
+ * @author Sowad Al-Mughni
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  SafeAreaView,
+} from 'react-native';
+import QRScanner from '../components/QRScanner';
+import { usePOAP } from '../services/POAPService';
+
+const ClaimPOAPScreen = ({ navigation }) => {
+  const { getAvailablePOAPs, checkClaimEligibility, claimPOAP, scanToAirdrop } = usePOAP();
+  const [available, setAvailable] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [claiming, setClaiming] = useState(null);
+  const [scanning, setScanning] = useState(false);
+
+  useEffect(() => {
+    loadAvailable();
+  }, []);
+
+  const loadAvailable = async () => {
+    try {
+      setLoading(true);
+      const drops = await getAvailablePOAPs();
+      const withEligibility = await Promise.all(drops.map(async (drop) => ({
+        ...drop,
+        eligibility: await checkClaimEligibility(drop.contractAddress),
+      })));
+      setAvailable(withEligibility);
+    } catch (error) {
+      console.error('Error loading available POAPs:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleClaim = async (drop) => {
+    try {
+      setClaiming(drop.contractAddress);
+      await claimPOAP(drop.contractAddress);
+      Alert.alert('POAP Claimed', `You collected the ${drop.eventName} POAP.`, [
+        { text: 'OK', onPress: () => navigation.goBack() },
+      ]);
+    } catch (error) {
+      Alert.alert('Claim Failed', error.message);
+    } finally {
+      setClaiming(null);
+    }
+  };
+
+  const handleScan = async (qrData) => {
+    setScanning(false);
+    try {
+      setClaiming('scan');
+      const result = await scanToAirdrop(qrData);
+      Alert.alert('POAP Claimed', `You collected the ${result.eventInfo.name} POAP.`, [
+        { text: 'OK', onPress: () => navigation.goBack() },
+      ]);
+    } catch (error) {
+      Alert.alert('Claim Failed', error.message);
+    } finally {
+      setClaiming(null);
+    }
+  };
+
+  const formatDate = (timestamp) => {
+    return new Date(timestamp * 1000).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+    });
+  };
+
+  const renderDrop = ({ item }) => {
+    const { eligibility } = item;
+    const canClaim = eligibility ? eligibility.eligible : item.isActive;
+    const status = eligibility?.hasClaimed
+      ? 'Already claimed'
+      : !canClaim
+      ? 'Not available'
+      : `${eligibility?.remainingSupply ?? item.remainingSupply} left`;
+
+    return (
+      <View style={styles.card}>
+        <Text style={styles.eventName}>{item.eventName}</Text>
+        <Text style={styles.eventMeta}>
+          {formatDate(item.eventDate)} · {item.eventLocation}
+        </Text>
+        {item.eventDescription && <Text style={styles.description}>{item.eventDescription}</Text>}
+        <View style={styles.cardFooter}>
+          <Text style={styles.statusText}>{status}</Text>
+          <TouchableOpacity
+            style={[styles.claimButton, (!canClaim || claiming) && styles.disabledButton]}
+            onPress={() => handleClaim(item)}
+            disabled={!canClaim || Boolean(claiming)}
+          >
+            {claiming === item.contractAddress ? (
+              <ActivityIndicator color="#FFFFFF" />
+            ) : (
+              <Text style={styles.claimButtonText}>Claim</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  if (scanning) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.scannerContainer}>
+          <QRScanner onScan={handleScan} hint="Scan the event's POAP claim code" />
+        </View>
+        <TouchableOpacity style={styles.cancelButton} onPress={() => setScanning(false)}>
+          <Text style={styles.cancelButtonText}>Cancel</Text>
+        </TouchableOpacity>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <TouchableOpacity
+        style={styles.scanButton}
+        onPress={() => setScanning(true)}
+        disabled={Boolean(claiming)}
+      >
+        {claiming === 'scan' ? (
+          <ActivityIndicator color="#FFFFFF" />
+        ) : (
+          <Text style={styles.scanButtonText}>📷 Scan Claim QR Code</Text>
+        )}
+      </TouchableOpacity>
+
+      <Text style={styles.sectionTitle}>Available POAPs</Text>
+      <FlatList
+        data={available}
+        renderItem={renderDrop}
+        keyExtractor={(item) => item.contractAddress}
+        contentContainerStyle={styles.listContainer}
+        refreshing={loading}
+        onRefresh={loadAvailable}
+        ListEmptyComponent={!loading && (
+          <View style={styles.emptyState}>
+            <Text style={styles.emptyStateText}>No POAPs are open for claiming right now.</Text>
+          </View>
+        )}
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F9FAFB',
+  },
+  scanButton: {
+    backgroundColor: '#10B981',
+    margin: 16,
+    paddingVertical: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+  },
+  scanButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#111827',
+    paddingHorizontal: 16,
+    marginBottom: 8,
+  },
+  listContainer: {
+    paddingHorizontal: 16,
+    paddingBottom: 20,
+  },
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  eventName: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#111827',
+  },
+  eventMeta: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  description: {
+    fontSize: 14,
+    color: '#374151',
+    lineHeight: 20,
+    marginTop: 8,
+  },
+  cardFooter: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  statusText: {
+    fontSize: 14,
+    color: '#6B7280',
+  },
+  claimButton: {
+    backgroundColor: '#10B981',
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+    borderRadius: 8,
+    minWidth: 80,
+    alignItems: 'center',
+  },
+  disabledButton: {
+    backgroundColor: '#D1D5DB',
+  },
+  claimButtonText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  scannerContainer: {
+    flex: 1,
+    margin: 16,
+    borderRadius: 16,
+    overflow: 'hidden',
+  },
+  cancelButton: {
+    marginHorizontal: 16,
+    marginBottom: 16,
+    paddingVertical: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  cancelButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  emptyState: {
+    paddingVertical: 48,
+    alignItems: 'center',
+  },
+  emptyStateText: {
+    fontSize: 16,
+    color: '#6B7280',
+    textAlign: 'center',
+  },
+});
+
+export default ClaimPOAPScreen;
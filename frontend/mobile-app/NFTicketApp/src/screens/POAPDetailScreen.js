@@ -0,0 +1,190 @@
+/**
+ * POAPDetailScreen Component
+ * Shows one POAP with its event details and token metadata
+ * @author Sowad Al-Mughni
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  Image,
+  SafeAreaView,
+} from 'react-native';
+import { usePOAP } from '../services/POAPService';
+
+const POAPDetailScreen = ({ route }) => {
+  const { poap } = route.params;
+  const { getPOAPMetadata } = usePOAP();
+  const [metadata, setMetadata] = useState(null);
+
+  useEffect(() => {
+    if (poap.uri) {
+      getPOAPMetadata(poap.uri).then(setMetadata);
+    }
+  }, [poap.uri]);
+
+  const formatDate = (timestamp) => {
+    return new Date(timestamp * 1000).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+    });
+  };
+
+  const imageUri = metadata?.image || poap.imageUri;
+  const attributes = Array.isArray(metadata?.attributes) ? metadata.attributes : [];
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content}>
+        <View style={styles.imageContainer}>
+          {imageUri ? (
+            <Image source={{ uri: imageUri }} style={styles.image} />
+          ) : (
+            <View style={styles.placeholderImage}>
+              <Text style={styles.placeholderText}>POAP</Text>
+            </View>
+          )}
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.eventName}>{poap.eventName}</Text>
+          <Text style={styles.eventDate}>{formatDate(poap.eventDate)}</Text>
+          <Text style={styles.eventLocation}>📍 {poap.eventLocation}</Text>
+
+          {(metadata?.description || poap.eventDescription) && (
+            <Text style={styles.description}>{metadata?.description || poap.eventDescription}</Text>
+          )}
+
+          <View style={styles.soulboundBadge}>
+            <Text style={styles.soulboundText}>🔒 Soulbound · cannot be transferred</Text>
+          </View>
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Token</Text>
+          <View style={styles.detailRow}>
+            <Text style={styles.detailLabel}>Token ID</Text>
+            <Text style={styles.detailValue}>#{poap.tokenId}</Text>
+          </View>
+          <View style={styles.detailRow}>
+            <Text style={styles.detailLabel}>Contract</Text>
+            <Text style={styles.detailValue} numberOfLines={1} ellipsizeMode="middle">
+              {poap.contractAddress}
+            </Text>
+          </View>
+          {attributes.map(attribute => (
+            <View key={attribute.trait_type} style={styles.detailRow}>
+              <Text style={styles.detailLabel}>{attribute.trait_type}</Text>
+              <Text style={styles.detailValue}>{String(attribute.value)}</Text>
+            </View>
+          ))}
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F9FAFB',
+  },
+  content: {
+    padding: 16,
+  },
+  imageContainer: {
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  image: {
+    width: 200,
+    height: 200,
+    borderRadius: 100,
+  },
+  placeholderImage: {
+    width: 200,
+    height: 200,
+    borderRadius: 100,
+    backgroundColor: '#8B5CF6',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  placeholderText: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+  },
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 20,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  eventName: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#111827',
+    marginBottom: 4,
+  },
+  eventDate: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginBottom: 4,
+  },
+  eventLocation: {
+    fontSize: 14,
+    color: '#6B7280',
+  },
+  description: {
+    fontSize: 14,
+    color: '#374151',
+    lineHeight: 20,
+    marginTop: 12,
+  },
+  soulboundBadge: {
+    alignSelf: 'flex-start',
+    backgroundColor: '#F3F4F6',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 12,
+    marginTop: 16,
+  },
+  soulboundText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#6B7280',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#111827',
+    marginBottom: 8,
+  },
+  detailRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#F3F4F6',
+  },
+  detailLabel: {
+    fontSize: 14,
+    color: '#6B7280',
+  },
+  detailValue: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#111827',
+    textAlign: 'right',
+    marginLeft: 16,
+  },
+});
+
+export default POAPDetailScreen;
@@ -0,0 +1,594 @@
+/**
+ * ScannerScreen Component
+ * Door staff mode: scans rotating ticket QR codes, checks them in and shows a large result
+ * Falls back to the offline snapshot when the API is unreachable and syncs queued scans later
+ * Only available to wallets with the scanner, staff or organizer role on an event team
+ * @author Sowad Al-Mughni
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  SafeAreaView,
+} from 'react-native';
+import QRScanner from '../components/QRScanner';
+import { useWallet } from '../services/WalletService';
+import { useScanner, SCAN_RESULT } from '../services/ScannerService';
+
+const GATES = ['Main', 'North', 'South', 'East', 'West', 'VIP'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar days an event runs; pass sessions are numbered by day (session 0 = first day)
+const eventDays = (event) => {
+  if (!event?.endDate) return 1;
+  const start = new Date(event.date).setHours(0, 0, 0, 0);
+  const end = new Date(event.endDate).setHours(0, 0, 0, 0);
+  return Math.max(1, Math.round((end - start) / DAY_MS) + 1);
+};
+
+// Admitted results clear themselves so the line keeps moving; problems wait for staff
+const ADMITTED_DISMISS_MS = 3000;
+
+const RESULT_DISPLAY = {
+  [SCAN_RESULT.ADMITTED]: { title: 'VALID', icon: '✅', color: '#10B981' },
+  [SCAN_RESULT.DUPLICATE]: { title: 'ALREADY IN', icon: '⚠️', color: '#F59E0B' },
+  [SCAN_RESULT.REJECTED]: { title: 'INVALID', icon: '⛔', color: '#EF4444' },
+};
+
+const ScannerScreen = ({ navigation }) => {
+  const { isConnected, address } = useWallet();
+  const {
+    staffAccess,
+    loadStaffAccess,
+    getScannableEvents,
+    getSeatInfo,
+    scan,
+    snapshots,
+    downloadSnapshot,
+    queue,
+    isOnline,
+    syncing,
+    syncQueue,
+  } = useScanner();
+
+  const [accessLoading, setAccessLoading] = useState(true);
+  const [accessError, setAccessError] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [selectedEvent, setSelectedEvent] = useState(null);
+  const [gate, setGate] = useState(GATES[0]);
+  const [session, setSession] = useState(0);
+  const [result, setResult] = useState(null);
+  const [processing, setProcessing] = useState(false);
+  const [admittedCount, setAdmittedCount] = useState(0);
+  const [downloading, setDownloading] = useState(false);
+  const processingRef = useRef(false);
+  const dismissTimerRef = useRef(null);
+
+  useEffect(() => {
+    if (isConnected && address) {
+      loadAccess();
+    } else {
+      setAccessLoading(false);
+    }
+  }, [isConnected, address]);
+
+  useEffect(() => () => clearTimeout(dismissTimerRef.current), []);
+
+  const loadAccess = async () => {
+    try {
+      setAccessLoading(true);
+      setAccessError(null);
+      const access = await loadStaffAccess();
+      if (access.canScan) {
+        const scannable = await getScannableEvents(access);
+        setEvents(scannable);
+        setSelectedEvent(current => current || scannable[0] || null);
+      }
+    } catch (error) {
+      console.error('Error loading scanner access:', error);
+      setAccessError(error.message);
+    } finally {
+      setAccessLoading(false);
+    }
+  };
+
+  const dismissResult = useCallback(() => {
+    clearTimeout(dismissTimerRef.current);
+    setResult(null);
+  }, []);
+
+  const handleScan = useCallback(async (qrData) => {
+    if (processingRef.current || !selectedEvent) return;
+    processingRef.current = true;
+    setProcessing(true);
+
+    try {
+      const outcome = await scan(selectedEvent.id, qrData, { gate, session });
+      const seat = outcome.tokenId && outcome.result !== SCAN_RESULT.REJECTED
+        ? await getSeatInfo(outcome.chainId, outcome.contractAddress, outcome.tokenId)
+        : null;
+
+      setResult({ ...outcome, seat });
+      if (outcome.result === SCAN_RESULT.ADMITTED) {
+        setAdmittedCount(count => count + 1);
+        dismissTimerRef.current = setTimeout(() => setResult(null), ADMITTED_DISMISS_MS);
+      }
+    } catch (error) {
+      setResult({ result: SCAN_RESULT.REJECTED, reason: error.message });
+    } finally {
+      processingRef.current = false;
+      setProcessing(false);
+    }
+  }, [selectedEvent, gate, session, scan, getSeatInfo]);
+
+  const handleDownloadSnapshot = async () => {
+    try {
+      setDownloading(true);
+      const snapshot = await downloadSnapshot(selectedEvent.id, session);
+      Alert.alert(
+        'Offline List Ready',
+        `${snapshot.tickets.length} tickets can be verified offline until ${new Date(snapshot.expiresAt).toLocaleTimeString()}.`
+      );
+    } catch (error) {
+      Alert.alert('Download Failed', error.message);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const handleSync = async () => {
+    try {
+      const summary = await syncQueue(selectedEvent.id);
+      const message = summary.conflicts.length > 0
+        ? `${summary.admitted} admitted. ${summary.conflicts.length} ticket(s) were already checked in at another gate:\n`
+          + summary.conflicts
+            .map(c => `#${c.tokenId} - ${c.firstCheckIn?.gate || c.reason || c.result}`)
+            .join('\n')
+        : `${summary.synced} offline scan(s) synced.`;
+      Alert.alert('Sync Complete', message);
+    } catch (error) {
+      Alert.alert('Sync Failed', error.message);
+    }
+  };
+
+  const handleResetCount = () => {
+    Alert.alert('Reset Count', 'Start a new count of admitted attendees for this session?', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Reset', style: 'destructive', onPress: () => setAdmittedCount(0) },
+    ]);
+  };
+
+  const renderGateSelector = () => (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+      {GATES.map(g => (
+        <TouchableOpacity
+          key={g}
+          style={[styles.chip, gate === g && styles.activeChip]}
+          onPress={() => setGate(g)}
+        >
+          <Text style={[styles.chipText, gate === g && styles.activeChipText]}>{g}</Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+
+  const renderDaySelector = () => eventDays(selectedEvent) > 1 && (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+      {Array.from({ length: eventDays(selectedEvent) }, (_, day) => (
+        <TouchableOpacity
+          key={day}
+          style={[styles.chip, session === day && styles.activeChip]}
+          onPress={() => setSession(day)}
+        >
+          <Text style={[styles.chipText, session === day && styles.activeChipText]}>Day {day + 1}</Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+
+  const renderEventSelector = () => events.length > 1 && (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+      {events.map(e => (
+        <TouchableOpacity
+          key={e.id}
+          style={[styles.chip, selectedEvent?.id === e.id && styles.activeChip]}
+          onPress={() => {
+            setSelectedEvent(e);
+            setSession(0);
+          }}
+        >
+          <Text style={[styles.chipText, selectedEvent?.id === e.id && styles.activeChipText]}>
+            {e.name}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+
+  const renderOfflineBar = () => {
+    const stored = selectedEvent && snapshots[selectedEvent.id];
+    const snapshot = stored && (stored.session ?? 0) === session ? stored : null;
+    const pending = selectedEvent ? queue.filter(s => s.eventId === selectedEvent.id).length : 0;
+
+    return (
+      <View style={styles.offlineBar}>
+        <View style={styles.statusContainer}>
+          <View style={[styles.statusDot, isOnline ? styles.onlineDot : styles.offlineDot]} />
+          <Text style={styles.offlineText}>
+            {isOnline ? 'Online' : 'Offline'}
+            {snapshot ? ` · list from ${new Date(snapshot.generatedAt).toLocaleTimeString()}` : ' · no offline list'}
+          </Text>
+        </View>
+        <View style={styles.offlineActions}>
+          <TouchableOpacity
+            style={styles.smallButton}
+            onPress={handleDownloadSnapshot}
+            disabled={downloading}
+          >
+            <Text style={styles.smallButtonText}>{downloading ? '...' : '⬇ List'}</Text>
+          </TouchableOpacity>
+          {pending > 0 && (
+            <TouchableOpacity
+              style={[styles.smallButton, styles.syncButton]}
+              onPress={handleSync}
+              disabled={syncing}
+            >
+              <Text style={styles.smallButtonText}>{syncing ? 'Syncing...' : `Sync ${pending}`}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    );
+  };
+
+  const renderResult = () => {
+    const display = RESULT_DISPLAY[result.result] || RESULT_DISPLAY[SCAN_RESULT.REJECTED];
+    const { seat, firstCheckIn } = result;
+
+    return (
+      <TouchableOpacity
+        style={[styles.resultOverlay, { backgroundColor: display.color }]}
+        onPress={dismissResult}
+        activeOpacity={0.9}
+      >
+        <Text style={styles.resultIcon}>{display.icon}</Text>
+        <Text style={styles.resultTitle}>{display.title}</Text>
+        {result.tokenId && <Text style={styles.resultToken}>Ticket #{result.tokenId}</Text>}
+
+        {seat && (
+          <View style={styles.seatBox}>
+            {seat.category ? <Text style={styles.seatCategory}>{seat.category}</Text> : null}
+            <Text style={styles.seatText}>
+              {[
+                seat.section && `Section ${seat.section}`,
+                seat.row && `Row ${seat.row}`,
+                seat.seatNumber && `Seat ${seat.seatNumber}`,
+              ].filter(Boolean).join(' · ')}
+            </Text>
+          </View>
+        )}
+
+        {result.result === SCAN_RESULT.DUPLICATE && firstCheckIn && (
+          <Text style={styles.resultReason}>
+            First entry at {firstCheckIn.gate || 'unknown gate'}, {new Date(firstCheckIn.scannedAt).toLocaleTimeString()}
+          </Text>
+        )}
+        {result.result === SCAN_RESULT.REJECTED && result.reason && (
+          <Text style={styles.resultReason}>{result.reason}</Text>
+        )}
+        {result.offline && <Text style={styles.offlineBadge}>Verified offline · will sync later</Text>}
+
+        <Text style={styles.resultHint}>Tap to scan next</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderBlocked = (title, text, action) => (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Scanner</Text>
+      </View>
+      <View style={styles.emptyState}>
+        <Text style={styles.emptyStateTitle}>{title}</Text>
+        <Text style={styles.emptyStateText}>{text}</Text>
+        {action}
+      </View>
+    </SafeAreaView>
+  );
+
+  if (!isConnected) {
+    return renderBlocked(
+      'Connect Wallet',
+      'Connect a wallet with the scanner role to check in attendees.',
+      <TouchableOpacity style={styles.primaryButton} onPress={() => navigation.navigate('Wallet')}>
+        <Text style={styles.primaryButtonText}>Connect Wallet</Text>
+      </TouchableOpacity>
+    );
+  }
+
+  if (accessLoading) {
+    return renderBlocked('Checking Access', 'Loading your event team roles...', <ActivityIndicator color="#3B82F6" />);
+  }
+
+  if (accessError) {
+    return renderBlocked(
+      'Could Not Check Access',
+      accessError,
+      <TouchableOpacity style={styles.primaryButton} onPress={loadAccess}>
+        <Text style={styles.primaryButtonText}>Try Again</Text>
+      </TouchableOpacity>
+    );
+  }
+
+  if (!staffAccess?.canScan) {
+    return renderBlocked(
+      'Scanner Access Required',
+      'This wallet is not on any event team. Ask the organizer to add it as a scanner.'
+    );
+  }
+
+  if (!selectedEvent) {
+    return renderBlocked(
+      'No Events',
+      'None of your teams have a published event to scan for.',
+      <TouchableOpacity style={styles.primaryButton} onPress={loadAccess}>
+        <Text style={styles.primaryButtonText}>Refresh</Text>
+      </TouchableOpacity>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <View style={styles.headerInfo}>
+          <Text style={styles.title}>Scanner</Text>
+          <Text style={styles.eventName} numberOfLines={1}>{selectedEvent.name}</Text>
+        </View>
+        <TouchableOpacity style={styles.counter} onLongPress={handleResetCount}>
+          <Text style={styles.counterValue}>{admittedCount}</Text>
+          <Text style={styles.counterLabel}>admitted</Text>
+        </TouchableOpacity>
+      </View>
+
+      {renderEventSelector()}
+      {renderDaySelector()}
+      {renderGateSelector()}
+      {renderOfflineBar()}
+
+      <View style={styles.cameraContainer}>
+        <QRScanner
+          active={!result && !processing}
+          onScan={handleScan}
+          hint={processing ? 'Checking ticket...' : `Gate ${gate} · point at the ticket QR`}
+        />
+        {result && renderResult()}
+      </View>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F9FAFB',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 16,
+    backgroundColor: '#FFFFFF',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  headerInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#111827',
+  },
+  eventName: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  counter: {
+    alignItems: 'center',
+    backgroundColor: '#ECFDF5',
+    paddingHorizontal: 16,
+    paddingVertical: 6,
+    borderRadius: 12,
+  },
+  counterValue: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#10B981',
+  },
+  counterLabel: {
+    fontSize: 12,
+    color: '#047857',
+  },
+  chipRow: {
+    flexGrow: 0,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    backgroundColor: '#FFFFFF',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  chip: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 20,
+    marginRight: 8,
+    backgroundColor: '#F3F4F6',
+  },
+  activeChip: {
+    backgroundColor: '#3B82F6',
+  },
+  chipText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#6B7280',
+  },
+  activeChipText: {
+    color: '#FFFFFF',
+  },
+  offlineBar: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  statusContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flex: 1,
+  },
+  statusDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginRight: 6,
+  },
+  onlineDot: {
+    backgroundColor: '#10B981',
+  },
+  offlineDot: {
+    backgroundColor: '#F59E0B',
+  },
+  offlineText: {
+    fontSize: 12,
+    color: '#6B7280',
+  },
+  offlineActions: {
+    flexDirection: 'row',
+  },
+  smallButton: {
+    backgroundColor: '#6B7280',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 8,
+    marginLeft: 8,
+  },
+  syncButton: {
+    backgroundColor: '#3B82F6',
+  },
+  smallButtonText: {
+    color: '#FFFFFF',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  cameraContainer: {
+    flex: 1,
+    margin: 16,
+    borderRadius: 16,
+    overflow: 'hidden',
+  },
+  resultOverlay: {
+    ...StyleSheet.absoluteFillObject,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 24,
+  },
+  resultIcon: {
+    fontSize: 72,
+    marginBottom: 8,
+  },
+  resultTitle: {
+    fontSize: 44,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+    letterSpacing: 2,
+  },
+  resultToken: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#FFFFFF',
+    marginTop: 8,
+  },
+  seatBox: {
+    marginTop: 16,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+    borderRadius: 12,
+    alignItems: 'center',
+  },
+  seatCategory: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+    textTransform: 'uppercase',
+    marginBottom: 4,
+  },
+  seatText: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+  },
+  resultReason: {
+    fontSize: 16,
+    color: '#FFFFFF',
+    textAlign: 'center',
+    marginTop: 16,
+  },
+  offlineBadge: {
+    fontSize: 12,
+    color: '#FFFFFF',
+    marginTop: 12,
+    opacity: 0.9,
+  },
+  resultHint: {
+    position: 'absolute',
+    bottom: 24,
+    fontSize: 14,
+    color: '#FFFFFF',
+    opacity: 0.8,
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 32,
+    paddingVertical: 64,
+  },
+  emptyStateTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#111827',
+    marginBottom: 8,
+  },
+  emptyStateText: {
+    fontSize: 16,
+    color: '#6B7280',
+    textAlign: 'center',
+    lineHeight: 24,
+    marginBottom: 24,
+  },
+  primaryButton: {
+    backgroundColor: '#3B82F6',
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    borderRadius: 8,
+  },
+  primaryButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default ScannerScreen;
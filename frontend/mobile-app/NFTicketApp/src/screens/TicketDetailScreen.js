@@ -0,0 +1,243 @@
+/**
+ * TicketDetailScreen Component
+ * Shows one ticket with its rotating entry QR code
+ * The QR proof is refreshed before it expires, so screenshots stop working at the door
+ * @author Sowad Al-Mughni
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+  SafeAreaView,
+} from 'react-native';
+import QRCode from 'react-native-qrcode-svg';
+import { useTickets } from '../services/TicketService';
+
+const TicketDetailScreen = ({ route }) => {
+  const { ticket } = route.params;
+  const {
+    startQRRotation,
+    stopQRRotation,
+    getQRCodeData,
+    activeQRProof,
+    qrRefreshing,
+  } = useTickets();
+  const [qrError, setQrError] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(null);
+
+  useEffect(() => {
+    if (ticket.isUsed) return undefined;
+
+    startQRRotation(ticket).catch(error => setQrError(error.message));
+    return () => stopQRRotation();
+  }, [ticket.tokenId, ticket.isUsed]);
+
+  useEffect(() => {
+    if (!activeQRProof) return undefined;
+
+    const tick = () => setSecondsLeft(Math.max(0, activeQRProof.expiresAt - Math.floor(Date.now() / 1000)));
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [activeQRProof]);
+
+  const formatDate = (timestamp) => {
+    return new Date(timestamp * 1000).toLocaleDateString('en-US', {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  const renderQRSection = () => {
+    if (ticket.isUsed) {
+      return (
+        <View style={styles.usedBanner}>
+          <Text style={styles.usedBannerText}>This ticket has been used</Text>
+        </View>
+      );
+    }
+
+    const qrValue = getQRCodeData();
+    return (
+      <View style={styles.qrSection}>
+        {qrValue ? (
+          <QRCode value={qrValue} size={220} backgroundColor="white" color="black" />
+        ) : qrError ? (
+          <Text style={styles.qrError}>{qrError}</Text>
+        ) : (
+          <ActivityIndicator size="large" color="#3B82F6" />
+        )}
+        <Text style={styles.qrLabel}>Show this code at the entrance</Text>
+        {qrValue && (
+          <Text style={styles.qrSubtext}>
+            {qrRefreshing ? 'Refreshing...' : `Refreshes in ${secondsLeft ?? '-'}s · screenshots will not scan`}
+          </Text>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content}>
+        <View style={styles.card}>
+          <View style={styles.header}>
+            <Text style={styles.eventName}>{ticket.eventName}</Text>
+            <Text style={styles.tokenId}>#{ticket.tokenId}</Text>
+          </View>
+
+          {renderQRSection()}
+
+          <View style={styles.detailRow}>
+            <Text style={styles.detailLabel}>Date</Text>
+            <Text style={styles.detailValue}>{formatDate(ticket.eventDate)}</Text>
+          </View>
+          <View style={styles.detailRow}>
+            <Text style={styles.detailLabel}>Venue</Text>
+            <Text style={styles.detailValue}>{ticket.eventVenue}</Text>
+          </View>
+          {ticket.originalPrice && (
+            <View style={styles.detailRow}>
+              <Text style={styles.detailLabel}>Original Price</Text>
+              <Text style={styles.detailValue}>{ticket.originalPrice} ETH</Text>
+            </View>
+          )}
+          <View style={styles.detailRow}>
+            <Text style={styles.detailLabel}>Status</Text>
+            <Text style={[styles.detailValue, ticket.isUsed ? styles.usedText : styles.validText]}>
+              {ticket.isUsed ? 'Used' : 'Valid'}
+            </Text>
+          </View>
+          <View style={styles.detailRow}>
+            <Text style={styles.detailLabel}>Contract</Text>
+            <Text style={styles.detailValue} numberOfLines={1} ellipsizeMode="middle">
+              {ticket.contractAddress}
+            </Text>
+          </View>
+        </View>
+
+        {ticket.eventDescription && (
+          <View style={styles.card}>
+            <Text style={styles.sectionTitle}>About this event</Text>
+            <Text style={styles.description}>{ticket.eventDescription}</Text>
+          </View>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F9FAFB',
+  },
+  content: {
+    padding: 16,
+  },
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    padding: 20,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+    marginBottom: 16,
+  },
+  eventName: {
+    flex: 1,
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#111827',
+    marginRight: 8,
+  },
+  tokenId: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#6B7280',
+  },
+  qrSection: {
+    alignItems: 'center',
+    paddingVertical: 16,
+    marginBottom: 8,
+  },
+  qrLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111827',
+    marginTop: 16,
+  },
+  qrSubtext: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  qrError: {
+    fontSize: 14,
+    color: '#EF4444',
+    textAlign: 'center',
+  },
+  usedBanner: {
+    backgroundColor: '#F3F4F6',
+    borderRadius: 12,
+    paddingVertical: 24,
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  usedBannerText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#6B7280',
+  },
+  detailRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#F3F4F6',
+  },
+  detailLabel: {
+    fontSize: 14,
+    color: '#6B7280',
+  },
+  detailValue: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#111827',
+    textAlign: 'right',
+    marginLeft: 16,
+  },
+  validText: {
+    color: '#10B981',
+  },
+  usedText: {
+    color: '#EF4444',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#111827',
+    marginBottom: 8,
+  },
+  description: {
+    fontSize: 14,
+    color: '#374151',
+    lineHeight: 20,
+  },
+});
+
+export default TicketDetailScreen;
@@ -1,6 +1,7 @@
 /**
  * WalletScreen Component
  * Manages wallet connection, creation, and import
+ * Also the lock screen: unlock with PIN or biometrics, and PIN setup for migrated wallets
  * @author Sowad Al-Mughni
  */
 
@@ -16,16 +17,27 @@ import {
   SafeAreaView,
   Modal,
 } from 'react-native';
+import PinPrompt from '../components/PinPrompt';
 import { useWallet } from '../services/WalletService';
 
 const WalletScreen = () => {
   const {
     isConnected,
+    isLocked,
+    needsPin,
     address,
     balance,
     loading,
+    biometryType,
+    biometricsEnabled,
     createWallet,
     importWallet,
+    unlockWithPin,
+    unlockWithBiometrics,
+    setPin,
+    enableBiometrics,
+    disableBiometrics,
+    lock,
     disconnect,
     refreshBalance,
   } = useWallet();
@@ -34,33 +46,95 @@ const WalletScreen = () => {
   const [importInput, setImportInput] = useState('');
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [newWalletInfo, setNewWalletInfo] = useState(null);
+  const [pinPrompt, setPinPrompt] = useState(null); // 'create' | 'import' | 'unlock' | 'setPin' | 'biometrics'
 
-  const handleCreateWallet = async () => {
-    try {
-      const walletInfo = await createWallet();
-      setNewWalletInfo(walletInfo);
-      setShowCreateModal(true);
-    } catch (error) {
-      Alert.alert('Error', 'Failed to create wallet. Please try again.');
-    }
+  const biometryLabel = biometryType === 'FaceID' ? 'Face ID' : biometryType ? 'Biometrics' : null;
+
+  const handleCreateWallet = () => {
+    setPinPrompt('create');
   };
 
-  const handleImportWallet = async () => {
+  const handleImportWallet = () => {
     if (!importInput.trim()) {
       Alert.alert('Error', 'Please enter a private key or mnemonic phrase.');
       return;
     }
 
+    setShowImportModal(false);
+    setPinPrompt('import');
+  };
+
+  const handlePinSubmit = async (pin) => {
+    switch (pinPrompt) {
+      case 'create': {
+        const walletInfo = await createWallet(pin);
+        setPinPrompt(null);
+        setNewWalletInfo(walletInfo);
+        setShowCreateModal(true);
+        break;
+      }
+      case 'import':
+        try {
+          await importWallet(importInput.trim(), pin);
+        } catch (error) {
+          throw new Error('Failed to import wallet. Please check your key or phrase.');
+        }
+        setPinPrompt(null);
+        setImportInput('');
+        Alert.alert('Success', 'Wallet imported successfully!');
+        break;
+      case 'unlock':
+        await unlockWithPin(pin);
+        setPinPrompt(null);
+        break;
+      case 'setPin':
+        await setPin(pin);
+        setPinPrompt(null);
+        Alert.alert('Wallet Secured', 'Your wallet is now encrypted with your PIN.');
+        break;
+      case 'biometrics':
+        await enableBiometrics(pin);
+        setPinPrompt(null);
+        break;
+      default:
+        setPinPrompt(null);
+    }
+  };
+
+  const handleBiometricUnlock = async () => {
     try {
-      await importWallet(importInput.trim());
-      setShowImportModal(false);
-      setImportInput('');
-      Alert.alert('Success', 'Wallet imported successfully!');
+      await unlockWithBiometrics();
     } catch (error) {
-      Alert.alert('Error', 'Failed to import wallet. Please check your input.');
+      Alert.alert('Unlock Failed', error.message);
+    }
+  };
+
+  const handleToggleBiometrics = () => {
+    if (biometricsEnabled) {
+      disableBiometrics();
+    } else {
+      setPinPrompt('biometrics');
     }
   };
 
+  const PIN_PROMPTS = {
+    create: { title: 'Choose a PIN', message: 'Your wallet key is encrypted with this PIN. You will need it to unlock the wallet.', confirm: true },
+    import: { title: 'Choose a PIN', message: 'Your wallet key is encrypted with this PIN. You will need it to unlock the wallet.', confirm: true },
+    unlock: { title: 'Unlock Wallet', message: 'Enter your wallet PIN.' },
+    setPin: { title: 'Set a PIN', message: 'This app update encrypts your wallet key. Choose a PIN to protect it.', confirm: true },
+    biometrics: { title: `Enable ${biometryLabel}`, message: `Enter your PIN to unlock with ${biometryLabel} from now on.` },
+  };
+
+  const renderPinPrompt = () => (
+    <PinPrompt
+      visible={pinPrompt !== null}
+      {...(PIN_PROMPTS[pinPrompt] || {})}
+      busy={loading}
+      onSubmit={handlePinSubmit}
+      onCancel={() => setPinPrompt(null)}
+    />
+  );
+
   const handleDisconnect = () => {
     Alert.alert(
       'Disconnect Wallet',
@@ -120,8 +194,8 @@ const WalletScreen = () => {
           <View style={styles.infoBox}>
             <Text style={styles.infoTitle}>🔒 Security Notice</Text>
             <Text style={styles.infoText}>
-              Your private keys are stored securely on your device and never shared.
-              Make sure to backup your wallet information safely.
+              Your private key is encrypted with your PIN, kept in your device's secure keychain
+              and never shared. Make sure to backup your wallet information safely.
             </Text>
           </View>
         </View>
@@ -210,6 +284,43 @@ const WalletScreen = () => {
             </ScrollView>
           </SafeAreaView>
         </Modal>
+
+        {renderPinPrompt()}
+      </SafeAreaView>
+    );
+  }
+
+  if (isLocked) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.content}>
+          <View style={styles.lockHeader}>
+            <Text style={styles.lockIcon}>🔒</Text>
+            <Text style={styles.title}>{needsPin ? 'Secure Your Wallet' : 'Wallet Locked'}</Text>
+            <Text style={styles.subtitle}>
+              {needsPin
+                ? 'Your wallet key has been moved to encrypted storage. Choose a PIN to finish securing it.'
+                : formatAddress(address)}
+            </Text>
+          </View>
+
+          <View style={styles.buttonContainer}>
+            <TouchableOpacity
+              style={styles.primaryButton}
+              onPress={() => setPinPrompt(needsPin ? 'setPin' : 'unlock')}
+            >
+              <Text style={styles.primaryButtonText}>{needsPin ? 'Set PIN' : 'Unlock with PIN'}</Text>
+            </TouchableOpacity>
+
+            {!needsPin && biometricsEnabled && (
+              <TouchableOpacity style={styles.secondaryButton} onPress={handleBiometricUnlock}>
+                <Text style={styles.secondaryButtonText}>Unlock with {biometryLabel}</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        </View>
+
+        {renderPinPrompt()}
       </SafeAreaView>
     );
   }
@@ -267,7 +378,29 @@ const WalletScreen = () => {
           <Text style={styles.networkName}>Ethereum Mainnet</Text>
           <Text style={styles.networkStatus}>🟢 Connected</Text>
         </View>
+
+        {/* Security */}
+        <View style={styles.networkCard}>
+          <Text style={styles.networkTitle}>Security</Text>
+          <Text style={styles.securityText}>
+            Your key is encrypted with your PIN and locks when the app goes to the background.
+          </Text>
+          <View style={styles.securityActions}>
+            {biometryLabel && (
+              <TouchableOpacity style={styles.refreshButton} onPress={handleToggleBiometrics}>
+                <Text style={styles.refreshButtonText}>
+                  {biometricsEnabled ? `Disable ${biometryLabel}` : `Enable ${biometryLabel}`}
+                </Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity style={styles.refreshButton} onPress={lock}>
+              <Text style={styles.refreshButtonText}>Lock Now</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
       </ScrollView>
+
+      {renderPinPrompt()}
     </SafeAreaView>
   );
 };
@@ -454,6 +587,24 @@ const styles = StyleSheet.create({
     color: '#92400E',
     lineHeight: 20,
   },
+  lockHeader: {
+    alignItems: 'center',
+    marginTop: 48,
+  },
+  lockIcon: {
+    fontSize: 48,
+    marginBottom: 16,
+  },
+  securityText: {
+    fontSize: 14,
+    color: '#6B7280',
+    lineHeight: 20,
+    marginBottom: 12,
+  },
+  securityActions: {
+    flexDirection: 'row',
+    gap: 8,
+  },
   modalContainer: {
     flex: 1,
     backgroundColor: '#F9FAFB',
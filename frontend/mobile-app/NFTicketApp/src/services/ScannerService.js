@@ -0,0 +1,477 @@
+/**
+ * ScannerService
+ * Gate scanning for event staff, with an offline mode for venues with unreliable connectivity
+ * Scanners download a signed attendee snapshot for the session (day) they admit to ahead of time, verify ticket
+ * QR proofs locally while offline, queue those check-ins and sync them when the API is reachable again
+ * @author Sowad Al-Mughni
+ */
+
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { ethers } from 'ethers';
+import { useWallet } from './WalletService';
+import { API_CONFIG, getNetworkByChainId } from '../config';
+
+const API_BASE_URL = API_CONFIG.baseUrl;
+
+// Storage keys
+const DEVICE_ID_KEY = 'scanner_device_id';
+const SIGNER_ADDRESS_KEY = 'scanner_signer_address';
+const SNAPSHOT_KEY_PREFIX = 'scanner_snapshot_';
+const QUEUE_KEY = 'scanner_queue';
+const ADMITTED_KEY_PREFIX = 'scanner_admitted_';
+
+// Proof timestamps from phones may run slightly ahead of the scanner clock
+const CLOCK_SKEW_SECONDS = 60;
+
+// Team roles the API accepts on POST /check-in
+const SCANNING_ROLES = ['organizer', 'staff', 'scanner'];
+
+const SEAT_INFO_ABI = [
+  'function getSeatInfo(uint256 tokenId) view returns (string section, string row, string seatNumber, string category)',
+];
+
+export const SCAN_RESULT = {
+  ADMITTED: 'admitted',
+  DUPLICATE: 'duplicate',
+  REJECTED: 'rejected',
+};
+
+const ScannerContext = createContext();
+
+export const useScanner = () => {
+  const context = useContext(ScannerContext);
+  if (!context) {
+    throw new Error('useScanner must be used within a ScannerProvider');
+  }
+  return context;
+};
+
+// A fetch that never reached the API (as opposed to an HTTP error response)
+const isNetworkError = (error) => error instanceof TypeError || error.name === 'AbortError';
+
+const parseQR = (qrString) => {
+  try {
+    const parsed = typeof qrString === 'string' ? JSON.parse(qrString) : qrString;
+    return parsed?.data && parsed?.signature ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const ScannerProvider = ({ children }) => {
+  const { authToken } = useWallet();
+  const [deviceId, setDeviceId] = useState(null);
+  const [snapshots, setSnapshots] = useState({});
+  const [queue, setQueue] = useState([]);
+  const [isOnline, setIsOnline] = useState(true);
+  const [syncing, setSyncing] = useState(false);
+  const [lastSync, setLastSync] = useState(null);
+  const [staffAccess, setStaffAccess] = useState(null);
+
+  useEffect(() => {
+    loadScannerState();
+  }, []);
+
+  const loadScannerState = async () => {
+    try {
+      let storedDeviceId = await AsyncStorage.getItem(DEVICE_ID_KEY);
+      if (!storedDeviceId) {
+        storedDeviceId = `scanner-${ethers.utils.hexlify(ethers.utils.randomBytes(8)).slice(2)}`;
+        await AsyncStorage.setItem(DEVICE_ID_KEY, storedDeviceId);
+      }
+      setDeviceId(storedDeviceId);
+
+      const storedQueue = await AsyncStorage.getItem(QUEUE_KEY);
+      if (storedQueue) {
+        setQueue(JSON.parse(storedQueue));
+      }
+
+      const keys = await AsyncStorage.getAllKeys();
+      const snapshotKeys = keys.filter(key => key.startsWith(SNAPSHOT_KEY_PREFIX));
+      const stored = {};
+      for (const [, value] of await AsyncStorage.multiGet(snapshotKeys)) {
+        const snapshot = JSON.parse(value);
+        stored[snapshot.eventId] = snapshot;
+      }
+      setSnapshots(stored);
+    } catch (error) {
+      console.error('Error loading scanner state:', error);
+    }
+  };
+
+  const apiRequest = useCallback(async (path, options = {}) => {
+    if (!authToken) {
+      throw new Error('Not authenticated - please login first');
+    }
+
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${authToken}`,
+        ...options.headers,
+      },
+    });
+    setIsOnline(true);
+    return response;
+  }, [authToken]);
+
+  /**
+   * Check whether the signed-in wallet may scan tickets (scanner, staff or organizer on some team)
+   * @returns {Promise<{canScan: boolean, platformAdmin: boolean, organizerIds: string[]}>}
+   */
+  const loadStaffAccess = useCallback(async () => {
+    const response = await apiRequest('/team/memberships');
+    const body = await response.json();
+    if (!response.ok) {
+      throw new Error(body.error || 'Failed to load team memberships');
+    }
+
+    const organizerIds = body.memberships
+      .filter(m => SCANNING_ROLES.includes(m.role))
+      .map(m => m.organizerId);
+    const access = {
+      canScan: body.platformAdmin || organizerIds.length > 0,
+      platformAdmin: body.platformAdmin,
+      organizerIds,
+    };
+    setStaffAccess(access);
+    return access;
+  }, [apiRequest]);
+
+  /**
+   * Published events the wallet can scan for
+   */
+  const getScannableEvents = useCallback(async (access = staffAccess) => {
+    if (!access?.canScan) return [];
+
+    const response = await fetch(`${API_BASE_URL}/events`);
+    const body = await response.json();
+    if (!response.ok) {
+      throw new Error(body.error || 'Failed to load events');
+    }
+    return access.platformAdmin
+      ? body.events
+      : body.events.filter(e => access.organizerIds.includes(e.organizerId));
+  }, [staffAccess]);
+
+  /**
+   * Seat assigned to a ticket, read from its NFTicket contract (null for general admission or if unreadable)
+   */
+  const getSeatInfo = useCallback(async (chainId, contractAddress, tokenId) => {
+    const network = getNetworkByChainId(Number(chainId));
+    if (!network || !contractAddress) return null;
+
+    try {
+      const provider = new ethers.providers.JsonRpcProvider(network.rpcUrl);
+      const contract = new ethers.Contract(contractAddress, SEAT_INFO_ABI, provider);
+      const seat = await contract.getSeatInfo(tokenId);
+      if (!seat.section && !seat.row && !seat.seatNumber && !seat.category) return null;
+      return {
+        section: seat.section,
+        row: seat.row,
+        seatNumber: seat.seatNumber,
+        category: seat.category,
+      };
+    } catch (error) {
+      console.log('Error reading seat info:', error.message);
+      return null;
+    }
+  }, []);
+
+  const saveQueue = async (nextQueue) => {
+    setQueue(nextQueue);
+    await AsyncStorage.setItem(QUEUE_KEY, JSON.stringify(nextQueue));
+  };
+
+  // Entries this device admitted per token id since the session's snapshot, so offline re-scans are caught before sync
+  const getLocalAdmissions = async (eventId, session) => {
+    const stored = await AsyncStorage.getItem(`${ADMITTED_KEY_PREFIX}${eventId}_${session}`);
+    return stored ? JSON.parse(stored) : {};
+  };
+
+  const setLocalAdmissions = (eventId, session, admitted) =>
+    AsyncStorage.setItem(`${ADMITTED_KEY_PREFIX}${eventId}_${session}`, JSON.stringify(admitted));
+
+  const addLocalAdmission = async (eventId, session, tokenId) => {
+    const admitted = await getLocalAdmissions(eventId, session);
+    admitted[tokenId] = (admitted[tokenId] || 0) + 1;
+    await setLocalAdmissions(eventId, session, admitted);
+  };
+
+  /**
+   * Signer address the API signs proofs and snapshots with
+   * Pinned on first download so a tampered snapshot cannot swap in its own signer
+   */
+  const getPinnedSigner = async () => {
+    const pinned = await AsyncStorage.getItem(SIGNER_ADDRESS_KEY);
+    if (pinned) return pinned;
+
+    const response = await fetch(`${API_BASE_URL}/proof/config`);
+    const config = await response.json();
+    if (!config.signerAddress) {
+      throw new Error('API did not report a signer address');
+    }
+    await AsyncStorage.setItem(SIGNER_ADDRESS_KEY, config.signerAddress);
+    return config.signerAddress;
+  };
+
+  /**
+   * Download, verify and store the offline snapshot for a session of an event
+   * Call before doors open, while the scanner still has a connection
+   */
+  const downloadSnapshot = useCallback(async (eventId, session = 0) => {
+    const response = await apiRequest(`/check-in/events/${eventId}/snapshot?session=${session}`);
+    const body = await response.json();
+    if (!response.ok) {
+      throw new Error(body.error || 'Failed to download snapshot');
+    }
+
+    const { snapshot, digest, signature } = body;
+    const expectedDigest = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(JSON.stringify(snapshot)));
+    const signer = await getPinnedSigner();
+    const recovered = ethers.utils.verifyMessage(ethers.utils.arrayify(digest), signature);
+
+    if (digest !== expectedDigest || recovered.toLowerCase() !== signer.toLowerCase()
+      || snapshot.proof.signer.toLowerCase() !== signer.toLowerCase()) {
+      throw new Error('Snapshot signature is not valid');
+    }
+
+    const current = snapshots[eventId];
+    if (current && current.session === snapshot.session && current.version > snapshot.version) {
+      return current;
+    }
+
+    // The snapshot counts every synced entry; only scans still queued on this device are missing from it
+    const stored = await AsyncStorage.getItem(QUEUE_KEY);
+    const unsynced = {};
+    for (const queued of stored ? JSON.parse(stored) : []) {
+      if (queued.eventId !== eventId || (queued.session ?? 0) !== snapshot.session) continue;
+      const tokenId = String(queued.data.tokenId);
+      unsynced[tokenId] = (unsynced[tokenId] || 0) + 1;
+    }
+    await setLocalAdmissions(eventId, snapshot.session, unsynced);
+
+    await AsyncStorage.setItem(`${SNAPSHOT_KEY_PREFIX}${eventId}`, JSON.stringify(snapshot));
+    setSnapshots(prev => ({ ...prev, [eventId]: snapshot }));
+    return snapshot;
+  }, [apiRequest, snapshots]);
+
+  /**
+   * Verify a ticket QR for a session against the stored snapshot, without the network
+   * @returns {Promise<{result: string, reason?: string, tokenId?: string, owner?: string}>}
+   */
+  const verifyOffline = useCallback(async (eventId, qrString, session = 0) => {
+    const snapshot = snapshots[eventId];
+    if (!snapshot) {
+      throw new Error('No offline snapshot for this event - download one while online');
+    }
+    if ((snapshot.session ?? 0) !== session) {
+      throw new Error(`Offline snapshot is for day ${(snapshot.session ?? 0) + 1} - download the list for this day`);
+    }
+    if (new Date(snapshot.expiresAt).getTime() < Date.now()) {
+      throw new Error('Offline snapshot has expired - download a new one');
+    }
+
+    const proof = parseQR(qrString);
+    if (!proof) {
+      return { result: SCAN_RESULT.REJECTED, reason: 'Not a ticket QR code' };
+    }
+
+    const { data, signature } = proof;
+    const tokenId = String(data.tokenId);
+    const owner = String(data.owner).toLowerCase();
+    const { domain, types, signer, expirationSeconds } = snapshot.proof;
+
+    if (Number(data.chainId ?? snapshot.chainId) !== snapshot.chainId
+      || String(data.contractAddress ?? snapshot.contractAddress).toLowerCase() !== snapshot.contractAddress) {
+      return { result: SCAN_RESULT.REJECTED, reason: 'Ticket is not for this event', tokenId };
+    }
+
+    let recovered;
+    try {
+      recovered = ethers.utils.verifyTypedData(domain, types, {
+        tokenId: data.tokenId,
+        owner: data.owner,
+        timestamp: data.timestamp,
+        nonce: data.nonce,
+      }, signature);
+    } catch (error) {
+      recovered = null;
+    }
+    if (!recovered || recovered.toLowerCase() !== signer.toLowerCase()) {
+      return { result: SCAN_RESULT.REJECTED, reason: 'Invalid signature', tokenId };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (now - data.timestamp > expirationSeconds || data.timestamp > now + CLOCK_SKEW_SECONDS) {
+      return { result: SCAN_RESULT.REJECTED, reason: 'Proof expired', tokenId };
+    }
+
+    if (snapshot.checkedIn.includes(tokenId)) {
+      return { result: SCAN_RESULT.DUPLICATE, reason: 'Ticket already checked in', tokenId, owner };
+    }
+
+    const ticket = snapshot.tickets.find(t => t.tokenId === tokenId);
+    if (!ticket) {
+      return { result: SCAN_RESULT.REJECTED, reason: 'Ticket is not in the snapshot', tokenId };
+    }
+    if (ticket.owner !== owner) {
+      return { result: SCAN_RESULT.REJECTED, reason: 'Not ticket owner', tokenId };
+    }
+
+    const localAdmissions = await getLocalAdmissions(eventId, session);
+    if ((localAdmissions[tokenId] || 0) >= (ticket.entriesLeft ?? 1)) {
+      return { result: SCAN_RESULT.DUPLICATE, reason: 'Ticket already checked in', tokenId, owner };
+    }
+
+    return { result: SCAN_RESULT.ADMITTED, tokenId, owner };
+  }, [snapshots]);
+
+  /**
+   * Queue an offline admission for the next sync
+   */
+  const queueScan = async (eventId, proof, gate, session) => {
+    const scan = {
+      clientScanId: `${deviceId}-${Date.now()}-${ethers.utils.hexlify(ethers.utils.randomBytes(4)).slice(2)}`,
+      eventId,
+      session,
+      data: proof.data,
+      signature: proof.signature,
+      scannedAt: new Date().toISOString(),
+      gate: gate || null,
+    };
+    const stored = await AsyncStorage.getItem(QUEUE_KEY);
+    await saveQueue([...(stored ? JSON.parse(stored) : []), scan]);
+    return scan;
+  };
+
+  /**
+   * Scan a ticket QR at the gate for a session (day) of the event
+   * Checks in online when the API is reachable, otherwise verifies against the snapshot and queues the scan
+   * @returns {Promise<{result: string, reason?: string, offline: boolean}>}
+   */
+  const scan = useCallback(async (eventId, qrString, { gate, session = 0 } = {}) => {
+    const proof = parseQR(qrString);
+    if (!proof) {
+      return { result: SCAN_RESULT.REJECTED, reason: 'Not a ticket QR code', offline: false };
+    }
+
+    try {
+      const response = await apiRequest('/check-in', {
+        method: 'POST',
+        body: JSON.stringify({ data: proof.data, signature: proof.signature, session, gate, deviceId }),
+      });
+      const body = await response.json();
+      if (response.status >= 500 || body.result === undefined) {
+        throw new Error(body.error || 'Check-in failed');
+      }
+      if (body.result === SCAN_RESULT.ADMITTED) {
+        await addLocalAdmission(eventId, session, String(proof.data.tokenId));
+      }
+      return {
+        result: body.result,
+        reason: body.message,
+        tokenId: String(proof.data.tokenId),
+        chainId: body.checkIn?.chainId,
+        contractAddress: body.checkIn?.contractAddress,
+        firstCheckIn: body.firstCheckIn,
+        offline: false,
+      };
+    } catch (error) {
+      if (!isNetworkError(error)) throw error;
+      setIsOnline(false);
+    }
+
+    const outcome = await verifyOffline(eventId, proof, session);
+    if (outcome.result === SCAN_RESULT.ADMITTED) {
+      await addLocalAdmission(eventId, session, outcome.tokenId);
+      await queueScan(eventId, proof, gate, session);
+    }
+    const snapshot = snapshots[eventId];
+    return { ...outcome, chainId: snapshot.chainId, contractAddress: snapshot.contractAddress, offline: true };
+  }, [apiRequest, deviceId, verifyOffline, snapshots]);
+
+  /**
+   * Upload queued offline scans for an event and reconcile them with the server
+   * `conflicts` lists tickets that another gate admitted first during the outage
+   */
+  const syncQueue = useCallback(async (eventId) => {
+    const pending = queue.filter(s => s.eventId === eventId);
+    if (pending.length === 0) {
+      return { synced: 0, admitted: 0, duplicates: 0, rejected: 0, conflicts: [] };
+    }
+
+    try {
+      setSyncing(true);
+      const response = await apiRequest(`/check-in/events/${eventId}/sync`, {
+        method: 'POST',
+        body: JSON.stringify({
+          deviceId,
+          scans: pending.map(({ clientScanId, data, signature, scannedAt, session, gate }) => ({
+            clientScanId, data, signature, scannedAt, session: session ?? 0, gate,
+          })),
+        }),
+      });
+      const body = await response.json();
+      if (!response.ok) {
+        throw new Error(body.error || 'Failed to sync scans');
+      }
+
+      // Keep scans that hit a server error for the next attempt
+      const done = new Set(body.results.filter(r => r.result !== 'error').map(r => r.clientScanId));
+      const stored = await AsyncStorage.getItem(QUEUE_KEY);
+      await saveQueue((stored ? JSON.parse(stored) : []).filter(s => !done.has(s.clientScanId)));
+
+      const conflicts = body.results
+        .filter(r => r.result !== SCAN_RESULT.ADMITTED && r.result !== 'error')
+        .map(r => ({
+          clientScanId: r.clientScanId,
+          tokenId: r.checkIn?.tokenId,
+          result: r.result,
+          reason: r.reason,
+          firstCheckIn: r.firstCheckIn,
+        }));
+
+      const summary = {
+        synced: body.synced,
+        admitted: body.admitted,
+        duplicates: body.duplicates,
+        rejected: body.rejected,
+        conflicts,
+      };
+      setLastSync({ eventId, at: new Date().toISOString(), ...summary });
+      return summary;
+    } catch (error) {
+      if (isNetworkError(error)) setIsOnline(false);
+      console.error('Scan sync error:', error);
+      throw error;
+    } finally {
+      setSyncing(false);
+    }
+  }, [apiRequest, deviceId, queue]);
+
+  const value = {
+    deviceId,
+    snapshots,
+    queue,
+    isOnline,
+    syncing,
+    lastSync,
+    staffAccess,
+    loadStaffAccess,
+    getScannableEvents,
+    getSeatInfo,
+    downloadSnapshot,
+    verifyOffline,
+    scan,
+    syncQueue,
+  };
+
+  return (
+    <ScannerContext.Provider value={value}>
+      {children}
+    </ScannerContext.Provider>
+  );
+};
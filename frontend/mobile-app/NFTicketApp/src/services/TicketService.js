@@ -10,9 +10,11 @@ import { ethers } from 'ethers';
 import { useWallet } from './WalletService';
 import {
   API_CONFIG,
+  NETWORKS,
   getNFTicketAddress,
   areContractsConfigured,
   DEFAULT_NETWORK,
+  getNetworkByChainId,
 } from '../config';
 
 // API Configuration
@@ -23,14 +25,55 @@ const NFT_TICKET_ABI = [
   'function balanceOf(address owner) view returns (uint256)',
   'function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)',
   'function tokenURI(uint256 tokenId) view returns (string)',
-  'function getTicketInfo(uint256 tokenId) view returns (address owner, string uri, bool used, uint256 origPrice)',
+  'function getTicketInfo(uint256 tokenId) view returns (address owner, string uri, bool used, uint256 origPrice, uint256 sessions, uint256 sessionsUsed)',
   'function getEventInfo() view returns (string name, string description, uint256 date, string venue)',
   'function useTicket(uint256 tokenId)',
   'function transferWithPrice(address from, address to, uint256 tokenId, uint256 salePrice) payable',
+  'function transferWithPermit(address from, address to, uint256 tokenId, uint256 salePrice, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
   'function ownerOf(uint256 tokenId) view returns (address)',
   'function ticketUsed(uint256 tokenId) view returns (bool)',
+  'function pendingWithdrawals(address payee) view returns (uint256)',
+  'function withdraw()',
+  'function paymentToken() view returns (address)',
 ];
 
+// Gas limit for a relayed call when estimation fails
+const RELAYED_CALL_GAS = 200000;
+// The relayer does not sponsor requests above this gas limit
+const MAX_RELAYED_CALL_GAS = 300000;
+// How long a signed forward request stays valid
+const RELAY_REQUEST_TTL_SECONDS = 3600;
+
+// ERC-20 payment token (e.g. USDC) for events that do not settle in the native coin
+const ERC20_ABI = [
+  'function decimals() view returns (uint8)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function name() view returns (string)',
+  'function version() view returns (string)',
+  'function nonces(address owner) view returns (uint256)',
+];
+
+// EIP-2612 permit, signed off-chain so paying in the token needs no approve() transaction
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+// Session indices set in a pass bitmap (bit i = session/day i); plain tickets have only session 0
+const sessionsFromBitmap = (bitmap) => {
+  const sessions = [];
+  for (let i = 0; !bitmap.shr(i).isZero(); i++) {
+    if (!bitmap.shr(i).and(1).isZero()) sessions.push(i);
+  }
+  return sessions;
+};
+
 const TicketContext = createContext();
 
 export const useTickets = () => {
@@ -67,6 +110,87 @@ export const TicketProvider = ({ children }) => {
     return new ethers.Contract(contractAddress, NFT_TICKET_ABI, signer || provider);
   };
 
+  /**
+   * Send a ticket contract call, through the gasless relayer when the wallet holds no native coin
+   * The holder signs an EIP-712 forward request and the backend pays the gas (only for calls without value)
+   * @param {number} chainId - Chain of the ticket's event contract
+   * @returns {Promise<{hash: string, wait: Function}>} Transaction with a wait() like a regular ethers response
+   */
+  const sendTicketCall = async (chainId, contract, functionName, args, overrides = {}) => {
+    // Gas funds and relayed transactions are checked on the ticket's chain, whatever network the wallet is on
+    const network = getNetworkByChainId(Number(chainId));
+    if (!network) {
+      throw new Error(`Unsupported network: ${chainId}`);
+    }
+    const chainProvider = new ethers.providers.JsonRpcProvider(network.rpcUrl, network.chainId);
+
+    const value = ethers.BigNumber.from(overrides.value || 0);
+    if (!value.isZero() || !(await chainProvider.getBalance(address)).isZero()) {
+      return contract[functionName](...args, overrides);
+    }
+
+    const paramsResponse = await fetch(`${API_BASE_URL}/relay/params?chainId=${chainId}&wallet=${address}`);
+    if (!paramsResponse.ok) {
+      throw new Error('Your wallet has no funds for gas and gas sponsorship is not available');
+    }
+    const { domain, types, nonce } = await paramsResponse.json();
+
+    const data = contract.interface.encodeFunctionData(functionName, args);
+    let gas = RELAYED_CALL_GAS;
+    try {
+      // Estimated as the holder calling directly, plus headroom for the forwarder
+      const estimate = await contract.estimateGas[functionName](...args);
+      gas = Math.min(estimate.mul(12).div(10).toNumber(), MAX_RELAYED_CALL_GAS);
+    } catch (error) {
+      console.log('Gas estimation failed, using default relay gas limit:', error.message);
+    }
+
+    const request = {
+      from: address,
+      to: contract.address,
+      value: '0',
+      gas: gas.toString(),
+      nonce,
+      deadline: Math.floor(Date.now() / 1000) + RELAY_REQUEST_TTL_SECONDS,
+      data,
+    };
+    const signature = await signer._signTypedData(domain, types, request);
+
+    const response = await fetch(`${API_BASE_URL}/relay`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ chainId, request, signature }),
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to relay transaction');
+    }
+
+    return {
+      hash: result.transactionHash,
+      wait: () => chainProvider.waitForTransaction(result.transactionHash),
+    };
+  };
+
+  /**
+   * Sign an EIP-2612 permit letting `spender` pull `value` of the holder's tokens
+   * @returns {Promise<{deadline: number, v: number, r: string, s: string}>}
+   */
+  const signPermit = async (token, spender, value, chainId) => {
+    const [name, nonce] = await Promise.all([token.name(), token.nonces(address)]);
+    // Tokens without version() (e.g. OpenZeppelin ERC20Permit) sign with version 1
+    const version = await token.version().catch(() => '1');
+    const deadline = Math.floor(Date.now() / 1000) + RELAY_REQUEST_TTL_SECONDS;
+
+    const signature = await signer._signTypedData(
+      { name, version, chainId, verifyingContract: token.address },
+      PERMIT_TYPES,
+      { owner: address, spender, value, nonce, deadline }
+    );
+    const { v, r, s } = ethers.utils.splitSignature(signature);
+    return { deadline, v, r, s };
+  };
+
   const refreshTickets = async () => {
     if (!address || !provider) {
       return;
@@ -95,10 +219,13 @@ export const TicketProvider = ({ children }) => {
             
             const ticket = {
               tokenId: tokenId.toNumber(),
+              chainId: NETWORKS[DEFAULT_NETWORK].chainId,
               contractAddress: contractAddress,
               owner: ticketInfo.owner,
               uri: ticketInfo.uri,
               isUsed: ticketInfo.used,
+              sessions: sessionsFromBitmap(ticketInfo.sessions),
+              sessionsUsed: sessionsFromBitmap(ticketInfo.sessionsUsed),
               originalPrice: ethers.utils.formatEther(ticketInfo.origPrice),
               eventName: eventInfo.name,
               eventDescription: eventInfo.description,
@@ -128,10 +255,13 @@ export const TicketProvider = ({ children }) => {
     return [
       {
         tokenId: 1,
+        chainId: NETWORKS[DEFAULT_NETWORK].chainId,
         contractAddress: '0x1234567890123456789012345678901234567890',
         owner: address,
         uri: 'https://example.com/ticket/1',
         isUsed: false,
+        sessions: [0],
+        sessionsUsed: [],
         originalPrice: '0.1',
         eventName: 'Web3 Conference 2024',
         eventDescription: 'The premier Web3 and blockchain conference',
@@ -141,10 +271,13 @@ export const TicketProvider = ({ children }) => {
       },
       {
         tokenId: 2,
+        chainId: NETWORKS[DEFAULT_NETWORK].chainId,
         contractAddress: '0x1234567890123456789012345678901234567890',
         owner: address,
         uri: 'https://example.com/ticket/2',
         isUsed: true,
+        sessions: [0],
+        sessionsUsed: [0],
         originalPrice: '0.05',
         eventName: 'NFT Art Gallery Opening',
         eventDescription: 'Exclusive NFT art exhibition opening night',
@@ -152,6 +285,22 @@ export const TicketProvider = ({ children }) => {
         eventVenue: 'Modern Art Museum, New York',
         qrData: 'nfticket://0x1234567890123456789012345678901234567890/2',
       },
+      {
+        tokenId: 3,
+        chainId: NETWORKS[DEFAULT_NETWORK].chainId,
+        contractAddress: '0x1234567890123456789012345678901234567890',
+        owner: address,
+        uri: 'https://example.com/ticket/3',
+        isUsed: false,
+        sessions: [0, 1, 2],
+        sessionsUsed: [0],
+        originalPrice: '0.25',
+        eventName: 'Summer Sound Festival',
+        eventDescription: 'Three days of live music - festival pass',
+        eventDate: Math.floor(Date.now() / 1000) - 3600, // Started an hour ago
+        eventVenue: 'Riverside Park, Austin',
+        qrData: 'nfticket://0x1234567890123456789012345678901234567890/3',
+      },
     ];
   };
 
@@ -167,13 +316,16 @@ export const TicketProvider = ({ children }) => {
       }
 
       const contract = getContract(ticket.contractAddress);
-      const tx = await contract.useTicket(tokenId);
+      const tx = await sendTicketCall(ticket.chainId, contract, 'useTicket', [tokenId]);
       await tx.wait();
 
-      // Update local state
+      // Update local state; a pass or re-entry ticket may still have entries left
+      const ticketInfo = await contract.getTicketInfo(tokenId);
       setTickets(prevTickets =>
         prevTickets.map(t =>
-          t.tokenId === tokenId ? { ...t, isUsed: true } : t
+          t.tokenId === tokenId
+            ? { ...t, isUsed: ticketInfo.used, sessionsUsed: sessionsFromBitmap(ticketInfo.sessionsUsed) }
+            : t
         )
       );
 
@@ -196,13 +348,28 @@ export const TicketProvider = ({ children }) => {
       }
 
       const contract = getContract(ticket.contractAddress);
-      const tx = await contract.transferWithPrice(
-        address,
-        toAddress,
-        tokenId,
-        ethers.utils.parseEther(salePrice.toString()),
-        { value: ethers.utils.parseEther(salePrice.toString()) }
-      );
+      const paymentToken = await contract.paymentToken();
+
+      let tx;
+      if (paymentToken === ethers.constants.AddressZero) {
+        const price = ethers.utils.parseEther(salePrice.toString());
+        tx = await sendTicketCall(
+          ticket.chainId, contract, 'transferWithPrice', [address, toAddress, tokenId, price], { value: price }
+        );
+      } else {
+        // ERC-20 events pull the price from the caller; without an allowance, sign a permit rather than
+        // sending approve(), which a wallet relying on the relayer has no gas for
+        const token = new ethers.Contract(paymentToken, ERC20_ABI, signer);
+        const price = ethers.utils.parseUnits(salePrice.toString(), await token.decimals());
+        if ((await token.allowance(address, ticket.contractAddress)).gte(price)) {
+          tx = await sendTicketCall(ticket.chainId, contract, 'transferWithPrice', [address, toAddress, tokenId, price]);
+        } else {
+          const { deadline, v, r, s } = await signPermit(token, ticket.contractAddress, price, ticket.chainId);
+          tx = await sendTicketCall(
+            ticket.chainId, contract, 'transferWithPermit', [address, toAddress, tokenId, price, deadline, v, r, s]
+          );
+        }
+      }
       await tx.wait();
 
       // Refresh tickets after transfer
@@ -215,6 +382,38 @@ export const TicketProvider = ({ children }) => {
     }
   };
 
+  // Resale proceeds and royalties are credited on-chain and claimed with withdraw()
+  const getPendingProceeds = async (contractAddress = getContractAddress()) => {
+    if (!address || !contractAddress) {
+      return '0';
+    }
+
+    try {
+      const contract = getContract(contractAddress);
+      const amount = await contract.pendingWithdrawals(address);
+      return ethers.utils.formatEther(amount);
+    } catch (error) {
+      console.error('Error fetching pending proceeds:', error);
+      return '0';
+    }
+  };
+
+  const withdrawProceeds = async (contractAddress = getContractAddress()) => {
+    if (!signer) {
+      throw new Error('Wallet not connected');
+    }
+
+    try {
+      const contract = getContract(contractAddress);
+      const tx = await contract.withdraw();
+      await tx.wait();
+      return tx;
+    } catch (error) {
+      console.error('Error withdrawing proceeds:', error);
+      throw error;
+    }
+  };
+
   const getTicketMetadata = async (uri) => {
     try {
       const response = await fetch(uri);
@@ -253,10 +452,10 @@ export const TicketProvider = ({ children }) => {
   // ==========================================
 
   /**
-   * Generate a fresh QR proof from the backend
+   * Generate a fresh QR proof from the backend for a ticket's chain and contract
    * Proofs expire in ~15 seconds for security
    */
-  const generateQRProof = useCallback(async (tokenId, isRefresh = false) => {
+  const generateQRProof = useCallback(async (ticket, isRefresh = false) => {
     if (!authToken) {
       throw new Error('Not authenticated - please login first');
     }
@@ -266,7 +465,9 @@ export const TicketProvider = ({ children }) => {
       
       const endpoint = isRefresh ? '/generate-proof/refresh' : '/generate-proof';
       const body = { 
-        tokenId,
+        tokenId: ticket.tokenId,
+        chainId: ticket.chainId,
+        contractAddress: ticket.contractAddress,
         ...(isRefresh && lastProofTimestampRef.current 
           ? { lastProofTimestamp: lastProofTimestampRef.current } 
           : {})
@@ -303,13 +504,13 @@ export const TicketProvider = ({ children }) => {
    * Start auto-refreshing QR code for a ticket
    * Refreshes every (expiration - 3) seconds to ensure smooth transition
    */
-  const startQRRotation = useCallback(async (tokenId) => {
+  const startQRRotation = useCallback(async (ticket) => {
     // Stop any existing rotation
     stopQRRotation();
 
     try {
       // Get initial proof
-      const proof = await generateQRProof(tokenId, false);
+      const proof = await generateQRProof(ticket, false);
       
       // Calculate refresh interval (refresh 3 seconds before expiry)
       const refreshMs = (proof.refreshIn || 12) * 1000;
@@ -317,7 +518,7 @@ export const TicketProvider = ({ children }) => {
       // Set up auto-refresh interval
       refreshIntervalRef.current = setInterval(async () => {
         try {
-          await generateQRProof(tokenId, true);
+          await generateQRProof(ticket, true);
         } catch (error) {
           console.error('QR auto-refresh failed:', error);
           // Stop rotation on error - user needs to re-authenticate
@@ -325,7 +526,7 @@ export const TicketProvider = ({ children }) => {
         }
       }, refreshMs);
 
-      console.log(`QR rotation started for token ${tokenId}, refreshing every ${refreshMs}ms`);
+      console.log(`QR rotation started for token ${ticket.tokenId}, refreshing every ${refreshMs}ms`);
       return proof;
     } catch (error) {
       console.error('Failed to start QR rotation:', error);
@@ -374,6 +575,8 @@ export const TicketProvider = ({ children }) => {
     refreshTickets,
     useTicket,
     transferTicket,
+    getPendingProceeds,
+    withdrawProceeds,
     getTicketMetadata,
     generateOfflineSignature,
     // Rotating QR methods
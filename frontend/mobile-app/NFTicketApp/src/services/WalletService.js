@@ -1,15 +1,67 @@
 /**
  * WalletService
  * Manages wallet connections and Web3 interactions
+ * The private key is kept as an encrypted JSON keystore in the platform keychain. Unlocking needs the
+ * wallet PIN or biometrics, and the signer is dropped whenever the app goes to the background. Repeated wrong
+ * PINs make each retry wait longer and finally wipe the wallet from the device.
  * @author Sowad Al-Mughni
  */
 
 import React, { createContext, useContext, useState, useEffect } from 'react';
+import { AppState } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Keychain from 'react-native-keychain';
 import { ethers } from 'ethers';
 
 const WalletContext = createContext();
 
+// Storage keys
+const WALLET_ADDRESS_KEY = 'wallet_address';
+const LEGACY_PRIVATE_KEY = 'wallet_private_key'; // Plaintext key saved by earlier app versions
+const KEYSTORE_SERVICE = 'nfticket.wallet.keystore';
+const PIN_SERVICE = 'nfticket.wallet.pin'; // PIN copy behind biometric access control
+const MIGRATION_SERVICE = 'nfticket.wallet.migration'; // Keystore password for migrated wallets until a PIN is set
+const PIN_ATTEMPTS_SERVICE = 'nfticket.wallet.attempts'; // Wrong PINs in a row and the lockout they started
+
+// PINs may mix letters and digits; wallets secured with a shorter PIN by earlier versions still unlock
+export const MIN_PIN_LENGTH = 8;
+export const MAX_PIN_LENGTH = 64;
+
+const FREE_PIN_ATTEMPTS = 3; // Wrong PINs before each retry has to wait
+const PIN_BACKOFF_MS = 30 * 1000; // First wait, doubled on every further wrong PIN
+const MAX_PIN_ATTEMPTS = 10; // The keystore is wiped after this many wrong PINs in a row
+
+// Earlier versions encrypted with this lighter scrypt cost; such keystores are re-encrypted on the next PIN unlock
+const LEGACY_SCRYPT_N = 1 << 14;
+
+const INCORRECT_PIN = 'INCORRECT_PIN';
+
+const RPC_URL = 'https://rpc.ankr.com/eth'; // Ethereum mainnet
+
+const readSecure = async (service, options = {}) => {
+  const entry = await Keychain.getGenericPassword({ service, ...options });
+  return entry ? entry.password : null;
+};
+
+const writeSecure = (service, value, options = {}) => Keychain.setGenericPassword('nfticket', value, {
+  service,
+  accessible: Keychain.ACCESSIBLE.WHEN_UNLOCKED_THIS_DEVICE_ONLY,
+  ...options,
+});
+
+const removeSecure = (service) => Keychain.resetGenericPassword({ service });
+
+const validatePin = (pin) => {
+  if (typeof pin !== 'string' || pin.length < MIN_PIN_LENGTH || pin.length > MAX_PIN_LENGTH) {
+    throw new Error(`PIN must be ${MIN_PIN_LENGTH}-${MAX_PIN_LENGTH} characters`);
+  }
+};
+
+const readPinAttempts = async () => {
+  const stored = await readSecure(PIN_ATTEMPTS_SERVICE);
+  return stored ? JSON.parse(stored) : { failures: 0, lockedUntil: 0 };
+};
+
 export const useWallet = () => {
   const context = useContext(WalletContext);
   if (!context) {
@@ -20,58 +72,157 @@ export const useWallet = () => {
 
 export const WalletProvider = ({ children }) => {
   const [isConnected, setIsConnected] = useState(false);
+  const [isLocked, setIsLocked] = useState(false);
+  const [needsPin, setNeedsPin] = useState(false);
   const [address, setAddress] = useState(null);
   const [provider, setProvider] = useState(null);
   const [signer, setSigner] = useState(null);
   const [balance, setBalance] = useState('0');
   const [loading, setLoading] = useState(false);
-
-  // Storage keys
-  const WALLET_ADDRESS_KEY = 'wallet_address';
-  const WALLET_PRIVATE_KEY = 'wallet_private_key';
+  const [biometryType, setBiometryType] = useState(null);
+  const [biometricsEnabled, setBiometricsEnabled] = useState(false);
 
   useEffect(() => {
     loadWalletFromStorage();
   }, []);
 
+  // Lock as soon as the app leaves the foreground
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'background') {
+        lock();
+      }
+    });
+    return () => subscription.remove();
+  }, []);
+
   const loadWalletFromStorage = async () => {
     try {
-      const storedAddress = await AsyncStorage.getItem(WALLET_ADDRESS_KEY);
-      const storedPrivateKey = await AsyncStorage.getItem(WALLET_PRIVATE_KEY);
-      
-      if (storedAddress && storedPrivateKey) {
-        await connectWithPrivateKey(storedPrivateKey);
+      await migratePlaintextKey();
+      setBiometryType(await Keychain.getSupportedBiometryType());
+
+      const keystore = await readSecure(KEYSTORE_SERVICE);
+      if (!keystore) {
+        return;
       }
+
+      // Show the wallet read-only until it is unlocked
+      const storedAddress = ethers.utils.getAddress(JSON.parse(keystore).address);
+      const rpcProvider = new ethers.providers.JsonRpcProvider(RPC_URL);
+      setProvider(rpcProvider);
+      setAddress(storedAddress);
+      setIsConnected(true);
+      setIsLocked(true);
+      setNeedsPin(Boolean(await readSecure(MIGRATION_SERVICE)));
+      setBiometricsEnabled(await Keychain.hasGenericPassword({ service: PIN_SERVICE }));
+
+      const balance = await rpcProvider.getBalance(storedAddress);
+      setBalance(ethers.utils.formatEther(balance));
     } catch (error) {
       console.error('Error loading wallet from storage:', error);
     }
   };
 
-  const connectWithPrivateKey = async (privateKey) => {
+  /**
+   * One-time migration for wallets saved in plaintext by earlier versions
+   * The key is re-encrypted under a random password kept in the keychain and the plaintext copy is
+   * deleted on the spot; the user then picks a PIN (see setPin) to replace that password.
+   */
+  const migratePlaintextKey = async () => {
+    const privateKey = await AsyncStorage.getItem(LEGACY_PRIVATE_KEY);
+    if (!privateKey) {
+      return;
+    }
+
+    if (!(await readSecure(KEYSTORE_SERVICE))) {
+      const wallet = new ethers.Wallet(privateKey);
+      const password = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+      await writeSecure(MIGRATION_SERVICE, password);
+      await writeSecure(KEYSTORE_SERVICE, await wallet.encrypt(password));
+      await AsyncStorage.setItem(WALLET_ADDRESS_KEY, wallet.address);
+    }
+    await AsyncStorage.removeItem(LEGACY_PRIVATE_KEY);
+  };
+
+  const unlockWith = (wallet, rpcProvider = provider) => {
+    const connected = wallet.connect(rpcProvider || new ethers.providers.JsonRpcProvider(RPC_URL));
+    setProvider(connected.provider);
+    setSigner(connected);
+    setIsLocked(false);
+    return connected;
+  };
+
+  const decryptKeystore = async (password) => {
+    const keystore = await readSecure(KEYSTORE_SERVICE);
+    if (!keystore) {
+      throw new Error('No wallet on this device');
+    }
+
+    try {
+      return await ethers.Wallet.fromEncryptedJson(keystore, password);
+    } catch (error) {
+      throw Object.assign(new Error('Incorrect PIN'), { code: INCORRECT_PIN });
+    }
+  };
+
+  /**
+   * Decrypt the keystore with a PIN the user typed, counting wrong guesses
+   * After FREE_PIN_ATTEMPTS each retry waits twice as long as the last; MAX_PIN_ATTEMPTS wipes the wallet.
+   */
+  const decryptWithPin = async (pin) => {
+    const attempts = await readPinAttempts();
+    const wait = attempts.lockedUntil - Date.now();
+    if (wait > 0) {
+      throw new Error(`Too many incorrect PINs - try again in ${Math.ceil(wait / 1000)} seconds`);
+    }
+
+    try {
+      const wallet = await decryptKeystore(pin);
+      await removeSecure(PIN_ATTEMPTS_SERVICE);
+      return wallet;
+    } catch (error) {
+      if (error.code !== INCORRECT_PIN) {
+        throw error;
+      }
+
+      const failures = attempts.failures + 1;
+      if (failures >= MAX_PIN_ATTEMPTS) {
+        await disconnect();
+        throw new Error('Too many incorrect PINs - the wallet was removed from this device. Restore it from your recovery phrase.');
+      }
+
+      const lockedUntil = failures >= FREE_PIN_ATTEMPTS
+        ? Date.now() + PIN_BACKOFF_MS * 2 ** (failures - FREE_PIN_ATTEMPTS)
+        : 0;
+      await writeSecure(PIN_ATTEMPTS_SERVICE, JSON.stringify({ failures, lockedUntil }));
+      throw error;
+    }
+  };
+
+  /**
+   * Encrypt a private key under the PIN, store it and unlock the wallet
+   */
+  const connectWithPrivateKey = async (privateKey, pin) => {
     try {
       setLoading(true);
-      
-      // Create provider (using a public RPC endpoint)
-      const rpcProvider = new ethers.providers.JsonRpcProvider(
-        'https://rpc.ankr.com/eth' // Ethereum mainnet
-      );
-      
-      // Create wallet from private key
-      const wallet = new ethers.Wallet(privateKey, rpcProvider);
-      
-      setProvider(rpcProvider);
-      setSigner(wallet);
+      validatePin(pin);
+
+      const wallet = new ethers.Wallet(privateKey);
+      await writeSecure(KEYSTORE_SERVICE, await wallet.encrypt(pin));
+      await removeSecure(MIGRATION_SERVICE);
+      await removeSecure(PIN_SERVICE);
+      await removeSecure(PIN_ATTEMPTS_SERVICE);
+      await AsyncStorage.setItem(WALLET_ADDRESS_KEY, wallet.address);
+
+      const connected = unlockWith(wallet, new ethers.providers.JsonRpcProvider(RPC_URL));
       setAddress(wallet.address);
       setIsConnected(true);
-      
+      setNeedsPin(false);
+      setBiometricsEnabled(false);
+
       // Get balance
-      const balance = await wallet.getBalance();
+      const balance = await connected.getBalance();
       setBalance(ethers.utils.formatEther(balance));
-      
-      // Store in AsyncStorage
-      await AsyncStorage.setItem(WALLET_ADDRESS_KEY, wallet.address);
-      await AsyncStorage.setItem(WALLET_PRIVATE_KEY, privateKey);
-      
     } catch (error) {
       console.error('Error connecting wallet:', error);
       throw error;
@@ -80,14 +231,14 @@ export const WalletProvider = ({ children }) => {
     }
   };
 
-  const createWallet = async () => {
+  const createWallet = async (pin) => {
     try {
       setLoading(true);
       
       // Create a new random wallet
       const wallet = ethers.Wallet.createRandom();
       
-      await connectWithPrivateKey(wallet.privateKey);
+      await connectWithPrivateKey(wallet.privateKey, pin);
       
       return {
         address: wallet.address,
@@ -102,7 +253,7 @@ export const WalletProvider = ({ children }) => {
     }
   };
 
-  const importWallet = async (privateKeyOrMnemonic) => {
+  const importWallet = async (privateKeyOrMnemonic, pin) => {
     try {
       setLoading(true);
       
@@ -116,7 +267,7 @@ export const WalletProvider = ({ children }) => {
         wallet = new ethers.Wallet(privateKeyOrMnemonic);
       }
       
-      await connectWithPrivateKey(wallet.privateKey);
+      await connectWithPrivateKey(wallet.privateKey, pin);
       
     } catch (error) {
       console.error('Error importing wallet:', error);
@@ -126,17 +277,103 @@ export const WalletProvider = ({ children }) => {
     }
   };
 
+  const unlockWithPin = async (pin) => {
+    try {
+      setLoading(true);
+      const wallet = await decryptWithPin(pin);
+
+      const keystore = JSON.parse(await readSecure(KEYSTORE_SERVICE));
+      if ((keystore.crypto || keystore.Crypto).kdfparams.n <= LEGACY_SCRYPT_N) {
+        await writeSecure(KEYSTORE_SERVICE, await wallet.encrypt(pin));
+      }
+
+      return unlockWith(wallet);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const unlockWithBiometrics = async () => {
+    let pin;
+    try {
+      pin = await readSecure(PIN_SERVICE, {
+        authenticationPrompt: { title: 'Unlock your NFTicket wallet' },
+      });
+    } catch (error) {
+      // Enrolled biometrics changed, which invalidates the stored PIN
+      await removeSecure(PIN_SERVICE);
+      setBiometricsEnabled(false);
+      throw new Error('Biometrics changed - unlock with your PIN');
+    }
+
+    if (!pin) {
+      throw new Error('Biometric unlock cancelled');
+    }
+    return unlockWithPin(pin);
+  };
+
+  /**
+   * Choose the PIN for a wallet migrated from plaintext storage (also unlocks it)
+   */
+  const setPin = async (pin) => {
+    try {
+      setLoading(true);
+      validatePin(pin);
+
+      const password = await readSecure(MIGRATION_SERVICE);
+      if (!password) {
+        throw new Error('Wallet already has a PIN');
+      }
+      const wallet = await decryptKeystore(password);
+      await writeSecure(KEYSTORE_SERVICE, await wallet.encrypt(pin));
+      await removeSecure(MIGRATION_SERVICE);
+
+      setNeedsPin(false);
+      return unlockWith(wallet);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Let biometrics release the PIN (it is stored behind the device's current biometric set)
+   */
+  const enableBiometrics = async (pin) => {
+    await decryptWithPin(pin);
+    await writeSecure(PIN_SERVICE, pin, {
+      accessControl: Keychain.ACCESS_CONTROL.BIOMETRY_CURRENT_SET,
+    });
+    setBiometricsEnabled(true);
+  };
+
+  const disableBiometrics = async () => {
+    await removeSecure(PIN_SERVICE);
+    setBiometricsEnabled(false);
+  };
+
+  const lock = () => {
+    setSigner(null);
+    setIsLocked(true);
+  };
+
   const disconnect = async () => {
     try {
       setIsConnected(false);
+      setIsLocked(false);
+      setNeedsPin(false);
       setAddress(null);
       setProvider(null);
       setSigner(null);
       setBalance('0');
+      setBiometricsEnabled(false);
       
-      // Clear from AsyncStorage
+      // Clear the keystore and everything that unlocks it
+      await removeSecure(KEYSTORE_SERVICE);
+      await removeSecure(PIN_SERVICE);
+      await removeSecure(MIGRATION_SERVICE);
+      await removeSecure(PIN_ATTEMPTS_SERVICE);
       await AsyncStorage.removeItem(WALLET_ADDRESS_KEY);
-      await AsyncStorage.removeItem(WALLET_PRIVATE_KEY);
+      await AsyncStorage.removeItem(LEGACY_PRIVATE_KEY);
       
     } catch (error) {
       console.error('Error disconnecting wallet:', error);
@@ -144,9 +381,9 @@ export const WalletProvider = ({ children }) => {
   };
 
   const refreshBalance = async () => {
-    if (signer) {
+    if (provider && address) {
       try {
-        const balance = await signer.getBalance();
+        const balance = await provider.getBalance(address);
         setBalance(ethers.utils.formatEther(balance));
       } catch (error) {
         console.error('Error refreshing balance:', error);
@@ -159,10 +396,11 @@ export const WalletProvider = ({ children }) => {
       setLoading(true);
       
       const newProvider = new ethers.providers.JsonRpcProvider(networkConfig.rpcUrl);
-      const newSigner = signer.connect(newProvider);
       
       setProvider(newProvider);
-      setSigner(newSigner);
+      if (signer) {
+        setSigner(signer.connect(newProvider));
+      }
       
       await refreshBalance();
       
@@ -176,7 +414,7 @@ export const WalletProvider = ({ children }) => {
 
   const signMessage = async (message) => {
     if (!signer) {
-      throw new Error('Wallet not connected');
+      throw new Error(isLocked ? 'Wallet is locked' : 'Wallet not connected');
     }
     
     try {
@@ -189,7 +427,7 @@ export const WalletProvider = ({ children }) => {
 
   const sendTransaction = async (transaction) => {
     if (!signer) {
-      throw new Error('Wallet not connected');
+      throw new Error(isLocked ? 'Wallet is locked' : 'Wallet not connected');
     }
     
     try {
@@ -204,14 +442,24 @@ export const WalletProvider = ({ children }) => {
 
   const value = {
     isConnected,
+    isLocked,
+    needsPin,
     address,
     provider,
     signer,
     balance,
     loading,
+    biometryType,
+    biometricsEnabled,
     connectWithPrivateKey,
     createWallet,
     importWallet,
+    unlockWithPin,
+    unlockWithBiometrics,
+    setPin,
+    enableBiometrics,
+    disableBiometrics,
+    lock,
     disconnect,
     refreshBalance,
     switchNetwork,
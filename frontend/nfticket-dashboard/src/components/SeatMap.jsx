@@ -5,6 +5,7 @@
  */
 import { useState, useEffect, useMemo } from 'react'
 import { cn } from '@/lib/utils'
+import { useTakenSeats } from '@/hooks/use-taken-seats'
 
 // Default venue configuration
 const DEFAULT_VENUE = {
@@ -187,9 +188,17 @@ export function SeatMap({
   onSelectionChange,
   showLabels = false,
   readOnly = false,
+  contractAddress,
 }) {
   const [selectedSeats, setSelectedSeats] = useState(new Set())
 
+  // With a contract, seats held on-chain are sold too; voided or moved tickets free theirs again
+  const { takenSeats } = useTakenSeats(contractAddress)
+  const unavailableSeats = useMemo(
+    () => new Set([...soldSeats, ...takenSeats]),
+    [soldSeats, takenSeats]
+  )
+
   // Handle seat click
   const handleSeatClick = (seat) => {
     if (readOnly) return
@@ -260,7 +269,7 @@ export function SeatMap({
             key={section.id}
             section={section}
             selectedSeats={selectedSeats}
-            soldSeats={soldSeats}
+            soldSeats={unavailableSeats}
             reservedSeats={reservedSeats}
             onSeatClick={handleSeatClick}
             showLabels={showLabels}
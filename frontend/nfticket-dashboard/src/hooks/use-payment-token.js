@@ -0,0 +1,46 @@
+import { useAccount, useReadContract } from 'wagmi'
+import { formatUnits, parseUnits, zeroAddress } from 'viem'
+import { NFTICKET_ABI, ERC20_ABI } from '@/lib/wagmi'
+
+/**
+ * Currency an NFTicket contract settles in: its ERC-20 paymentToken, or the chain's native coin.
+ * Prices read from the contract (maxPrice, resale prices, royalties) are in this currency's smallest unit.
+ */
+export function usePaymentToken(nfticketAddress) {
+  const { chain } = useAccount()
+  const enabled = !!nfticketAddress && nfticketAddress !== '0x...'
+
+  const { data: paymentToken } = useReadContract({
+    address: nfticketAddress,
+    abi: NFTICKET_ABI,
+    functionName: 'paymentToken',
+    query: { enabled }
+  })
+
+  const token = paymentToken && paymentToken !== zeroAddress ? paymentToken : null
+
+  const { data: tokenSymbol } = useReadContract({
+    address: token,
+    abi: ERC20_ABI,
+    functionName: 'symbol',
+    query: { enabled: !!token }
+  })
+
+  const { data: tokenDecimals } = useReadContract({
+    address: token,
+    abi: ERC20_ABI,
+    functionName: 'decimals',
+    query: { enabled: !!token }
+  })
+
+  const symbol = token ? (tokenSymbol || 'tokens') : (chain?.nativeCurrency?.symbol || 'ETH')
+  const decimals = token ? Number(tokenDecimals ?? 18) : 18
+
+  return {
+    token,
+    symbol,
+    decimals,
+    format: (value) => formatUnits(BigInt(value ?? 0), decimals),
+    parse: (value) => parseUnits(String(value), decimals),
+  }
+}
@@ -0,0 +1,26 @@
+import { useMemo } from 'react'
+import { useQuery } from '@apollo/client'
+import { useAccount } from 'wagmi'
+import { multiChainClient, isSubgraphAvailable, GET_TAKEN_SEATS } from '@/lib/graphql'
+
+/**
+ * Seats currently held by a ticket on an NFTicket contract, as SeatMap seat IDs ("section-row-seatNumber").
+ * Read from the subgraph, so seats freed by a void, seat change or swap show as available again.
+ */
+export function useTakenSeats(nfticketAddress) {
+  const { chainId } = useAccount()
+  const enabled = !!nfticketAddress && nfticketAddress !== '0x...' && isSubgraphAvailable(chainId)
+
+  const { data, loading, error } = useQuery(GET_TAKEN_SEATS, {
+    client: multiChainClient.getClient(chainId),
+    variables: { contract: nfticketAddress?.toLowerCase(), first: 1000, skip: 0 },
+    skip: !enabled,
+  })
+
+  const takenSeats = useMemo(
+    () => new Set((data?.seats || []).map(seat => `${seat.section}-${seat.row}-${seat.seatNumber}`)),
+    [data]
+  )
+
+  return { takenSeats, loading, error }
+}
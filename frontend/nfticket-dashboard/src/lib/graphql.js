@@ -140,12 +140,16 @@ export const GET_ALL_TICKETS = gql`
   }
 `
 
-// Get protocol statistics
+// Get protocol statistics, with resale totals in one payment currency
+// (paymentToken is the lowercase token address, or the zero address for the native coin)
 export const GET_PROTOCOL_STATS = gql`
-  query GetProtocolStats {
-    protocolStats(id: "protocol") {
+  query GetProtocolStats($paymentToken: ID!) {
+    protocolStats(id: "PROTOCOL_STATS") {
       totalTicketsMinted
       totalTicketsUsed
+    }
+    currencyStats(id: $paymentToken) {
+      paymentToken
       totalVolume
       totalRoyalties
     }
@@ -187,6 +191,11 @@ export const GET_TICKET = gql`
       isUsed
       originalPrice
       price
+      royalty {
+        recipient
+        royaltyBps
+        isOverride
+      }
       transfers(orderBy: timestamp, orderDirection: desc) {
         id
         from {
@@ -250,4 +259,18 @@ export const SEARCH_TICKETS = gql`
   }
 `
 
+// Get seats currently held by a ticket on an NFTicket contract
+// Voids, seat changes and swaps free seats, so taken seats come from Seat entities rather than tickets minted
+export const GET_TAKEN_SEATS = gql`
+  query GetTakenSeats($contract: Bytes!, $first: Int!, $skip: Int!) {
+    seats(where: { contract: $contract, isTaken: true }, first: $first, skip: $skip) {
+      id
+      section
+      row
+      seatNumber
+      category
+    }
+  }
+`
+
 export default createGraphClient
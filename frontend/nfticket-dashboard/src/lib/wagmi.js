@@ -68,42 +68,58 @@ export const CONTRACT_ADDRESSES = {
   // Mainnets - Deploy to Polygon first (primary chain)
   [polygon.id]: {
     nfticket: import.meta.env.VITE_CONTRACT_POLYGON_NFTICKET || null,
+    eventFactory: import.meta.env.VITE_CONTRACT_POLYGON_EVENT_FACTORY || null,
+    forwarder: import.meta.env.VITE_CONTRACT_POLYGON_FORWARDER || null,
     poapDistributor: import.meta.env.VITE_CONTRACT_POLYGON_POAP || null,
     loyaltyPoints: import.meta.env.VITE_CONTRACT_POLYGON_LOYALTY || null,
   },
   [base.id]: {
     nfticket: import.meta.env.VITE_CONTRACT_BASE_NFTICKET || null,
+    eventFactory: import.meta.env.VITE_CONTRACT_BASE_EVENT_FACTORY || null,
+    forwarder: import.meta.env.VITE_CONTRACT_BASE_FORWARDER || null,
     poapDistributor: import.meta.env.VITE_CONTRACT_BASE_POAP || null,
     loyaltyPoints: import.meta.env.VITE_CONTRACT_BASE_LOYALTY || null,
   },
   [arbitrum.id]: {
     nfticket: import.meta.env.VITE_CONTRACT_ARBITRUM_NFTICKET || null,
+    eventFactory: import.meta.env.VITE_CONTRACT_ARBITRUM_EVENT_FACTORY || null,
+    forwarder: import.meta.env.VITE_CONTRACT_ARBITRUM_FORWARDER || null,
     poapDistributor: import.meta.env.VITE_CONTRACT_ARBITRUM_POAP || null,
     loyaltyPoints: import.meta.env.VITE_CONTRACT_ARBITRUM_LOYALTY || null,
   },
   [mainnet.id]: {
     nfticket: import.meta.env.VITE_CONTRACT_MAINNET_NFTICKET || null,
+    eventFactory: import.meta.env.VITE_CONTRACT_MAINNET_EVENT_FACTORY || null,
+    forwarder: import.meta.env.VITE_CONTRACT_MAINNET_FORWARDER || null,
     poapDistributor: import.meta.env.VITE_CONTRACT_MAINNET_POAP || null,
     loyaltyPoints: import.meta.env.VITE_CONTRACT_MAINNET_LOYALTY || null,
   },
   // Testnets - Deploy here first for testing
   [polygonAmoy.id]: {
     nfticket: import.meta.env.VITE_CONTRACT_AMOY_NFTICKET || null,
+    eventFactory: import.meta.env.VITE_CONTRACT_AMOY_EVENT_FACTORY || null,
+    forwarder: import.meta.env.VITE_CONTRACT_AMOY_FORWARDER || null,
     poapDistributor: import.meta.env.VITE_CONTRACT_AMOY_POAP || null,
     loyaltyPoints: import.meta.env.VITE_CONTRACT_AMOY_LOYALTY || null,
   },
   [sepolia.id]: {
     nfticket: import.meta.env.VITE_CONTRACT_SEPOLIA_NFTICKET || null,
+    eventFactory: import.meta.env.VITE_CONTRACT_SEPOLIA_EVENT_FACTORY || null,
+    forwarder: import.meta.env.VITE_CONTRACT_SEPOLIA_FORWARDER || null,
     poapDistributor: import.meta.env.VITE_CONTRACT_SEPOLIA_POAP || null,
     loyaltyPoints: import.meta.env.VITE_CONTRACT_SEPOLIA_LOYALTY || null,
   },
   [baseSepolia.id]: {
     nfticket: import.meta.env.VITE_CONTRACT_BASE_SEPOLIA_NFTICKET || null,
+    eventFactory: import.meta.env.VITE_CONTRACT_BASE_SEPOLIA_EVENT_FACTORY || null,
+    forwarder: import.meta.env.VITE_CONTRACT_BASE_SEPOLIA_FORWARDER || null,
     poapDistributor: import.meta.env.VITE_CONTRACT_BASE_SEPOLIA_POAP || null,
     loyaltyPoints: import.meta.env.VITE_CONTRACT_BASE_SEPOLIA_LOYALTY || null,
   },
   [arbitrumSepolia.id]: {
     nfticket: import.meta.env.VITE_CONTRACT_ARBITRUM_SEPOLIA_NFTICKET || null,
+    eventFactory: import.meta.env.VITE_CONTRACT_ARBITRUM_SEPOLIA_EVENT_FACTORY || null,
+    forwarder: import.meta.env.VITE_CONTRACT_ARBITRUM_SEPOLIA_FORWARDER || null,
     poapDistributor: import.meta.env.VITE_CONTRACT_ARBITRUM_SEPOLIA_POAP || null,
     loyaltyPoints: import.meta.env.VITE_CONTRACT_ARBITRUM_SEPOLIA_LOYALTY || null,
   },
@@ -112,7 +128,7 @@ export const CONTRACT_ADDRESSES = {
 /**
  * Get contract address for current chain
  * @param {number} chainId - The chain ID
- * @param {string} contractName - 'nfticket' | 'poapDistributor' | 'loyaltyPoints'
+ * @param {string} contractName - 'nfticket' | 'eventFactory' | 'poapDistributor' | 'loyaltyPoints'
  * @returns {string|null} Contract address or null if not deployed
  */
 export function getContractAddress(chainId, contractName) {
@@ -163,7 +179,7 @@ export const NFTICKET_ABI = [
   'function balanceOf(address owner) view returns (uint256)',
   'function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)',
   'function tokenURI(uint256 tokenId) view returns (string)',
-  'function getTicketInfo(uint256 tokenId) view returns (address owner, string uri, bool used, uint256 origPrice)',
+  'function getTicketInfo(uint256 tokenId) view returns (address owner, string uri, bool used, uint256 origPrice, uint256 sessions, uint256 sessionsUsed)',
   'function getEventInfo() view returns (string name, string description, uint256 date, string venue)',
   'function mintTicket(address to, string uri, uint256 price) returns (uint256)',
   'function useTicket(uint256 tokenId)',
@@ -174,9 +190,67 @@ export const NFTICKET_ABI = [
   'function royaltyCap() view returns (uint256)',
   'function maxPrice() view returns (uint256)',
   'function royaltyRecipient() view returns (address)',
+  'function setPricePolicy(uint8 policy)',
+  'function setMarkupBps(uint256 _markupBps)',
+  'function setCategoryMaxPrice(string category, uint256 _maxPrice)',
+  'function pricePolicy() view returns (uint8)',
+  'function markupBps() view returns (uint256)',
+  'function categoryMaxPrice(string category) view returns (uint256)',
+  'function maxResalePrice(uint256 tokenId) view returns (uint256)',
+  'function royaltyInfo(uint256 tokenId, uint256 salePrice) view returns (address receiver, uint256 royaltyAmount)',
+  'function setTokenRoyalty(uint256 tokenId, address recipient, uint96 royaltyBps)',
+  'function resetTokenRoyalty(uint256 tokenId)',
+  'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+  'function pendingWithdrawals(address payee) view returns (uint256)',
+  'function setPaymentToken(address token, uint256 _maxPrice)',
+  'function paymentToken() view returns (address)',
+  'function paymentDecimals() view returns (uint8)',
+  'function withdraw()',
   'event TicketMinted(uint256 indexed tokenId, address indexed to, string uri)',
   'event TicketTransferred(uint256 indexed tokenId, address indexed from, address indexed to, uint256 price, uint256 royaltyAmount)',
   'event TicketUsed(uint256 indexed tokenId, address indexed owner)',
+  'event TokenRoyaltySet(uint256 indexed tokenId, address indexed recipient, uint96 royaltyBps)',
+  'event TokenRoyaltyReset(uint256 indexed tokenId)',
+  'event PaymentCredited(address indexed payee, uint256 amount)',
+  'event PaymentWithdrawn(address indexed payee, uint256 amount)',
+  'event PaymentTokenUpdated(address indexed token)',
+]
+
+// Clones an NFTicket per event (EIP-1167) and registers it under the organizer
+export const EVENT_FACTORY_ABI = [
+  'function createEvent((string name, string description, uint256 date, string venue, uint256 royaltyCap, uint256 maxPrice, address royaltyRecipient) params) returns (address nfticket)',
+  'function eventCount() view returns (uint256)',
+  'function eventAt(uint256 index) view returns (address)',
+  'function getOrganizerEvents(address organizer) view returns (address[])',
+  'function organizerOf(address nfticket) view returns (address)',
+  'event EventCreated(address indexed nfticket, address indexed organizer, string name, string venue, uint256 eventDate)',
+]
+
+// Minimal ERC-20 surface for NFTicket payment tokens (e.g. USDC)
+export const ERC20_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function balanceOf(address owner) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+]
+
+// Primary sale module; tier configs come from GET /events/:eventId/tiers/:tierId/onchain
+const TIER_CONFIG = '(string name, string uri, uint256 price, uint256 supply, uint256 maxPerWallet, uint64 presaleStart, uint64 saleStart, uint64 saleEnd, bytes32 merkleRoot)'
+
+export const TICKET_SALE_ABI = [
+  `function createTier(${TIER_CONFIG} config) returns (uint256 tierId)`,
+  `function updateTier(uint256 tierId, ${TIER_CONFIG} config)`,
+  `function getTier(uint256 tierId) view returns (${TIER_CONFIG} config, uint256 sold)`,
+  'function tierCount() view returns (uint256)',
+  'function purchase(uint256 tierId, uint256 quantity, bytes32[] proof) payable',
+  'function purchased(uint256 tierId, address wallet) view returns (uint256)',
+  'function isAllowlisted(uint256 tierId, address wallet, bytes32[] proof) view returns (bool)',
+  'function pendingWithdrawals(address payee) view returns (uint256)',
+  'function withdraw()',
+  'event TierCreated(uint256 indexed tierId, string name, uint256 price, uint256 supply)',
+  'event TierUpdated(uint256 indexed tierId, string name, uint256 price, uint256 supply)',
+  'event TicketsPurchased(uint256 indexed tierId, address indexed buyer, uint256 quantity, uint256 totalPrice, uint256 firstTokenId)',
 ]
 
 export const POAP_DISTRIBUTOR_ABI = [
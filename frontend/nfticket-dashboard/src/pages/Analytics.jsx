@@ -20,7 +20,9 @@ import {
   GET_PROTOCOL_STATS, 
   GET_RECENT_TRANSFERS 
 } from '@/lib/graphql'
-import { formatEther } from 'viem'
+import { formatUnits, zeroAddress } from 'viem'
+import { CONTRACT_ADDRESSES } from '@/lib/wagmi'
+import { usePaymentToken } from '@/hooks/use-payment-token'
 
 // Mock analytics data (fallback when subgraph not available)
 const mockStats = {
@@ -77,7 +79,8 @@ function formatRelativeTime(timestamp) {
 }
 
 // Custom hook for fetching analytics data
-function useAnalyticsData(chainId) {
+// Subgraph amounts are in the smallest unit of the event's payment currency
+function useAnalyticsData(chainId, token, decimals) {
   const [stats, setStats] = useState(null)
   const [transfers, setTransfers] = useState([])
   const [loading, setLoading] = useState(false)
@@ -101,17 +104,20 @@ function useAnalyticsData(chainId) {
         const client = createGraphClient(chainId)
         
         // Fetch protocol stats
+        // Volume and royalties are totalled per currency; show the one this event settles in
         const statsResult = await client.query({ 
-          query: GET_PROTOCOL_STATS 
+          query: GET_PROTOCOL_STATS,
+          variables: { paymentToken: (token || zeroAddress).toLowerCase() }
         })
         
         if (statsResult.data?.protocolStats) {
           const ps = statsResult.data.protocolStats
+          const cs = statsResult.data.currencyStats
           setStats({
             totalTicketsMinted: parseInt(ps.totalTicketsMinted || 0),
             totalTicketsUsed: parseInt(ps.totalTicketsUsed || 0),
-            totalVolume: formatEther(BigInt(ps.totalVolume || 0)),
-            totalRoyalties: formatEther(BigInt(ps.totalRoyalties || 0)),
+            totalVolume: formatUnits(BigInt(cs?.totalVolume || 0), decimals),
+            totalRoyalties: formatUnits(BigInt(cs?.totalRoyalties || 0), decimals),
             averagePrice: '0.125', // Would need additional query
             uniqueHolders: 0, // Would need additional query
           })
@@ -128,8 +134,8 @@ function useAnalyticsData(chainId) {
             tokenId: parseInt(t.ticket?.tokenId || 0),
             from: formatAddress(t.from?.id),
             to: formatAddress(t.to?.id),
-            price: formatEther(BigInt(t.price || 0)),
-            royalty: formatEther(BigInt(t.royaltyAmount || 0)),
+            price: formatUnits(BigInt(t.price || 0), decimals),
+            royalty: formatUnits(BigInt(t.royaltyAmount || 0), decimals),
             time: formatRelativeTime(t.timestamp)
           })))
         }
@@ -148,7 +154,7 @@ function useAnalyticsData(chainId) {
     }
 
     fetchData()
-  }, [chainId])
+  }, [chainId, token, decimals])
 
   return { stats, transfers, loading, error, usingMockData }
 }
@@ -157,9 +163,10 @@ export function Analytics() {
   const { isConnected } = useAccount()
   const chainId = useChainId()
   const [timeRange, setTimeRange] = useState('7d')
+  const { token, symbol, decimals } = usePaymentToken(CONTRACT_ADDRESSES[chainId]?.nfticket)
 
   // Fetch real data from subgraph (with mock fallback)
-  const { stats, transfers, loading, error, usingMockData } = useAnalyticsData(chainId)
+  const { stats, transfers, loading, error, usingMockData } = useAnalyticsData(chainId, token, decimals)
 
   // Use fetched stats or fallback to mock
   const displayStats = stats || mockStats
@@ -273,7 +280,7 @@ export function Analytics() {
             <CardTitle className="text-sm font-medium text-gray-500">Total Volume</CardTitle>
           </CardHeader>
           <CardContent>
-            <div className="text-2xl font-bold">{displayStats.totalVolume} ETH</div>
+            <div className="text-2xl font-bold">{displayStats.totalVolume} {symbol}</div>
             <p className="text-xs text-green-600">+23.1% from last period</p>
           </CardContent>
         </Card>
@@ -282,7 +289,7 @@ export function Analytics() {
             <CardTitle className="text-sm font-medium text-gray-500">Royalties Earned</CardTitle>
           </CardHeader>
           <CardContent>
-            <div className="text-2xl font-bold">{displayStats.totalRoyalties} ETH</div>
+            <div className="text-2xl font-bold">{displayStats.totalRoyalties} {symbol}</div>
             <p className="text-xs text-green-600">5% of volume</p>
           </CardContent>
         </Card>
@@ -335,7 +342,7 @@ export function Analytics() {
                         </div>
                       </div>
                     </div>
-                    <div className="w-20 text-right text-sm font-medium">{day.volume} ETH</div>
+                    <div className="w-20 text-right text-sm font-medium">{day.volume} {symbol}</div>
                   </div>
                 ))}
               </div>
@@ -365,7 +372,7 @@ export function Analytics() {
                   <TableRow>
                     <TableHead>Event Name</TableHead>
                     <TableHead className="text-right">Tickets</TableHead>
-                    <TableHead className="text-right">Volume (ETH)</TableHead>
+                    <TableHead className="text-right">Volume ({symbol})</TableHead>
                     <TableHead className="text-right">Used</TableHead>
                     <TableHead className="text-right">Usage Rate</TableHead>
                   </TableRow>
@@ -403,8 +410,8 @@ export function Analytics() {
                     <TableHead>Token ID</TableHead>
                     <TableHead>From</TableHead>
                     <TableHead>To</TableHead>
-                    <TableHead className="text-right">Price (ETH)</TableHead>
-                    <TableHead className="text-right">Royalty (ETH)</TableHead>
+                    <TableHead className="text-right">Price ({symbol})</TableHead>
+                    <TableHead className="text-right">Royalty ({symbol})</TableHead>
                     <TableHead className="text-right">Time</TableHead>
                   </TableRow>
                 </TableHeader>
@@ -5,8 +5,8 @@
  */
 
 import { useState, useEffect } from 'react'
-import { useAccount, useDeployContract, useWaitForTransactionReceipt } from 'wagmi'
-import { parseEther } from 'viem'
+import { useAccount, useDeployContract, useWaitForTransactionReceipt, useWriteContract } from 'wagmi'
+import { formatEther, parseAbi, parseEther, parseEventLogs, zeroAddress } from 'viem'
 import { 
   PlusIcon, 
   CalendarIcon, 
@@ -25,30 +25,38 @@ import { Label } from '@/components/ui/label'
 import { Textarea } from '@/components/ui/textarea'
 import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog'
 import { SeatingChart, SeatSelectionSummary, useSeatSelection } from '@/components'
+import { CONTRACT_ADDRESSES, EVENT_FACTORY_ABI, TICKET_SALE_ABI } from '@/lib/wagmi'
 import NFTicketArtifact from '../lib/abis/NFTicket.json'
 
 // Check if seats.io is configured
 const SEATSIO_ENABLED = !!import.meta.env.VITE_SEATSIO_PUBLIC_KEY
+const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3001'
+
+const EMPTY_EVENT = {
+  name: '',
+  description: '',
+  date: '',
+  venue: '',
+  royaltyCap: 5,
+  maxPrice: '',
+  seatsioChartKey: '', // Optional seats.io chart key
+}
 
 export function Events() {
-  const { address, isConnected } = useAccount()
+  const { address, chainId, isConnected } = useAccount()
   const [showCreateDialog, setShowCreateDialog] = useState(false)
   const [showSeatMapDialog, setShowSeatMapDialog] = useState(false)
   const [selectedEvent, setSelectedEvent] = useState(null)
-  const [events, setEvents] = useState([]) // Local state for demo, ideally fetched from Subgraph
-  const [newEvent, setNewEvent] = useState({
-    name: '',
-    description: '',
-    date: '',
-    venue: '',
-    royaltyCap: 5,
-    maxPrice: '',
-    seatsioChartKey: '', // Optional seats.io chart key
-  })
+  const [events, setEvents] = useState([])
+  const [newEvent, setNewEvent] = useState(EMPTY_EVENT)
   
   // Seat selection hook for purchase flow
   const seatSelection = useSeatSelection()
 
+  // Events are cloned through the EventFactory where one is deployed, otherwise deployed in full
+  const eventFactoryAddress = CONTRACT_ADDRESSES[chainId]?.eventFactory
+  const forwarderAddress = CONTRACT_ADDRESSES[chainId]?.forwarder
+
   // Contract Deployment Hook
   const { 
     deployContract, 
@@ -57,43 +65,213 @@ export function Events() {
     error: deployError 
   } = useDeployContract()
 
+  // EventFactory Hook
+  const {
+    writeContract: writeFactory,
+    data: createHash,
+    isPending: isCreating,
+    error: createError
+  } = useWriteContract()
+
   // Transaction Receipt Hook
   const { 
     isLoading: isWaitingForReceipt, 
     isSuccess: isDeploymentSuccess,
     data: receipt 
   } = useWaitForTransactionReceipt({
-    hash: deployHash,
+    hash: deployHash ?? createHash,
   })
 
-  // Handle successful deployment
+  // Tier publishing to the event's TicketSale module
+  const [publishingTier, setPublishingTier] = useState(null)
+  const { writeContract: writeSale, reset: resetSale, data: publishHash, isPending: isPublishingTier } = useWriteContract()
+  const {
+    isLoading: isConfirmingTier,
+    isSuccess: isTierPublished,
+    data: publishReceipt
+  } = useWaitForTransactionReceipt({ hash: publishHash })
+
+  // Fetch the organizer's events from the catalog API
   useEffect(() => {
-    if (isDeploymentSuccess && receipt) {
-      console.log('Contract deployed at:', receipt.contractAddress)
+    async function fetchEvents() {
+      const token = localStorage.getItem('authToken')
+      if (!isConnected || !token) return
+
+      try {
+        const response = await fetch(`${API_BASE}/events/mine`, {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        })
+
+        if (response.ok) {
+          const data = await response.json()
+          setEvents(data.events)
+        }
+      } catch (error) {
+        console.error('Failed to fetch events:', error)
+      }
+    }
+
+    fetchEvents()
+  }, [isConnected])
+
+  // Handle successful deployment - register the event and its contract in the catalog
+  useEffect(() => {
+    async function saveDeployedEvent() {
+      const contractAddress = receipt.contractAddress ?? parseEventLogs({
+        abi: parseAbi(EVENT_FACTORY_ABI),
+        eventName: 'EventCreated',
+        logs: receipt.logs,
+      })[0]?.args.nfticket
+      console.log('Contract deployed at:', contractAddress)
       const deployedEvent = {
-        id: Date.now(),
-        ...newEvent,
-        contractAddress: receipt.contractAddress,
-        status: 'active',
-        ticketsSold: 0,
-        ticketsTotal: 0, // In this model, tickets are minted on demand or pre-minted? Constructor doesn't limit total supply
-        ticketsUsed: 0,
+        name: newEvent.name,
+        description: newEvent.description,
+        venue: newEvent.venue,
+        date: new Date(newEvent.date).toISOString(),
+        royaltyCap: Math.floor(parseFloat(newEvent.royaltyCap) * 100),
+        maxPrice: parseEther(newEvent.maxPrice.toString()).toString(),
+        contractAddress,
+        chainId,
+      }
+
+      let savedEvent = null
+      const token = localStorage.getItem('authToken')
+      if (token) {
+        try {
+          const response = await fetch(`${API_BASE}/events`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              Authorization: `Bearer ${token}`,
+            },
+            body: JSON.stringify(deployedEvent),
+          })
+
+          if (response.ok) {
+            const data = await response.json()
+            savedEvent = data.event
+          }
+        } catch (error) {
+          console.error('Failed to save event:', error)
+        }
       }
-      setEvents(prev => [deployedEvent, ...prev])
+
+      // Without an API session the event is only kept until reload
+      setEvents(prev => [
+        savedEvent || { id: contractAddress, ...deployedEvent, status: 'DRAFT' },
+        ...prev,
+      ])
       setShowCreateDialog(false)
-      // Reset form
-      setNewEvent({
-        name: '',
-        description: '',
-        date: '',
-        venue: '',
-        royaltyCap: 5,
-        maxPrice: '',
-        seatsioChartKey: '',
-      })
+      setNewEvent(EMPTY_EVENT)
+    }
+
+    if (isDeploymentSuccess && receipt) {
+      saveDeployedEvent()
     }
   }, [isDeploymentSuccess, receipt])
 
+  // Record the on-chain tierId of a newly created tier so later edits call updateTier
+  useEffect(() => {
+    async function recordPublishedTier() {
+      const { eventId, tierId } = publishingTier
+      const [created] = parseEventLogs({
+        abi: parseAbi(TICKET_SALE_ABI),
+        eventName: 'TierCreated',
+        logs: publishReceipt.logs,
+      })
+      setPublishingTier(null)
+      if (!created) return
+
+      const token = localStorage.getItem('authToken')
+      try {
+        const response = await fetch(`${API_BASE}/events/${eventId}/tiers/${tierId}/onchain`, {
+          method: 'PUT',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`,
+          },
+          body: JSON.stringify({ onChainTierId: Number(created.args.tierId) }),
+        })
+
+        if (response.ok) {
+          const data = await response.json()
+          setEvents(prev => prev.map(e => (
+            e.id === eventId ? { ...e, tiers: e.tiers.map(t => (t.id === tierId ? data.tier : t)) } : e
+          )))
+        }
+      } catch (error) {
+        console.error('Failed to record on-chain tier:', error)
+      }
+    }
+
+    if (isTierPublished && publishReceipt && publishingTier) {
+      recordPublishedTier()
+    }
+  }, [isTierPublished, publishReceipt, publishingTier])
+
+  const handlePublishTier = async (eventId, tierId) => {
+    const token = localStorage.getItem('authToken')
+    if (!token) return
+
+    try {
+      const response = await fetch(`${API_BASE}/events/${eventId}/tiers/${tierId}/onchain`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        console.error('Tier is not ready for on-chain sale:', data.error)
+        return
+      }
+
+      const config = {
+        ...data.config,
+        price: BigInt(data.config.price),
+        supply: BigInt(data.config.supply),
+        maxPerWallet: BigInt(data.config.maxPerWallet),
+        presaleStart: BigInt(data.config.presaleStart),
+        saleStart: BigInt(data.config.saleStart),
+        saleEnd: BigInt(data.config.saleEnd),
+      }
+
+      // Drop the previous publish receipt so it is not recorded against this tier
+      resetSale()
+      setPublishingTier({ eventId, tierId })
+      writeSale({
+        address: data.saleContract,
+        abi: parseAbi(TICKET_SALE_ABI),
+        functionName: data.tierId === null ? 'createTier' : 'updateTier',
+        args: data.tierId === null ? [config] : [BigInt(data.tierId), config],
+      })
+    } catch (error) {
+      console.error('Failed to publish tier:', error)
+    }
+  }
+
+  const handlePublishEvent = async (eventId) => {
+    const token = localStorage.getItem('authToken')
+    if (!token) return
+
+    try {
+      const response = await fetch(`${API_BASE}/events/${eventId}/publish`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      })
+
+      if (response.ok) {
+        const data = await response.json()
+        setEvents(prev => prev.map(e => (e.id === eventId ? data.event : e)))
+      }
+    } catch (error) {
+      console.error('Failed to publish event:', error)
+    }
+  }
+
   const handleCreateEvent = () => {
     if (!isConnected) return
     console.log('Deploying event contract...', newEvent)
@@ -103,6 +281,24 @@ export function Events() {
       const royaltyCapBps = Math.floor(parseFloat(newEvent.royaltyCap) * 100) // Convert % to basis points (e.g. 5% -> 500)
       const maxPriceWei = parseEther(newEvent.maxPrice.toString())
 
+      if (eventFactoryAddress) {
+        writeFactory({
+          address: eventFactoryAddress,
+          abi: EVENT_FACTORY_ABI,
+          functionName: 'createEvent',
+          args: [{
+            name: newEvent.name,
+            description: newEvent.description,
+            date: BigInt(dateTimestamp),
+            venue: newEvent.venue,
+            royaltyCap: BigInt(royaltyCapBps),
+            maxPrice: maxPriceWei,
+            royaltyRecipient: address // Creator is royalty recipient
+          }],
+        })
+        return
+      }
+
       deployContract({
         abi: NFTicketArtifact.abi,
         bytecode: NFTicketArtifact.bytecode,
@@ -113,7 +309,8 @@ export function Events() {
           newEvent.venue,
           BigInt(royaltyCapBps),
           maxPriceWei,
-          address // Creator is royalty recipient
+          address, // Creator is royalty recipient
+          forwarderAddress || zeroAddress // Lets holders use the gasless relayer
         ],
       })
     } catch (err) {
@@ -123,11 +320,15 @@ export function Events() {
 
   const getStatusColor = (status) => {
     switch (status) {
-      case 'active':
+      case 'PUBLISHED':
         return 'bg-green-100 text-green-800'
-      case 'completed':
+      case 'SOLD_OUT':
+        return 'bg-purple-100 text-purple-800'
+      case 'CANCELLED':
+        return 'bg-red-100 text-red-800'
+      case 'COMPLETED':
         return 'bg-gray-100 text-gray-800'
-      case 'upcoming':
+      case 'DRAFT':
         return 'bg-blue-100 text-blue-800'
       default:
         return 'bg-gray-100 text-gray-800'
@@ -143,7 +344,8 @@ export function Events() {
     })
   }
 
-  const isLoading = isDeploying || isWaitingForReceipt
+  const isLoading = isDeploying || isCreating || isWaitingForReceipt
+  const createEventError = deployError || createError
 
   return (
     <div className="space-y-8">
@@ -236,9 +438,9 @@ export function Events() {
                   />
                 </div>
               </div>
-              {deployError && (
+              {createEventError && (
                 <div className="text-red-500 text-sm">
-                  Error: {deployError.shortMessage || deployError.message}
+                  Error: {createEventError.shortMessage || createEventError.message}
                 </div>
               )}
             </div>
@@ -253,7 +455,7 @@ export function Events() {
                         {isWaitingForReceipt ? 'Confirming...' : 'Deploying...'}
                     </>
                 ) : (
-                    isConnected ? 'Deploy Contract' : 'Connect Wallet'
+                    isConnected ? (eventFactoryAddress ? 'Create Event' : 'Deploy Contract') : 'Connect Wallet'
                 )}
               </Button>
             </div>
@@ -285,7 +487,7 @@ export function Events() {
                   <div className="space-y-1">
                     <CardTitle className="text-lg">{event.name}</CardTitle>
                     <Badge className={getStatusColor(event.status)}>
-                      {event.status}
+                      {event.status.replace('_', ' ').toLowerCase()}
                     </Badge>
                   </div>
                   <div className="flex space-x-1">
@@ -316,14 +518,20 @@ export function Events() {
 
                 {/* Contract Info */}
                 <div className="space-y-2 pt-2 border-t">
-                  <div className="flex justify-between text-sm">
-                    <span className="text-gray-600">Royalty Cap</span>
-                    <span className="font-medium">{event.royaltyCap}%</span>
-                  </div>
-                  <div className="flex justify-between text-sm">
-                    <span className="text-gray-600">Max Price</span>
-                    <span className="font-medium">{event.maxPrice} ETH</span>
-                  </div>
+                  {event.royaltyCap != null && (
+                    <div className="flex justify-between text-sm">
+                      <span className="text-gray-600">Royalty Cap</span>
+                      <span className="font-medium">{event.royaltyCap / 100}%</span>
+                    </div>
+                  )}
+                  {event.maxPrice && (
+                    <div className="flex justify-between text-sm">
+                      <span className="text-gray-600">Max Price</span>
+                      <span className="font-medium">
+                        {event.maxPriceFormatted ?? formatEther(BigInt(event.maxPrice))} {event.paymentCurrency?.symbol ?? 'ETH'}
+                      </span>
+                    </div>
+                  )}
                   {event.contractAddress && (
                     <div className="text-xs text-gray-500 font-mono">
                       {event.contractAddress.slice(0, 10)}...{event.contractAddress.slice(-8)}
@@ -331,12 +539,53 @@ export function Events() {
                   )}
                 </div>
 
+                {/* Ticket Tiers */}
+                {event.tiers?.length > 0 && (
+                  <div className="space-y-2 pt-2 border-t">
+                    {event.tiers.map((tier) => (
+                      <div key={tier.id} className="flex justify-between items-center text-sm">
+                        <div>
+                          <span className="font-medium">{tier.name}</span>
+                          <span className="text-gray-500 ml-2">{tier.sold}/{tier.supply - tier.onChainSupply}</span>
+                          {tier.onChainSupply > 0 && (
+                            <Badge variant="outline" className="ml-2">On-chain {tier.onChainSupply}</Badge>
+                          )}
+                          {tier.allowlistSize > 0 && (
+                            <Badge variant="outline" className="ml-2">Presale {tier.allowlistSize}</Badge>
+                          )}
+                        </div>
+                        {event.saleContract && tier.onChainSupply > 0 && (
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            onClick={() => handlePublishTier(event.id, tier.id)}
+                            disabled={!isConnected || isPublishingTier || isConfirmingTier}
+                          >
+                            {publishingTier?.tierId === tier.id && (isPublishingTier || isConfirmingTier) ? (
+                              <ArrowPathIcon className="h-4 w-4 animate-spin" />
+                            ) : (
+                              tier.onChainTierId === null ? 'Publish On-Chain' : 'Sync On-Chain'
+                            )}
+                          </Button>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+
                 {/* Actions */}
                 <div className="flex space-x-2 pt-2">
-                  <Button size="sm" className="flex-1">
-                    <TicketIcon className="h-4 w-4 mr-1" />
-                    Mint Tickets
-                  </Button>
+                  {event.status === 'DRAFT' ? (
+                    <Button size="sm" className="flex-1" onClick={() => handlePublishEvent(event.id)}>
+                      <EyeIcon className="h-4 w-4 mr-1" />
+                      Publish
+                    </Button>
+                  ) : (
+                    <Button size="sm" className="flex-1">
+                      <TicketIcon className="h-4 w-4 mr-1" />
+                      Mint Tickets
+                    </Button>
+                  )}
                   {SEATSIO_ENABLED && event.seatsioChartKey && (
                     <Button 
                       size="sm" 
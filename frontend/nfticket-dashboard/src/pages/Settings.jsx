@@ -6,7 +6,7 @@
 
 import { useState } from 'react'
 import { useAccount, useReadContract, useWriteContract, useWaitForTransactionReceipt } from 'wagmi'
-import { parseEther, formatEther } from 'viem'
+import { formatEther, isAddress, parseUnits, zeroAddress } from 'viem'
 import { Card, CardContent, CardHeader, CardTitle, CardDescription, CardFooter } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
@@ -15,7 +15,14 @@ import { Badge } from '@/components/ui/badge'
 import { Separator } from '@/components/ui/separator'
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs'
 import { Switch } from '@/components/ui/switch'
-import { NFTICKET_ABI, POAP_DISTRIBUTOR_ABI, CONTRACT_ADDRESSES } from '@/lib/wagmi'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { NFTICKET_ABI, POAP_DISTRIBUTOR_ABI, ERC20_ABI, CONTRACT_ADDRESSES } from '@/lib/wagmi'
+import { usePaymentToken } from '@/hooks/use-payment-token'
+
+const ERC2981_INTERFACE_ID = '0x2a55205a'
+
+// Mirrors NFTicket.PricePolicy
+const PRICE_POLICIES = ['Absolute', 'Markup', 'Category']
 
 export function Settings() {
   const { isConnected, address, chain } = useAccount()
@@ -23,13 +30,35 @@ export function Settings() {
   // Form states
   const [newRoyaltyCap, setNewRoyaltyCap] = useState('')
   const [newMaxPrice, setNewMaxPrice] = useState('')
+  const [newPaymentToken, setNewPaymentToken] = useState('')
+  const [newTokenMaxPrice, setNewTokenMaxPrice] = useState('')
   const [newRoyaltyRecipient, setNewRoyaltyRecipient] = useState('')
+  const [newPricePolicy, setNewPricePolicy] = useState('')
+  const [newMarkup, setNewMarkup] = useState('')
+  const [categoryName, setCategoryName] = useState('')
+  const [categoryCap, setCategoryCap] = useState('')
   const [newBaseURI, setNewBaseURI] = useState('')
+  const [royaltyTokenId, setRoyaltyTokenId] = useState('')
+  const [overrideRecipient, setOverrideRecipient] = useState('')
+  const [overridePercent, setOverridePercent] = useState('')
 
   // Get contract addresses
   const nfticketAddress = chain?.id && CONTRACT_ADDRESSES[chain.id]?.nfticket
   const poapAddress = chain?.id && CONTRACT_ADDRESSES[chain.id]?.poapDistributor
 
+  // Prices below are in the event's settlement currency (ERC-20 paymentToken or native coin)
+  const currency = usePaymentToken(nfticketAddress)
+
+  // A new payment token comes with a max price in its own units
+  const pendingToken = newPaymentToken.trim() || zeroAddress
+  const { data: pendingTokenDecimals } = useReadContract({
+    address: pendingToken,
+    abi: ERC20_ABI,
+    functionName: 'decimals',
+    query: { enabled: isAddress(pendingToken) && pendingToken !== zeroAddress }
+  })
+  const pendingDecimals = pendingToken === zeroAddress ? 18 : pendingTokenDecimals
+
   // Read current NFTicket settings
   const { data: currentRoyaltyCap } = useReadContract({
     address: nfticketAddress,
@@ -52,6 +81,56 @@ export function Settings() {
     query: { enabled: !!nfticketAddress && nfticketAddress !== '0x...' }
   })
 
+  const { data: currentPricePolicy } = useReadContract({
+    address: nfticketAddress,
+    abi: NFTICKET_ABI,
+    functionName: 'pricePolicy',
+    query: { enabled: !!nfticketAddress && nfticketAddress !== '0x...' }
+  })
+
+  const { data: currentMarkupBps } = useReadContract({
+    address: nfticketAddress,
+    abi: NFTICKET_ABI,
+    functionName: 'markupBps',
+    query: { enabled: !!nfticketAddress && nfticketAddress !== '0x...' }
+  })
+
+  // ERC-2981: advertised interface and the effective royalty for a ticket
+  const { data: supportsERC2981 } = useReadContract({
+    address: nfticketAddress,
+    abi: NFTICKET_ABI,
+    functionName: 'supportsInterface',
+    args: [ERC2981_INTERFACE_ID],
+    query: { enabled: !!nfticketAddress && nfticketAddress !== '0x...' }
+  })
+
+  const lookupTokenId = /^\d+$/.test(royaltyTokenId) ? BigInt(royaltyTokenId) : null
+  const { data: effectiveRoyalty } = useReadContract({
+    address: nfticketAddress,
+    abi: NFTICKET_ABI,
+    functionName: 'royaltyInfo',
+    // Pricing a sale at 10000 makes the royalty amount equal to the basis points
+    args: [lookupTokenId, 10000n],
+    query: { enabled: !!nfticketAddress && nfticketAddress !== '0x...' && lookupTokenId !== null }
+  })
+
+  const { data: tokenResaleCap } = useReadContract({
+    address: nfticketAddress,
+    abi: NFTICKET_ABI,
+    functionName: 'maxResalePrice',
+    args: [lookupTokenId],
+    query: { enabled: !!nfticketAddress && nfticketAddress !== '0x...' && lookupTokenId !== null }
+  })
+
+  // Royalties and resale proceeds are credited on-chain and claimed with withdraw()
+  const { data: pendingProceeds } = useReadContract({
+    address: nfticketAddress,
+    abi: NFTICKET_ABI,
+    functionName: 'pendingWithdrawals',
+    args: [address],
+    query: { enabled: !!nfticketAddress && nfticketAddress !== '0x...' && !!address }
+  })
+
   // Write contract hooks
   const { writeContract, data: hash, isPending } = useWriteContract()
   const { isLoading: isConfirming, isSuccess } = useWaitForTransactionReceipt({ hash })
@@ -75,11 +154,59 @@ export function Settings() {
       address: nfticketAddress,
       abi: NFTICKET_ABI,
       functionName: 'setMaxPrice',
-      args: [parseEther(newMaxPrice)]
+      args: [currency.parse(newMaxPrice)]
     })
     setNewMaxPrice('')
   }
 
+  const handleUpdatePaymentToken = () => {
+    if (!nfticketAddress || !newTokenMaxPrice || pendingDecimals === undefined) return
+    if (!isAddress(pendingToken)) return
+    writeContract({
+      address: nfticketAddress,
+      abi: NFTICKET_ABI,
+      functionName: 'setPaymentToken',
+      args: [pendingToken, parseUnits(newTokenMaxPrice, Number(pendingDecimals))]
+    })
+    setNewPaymentToken('')
+    setNewTokenMaxPrice('')
+  }
+
+  const handleUpdatePricePolicy = () => {
+    if (newPricePolicy === '' || !nfticketAddress) return
+    writeContract({
+      address: nfticketAddress,
+      abi: NFTICKET_ABI,
+      functionName: 'setPricePolicy',
+      args: [Number(newPricePolicy)]
+    })
+    setNewPricePolicy('')
+  }
+
+  const handleUpdateMarkup = () => {
+    if (!newMarkup || !nfticketAddress) return
+    const basisPoints = Math.floor(parseFloat(newMarkup) * 100) // 120% -> 12000
+    writeContract({
+      address: nfticketAddress,
+      abi: NFTICKET_ABI,
+      functionName: 'setMarkupBps',
+      args: [BigInt(basisPoints)]
+    })
+    setNewMarkup('')
+  }
+
+  const handleUpdateCategoryCap = () => {
+    if (!categoryName || !categoryCap || !nfticketAddress) return
+    writeContract({
+      address: nfticketAddress,
+      abi: NFTICKET_ABI,
+      functionName: 'setCategoryMaxPrice',
+      args: [categoryName, currency.parse(categoryCap)]
+    })
+    setCategoryName('')
+    setCategoryCap('')
+  }
+
   const handleUpdateRoyaltyRecipient = () => {
     if (!newRoyaltyRecipient || !nfticketAddress) return
     writeContract({
@@ -91,6 +218,38 @@ export function Settings() {
     setNewRoyaltyRecipient('')
   }
 
+  const handleSetTokenRoyalty = () => {
+    if (lookupTokenId === null || !overrideRecipient || !overridePercent || !nfticketAddress) return
+    const basisPoints = Math.floor(parseFloat(overridePercent) * 100)
+    writeContract({
+      address: nfticketAddress,
+      abi: NFTICKET_ABI,
+      functionName: 'setTokenRoyalty',
+      args: [lookupTokenId, overrideRecipient, BigInt(basisPoints)]
+    })
+    setOverrideRecipient('')
+    setOverridePercent('')
+  }
+
+  const handleResetTokenRoyalty = () => {
+    if (lookupTokenId === null || !nfticketAddress) return
+    writeContract({
+      address: nfticketAddress,
+      abi: NFTICKET_ABI,
+      functionName: 'resetTokenRoyalty',
+      args: [lookupTokenId]
+    })
+  }
+
+  const handleWithdraw = () => {
+    if (!nfticketAddress) return
+    writeContract({
+      address: nfticketAddress,
+      abi: NFTICKET_ABI,
+      functionName: 'withdraw'
+    })
+  }
+
   const handleUpdateBaseURI = () => {
     if (!newBaseURI || !poapAddress) return
     writeContract({
@@ -104,8 +263,13 @@ export function Settings() {
 
   // Display values (with mock fallbacks)
   const displayRoyaltyCap = currentRoyaltyCap ? Number(currentRoyaltyCap) / 100 : 5
-  const displayMaxPrice = currentMaxPrice ? formatEther(currentMaxPrice) : '1.0'
+  const displayMaxPrice = currentMaxPrice ? currency.format(currentMaxPrice) : '1.0'
   const displayRecipient = currentRoyaltyRecipient || address || '0x...'
+  const displayPricePolicy = PRICE_POLICIES[Number(currentPricePolicy ?? 0)]
+  const displayMarkup = currentMarkupBps ? Number(currentMarkupBps) / 100 : null
+  const [effectiveRecipient, effectiveBps] = effectiveRoyalty || []
+  const isTokenOverride = !!effectiveRecipient &&
+    (effectiveRecipient.toLowerCase() !== displayRecipient.toLowerCase() || Number(effectiveBps) / 100 !== displayRoyaltyCap)
 
   if (!isConnected) {
     return (
@@ -208,11 +372,51 @@ export function Settings() {
 
               <Separator />
 
+              {/* Payment Token */}
+              <div className="space-y-2">
+                <div className="flex items-center justify-between">
+                  <Label htmlFor="paymentToken">Payment Token</Label>
+                  <Badge variant="outline">
+                    {currency.token ? `${currency.symbol} (${currency.decimals} decimals)` : `${currency.symbol} (native)`}
+                  </Badge>
+                </div>
+                <div className="flex gap-2">
+                  <Input
+                    id="paymentToken"
+                    placeholder="ERC-20 address, or empty for the native coin"
+                    value={newPaymentToken}
+                    onChange={(e) => setNewPaymentToken(e.target.value)}
+                  />
+                  <Input
+                    id="paymentTokenMaxPrice"
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    className="w-40"
+                    placeholder="Max price"
+                    value={newTokenMaxPrice}
+                    onChange={(e) => setNewTokenMaxPrice(e.target.value)}
+                  />
+                  <Button
+                    onClick={handleUpdatePaymentToken}
+                    disabled={isPending || !isAddress(pendingToken) || !newTokenMaxPrice || pendingDecimals === undefined}
+                  >
+                    Update
+                  </Button>
+                </div>
+                <p className="text-sm text-gray-500">
+                  Resales settle in this currency (e.g. USDC). It can only be changed before the first ticket is minted,
+                  together with the maximum resale price in the new currency.
+                </p>
+              </div>
+
+              <Separator />
+
               {/* Max Price */}
               <div className="space-y-2">
                 <div className="flex items-center justify-between">
-                  <Label htmlFor="maxPrice">Maximum Price (ETH)</Label>
-                  <Badge variant="outline">Current: {displayMaxPrice} ETH</Badge>
+                  <Label htmlFor="maxPrice">Maximum Price ({currency.symbol})</Label>
+                  <Badge variant="outline">Current: {displayMaxPrice} {currency.symbol}</Badge>
                 </div>
                 <div className="flex gap-2">
                   <Input
@@ -235,6 +439,88 @@ export function Settings() {
 
               <Separator />
 
+              {/* Resale Price Policy */}
+              <div className="space-y-2">
+                <div className="flex items-center justify-between">
+                  <Label>Resale Price Policy</Label>
+                  <Badge variant="outline">Current: {displayPricePolicy}</Badge>
+                </div>
+                <div className="flex gap-2">
+                  <Select value={newPricePolicy} onValueChange={setNewPricePolicy}>
+                    <SelectTrigger className="w-full">
+                      <SelectValue placeholder="Select policy" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="0">Absolute (max price for every ticket)</SelectItem>
+                      <SelectItem value="1">Markup (percentage of original price)</SelectItem>
+                      <SelectItem value="2">Category (cap per seat category)</SelectItem>
+                    </SelectContent>
+                  </Select>
+                  <Button onClick={handleUpdatePricePolicy} disabled={isPending || newPricePolicy === ''}>
+                    Update
+                  </Button>
+                </div>
+                <p className="text-sm text-gray-500">
+                  How the resale ceiling for each ticket is calculated
+                </p>
+              </div>
+
+              {/* Markup */}
+              <div className="space-y-2">
+                <div className="flex items-center justify-between">
+                  <Label htmlFor="markup">Markup Ceiling (% of original price)</Label>
+                  <Badge variant="outline">Current: {displayMarkup !== null ? `${displayMarkup}%` : 'Not set'}</Badge>
+                </div>
+                <div className="flex gap-2">
+                  <Input
+                    id="markup"
+                    type="number"
+                    step="5"
+                    min="100"
+                    placeholder="e.g. 120"
+                    value={newMarkup}
+                    onChange={(e) => setNewMarkup(e.target.value)}
+                  />
+                  <Button onClick={handleUpdateMarkup} disabled={isPending || !newMarkup}>
+                    Update
+                  </Button>
+                </div>
+                <p className="text-sm text-gray-500">
+                  Used by the Markup policy (minimum 100%, i.e. face value)
+                </p>
+              </div>
+
+              {/* Category Cap */}
+              <div className="space-y-2">
+                <Label htmlFor="categoryName">Category Max Price ({currency.symbol})</Label>
+                <div className="flex gap-2">
+                  <Input
+                    id="categoryName"
+                    placeholder="Category, e.g. VIP"
+                    value={categoryName}
+                    onChange={(e) => setCategoryName(e.target.value)}
+                  />
+                  <Input
+                    id="categoryCap"
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    placeholder={currency.symbol}
+                    className="w-32"
+                    value={categoryCap}
+                    onChange={(e) => setCategoryCap(e.target.value)}
+                  />
+                  <Button onClick={handleUpdateCategoryCap} disabled={isPending || !categoryName || !categoryCap}>
+                    Update
+                  </Button>
+                </div>
+                <p className="text-sm text-gray-500">
+                  Used by the Category policy; categories without a cap use the maximum price
+                </p>
+              </div>
+
+              <Separator />
+
               {/* Royalty Recipient */}
               <div className="space-y-2">
                 <div className="flex items-center justify-between">
@@ -260,6 +546,116 @@ export function Settings() {
               </div>
             </CardContent>
           </Card>
+
+          {/* ERC-2981 Royalties */}
+          <Card>
+            <CardHeader>
+              <div className="flex items-center justify-between">
+                <CardTitle>Royalties (ERC-2981)</CardTitle>
+                <Badge variant={supportsERC2981 ? 'default' : 'outline'}>
+                  {supportsERC2981 ? 'Advertised' : 'Not detected'}
+                </Badge>
+              </div>
+              <CardDescription>
+                Open marketplaces read royaltyInfo to pay the organizer cut. Tickets use the cap and recipient above unless overridden.
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-6">
+              <div className="space-y-2">
+                <Label htmlFor="royaltyTokenId">Ticket Token ID</Label>
+                <Input
+                  id="royaltyTokenId"
+                  type="number"
+                  min="0"
+                  placeholder="Look up a ticket's effective royalty"
+                  value={royaltyTokenId}
+                  onChange={(e) => setRoyaltyTokenId(e.target.value)}
+                />
+              </div>
+
+              <div className="flex items-center justify-between">
+                <span className="text-sm text-gray-500">Effective royalty</span>
+                <div className="flex items-center gap-2">
+                  <Badge variant="outline">
+                    {effectiveRoyalty ? `${Number(effectiveBps) / 100}%` : `${displayRoyaltyCap}%`}
+                  </Badge>
+                  <Badge variant="outline" className="font-mono text-xs">
+                    {(effectiveRecipient || displayRecipient).slice(0, 6)}...{(effectiveRecipient || displayRecipient).slice(-4)}
+                  </Badge>
+                  {effectiveRoyalty && (
+                    <Badge variant={isTokenOverride ? 'default' : 'secondary'}>
+                      {isTokenOverride ? 'Override' : 'Default'}
+                    </Badge>
+                  )}
+                </div>
+              </div>
+
+              {tokenResaleCap !== undefined && (
+                <div className="flex items-center justify-between">
+                  <span className="text-sm text-gray-500">Resale ceiling</span>
+                  <Badge variant="outline">{currency.format(tokenResaleCap)} {currency.symbol}</Badge>
+                </div>
+              )}
+
+              <Separator />
+
+              <div className="space-y-2">
+                <Label htmlFor="overrideRecipient">Per-Ticket Override</Label>
+                <div className="flex gap-2">
+                  <Input
+                    id="overrideRecipient"
+                    placeholder="Recipient 0x..."
+                    value={overrideRecipient}
+                    onChange={(e) => setOverrideRecipient(e.target.value)}
+                  />
+                  <Input
+                    id="overridePercent"
+                    type="number"
+                    step="0.5"
+                    min="0"
+                    max="25"
+                    placeholder="%"
+                    className="w-24"
+                    value={overridePercent}
+                    onChange={(e) => setOverridePercent(e.target.value)}
+                  />
+                  <Button
+                    onClick={handleSetTokenRoyalty}
+                    disabled={isPending || lookupTokenId === null || !overrideRecipient || !overridePercent}
+                  >
+                    Set
+                  </Button>
+                  <Button
+                    variant="outline"
+                    onClick={handleResetTokenRoyalty}
+                    disabled={isPending || lookupTokenId === null}
+                  >
+                    Reset
+                  </Button>
+                </div>
+                <p className="text-sm text-gray-500">
+                  Overrides apply to the ticket ID above (max 25%). Reset returns it to the contract defaults.
+                </p>
+              </div>
+
+              <Separator />
+
+              <div className="flex items-center justify-between">
+                <div>
+                  <Label>Pending Proceeds</Label>
+                  <p className="text-sm text-gray-500">
+                    Native-coin royalties and resale proceeds credited to your address (ERC-20 sales pay out directly)
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <Badge variant="outline">{formatEther(pendingProceeds ?? 0n)} {chain?.nativeCurrency?.symbol || 'ETH'}</Badge>
+                  <Button onClick={handleWithdraw} disabled={isPending || !pendingProceeds}>
+                    Withdraw
+                  </Button>
+                </div>
+              </div>
+            </CardContent>
+          </Card>
         </TabsContent>
 
         <TabsContent value="poap" className="space-y-4">
@@ -304,9 +304,13 @@ export function TokenGating() {
 
   const handleCreateRule = async (rule) => {
     try {
+      const token = localStorage.getItem('authToken')
       const response = await fetch(`${API_BASE}/gated/admin/rules`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
         body: JSON.stringify(rule),
       })
 
@@ -322,9 +326,13 @@ export function TokenGating() {
 
   const handleToggleRule = async (ruleId, active) => {
     try {
+      const token = localStorage.getItem('authToken')
       const response = await fetch(`${API_BASE}/gated/admin/rules/${ruleId}`, {
         method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`,
+        },
         body: JSON.stringify({ active }),
       })
 
@@ -340,8 +348,10 @@ export function TokenGating() {
     if (!confirm('Are you sure you want to delete this rule?')) return
 
     try {
+      const token = localStorage.getItem('authToken')
       const response = await fetch(`${API_BASE}/gated/admin/rules/${ruleId}`, {
         method: 'DELETE',
+        headers: { Authorization: `Bearer ${token}` },
       })
 
       if (response.ok) {
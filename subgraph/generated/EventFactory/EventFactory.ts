@@ -0,0 +1,233 @@
+// THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY.
+
+import {
+  ethereum,
+  JSONValue,
+  TypedMap,
+  Entity,
+  Bytes,
+  Address,
+  BigInt,
+} from "@graphprotocol/graph-ts";
+
+export class EventCreated extends ethereum.Event {
+  get params(): EventCreated__Params {
+    return new EventCreated__Params(this);
+  }
+}
+
+export class EventCreated__Params {
+  _event: EventCreated;
+
+  constructor(event: EventCreated) {
+    this._event = event;
+  }
+
+  get nfticket(): Address {
+    return this._event.parameters[0].value.toAddress();
+  }
+
+  get organizer(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+
+  get name(): string {
+    return this._event.parameters[2].value.toString();
+  }
+
+  get venue(): string {
+    return this._event.parameters[3].value.toString();
+  }
+
+  get eventDate(): BigInt {
+    return this._event.parameters[4].value.toBigInt();
+  }
+}
+
+export class EventFactory extends ethereum.SmartContract {
+  static bind(address: Address): EventFactory {
+    return new EventFactory("EventFactory", address);
+  }
+
+  createEvent(params: ethereum.Tuple): Address {
+    let result = super.call("createEvent", "createEvent(tuple):(address)", [
+      ethereum.Value.fromTuple(params),
+    ]);
+
+    return result[0].toAddress();
+  }
+
+  try_createEvent(params: ethereum.Tuple): ethereum.CallResult<Address> {
+    let result = super.tryCall("createEvent", "createEvent(tuple):(address)", [
+      ethereum.Value.fromTuple(params),
+    ]);
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toAddress());
+  }
+
+  eventAt(index: BigInt): Address {
+    let result = super.call("eventAt", "eventAt(uint256):(address)", [
+      ethereum.Value.fromUnsignedBigInt(index),
+    ]);
+
+    return result[0].toAddress();
+  }
+
+  try_eventAt(index: BigInt): ethereum.CallResult<Address> {
+    let result = super.tryCall("eventAt", "eventAt(uint256):(address)", [
+      ethereum.Value.fromUnsignedBigInt(index),
+    ]);
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toAddress());
+  }
+
+  eventCount(): BigInt {
+    let result = super.call("eventCount", "eventCount():(uint256)", []);
+
+    return result[0].toBigInt();
+  }
+
+  try_eventCount(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall("eventCount", "eventCount():(uint256)", []);
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  getOrganizerEvents(organizer: Address): Array<Address> {
+    let result = super.call(
+      "getOrganizerEvents",
+      "getOrganizerEvents(address):(address[])",
+      [ethereum.Value.fromAddress(organizer)],
+    );
+
+    return result[0].toAddressArray();
+  }
+
+  try_getOrganizerEvents(
+    organizer: Address,
+  ): ethereum.CallResult<Array<Address>> {
+    let result = super.tryCall(
+      "getOrganizerEvents",
+      "getOrganizerEvents(address):(address[])",
+      [ethereum.Value.fromAddress(organizer)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toAddressArray());
+  }
+
+  implementation(): Address {
+    let result = super.call("implementation", "implementation():(address)", []);
+
+    return result[0].toAddress();
+  }
+
+  try_implementation(): ethereum.CallResult<Address> {
+    let result = super.tryCall(
+      "implementation",
+      "implementation():(address)",
+      [],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toAddress());
+  }
+
+  organizerOf(param0: Address): Address {
+    let result = super.call("organizerOf", "organizerOf(address):(address)", [
+      ethereum.Value.fromAddress(param0),
+    ]);
+
+    return result[0].toAddress();
+  }
+
+  try_organizerOf(param0: Address): ethereum.CallResult<Address> {
+    let result = super.tryCall(
+      "organizerOf",
+      "organizerOf(address):(address)",
+      [ethereum.Value.fromAddress(param0)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toAddress());
+  }
+}
+
+export class ConstructorCall extends ethereum.Call {
+  get inputs(): ConstructorCall__Inputs {
+    return new ConstructorCall__Inputs(this);
+  }
+
+  get outputs(): ConstructorCall__Outputs {
+    return new ConstructorCall__Outputs(this);
+  }
+}
+
+export class ConstructorCall__Inputs {
+  _call: ConstructorCall;
+
+  constructor(call: ConstructorCall) {
+    this._call = call;
+  }
+
+  get _implementation(): Address {
+    return this._call.inputValues[0].value.toAddress();
+  }
+}
+
+export class ConstructorCall__Outputs {
+  _call: ConstructorCall;
+
+  constructor(call: ConstructorCall) {
+    this._call = call;
+  }
+}
+
+export class CreateEventCall extends ethereum.Call {
+  get inputs(): CreateEventCall__Inputs {
+    return new CreateEventCall__Inputs(this);
+  }
+
+  get outputs(): CreateEventCall__Outputs {
+    return new CreateEventCall__Outputs(this);
+  }
+}
+
+export class CreateEventCall__Inputs {
+  _call: CreateEventCall;
+
+  constructor(call: CreateEventCall) {
+    this._call = call;
+  }
+
+  get params(): ethereum.Tuple {
+    return this._call.inputValues[0].value.toTuple();
+  }
+}
+
+export class CreateEventCall__Outputs {
+  _call: CreateEventCall;
+
+  constructor(call: CreateEventCall) {
+    this._call = call;
+  }
+
+  get nfticket(): Address {
+    return this._call.outputValues[0].value.toAddress();
+  }
+}
@@ -84,6 +84,46 @@ export class BatchMetadataUpdate__Params {
   }
 }
 
+export class CategoryMaxPriceUpdated extends ethereum.Event {
+  get params(): CategoryMaxPriceUpdated__Params {
+    return new CategoryMaxPriceUpdated__Params(this);
+  }
+}
+
+export class CategoryMaxPriceUpdated__Params {
+  _event: CategoryMaxPriceUpdated;
+
+  constructor(event: CategoryMaxPriceUpdated) {
+    this._event = event;
+  }
+
+  get category(): string {
+    return this._event.parameters[0].value.toString();
+  }
+
+  get newMaxPrice(): BigInt {
+    return this._event.parameters[1].value.toBigInt();
+  }
+}
+
+export class Initialized extends ethereum.Event {
+  get params(): Initialized__Params {
+    return new Initialized__Params(this);
+  }
+}
+
+export class Initialized__Params {
+  _event: Initialized;
+
+  constructor(event: Initialized) {
+    this._event = event;
+  }
+
+  get version(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+}
+
 export class MarketplaceApprovalUpdated extends ethereum.Event {
   get params(): MarketplaceApprovalUpdated__Params {
     return new MarketplaceApprovalUpdated__Params(this);
@@ -106,6 +146,24 @@ export class MarketplaceApprovalUpdated__Params {
   }
 }
 
+export class MarkupBpsUpdated extends ethereum.Event {
+  get params(): MarkupBpsUpdated__Params {
+    return new MarkupBpsUpdated__Params(this);
+  }
+}
+
+export class MarkupBpsUpdated__Params {
+  _event: MarkupBpsUpdated;
+
+  constructor(event: MarkupBpsUpdated) {
+    this._event = event;
+  }
+
+  get newMarkupBps(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+}
+
 export class MaxPriceUpdated extends ethereum.Event {
   get params(): MaxPriceUpdated__Params {
     return new MaxPriceUpdated__Params(this);
@@ -142,6 +200,112 @@ export class MetadataUpdate__Params {
   }
 }
 
+export class PassMinted extends ethereum.Event {
+  get params(): PassMinted__Params {
+    return new PassMinted__Params(this);
+  }
+}
+
+export class PassMinted__Params {
+  _event: PassMinted;
+
+  constructor(event: PassMinted) {
+    this._event = event;
+  }
+
+  get tokenId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get sessions(): BigInt {
+    return this._event.parameters[1].value.toBigInt();
+  }
+
+  get entriesPerSession(): BigInt {
+    return this._event.parameters[2].value.toBigInt();
+  }
+}
+
+export class PaymentCredited extends ethereum.Event {
+  get params(): PaymentCredited__Params {
+    return new PaymentCredited__Params(this);
+  }
+}
+
+export class PaymentCredited__Params {
+  _event: PaymentCredited;
+
+  constructor(event: PaymentCredited) {
+    this._event = event;
+  }
+
+  get payee(): Address {
+    return this._event.parameters[0].value.toAddress();
+  }
+
+  get amount(): BigInt {
+    return this._event.parameters[1].value.toBigInt();
+  }
+}
+
+export class PaymentTokenUpdated extends ethereum.Event {
+  get params(): PaymentTokenUpdated__Params {
+    return new PaymentTokenUpdated__Params(this);
+  }
+}
+
+export class PaymentTokenUpdated__Params {
+  _event: PaymentTokenUpdated;
+
+  constructor(event: PaymentTokenUpdated) {
+    this._event = event;
+  }
+
+  get token(): Address {
+    return this._event.parameters[0].value.toAddress();
+  }
+}
+
+export class PaymentWithdrawn extends ethereum.Event {
+  get params(): PaymentWithdrawn__Params {
+    return new PaymentWithdrawn__Params(this);
+  }
+}
+
+export class PaymentWithdrawn__Params {
+  _event: PaymentWithdrawn;
+
+  constructor(event: PaymentWithdrawn) {
+    this._event = event;
+  }
+
+  get payee(): Address {
+    return this._event.parameters[0].value.toAddress();
+  }
+
+  get amount(): BigInt {
+    return this._event.parameters[1].value.toBigInt();
+  }
+}
+
+export class PricePolicyUpdated extends ethereum.Event {
+  get params(): PricePolicyUpdated__Params {
+    return new PricePolicyUpdated__Params(this);
+  }
+}
+
+export class PricePolicyUpdated__Params {
+  _event: PricePolicyUpdated;
+
+  constructor(event: PricePolicyUpdated) {
+    this._event = event;
+  }
+
+  get newPolicy(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+}
+
 export class RoleAdminChanged extends ethereum.Event {
   get params(): RoleAdminChanged__Params {
     return new RoleAdminChanged__Params(this);
@@ -256,6 +420,44 @@ export class RoyaltyRecipientUpdated__Params {
   }
 }
 
+export class SeatChanged extends ethereum.Event {
+  get params(): SeatChanged__Params {
+    return new SeatChanged__Params(this);
+  }
+}
+
+export class SeatChanged__Params {
+  _event: SeatChanged;
+
+  constructor(event: SeatChanged) {
+    this._event = event;
+  }
+
+  get tokenId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get section(): string {
+    return this._event.parameters[1].value.toString();
+  }
+
+  get row(): string {
+    return this._event.parameters[2].value.toString();
+  }
+
+  get seatNumber(): string {
+    return this._event.parameters[3].value.toString();
+  }
+
+  get category(): string {
+    return this._event.parameters[4].value.toString();
+  }
+
+  get reason(): string {
+    return this._event.parameters[5].value.toString();
+  }
+}
+
 export class TicketMinted extends ethereum.Event {
   get params(): TicketMinted__Params {
     return new TicketMinted__Params(this);
@@ -282,6 +484,100 @@ export class TicketMinted__Params {
   }
 }
 
+export class TicketMintedWithSeat extends ethereum.Event {
+  get params(): TicketMintedWithSeat__Params {
+    return new TicketMintedWithSeat__Params(this);
+  }
+}
+
+export class TicketMintedWithSeat__Params {
+  _event: TicketMintedWithSeat;
+
+  constructor(event: TicketMintedWithSeat) {
+    this._event = event;
+  }
+
+  get tokenId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get to(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+
+  get section(): string {
+    return this._event.parameters[2].value.toString();
+  }
+
+  get row(): string {
+    return this._event.parameters[3].value.toString();
+  }
+
+  get seatNumber(): string {
+    return this._event.parameters[4].value.toString();
+  }
+}
+
+export class TicketReissued extends ethereum.Event {
+  get params(): TicketReissued__Params {
+    return new TicketReissued__Params(this);
+  }
+}
+
+export class TicketReissued__Params {
+  _event: TicketReissued;
+
+  constructor(event: TicketReissued) {
+    this._event = event;
+  }
+
+  get tokenId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get from(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+
+  get to(): Address {
+    return this._event.parameters[2].value.toAddress();
+  }
+
+  get reason(): string {
+    return this._event.parameters[3].value.toString();
+  }
+}
+
+export class TicketSessionUsed extends ethereum.Event {
+  get params(): TicketSessionUsed__Params {
+    return new TicketSessionUsed__Params(this);
+  }
+}
+
+export class TicketSessionUsed__Params {
+  _event: TicketSessionUsed;
+
+  constructor(event: TicketSessionUsed) {
+    this._event = event;
+  }
+
+  get tokenId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get owner(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+
+  get session(): BigInt {
+    return this._event.parameters[2].value.toBigInt();
+  }
+
+  get entry(): BigInt {
+    return this._event.parameters[3].value.toBigInt();
+  }
+}
+
 export class TicketTransferred extends ethereum.Event {
   get params(): TicketTransferred__Params {
     return new TicketTransferred__Params(this);
@@ -338,6 +634,98 @@ export class TicketUsed__Params {
   }
 }
 
+export class TicketVoided extends ethereum.Event {
+  get params(): TicketVoided__Params {
+    return new TicketVoided__Params(this);
+  }
+}
+
+export class TicketVoided__Params {
+  _event: TicketVoided;
+
+  constructor(event: TicketVoided) {
+    this._event = event;
+  }
+
+  get tokenId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get holder(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+
+  get reason(): string {
+    return this._event.parameters[2].value.toString();
+  }
+}
+
+export class TicketsBatchMinted extends ethereum.Event {
+  get params(): TicketsBatchMinted__Params {
+    return new TicketsBatchMinted__Params(this);
+  }
+}
+
+export class TicketsBatchMinted__Params {
+  _event: TicketsBatchMinted;
+
+  constructor(event: TicketsBatchMinted) {
+    this._event = event;
+  }
+
+  get firstTokenId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get count(): BigInt {
+    return this._event.parameters[1].value.toBigInt();
+  }
+}
+
+export class TokenRoyaltyReset extends ethereum.Event {
+  get params(): TokenRoyaltyReset__Params {
+    return new TokenRoyaltyReset__Params(this);
+  }
+}
+
+export class TokenRoyaltyReset__Params {
+  _event: TokenRoyaltyReset;
+
+  constructor(event: TokenRoyaltyReset) {
+    this._event = event;
+  }
+
+  get tokenId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+}
+
+export class TokenRoyaltySet extends ethereum.Event {
+  get params(): TokenRoyaltySet__Params {
+    return new TokenRoyaltySet__Params(this);
+  }
+}
+
+export class TokenRoyaltySet__Params {
+  _event: TokenRoyaltySet;
+
+  constructor(event: TokenRoyaltySet) {
+    this._event = event;
+  }
+
+  get tokenId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get recipient(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+
+  get royaltyBps(): BigInt {
+    return this._event.parameters[2].value.toBigInt();
+  }
+}
+
 export class Transfer extends ethereum.Event {
   get params(): Transfer__Params {
     return new Transfer__Params(this);
@@ -403,22 +791,99 @@ export class NFTicket__getEventInfoResult {
   }
 }
 
+export class NFTicket__getPassInfoResult {
+  value0: BigInt;
+  value1: BigInt;
+  value2: BigInt;
+
+  constructor(value0: BigInt, value1: BigInt, value2: BigInt) {
+    this.value0 = value0;
+    this.value1 = value1;
+    this.value2 = value2;
+  }
+
+  toMap(): TypedMap<string, ethereum.Value> {
+    let map = new TypedMap<string, ethereum.Value>();
+    map.set("value0", ethereum.Value.fromUnsignedBigInt(this.value0));
+    map.set("value1", ethereum.Value.fromUnsignedBigInt(this.value1));
+    map.set("value2", ethereum.Value.fromUnsignedBigInt(this.value2));
+    return map;
+  }
+
+  getSessions(): BigInt {
+    return this.value0;
+  }
+
+  getSessionsUsed(): BigInt {
+    return this.value1;
+  }
+
+  getEntriesPerSession(): BigInt {
+    return this.value2;
+  }
+}
+
+export class NFTicket__getSeatInfoResult {
+  value0: string;
+  value1: string;
+  value2: string;
+  value3: string;
+
+  constructor(value0: string, value1: string, value2: string, value3: string) {
+    this.value0 = value0;
+    this.value1 = value1;
+    this.value2 = value2;
+    this.value3 = value3;
+  }
+
+  toMap(): TypedMap<string, ethereum.Value> {
+    let map = new TypedMap<string, ethereum.Value>();
+    map.set("value0", ethereum.Value.fromString(this.value0));
+    map.set("value1", ethereum.Value.fromString(this.value1));
+    map.set("value2", ethereum.Value.fromString(this.value2));
+    map.set("value3", ethereum.Value.fromString(this.value3));
+    return map;
+  }
+
+  getSection(): string {
+    return this.value0;
+  }
+
+  getRow(): string {
+    return this.value1;
+  }
+
+  getSeatNumber(): string {
+    return this.value2;
+  }
+
+  getCategory(): string {
+    return this.value3;
+  }
+}
+
 export class NFTicket__getTicketInfoResult {
   value0: Address;
   value1: string;
   value2: boolean;
   value3: BigInt;
+  value4: BigInt;
+  value5: BigInt;
 
   constructor(
     value0: Address,
     value1: string,
     value2: boolean,
     value3: BigInt,
+    value4: BigInt,
+    value5: BigInt,
   ) {
     this.value0 = value0;
     this.value1 = value1;
     this.value2 = value2;
     this.value3 = value3;
+    this.value4 = value4;
+    this.value5 = value5;
   }
 
   toMap(): TypedMap<string, ethereum.Value> {
@@ -427,6 +892,8 @@ export class NFTicket__getTicketInfoResult {
     map.set("value1", ethereum.Value.fromString(this.value1));
     map.set("value2", ethereum.Value.fromBoolean(this.value2));
     map.set("value3", ethereum.Value.fromUnsignedBigInt(this.value3));
+    map.set("value4", ethereum.Value.fromUnsignedBigInt(this.value4));
+    map.set("value5", ethereum.Value.fromUnsignedBigInt(this.value5));
     return map;
   }
 
@@ -445,6 +912,39 @@ export class NFTicket__getTicketInfoResult {
   getOrigPrice(): BigInt {
     return this.value3;
   }
+
+  getSessions(): BigInt {
+    return this.value4;
+  }
+
+  getSessionsUsed(): BigInt {
+    return this.value5;
+  }
+}
+
+export class NFTicket__royaltyInfoResult {
+  value0: Address;
+  value1: BigInt;
+
+  constructor(value0: Address, value1: BigInt) {
+    this.value0 = value0;
+    this.value1 = value1;
+  }
+
+  toMap(): TypedMap<string, ethereum.Value> {
+    let map = new TypedMap<string, ethereum.Value>();
+    map.set("value0", ethereum.Value.fromAddress(this.value0));
+    map.set("value1", ethereum.Value.fromUnsignedBigInt(this.value1));
+    return map;
+  }
+
+  getReceiver(): Address {
+    return this.value0;
+  }
+
+  getRoyaltyAmount(): BigInt {
+    return this.value1;
+  }
 }
 
 export class NFTicket extends ethereum.SmartContract {
@@ -490,6 +990,29 @@ export class NFTicket extends ethereum.SmartContract {
     return ethereum.CallResult.fromValue(value[0].toBytes());
   }
 
+  MAX_ROYALTY_BPS(): BigInt {
+    let result = super.call(
+      "MAX_ROYALTY_BPS",
+      "MAX_ROYALTY_BPS():(uint256)",
+      [],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_MAX_ROYALTY_BPS(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "MAX_ROYALTY_BPS",
+      "MAX_ROYALTY_BPS():(uint256)",
+      [],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
   MINTER_ROLE(): Bytes {
     let result = super.call("MINTER_ROLE", "MINTER_ROLE():(bytes32)", []);
 
@@ -505,6 +1028,21 @@ export class NFTicket extends ethereum.SmartContract {
     return ethereum.CallResult.fromValue(value[0].toBytes());
   }
 
+  SCANNER_ROLE(): Bytes {
+    let result = super.call("SCANNER_ROLE", "SCANNER_ROLE():(bytes32)", []);
+
+    return result[0].toBytes();
+  }
+
+  try_SCANNER_ROLE(): ethereum.CallResult<Bytes> {
+    let result = super.tryCall("SCANNER_ROLE", "SCANNER_ROLE():(bytes32)", []);
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBytes());
+  }
+
   approvedMarketplaces(param0: Address): boolean {
     let result = super.call(
       "approvedMarketplaces",
@@ -547,72 +1085,42 @@ export class NFTicket extends ethereum.SmartContract {
     return ethereum.CallResult.fromValue(value[0].toBigInt());
   }
 
-  eventDate(): BigInt {
-    let result = super.call("eventDate", "eventDate():(uint256)", []);
-
-    return result[0].toBigInt();
-  }
-
-  try_eventDate(): ethereum.CallResult<BigInt> {
-    let result = super.tryCall("eventDate", "eventDate():(uint256)", []);
-    if (result.reverted) {
-      return new ethereum.CallResult();
-    }
-    let value = result.value;
-    return ethereum.CallResult.fromValue(value[0].toBigInt());
-  }
-
-  eventDescription(): string {
+  categoryMaxPrice(param0: string): BigInt {
     let result = super.call(
-      "eventDescription",
-      "eventDescription():(string)",
-      [],
+      "categoryMaxPrice",
+      "categoryMaxPrice(string):(uint256)",
+      [ethereum.Value.fromString(param0)],
     );
 
-    return result[0].toString();
+    return result[0].toBigInt();
   }
 
-  try_eventDescription(): ethereum.CallResult<string> {
+  try_categoryMaxPrice(param0: string): ethereum.CallResult<BigInt> {
     let result = super.tryCall(
-      "eventDescription",
-      "eventDescription():(string)",
-      [],
+      "categoryMaxPrice",
+      "categoryMaxPrice(string):(uint256)",
+      [ethereum.Value.fromString(param0)],
     );
     if (result.reverted) {
       return new ethereum.CallResult();
     }
     let value = result.value;
-    return ethereum.CallResult.fromValue(value[0].toString());
-  }
-
-  eventName(): string {
-    let result = super.call("eventName", "eventName():(string)", []);
-
-    return result[0].toString();
-  }
-
-  try_eventName(): ethereum.CallResult<string> {
-    let result = super.tryCall("eventName", "eventName():(string)", []);
-    if (result.reverted) {
-      return new ethereum.CallResult();
-    }
-    let value = result.value;
-    return ethereum.CallResult.fromValue(value[0].toString());
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
   }
 
-  eventVenue(): string {
-    let result = super.call("eventVenue", "eventVenue():(string)", []);
+  eventDate(): BigInt {
+    let result = super.call("eventDate", "eventDate():(uint256)", []);
 
-    return result[0].toString();
+    return result[0].toBigInt();
   }
 
-  try_eventVenue(): ethereum.CallResult<string> {
-    let result = super.tryCall("eventVenue", "eventVenue():(string)", []);
+  try_eventDate(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall("eventDate", "eventDate():(uint256)", []);
     if (result.reverted) {
       return new ethereum.CallResult();
     }
     let value = result.value;
-    return ethereum.CallResult.fromValue(value[0].toString());
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
   }
 
   getApproved(tokenId: BigInt): Address {
@@ -671,6 +1179,41 @@ export class NFTicket extends ethereum.SmartContract {
     );
   }
 
+  getPassInfo(tokenId: BigInt): NFTicket__getPassInfoResult {
+    let result = super.call(
+      "getPassInfo",
+      "getPassInfo(uint256):(uint256,uint256,uint256)",
+      [ethereum.Value.fromUnsignedBigInt(tokenId)],
+    );
+
+    return new NFTicket__getPassInfoResult(
+      result[0].toBigInt(),
+      result[1].toBigInt(),
+      result[2].toBigInt(),
+    );
+  }
+
+  try_getPassInfo(
+    tokenId: BigInt,
+  ): ethereum.CallResult<NFTicket__getPassInfoResult> {
+    let result = super.tryCall(
+      "getPassInfo",
+      "getPassInfo(uint256):(uint256,uint256,uint256)",
+      [ethereum.Value.fromUnsignedBigInt(tokenId)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(
+      new NFTicket__getPassInfoResult(
+        value[0].toBigInt(),
+        value[1].toBigInt(),
+        value[2].toBigInt(),
+      ),
+    );
+  }
+
   getRoleAdmin(role: Bytes): Bytes {
     let result = super.call("getRoleAdmin", "getRoleAdmin(bytes32):(bytes32)", [
       ethereum.Value.fromFixedBytes(role),
@@ -692,10 +1235,47 @@ export class NFTicket extends ethereum.SmartContract {
     return ethereum.CallResult.fromValue(value[0].toBytes());
   }
 
+  getSeatInfo(tokenId: BigInt): NFTicket__getSeatInfoResult {
+    let result = super.call(
+      "getSeatInfo",
+      "getSeatInfo(uint256):(string,string,string,string)",
+      [ethereum.Value.fromUnsignedBigInt(tokenId)],
+    );
+
+    return new NFTicket__getSeatInfoResult(
+      result[0].toString(),
+      result[1].toString(),
+      result[2].toString(),
+      result[3].toString(),
+    );
+  }
+
+  try_getSeatInfo(
+    tokenId: BigInt,
+  ): ethereum.CallResult<NFTicket__getSeatInfoResult> {
+    let result = super.tryCall(
+      "getSeatInfo",
+      "getSeatInfo(uint256):(string,string,string,string)",
+      [ethereum.Value.fromUnsignedBigInt(tokenId)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(
+      new NFTicket__getSeatInfoResult(
+        value[0].toString(),
+        value[1].toString(),
+        value[2].toString(),
+        value[3].toString(),
+      ),
+    );
+  }
+
   getTicketInfo(tokenId: BigInt): NFTicket__getTicketInfoResult {
     let result = super.call(
       "getTicketInfo",
-      "getTicketInfo(uint256):(address,string,bool,uint256)",
+      "getTicketInfo(uint256):(address,string,bool,uint256,uint256,uint256)",
       [ethereum.Value.fromUnsignedBigInt(tokenId)],
     );
 
@@ -704,6 +1284,8 @@ export class NFTicket extends ethereum.SmartContract {
       result[1].toString(),
       result[2].toBoolean(),
       result[3].toBigInt(),
+      result[4].toBigInt(),
+      result[5].toBigInt(),
     );
   }
 
@@ -712,7 +1294,7 @@ export class NFTicket extends ethereum.SmartContract {
   ): ethereum.CallResult<NFTicket__getTicketInfoResult> {
     let result = super.tryCall(
       "getTicketInfo",
-      "getTicketInfo(uint256):(address,string,bool,uint256)",
+      "getTicketInfo(uint256):(address,string,bool,uint256,uint256,uint256)",
       [ethereum.Value.fromUnsignedBigInt(tokenId)],
     );
     if (result.reverted) {
@@ -725,6 +1307,8 @@ export class NFTicket extends ethereum.SmartContract {
         value[1].toString(),
         value[2].toBoolean(),
         value[3].toBigInt(),
+        value[4].toBigInt(),
+        value[5].toBigInt(),
       ),
     );
   }
@@ -776,87 +1360,72 @@ export class NFTicket extends ethereum.SmartContract {
     return ethereum.CallResult.fromValue(value[0].toBoolean());
   }
 
-  maxPrice(): BigInt {
-    let result = super.call("maxPrice", "maxPrice():(uint256)", []);
-
-    return result[0].toBigInt();
-  }
-
-  try_maxPrice(): ethereum.CallResult<BigInt> {
-    let result = super.tryCall("maxPrice", "maxPrice():(uint256)", []);
-    if (result.reverted) {
-      return new ethereum.CallResult();
-    }
-    let value = result.value;
-    return ethereum.CallResult.fromValue(value[0].toBigInt());
-  }
-
-  mintTicket(to: Address, uri: string, price: BigInt): BigInt {
+  isSeatAvailable(section: string, row: string, seatNumber: string): boolean {
     let result = super.call(
-      "mintTicket",
-      "mintTicket(address,string,uint256):(uint256)",
+      "isSeatAvailable",
+      "isSeatAvailable(string,string,string):(bool)",
       [
-        ethereum.Value.fromAddress(to),
-        ethereum.Value.fromString(uri),
-        ethereum.Value.fromUnsignedBigInt(price),
+        ethereum.Value.fromString(section),
+        ethereum.Value.fromString(row),
+        ethereum.Value.fromString(seatNumber),
       ],
     );
 
-    return result[0].toBigInt();
+    return result[0].toBoolean();
   }
 
-  try_mintTicket(
-    to: Address,
-    uri: string,
-    price: BigInt,
-  ): ethereum.CallResult<BigInt> {
+  try_isSeatAvailable(
+    section: string,
+    row: string,
+    seatNumber: string,
+  ): ethereum.CallResult<boolean> {
     let result = super.tryCall(
-      "mintTicket",
-      "mintTicket(address,string,uint256):(uint256)",
+      "isSeatAvailable",
+      "isSeatAvailable(string,string,string):(bool)",
       [
-        ethereum.Value.fromAddress(to),
-        ethereum.Value.fromString(uri),
-        ethereum.Value.fromUnsignedBigInt(price),
+        ethereum.Value.fromString(section),
+        ethereum.Value.fromString(row),
+        ethereum.Value.fromString(seatNumber),
       ],
     );
     if (result.reverted) {
       return new ethereum.CallResult();
     }
     let value = result.value;
-    return ethereum.CallResult.fromValue(value[0].toBigInt());
+    return ethereum.CallResult.fromValue(value[0].toBoolean());
   }
 
-  name(): string {
-    let result = super.call("name", "name():(string)", []);
+  isTrustedForwarder(forwarder: Address): boolean {
+    let result = super.call(
+      "isTrustedForwarder",
+      "isTrustedForwarder(address):(bool)",
+      [ethereum.Value.fromAddress(forwarder)],
+    );
 
-    return result[0].toString();
+    return result[0].toBoolean();
   }
 
-  try_name(): ethereum.CallResult<string> {
-    let result = super.tryCall("name", "name():(string)", []);
+  try_isTrustedForwarder(forwarder: Address): ethereum.CallResult<boolean> {
+    let result = super.tryCall(
+      "isTrustedForwarder",
+      "isTrustedForwarder(address):(bool)",
+      [ethereum.Value.fromAddress(forwarder)],
+    );
     if (result.reverted) {
       return new ethereum.CallResult();
     }
     let value = result.value;
-    return ethereum.CallResult.fromValue(value[0].toString());
+    return ethereum.CallResult.fromValue(value[0].toBoolean());
   }
 
-  originalPrice(param0: BigInt): BigInt {
-    let result = super.call(
-      "originalPrice",
-      "originalPrice(uint256):(uint256)",
-      [ethereum.Value.fromUnsignedBigInt(param0)],
-    );
+  markupBps(): BigInt {
+    let result = super.call("markupBps", "markupBps():(uint256)", []);
 
     return result[0].toBigInt();
   }
 
-  try_originalPrice(param0: BigInt): ethereum.CallResult<BigInt> {
-    let result = super.tryCall(
-      "originalPrice",
-      "originalPrice(uint256):(uint256)",
-      [ethereum.Value.fromUnsignedBigInt(param0)],
-    );
+  try_markupBps(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall("markupBps", "markupBps():(uint256)", []);
     if (result.reverted) {
       return new ethereum.CallResult();
     }
@@ -864,33 +1433,37 @@ export class NFTicket extends ethereum.SmartContract {
     return ethereum.CallResult.fromValue(value[0].toBigInt());
   }
 
-  ownerOf(tokenId: BigInt): Address {
-    let result = super.call("ownerOf", "ownerOf(uint256):(address)", [
-      ethereum.Value.fromUnsignedBigInt(tokenId),
-    ]);
+  maxPrice(): BigInt {
+    let result = super.call("maxPrice", "maxPrice():(uint256)", []);
 
-    return result[0].toAddress();
+    return result[0].toBigInt();
   }
 
-  try_ownerOf(tokenId: BigInt): ethereum.CallResult<Address> {
-    let result = super.tryCall("ownerOf", "ownerOf(uint256):(address)", [
-      ethereum.Value.fromUnsignedBigInt(tokenId),
-    ]);
+  try_maxPrice(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall("maxPrice", "maxPrice():(uint256)", []);
     if (result.reverted) {
       return new ethereum.CallResult();
     }
     let value = result.value;
-    return ethereum.CallResult.fromValue(value[0].toAddress());
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
   }
 
-  royaltyCap(): BigInt {
-    let result = super.call("royaltyCap", "royaltyCap():(uint256)", []);
+  maxResalePrice(tokenId: BigInt): BigInt {
+    let result = super.call(
+      "maxResalePrice",
+      "maxResalePrice(uint256):(uint256)",
+      [ethereum.Value.fromUnsignedBigInt(tokenId)],
+    );
 
     return result[0].toBigInt();
   }
 
-  try_royaltyCap(): ethereum.CallResult<BigInt> {
-    let result = super.tryCall("royaltyCap", "royaltyCap():(uint256)", []);
+  try_maxResalePrice(tokenId: BigInt): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "maxResalePrice",
+      "maxResalePrice(uint256):(uint256)",
+      [ethereum.Value.fromUnsignedBigInt(tokenId)],
+    );
     if (result.reverted) {
       return new ethereum.CallResult();
     }
@@ -898,60 +1471,229 @@ export class NFTicket extends ethereum.SmartContract {
     return ethereum.CallResult.fromValue(value[0].toBigInt());
   }
 
-  royaltyRecipient(): Address {
+  mintBatch(to: Array<Address>, uris: Array<string>, price: BigInt): BigInt {
     let result = super.call(
-      "royaltyRecipient",
-      "royaltyRecipient():(address)",
-      [],
+      "mintBatch",
+      "mintBatch(address[],string[],uint256):(uint256)",
+      [
+        ethereum.Value.fromAddressArray(to),
+        ethereum.Value.fromStringArray(uris),
+        ethereum.Value.fromUnsignedBigInt(price),
+      ],
     );
 
-    return result[0].toAddress();
+    return result[0].toBigInt();
   }
 
-  try_royaltyRecipient(): ethereum.CallResult<Address> {
+  try_mintBatch(
+    to: Array<Address>,
+    uris: Array<string>,
+    price: BigInt,
+  ): ethereum.CallResult<BigInt> {
     let result = super.tryCall(
-      "royaltyRecipient",
-      "royaltyRecipient():(address)",
-      [],
+      "mintBatch",
+      "mintBatch(address[],string[],uint256):(uint256)",
+      [
+        ethereum.Value.fromAddressArray(to),
+        ethereum.Value.fromStringArray(uris),
+        ethereum.Value.fromUnsignedBigInt(price),
+      ],
     );
     if (result.reverted) {
       return new ethereum.CallResult();
     }
     let value = result.value;
-    return ethereum.CallResult.fromValue(value[0].toAddress());
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
   }
 
-  supportsInterface(interfaceId: Bytes): boolean {
+  mintBatchWithSeats(
+    to: Array<Address>,
+    uris: Array<string>,
+    price: BigInt,
+    seats: Array<Bytes>,
+  ): BigInt {
     let result = super.call(
-      "supportsInterface",
-      "supportsInterface(bytes4):(bool)",
-      [ethereum.Value.fromFixedBytes(interfaceId)],
+      "mintBatchWithSeats",
+      "mintBatchWithSeats(address[],string[],uint256,bytes32[]):(uint256)",
+      [
+        ethereum.Value.fromAddressArray(to),
+        ethereum.Value.fromStringArray(uris),
+        ethereum.Value.fromUnsignedBigInt(price),
+        ethereum.Value.fromFixedBytesArray(seats),
+      ],
     );
 
-    return result[0].toBoolean();
+    return result[0].toBigInt();
   }
 
-  try_supportsInterface(interfaceId: Bytes): ethereum.CallResult<boolean> {
+  try_mintBatchWithSeats(
+    to: Array<Address>,
+    uris: Array<string>,
+    price: BigInt,
+    seats: Array<Bytes>,
+  ): ethereum.CallResult<BigInt> {
     let result = super.tryCall(
-      "supportsInterface",
-      "supportsInterface(bytes4):(bool)",
-      [ethereum.Value.fromFixedBytes(interfaceId)],
+      "mintBatchWithSeats",
+      "mintBatchWithSeats(address[],string[],uint256,bytes32[]):(uint256)",
+      [
+        ethereum.Value.fromAddressArray(to),
+        ethereum.Value.fromStringArray(uris),
+        ethereum.Value.fromUnsignedBigInt(price),
+        ethereum.Value.fromFixedBytesArray(seats),
+      ],
     );
     if (result.reverted) {
       return new ethereum.CallResult();
     }
     let value = result.value;
-    return ethereum.CallResult.fromValue(value[0].toBoolean());
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
   }
 
-  symbol(): string {
-    let result = super.call("symbol", "symbol():(string)", []);
+  mintPass(
+    to: Address,
+    uri: string,
+    price: BigInt,
+    sessions: BigInt,
+    entriesPerSession: BigInt,
+  ): BigInt {
+    let result = super.call(
+      "mintPass",
+      "mintPass(address,string,uint256,uint256,uint256):(uint256)",
+      [
+        ethereum.Value.fromAddress(to),
+        ethereum.Value.fromString(uri),
+        ethereum.Value.fromUnsignedBigInt(price),
+        ethereum.Value.fromUnsignedBigInt(sessions),
+        ethereum.Value.fromUnsignedBigInt(entriesPerSession),
+      ],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_mintPass(
+    to: Address,
+    uri: string,
+    price: BigInt,
+    sessions: BigInt,
+    entriesPerSession: BigInt,
+  ): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "mintPass",
+      "mintPass(address,string,uint256,uint256,uint256):(uint256)",
+      [
+        ethereum.Value.fromAddress(to),
+        ethereum.Value.fromString(uri),
+        ethereum.Value.fromUnsignedBigInt(price),
+        ethereum.Value.fromUnsignedBigInt(sessions),
+        ethereum.Value.fromUnsignedBigInt(entriesPerSession),
+      ],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  mintTicket(to: Address, uri: string, price: BigInt): BigInt {
+    let result = super.call(
+      "mintTicket",
+      "mintTicket(address,string,uint256):(uint256)",
+      [
+        ethereum.Value.fromAddress(to),
+        ethereum.Value.fromString(uri),
+        ethereum.Value.fromUnsignedBigInt(price),
+      ],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_mintTicket(
+    to: Address,
+    uri: string,
+    price: BigInt,
+  ): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "mintTicket",
+      "mintTicket(address,string,uint256):(uint256)",
+      [
+        ethereum.Value.fromAddress(to),
+        ethereum.Value.fromString(uri),
+        ethereum.Value.fromUnsignedBigInt(price),
+      ],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  mintTicketWithSeat(
+    to: Address,
+    uri: string,
+    price: BigInt,
+    section: string,
+    row: string,
+    seatNumber: string,
+    category: string,
+  ): BigInt {
+    let result = super.call(
+      "mintTicketWithSeat",
+      "mintTicketWithSeat(address,string,uint256,string,string,string,string):(uint256)",
+      [
+        ethereum.Value.fromAddress(to),
+        ethereum.Value.fromString(uri),
+        ethereum.Value.fromUnsignedBigInt(price),
+        ethereum.Value.fromString(section),
+        ethereum.Value.fromString(row),
+        ethereum.Value.fromString(seatNumber),
+        ethereum.Value.fromString(category),
+      ],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_mintTicketWithSeat(
+    to: Address,
+    uri: string,
+    price: BigInt,
+    section: string,
+    row: string,
+    seatNumber: string,
+    category: string,
+  ): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "mintTicketWithSeat",
+      "mintTicketWithSeat(address,string,uint256,string,string,string,string):(uint256)",
+      [
+        ethereum.Value.fromAddress(to),
+        ethereum.Value.fromString(uri),
+        ethereum.Value.fromUnsignedBigInt(price),
+        ethereum.Value.fromString(section),
+        ethereum.Value.fromString(row),
+        ethereum.Value.fromString(seatNumber),
+        ethereum.Value.fromString(category),
+      ],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  name(): string {
+    let result = super.call("name", "name():(string)", []);
 
     return result[0].toString();
   }
 
-  try_symbol(): ethereum.CallResult<string> {
-    let result = super.tryCall("symbol", "symbol():(string)", []);
+  try_name(): ethereum.CallResult<string> {
+    let result = super.tryCall("name", "name():(string)", []);
     if (result.reverted) {
       return new ethereum.CallResult();
     }
@@ -959,113 +1701,776 @@ export class NFTicket extends ethereum.SmartContract {
     return ethereum.CallResult.fromValue(value[0].toString());
   }
 
-  ticketUsed(param0: BigInt): boolean {
-    let result = super.call("ticketUsed", "ticketUsed(uint256):(bool)", [
-      ethereum.Value.fromUnsignedBigInt(param0),
-    ]);
+  originalPrice(param0: BigInt): BigInt {
+    let result = super.call(
+      "originalPrice",
+      "originalPrice(uint256):(uint256)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
+    );
 
-    return result[0].toBoolean();
+    return result[0].toBigInt();
   }
 
-  try_ticketUsed(param0: BigInt): ethereum.CallResult<boolean> {
-    let result = super.tryCall("ticketUsed", "ticketUsed(uint256):(bool)", [
-      ethereum.Value.fromUnsignedBigInt(param0),
-    ]);
+  try_originalPrice(param0: BigInt): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "originalPrice",
+      "originalPrice(uint256):(uint256)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
+    );
     if (result.reverted) {
       return new ethereum.CallResult();
     }
     let value = result.value;
-    return ethereum.CallResult.fromValue(value[0].toBoolean());
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
   }
 
-  tokenURI(tokenId: BigInt): string {
-    let result = super.call("tokenURI", "tokenURI(uint256):(string)", [
+  ownerOf(tokenId: BigInt): Address {
+    let result = super.call("ownerOf", "ownerOf(uint256):(address)", [
       ethereum.Value.fromUnsignedBigInt(tokenId),
     ]);
 
-    return result[0].toString();
+    return result[0].toAddress();
   }
 
-  try_tokenURI(tokenId: BigInt): ethereum.CallResult<string> {
-    let result = super.tryCall("tokenURI", "tokenURI(uint256):(string)", [
+  try_ownerOf(tokenId: BigInt): ethereum.CallResult<Address> {
+    let result = super.tryCall("ownerOf", "ownerOf(uint256):(address)", [
       ethereum.Value.fromUnsignedBigInt(tokenId),
     ]);
     if (result.reverted) {
       return new ethereum.CallResult();
     }
     let value = result.value;
-    return ethereum.CallResult.fromValue(value[0].toString());
+    return ethereum.CallResult.fromValue(value[0].toAddress());
   }
-}
 
-export class ConstructorCall extends ethereum.Call {
-  get inputs(): ConstructorCall__Inputs {
-    return new ConstructorCall__Inputs(this);
+  paymentDecimals(): BigInt {
+    let result = super.call("paymentDecimals", "paymentDecimals():(uint8)", []);
+
+    return result[0].toBigInt();
   }
 
-  get outputs(): ConstructorCall__Outputs {
-    return new ConstructorCall__Outputs(this);
+  try_paymentDecimals(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "paymentDecimals",
+      "paymentDecimals():(uint8)",
+      [],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  paymentToken(): Address {
+    let result = super.call("paymentToken", "paymentToken():(address)", []);
+
+    return result[0].toAddress();
+  }
+
+  try_paymentToken(): ethereum.CallResult<Address> {
+    let result = super.tryCall("paymentToken", "paymentToken():(address)", []);
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toAddress());
+  }
+
+  pendingWithdrawals(param0: Address): BigInt {
+    let result = super.call(
+      "pendingWithdrawals",
+      "pendingWithdrawals(address):(uint256)",
+      [ethereum.Value.fromAddress(param0)],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_pendingWithdrawals(param0: Address): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "pendingWithdrawals",
+      "pendingWithdrawals(address):(uint256)",
+      [ethereum.Value.fromAddress(param0)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  pricePolicy(): BigInt {
+    let result = super.call("pricePolicy", "pricePolicy():(uint8)", []);
+
+    return result[0].toBigInt();
+  }
+
+  try_pricePolicy(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall("pricePolicy", "pricePolicy():(uint8)", []);
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  royaltyCap(): BigInt {
+    let result = super.call("royaltyCap", "royaltyCap():(uint256)", []);
+
+    return result[0].toBigInt();
+  }
+
+  try_royaltyCap(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall("royaltyCap", "royaltyCap():(uint256)", []);
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  royaltyInfo(tokenId: BigInt, salePrice: BigInt): NFTicket__royaltyInfoResult {
+    let result = super.call(
+      "royaltyInfo",
+      "royaltyInfo(uint256,uint256):(address,uint256)",
+      [
+        ethereum.Value.fromUnsignedBigInt(tokenId),
+        ethereum.Value.fromUnsignedBigInt(salePrice),
+      ],
+    );
+
+    return new NFTicket__royaltyInfoResult(
+      result[0].toAddress(),
+      result[1].toBigInt(),
+    );
+  }
+
+  try_royaltyInfo(
+    tokenId: BigInt,
+    salePrice: BigInt,
+  ): ethereum.CallResult<NFTicket__royaltyInfoResult> {
+    let result = super.tryCall(
+      "royaltyInfo",
+      "royaltyInfo(uint256,uint256):(address,uint256)",
+      [
+        ethereum.Value.fromUnsignedBigInt(tokenId),
+        ethereum.Value.fromUnsignedBigInt(salePrice),
+      ],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(
+      new NFTicket__royaltyInfoResult(
+        value[0].toAddress(),
+        value[1].toBigInt(),
+      ),
+    );
+  }
+
+  royaltyRecipient(): Address {
+    let result = super.call(
+      "royaltyRecipient",
+      "royaltyRecipient():(address)",
+      [],
+    );
+
+    return result[0].toAddress();
+  }
+
+  try_royaltyRecipient(): ethereum.CallResult<Address> {
+    let result = super.tryCall(
+      "royaltyRecipient",
+      "royaltyRecipient():(address)",
+      [],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toAddress());
+  }
+
+  seatTaken(param0: Bytes): boolean {
+    let result = super.call("seatTaken", "seatTaken(bytes32):(bool)", [
+      ethereum.Value.fromFixedBytes(param0),
+    ]);
+
+    return result[0].toBoolean();
+  }
+
+  try_seatTaken(param0: Bytes): ethereum.CallResult<boolean> {
+    let result = super.tryCall("seatTaken", "seatTaken(bytes32):(bool)", [
+      ethereum.Value.fromFixedBytes(param0),
+    ]);
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBoolean());
+  }
+
+  sessionEntries(tokenId: BigInt, session: BigInt): BigInt {
+    let result = super.call(
+      "sessionEntries",
+      "sessionEntries(uint256,uint8):(uint256)",
+      [
+        ethereum.Value.fromUnsignedBigInt(tokenId),
+        ethereum.Value.fromUnsignedBigInt(session),
+      ],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_sessionEntries(
+    tokenId: BigInt,
+    session: BigInt,
+  ): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "sessionEntries",
+      "sessionEntries(uint256,uint8):(uint256)",
+      [
+        ethereum.Value.fromUnsignedBigInt(tokenId),
+        ethereum.Value.fromUnsignedBigInt(session),
+      ],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  supportsInterface(interfaceId: Bytes): boolean {
+    let result = super.call(
+      "supportsInterface",
+      "supportsInterface(bytes4):(bool)",
+      [ethereum.Value.fromFixedBytes(interfaceId)],
+    );
+
+    return result[0].toBoolean();
+  }
+
+  try_supportsInterface(interfaceId: Bytes): ethereum.CallResult<boolean> {
+    let result = super.tryCall(
+      "supportsInterface",
+      "supportsInterface(bytes4):(bool)",
+      [ethereum.Value.fromFixedBytes(interfaceId)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBoolean());
+  }
+
+  symbol(): string {
+    let result = super.call("symbol", "symbol():(string)", []);
+
+    return result[0].toString();
+  }
+
+  try_symbol(): ethereum.CallResult<string> {
+    let result = super.tryCall("symbol", "symbol():(string)", []);
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toString());
+  }
+
+  ticketUsed(param0: BigInt): boolean {
+    let result = super.call("ticketUsed", "ticketUsed(uint256):(bool)", [
+      ethereum.Value.fromUnsignedBigInt(param0),
+    ]);
+
+    return result[0].toBoolean();
+  }
+
+  try_ticketUsed(param0: BigInt): ethereum.CallResult<boolean> {
+    let result = super.tryCall("ticketUsed", "ticketUsed(uint256):(bool)", [
+      ethereum.Value.fromUnsignedBigInt(param0),
+    ]);
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBoolean());
+  }
+
+  tokenURI(tokenId: BigInt): string {
+    let result = super.call("tokenURI", "tokenURI(uint256):(string)", [
+      ethereum.Value.fromUnsignedBigInt(tokenId),
+    ]);
+
+    return result[0].toString();
+  }
+
+  try_tokenURI(tokenId: BigInt): ethereum.CallResult<string> {
+    let result = super.tryCall("tokenURI", "tokenURI(uint256):(string)", [
+      ethereum.Value.fromUnsignedBigInt(tokenId),
+    ]);
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toString());
+  }
+
+  trustedForwarder(): Address {
+    let result = super.call(
+      "trustedForwarder",
+      "trustedForwarder():(address)",
+      [],
+    );
+
+    return result[0].toAddress();
+  }
+
+  try_trustedForwarder(): ethereum.CallResult<Address> {
+    let result = super.tryCall(
+      "trustedForwarder",
+      "trustedForwarder():(address)",
+      [],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toAddress());
+  }
+
+  useSessionTickets(tokenIds: Array<BigInt>, session: BigInt): BigInt {
+    let result = super.call(
+      "useSessionTickets",
+      "useSessionTickets(uint256[],uint8):(uint256)",
+      [
+        ethereum.Value.fromUnsignedBigIntArray(tokenIds),
+        ethereum.Value.fromUnsignedBigInt(session),
+      ],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_useSessionTickets(
+    tokenIds: Array<BigInt>,
+    session: BigInt,
+  ): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "useSessionTickets",
+      "useSessionTickets(uint256[],uint8):(uint256)",
+      [
+        ethereum.Value.fromUnsignedBigIntArray(tokenIds),
+        ethereum.Value.fromUnsignedBigInt(session),
+      ],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  useTickets(tokenIds: Array<BigInt>): BigInt {
+    let result = super.call("useTickets", "useTickets(uint256[]):(uint256)", [
+      ethereum.Value.fromUnsignedBigIntArray(tokenIds),
+    ]);
+
+    return result[0].toBigInt();
+  }
+
+  try_useTickets(tokenIds: Array<BigInt>): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "useTickets",
+      "useTickets(uint256[]):(uint256)",
+      [ethereum.Value.fromUnsignedBigIntArray(tokenIds)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+}
+
+export class ConstructorCall extends ethereum.Call {
+  get inputs(): ConstructorCall__Inputs {
+    return new ConstructorCall__Inputs(this);
+  }
+
+  get outputs(): ConstructorCall__Outputs {
+    return new ConstructorCall__Outputs(this);
+  }
+}
+
+export class ConstructorCall__Inputs {
+  _call: ConstructorCall;
+
+  constructor(call: ConstructorCall) {
+    this._call = call;
+  }
+
+  get _eventName(): string {
+    return this._call.inputValues[0].value.toString();
+  }
+
+  get _eventDescription(): string {
+    return this._call.inputValues[1].value.toString();
+  }
+
+  get _eventDate(): BigInt {
+    return this._call.inputValues[2].value.toBigInt();
+  }
+
+  get _eventVenue(): string {
+    return this._call.inputValues[3].value.toString();
+  }
+
+  get _royaltyCap(): BigInt {
+    return this._call.inputValues[4].value.toBigInt();
+  }
+
+  get _maxPrice(): BigInt {
+    return this._call.inputValues[5].value.toBigInt();
+  }
+
+  get _royaltyRecipient(): Address {
+    return this._call.inputValues[6].value.toAddress();
+  }
+
+  get _trustedForwarder(): Address {
+    return this._call.inputValues[7].value.toAddress();
+  }
+}
+
+export class ConstructorCall__Outputs {
+  _call: ConstructorCall;
+
+  constructor(call: ConstructorCall) {
+    this._call = call;
+  }
+}
+
+export class ApproveCall extends ethereum.Call {
+  get inputs(): ApproveCall__Inputs {
+    return new ApproveCall__Inputs(this);
+  }
+
+  get outputs(): ApproveCall__Outputs {
+    return new ApproveCall__Outputs(this);
+  }
+}
+
+export class ApproveCall__Inputs {
+  _call: ApproveCall;
+
+  constructor(call: ApproveCall) {
+    this._call = call;
+  }
+
+  get to(): Address {
+    return this._call.inputValues[0].value.toAddress();
+  }
+
+  get tokenId(): BigInt {
+    return this._call.inputValues[1].value.toBigInt();
+  }
+}
+
+export class ApproveCall__Outputs {
+  _call: ApproveCall;
+
+  constructor(call: ApproveCall) {
+    this._call = call;
+  }
+}
+
+export class ChangeSeatCall extends ethereum.Call {
+  get inputs(): ChangeSeatCall__Inputs {
+    return new ChangeSeatCall__Inputs(this);
+  }
+
+  get outputs(): ChangeSeatCall__Outputs {
+    return new ChangeSeatCall__Outputs(this);
+  }
+}
+
+export class ChangeSeatCall__Inputs {
+  _call: ChangeSeatCall;
+
+  constructor(call: ChangeSeatCall) {
+    this._call = call;
+  }
+
+  get tokenId(): BigInt {
+    return this._call.inputValues[0].value.toBigInt();
+  }
+
+  get seat(): Bytes {
+    return this._call.inputValues[1].value.toBytes();
+  }
+
+  get reason(): string {
+    return this._call.inputValues[2].value.toString();
+  }
+}
+
+export class ChangeSeatCall__Outputs {
+  _call: ChangeSeatCall;
+
+  constructor(call: ChangeSeatCall) {
+    this._call = call;
+  }
+}
+
+export class GrantRoleCall extends ethereum.Call {
+  get inputs(): GrantRoleCall__Inputs {
+    return new GrantRoleCall__Inputs(this);
+  }
+
+  get outputs(): GrantRoleCall__Outputs {
+    return new GrantRoleCall__Outputs(this);
+  }
+}
+
+export class GrantRoleCall__Inputs {
+  _call: GrantRoleCall;
+
+  constructor(call: GrantRoleCall) {
+    this._call = call;
+  }
+
+  get role(): Bytes {
+    return this._call.inputValues[0].value.toBytes();
+  }
+
+  get account(): Address {
+    return this._call.inputValues[1].value.toAddress();
+  }
+}
+
+export class GrantRoleCall__Outputs {
+  _call: GrantRoleCall;
+
+  constructor(call: GrantRoleCall) {
+    this._call = call;
+  }
+}
+
+export class InitializeCall extends ethereum.Call {
+  get inputs(): InitializeCall__Inputs {
+    return new InitializeCall__Inputs(this);
+  }
+
+  get outputs(): InitializeCall__Outputs {
+    return new InitializeCall__Outputs(this);
+  }
+}
+
+export class InitializeCall__Inputs {
+  _call: InitializeCall;
+
+  constructor(call: InitializeCall) {
+    this._call = call;
+  }
+
+  get admin(): Address {
+    return this._call.inputValues[0].value.toAddress();
+  }
+
+  get _eventName(): string {
+    return this._call.inputValues[1].value.toString();
+  }
+
+  get _eventDescription(): string {
+    return this._call.inputValues[2].value.toString();
+  }
+
+  get _eventDate(): BigInt {
+    return this._call.inputValues[3].value.toBigInt();
+  }
+
+  get _eventVenue(): string {
+    return this._call.inputValues[4].value.toString();
+  }
+
+  get _royaltyCap(): BigInt {
+    return this._call.inputValues[5].value.toBigInt();
+  }
+
+  get _maxPrice(): BigInt {
+    return this._call.inputValues[6].value.toBigInt();
+  }
+
+  get _royaltyRecipient(): Address {
+    return this._call.inputValues[7].value.toAddress();
+  }
+}
+
+export class InitializeCall__Outputs {
+  _call: InitializeCall;
+
+  constructor(call: InitializeCall) {
+    this._call = call;
+  }
+}
+
+export class MintBatchCall extends ethereum.Call {
+  get inputs(): MintBatchCall__Inputs {
+    return new MintBatchCall__Inputs(this);
+  }
+
+  get outputs(): MintBatchCall__Outputs {
+    return new MintBatchCall__Outputs(this);
+  }
+}
+
+export class MintBatchCall__Inputs {
+  _call: MintBatchCall;
+
+  constructor(call: MintBatchCall) {
+    this._call = call;
+  }
+
+  get to(): Array<Address> {
+    return this._call.inputValues[0].value.toAddressArray();
+  }
+
+  get uris(): Array<string> {
+    return this._call.inputValues[1].value.toStringArray();
+  }
+
+  get price(): BigInt {
+    return this._call.inputValues[2].value.toBigInt();
+  }
+}
+
+export class MintBatchCall__Outputs {
+  _call: MintBatchCall;
+
+  constructor(call: MintBatchCall) {
+    this._call = call;
+  }
+
+  get firstTokenId(): BigInt {
+    return this._call.outputValues[0].value.toBigInt();
+  }
+}
+
+export class MintBatchWithSeatsCall extends ethereum.Call {
+  get inputs(): MintBatchWithSeatsCall__Inputs {
+    return new MintBatchWithSeatsCall__Inputs(this);
+  }
+
+  get outputs(): MintBatchWithSeatsCall__Outputs {
+    return new MintBatchWithSeatsCall__Outputs(this);
+  }
+}
+
+export class MintBatchWithSeatsCall__Inputs {
+  _call: MintBatchWithSeatsCall;
+
+  constructor(call: MintBatchWithSeatsCall) {
+    this._call = call;
+  }
+
+  get to(): Array<Address> {
+    return this._call.inputValues[0].value.toAddressArray();
+  }
+
+  get uris(): Array<string> {
+    return this._call.inputValues[1].value.toStringArray();
+  }
+
+  get price(): BigInt {
+    return this._call.inputValues[2].value.toBigInt();
+  }
+
+  get seats(): Array<Bytes> {
+    return this._call.inputValues[3].value.toBytesArray();
+  }
+}
+
+export class MintBatchWithSeatsCall__Outputs {
+  _call: MintBatchWithSeatsCall;
+
+  constructor(call: MintBatchWithSeatsCall) {
+    this._call = call;
+  }
+
+  get firstTokenId(): BigInt {
+    return this._call.outputValues[0].value.toBigInt();
+  }
+}
+
+export class MintPassCall extends ethereum.Call {
+  get inputs(): MintPassCall__Inputs {
+    return new MintPassCall__Inputs(this);
+  }
+
+  get outputs(): MintPassCall__Outputs {
+    return new MintPassCall__Outputs(this);
   }
 }
 
-export class ConstructorCall__Inputs {
-  _call: ConstructorCall;
+export class MintPassCall__Inputs {
+  _call: MintPassCall;
 
-  constructor(call: ConstructorCall) {
+  constructor(call: MintPassCall) {
     this._call = call;
   }
 
-  get _eventName(): string {
-    return this._call.inputValues[0].value.toString();
+  get to(): Address {
+    return this._call.inputValues[0].value.toAddress();
   }
 
-  get _eventDescription(): string {
+  get uri(): string {
     return this._call.inputValues[1].value.toString();
   }
 
-  get _eventDate(): BigInt {
+  get price(): BigInt {
     return this._call.inputValues[2].value.toBigInt();
   }
 
-  get _eventVenue(): string {
-    return this._call.inputValues[3].value.toString();
+  get sessions(): BigInt {
+    return this._call.inputValues[3].value.toBigInt();
   }
 
-  get _royaltyCap(): BigInt {
+  get entriesPerSession(): BigInt {
     return this._call.inputValues[4].value.toBigInt();
   }
-
-  get _maxPrice(): BigInt {
-    return this._call.inputValues[5].value.toBigInt();
-  }
-
-  get _royaltyRecipient(): Address {
-    return this._call.inputValues[6].value.toAddress();
-  }
 }
 
-export class ConstructorCall__Outputs {
-  _call: ConstructorCall;
+export class MintPassCall__Outputs {
+  _call: MintPassCall;
 
-  constructor(call: ConstructorCall) {
+  constructor(call: MintPassCall) {
     this._call = call;
   }
+
+  get value0(): BigInt {
+    return this._call.outputValues[0].value.toBigInt();
+  }
 }
 
-export class ApproveCall extends ethereum.Call {
-  get inputs(): ApproveCall__Inputs {
-    return new ApproveCall__Inputs(this);
+export class MintTicketCall extends ethereum.Call {
+  get inputs(): MintTicketCall__Inputs {
+    return new MintTicketCall__Inputs(this);
   }
 
-  get outputs(): ApproveCall__Outputs {
-    return new ApproveCall__Outputs(this);
+  get outputs(): MintTicketCall__Outputs {
+    return new MintTicketCall__Outputs(this);
   }
 }
 
-export class ApproveCall__Inputs {
-  _call: ApproveCall;
+export class MintTicketCall__Inputs {
+  _call: MintTicketCall;
 
-  constructor(call: ApproveCall) {
+  constructor(call: MintTicketCall) {
     this._call = call;
   }
 
@@ -1073,93 +2478,121 @@ export class ApproveCall__Inputs {
     return this._call.inputValues[0].value.toAddress();
   }
 
-  get tokenId(): BigInt {
-    return this._call.inputValues[1].value.toBigInt();
+  get uri(): string {
+    return this._call.inputValues[1].value.toString();
+  }
+
+  get price(): BigInt {
+    return this._call.inputValues[2].value.toBigInt();
   }
 }
 
-export class ApproveCall__Outputs {
-  _call: ApproveCall;
+export class MintTicketCall__Outputs {
+  _call: MintTicketCall;
 
-  constructor(call: ApproveCall) {
+  constructor(call: MintTicketCall) {
     this._call = call;
   }
+
+  get value0(): BigInt {
+    return this._call.outputValues[0].value.toBigInt();
+  }
 }
 
-export class GrantRoleCall extends ethereum.Call {
-  get inputs(): GrantRoleCall__Inputs {
-    return new GrantRoleCall__Inputs(this);
+export class MintTicketWithSeatCall extends ethereum.Call {
+  get inputs(): MintTicketWithSeatCall__Inputs {
+    return new MintTicketWithSeatCall__Inputs(this);
   }
 
-  get outputs(): GrantRoleCall__Outputs {
-    return new GrantRoleCall__Outputs(this);
+  get outputs(): MintTicketWithSeatCall__Outputs {
+    return new MintTicketWithSeatCall__Outputs(this);
   }
 }
 
-export class GrantRoleCall__Inputs {
-  _call: GrantRoleCall;
+export class MintTicketWithSeatCall__Inputs {
+  _call: MintTicketWithSeatCall;
 
-  constructor(call: GrantRoleCall) {
+  constructor(call: MintTicketWithSeatCall) {
     this._call = call;
   }
 
-  get role(): Bytes {
-    return this._call.inputValues[0].value.toBytes();
+  get to(): Address {
+    return this._call.inputValues[0].value.toAddress();
   }
 
-  get account(): Address {
-    return this._call.inputValues[1].value.toAddress();
+  get uri(): string {
+    return this._call.inputValues[1].value.toString();
+  }
+
+  get price(): BigInt {
+    return this._call.inputValues[2].value.toBigInt();
+  }
+
+  get section(): string {
+    return this._call.inputValues[3].value.toString();
+  }
+
+  get row(): string {
+    return this._call.inputValues[4].value.toString();
+  }
+
+  get seatNumber(): string {
+    return this._call.inputValues[5].value.toString();
+  }
+
+  get category(): string {
+    return this._call.inputValues[6].value.toString();
   }
 }
 
-export class GrantRoleCall__Outputs {
-  _call: GrantRoleCall;
+export class MintTicketWithSeatCall__Outputs {
+  _call: MintTicketWithSeatCall;
 
-  constructor(call: GrantRoleCall) {
+  constructor(call: MintTicketWithSeatCall) {
     this._call = call;
   }
+
+  get value0(): BigInt {
+    return this._call.outputValues[0].value.toBigInt();
+  }
 }
 
-export class MintTicketCall extends ethereum.Call {
-  get inputs(): MintTicketCall__Inputs {
-    return new MintTicketCall__Inputs(this);
+export class ReissueTicketCall extends ethereum.Call {
+  get inputs(): ReissueTicketCall__Inputs {
+    return new ReissueTicketCall__Inputs(this);
   }
 
-  get outputs(): MintTicketCall__Outputs {
-    return new MintTicketCall__Outputs(this);
+  get outputs(): ReissueTicketCall__Outputs {
+    return new ReissueTicketCall__Outputs(this);
   }
 }
 
-export class MintTicketCall__Inputs {
-  _call: MintTicketCall;
+export class ReissueTicketCall__Inputs {
+  _call: ReissueTicketCall;
 
-  constructor(call: MintTicketCall) {
+  constructor(call: ReissueTicketCall) {
     this._call = call;
   }
 
-  get to(): Address {
-    return this._call.inputValues[0].value.toAddress();
+  get tokenId(): BigInt {
+    return this._call.inputValues[0].value.toBigInt();
   }
 
-  get uri(): string {
-    return this._call.inputValues[1].value.toString();
+  get to(): Address {
+    return this._call.inputValues[1].value.toAddress();
   }
 
-  get price(): BigInt {
-    return this._call.inputValues[2].value.toBigInt();
+  get reason(): string {
+    return this._call.inputValues[2].value.toString();
   }
 }
 
-export class MintTicketCall__Outputs {
-  _call: MintTicketCall;
+export class ReissueTicketCall__Outputs {
+  _call: ReissueTicketCall;
 
-  constructor(call: MintTicketCall) {
+  constructor(call: ReissueTicketCall) {
     this._call = call;
   }
-
-  get value0(): BigInt {
-    return this._call.outputValues[0].value.toBigInt();
-  }
 }
 
 export class RenounceRoleCall extends ethereum.Call {
@@ -1196,6 +2629,36 @@ export class RenounceRoleCall__Outputs {
   }
 }
 
+export class ResetTokenRoyaltyCall extends ethereum.Call {
+  get inputs(): ResetTokenRoyaltyCall__Inputs {
+    return new ResetTokenRoyaltyCall__Inputs(this);
+  }
+
+  get outputs(): ResetTokenRoyaltyCall__Outputs {
+    return new ResetTokenRoyaltyCall__Outputs(this);
+  }
+}
+
+export class ResetTokenRoyaltyCall__Inputs {
+  _call: ResetTokenRoyaltyCall;
+
+  constructor(call: ResetTokenRoyaltyCall) {
+    this._call = call;
+  }
+
+  get tokenId(): BigInt {
+    return this._call.inputValues[0].value.toBigInt();
+  }
+}
+
+export class ResetTokenRoyaltyCall__Outputs {
+  _call: ResetTokenRoyaltyCall;
+
+  constructor(call: ResetTokenRoyaltyCall) {
+    this._call = call;
+  }
+}
+
 export class RevokeRoleCall extends ethereum.Call {
   get inputs(): RevokeRoleCall__Inputs {
     return new RevokeRoleCall__Inputs(this);
@@ -1297,113 +2760,241 @@ export class SafeTransferFrom1Call__Inputs {
     return this._call.inputValues[2].value.toBigInt();
   }
 
-  get data(): Bytes {
-    return this._call.inputValues[3].value.toBytes();
+  get data(): Bytes {
+    return this._call.inputValues[3].value.toBytes();
+  }
+}
+
+export class SafeTransferFrom1Call__Outputs {
+  _call: SafeTransferFrom1Call;
+
+  constructor(call: SafeTransferFrom1Call) {
+    this._call = call;
+  }
+}
+
+export class SetApprovalForAllCall extends ethereum.Call {
+  get inputs(): SetApprovalForAllCall__Inputs {
+    return new SetApprovalForAllCall__Inputs(this);
+  }
+
+  get outputs(): SetApprovalForAllCall__Outputs {
+    return new SetApprovalForAllCall__Outputs(this);
+  }
+}
+
+export class SetApprovalForAllCall__Inputs {
+  _call: SetApprovalForAllCall;
+
+  constructor(call: SetApprovalForAllCall) {
+    this._call = call;
+  }
+
+  get operator(): Address {
+    return this._call.inputValues[0].value.toAddress();
+  }
+
+  get approved(): boolean {
+    return this._call.inputValues[1].value.toBoolean();
+  }
+}
+
+export class SetApprovalForAllCall__Outputs {
+  _call: SetApprovalForAllCall;
+
+  constructor(call: SetApprovalForAllCall) {
+    this._call = call;
+  }
+}
+
+export class SetApprovedMarketplaceCall extends ethereum.Call {
+  get inputs(): SetApprovedMarketplaceCall__Inputs {
+    return new SetApprovedMarketplaceCall__Inputs(this);
+  }
+
+  get outputs(): SetApprovedMarketplaceCall__Outputs {
+    return new SetApprovedMarketplaceCall__Outputs(this);
+  }
+}
+
+export class SetApprovedMarketplaceCall__Inputs {
+  _call: SetApprovedMarketplaceCall;
+
+  constructor(call: SetApprovedMarketplaceCall) {
+    this._call = call;
+  }
+
+  get marketplace(): Address {
+    return this._call.inputValues[0].value.toAddress();
+  }
+
+  get approved(): boolean {
+    return this._call.inputValues[1].value.toBoolean();
+  }
+}
+
+export class SetApprovedMarketplaceCall__Outputs {
+  _call: SetApprovedMarketplaceCall;
+
+  constructor(call: SetApprovedMarketplaceCall) {
+    this._call = call;
+  }
+}
+
+export class SetCategoryMaxPriceCall extends ethereum.Call {
+  get inputs(): SetCategoryMaxPriceCall__Inputs {
+    return new SetCategoryMaxPriceCall__Inputs(this);
+  }
+
+  get outputs(): SetCategoryMaxPriceCall__Outputs {
+    return new SetCategoryMaxPriceCall__Outputs(this);
+  }
+}
+
+export class SetCategoryMaxPriceCall__Inputs {
+  _call: SetCategoryMaxPriceCall;
+
+  constructor(call: SetCategoryMaxPriceCall) {
+    this._call = call;
+  }
+
+  get category(): string {
+    return this._call.inputValues[0].value.toString();
+  }
+
+  get _maxPrice(): BigInt {
+    return this._call.inputValues[1].value.toBigInt();
+  }
+}
+
+export class SetCategoryMaxPriceCall__Outputs {
+  _call: SetCategoryMaxPriceCall;
+
+  constructor(call: SetCategoryMaxPriceCall) {
+    this._call = call;
+  }
+}
+
+export class SetMarkupBpsCall extends ethereum.Call {
+  get inputs(): SetMarkupBpsCall__Inputs {
+    return new SetMarkupBpsCall__Inputs(this);
+  }
+
+  get outputs(): SetMarkupBpsCall__Outputs {
+    return new SetMarkupBpsCall__Outputs(this);
+  }
+}
+
+export class SetMarkupBpsCall__Inputs {
+  _call: SetMarkupBpsCall;
+
+  constructor(call: SetMarkupBpsCall) {
+    this._call = call;
+  }
+
+  get _markupBps(): BigInt {
+    return this._call.inputValues[0].value.toBigInt();
   }
 }
 
-export class SafeTransferFrom1Call__Outputs {
-  _call: SafeTransferFrom1Call;
+export class SetMarkupBpsCall__Outputs {
+  _call: SetMarkupBpsCall;
 
-  constructor(call: SafeTransferFrom1Call) {
+  constructor(call: SetMarkupBpsCall) {
     this._call = call;
   }
 }
 
-export class SetApprovalForAllCall extends ethereum.Call {
-  get inputs(): SetApprovalForAllCall__Inputs {
-    return new SetApprovalForAllCall__Inputs(this);
+export class SetMaxPriceCall extends ethereum.Call {
+  get inputs(): SetMaxPriceCall__Inputs {
+    return new SetMaxPriceCall__Inputs(this);
   }
 
-  get outputs(): SetApprovalForAllCall__Outputs {
-    return new SetApprovalForAllCall__Outputs(this);
+  get outputs(): SetMaxPriceCall__Outputs {
+    return new SetMaxPriceCall__Outputs(this);
   }
 }
 
-export class SetApprovalForAllCall__Inputs {
-  _call: SetApprovalForAllCall;
+export class SetMaxPriceCall__Inputs {
+  _call: SetMaxPriceCall;
 
-  constructor(call: SetApprovalForAllCall) {
+  constructor(call: SetMaxPriceCall) {
     this._call = call;
   }
 
-  get operator(): Address {
-    return this._call.inputValues[0].value.toAddress();
-  }
-
-  get approved(): boolean {
-    return this._call.inputValues[1].value.toBoolean();
+  get _maxPrice(): BigInt {
+    return this._call.inputValues[0].value.toBigInt();
   }
 }
 
-export class SetApprovalForAllCall__Outputs {
-  _call: SetApprovalForAllCall;
+export class SetMaxPriceCall__Outputs {
+  _call: SetMaxPriceCall;
 
-  constructor(call: SetApprovalForAllCall) {
+  constructor(call: SetMaxPriceCall) {
     this._call = call;
   }
 }
 
-export class SetApprovedMarketplaceCall extends ethereum.Call {
-  get inputs(): SetApprovedMarketplaceCall__Inputs {
-    return new SetApprovedMarketplaceCall__Inputs(this);
+export class SetPaymentTokenCall extends ethereum.Call {
+  get inputs(): SetPaymentTokenCall__Inputs {
+    return new SetPaymentTokenCall__Inputs(this);
   }
 
-  get outputs(): SetApprovedMarketplaceCall__Outputs {
-    return new SetApprovedMarketplaceCall__Outputs(this);
+  get outputs(): SetPaymentTokenCall__Outputs {
+    return new SetPaymentTokenCall__Outputs(this);
   }
 }
 
-export class SetApprovedMarketplaceCall__Inputs {
-  _call: SetApprovedMarketplaceCall;
+export class SetPaymentTokenCall__Inputs {
+  _call: SetPaymentTokenCall;
 
-  constructor(call: SetApprovedMarketplaceCall) {
+  constructor(call: SetPaymentTokenCall) {
     this._call = call;
   }
 
-  get marketplace(): Address {
+  get token(): Address {
     return this._call.inputValues[0].value.toAddress();
   }
 
-  get approved(): boolean {
-    return this._call.inputValues[1].value.toBoolean();
+  get _maxPrice(): BigInt {
+    return this._call.inputValues[1].value.toBigInt();
   }
 }
 
-export class SetApprovedMarketplaceCall__Outputs {
-  _call: SetApprovedMarketplaceCall;
+export class SetPaymentTokenCall__Outputs {
+  _call: SetPaymentTokenCall;
 
-  constructor(call: SetApprovedMarketplaceCall) {
+  constructor(call: SetPaymentTokenCall) {
     this._call = call;
   }
 }
 
-export class SetMaxPriceCall extends ethereum.Call {
-  get inputs(): SetMaxPriceCall__Inputs {
-    return new SetMaxPriceCall__Inputs(this);
+export class SetPricePolicyCall extends ethereum.Call {
+  get inputs(): SetPricePolicyCall__Inputs {
+    return new SetPricePolicyCall__Inputs(this);
   }
 
-  get outputs(): SetMaxPriceCall__Outputs {
-    return new SetMaxPriceCall__Outputs(this);
+  get outputs(): SetPricePolicyCall__Outputs {
+    return new SetPricePolicyCall__Outputs(this);
   }
 }
 
-export class SetMaxPriceCall__Inputs {
-  _call: SetMaxPriceCall;
+export class SetPricePolicyCall__Inputs {
+  _call: SetPricePolicyCall;
 
-  constructor(call: SetMaxPriceCall) {
+  constructor(call: SetPricePolicyCall) {
     this._call = call;
   }
 
-  get _maxPrice(): BigInt {
+  get policy(): BigInt {
     return this._call.inputValues[0].value.toBigInt();
   }
 }
 
-export class SetMaxPriceCall__Outputs {
-  _call: SetMaxPriceCall;
+export class SetPricePolicyCall__Outputs {
+  _call: SetPricePolicyCall;
 
-  constructor(call: SetMaxPriceCall) {
+  constructor(call: SetPricePolicyCall) {
     this._call = call;
   }
 }
@@ -1468,6 +3059,82 @@ export class SetRoyaltyRecipientCall__Outputs {
   }
 }
 
+export class SetTokenRoyaltyCall extends ethereum.Call {
+  get inputs(): SetTokenRoyaltyCall__Inputs {
+    return new SetTokenRoyaltyCall__Inputs(this);
+  }
+
+  get outputs(): SetTokenRoyaltyCall__Outputs {
+    return new SetTokenRoyaltyCall__Outputs(this);
+  }
+}
+
+export class SetTokenRoyaltyCall__Inputs {
+  _call: SetTokenRoyaltyCall;
+
+  constructor(call: SetTokenRoyaltyCall) {
+    this._call = call;
+  }
+
+  get tokenId(): BigInt {
+    return this._call.inputValues[0].value.toBigInt();
+  }
+
+  get recipient(): Address {
+    return this._call.inputValues[1].value.toAddress();
+  }
+
+  get royaltyBps(): BigInt {
+    return this._call.inputValues[2].value.toBigInt();
+  }
+}
+
+export class SetTokenRoyaltyCall__Outputs {
+  _call: SetTokenRoyaltyCall;
+
+  constructor(call: SetTokenRoyaltyCall) {
+    this._call = call;
+  }
+}
+
+export class SwapSeatsCall extends ethereum.Call {
+  get inputs(): SwapSeatsCall__Inputs {
+    return new SwapSeatsCall__Inputs(this);
+  }
+
+  get outputs(): SwapSeatsCall__Outputs {
+    return new SwapSeatsCall__Outputs(this);
+  }
+}
+
+export class SwapSeatsCall__Inputs {
+  _call: SwapSeatsCall;
+
+  constructor(call: SwapSeatsCall) {
+    this._call = call;
+  }
+
+  get tokenIdA(): BigInt {
+    return this._call.inputValues[0].value.toBigInt();
+  }
+
+  get tokenIdB(): BigInt {
+    return this._call.inputValues[1].value.toBigInt();
+  }
+
+  get reason(): string {
+    return this._call.inputValues[2].value.toString();
+  }
+}
+
+export class SwapSeatsCall__Outputs {
+  _call: SwapSeatsCall;
+
+  constructor(call: SwapSeatsCall) {
+    this._call = call;
+  }
+}
+
 export class TransferFromCall extends ethereum.Call {
   get inputs(): TransferFromCall__Inputs {
     return new TransferFromCall__Inputs(this);
@@ -1506,6 +3173,64 @@ export class TransferFromCall__Outputs {
   }
 }
 
+export class TransferWithPermitCall extends ethereum.Call {
+  get inputs(): TransferWithPermitCall__Inputs {
+    return new TransferWithPermitCall__Inputs(this);
+  }
+
+  get outputs(): TransferWithPermitCall__Outputs {
+    return new TransferWithPermitCall__Outputs(this);
+  }
+}
+
+export class TransferWithPermitCall__Inputs {
+  _call: TransferWithPermitCall;
+
+  constructor(call: TransferWithPermitCall) {
+    this._call = call;
+  }
+
+  get from(): Address {
+    return this._call.inputValues[0].value.toAddress();
+  }
+
+  get to(): Address {
+    return this._call.inputValues[1].value.toAddress();
+  }
+
+  get tokenId(): BigInt {
+    return this._call.inputValues[2].value.toBigInt();
+  }
+
+  get salePrice(): BigInt {
+    return this._call.inputValues[3].value.toBigInt();
+  }
+
+  get deadline(): BigInt {
+    return this._call.inputValues[4].value.toBigInt();
+  }
+
+  get v(): BigInt {
+    return this._call.inputValues[5].value.toBigInt();
+  }
+
+  get r(): Bytes {
+    return this._call.inputValues[6].value.toBytes();
+  }
+
+  get s(): Bytes {
+    return this._call.inputValues[7].value.toBytes();
+  }
+}
+
+export class TransferWithPermitCall__Outputs {
+  _call: TransferWithPermitCall;
+
+  constructor(call: TransferWithPermitCall) {
+    this._call = call;
+  }
+}
+
 export class TransferWithPriceCall extends ethereum.Call {
   get inputs(): TransferWithPriceCall__Inputs {
     return new TransferWithPriceCall__Inputs(this);
@@ -1548,6 +3273,78 @@ export class TransferWithPriceCall__Outputs {
   }
 }
 
+export class UseSessionCall extends ethereum.Call {
+  get inputs(): UseSessionCall__Inputs {
+    return new UseSessionCall__Inputs(this);
+  }
+
+  get outputs(): UseSessionCall__Outputs {
+    return new UseSessionCall__Outputs(this);
+  }
+}
+
+export class UseSessionCall__Inputs {
+  _call: UseSessionCall;
+
+  constructor(call: UseSessionCall) {
+    this._call = call;
+  }
+
+  get tokenId(): BigInt {
+    return this._call.inputValues[0].value.toBigInt();
+  }
+
+  get session(): BigInt {
+    return this._call.inputValues[1].value.toBigInt();
+  }
+}
+
+export class UseSessionCall__Outputs {
+  _call: UseSessionCall;
+
+  constructor(call: UseSessionCall) {
+    this._call = call;
+  }
+}
+
+export class UseSessionTicketsCall extends ethereum.Call {
+  get inputs(): UseSessionTicketsCall__Inputs {
+    return new UseSessionTicketsCall__Inputs(this);
+  }
+
+  get outputs(): UseSessionTicketsCall__Outputs {
+    return new UseSessionTicketsCall__Outputs(this);
+  }
+}
+
+export class UseSessionTicketsCall__Inputs {
+  _call: UseSessionTicketsCall;
+
+  constructor(call: UseSessionTicketsCall) {
+    this._call = call;
+  }
+
+  get tokenIds(): Array<BigInt> {
+    return this._call.inputValues[0].value.toBigIntArray();
+  }
+
+  get session(): BigInt {
+    return this._call.inputValues[1].value.toBigInt();
+  }
+}
+
+export class UseSessionTicketsCall__Outputs {
+  _call: UseSessionTicketsCall;
+
+  constructor(call: UseSessionTicketsCall) {
+    this._call = call;
+  }
+
+  get used(): BigInt {
+    return this._call.outputValues[0].value.toBigInt();
+  }
+}
+
 export class UseTicketCall extends ethereum.Call {
   get inputs(): UseTicketCall__Inputs {
     return new UseTicketCall__Inputs(this);
@@ -1577,3 +3374,97 @@ export class UseTicketCall__Outputs {
     this._call = call;
   }
 }
+
+export class UseTicketsCall extends ethereum.Call {
+  get inputs(): UseTicketsCall__Inputs {
+    return new UseTicketsCall__Inputs(this);
+  }
+
+  get outputs(): UseTicketsCall__Outputs {
+    return new UseTicketsCall__Outputs(this);
+  }
+}
+
+export class UseTicketsCall__Inputs {
+  _call: UseTicketsCall;
+
+  constructor(call: UseTicketsCall) {
+    this._call = call;
+  }
+
+  get tokenIds(): Array<BigInt> {
+    return this._call.inputValues[0].value.toBigIntArray();
+  }
+}
+
+export class UseTicketsCall__Outputs {
+  _call: UseTicketsCall;
+
+  constructor(call: UseTicketsCall) {
+    this._call = call;
+  }
+
+  get used(): BigInt {
+    return this._call.outputValues[0].value.toBigInt();
+  }
+}
+
+export class VoidTicketCall extends ethereum.Call {
+  get inputs(): VoidTicketCall__Inputs {
+    return new VoidTicketCall__Inputs(this);
+  }
+
+  get outputs(): VoidTicketCall__Outputs {
+    return new VoidTicketCall__Outputs(this);
+  }
+}
+
+export class VoidTicketCall__Inputs {
+  _call: VoidTicketCall;
+
+  constructor(call: VoidTicketCall) {
+    this._call = call;
+  }
+
+  get tokenId(): BigInt {
+    return this._call.inputValues[0].value.toBigInt();
+  }
+
+  get reason(): string {
+    return this._call.inputValues[1].value.toString();
+  }
+}
+
+export class VoidTicketCall__Outputs {
+  _call: VoidTicketCall;
+
+  constructor(call: VoidTicketCall) {
+    this._call = call;
+  }
+}
+
+export class WithdrawCall extends ethereum.Call {
+  get inputs(): WithdrawCall__Inputs {
+    return new WithdrawCall__Inputs(this);
+  }
+
+  get outputs(): WithdrawCall__Outputs {
+    return new WithdrawCall__Outputs(this);
+  }
+}
+
+export class WithdrawCall__Inputs {
+  _call: WithdrawCall;
+
+  constructor(call: WithdrawCall) {
+    this._call = call;
+  }
+}
+
+export class WithdrawCall__Outputs {
+  _call: WithdrawCall;
+
+  constructor(call: WithdrawCall) {
+    this._call = call;
+  }
+}
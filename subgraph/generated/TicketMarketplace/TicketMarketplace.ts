@@ -0,0 +1,959 @@
+// THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY.
+
+import {
+  ethereum,
+  JSONValue,
+  TypedMap,
+  Entity,
+  Bytes,
+  Address,
+  BigInt,
+} from "@graphprotocol/graph-ts";
+
+export class ListingCancelled extends ethereum.Event {
+  get params(): ListingCancelled__Params {
+    return new ListingCancelled__Params(this);
+  }
+}
+
+export class ListingCancelled__Params {
+  _event: ListingCancelled;
+
+  constructor(event: ListingCancelled) {
+    this._event = event;
+  }
+
+  get listingId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+}
+
+export class ListingCreated extends ethereum.Event {
+  get params(): ListingCreated__Params {
+    return new ListingCreated__Params(this);
+  }
+}
+
+export class ListingCreated__Params {
+  _event: ListingCreated;
+
+  constructor(event: ListingCreated) {
+    this._event = event;
+  }
+
+  get listingId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get nfticket(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+
+  get tokenId(): BigInt {
+    return this._event.parameters[2].value.toBigInt();
+  }
+
+  get seller(): Address {
+    return this._event.parameters[3].value.toAddress();
+  }
+
+  get price(): BigInt {
+    return this._event.parameters[4].value.toBigInt();
+  }
+
+  get expiresAt(): BigInt {
+    return this._event.parameters[5].value.toBigInt();
+  }
+}
+
+export class OfferCancelled extends ethereum.Event {
+  get params(): OfferCancelled__Params {
+    return new OfferCancelled__Params(this);
+  }
+}
+
+export class OfferCancelled__Params {
+  _event: OfferCancelled;
+
+  constructor(event: OfferCancelled) {
+    this._event = event;
+  }
+
+  get offerId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+}
+
+export class OfferCreated extends ethereum.Event {
+  get params(): OfferCreated__Params {
+    return new OfferCreated__Params(this);
+  }
+}
+
+export class OfferCreated__Params {
+  _event: OfferCreated;
+
+  constructor(event: OfferCreated) {
+    this._event = event;
+  }
+
+  get offerId(): BigInt {
+    return this._event.parameters[0].value.toBigInt();
+  }
+
+  get nfticket(): Address {
+    return this._event.parameters[1].value.toAddress();
+  }
+
+  get tokenId(): BigInt {
+    return this._event.parameters[2].value.toBigInt();
+  }
+
+  get buyer(): Address {
+    return this._event.parameters[3].value.toAddress();
+  }
+
+  get amount(): BigInt {
+    return this._event.parameters[4].value.toBigInt();
+  }
+
+  get expiresAt(): BigInt {
+    return this._event.parameters[5].value.toBigInt();
+  }
+}
+
+export class PaymentCredited extends ethereum.Event {
+  get params(): PaymentCredited__Params {
+    return new PaymentCredited__Params(this);
+  }
+}
+
+export class PaymentCredited__Params {
+  _event: PaymentCredited;
+
+  constructor(event: PaymentCredited) {
+    this._event = event;
+  }
+
+  get payee(): Address {
+    return this._event.parameters[0].value.toAddress();
+  }
+
+  get amount(): BigInt {
+    return this._event.parameters[1].value.toBigInt();
+  }
+}
+
+export class PaymentWithdrawn extends ethereum.Event {
+  get params(): PaymentWithdrawn__Params {
+    return new PaymentWithdrawn__Params(this);
+  }
+}
+
+export class PaymentWithdrawn__Params {
+  _event: PaymentWithdrawn;
+
+  constructor(event: PaymentWithdrawn) {
+    this._event = event;
+  }
+
+  get payee(): Address {
+    return this._event.parameters[0].value.toAddress();
+  }
+
+  get amount(): BigInt {
+    return this._event.parameters[1].value.toBigInt();
+  }
+}
+
+export class TicketSold extends ethereum.Event {
+  get params(): TicketSold__Params {
+    return new TicketSold__Params(this);
+  }
+}
+
+export class TicketSold__Params {
+  _event: TicketSold;
+
+  constructor(event: TicketSold) {
+    this._event = event;
+  }
+
+  get nfticket(): Address {
+    return this._event.parameters[0].value.toAddress();
+  }
+
+  get tokenId(): BigInt {
+    return this._event.parameters[1].value.toBigInt();
+  }
+
+  get listingId(): BigInt {
+    return this._event.parameters[2].value.toBigInt();
+  }
+
+  get offerId(): BigInt {
+    return this._event.parameters[3].value.toBigInt();
+  }
+
+  get seller(): Address {
+    return this._event.parameters[4].value.toAddress();
+  }
+
+  get buyer(): Address {
+    return this._event.parameters[5].value.toAddress();
+  }
+
+  get price(): BigInt {
+    return this._event.parameters[6].value.toBigInt();
+  }
+
+  get royaltyAmount(): BigInt {
+    return this._event.parameters[7].value.toBigInt();
+  }
+}
+
+export class TicketMarketplace__listingsResult {
+  value0: Address;
+  value1: BigInt;
+  value2: Address;
+  value3: BigInt;
+  value4: Address;
+  value5: BigInt;
+  value6: boolean;
+
+  constructor(
+    value0: Address,
+    value1: BigInt,
+    value2: Address,
+    value3: BigInt,
+    value4: Address,
+    value5: BigInt,
+    value6: boolean,
+  ) {
+    this.value0 = value0;
+    this.value1 = value1;
+    this.value2 = value2;
+    this.value3 = value3;
+    this.value4 = value4;
+    this.value5 = value5;
+    this.value6 = value6;
+  }
+
+  toMap(): TypedMap<string, ethereum.Value> {
+    let map = new TypedMap<string, ethereum.Value>();
+    map.set("value0", ethereum.Value.fromAddress(this.value0));
+    map.set("value1", ethereum.Value.fromUnsignedBigInt(this.value1));
+    map.set("value2", ethereum.Value.fromAddress(this.value2));
+    map.set("value3", ethereum.Value.fromUnsignedBigInt(this.value3));
+    map.set("value4", ethereum.Value.fromAddress(this.value4));
+    map.set("value5", ethereum.Value.fromUnsignedBigInt(this.value5));
+    map.set("value6", ethereum.Value.fromBoolean(this.value6));
+    return map;
+  }
+
+  getNfticket(): Address {
+    return this.value0;
+  }
+
+  getTokenId(): BigInt {
+    return this.value1;
+  }
+
+  getSeller(): Address {
+    return this.value2;
+  }
+
+  getPrice(): BigInt {
+    return this.value3;
+  }
+
+  getPaymentToken(): Address {
+    return this.value4;
+  }
+
+  getExpiresAt(): BigInt {
+    return this.value5;
+  }
+
+  getActive(): boolean {
+    return this.value6;
+  }
+}
+
+export class TicketMarketplace__offersResult {
+  value0: Address;
+  value1: BigInt;
+  value2: Address;
+  value3: BigInt;
+  value4: Address;
+  value5: BigInt;
+  value6: boolean;
+
+  constructor(
+    value0: Address,
+    value1: BigInt,
+    value2: Address,
+    value3: BigInt,
+    value4: Address,
+    value5: BigInt,
+    value6: boolean,
+  ) {
+    this.value0 = value0;
+    this.value1 = value1;
+    this.value2 = value2;
+    this.value3 = value3;
+    this.value4 = value4;
+    this.value5 = value5;
+    this.value6 = value6;
+  }
+
+  toMap(): TypedMap<string, ethereum.Value> {
+    let map = new TypedMap<string, ethereum.Value>();
+    map.set("value0", ethereum.Value.fromAddress(this.value0));
+    map.set("value1", ethereum.Value.fromUnsignedBigInt(this.value1));
+    map.set("value2", ethereum.Value.fromAddress(this.value2));
+    map.set("value3", ethereum.Value.fromUnsignedBigInt(this.value3));
+    map.set("value4", ethereum.Value.fromAddress(this.value4));
+    map.set("value5", ethereum.Value.fromUnsignedBigInt(this.value5));
+    map.set("value6", ethereum.Value.fromBoolean(this.value6));
+    return map;
+  }
+
+  getNfticket(): Address {
+    return this.value0;
+  }
+
+  getTokenId(): BigInt {
+    return this.value1;
+  }
+
+  getBuyer(): Address {
+    return this.value2;
+  }
+
+  getAmount(): BigInt {
+    return this.value3;
+  }
+
+  getPaymentToken(): Address {
+    return this.value4;
+  }
+
+  getExpiresAt(): BigInt {
+    return this.value5;
+  }
+
+  getActive(): boolean {
+    return this.value6;
+  }
+}
+
+export class TicketMarketplace extends ethereum.SmartContract {
+  static bind(address: Address): TicketMarketplace {
+    return new TicketMarketplace("TicketMarketplace", address);
+  }
+
+  activeListingOf(param0: Address, param1: BigInt): BigInt {
+    let result = super.call(
+      "activeListingOf",
+      "activeListingOf(address,uint256):(uint256)",
+      [
+        ethereum.Value.fromAddress(param0),
+        ethereum.Value.fromUnsignedBigInt(param1),
+      ],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_activeListingOf(
+    param0: Address,
+    param1: BigInt,
+  ): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "activeListingOf",
+      "activeListingOf(address,uint256):(uint256)",
+      [
+        ethereum.Value.fromAddress(param0),
+        ethereum.Value.fromUnsignedBigInt(param1),
+      ],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  createListing(nfticket: Address, tokenId: BigInt, price: BigInt): BigInt {
+    let result = super.call(
+      "createListing",
+      "createListing(address,uint256,uint256):(uint256)",
+      [
+        ethereum.Value.fromAddress(nfticket),
+        ethereum.Value.fromUnsignedBigInt(tokenId),
+        ethereum.Value.fromUnsignedBigInt(price),
+      ],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_createListing(
+    nfticket: Address,
+    tokenId: BigInt,
+    price: BigInt,
+  ): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "createListing",
+      "createListing(address,uint256,uint256):(uint256)",
+      [
+        ethereum.Value.fromAddress(nfticket),
+        ethereum.Value.fromUnsignedBigInt(tokenId),
+        ethereum.Value.fromUnsignedBigInt(price),
+      ],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  eventFactory(): Address {
+    let result = super.call("eventFactory", "eventFactory():(address)", []);
+
+    return result[0].toAddress();
+  }
+
+  try_eventFactory(): ethereum.CallResult<Address> {
+    let result = super.tryCall("eventFactory", "eventFactory():(address)", []);
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toAddress());
+  }
+
+  listings(param0: BigInt): TicketMarketplace__listingsResult {
+    let result = super.call(
+      "listings",
+      "listings(uint256):(address,uint256,address,uint256,address,uint256,bool)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
+    );
+
+    return new TicketMarketplace__listingsResult(
+      result[0].toAddress(),
+      result[1].toBigInt(),
+      result[2].toAddress(),
+      result[3].toBigInt(),
+      result[4].toAddress(),
+      result[5].toBigInt(),
+      result[6].toBoolean(),
+    );
+  }
+
+  try_listings(
+    param0: BigInt,
+  ): ethereum.CallResult<TicketMarketplace__listingsResult> {
+    let result = super.tryCall(
+      "listings",
+      "listings(uint256):(address,uint256,address,uint256,address,uint256,bool)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(
+      new TicketMarketplace__listingsResult(
+        value[0].toAddress(),
+        value[1].toBigInt(),
+        value[2].toAddress(),
+        value[3].toBigInt(),
+        value[4].toAddress(),
+        value[5].toBigInt(),
+        value[6].toBoolean(),
+      ),
+    );
+  }
+
+  makeTokenOffer(nfticket: Address, tokenId: BigInt, amount: BigInt): BigInt {
+    let result = super.call(
+      "makeTokenOffer",
+      "makeTokenOffer(address,uint256,uint256):(uint256)",
+      [
+        ethereum.Value.fromAddress(nfticket),
+        ethereum.Value.fromUnsignedBigInt(tokenId),
+        ethereum.Value.fromUnsignedBigInt(amount),
+      ],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_makeTokenOffer(
+    nfticket: Address,
+    tokenId: BigInt,
+    amount: BigInt,
+  ): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "makeTokenOffer",
+      "makeTokenOffer(address,uint256,uint256):(uint256)",
+      [
+        ethereum.Value.fromAddress(nfticket),
+        ethereum.Value.fromUnsignedBigInt(tokenId),
+        ethereum.Value.fromUnsignedBigInt(amount),
+      ],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  nextListingId(): BigInt {
+    let result = super.call("nextListingId", "nextListingId():(uint256)", []);
+
+    return result[0].toBigInt();
+  }
+
+  try_nextListingId(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "nextListingId",
+      "nextListingId():(uint256)",
+      [],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  nextOfferId(): BigInt {
+    let result = super.call("nextOfferId", "nextOfferId():(uint256)", []);
+
+    return result[0].toBigInt();
+  }
+
+  try_nextOfferId(): ethereum.CallResult<BigInt> {
+    let result = super.tryCall("nextOfferId", "nextOfferId():(uint256)", []);
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+
+  offers(param0: BigInt): TicketMarketplace__offersResult {
+    let result = super.call(
+      "offers",
+      "offers(uint256):(address,uint256,address,uint256,address,uint256,bool)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
+    );
+
+    return new TicketMarketplace__offersResult(
+      result[0].toAddress(),
+      result[1].toBigInt(),
+      result[2].toAddress(),
+      result[3].toBigInt(),
+      result[4].toAddress(),
+      result[5].toBigInt(),
+      result[6].toBoolean(),
+    );
+  }
+
+  try_offers(
+    param0: BigInt,
+  ): ethereum.CallResult<TicketMarketplace__offersResult> {
+    let result = super.tryCall(
+      "offers",
+      "offers(uint256):(address,uint256,address,uint256,address,uint256,bool)",
+      [ethereum.Value.fromUnsignedBigInt(param0)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(
+      new TicketMarketplace__offersResult(
+        value[0].toAddress(),
+        value[1].toBigInt(),
+        value[2].toAddress(),
+        value[3].toBigInt(),
+        value[4].toAddress(),
+        value[5].toBigInt(),
+        value[6].toBoolean(),
+      ),
+    );
+  }
+
+  pendingWithdrawals(param0: Address): BigInt {
+    let result = super.call(
+      "pendingWithdrawals",
+      "pendingWithdrawals(address):(uint256)",
+      [ethereum.Value.fromAddress(param0)],
+    );
+
+    return result[0].toBigInt();
+  }
+
+  try_pendingWithdrawals(param0: Address): ethereum.CallResult<BigInt> {
+    let result = super.tryCall(
+      "pendingWithdrawals",
+      "pendingWithdrawals(address):(uint256)",
+      [ethereum.Value.fromAddress(param0)],
+    );
+    if (result.reverted) {
+      return new ethereum.CallResult();
+    }
+    let value = result.value;
+    return ethereum.CallResult.fromValue(value[0].toBigInt());
+  }
+}
+
+export class ConstructorCall extends ethereum.Call {
+  get inputs(): ConstructorCall__Inputs {
+    return new ConstructorCall__Inputs(this);
+  }
+
+  get outputs(): ConstructorCall__Outputs {
+    return new ConstructorCall__Outputs(this);
+  }
+}
+
+export class ConstructorCall__Inputs {
+  _call: ConstructorCall;
+
+  constructor(call: ConstructorCall) {
+    this._call = call;
+  }
+
+  get _eventFactory(): Address {
+    return this._call.inputValues[0].value.toAddress();
+  }
+}
+
+export class ConstructorCall__Outputs {
+  _call: ConstructorCall;
+
+  constructor(call: ConstructorCall) {
+    this._call = call;
+  }
+}
+
+export class AcceptOfferCall extends ethereum.Call {
+  get inputs(): AcceptOfferCall__Inputs {
+    return new AcceptOfferCall__Inputs(this);
+  }
+
+  get outputs(): AcceptOfferCall__Outputs {
+    return new AcceptOfferCall__Outputs(this);
+  }
+}
+
+export class AcceptOfferCall__Inputs {
+  _call: AcceptOfferCall;
+
+  constructor(call: AcceptOfferCall) {
+    this._call = call;
+  }
+
+  get offerId(): BigInt {
+    return this._call.inputValues[0].value.toBigInt();
+  }
+}
+
+export class AcceptOfferCall__Outputs {
+  _call: AcceptOfferCall;
+
+  constructor(call: AcceptOfferCall) {
+    this._call = call;
+  }
+}
+
+export class BuyCall extends ethereum.Call {
+  get inputs(): BuyCall__Inputs {
+    return new BuyCall__Inputs(this);
+  }
+
+  get outputs(): BuyCall__Outputs {
+    return new BuyCall__Outputs(this);
+  }
+}
+
+export class BuyCall__Inputs {
+  _call: BuyCall;
+
+  constructor(call: BuyCall) {
+    this._call = call;
+  }
+
+  get listingId(): BigInt {
+    return this._call.inputValues[0].value.toBigInt();
+  }
+}
+
+export class BuyCall__Outputs {
+  _call: BuyCall;
+
+  constructor(call: BuyCall) {
+    this._call = call;
+  }
+}
+
+export class BuyWithPermitCall extends ethereum.Call {
+  get inputs(): BuyWithPermitCall__Inputs {
+    return new BuyWithPermitCall__Inputs(this);
+  }
+
+  get outputs(): BuyWithPermitCall__Outputs {
+    return new BuyWithPermitCall__Outputs(this);
+  }
+}
+
+export class BuyWithPermitCall__Inputs {
+  _call: BuyWithPermitCall;
+
+  constructor(call: BuyWithPermitCall) {
+    this._call = call;
+  }
+
+  get listingId(): BigInt {
+    return this._call.inputValues[0].value.toBigInt();
+  }
+
+  get deadline(): BigInt {
+    return this._call.inputValues[1].value.toBigInt();
+  }
+
+  get v(): BigInt {
+    return this._call.inputValues[2].value.toBigInt();
+  }
+
+  get r(): Bytes {
+    return this._call.inputValues[3].value.toBytes();
+  }
+
+  get s(): Bytes {
+    return this._call.inputValues[4].value.toBytes();
+  }
+}
+
+export class BuyWithPermitCall__Outputs {
+  _call: BuyWithPermitCall;
+
+  constructor(call: BuyWithPermitCall) {
+    this._call = call;
+  }
+}
+
+export class CancelListingCall extends ethereum.Call {
+  get inputs(): CancelListingCall__Inputs {
+    return new CancelListingCall__Inputs(this);
+  }
+
+  get outputs(): CancelListingCall__Outputs {
+    return new CancelListingCall__Outputs(this);
+  }
+}
+
+export class CancelListingCall__Inputs {
+  _call: CancelListingCall;
+
+  constructor(call: CancelListingCall) {
+    this._call = call;
+  }
+
+  get listingId(): BigInt {
+    return this._call.inputValues[0].value.toBigInt();
+  }
+}
+
+export class CancelListingCall__Outputs {
+  _call: CancelListingCall;
+
+  constructor(call: CancelListingCall) {
+    this._call = call;
+  }
+}
+
+export class CancelOfferCall extends ethereum.Call {
+  get inputs(): CancelOfferCall__Inputs {
+    return new CancelOfferCall__Inputs(this);
+  }
+
+  get outputs(): CancelOfferCall__Outputs {
+    return new CancelOfferCall__Outputs(this);
+  }
+}
+
+export class CancelOfferCall__Inputs {
+  _call: CancelOfferCall;
+
+  constructor(call: CancelOfferCall) {
+    this._call = call;
+  }
+
+  get offerId(): BigInt {
+    return this._call.inputValues[0].value.toBigInt();
+  }
+}
+
+export class CancelOfferCall__Outputs {
+  _call: CancelOfferCall;
+
+  constructor(call: CancelOfferCall) {
+    this._call = call;
+  }
+}
+
+export class CreateListingCall extends ethereum.Call {
+  get inputs(): CreateListingCall__Inputs {
+    return new CreateListingCall__Inputs(this);
+  }
+
+  get outputs(): CreateListingCall__Outputs {
+    return new CreateListingCall__Outputs(this);
+  }
+}
+
+export class CreateListingCall__Inputs {
+  _call: CreateListingCall;
+
+  constructor(call: CreateListingCall) {
+    this._call = call;
+  }
+
+  get nfticket(): Address {
+    return this._call.inputValues[0].value.toAddress();
+  }
+
+  get tokenId(): BigInt {
+    return this._call.inputValues[1].value.toBigInt();
+  }
+
+  get price(): BigInt {
+    return this._call.inputValues[2].value.toBigInt();
+  }
+}
+
+export class CreateListingCall__Outputs {
+  _call: CreateListingCall;
+
+  constructor(call: CreateListingCall) {
+    this._call = call;
+  }
+
+  get listingId(): BigInt {
+    return this._call.outputValues[0].value.toBigInt();
+  }
+}
+
+export class MakeOfferCall extends ethereum.Call {
+  get inputs(): MakeOfferCall__Inputs {
+    return new MakeOfferCall__Inputs(this);
+  }
+
+  get outputs(): MakeOfferCall__Outputs {
+    return new MakeOfferCall__Outputs(this);
+  }
+}
+
+export class MakeOfferCall__Inputs {
+  _call: MakeOfferCall;
+
+  constructor(call: MakeOfferCall) {
+    this._call = call;
+  }
+
+  get nfticket(): Address {
+    return this._call.inputValues[0].value.toAddress();
+  }
+
+  get tokenId(): BigInt {
+    return this._call.inputValues[1].value.toBigInt();
+  }
+}
+
+export class MakeOfferCall__Outputs {
+  _call: MakeOfferCall;
+
+  constructor(call: MakeOfferCall) {
+    this._call = call;
+  }
+
+  get offerId(): BigInt {
+    return this._call.outputValues[0].value.toBigInt();
+  }
+}
+
+export class MakeTokenOfferCall extends ethereum.Call {
+  get inputs(): MakeTokenOfferCall__Inputs {
+    return new MakeTokenOfferCall__Inputs(this);
+  }
+
+  get outputs(): MakeTokenOfferCall__Outputs {
+    return new MakeTokenOfferCall__Outputs(this);
+  }
+}
+
+export class MakeTokenOfferCall__Inputs {
+  _call: MakeTokenOfferCall;
+
+  constructor(call: MakeTokenOfferCall) {
+    this._call = call;
+  }
+
+  get nfticket(): Address {
+    return this._call.inputValues[0].value.toAddress();
+  }
+
+  get tokenId(): BigInt {
+    return this._call.inputValues[1].value.toBigInt();
+  }
+
+  get amount(): BigInt {
+    return this._call.inputValues[2].value.toBigInt();
+  }
+}
+
+export class MakeTokenOfferCall__Outputs {
+  _call: MakeTokenOfferCall;
+
+  constructor(call: MakeTokenOfferCall) {
+    this._call = call;
+  }
+
+  get offerId(): BigInt {
+    return this._call.outputValues[0].value.toBigInt();
+  }
+}
+
+export class WithdrawCall extends ethereum.Call {
+  get inputs(): WithdrawCall__Inputs {
+    return new WithdrawCall__Inputs(this);
+  }
+
+  get outputs(): WithdrawCall__Outputs {
+    return new WithdrawCall__Outputs(this);
+  }
+}
+
+export class WithdrawCall__Inputs {
+  _call: WithdrawCall;
+
+  constructor(call: WithdrawCall) {
+    this._call = call;
+  }
+}
+
+export class WithdrawCall__Outputs {
+  _call: WithdrawCall;
+
+  constructor(call: WithdrawCall) {
+    this._call = call;
+  }
+}
@@ -0,0 +1,21 @@
+// THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY.
+
+import {
+  Address,
+  DataSourceTemplate,
+  DataSourceContext,
+} from "@graphprotocol/graph-ts";
+
+export class NFTicketEvent extends DataSourceTemplate {
+  static create(address: Address): void {
+    DataSourceTemplate.create("NFTicketEvent", [address.toHex()]);
+  }
+
+  static createWithContext(address: Address, context: DataSourceContext): void {
+    DataSourceTemplate.createWithContext(
+      "NFTicketEvent",
+      [address.toHex()],
+      context,
+    );
+  }
+}
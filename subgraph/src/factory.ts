@@ -0,0 +1,18 @@
+import { EventCreated } from "../generated/EventFactory/EventFactory"
+import { NFTicketEvent } from "../generated/templates"
+import { EventContract } from "../generated/schema"
+import { getOrCreateAccount } from "./helpers"
+
+export function handleEventCreated(event: EventCreated): void {
+  let eventContract = new EventContract(event.params.nfticket.toHex())
+  eventContract.organizer = getOrCreateAccount(event.params.organizer).id
+  eventContract.name = event.params.name
+  eventContract.venue = event.params.venue
+  eventContract.eventDate = event.params.eventDate
+  eventContract.transactionHash = event.transaction.hash
+  eventContract.createdAt = event.block.timestamp
+  eventContract.save()
+
+  // Index the new event's tickets with the same handlers as the NFTicket data source
+  NFTicketEvent.create(event.params.nfticket)
+}
@@ -0,0 +1,56 @@
+import { BigInt, Address } from "@graphprotocol/graph-ts"
+import { NFTicket } from "../generated/NFTicket/NFTicket"
+import { Account, ProtocolStats, CurrencyStats } from "../generated/schema"
+
+const PROTOCOL_STATS_ID = "PROTOCOL_STATS"
+
+// Token IDs restart at 0 in every NFTicket contract, so tickets are keyed by contract too
+export function ticketId(contract: Address, tokenId: BigInt): string {
+  return contract.toHex() + "-" + tokenId.toString()
+}
+
+export function getOrCreateAccount(address: Address): Account {
+  let account = Account.load(address.toHex())
+  if (!account) {
+    account = new Account(address.toHex())
+    account.save()
+  }
+  return account
+}
+
+export function getOrCreateStats(): ProtocolStats {
+  let stats = ProtocolStats.load(PROTOCOL_STATS_ID)
+  if (!stats) {
+    stats = new ProtocolStats(PROTOCOL_STATS_ID)
+    stats.totalTicketsMinted = BigInt.fromI32(0)
+    stats.totalTicketsUsed = BigInt.fromI32(0)
+    stats.save()
+  }
+  return stats
+}
+
+// The payment token is fixed once a contract has minted, so every resale of its tickets settles in it
+function paymentTokenOf(contract: Address): Address {
+  let token = NFTicket.bind(contract).try_paymentToken()
+  return token.reverted ? Address.zero() : token.value
+}
+
+// Add a resale of one of the contract's tickets to the totals of the currency it settled in
+export function recordSale(contract: Address, price: BigInt, royaltyAmount: BigInt): void {
+  getOrCreateStats()
+
+  let token = paymentTokenOf(contract)
+  let stats = CurrencyStats.load(token.toHex())
+  if (!stats) {
+    stats = new CurrencyStats(token.toHex())
+    stats.protocol = PROTOCOL_STATS_ID
+    if (!token.equals(Address.zero())) {
+      stats.paymentToken = token
+    }
+    stats.totalVolume = BigInt.fromI32(0)
+    stats.totalRoyalties = BigInt.fromI32(0)
+  }
+  stats.totalVolume = stats.totalVolume.plus(price)
+  stats.totalRoyalties = stats.totalRoyalties.plus(royaltyAmount)
+  stats.save()
+}
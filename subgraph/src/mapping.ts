@@ -1,52 +1,191 @@
-import { BigInt, Address, Bytes } from "@graphprotocol/graph-ts"
+import { BigInt, Address, Bytes, ethereum, store } from "@graphprotocol/graph-ts"
 import {
   NFTicket,
   TicketMinted,
+  TicketMintedWithSeat,
+  TicketsBatchMinted,
   TicketTransferred,
   TicketUsed,
-  MarketplaceApprovalUpdated
+  PassMinted,
+  TicketSessionUsed,
+  TicketVoided,
+  TicketReissued,
+  SeatChanged,
+  MarketplaceApprovalUpdated,
+  RoyaltyCapUpdated,
+  RoyaltyRecipientUpdated,
+  TokenRoyaltySet,
+  TokenRoyaltyReset,
+  PaymentTokenUpdated
 } from "../generated/NFTicket/NFTicket"
-import { Ticket, Account, Transfer, MarketplaceApproval, ProtocolStats } from "../generated/schema"
+import {
+  Ticket,
+  Transfer,
+  MarketplaceApproval,
+  Royalty,
+  EventContract,
+  SessionEntry,
+  Seat,
+  TicketAdminAction
+} from "../generated/schema"
+import { getOrCreateAccount, getOrCreateStats, recordSale, ticketId } from "./helpers"
+
+// The constructor (or initialize, for clones) sets the royalty defaults without an event,
+// so read them from the contract the first time
+function getOrCreateDefaultRoyalty(contractAddress: Address): Royalty {
+  let royaltyId = contractAddress.toHex() + "-default"
+  let royalty = Royalty.load(royaltyId)
+  if (!royalty) {
+    let contract = NFTicket.bind(contractAddress)
+    let recipient = contract.try_royaltyRecipient()
+    let royaltyCap = contract.try_royaltyCap()
 
-function getOrCreateAccount(address: Address): Account {
-  let account = Account.load(address.toHex())
-  if (!account) {
-    account = new Account(address.toHex())
-    account.save()
+    royalty = new Royalty(royaltyId)
+    royalty.recipient = recipient.reverted ? Address.zero() : recipient.value
+    royalty.royaltyBps = royaltyCap.reverted ? BigInt.fromI32(0) : royaltyCap.value
+    royalty.isOverride = false
+    royalty.save()
   }
-  return account
+  return royalty
 }
 
-function getOrCreateStats(): ProtocolStats {
-  let stats = ProtocolStats.load("PROTOCOL_STATS")
-  if (!stats) {
-    stats = new ProtocolStats("PROTOCOL_STATS")
-    stats.totalTicketsMinted = BigInt.fromI32(0)
-    stats.totalTicketsUsed = BigInt.fromI32(0)
-    stats.totalVolume = BigInt.fromI32(0)
-    stats.totalRoyalties = BigInt.fromI32(0)
-    stats.save()
-  }
-  return stats
+function tokenRoyaltyId(contractAddress: Address, tokenId: BigInt): string {
+  return contractAddress.toHex() + "-token-" + tokenId.toString()
 }
 
-export function handleTicketMinted(event: TicketMinted): void {
-  let ticket = new Ticket(event.params.tokenId.toString())
-  ticket.tokenId = event.params.tokenId
-  ticket.owner = getOrCreateAccount(event.params.to).id
-  ticket.uri = event.params.uri
+function createTicket(contractAddress: Address, tokenId: BigInt, owner: Address, uri: string, originalPrice: BigInt): Ticket {
+  let ticket = new Ticket(ticketId(contractAddress, tokenId))
+  ticket.tokenId = tokenId
+  ticket.contract = contractAddress
+  if (EventContract.load(contractAddress.toHex())) {
+    ticket.event = contractAddress.toHex()
+  }
+  ticket.owner = getOrCreateAccount(owner).id
+  ticket.uri = uri
   ticket.isUsed = false
-  ticket.originalPrice = BigInt.fromI32(0) // Note: Need to fetch from contract call if not in event, but adding to schema for now
+  ticket.isVoided = false
+  ticket.sessions = BigInt.fromI32(1)
+  ticket.sessionsUsed = BigInt.fromI32(0)
+  ticket.entriesPerSession = BigInt.fromI32(1)
+  ticket.originalPrice = originalPrice
   ticket.price = BigInt.fromI32(0)
+  ticket.royalty = getOrCreateDefaultRoyalty(contractAddress).id
   ticket.save()
+  return ticket
+}
+
+// Point a ticket at a seat and mark the seat taken; the caller saves the ticket
+function takeSeat(
+  ticket: Ticket,
+  contractAddress: Address,
+  section: string,
+  row: string,
+  seatNumber: string,
+  category: string
+): void {
+  let id = contractAddress.toHex() + "-" + section + "-" + row + "-" + seatNumber
+  let seat = Seat.load(id)
+  if (!seat) {
+    seat = new Seat(id)
+    seat.contract = contractAddress
+    seat.section = section
+    seat.row = row
+    seat.seatNumber = seatNumber
+  }
+  seat.category = category
+  seat.ticket = ticket.id
+  seat.isTaken = true
+  seat.save()
+
+  ticket.seat = seat.id
+}
+
+// Free a ticket's seat, unless a swap already handed it to the other ticket; the caller saves the ticket
+function releaseSeat(ticket: Ticket): void {
+  let seatId = ticket.seat
+  if (!seatId) return
+
+  let seat = Seat.load(seatId)
+  if (seat && seat.ticket == ticket.id) {
+    seat.ticket = null
+    seat.isTaken = false
+    seat.save()
+  }
+  ticket.seat = null
+}
+
+// Seats are not all in the minting events (category never is), so read the ticket's seat from the contract
+function takeSeatFromContract(ticket: Ticket, contract: NFTicket): void {
+  let seat = contract.try_getSeatInfo(ticket.tokenId)
+  if (seat.reverted || seat.value.getSection() == "") return
+
+  takeSeat(
+    ticket,
+    Address.fromBytes(ticket.contract),
+    seat.value.getSection(),
+    seat.value.getRow(),
+    seat.value.getSeatNumber(),
+    seat.value.getCategory()
+  )
+}
+
+function createAdminAction(event: ethereum.Event, ticket: Ticket, action: string, reason: string): TicketAdminAction {
+  let adminAction = new TicketAdminAction(event.transaction.hash.toHex() + "-" + event.logIndex.toString())
+  adminAction.ticket = ticket.id
+  adminAction.action = action
+  adminAction.reason = reason
+  adminAction.transactionHash = event.transaction.hash
+  adminAction.timestamp = event.block.timestamp
+  return adminAction
+}
+
+export function handleTicketMinted(event: TicketMinted): void {
+  // Note: originalPrice is not in the event; batch mints read it from the contract
+  createTicket(event.address, event.params.tokenId, event.params.to, event.params.uri, BigInt.fromI32(0))
 
   let stats = getOrCreateStats()
   stats.totalTicketsMinted = stats.totalTicketsMinted.plus(BigInt.fromI32(1))
   stats.save()
 }
 
+// Emitted right after TicketMinted for seated tickets
+export function handleTicketMintedWithSeat(event: TicketMintedWithSeat): void {
+  let ticket = Ticket.load(ticketId(event.address, event.params.tokenId))
+  if (!ticket) return
+
+  takeSeatFromContract(ticket, NFTicket.bind(event.address))
+  ticket.save()
+}
+
+// One event for a whole batch, so each ticket's owner, URI, price and seat are read from the contract
+export function handleTicketsBatchMinted(event: TicketsBatchMinted): void {
+  let contract = NFTicket.bind(event.address)
+  let count = event.params.count.toI32()
+
+  for (let i = 0; i < count; i++) {
+    let tokenId = event.params.firstTokenId.plus(BigInt.fromI32(i))
+    let owner = contract.try_ownerOf(tokenId)
+    let uri = contract.try_tokenURI(tokenId)
+    let originalPrice = contract.try_originalPrice(tokenId)
+
+    let ticket = createTicket(
+      event.address,
+      tokenId,
+      owner.reverted ? Address.zero() : owner.value,
+      uri.reverted ? "" : uri.value,
+      originalPrice.reverted ? BigInt.fromI32(0) : originalPrice.value
+    )
+    takeSeatFromContract(ticket, contract)
+    ticket.save()
+  }
+
+  let stats = getOrCreateStats()
+  stats.totalTicketsMinted = stats.totalTicketsMinted.plus(event.params.count)
+  stats.save()
+}
+
 export function handleTicketTransferred(event: TicketTransferred): void {
-  let ticket = Ticket.load(event.params.tokenId.toString())
+  let ticket = Ticket.load(ticketId(event.address, event.params.tokenId))
   if (!ticket) return
 
   let fromAccount = getOrCreateAccount(event.params.from)
@@ -66,14 +205,11 @@ export function handleTicketTransferred(event: TicketTransferred): void {
   transfer.timestamp = event.block.timestamp
   transfer.save()
 
-  let stats = getOrCreateStats()
-  stats.totalVolume = stats.totalVolume.plus(event.params.price)
-  stats.totalRoyalties = stats.totalRoyalties.plus(event.params.royaltyAmount)
-  stats.save()
+  recordSale(event.address, event.params.price, event.params.royaltyAmount)
 }
 
 export function handleTicketUsed(event: TicketUsed): void {
-  let ticket = Ticket.load(event.params.tokenId.toString())
+  let ticket = Ticket.load(ticketId(event.address, event.params.tokenId))
   if (ticket) {
     ticket.isUsed = true
     ticket.save()
@@ -84,6 +220,84 @@ export function handleTicketUsed(event: TicketUsed): void {
   }
 }
 
+// Emitted right after TicketMinted for multi-session passes
+export function handlePassMinted(event: PassMinted): void {
+  let ticket = Ticket.load(ticketId(event.address, event.params.tokenId))
+  if (!ticket) return
+
+  ticket.sessions = event.params.sessions
+  ticket.entriesPerSession = event.params.entriesPerSession
+  ticket.save()
+}
+
+// Every entry, plain tickets included; TicketUsed follows once the ticket is used up
+export function handleTicketSessionUsed(event: TicketSessionUsed): void {
+  let ticket = Ticket.load(ticketId(event.address, event.params.tokenId))
+  if (!ticket) return
+
+  let session = event.params.session.toI32()
+  ticket.sessionsUsed = ticket.sessionsUsed.bitOr(BigInt.fromI32(1).leftShift(session as u8))
+  ticket.save()
+
+  let entry = new SessionEntry(event.transaction.hash.toHex() + "-" + event.logIndex.toString())
+  entry.ticket = ticket.id
+  entry.owner = getOrCreateAccount(event.params.owner).id
+  entry.session = session
+  entry.entry = event.params.entry
+  entry.transactionHash = event.transaction.hash
+  entry.timestamp = event.block.timestamp
+  entry.save()
+}
+
+// The token is burned; keep the ticket for its history but free its seat
+export function handleTicketVoided(event: TicketVoided): void {
+  let ticket = Ticket.load(ticketId(event.address, event.params.tokenId))
+  if (!ticket) return
+
+  releaseSeat(ticket)
+  ticket.isVoided = true
+  ticket.save()
+
+  let adminAction = createAdminAction(event, ticket, "VOID", event.params.reason)
+  adminAction.from = getOrCreateAccount(event.params.holder).id
+  adminAction.save()
+}
+
+export function handleTicketReissued(event: TicketReissued): void {
+  let ticket = Ticket.load(ticketId(event.address, event.params.tokenId))
+  if (!ticket) return
+
+  let toAccount = getOrCreateAccount(event.params.to)
+  ticket.owner = toAccount.id
+  ticket.save()
+
+  let adminAction = createAdminAction(event, ticket, "REISSUE", event.params.reason)
+  adminAction.from = getOrCreateAccount(event.params.from).id
+  adminAction.to = toAccount.id
+  adminAction.save()
+}
+
+// Upgrades emit one SeatChanged; swaps emit one per ticket, the second after the first took its seat
+export function handleSeatChanged(event: SeatChanged): void {
+  let ticket = Ticket.load(ticketId(event.address, event.params.tokenId))
+  if (!ticket) return
+
+  releaseSeat(ticket)
+  takeSeat(
+    ticket,
+    event.address,
+    event.params.section,
+    event.params.row,
+    event.params.seatNumber,
+    event.params.category
+  )
+  ticket.save()
+
+  let adminAction = createAdminAction(event, ticket, "SEAT_CHANGE", event.params.reason)
+  adminAction.seat = ticket.seat
+  adminAction.save()
+}
+
 export function handleMarketplaceApprovalUpdated(event: MarketplaceApprovalUpdated): void {
   let approvalId = event.params.marketplace.toHex()
   let approval = new MarketplaceApproval(approvalId)
@@ -99,3 +313,48 @@ export function handleMarketplaceApprovalUpdated(event: MarketplaceApprovalUpdat
   approval.timestamp = event.block.timestamp
   approval.save()
 }
+
+export function handleRoyaltyCapUpdated(event: RoyaltyCapUpdated): void {
+  let royalty = getOrCreateDefaultRoyalty(event.address)
+  royalty.royaltyBps = event.params.newRoyaltyCap
+  royalty.save()
+}
+
+export function handleRoyaltyRecipientUpdated(event: RoyaltyRecipientUpdated): void {
+  let royalty = getOrCreateDefaultRoyalty(event.address)
+  royalty.recipient = event.params.newRecipient
+  royalty.save()
+}
+
+export function handlePaymentTokenUpdated(event: PaymentTokenUpdated): void {
+  let token: Bytes | null = event.params.token.equals(Address.zero()) ? null : event.params.token
+
+  let eventContract = EventContract.load(event.address.toHex())
+  if (eventContract) {
+    eventContract.paymentToken = token
+    eventContract.save()
+  }
+}
+
+export function handleTokenRoyaltySet(event: TokenRoyaltySet): void {
+  let ticket = Ticket.load(ticketId(event.address, event.params.tokenId))
+  if (!ticket) return
+
+  let royalty = new Royalty(tokenRoyaltyId(event.address, event.params.tokenId))
+  royalty.recipient = event.params.recipient
+  royalty.royaltyBps = event.params.royaltyBps
+  royalty.isOverride = true
+  royalty.save()
+
+  ticket.royalty = royalty.id
+  ticket.save()
+}
+
+export function handleTokenRoyaltyReset(event: TokenRoyaltyReset): void {
+  let ticket = Ticket.load(ticketId(event.address, event.params.tokenId))
+  if (ticket) {
+    ticket.royalty = getOrCreateDefaultRoyalty(event.address).id
+    ticket.save()
+  }
+  store.remove("Royalty", tokenRoyaltyId(event.address, event.params.tokenId))
+}
@@ -0,0 +1,118 @@
+import { BigInt, Address } from "@graphprotocol/graph-ts"
+import {
+  ListingCreated,
+  ListingCancelled,
+  OfferCreated,
+  OfferCancelled,
+  TicketSold
+} from "../generated/TicketMarketplace/TicketMarketplace"
+import { Ticket, Listing, Offer, Sale, Transfer } from "../generated/schema"
+import { getOrCreateAccount, recordSale, ticketId } from "./helpers"
+
+// The marketplace serves any NFTicket contract; only tickets from indexed contracts are linked
+function loadTicket(contract: Address, tokenId: BigInt): Ticket | null {
+  return Ticket.load(ticketId(contract, tokenId))
+}
+
+export function handleListingCreated(event: ListingCreated): void {
+  let listing = new Listing(event.params.listingId.toString())
+  listing.contract = event.params.nfticket
+  listing.tokenId = event.params.tokenId
+  let ticket = loadTicket(event.params.nfticket, event.params.tokenId)
+  if (ticket) {
+    listing.ticket = ticket.id
+  }
+  listing.seller = getOrCreateAccount(event.params.seller).id
+  listing.price = event.params.price
+  listing.expiresAt = event.params.expiresAt
+  listing.status = "ACTIVE"
+  listing.createdAt = event.block.timestamp
+  listing.save()
+}
+
+export function handleListingCancelled(event: ListingCancelled): void {
+  let listing = Listing.load(event.params.listingId.toString())
+  if (listing) {
+    listing.status = "CANCELLED"
+    listing.save()
+  }
+}
+
+export function handleOfferCreated(event: OfferCreated): void {
+  let offer = new Offer(event.params.offerId.toString())
+  offer.contract = event.params.nfticket
+  offer.tokenId = event.params.tokenId
+  let ticket = loadTicket(event.params.nfticket, event.params.tokenId)
+  if (ticket) {
+    offer.ticket = ticket.id
+  }
+  offer.buyer = getOrCreateAccount(event.params.buyer).id
+  offer.amount = event.params.amount
+  offer.expiresAt = event.params.expiresAt
+  offer.status = "ACTIVE"
+  offer.createdAt = event.block.timestamp
+  offer.save()
+}
+
+export function handleOfferCancelled(event: OfferCancelled): void {
+  let offer = Offer.load(event.params.offerId.toString())
+  if (offer) {
+    offer.status = "CANCELLED"
+    offer.save()
+  }
+}
+
+export function handleTicketSold(event: TicketSold): void {
+  let seller = getOrCreateAccount(event.params.seller)
+  let buyer = getOrCreateAccount(event.params.buyer)
+
+  let sale = new Sale(event.transaction.hash.toHex() + "-" + event.logIndex.toString())
+  sale.contract = event.params.nfticket
+  sale.tokenId = event.params.tokenId
+  sale.seller = seller.id
+  sale.buyer = buyer.id
+  sale.price = event.params.price
+  sale.royaltyAmount = event.params.royaltyAmount
+  sale.transactionHash = event.transaction.hash
+  sale.timestamp = event.block.timestamp
+
+  if (!event.params.listingId.isZero()) {
+    let listing = Listing.load(event.params.listingId.toString())
+    if (listing) {
+      listing.status = "SOLD"
+      listing.save()
+      sale.listing = listing.id
+    }
+  }
+  if (!event.params.offerId.isZero()) {
+    let offer = Offer.load(event.params.offerId.toString())
+    if (offer) {
+      offer.status = "ACCEPTED"
+      offer.save()
+      sale.offer = offer.id
+    }
+  }
+
+  let ticket = loadTicket(event.params.nfticket, event.params.tokenId)
+  if (ticket) {
+    sale.ticket = ticket.id
+
+    ticket.owner = buyer.id
+    ticket.price = event.params.price
+    ticket.save()
+
+    // Record the sale in the ticket's transfer history alongside transferWithPrice resales
+    let transfer = new Transfer(event.transaction.hash.toHex() + "-" + event.logIndex.toString())
+    transfer.ticket = ticket.id
+    transfer.from = seller.id
+    transfer.to = buyer.id
+    transfer.price = event.params.price
+    transfer.royaltyAmount = event.params.royaltyAmount
+    transfer.transactionHash = event.transaction.hash
+    transfer.timestamp = event.block.timestamp
+    transfer.save()
+
+    recordSale(event.params.nfticket, event.params.price, event.params.royaltyAmount)
+  }
+  sale.save()
+}